@@ -58,7 +58,13 @@ app.use((req, res, next) => {
   if (blockedSourcePath.test(req.path)) return res.status(404).end();
   return next();
 });
-app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '10mb',
+  // Gateway webhook signatures are computed over the exact bytes received.
+  verify: (req, res, buffer) => {
+    if (req.originalUrl.startsWith('/api/payment-webhooks/')) req.rawBody = buffer;
+  }
+}));
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
 const generalLimiter = rateLimit({
@@ -200,6 +206,10 @@ function mountHospitalRoutes() {
   app.use('/api/patient-portal', require('./routes/patientPortal.routes.js'));
   // Master control-plane callbacks use independent platform HMAC authentication and never browser auth.
   app.use('/internal/platform', require('./routes/platform.routes.js'));
+  // Payment gateway webhooks are authenticated by the gateway's HMAC signature.
+  app.use('/api/payment-webhooks', require('./routes/paymentWebhook.routes.js'));
+  // NHCX callbacks carry a gateway-signed bearer token and a payload encrypted to this hospital.
+  app.use('/api/nhcx', require('./routes/nhcxCallback.routes.js'));
   const authMiddleware = require('./middlewares/auth');
   app.use('/api', authMiddleware.protect);
   app.use('/api', (req, res, next) => {
@@ -272,11 +282,13 @@ function mountHospitalRoutes() {
   app.use('/api/lab', require('./routes/lab.routes.js'));
   app.use('/api/radiology', require('./routes/radiology.routes.js'));
   app.use('/api/pharmacy-bills', require('./routes/pharmacyBill.routes'));
+  app.use('/api/controlled-drugs', require('./routes/controlledDrug.routes.js'));
   app.use('/api/support-tickets', require('./routes/supportTicket.routes.js'));
   app.use('/api/external-lab', require('./routes/externalLab.routes'));
   app.use('/api/license', require('./routes/license.routes.js'));
   app.use('/api/icd11', require('./routes/icd11.routes.js'));
   app.use('/api/ot', require('./routes/ot.routes.js'));
+  app.use('/api/cssd', require('./routes/cssd.routes.js'));
   app.use('/api/print-identities', require('./routes/printIdentity.routes.js'));
   app.use('/api/patient-identities', require('./routes/patientIdentity.routes.js'));
 
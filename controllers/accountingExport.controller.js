@@ -0,0 +1,127 @@
+const LedgerMapping = require('../models/LedgerMapping');
+const AccountingExportBatch = require('../models/AccountingExportBatch');
+const accountingExport = require('../services/accountingExport.service');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function sendError(res, error) {
+  if (error?.code === 11000) return res.status(409).json({ success: false, error: 'A mapping already exists for this combination' });
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function mappingInput(body = {}) {
+  if (!LedgerMapping.SOURCES.includes(body.source)) throw badRequest(`source must be one of ${LedgerMapping.SOURCES.join(', ')}`);
+  const debitLedger = String(body.debitLedger || '').trim();
+  const creditLedger = String(body.creditLedger || '').trim();
+  if (!debitLedger || !creditLedger) throw badRequest('debitLedger and creditLedger are required');
+  if (body.voucherType && !LedgerMapping.VOUCHER_TYPES.includes(body.voucherType)) throw badRequest('Unsupported voucher type');
+  const keyPart = (value) => String(value ?? '').trim() || '*';
+  return {
+    source: body.source,
+    transactionType: keyPart(body.transactionType),
+    paymentMethod: keyPart(body.paymentMethod),
+    direction: keyPart(body.direction).toUpperCase(),
+    voucherType: body.voucherType || 'Journal',
+    debitLedger,
+    creditLedger,
+    taxLedgers: {
+      cgst: body.taxLedgers?.cgst,
+      sgst: body.taxLedgers?.sgst,
+      igst: body.taxLedgers?.igst,
+      mode: body.taxLedgers?.mode === 'igst' ? 'igst' : 'cgst_sgst'
+    },
+    costCentre: body.costCentre,
+    costCentreFromDepartment: Boolean(body.costCentreFromDepartment),
+    nominalSide: body.nominalSide === 'debit' ? 'debit' : 'credit',
+    active: body.active !== false
+  };
+}
+
+exports.getMappings = async (req, res) => {
+  try {
+    const filter = { hospitalId: requireHospitalId(req) };
+    if (req.query.source) filter.source = req.query.source;
+    const data = await LedgerMapping.find(filter).sort({ source: 1, transactionType: 1, paymentMethod: 1, direction: 1 }).lean();
+    res.json({ success: true, data });
+  } catch (error) { sendError(res, error); }
+};
+
+exports.upsertMapping = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const input = mappingInput(req.body);
+    const key = { hospitalId, source: input.source, transactionType: input.transactionType, paymentMethod: input.paymentMethod, direction: input.direction };
+    const data = await LedgerMapping.findOneAndUpdate(
+      key,
+      { $set: { ...input, updatedBy: req.user._id }, $setOnInsert: { createdBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    res.json({ success: true, data });
+  } catch (error) { sendError(res, error); }
+};
+
+exports.deleteMapping = async (req, res) => {
+  try {
+    const data = await LedgerMapping.findOneAndDelete({ _id: req.params.id, hospitalId: requireHospitalId(req) });
+    if (!data) return res.status(404).json({ success: false, error: 'Ledger mapping not found' });
+    res.json({ success: true, data });
+  } catch (error) { sendError(res, error); }
+};
+
+exports.preview = async (req, res) => {
+  try {
+    const data = await accountingExport.previewExport({ hospitalId: requireHospitalId(req), ...req.body });
+    res.json({ success: true, data });
+  } catch (error) { sendError(res, error); }
+};
+
+exports.listBatches = async (req, res) => {
+  try {
+    const filter = { hospitalId: requireHospitalId(req) };
+    if (req.query.status) filter.status = req.query.status;
+    const data = await AccountingExportBatch.find(filter).select('-vouchers').sort({ createdAt: -1 }).limit(100).lean();
+    res.json({ success: true, data });
+  } catch (error) { sendError(res, error); }
+};
+
+exports.createBatch = async (req, res) => {
+  try {
+    const data = await accountingExport.createBatch({ req, hospitalId: requireHospitalId(req), ...req.body });
+    res.status(201).json({ success: true, data });
+  } catch (error) { sendError(res, error); }
+};
+
+exports.getBatch = async (req, res) => {
+  try {
+    const data = await accountingExport.loadBatch(requireHospitalId(req), req.params.id);
+    res.json({ success: true, data });
+  } catch (error) { sendError(res, error); }
+};
+
+exports.downloadBatch = async (req, res) => {
+  try {
+    const file = await accountingExport.downloadBatch({
+      req, hospitalId: requireHospitalId(req), id: req.params.id, format: req.query.format || 'tally_xml'
+    });
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.content);
+  } catch (error) { sendError(res, error); }
+};
+
+exports.discardBatch = async (req, res) => {
+  try {
+    const data = await accountingExport.discardBatch({ req, hospitalId: requireHospitalId(req), id: req.params.id, reason: req.body?.reason });
+    res.json({ success: true, data });
+  } catch (error) { sendError(res, error); }
+};
@@ -14,7 +14,13 @@ const OfflineSyncLog = require('../models/OfflineSyncLog');
 const { calculatePartTimeSalary } = require('../controllers/salary.controller');
 const { requireHospitalId } = require('../services/tenantScope.service');
 const { nextAppointmentToken } = require('../utils/appointmentNumber');
-const { queueNotification } = require('../services/nabhNotification.service');
+const {
+  notifyAppointment,
+  recalculateQueue,
+  hasTimeConflict,
+  removeAppointmentFromCalendar,
+  updateCalendarAppointmentStatus
+} = require('../services/appointmentQueue.service');
 const { assertPatientReadyForContext } = require('../services/patientRegistration.service');
 const { appendDomainEvent } = require('../services/auditEvent.service');
 const { createEncounterCoverage } = require('../services/coverage.service');
@@ -23,6 +29,7 @@ const HRStaffProfile = require('../models/HRStaffProfile');
 const StaffAvailability = require('../models/StaffAvailability');
 const { rememberDeclaredPreference } = require('../services/patientCoveragePreference.service');
 const { resolveFinancialPolicy } = require('../services/financialPolicy.service');
+const portalBooking = require('../services/portalBooking.service');
 const {
   DEFAULT_HOSPITAL_TIME_ZONE,
   hospitalDateKey,
@@ -46,50 +53,6 @@ function appointmentDaySelector(dateKey, timeZone = DEFAULT_HOSPITAL_TIME_ZONE)
     ]
   };
 }
-async function notifyAppointment(appointmentOrId, eventType, userId, extra = {}, hospitalId = null) {
-  const appointment = typeof appointmentOrId === 'string'
-    ? await Appointment.findOne({
-      _id: appointmentOrId,
-      ...(hospitalId ? { hospital_id: hospitalId } : {})
-    })
-      .populate('patient_id', 'first_name last_name phone email uhid patientId')
-      .populate('doctor_id', 'firstName lastName phone email')
-    : await appointmentOrId.populate([
-      { path: 'patient_id', select: 'first_name last_name phone email uhid patientId' },
-      { path: 'doctor_id', select: 'firstName lastName phone email' }
-    ]);
-  if (!appointment) return null;
-  const patient = appointment.patient_id;
-  const doctor = appointment.doctor_id;
-  const date = appointment.appointment_date_key || hospitalDateKey(appointment.appointment_date, appointment.scheduled_timezone || DEFAULT_HOSPITAL_TIME_ZONE);
-  const mode = appointment.visit_mode || 'physical';
-  const delivery = await queueNotification({
-    hospitalId: appointment.hospital_id,
-    eventType,
-    correlationId: String(appointment._id),
-    recipientType: 'patient',
-    recipientId: patient?._id,
-    recipientName: [patient?.first_name, patient?.last_name].filter(Boolean).join(' '),
-    contact: { email: patient?.email, phone: patient?.phone },
-    requestedChannels: ['portal', ...(patient?.phone ? ['sms'] : [])],
-    subject: extra.subject || `Appointment ${eventType.replaceAll('_', ' ')}`,
-    body: extra.body || `Your ${mode} appointment with Dr. ${[doctor?.firstName, doctor?.lastName].filter(Boolean).join(' ')} is scheduled for ${date}.`,
-    payload: {
-      appointmentId: appointment._id,
-      visitMode: mode,
-      status: appointment.status,
-      meetingUrl: appointment.teleconsultation?.meetingUrl,
-      ...extra.payload
-    },
-    priority: appointment.priority === 'Urgent' ? 'high' : 'normal',
-    createdBy: userId
-  });
-  await Appointment.updateOne(
-    { _id: appointment._id, hospital_id: appointment.hospital_id },
-    { $addToSet: { notificationDeliveryIds: delivery._id } }
-  );
-  return delivery;
-}
 
 function startRoleAllowed(user) {
   return ['admin', 'mediqliq_super_admin', 'doctor'].includes(String(user?.role || '').toLowerCase());
@@ -175,47 +138,6 @@ async function setDoctorOpdAvailability({ hospitalId, doctorId, status, userId,
   return profile;
 }
 
-async function recalculateQueue({ hospitalId, departmentId, date, timeZone = DEFAULT_HOSPITAL_TIME_ZONE }) {
-  let dateKey;
-  try {
-    dateKey = hospitalDateKey(date, timeZone);
-  } catch (_error) {
-    return [];
-  }
-  const { start, end } = hospitalDayBounds(dateKey, timeZone);
-  const rows = await Appointment.find({
-    hospital_id: hospitalId,
-    department_id: departmentId,
-    status: { $in: ['Scheduled', 'In Progress'] },
-    is_active: { $ne: false },
-    $or: [
-      { appointment_date_key: dateKey },
-      { appointment_date: { $gte: start, $lt: end } }
-    ]
-  });
-  const priorityWeight = { Urgent: 4, High: 3, Normal: 2, Low: 1 };
-  rows.sort((left, right) => {
-    const priorityDifference = (priorityWeight[right.priority] || 0) - (priorityWeight[left.priority] || 0);
-    if (priorityDifference) return priorityDifference;
-    const leftStart = left.start_time ? new Date(left.start_time).getTime() : Number.MAX_SAFE_INTEGER;
-    const rightStart = right.start_time ? new Date(right.start_time).getTime() : Number.MAX_SAFE_INTEGER;
-    if (leftStart !== rightStart) return leftStart - rightStart;
-    const serialDifference = Number(left.serial_number || Number.MAX_SAFE_INTEGER) - Number(right.serial_number || Number.MAX_SAFE_INTEGER);
-    if (serialDifference) return serialDifference;
-    return new Date(left.created_at || left.createdAt || 0) - new Date(right.created_at || right.createdAt || 0);
-  });
-  const writes = [];
-  rows.forEach((row, index) => {
-    const averageDuration = Number(row.duration || 10);
-    row.queuePosition = index + 1;
-    row.estimatedWaitMinutes = rows
-      .slice(0, index)
-      .reduce((sum, previous) => sum + Number(previous.duration || averageDuration), 0);
-    writes.push(row.save());
-  });
-  await Promise.all(writes);
-  return rows;
-}
 
 // Add this function to handle episode linking during appointment creation
 exports.linkAppointmentToEpisodeSuggestion = async (req, res) => {
@@ -246,70 +168,6 @@ exports.linkAppointmentToEpisodeSuggestion = async (req, res) => {
   }
 };
 
-// ========== HELPER FUNCTIONS ==========
-function hasTimeConflict(appointments, startTime, endTime, breaks = []) {
-  for (const appt of appointments) {
-    if ((startTime >= appt.startTime && startTime < appt.endTime) ||
-      (endTime > appt.startTime && endTime <= appt.endTime) ||
-      (startTime <= appt.startTime && endTime >= appt.endTime)) {
-      return true;
-    }
-  }
-  for (const brk of breaks) {
-    if ((startTime >= brk.startTime && startTime < brk.endTime) ||
-      (endTime > brk.startTime && endTime <= brk.endTime) ||
-      (startTime <= brk.startTime && endTime >= brk.endTime)) {
-      return true;
-    }
-  }
-  return false;
-}
-
-async function removeAppointmentFromCalendar(appointment) {
-  const calendar = await Calendar.findOne({ hospitalId: appointment.hospital_id });
-  if (!calendar) return;
-
-  const timeZone = calendar.timezone || appointment.scheduled_timezone || DEFAULT_HOSPITAL_TIME_ZONE;
-  const dateStr = appointment.appointment_date_key || hospitalDateKey(appointment.appointment_date, timeZone);
-  const day = calendar.days.find((row) => calendarDayKey(row, timeZone) === dateStr);
-  if (!day) return;
-
-  const doctor = day.doctors.find((row) => String(row.doctorId) === String(appointment.doctor_id));
-  if (!doctor) return;
-
-  if (appointment.type === 'time-based') {
-    doctor.bookedAppointments = doctor.bookedAppointments.filter(
-      (row) => String(row.appointmentId) !== String(appointment._id)
-    );
-  } else {
-    doctor.bookedPatients = doctor.bookedPatients.filter(
-      (row) => String(row.appointmentId) !== String(appointment._id)
-    );
-  }
-
-  await calendar.save();
-}
-
-async function updateCalendarAppointmentStatus(appointment, status) {
-  const calendar = await Calendar.findOne({ hospitalId: appointment.hospital_id });
-  if (!calendar) return false;
-  const timeZone = calendar.timezone || appointment.scheduled_timezone || DEFAULT_HOSPITAL_TIME_ZONE;
-  const dateKey = appointment.appointment_date_key || hospitalDateKey(appointment.appointment_date, timeZone);
-  const day = calendar.days.find((row) => calendarDayKey(row, timeZone) === dateKey);
-  const doctorDay = day?.doctors?.find(
-    (row) => String(row.doctorId) === String(appointment.doctor_id)
-  );
-  if (!doctorDay) return false;
-  const normalized = status === 'In Progress' ? 'InProgress' : status;
-  const calendarAppointment = doctorDay.bookedAppointments?.find(
-    (row) => String(row.appointmentId) === String(appointment._id)
-  );
-  if (calendarAppointment) calendarAppointment.status = normalized;
-  await calendar.save();
-  return Boolean(calendarAppointment);
-}
-
-
 // ========== OFFLINE SYNC METHODS ==========
 
 // Check appointment conflict (for offline pre-check)
@@ -2471,3 +2329,21 @@ exports.submitHomecareFeedback = async (req, res) => {
     return res.json({ success: true, data: appointment.homecare.feedback });
   } catch (error) { return res.status(400).json({ error: error.message }); }
 };
+
+// Hospital rules for patient self-service booking on the portal.
+exports.getPortalBookingSettings = async (req, res) => {
+  try {
+    return res.json({ success: true, settings: await portalBooking.getSettings(requireHospitalId(req)) });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+  }
+};
+
+exports.updatePortalBookingSettings = async (req, res) => {
+  try {
+    const settings = await portalBooking.updateSettings({ req, hospitalId: requireHospitalId(req), body: req.body });
+    return res.json({ success: true, settings });
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: error.message, code: error.code });
+  }
+};
@@ -1,6 +1,12 @@
+const mongoose = require('mongoose');
 const ApprovalRequest = require('../models/ApprovalRequest');
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const ApprovalDelegation = require('../models/ApprovalDelegation');
 const IPDAdmission = require('../models/IPDAdmission');
+const User = require('../models/User');
 const { requestHospitalId } = require('../utils/hospitalScope');
+const approvalMatrix = require('../services/approvalMatrix.service');
+const { _hasActionPermission } = require('../middlewares/auth');
 
 const APPROVAL_STATUSES = {
   pending: 'Pending',
@@ -8,7 +14,7 @@ const APPROVAL_STATUSES = {
   rejected: 'Rejected'
 };
 
-const REQUEST_TYPES = new Set(['DISCOUNT_APPROVAL', 'OTHER']);
+const REQUEST_TYPES = new Set(ApprovalRequest.REQUEST_TYPES);
 
 function normalizeApprovalStatus(value) {
   return APPROVAL_STATUSES[String(value || '').trim().toLowerCase()] || null;
@@ -25,18 +31,62 @@ function normalizeRequestType(value) {
 function sendError(res, error) {
   return res.status(error.statusCode || 500).json({
     success: false,
+    code: error.code,
     error: error.statusCode ? error.message : 'Internal server error'
   });
 }
 
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Amounts live in `amount`; older discount requests only carried them in details.
+function requestAmount(body) {
+  const value = Number(body.amount ?? body.details?.amount ?? body.details?.discountAmount ?? 0);
+  if (!Number.isFinite(value) || value < 0) throw badRequest('Amount must be a non-negative number.');
+  return value;
+}
+
+function normalizeBands(bands) {
+  if (!Array.isArray(bands) || !bands.length) throw badRequest('At least one amount band is required.');
+  const normalized = bands.map((band) => ({
+    minAmount: Number(band.minAmount || 0),
+    maxAmount: band.maxAmount === undefined || band.maxAmount === null || band.maxAmount === '' ? undefined : Number(band.maxAmount),
+    mode: band.mode === 'parallel' ? 'parallel' : 'sequential',
+    approvers: (band.approvers || []).map((approver) => ({
+      role: approvalMatrix.normalizeRole(approver.role),
+      label: approver.label,
+      slaHours: approver.slaHours === undefined ? 24 : Number(approver.slaHours),
+      escalateToRole: approvalMatrix.normalizeRole(approver.escalateToRole) || undefined
+    }))
+  })).sort((a, b) => a.minAmount - b.minAmount);
+
+  normalized.forEach((band, index) => {
+    if (!band.approvers.length || band.approvers.some((approver) => !approver.role)) {
+      throw badRequest('Every band needs at least one approver role.');
+    }
+    if (band.maxAmount !== undefined && band.maxAmount < band.minAmount) {
+      throw badRequest('Band maximum cannot be below its minimum.');
+    }
+    const next = normalized[index + 1];
+    if (next && (band.maxAmount === undefined || band.maxAmount >= next.minAmount)) {
+      throw badRequest('Amount bands must not overlap.');
+    }
+  });
+  return normalized;
+}
+
 exports.createRequest = async (req, res) => {
   try {
     const hospitalId = requestHospitalId(req);
-    const { patientId, admissionId, details } = req.body;
+    const { patientId, admissionId, details, sourceType, sourceId } = req.body;
     const requestType = normalizeRequestType(req.body.requestType);
     if (!requestType) {
       return res.status(400).json({ success: false, error: 'Invalid request type.' });
     }
+    const amount = requestAmount(req.body);
 
     if (admissionId) {
       const admission = await IPDAdmission.findOne({ _id: admissionId, hospitalId }).select('_id');
@@ -60,15 +110,20 @@ exports.createRequest = async (req, res) => {
       }
     }
 
-    const request = await ApprovalRequest.create({
+    const request = new ApprovalRequest({
       hospitalId,
       requestType,
       patientId,
       admissionId,
       details,
+      amount,
+      sourceType,
+      sourceId: sourceId ? String(sourceId) : undefined,
       requestedBy: req.user._id,
       status: 'Pending'
     });
+    await approvalMatrix.applyPolicy(request);
+    await request.save();
 
     return res.status(201).json({ success: true, request });
   } catch (error) {
@@ -131,6 +186,18 @@ exports.updateRequestStatus = async (req, res) => {
       return res.status(409).json({ success: false, error: 'Request is already processed.' });
     }
 
+    if (request.steps?.length) {
+      const decided = await approvalMatrix.decide({
+        hospitalId,
+        requestId: request._id,
+        user: req.user,
+        decision: status === 'Approved' ? 'approve' : 'reject',
+        comments: req.body.comments || req.body.rejectionReason
+      });
+      return res.status(200).json({ success: true, request: decided });
+    }
+
+    approvalMatrix.assertLegacyApprover(request, req.user);
     request.status = status;
     request.approvedBy = req.user._id;
     request.approvedAt = new Date();
@@ -168,3 +235,143 @@ exports.deleteRequest = async (req, res) => {
     return sendError(res, error);
   }
 };
+
+exports.getInbox = async (req, res) => {
+  try {
+    const hospitalId = requestHospitalId(req);
+    const requests = await approvalMatrix.inbox({ hospitalId, user: req.user });
+    const now = new Date();
+    return res.status(200).json({
+      success: true,
+      requests,
+      overdue: requests.filter((request) => approvalMatrix.overdueSteps(request, now).length || request.steps.some((step) => step.escalatedAt)).length
+    });
+  } catch (error) {
+    console.error('Error fetching approval inbox:', error.message);
+    return sendError(res, error);
+  }
+};
+
+exports.getPolicies = async (req, res) => {
+  try {
+    const hospitalId = requestHospitalId(req);
+    const policies = await ApprovalPolicy.find({ hospitalId }).sort({ requestType: 1 });
+    return res.status(200).json({ success: true, policies, requestTypes: ApprovalRequest.REQUEST_TYPES });
+  } catch (error) {
+    console.error('Error fetching approval policies:', error.message);
+    return sendError(res, error);
+  }
+};
+
+exports.upsertPolicy = async (req, res) => {
+  try {
+    const hospitalId = requestHospitalId(req);
+    const requestType = normalizeRequestType(req.params.requestType || req.body.requestType);
+    if (!requestType) {
+      return res.status(400).json({ success: false, error: 'Invalid request type.' });
+    }
+    const policy = await ApprovalPolicy.findOneAndUpdate(
+      { hospitalId, requestType },
+      {
+        $set: {
+          name: req.body.name,
+          active: req.body.active !== false,
+          bands: normalizeBands(req.body.bands),
+          updatedBy: req.user._id
+        },
+        $setOnInsert: { createdBy: req.user._id }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    return res.status(200).json({ success: true, policy });
+  } catch (error) {
+    console.error('Error saving approval policy:', error.message);
+    return sendError(res, error);
+  }
+};
+
+exports.getDelegations = async (req, res) => {
+  try {
+    const hospitalId = requestHospitalId(req);
+    const query = { hospitalId, active: true };
+    if (!_hasActionPermission(req.user, 'approval_policy_manage')) {
+      query.$or = [{ delegatorId: req.user._id }, { delegateId: req.user._id }];
+    }
+    const delegations = await ApprovalDelegation.find(query)
+      .populate('delegatorId', 'name email role')
+      .populate('delegateId', 'name email role')
+      .sort({ startsAt: -1 });
+    return res.status(200).json({ success: true, delegations });
+  } catch (error) {
+    console.error('Error fetching approval delegations:', error.message);
+    return sendError(res, error);
+  }
+};
+
+exports.createDelegation = async (req, res) => {
+  try {
+    const hospitalId = requestHospitalId(req);
+    const { delegateId, startsAt, endsAt, reason } = req.body;
+    const delegatorId = req.body.delegatorId || req.user._id;
+
+    if (String(delegatorId) !== String(req.user._id) && !_hasActionPermission(req.user, 'approval_policy_manage')) {
+      return res.status(403).json({ success: false, error: 'You can only delegate your own approvals.' });
+    }
+    if (!mongoose.isValidObjectId(delegateId) || String(delegateId) === String(delegatorId)) {
+      return res.status(400).json({ success: false, error: 'A different delegate user is required.' });
+    }
+    const from = new Date(startsAt);
+    const to = new Date(endsAt);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ success: false, error: 'A valid delegation period is required.' });
+    }
+    const requestTypes = (req.body.requestTypes || []).map(normalizeRequestType);
+    if (requestTypes.some((type) => !type)) {
+      return res.status(400).json({ success: false, error: 'Invalid request type.' });
+    }
+
+    const [delegator, delegate] = await Promise.all([
+      User.findOne({ _id: delegatorId, hospital_id: hospitalId }).select('role').lean(),
+      User.findOne({ _id: delegateId, hospital_id: hospitalId }).select('_id').lean()
+    ]);
+    if (!delegator || !delegate) {
+      return res.status(404).json({ success: false, error: 'User not found for this hospital.' });
+    }
+
+    const delegation = await ApprovalDelegation.create({
+      hospitalId,
+      delegatorId,
+      delegatorRole: approvalMatrix.normalizeRole(delegator.role),
+      delegateId,
+      startsAt: from,
+      endsAt: to,
+      requestTypes,
+      reason,
+      createdBy: req.user._id
+    });
+    return res.status(201).json({ success: true, delegation });
+  } catch (error) {
+    console.error('Error creating approval delegation:', error.message);
+    return sendError(res, error);
+  }
+};
+
+exports.revokeDelegation = async (req, res) => {
+  try {
+    const hospitalId = requestHospitalId(req);
+    const query = { _id: req.params.id, hospitalId, active: true };
+    if (!_hasActionPermission(req.user, 'approval_policy_manage')) query.delegatorId = req.user._id;
+    const delegation = await ApprovalDelegation.findOneAndUpdate(
+      query,
+      { $set: { active: false, revokedAt: new Date(), revokedBy: req.user._id } },
+      { new: true }
+    );
+    if (!delegation) {
+      return res.status(404).json({ success: false, error: 'Active delegation not found.' });
+    }
+    return res.status(200).json({ success: true, delegation });
+  } catch (error) {
+    console.error('Error revoking approval delegation:', error.message);
+    return sendError(res, error);
+  }
+};
@@ -25,6 +25,7 @@ const {
   verifyMfaChallenge,
   verifySsoAssertion
 } = require('../services/nabhSecurity.service');
+const ssoService = require('../services/sso.service');
 
 const AUTH_COOKIE_NAME = process.env.AUTH_COOKIE_NAME || 'hims_access_token';
 
@@ -408,15 +409,15 @@ function mfaRequiredForUser(user, setting) {
   return mfaRequiredByPolicy(user, setting) || Boolean(user.mfa?.enabled);
 }
 
-async function completeSuccessfulLogin(user, hospital, req, res, securityOverrides = {}) {
+async function completeSuccessfulLogin(user, hospital, req, res, securityOverrides = {}, extraClaims = {}) {
   user.failedLoginAttempts = 0;
   user.lockedUntil = undefined;
   user.lastLoginAt = new Date();
   user.lastLoginIp = req.ip;
   await user.save({ validateBeforeSave: false });
   const tokenClaims = securityOverrides.mfaSetupRequired
-    ? { mfaSetupRequired: true }
-    : {};
+    ? { ...extraClaims, mfaSetupRequired: true }
+    : { ...extraClaims };
   const response = await enrichLoginResponse(user, hospital, tokenClaims);
   const licenseSnapshot = user.hospital_id ? await activeSnapshot(user.hospital_id, { refreshIfDue: true }) : null;
   if (licenseSnapshot) {
@@ -681,7 +682,103 @@ exports.changeOwnPassword = async (req, res) => {
   }
 };
 
-exports.logoutUser = async (_req, res) => {
+// OIDC / SAML single sign-on. The browser goes to the IdP via /sso/:hospitalId/login
+// and comes back to the callback or ACS, which redirects to the frontend with a
+// one-time hand-off code; /sso/exchange turns that code into the usual login.
+function ssoFailureRedirect(res, error) {
+  const code = encodeURIComponent(error.code || 'SSO_LOGIN_FAILED');
+  return res.redirect(302, ssoService.frontendUrl(`/login?ssoError=${code}`));
+}
+
+exports.ssoStart = async (req, res) => {
+  try {
+    const { redirectUrl } = await ssoService.beginLogin({ hospitalId: req.params.hospitalId, returnTo: req.query.returnTo });
+    return res.redirect(302, redirectUrl);
+  } catch (error) {
+    return ssoFailureRedirect(res, error);
+  }
+};
+
+exports.ssoOidcCallback = async (req, res) => {
+  try {
+    const { redirectUrl } = await ssoService.completeOidcLogin({ req, query: req.query });
+    return res.redirect(302, redirectUrl);
+  } catch (error) {
+    return ssoFailureRedirect(res, error);
+  }
+};
+
+exports.ssoSamlAcs = async (req, res) => {
+  try {
+    const { redirectUrl } = await ssoService.completeSamlLogin({ req, body: req.body });
+    return res.redirect(302, redirectUrl);
+  } catch (error) {
+    return ssoFailureRedirect(res, error);
+  }
+};
+
+exports.ssoExchange = async (req, res) => {
+  try {
+    const { user, session } = await ssoService.exchangeHandoffCode(String(req.body?.code || ''));
+    const hospital = await Hospital.findById(user.hospital_id);
+    try { await activeSnapshot(user.hospital_id, { refreshIfDue: true }); }
+    catch (licenseError) { return res.status(licenseError.statusCode || 403).json({ error: licenseError.message, message: licenseError.message, code: licenseError.code || 'LICENSE_INACTIVE', expiresAt: licenseError.expiresAt }); }
+    return completeSuccessfulLogin(user, hospital, req, res, { sso: true, ssoProtocol: session.protocol }, { ssoSession: String(session._id) });
+  } catch (error) {
+    return res.status(error.statusCode || 401).json({ error: error.message, code: error.code || 'SSO_LOGIN_FAILED' });
+  }
+};
+
+exports.ssoSamlMetadata = async (req, res) => {
+  try {
+    const xml = await ssoService.samlMetadata(req.params.hospitalId);
+    res.type('application/samlmetadata+xml');
+    return res.send(xml);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: error.message, code: error.code });
+  }
+};
+
+exports.ssoSamlLogout = async (req, res) => {
+  try {
+    const originalQuery = String(req.originalUrl || '').split('?')[1] || '';
+    const { redirectUrl } = await ssoService.samlLogout({ req, hospitalId: req.params.hospitalId, query: req.query, body: req.body || {}, originalQuery });
+    return res.redirect(302, redirectUrl);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: error.message, code: error.code || 'SSO_LOGOUT_FAILED' });
+  }
+};
+
+exports.ssoOidcBackchannelLogout = async (req, res) => {
+  try {
+    await ssoService.oidcBackchannelLogout({ req, hospitalId: req.params.hospitalId, logoutToken: req.body?.logout_token });
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).end();
+  } catch (error) {
+    // OIDC Back-Channel Logout 1.0 s2.8: invalid logout tokens get 400.
+    return res.status(400).json({ error: 'invalid_request', error_description: error.message });
+  }
+};
+
+exports.ssoOidcFrontchannelLogout = async (req, res) => {
+  try {
+    await ssoService.oidcFrontchannelLogout({ req, hospitalId: req.params.hospitalId, iss: req.query.iss, sid: req.query.sid });
+  } catch (_error) {
+    // Rendered in a hidden iframe by the IdP; there is no one to show an error to.
+  }
+  res.set('Cache-Control', 'no-cache, no-store');
+  return res.status(200).type('html').send('<!doctype html><title>Signed out</title>');
+};
+
+exports.logoutUser = async (req, res) => {
+  let ssoLogoutUrl = null;
+  if (req.auth?.ssoSession && req.user) {
+    try {
+      ({ logoutUrl: ssoLogoutUrl } = await ssoService.logoutSession({ req, sessionId: req.auth.ssoSession, userId: req.user._id }));
+    } catch (_error) {
+      // Logout always clears the HIMS cookie, even if the SSO bookkeeping fails.
+    }
+  }
   clearAuthCookie(res);
-  return res.json({ success: true, message: 'Logged out' });
+  return res.json({ success: true, message: 'Logged out', ...(ssoLogoutUrl ? { ssoLogoutUrl } : {}) });
 };
@@ -1,9 +1,15 @@
 const MedicineBatch = require('../models/MedicineBatch');
 const Medicine = require('../models/Medicine');
+const controlledDrugs = require('../services/controlledDrug.service');
+const { requestHospitalId } = require('../utils/hospitalScope');
 
 // Add new batch
 exports.addBatch = async (req, res) => {
   try {
+    const hospitalId = requestHospitalId(req);
+    const medicine = await Medicine.findOne({ _id: req.body.medicine_id, hospitalId }).select('name drugSchedule').lean();
+    if (!medicine) return res.status(404).json({ error: 'Medicine not found' });
+
     const batch = new MedicineBatch(req.body);
     await batch.save();
     
@@ -12,10 +18,14 @@ exports.addBatch = async (req, res) => {
       batch.medicine_id,
       { $inc: { stock_quantity: batch.quantity } }
     );
+
+    // Controlled stock added outside a purchase order still has to be
+    // received into the register, or later issues find it short.
+    await controlledDrugs.recordBatchReceipt({ hospitalId, medicine, batch, performedBy: req.user?._id });
     
     res.status(201).json(batch);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err.statusCode || 400).json({ error: err.message, code: err.code });
   }
 };
 
@@ -90,6 +100,16 @@ exports.getBatchesByMedicine = async (req, res) => {
 // Update batch
 exports.updateBatch = async (req, res) => {
   try {
+    // Controlled-drug quantities only change through witnessed stock
+    // adjustments, which post to the register.
+    const changesQuantity = ['quantity', 'quantity_base_units'].some((key) => req.body[key] !== undefined);
+    if (changesQuantity) {
+      const current = await MedicineBatch.findById(req.params.id).select('medicine_id').lean();
+      const medicine = current ? await Medicine.findById(current.medicine_id).select('drugSchedule').lean() : null;
+      if (controlledDrugs.isRegistered(medicine?.drugSchedule)) {
+        return res.status(409).json({ error: 'Use a stock adjustment to change the quantity of a controlled drug batch', code: 'CONTROLLED_DRUG_ADJUSTMENT_REQUIRED' });
+      }
+    }
     const batch = await MedicineBatch.findByIdAndUpdate(
       req.params.id,
       req.body,
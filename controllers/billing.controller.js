@@ -21,7 +21,7 @@ const billingPatientService = require('../services/billingPatient.service');
 const patientFinancial = require('../services/patientFinancial.service');
 const { resolveDoctorTariff } = require('../services/doctorTariff.service');
 const { resolveFinancialPolicy } = require('../services/financialPolicy.service');
-const { _hasActionPermission } = require('../middlewares/auth');
+const { checkApprovalGate } = require('../services/approvalMatrix.service');
 
 // ========== OPD billing scope + ledger helpers ==========
 function billScope(req, extra = {}) {
@@ -360,7 +360,28 @@ async function applyAuthoritativeOpdAppointmentPricing({ hospitalId, patientId,
 }
 
 
-async function createCanonicalAppointmentBilling(req, payload) {
+// Manual line pricing is a rate override. The approval matrix decides who may
+// allow it; without a hospital policy the pricing_override permission applies.
+async function authorizeRateOverride(req, amount) {
+  try {
+    return await checkApprovalGate({ req, requestType: 'RATE_OVERRIDE', amount, fallbackAction: 'pricing_override' });
+  } catch (error) {
+    if (error.code === 'ACTION_NOT_PERMITTED') {
+      error.message = 'Manual pricing requires pricing override permission';
+      error.code = 'MANUAL_PRICING_PERMISSION_REQUIRED';
+    }
+    throw error;
+  }
+}
+
+function isManualAppointmentLine(item) {
+  const type = String(item?.item_type || 'Other');
+  const description = String(item?.description || '');
+  return !(type === 'Consultation' || /consultation/i.test(description))
+    && !(type === 'Registration Fee' || /registration\s+fee/i.test(description));
+}
+
+async function createCanonicalAppointmentBilling(req, payload, gates = []) {
   const hospitalId = requestHospitalId(req);
   const appointment = await Appointment.findOne({
     _id: payload.appointment_id,
@@ -418,6 +439,10 @@ async function createCanonicalAppointmentBilling(req, payload) {
   const selectedMode = payload.selectedMode || payload.selectedBillingMode || appointment.selectedBillingMode;
   const created = [];
   const sourceItems = Array.isArray(payload.items) ? payload.items : [];
+  const manualItems = sourceItems.filter(isManualAppointmentLine);
+  if (manualItems.length) {
+    gates.push(await authorizeRateOverride(req, manualItems.reduce((sum, item) => sum + Number(item.amount || 0), 0)));
+  }
   let lineNo = 0;
   for (const item of sourceItems) {
     const type = String(item.item_type || 'Other');
@@ -441,12 +466,6 @@ async function createCanonicalAppointmentBilling(req, payload) {
       serviceType = 'registration';
       serviceCode = 'OPD-REG';
     } else {
-      if (!_hasActionPermission(req.user, 'pricing_override')) {
-        const error = new Error('Manual OPD line pricing requires pricing override permission');
-        error.statusCode = 403;
-        error.code = 'MANUAL_PRICING_PERMISSION_REQUIRED';
-        throw error;
-      }
       rate = Number(item.amount || 0) / Math.max(1, Number(item.quantity || 1));
       if (!description) throw Object.assign(new Error('Manual bill item description is required'), { statusCode: 400 });
     }
@@ -542,6 +561,7 @@ async function createCanonicalAppointmentBilling(req, payload) {
 
 // ========== MAIN CREATE BILL FUNCTION ==========
 exports.createBill = async (req, res) => {
+  const approvalGates = [];
   try {
     const {
       patient_id,
@@ -578,7 +598,7 @@ exports.createBill = async (req, res) => {
         status,
         transaction_id,
         notes
-      });
+      }, approvalGates);
       return res.status(result.alreadyExists ? 200 : 201).json({ success: true, ...result });
     }
     if (admission_id) {
@@ -608,15 +628,14 @@ exports.createBill = async (req, res) => {
         canonicalEndpoint: '/api/source-finance/:sourceModule/:sourceId/charge'
       });
     }
-    if (!_hasActionPermission(req.user, 'pricing_override')) {
-      return res.status(403).json({
-        success: false,
-        code: 'MANUAL_PRICING_PERMISSION_REQUIRED',
-        error: 'Direct manual billing requires pricing override permission'
-      });
-    }
     const pricingOverrideReason = String(req.body?.pricingOverrideReason || req.body?.overrideReason || notes || '').trim();
+    try {
+      approvalGates.push(await authorizeRateOverride(req, items.reduce((sum, item) => sum + Number(item.amount || 0), 0)));
+    } catch (error) {
+      return res.status(error.statusCode || 403).json({ success: false, code: error.code, error: error.message });
+    }
     if (!pricingOverrideReason) {
+      await Promise.all(approvalGates.map((gate) => gate.release()));
       return res.status(400).json({ success: false, code: 'PRICING_OVERRIDE_REASON_REQUIRED', error: 'Manual pricing reason is required' });
     }
 
@@ -662,10 +681,12 @@ exports.createBill = async (req, res) => {
     const resolvedDiscountAmount = money(manualPolicy.amounts.discountAmount || 0);
     const manualKey = String(req.get('Idempotency-Key') || req.body?.idempotencyKey || '').trim();
     if (!manualKey) {
+      await Promise.all(approvalGates.map((gate) => gate.release()));
       return res.status(400).json({ success: false, code: 'IDEMPOTENCY_KEY_REQUIRED', error: 'Manual billing requires an idempotency key' });
     }
     const existingManualBill = await Bill.findOne({ hospital_id: hospitalId, idempotency_key: manualKey });
     if (existingManualBill) {
+      await Promise.all(approvalGates.map((gate) => gate.release()));
       const existingInvoice = existingManualBill.invoice_id ? await Invoice.findOne({ _id: existingManualBill.invoice_id, hospital_id: hospitalId }) : null;
       return res.json({ success: true, reused: true, bill: existingManualBill, invoice: existingInvoice });
     }
@@ -820,6 +841,7 @@ exports.createBill = async (req, res) => {
     });
   } catch (err) {
     console.error('Error creating bill:', err);
+    await Promise.all(approvalGates.map((gate) => gate.release().catch(() => {})));
     res.status(400).json({ error: err.message });
   }
 };
@@ -1,11 +1,32 @@
 const { operationNow } = require('../utils/operationTimeContext');
 'use strict';
 
+const mongoose = require('mongoose');
 const BloodDonor = require('../models/BloodDonor');
 const BloodUnit = require('../models/BloodUnit');
 const BloodComponentRequest = require('../models/BloodComponentRequest');
+const BloodTransfusion = require('../models/BloodTransfusion');
+const SafetyIncident = require('../models/SafetyIncident');
 const DomainEvent = require('../models/DomainEvent');
+const User = require('../models/User');
 const { hospitalId, required, ref, sendError, postProviderJson } = require('../utils/functionalDomain');
+const { appendDomainEvent } = require('../services/auditEvent.service');
+const { queueNotification } = require('../services/nabhNotification.service');
+const {
+  TTI_MARKERS,
+  TTI_RESULTS,
+  CROSSMATCH_METHODS,
+  CROSSMATCH_VALIDITY_HOURS,
+  TRANSFUSION_WITNESS_ROLES,
+  REACTION_TYPES,
+  isCompatible,
+  releaseDecision,
+  componentExpiry,
+  planSeparation,
+  dispatchProblems,
+  reactionSigns,
+  incidentSeverity
+} = require('../services/bloodBankSafety.service');
 
 exports.registerDonor = async (req, res) => {
   try {
@@ -84,17 +105,21 @@ exports.addUnit = async (req, res) => {
       }
     }
 
+    const collectedAt = req.body.collectedAt || operationNow();
+
+    // New units are quarantined until TTI screening and grouping release them.
     const row = await BloodUnit.create({
       hospitalId: hospitalId(req),
       unitNumber: req.body.unitNumber || ref('BLD'),
       donorId: donor?._id,
       bloodGroup: req.body.bloodGroup,
       component: req.body.component,
-      collectedAt: req.body.collectedAt || operationNow(),
-      expiresAt: req.body.expiresAt,
+      collectedAt,
+      expiresAt: req.body.expiresAt || componentExpiry(req.body.component, collectedAt),
       storageLocation: req.body.storageLocation || 'Blood Bank',
       volumeMl: req.body.volumeMl,
-      status: 'available',
+      status: 'quarantine',
+      quarantineReasons: releaseDecision({}).reasons,
       createdBy: req.user._id,
       updatedBy: req.user._id
     });
@@ -290,6 +315,16 @@ exports.dispatch = async (req, res) => {
       });
     }
 
+    const problems = dispatchProblems({ request: row, units, now: operationNow() });
+
+    if (problems.length) {
+      return res.status(409).json({
+        error: 'Units cannot be issued until compatibility testing is complete',
+        code: 'BLOOD_ISSUE_BLOCKED',
+        details: problems
+      });
+    }
+
     await BloodUnit.updateMany(
       { _id: { $in: units.map(x => x._id) } },
       {
@@ -490,4 +525,663 @@ exports.uhiHistory = async (req, res) => {
     success: true,
     data
   });
-};
\ No newline at end of file
+};
+async function loadUnit(req, id) {
+  const unit = await BloodUnit.findOne({ _id: id, hospitalId: hospitalId(req) });
+  if (!unit) {
+    const e = new Error('Blood unit not found');
+    e.statusCode = 404;
+    throw e;
+  }
+  return unit;
+}
+
+async function loadRequest(req, id) {
+  const row = await BloodComponentRequest.findOne({ _id: id, hospitalId: hospitalId(req) });
+  if (!row) {
+    const e = new Error('Blood component request not found');
+    e.statusCode = 404;
+    throw e;
+  }
+  return row;
+}
+
+// Moves a tested unit to the status its results allow. Only units still held
+// in quarantine (or cleared but unissued) are moved.
+async function applyRelease(req, unit) {
+  if (!['quarantine', 'available'].includes(unit.status)) return unit;
+  const before = unit.status;
+  const decision = releaseDecision(unit);
+  unit.status = decision.status;
+  unit.quarantineReasons = decision.status === 'quarantine' ? decision.reasons : [];
+  unit.updatedBy = req.user._id;
+  if (decision.status === 'available' && before !== 'available') {
+    unit.releasedAt = operationNow();
+    unit.releasedBy = req.user._id;
+  }
+  if (decision.status === 'discarded') {
+    unit.discardReason = decision.reasons.join('; ');
+    unit.discardedAt = operationNow();
+  }
+  await unit.save();
+  if (before !== unit.status && unit.status !== 'quarantine') {
+    await appendDomainEvent({
+      req,
+      eventType: unit.status === 'available' ? 'blood_unit.released' : 'blood_unit.discarded',
+      entityType: 'BloodUnit',
+      entityId: unit._id,
+      hospitalId: hospitalId(req),
+      beforeSummary: { status: before },
+      afterSummary: { status: unit.status, unitNumber: unit.unitNumber },
+      comments: unit.discardReason
+    });
+  }
+  return unit;
+}
+
+exports.recordTtiScreening = async (req, res) => {
+  try {
+    const unit = await loadUnit(req, req.params.id);
+
+    if (unit.parentUnitId) {
+      return res.status(409).json({
+        error: 'Record screening on the whole-blood donation; components inherit it'
+      });
+    }
+
+    for (const marker of TTI_MARKERS) {
+      if (req.body[marker] === undefined) continue;
+      if (!TTI_RESULTS.includes(req.body[marker])) {
+        return res.status(400).json({
+          error: `${marker} must be one of ${TTI_RESULTS.join(', ')}`
+        });
+      }
+      if (unit.ttiScreening?.[marker] === 'reactive' && req.body[marker] !== 'reactive') {
+        return res.status(409).json({
+          error: `A reactive ${marker.toUpperCase()} result cannot be overwritten`
+        });
+      }
+    }
+
+    const screening = {
+      ...(unit.toObject().ttiScreening || {}),
+      ...Object.fromEntries(TTI_MARKERS.filter((marker) => req.body[marker] !== undefined).map((marker) => [marker, req.body[marker]])),
+      method: req.body.method || unit.ttiScreening?.method,
+      kitLot: req.body.kitLot || unit.ttiScreening?.kitLot,
+      testedAt: operationNow(),
+      testedBy: req.user._id
+    };
+
+    const units = [unit, ...await BloodUnit.find({ _id: { $in: unit.childUnitIds }, hospitalId: hospitalId(req) })];
+    for (const row of units) {
+      row.ttiScreening = screening;
+      await applyRelease(req, row);
+    }
+
+    const reactive = TTI_MARKERS.filter((marker) => screening[marker] === 'reactive');
+    let donorDeferred = false;
+
+    if (reactive.length && unit.donorId) {
+      const donor = await BloodDonor.findOneAndUpdate(
+        { _id: unit.donorId, hospitalId: hospitalId(req) },
+        {
+          $set: {
+            eligibilityStatus: 'deferred',
+            deferralReason: `TTI reactive on unit ${unit.unitNumber}: ${reactive.map((m) => m.toUpperCase()).join(', ')}`,
+            'screening.infectionScreenNegative': false
+          }
+        },
+        { new: true }
+      );
+      donorDeferred = Boolean(donor);
+    }
+
+    return res.json({
+      success: true,
+      data: unit,
+      components: units.slice(1),
+      donorDeferred
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.confirmGrouping = async (req, res) => {
+  try {
+    required(req.body, ['bloodGroup', 'antibodyScreen']);
+
+    const unit = await loadUnit(req, req.params.id);
+    const discrepancy = req.body.bloodGroup !== unit.bloodGroup;
+
+    const grouping = {
+      aboRh: req.body.bloodGroup,
+      antibodyScreen: req.body.antibodyScreen,
+      discrepancy,
+      confirmedAt: operationNow(),
+      confirmedBy: req.user._id
+    };
+
+    const units = [unit, ...await BloodUnit.find({ _id: { $in: unit.childUnitIds }, hospitalId: hospitalId(req) })];
+    for (const row of units) {
+      row.grouping = grouping;
+      await applyRelease(req, row);
+    }
+
+    return res.status(discrepancy ? 409 : 200).json({
+      success: !discrepancy,
+      data: unit,
+      ...(discrepancy ? { error: `Confirmed group ${req.body.bloodGroup} does not match labelled ${unit.bloodGroup}; unit held in quarantine` } : {})
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.separateUnit = async (req, res) => {
+  try {
+    const parent = await loadUnit(req, req.params.id);
+    const plan = planSeparation(parent, req.body.components, operationNow());
+
+    const children = await BloodUnit.insertMany(plan.map((item) => ({
+      hospitalId: parent.hospitalId,
+      unitNumber: item.unitNumber || `${parent.unitNumber}-${item.component.toUpperCase()}`,
+      donorId: parent.donorId,
+      parentUnitId: parent._id,
+      bloodGroup: parent.bloodGroup,
+      component: item.component,
+      collectedAt: parent.collectedAt,
+      expiresAt: item.expiresAt,
+      storageLocation: req.body.storageLocation || parent.storageLocation,
+      volumeMl: item.volumeMl,
+      ttiScreening: parent.ttiScreening,
+      grouping: parent.grouping,
+      status: releaseDecision(parent).status,
+      quarantineReasons: releaseDecision(parent).status === 'quarantine' ? releaseDecision(parent).reasons : [],
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    })));
+
+    parent.status = 'separated';
+    parent.separatedAt = operationNow();
+    parent.childUnitIds = children.map((x) => x._id);
+    parent.updatedBy = req.user._id;
+    await parent.save();
+
+    return res.status(201).json({
+      success: true,
+      data: parent,
+      components: children
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.recordPatientSample = async (req, res) => {
+  try {
+    required(req.body, ['sampleNumber', 'bloodGroup', 'antibodyScreen']);
+
+    const row = await loadRequest(req, req.params.id);
+
+    if (['dispatched', 'cancelled'].includes(row.status)) {
+      return res.status(409).json({
+        error: `Request status ${row.status} cannot be updated`
+      });
+    }
+
+    row.patientSample = {
+      sampleNumber: req.body.sampleNumber,
+      bloodGroup: req.body.bloodGroup,
+      antibodyScreen: req.body.antibodyScreen,
+      collectedAt: req.body.collectedAt || operationNow(),
+      recordedAt: operationNow(),
+      recordedBy: req.user._id
+    };
+
+    row.timeline.push({
+      activity: 'patient_sample_grouped',
+      at: operationNow(),
+      by: req.user._id,
+      note: `${req.body.bloodGroup}, antibody screen ${req.body.antibodyScreen}`
+    });
+
+    await row.save();
+
+    return res.json({
+      success: true,
+      data: row,
+      groupMismatch: req.body.bloodGroup !== row.bloodGroup
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.recordCrossmatch = async (req, res) => {
+  try {
+    required(req.body, ['unitId', 'method', 'result']);
+
+    if (!CROSSMATCH_METHODS.includes(req.body.method)) {
+      return res.status(400).json({
+        error: `method must be one of ${CROSSMATCH_METHODS.join(', ')}`
+      });
+    }
+
+    const row = await loadRequest(req, req.params.id);
+
+    if (!row.patientSample?.bloodGroup) {
+      return res.status(409).json({
+        error: 'Record the patient grouping sample before crossmatching'
+      });
+    }
+
+    if (req.body.sampleNumber && String(req.body.sampleNumber) !== String(row.patientSample.sampleNumber)) {
+      return res.status(409).json({
+        error: `Sample ${req.body.sampleNumber} has been superseded by sample ${row.patientSample.sampleNumber}`,
+        code: 'CROSSMATCH_SAMPLE_SUPERSEDED'
+      });
+    }
+
+    if (!row.reservedUnitIds.some((id) => String(id) === String(req.body.unitId))) {
+      return res.status(409).json({
+        error: 'Unit is not reserved for this request'
+      });
+    }
+
+    const unit = await loadUnit(req, req.body.unitId);
+    const aboCompatible = isCompatible(unit.component, unit.bloodGroup, row.patientSample.bloodGroup);
+
+    if (req.body.result === 'compatible' && !aboCompatible) {
+      return res.status(409).json({
+        error: `${unit.bloodGroup} ${unit.component} is not ABO/Rh compatible with patient group ${row.patientSample.bloodGroup}`
+      });
+    }
+
+    if (req.body.method === 'electronic' && row.patientSample.antibodyScreen !== 'negative') {
+      return res.status(409).json({
+        error: 'Electronic crossmatch needs a negative patient antibody screen'
+      });
+    }
+
+    const testedAt = operationNow();
+
+    row.crossmatches.push({
+      unitId: unit._id,
+      unitNumber: unit.unitNumber,
+      unitBloodGroup: unit.bloodGroup,
+      sampleNumber: row.patientSample.sampleNumber,
+      patientBloodGroup: row.patientSample.bloodGroup,
+      method: req.body.method,
+      result: req.body.result,
+      testedAt,
+      validUntil: new Date(testedAt.getTime() + CROSSMATCH_VALIDITY_HOURS * 3600000),
+      testedBy: req.user._id,
+      notes: req.body.notes
+    });
+
+    row.timeline.push({
+      activity: `crossmatch_${req.body.result}`,
+      at: testedAt,
+      by: req.user._id,
+      note: `${unit.unitNumber} (${req.body.method})`
+    });
+
+    await row.save();
+
+    return res.status(201).json({
+      success: true,
+      data: row
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.emergencyRelease = async (req, res) => {
+  try {
+    required(req.body, ['reason']);
+
+    const row = await loadRequest(req, req.params.id);
+
+    if (row.priority !== 'emergency') {
+      return res.status(409).json({
+        error: 'Uncrossmatched release is only allowed for emergency requests'
+      });
+    }
+
+    row.emergencyRelease = {
+      reason: req.body.reason,
+      authorisedBy: req.user._id,
+      authorisedAt: operationNow()
+    };
+
+    row.timeline.push({
+      activity: 'emergency_release_authorised',
+      at: operationNow(),
+      by: req.user._id,
+      note: req.body.reason
+    });
+
+    await row.save();
+
+    await appendDomainEvent({
+      req,
+      eventType: 'blood_request.emergency_release',
+      entityType: 'BloodComponentRequest',
+      entityId: row._id,
+      hospitalId: hospitalId(req),
+      patientId: row.patientId,
+      reasonCode: 'UNCROSSMATCHED_RELEASE',
+      comments: req.body.reason
+    });
+
+    return res.json({
+      success: true,
+      data: row
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+function vitalsFrom(body, phase, userId) {
+  return {
+    phase,
+    at: operationNow(),
+    temperature: body.temperature,
+    pulse: body.pulse,
+    systolic: body.systolic,
+    diastolic: body.diastolic,
+    respiratoryRate: body.respiratoryRate,
+    spo2: body.spo2,
+    recordedBy: userId
+  };
+}
+
+exports.startTransfusion = async (req, res) => {
+  try {
+    required(req.body, ['requestId', 'unitId', 'vitals']);
+
+    const check = req.body.bedsideCheck || {};
+
+    if (check.patientIdentityConfirmed !== true || check.unitLabelMatched !== true || check.expiryChecked !== true) {
+      return res.status(400).json({
+        error: 'Bedside identity, unit label and expiry checks must all be confirmed'
+      });
+    }
+
+    if (!check.witnessedBy || String(check.witnessedBy) === String(req.user._id)) {
+      return res.status(400).json({
+        error: 'A second staff member must witness the bedside check'
+      });
+    }
+
+    const witness = mongoose.isValidObjectId(check.witnessedBy)
+      ? await User.findOne({ _id: check.witnessedBy, hospital_id: hospitalId(req), is_active: { $ne: false } }).select('_id role').lean()
+      : null;
+
+    if (!witness || !TRANSFUSION_WITNESS_ROLES.includes(witness.role)) {
+      return res.status(400).json({
+        error: 'The witness must be an active doctor, nurse or clinical staff member of this hospital'
+      });
+    }
+
+    const request = await loadRequest(req, req.body.requestId);
+    const unit = await loadUnit(req, req.body.unitId);
+
+    if (request.status !== 'dispatched' || unit.status !== 'dispatched' || String(unit.reservedForRequestId) !== String(request._id)) {
+      return res.status(409).json({
+        error: 'Only a unit issued against this request can be transfused'
+      });
+    }
+
+    const running = await BloodTransfusion.findOne({
+      hospitalId: hospitalId(req),
+      $or: [{ unitId: unit._id }, { patientId: request.patientId, status: 'in_progress' }]
+    }).select('transfusionNumber unitId status').lean();
+
+    if (running) {
+      return res.status(409).json({
+        error: String(running.unitId) === String(unit._id)
+          ? `Unit ${unit.unitNumber} already has transfusion ${running.transfusionNumber}`
+          : `Transfusion ${running.transfusionNumber} is still in progress for this patient`,
+        code: 'TRANSFUSION_IN_PROGRESS'
+      });
+    }
+
+    if (unit.expiresAt && unit.expiresAt <= operationNow()) {
+      return res.status(409).json({
+        error: 'Unit has expired'
+      });
+    }
+
+    const row = await BloodTransfusion.create({
+      hospitalId: hospitalId(req),
+      transfusionNumber: ref('TFN'),
+      requestId: request._id,
+      unitId: unit._id,
+      unitNumber: unit.unitNumber,
+      component: unit.component,
+      patientId: request.patientId,
+      admissionId: request.admissionId,
+      bedsideCheck: {
+        patientIdentityConfirmed: true,
+        unitLabelMatched: true,
+        expiryChecked: true,
+        verifiedBy: req.user._id,
+        witnessedBy: witness._id
+      },
+      startedAt: operationNow(),
+      startedBy: req.user._id,
+      vitals: [vitalsFrom(req.body.vitals, 'pre', req.user._id)],
+      notes: req.body.notes
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: row
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+async function loadTransfusion(req) {
+  const row = await BloodTransfusion.findOne({ _id: req.params.id, hospitalId: hospitalId(req) });
+  if (!row) {
+    const e = new Error('Transfusion not found');
+    e.statusCode = 404;
+    throw e;
+  }
+  return row;
+}
+
+exports.recordTransfusionVitals = async (req, res) => {
+  try {
+    const row = await loadTransfusion(req);
+
+    if (row.status !== 'in_progress') {
+      return res.status(409).json({
+        error: `Transfusion is ${row.status}`
+      });
+    }
+
+    const phase = req.body.phase === '15_min' ? '15_min' : 'during';
+    const vitals = vitalsFrom(req.body, phase, req.user._id);
+    vitals.flags = reactionSigns(row.vitals.find((v) => v.phase === 'pre'), vitals);
+    row.vitals.push(vitals);
+    await row.save();
+
+    return res.json({
+      success: true,
+      data: row,
+      reactionSigns: vitals.flags,
+      stopAdvised: vitals.flags.length > 0
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.completeTransfusion = async (req, res) => {
+  try {
+    required(req.body, ['vitals']);
+
+    const row = await loadTransfusion(req);
+
+    if (row.status !== 'in_progress') {
+      return res.status(409).json({
+        error: `Transfusion is ${row.status}`
+      });
+    }
+
+    const vitals = vitalsFrom(req.body.vitals, 'post', req.user._id);
+    vitals.flags = reactionSigns(row.vitals.find((v) => v.phase === 'pre'), vitals);
+    row.vitals.push(vitals);
+    row.status = 'completed';
+    row.endedAt = operationNow();
+    row.endedBy = req.user._id;
+    row.volumeTransfusedMl = req.body.volumeTransfusedMl;
+    await row.save();
+
+    await BloodUnit.updateOne(
+      { _id: row.unitId, hospitalId: hospitalId(req) },
+      { $set: { status: 'transfused', updatedBy: req.user._id } }
+    );
+
+    return res.json({
+      success: true,
+      data: row,
+      reactionSigns: vitals.flags
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.reportTransfusionReaction = async (req, res) => {
+  try {
+    required(req.body, ['reactionType', 'severity']);
+
+    if (!REACTION_TYPES.includes(req.body.reactionType)) {
+      return res.status(400).json({
+        error: `reactionType must be one of ${REACTION_TYPES.join(', ')}`
+      });
+    }
+
+    const row = await loadTransfusion(req);
+
+    if (row.reaction?.occurred) {
+      return res.status(409).json({
+        error: 'A reaction has already been reported for this transfusion'
+      });
+    }
+
+    if (req.body.vitals) {
+      const vitals = vitalsFrom(req.body.vitals, 'reaction', req.user._id);
+      vitals.flags = reactionSigns(row.vitals.find((v) => v.phase === 'pre'), vitals);
+      row.vitals.push(vitals);
+    }
+
+    const reaction = {
+      occurred: true,
+      reactionType: req.body.reactionType,
+      severity: req.body.severity,
+      symptoms: req.body.symptoms || [],
+      onsetAt: req.body.onsetAt || operationNow(),
+      actionsTaken: req.body.actionsTaken,
+      reportedAt: operationNow(),
+      reportedBy: req.user._id
+    };
+
+    const incident = await SafetyIncident.create({
+      hospitalId: hospitalId(req),
+      incidentNumber: ref('INC'),
+      incidentType: 'transfusion',
+      patientId: row.patientId,
+      category: `Transfusion reaction: ${reaction.reactionType.replace(/_/g, ' ')}`,
+      severity: incidentSeverity(reaction),
+      occurredAt: reaction.onsetAt,
+      details: {
+        transfusionId: row._id,
+        transfusionNumber: row.transfusionNumber,
+        unitNumber: row.unitNumber,
+        component: row.component,
+        requestId: row.requestId,
+        reactionType: reaction.reactionType,
+        reactionSeverity: reaction.severity,
+        symptoms: reaction.symptoms,
+        actionsTaken: reaction.actionsTaken,
+        vitals: row.vitals
+      },
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    reaction.incidentId = incident._id;
+    row.reaction = reaction;
+
+    if (row.status === 'in_progress') {
+      row.status = 'stopped';
+      row.endedAt = operationNow();
+      row.endedBy = req.user._id;
+      row.volumeTransfusedMl = req.body.volumeTransfusedMl;
+      await BloodUnit.updateOne(
+        { _id: row.unitId, hospitalId: hospitalId(req) },
+        { $set: { status: 'transfused', updatedBy: req.user._id } }
+      );
+    }
+
+    await row.save();
+
+    await queueNotification({
+      hospitalId: hospitalId(req),
+      eventType: 'safety_transfusion',
+      correlationId: incident.incidentNumber,
+      recipientType: 'staff',
+      recipientName: 'blood_bank',
+      requestedChannels: ['portal'],
+      priority: ['high', 'critical'].includes(incident.severity) ? 'critical' : 'high',
+      subject: `Transfusion reaction ${incident.incidentNumber}`,
+      body: `${incident.category} on unit ${row.unitNumber}`,
+      patientId: row.patientId,
+      payload: {
+        incidentId: incident._id,
+        transfusionId: row._id,
+        unitNumber: row.unitNumber
+      },
+      createdBy: req.user._id
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: row,
+      incident
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.listTransfusions = async (req, res) => {
+  const f = {
+    hospitalId: hospitalId(req)
+  };
+
+  for (const key of ['patientId', 'requestId', 'unitId', 'status']) {
+    if (req.query[key]) f[key] = req.query[key];
+  }
+
+  if (req.query.reaction === 'true') {
+    f['reaction.occurred'] = true;
+  }
+
+  const data = await BloodTransfusion
+    .find(f)
+    .sort({ startedAt: -1 })
+    .limit(200)
+    .lean();
+
+  return res.json({ success: true, data });
+};
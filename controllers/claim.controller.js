@@ -4,6 +4,7 @@ const SponsorLedgerEntry = require('../models/SponsorLedgerEntry');
 const { requireHospitalId } = require('../services/tenantScope.service');
 const { appendDomainEvent } = require('../services/auditEvent.service');
 const claimService = require('../services/claim.service');
+const claimAnalytics = require('../services/claimAnalytics.service');
 
 function fail(res, error) {
   res.status(error.statusCode || 400).json({ success: false, error: error.message, readiness: error.readiness, details: error.details });
@@ -220,6 +221,27 @@ exports.report = async (req, res) => {
   } catch (error) { fail(res, error); }
 };
 
+exports.ageing = async (req, res) => {
+  try {
+    const data = await claimAnalytics.receivablesAgeing({ hospitalId: requireHospitalId(req), query: req.query });
+    res.json({ success: true, data });
+  } catch (error) { fail(res, error); }
+};
+
+exports.denials = async (req, res) => {
+  try {
+    const data = await claimAnalytics.denialAnalysis({ hospitalId: requireHospitalId(req), query: req.query });
+    res.json({ success: true, data });
+  } catch (error) { fail(res, error); }
+};
+
+exports.deductedLines = async (req, res) => {
+  try {
+    const data = await claimAnalytics.deductedLines({ hospitalId: requireHospitalId(req), query: req.query });
+    res.json({ success: true, data });
+  } catch (error) { fail(res, error); }
+};
+
 exports.ledger = async (req, res) => {
   try {
     const data = await claimService.ledgerReport({ hospitalId: requireHospitalId(req), query: req.query });
@@ -0,0 +1,87 @@
+const coding = require('../services/clinicalCoding.service');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+// ============================================
+// Helpers
+// ============================================
+
+function asyncHandler(fn) {
+  return async (req, res, next) => {
+    try {
+      await fn(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// ============================================
+// Coding Queue & Workbench
+// ============================================
+
+exports.queue = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await coding.codingQueue(requireHospitalId(req), req.query)
+  });
+});
+
+exports.workbench = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await coding.workbench(requireHospitalId(req), req.params.admissionId)
+  });
+});
+
+exports.save = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await coding.saveCoding(req, requireHospitalId(req), req.params.admissionId, req.body || {})
+  });
+});
+
+exports.complete = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await coding.completeCoding(req, requireHospitalId(req), req.params.admissionId)
+  });
+});
+
+exports.reopen = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await coding.reopenCoding(req, requireHospitalId(req), req.params.admissionId, req.body || {})
+  });
+});
+
+// ============================================
+// Coder / Clinician Queries
+// ============================================
+
+exports.myQueries = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await coding.myQueries(req, requireHospitalId(req), req.query)
+  });
+});
+
+exports.raiseQuery = asyncHandler(async (req, res) => {
+  res.status(201).json({
+    success: true,
+    data: await coding.raiseQuery(req, requireHospitalId(req), req.params.admissionId, req.body || {})
+  });
+});
+
+exports.replyToQuery = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await coding.replyToQuery(req, requireHospitalId(req), req.params.admissionId, req.params.queryId, req.body || {})
+  });
+});
+
+exports.closeQuery = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await coding.closeQuery(req, requireHospitalId(req), req.params.admissionId, req.params.queryId)
+  });
+});
@@ -0,0 +1,55 @@
+const controlledDrugs = require('../services/controlledDrug.service');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function sendError(res, error) {
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function respond(handler, status = 200) {
+  return async (req, res) => {
+    try {
+      const data = await handler(req, requireHospitalId(req));
+      res.status(status).json({ success: true, data });
+    } catch (error) { sendError(res, error); }
+  };
+}
+
+exports.listRegister = respond((req, hospitalId) => controlledDrugs.listRegister({ hospitalId, query: req.query }));
+
+exports.monthlyRegister = respond((req, hospitalId) => controlledDrugs.monthlyRegister({ hospitalId, query: req.query }));
+
+exports.exportH1Register = async (req, res) => {
+  try {
+    const file = await controlledDrugs.h1Register({ req, hospitalId: requireHospitalId(req), month: req.query.month });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=${file.filename}`);
+    res.status(200).send(file.content);
+  } catch (error) { sendError(res, error); }
+};
+
+exports.pharmacyBalances = respond((req, hospitalId) => controlledDrugs.balances({ hospitalId }));
+
+exports.listCabinets = respond((req, hospitalId) => controlledDrugs.listCabinets({ hospitalId, wardId: req.query.wardId }));
+
+exports.createCabinet = respond((req, hospitalId) => controlledDrugs.saveCabinet({ req, hospitalId, body: req.body }), 201);
+
+exports.updateCabinet = respond((req, hospitalId) => controlledDrugs.saveCabinet({ req, hospitalId, id: req.params.id, body: req.body }));
+
+exports.cabinetBalances = respond((req, hospitalId) => controlledDrugs.balances({ hospitalId, storeType: 'cabinet', cabinetId: req.params.id }));
+
+exports.receiveIntoCabinet = respond((req, hospitalId) => controlledDrugs.receiveIntoCabinet({
+  req, hospitalId, cabinetId: req.params.id, saleId: req.body?.saleId, witnessId: req.body?.witnessId
+}), 201);
+
+exports.administer = respond((req, hospitalId) => controlledDrugs.cabinetMovement({
+  req, hospitalId, cabinetId: req.params.id, entryType: 'administration', body: req.body
+}), 201);
+
+exports.waste = respond((req, hospitalId) => controlledDrugs.cabinetMovement({
+  req, hospitalId, cabinetId: req.params.id, entryType: 'wastage', body: req.body
+}), 201);
@@ -0,0 +1,59 @@
+const cssd = require('../services/cssd.service');
+const CssdInstrumentSet = require('../models/CssdInstrumentSet');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function sendError(res, error) {
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function respond(handler, status = 200) {
+  return async (req, res) => {
+    try {
+      const data = await handler(req, requireHospitalId(req));
+      res.status(status).json({ success: true, data });
+    } catch (error) { sendError(res, error); }
+  };
+}
+
+exports.listSets = respond((req, hospitalId) => CssdInstrumentSet.find({ hospitalId, ...(req.query.active === 'false' ? {} : { isActive: true }) })
+  .sort({ code: 1 })
+  .lean());
+
+exports.createSet = respond((req, hospitalId) => cssd.saveSetMaster({ req, hospitalId, body: req.body }), 201);
+
+exports.updateSet = respond((req, hospitalId) => cssd.saveSetMaster({ req, hospitalId, id: req.params.id, body: req.body }));
+
+exports.registerTray = respond((req, hospitalId) => cssd.registerTray({ req, hospitalId, body: req.body }), 201);
+
+exports.listTrays = respond((req, hospitalId) => cssd.listTrays({ hospitalId, status: req.query.status, setId: req.query.setId }));
+
+exports.getTray = respond((req, hospitalId) => cssd.getTray({ hospitalId, barcode: req.params.barcode }));
+
+exports.trayAction = respond((req, hospitalId) => cssd.trayAction({
+  req, hospitalId, barcode: req.params.barcode, action: req.params.action, body: req.body
+}));
+
+exports.issueTray = respond((req, hospitalId) => cssd.issueTray({ req, hospitalId, barcode: req.params.barcode, body: req.body }));
+
+exports.createLoad = respond((req, hospitalId) => cssd.createLoad({ req, hospitalId, body: req.body }), 201);
+
+exports.listLoads = respond((req, hospitalId) => cssd.listLoads({ hospitalId, status: req.query.status }));
+
+exports.traceLoad = respond((req, hospitalId) => cssd.traceLoad({ hospitalId, id: req.params.id }));
+
+exports.completeLoad = respond((req, hospitalId) => cssd.completeLoad({ req, hospitalId, id: req.params.id, body: req.body }));
+
+exports.recordBiologicalIndicator = respond((req, hospitalId) => cssd.recordBiologicalIndicator({ req, hospitalId, id: req.params.id, body: req.body }));
+
+exports.recallLoad = respond((req, hospitalId) => cssd.recallLoad({ req, hospitalId, id: req.params.id, reason: req.body?.reason }));
+
+exports.caseTrays = respond((req, hospitalId) => cssd.caseTrays({ hospitalId, caseId: req.params.caseId }));
+
+exports.recordCaseTray = respond((req, hospitalId) => cssd.recordCaseTray({
+  req, hospitalId, caseId: req.params.caseId, barcode: req.body?.barcode
+}), 201);
@@ -7,6 +7,8 @@ const RadiologyRequest = require('../models/RadiologyRequest');
 const IPDCharge = require('../models/IPDCharge');
 const { requireHospitalId } = require('../services/tenantScope.service');
 const labWorkflow = require('../services/labWorkflow.service');
+const { assertQcAllowsVerification } = require('../services/labQuality.service');
+const { runAutoVerification, holdForManualReview } = require('../services/labAutoVerification.service');
 const radiologyWorkflow = require('../services/radiologyWorkflow.service');
 const { quotePricing, pricingSnapshot } = require('../services/pricingEngine.service');
 const { recordPackageUtilization } = require('../services/packageAdjudication.service');
@@ -343,6 +345,15 @@ exports.enterLabResults = async (req, res) => {
       });
       request.critical.notifiedAt = operationNow(); request.critical.notifiedBy = req.user._id; await request.save();
     }
+    // The result and any critical alert are already saved; a failed rule run
+    // leaves the request for manual review instead of failing the entry.
+    try {
+      await runAutoVerification({ req, hospitalId, request });
+    } catch (error) {
+      console.error('[Lab] auto-verification failed:', error.message);
+      await holdForManualReview({ req, hospitalId, request, error })
+        .catch((holdError) => console.error('[Lab] could not hold result for review:', holdError.message));
+    }
     res.json({ success: true, data, criticalNotification });
   } catch (e) {
     sendError(res, e);
@@ -356,6 +367,13 @@ exports.verifyLab = async (req, res) => {
       return res.status(409).json({ success: false, error: 'Final reports are immutable. Use controlled amendment.' });
     }
 
+    try {
+      await assertQcAllowsVerification({ hospitalId, labTestId: request.labTestId });
+    } catch (e) {
+      if (e.code !== 'LAB_QC_REJECTED') throw e;
+      return res.status(409).json({ success: false, error: e.message, code: e.code, analytes: e.analytes });
+    }
+
     const data = await labWorkflow.transition({
       req,
       request,
@@ -1,9 +1,24 @@
 'use strict';
 
+const mongoose = require('mongoose');
 const EmergencyEncounter = require('../models/EmergencyEncounter');
 const Patient = require('../models/Patient');
 const Appointment = require('../models/Appointment');
 const IPDAdmission = require('../models/IPDAdmission');
+const Doctor = require('../models/Doctor');
+const { createAdmission } = require('./ipdAdmission.controller');
+const { appendDomainEvent } = require('../services/auditEvent.service');
+const { getOrCreateNabhSetting } = require('../services/nabhSetting.service');
+const {
+  ACTIVE_STATUSES,
+  DISPOSITION_STATUS,
+  resolveTriageLevel,
+  encounterMetrics,
+  boardRow,
+  sortBoard,
+  summarizeBoard,
+  assertActive
+} = require('../services/emergencyTriage.service');
 const { queueNotification } = require('../services/nabhNotification.service');
 const { hospitalId, required, ref, sendError } = require('../utils/functionalDomain');
 
@@ -103,6 +118,12 @@ exports.register = async (req, res) => {
       };
     }
 
+    let triageLevel;
+    if (req.body.triage?.level) {
+      const settings = await emergencySettings(req);
+      triageLevel = resolveTriageLevel(req.body.triage.scale || settings.triageScale, req.body.triage.level, settings.targets);
+    }
+
     const row = await EmergencyEncounter.create({
       hospitalId: hid,
       emergencyNumber: req.body.emergencyNumber || ref('ER'),
@@ -113,7 +134,13 @@ exports.register = async (req, res) => {
       readmissionReference: req.body.readmission ? previous?._id : undefined,
       arrivalAt: req.body.arrivalAt || new Date(),
       triage: {
-        category: req.body.triage?.category || 'yellow',
+        category: triageLevel?.category || req.body.triage?.category || 'yellow',
+        scale: triageLevel?.scale,
+        level: triageLevel?.level,
+        label: triageLevel?.label,
+        targetMinutes: triageLevel?.targetMinutes,
+        reason: req.body.triage?.reason,
+        painScore: req.body.triage?.painScore,
         chiefComplaint: req.body.triage?.chiefComplaint,
         vitals: req.body.triage?.vitals,
         triagedBy: req.user._id,
@@ -368,4 +395,361 @@ exports.respondCode = async (req, res) => {
   } catch (e) {
     return sendError(res, e);
   }
-};
\ No newline at end of file
+};
+async function loadEncounter(req) {
+  const row = await EmergencyEncounter.findOne({
+    _id: req.params.id,
+    hospitalId: hospitalId(req)
+  });
+  if (!row) {
+    const error = new Error('Emergency encounter not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return row;
+}
+
+async function assertActiveDoctor(req, doctorId) {
+  const doctor = mongoose.isValidObjectId(doctorId)
+    && await Doctor.exists({ _id: doctorId, hospitalId: hospitalId(req), is_active: { $ne: false } });
+  if (!doctor) {
+    const error = new Error('Doctor not found in this hospital');
+    error.statusCode = 400;
+    throw error;
+  }
+  return doctor._id;
+}
+
+async function emergencySettings(req) {
+  const setting = await getOrCreateNabhSetting(hospitalId(req), req.user?._id);
+  return {
+    triageScale: setting.emergency?.triageScale || 'ATS',
+    targets: setting.emergency?.doorToDoctorTargetMinutes || []
+  };
+}
+
+function triageSummary(triage) {
+  return triage
+    ? { scale: triage.scale, level: triage.level, category: triage.category, targetMinutes: triage.targetMinutes }
+    : undefined;
+}
+
+// Runs another controller in-process and captures its JSON response, so ED
+// dispositions reuse the IPD admission workflow instead of duplicating it.
+function invokeController(handler, req, body) {
+  return new Promise((resolve, reject) => {
+    const proxy = Object.create(req);
+    proxy.body = body;
+    let statusCode = 200;
+    const res = {
+      status(code) {
+        statusCode = code;
+        return res;
+      },
+      json(payload) {
+        resolve({ statusCode, payload });
+        return res;
+      }
+    };
+    Promise.resolve(handler(proxy, res)).catch(reject);
+  });
+}
+
+exports.triage = async (req, res) => {
+  try {
+    required(req.body, ['level']);
+
+    const row = await loadEncounter(req);
+    assertActive(row);
+
+    const settings = await emergencySettings(req);
+    const resolved = resolveTriageLevel(req.body.scale || settings.triageScale, req.body.level, settings.targets);
+    const before = triageSummary(row.triage?.level ? row.triage : null);
+
+    if (row.triage?.level) {
+      row.triageHistory.push({
+        scale: row.triage.scale,
+        level: row.triage.level,
+        label: row.triage.label,
+        category: row.triage.category,
+        targetMinutes: row.triage.targetMinutes,
+        reason: row.triage.reason,
+        vitals: row.triage.vitals,
+        triagedBy: row.triage.triagedBy,
+        triagedAt: row.triage.triagedAt
+      });
+    }
+
+    row.triage = {
+      scale: resolved.scale,
+      level: resolved.level,
+      label: resolved.label,
+      category: resolved.category,
+      targetMinutes: resolved.targetMinutes,
+      reason: req.body.reason,
+      painScore: req.body.painScore,
+      chiefComplaint: req.body.chiefComplaint || row.triage?.chiefComplaint,
+      vitals: req.body.vitals || row.triage?.vitals,
+      triagedBy: req.user._id,
+      triagedAt: new Date()
+    };
+    if (row.status === 'registered') row.status = 'triaged';
+    row.updatedBy = req.user._id;
+    await row.save();
+
+    await appendDomainEvent({
+      req,
+      eventType: before ? 'emergency.retriaged' : 'emergency.triaged',
+      entityType: 'EmergencyEncounter',
+      entityId: row._id,
+      hospitalId: row.hospitalId,
+      patientId: row.patientId,
+      beforeSummary: before,
+      afterSummary: triageSummary(row.triage),
+      comments: req.body.reason
+    });
+
+    return res.json({
+      success: true,
+      data: row
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.board = async (req, res) => {
+  try {
+    const filter = {
+      hospitalId: hospitalId(req),
+      status: { $in: ACTIVE_STATUSES }
+    };
+    if (req.query.level) filter['triage.level'] = Number(req.query.level);
+    if (req.query.doctorId) filter.assignedDoctorId = req.query.doctorId;
+
+    const rows = await EmergencyEncounter
+      .find(filter)
+      .populate('patientId', 'uhid first_name last_name gender age')
+      .populate('assignedDoctorId', 'firstName lastName')
+      .limit(500)
+      .lean();
+
+    const now = new Date();
+    const board = sortBoard(rows.map((row) => boardRow(row, now)));
+
+    return res.json({
+      success: true,
+      data: board,
+      summary: summarizeBoard(board),
+      generatedAt: now
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.assign = async (req, res) => {
+  try {
+    const row = await loadEncounter(req);
+    assertActive(row);
+
+    if (req.body.doctorId) {
+      row.assignedDoctorId = await assertActiveDoctor(req, req.body.doctorId);
+    }
+    if (req.body.bay !== undefined) {
+      row.bay = { code: req.body.bay, assignedAt: new Date() };
+    }
+
+    row.updatedBy = req.user._id;
+    await row.save();
+
+    return res.json({
+      success: true,
+      data: row
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.markSeen = async (req, res) => {
+  try {
+    const row = await loadEncounter(req);
+    assertActive(row);
+
+    if (req.body.doctorId) row.assignedDoctorId = await assertActiveDoctor(req, req.body.doctorId);
+    if (!row.assignedDoctorId) {
+      return res.status(400).json({ error: 'Assign a doctor before marking the patient as seen' });
+    }
+    if (!row.doctorSeenAt) row.doctorSeenAt = req.body.seenAt || new Date();
+    row.status = 'in_treatment';
+    row.updatedBy = req.user._id;
+    await row.save();
+
+    return res.json({
+      success: true,
+      data: row,
+      metrics: encounterMetrics(row)
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+async function closeEncounter(req, row, type, details = {}) {
+  const before = { status: row.status };
+  row.disposition = {
+    type,
+    decidedAt: new Date(),
+    decidedBy: req.user._id,
+    notes: req.body.notes,
+    diagnosis: req.body.diagnosis,
+    ...details
+  };
+  row.status = DISPOSITION_STATUS[type];
+  row.departedAt = req.body.departedAt || new Date();
+  row.updatedBy = req.user._id;
+  await row.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: `emergency.disposition.${type}`,
+    entityType: 'EmergencyEncounter',
+    entityId: row._id,
+    hospitalId: row.hospitalId,
+    patientId: row.patientId,
+    encounterId: row.admissionId,
+    beforeSummary: before,
+    afterSummary: { status: row.status, disposition: type },
+    comments: req.body.notes,
+    metadata: encounterMetrics(row)
+  });
+  return row;
+}
+
+exports.admit = async (req, res) => {
+  try {
+    // Move the encounter to `admitting` in one conditional update so two
+    // concurrent admits cannot both create an IPD admission. `row` keeps the
+    // pre-claim state for the disposition audit.
+    const row = await EmergencyEncounter.findOneAndUpdate(
+      { _id: req.params.id, hospitalId: hospitalId(req), status: { $in: ACTIVE_STATUSES }, admissionId: null },
+      { $set: { status: 'admitting', updatedBy: req.user._id } }
+    );
+    if (!row) {
+      const current = await loadEncounter(req);
+      if (!current.admissionId && current.status !== 'admitting') assertActive(current);
+      return res.status(409).json({ error: 'Emergency encounter is already being admitted or linked to an admission' });
+    }
+    const release = () => EmergencyEncounter.updateOne({ _id: row._id, status: 'admitting' }, { $set: { status: row.status } });
+
+    let result;
+    try {
+      result = await invokeController(createAdmission, req, {
+        ...req.body,
+        patientId: row.patientId,
+        primaryDoctorId: req.body.primaryDoctorId || row.assignedDoctorId,
+        admissionType: 'Emergency',
+        chiefComplaints: req.body.chiefComplaints || row.triage?.chiefComplaint
+      });
+    } catch (error) {
+      await release().catch(() => {});
+      throw error;
+    }
+    const { statusCode, payload } = result;
+
+    if (statusCode >= 400) {
+      await release();
+      return res.status(statusCode).json(payload);
+    }
+
+    row.admissionId = payload.admission._id;
+    await closeEncounter(req, row, 'admitted');
+
+    return res.status(201).json({
+      success: true,
+      data: row,
+      admission: payload.admission,
+      coverage: payload.coverage,
+      financeStage: payload.financeStage
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.transferOut = async (req, res) => {
+  try {
+    required(req.body, ['receivingFacility', 'reason']);
+
+    const row = await loadEncounter(req);
+    assertActive(row);
+
+    await closeEncounter(req, row, 'transferred_out', {
+      transfer: {
+        receivingFacility: req.body.receivingFacility,
+        reason: req.body.reason,
+        transportMode: req.body.transportMode,
+        ambulanceNumber: req.body.ambulanceNumber,
+        acceptedBy: req.body.acceptedBy,
+        handoverSummary: req.body.handoverSummary
+      }
+    });
+
+    return res.json({
+      success: true,
+      data: row
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.discharge = async (req, res) => {
+  try {
+    const row = await loadEncounter(req);
+    assertActive(row);
+
+    await closeEncounter(req, row, 'discharged');
+
+    return res.json({
+      success: true,
+      data: row
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+// LAMA (left against medical advice) and DAMA (discharged against medical
+// advice) both need the acknowledgement captured for medico-legal records.
+function againstAdvice(type) {
+  return async (req, res) => {
+    try {
+      required(req.body, ['reason', 'acknowledgedBy', 'risksExplained']);
+
+      const row = await loadEncounter(req);
+      assertActive(row);
+
+      await closeEncounter(req, row, type, {
+        againstAdvice: {
+          reason: req.body.reason,
+          risksExplained: req.body.risksExplained,
+          acknowledgedBy: req.body.acknowledgedBy,
+          relationship: req.body.relationship,
+          witnessName: req.body.witnessName
+        }
+      });
+
+      return res.json({
+        success: true,
+        data: row
+      });
+    } catch (e) {
+      return sendError(res, e);
+    }
+  };
+}
+
+exports.lama = againstAdvice('lama');
+exports.dama = againstAdvice('dama');
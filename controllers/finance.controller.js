@@ -5,6 +5,7 @@ const patientFinancial = require('../services/patientFinancial.service');
 const financialProjection = require('../services/financialProjection.service');
 const pharmacyFinanceProjection = require('../services/pharmacyFinanceProjection.service');
 const financialPolicy = require('../services/financialPolicy.service');
+const gatewayPayments = require('../services/gatewayPayment.service');
 const { assertUserHospital } = require('../utils/hospitalScope');
 
 function sendError(res, error) {
@@ -237,7 +238,11 @@ exports.createCreditNote = async (req, res) => {
 
 exports.refundInvoice = async (req, res) => {
   try {
-    const result = await financial.refundInvoice(req.params.invoiceId, req.body, req.user);
+    // refundVia GATEWAY sends the money back to the card / UPI account the
+    // invoice was paid from before posting the ledger refund.
+    const result = req.body?.refundVia === 'GATEWAY'
+      ? await gatewayPayments.refundInvoiceToGateway({ req, hospitalId: assertUserHospital(req.user), invoiceId: req.params.invoiceId, payload: req.body })
+      : await financial.refundInvoice(req.params.invoiceId, req.body, req.user);
     res.status(201).json({ success: true, message: 'Refund posted successfully', ...result });
   } catch (error) { sendError(res, error); }
 };
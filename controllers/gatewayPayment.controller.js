@@ -0,0 +1,46 @@
+const gatewayPayments = require('../services/gatewayPayment.service');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function sendError(res, error) {
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function respond(handler, status = 200) {
+  return async (req, res) => {
+    try {
+      const data = await handler(req, requireHospitalId(req));
+      res.status(status).json({ success: true, data });
+    } catch (error) { sendError(res, error); }
+  };
+}
+
+// Only the configured gateway may post webhooks; the mock is reachable only
+// where it was selected explicitly.
+exports.receiveWebhook = async (req, res) => {
+  try {
+    const provider = process.env.PAYMENT_GATEWAY_PROVIDER;
+    if (!provider || req.params.provider !== provider) return res.status(404).json({ success: false, error: 'Unknown payment gateway' });
+    const result = await gatewayPayments.handleWebhook({ provider, rawBody: req.rawBody, headers: req.headers });
+    // A failed event is answered with 500 so the gateway redelivers it.
+    res.status(result.status === 'FAILED' ? 500 : 200).json({ success: result.status !== 'FAILED', ...result });
+  } catch (error) { sendError(res, error); }
+};
+
+exports.createPaymentRequest = respond((req, hospitalId) => gatewayPayments.createPaymentRequest({ req, hospitalId, body: req.body }), 201);
+
+exports.listPaymentRequests = respond((req, hospitalId) => gatewayPayments.listPaymentRequests({ hospitalId, query: req.query }));
+
+exports.getPaymentRequest = respond((req, hospitalId) => gatewayPayments.getPaymentRequest({ hospitalId, id: req.params.id }));
+
+exports.retryPosting = respond((req, hospitalId) => gatewayPayments.retryPosting({ req, hospitalId, id: req.params.id }));
+
+exports.importSettlement = respond((req, hospitalId) => gatewayPayments.importSettlementFile({ req, hospitalId, body: req.body }), 201);
+
+exports.listSettlements = respond((req, hospitalId) => gatewayPayments.listSettlementReports({ hospitalId, query: req.query }));
+
+exports.getSettlement = respond((req, hospitalId) => gatewayPayments.getSettlementReport({ hospitalId, id: req.params.id }));
@@ -0,0 +1,59 @@
+const gst = require('../services/gstCompliance.service');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function sendError(res, error) {
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function respond(handler, status = 200) {
+  return async (req, res) => {
+    try {
+      const result = await handler(req, requireHospitalId(req));
+      if (result?.document) {
+        return res.status(result.alreadyGenerated ? 200 : status).json({ success: true, alreadyGenerated: result.alreadyGenerated, data: result.document });
+      }
+      res.status(status).json({ success: true, data: result });
+    } catch (error) { sendError(res, error); }
+  };
+}
+
+exports.previewInvoice = respond((req, hospitalId) => gst.previewInvoice({
+  req, hospitalId, invoiceId: req.params.invoiceId, buyer: req.body?.buyer
+}));
+
+exports.generateInvoiceIrn = respond((req, hospitalId) => gst.generateInvoiceIrn({
+  req, hospitalId, invoiceId: req.params.invoiceId, buyer: req.body?.buyer
+}), 201);
+
+exports.cancelInvoiceIrn = respond((req, hospitalId) => gst.cancelInvoiceIrn({
+  req, hospitalId, invoiceId: req.params.invoiceId, body: req.body
+}));
+
+exports.previewPurchaseReturn = respond((req, hospitalId) => gst.previewPurchaseReturn({
+  req, hospitalId, id: req.params.id, buyer: req.body?.buyer, precedingInvoice: req.body?.precedingInvoice
+}));
+
+exports.generatePurchaseReturnIrn = respond((req, hospitalId) => gst.generatePurchaseReturnIrn({
+  req, hospitalId, id: req.params.id, buyer: req.body?.buyer, precedingInvoice: req.body?.precedingInvoice
+}), 201);
+
+exports.cancelPurchaseReturnIrn = respond((req, hospitalId) => gst.cancelPurchaseReturnIrn({
+  req, hospitalId, id: req.params.id, body: req.body
+}));
+
+exports.previewTransferEwayBill = respond((req, hospitalId) => gst.previewTransferEwayBill({
+  req, hospitalId, id: req.params.id, transport: req.body?.transport
+}));
+
+exports.generateTransferEwayBill = respond((req, hospitalId) => gst.generateTransferEwayBill({
+  req, hospitalId, id: req.params.id, transport: req.body?.transport, voluntary: req.body?.voluntary === true
+}), 201);
+
+exports.cancelTransferEwayBill = respond((req, hospitalId) => gst.cancelTransferEwayBill({
+  req, hospitalId, id: req.params.id, body: req.body
+}));
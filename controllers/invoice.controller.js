@@ -15,7 +15,7 @@ const RadiologyRequest = require('../models/RadiologyRequest');
 const Procedure = require('../models/Procedure');
 const LabTest = require('../models/LabTest');
 const ImagingTest = require('../models/ImagingTest');
-const PDFDocument = require('pdfkit');
+const { loadInvoiceForPdf, renderInvoicePdf } = require('../services/invoicePdf.service');
 const { default: mongoose } = require('mongoose');
 const { requestHospitalId } = require('../utils/hospitalScope');
 
@@ -2036,391 +2036,17 @@ exports.exportInvoices = async (req, res) => {
 // Download invoice PDF
 exports.downloadInvoicePDF = async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const invoice = await Invoice.findOne(invoiceScope(req, { _id: id }))
-      .populate('patient_id', 'first_name last_name phone address')
-      .populate('appointment_id', 'appointment_date type')
-      .populate('prescription_id', 'prescription_number diagnosis')
-      .populate('procedure_items.performed_by', 'firstName lastName')
-      .populate('lab_test_items.performed_by', 'firstName lastName')
-      .populate('radiology_items.performed_by', 'firstName lastName')
-      .populate('radiology_items.reported_by', 'firstName lastName')
-      .populate('medicine_items.medicine_id', 'name generic_name')
-      .populate('medicine_items.batch_id', 'batch_number expiry_date');
-
+    const invoice = await loadInvoiceForPdf(invoiceScope(req, { _id: req.params.id }));
     if (!invoice) {
       return res.status(404).json({ error: 'Invoice not found' });
     }
 
-    const doc = new PDFDocument({ margin: 50, size: 'A4' });
-
+    const buffer = await renderInvoicePdf(invoice);
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="invoice-${invoice.invoice_number}.pdf"`);
-
-    doc.pipe(res);
-
-    addHeader(doc);
-    addInvoiceDetails(doc, invoice);
-    addCustomerDetails(doc, invoice);
-
-    if (invoice.invoice_type === 'Procedure' || invoice.procedure_items.length > 0) {
-      addProcedureItemsTable(doc, invoice);
-    } else if (invoice.invoice_type === 'Lab Test' || (invoice.lab_test_items && invoice.lab_test_items.length > 0)) {
-      addLabTestItemsTable(doc, invoice);
-    } else if (invoice.invoice_type === 'Radiology' || (invoice.radiology_items && invoice.radiology_items.length > 0)) {
-      addRadiologyItemsTable(doc, invoice);
-    } else if (invoice.invoice_type === 'Pharmacy') {
-      addMedicineItemsTable(doc, invoice);
-    } else {
-      addServiceItemsTable(doc, invoice);
-    }
-
-    addFooter(doc, invoice);
-
-    doc.end();
-
+    res.send(buffer);
   } catch (error) {
     console.error('Error generating PDF:', error);
     res.status(500).json({ error: 'Failed to generate invoice PDF' });
   }
 };
-
-// PDF Helper Functions
-function addHeader(doc) {
-  doc.fontSize(20).font('Helvetica-Bold').text('MEDICAL CENTER', { align: 'center' });
-  doc.fontSize(12).font('Helvetica').text('Tax Invoice/Bill of Supply', { align: 'center' });
-  doc.moveDown(0.5);
-  doc.fontSize(10).text('123 Medical Street, Healthcare City', { align: 'center' });
-  doc.text('Phone: +91-9876543210 | Email: info@medicalcenter.com', { align: 'center' });
-  doc.text('GSTIN: 27AAAAA0000A1Z5 | License No: MH/2023/12345', { align: 'center' });
-  doc.moveTo(50, 130).lineTo(550, 130).stroke();
-  doc.moveDown(1);
-}
-
-function addInvoiceDetails(doc, invoice) {
-  const leftCol = 50;
-  const rightCol = 350;
-  let y = 150;
-
-  doc.fontSize(12).font('Helvetica-Bold').text('INVOICE', leftCol, y);
-  y += 30;
-  doc.fontSize(10).font('Helvetica');
-
-  doc.text('Invoice Number:', leftCol, y);
-  doc.text(invoice.invoice_number, leftCol + 100, y);
-  doc.text('Invoice Date:', leftCol, y + 15);
-  doc.text(new Date(invoice.issue_date).toLocaleDateString(), leftCol + 100, y + 15);
-  doc.text('Due Date:', leftCol, y + 30);
-  doc.text(new Date(invoice.due_date).toLocaleDateString(), leftCol + 100, y + 30);
-
-  if (invoice.prescription_id) {
-    doc.text('Prescription No:', rightCol, y);
-    doc.text(invoice.prescription_id.prescription_number, rightCol + 100, y);
-    if (invoice.appointment_id) {
-      doc.text('Appointment Date:', rightCol, y + 15);
-      doc.text(new Date(invoice.appointment_id.appointment_date).toLocaleDateString(), rightCol + 100, y + 15);
-    }
-  }
-  doc.moveDown(2);
-}
-
-function addCustomerDetails(doc, invoice) {
-  doc.fontSize(11).font('Helvetica-Bold').text('Bill To:', 50, 240);
-  doc.fontSize(10).font('Helvetica');
-
-  if (invoice.patient_id) {
-    doc.text(`Name: ${invoice.patient_id.first_name} ${invoice.patient_id.last_name}`, 50, 260);
-    doc.text(`Phone: ${invoice.patient_id.phone || 'N/A'}`, 50, 275);
-    doc.text(`Address: ${invoice.patient_id.address || 'N/A'}`, 50, 290, { width: 300 });
-  } else {
-    doc.text(`Name: ${invoice.customer_name || 'N/A'}`, 50, 260);
-    doc.text(`Phone: ${invoice.customer_phone || 'N/A'}`, 50, 275);
-  }
-  doc.moveDown(3);
-}
-
-function addProcedureItemsTable(doc, invoice) {
-  const tableTop = 340;
-  const headers = ['Code', 'Description', 'Qty', 'Unit Price', 'Amount', 'Status'];
-  const colWidths = [60, 200, 50, 80, 80, 70];
-  let x = 50;
-
-  doc.fontSize(10).font('Helvetica-Bold');
-  headers.forEach((header, i) => {
-    doc.text(header, x, tableTop);
-    x += colWidths[i];
-  });
-
-  doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
-
-  let y = tableTop + 30;
-  doc.fontSize(9).font('Helvetica');
-
-  invoice.procedure_items.forEach((item) => {
-    if (y > 700) {
-      doc.addPage();
-      y = 50;
-      x = 50;
-      headers.forEach((header, i) => {
-        doc.fontSize(10).font('Helvetica-Bold').text(header, x, y);
-        x += colWidths[i];
-      });
-      y += 30;
-      doc.moveTo(50, y - 15).lineTo(550, y - 15).stroke();
-    }
-
-    x = 50;
-    doc.text(item.procedure_code, x, y);
-    x += colWidths[0];
-    doc.text(item.procedure_name, x, y, { width: colWidths[1] - 10 });
-    x += colWidths[1];
-    doc.text(item.quantity.toString(), x, y);
-    x += colWidths[2];
-    doc.text(`₹${item.unit_price.toFixed(2)}`, x, y);
-    x += colWidths[3];
-    doc.text(`₹${item.total_price.toFixed(2)}`, x, y);
-    x += colWidths[4];
-
-    const status = item.status || 'Pending';
-    const statusColors = { 'Completed': '#10B981', 'In Progress': '#3B82F6', 'Scheduled': '#8B5CF6', 'Pending': '#EF4444' };
-    doc.fillColor(statusColors[status] || '#6B7280');
-    doc.text(status, x, y);
-    doc.fillColor('#000000');
-    y += 20;
-  });
-
-  invoice.service_items.forEach((item) => {
-    if (y > 700) { doc.addPage(); y = 50; }
-    x = 50;
-    doc.text('SVC', x, y);
-    x += colWidths[0];
-    doc.text(item.description, x, y, { width: colWidths[1] - 10 });
-    x += colWidths[1];
-    doc.text(item.quantity.toString(), x, y);
-    x += colWidths[2];
-    doc.text(`₹${item.unit_price.toFixed(2)}`, x, y);
-    x += colWidths[3];
-    doc.text(`₹${item.total_price.toFixed(2)}`, x, y);
-    x += colWidths[4];
-    doc.text('N/A', x, y);
-    y += 20;
-  });
-}
-
-function addLabTestItemsTable(doc, invoice) {
-  const tableTop = 340;
-  const headers = ['Code', 'Test Name', 'Qty', 'Unit Price', 'Amount', 'Status'];
-  const colWidths = [60, 200, 50, 80, 80, 70];
-  let x = 50;
-
-  doc.fontSize(10).font('Helvetica-Bold');
-  headers.forEach((header, i) => {
-    doc.text(header, x, tableTop);
-    x += colWidths[i];
-  });
-
-  doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
-
-  let y = tableTop + 30;
-  doc.fontSize(9).font('Helvetica');
-
-  (invoice.lab_test_items || []).forEach((item) => {
-    if (y > 700) { doc.addPage(); y = 50; }
-    x = 50;
-    doc.text(item.lab_test_code || 'LT', x, y);
-    x += colWidths[0];
-    doc.text(item.lab_test_name || 'Lab Test', x, y, { width: colWidths[1] - 10 });
-    x += colWidths[1];
-    doc.text((item.quantity || 1).toString(), x, y);
-    x += colWidths[2];
-    doc.text(`₹${Number(item.unit_price || 0).toFixed(2)}`, x, y);
-    x += colWidths[3];
-    doc.text(`₹${Number(item.total_price || 0).toFixed(2)}`, x, y);
-    x += colWidths[4];
-
-    const status = item.status || 'Pending';
-    const statusColors = { 'Completed': '#10B981', 'In Progress': '#3B82F6', 'Scheduled': '#8B5CF6', 'Sample Collected': '#F59E0B', 'Pending': '#EF4444' };
-    doc.fillColor(statusColors[status] || '#6B7280');
-    doc.text(status, x, y);
-    doc.fillColor('#000000');
-    y += 20;
-  });
-}
-
-function addRadiologyItemsTable(doc, invoice) {
-  const tableTop = 340;
-  const headers = ['Code', 'Test Name', 'Category', 'Qty', 'Unit Price', 'Amount', 'Status'];
-  const colWidths = [50, 150, 80, 40, 70, 70, 70];
-  let x = 50;
-
-  doc.fontSize(10).font('Helvetica-Bold');
-  headers.forEach((header, i) => {
-    doc.text(header, x, tableTop);
-    x += colWidths[i];
-  });
-
-  doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
-
-  let y = tableTop + 30;
-  doc.fontSize(9).font('Helvetica');
-
-  (invoice.radiology_items || []).forEach((item) => {
-    if (y > 700) { doc.addPage(); y = 50; }
-    x = 50;
-    doc.text(item.imaging_test_code || 'RD', x, y);
-    x += colWidths[0];
-    doc.text((item.imaging_test_name || 'Radiology Test').substring(0, 20), x, y, { width: colWidths[1] - 5 });
-    x += colWidths[1];
-    doc.text(item.category || 'General', x, y, { width: colWidths[2] - 5 });
-    x += colWidths[2];
-    doc.text((item.quantity || 1).toString(), x, y);
-    x += colWidths[3];
-    doc.text(`₹${Number(item.unit_price || 0).toFixed(2)}`, x, y);
-    x += colWidths[4];
-    doc.text(`₹${Number(item.total_price || 0).toFixed(2)}`, x, y);
-    x += colWidths[5];
-
-    const status = item.status || 'Pending';
-    const statusColors = { 'Reported': '#10B981', 'Completed': '#10B981', 'In Progress': '#3B82F6', 'Scheduled': '#8B5CF6', 'Approved': '#8B5CF6', 'Pending': '#EF4444' };
-    doc.fillColor(statusColors[status] || '#6B7280');
-    doc.text(status, x, y);
-    doc.fillColor('#000000');
-    y += 20;
-  });
-}
-
-function addMedicineItemsTable(doc, invoice) {
-  const tableTop = 340;
-  const headers = ['Code', 'Description', 'Batch', 'Qty', 'Unit Price', 'Amount'];
-  const colWidths = [60, 180, 70, 50, 80, 80];
-  let x = 50;
-
-  doc.fontSize(10).font('Helvetica-Bold');
-  headers.forEach((header, i) => {
-    doc.text(header, x, tableTop);
-    x += colWidths[i];
-  });
-
-  doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
-
-  let y = tableTop + 30;
-  doc.fontSize(9).font('Helvetica');
-
-  invoice.medicine_items.forEach((item) => {
-    if (y > 700) { doc.addPage(); y = 50; }
-    x = 50;
-    doc.text(item.batch_id?.batch_number?.slice(-4) || 'N/A', x, y);
-    x += colWidths[0];
-    const medName = item.medicine_name || (item.medicine_id?.name || 'Medicine');
-    doc.text(medName, x, y, { width: colWidths[1] - 10 });
-    x += colWidths[1];
-    doc.text(item.batch_number || 'N/A', x, y);
-    x += colWidths[2];
-    doc.text(item.quantity.toString(), x, y);
-    x += colWidths[3];
-    doc.text(`₹${item.unit_price.toFixed(2)}`, x, y);
-    x += colWidths[4];
-    doc.text(`₹${item.total_price.toFixed(2)}`, x, y);
-    y += 20;
-  });
-}
-
-function addServiceItemsTable(doc, invoice) {
-  const tableTop = 340;
-  const headers = ['Code', 'Description', 'Qty', 'Unit Price', 'Amount'];
-  const colWidths = [60, 250, 50, 90, 90];
-  let x = 50;
-
-  doc.fontSize(10).font('Helvetica-Bold');
-  headers.forEach((header, i) => {
-    doc.text(header, x, tableTop);
-    x += colWidths[i];
-  });
-
-  doc.moveTo(50, tableTop + 15).lineTo(550, tableTop + 15).stroke();
-
-  let y = tableTop + 30;
-  doc.fontSize(9).font('Helvetica');
-
-  invoice.service_items.forEach((item) => {
-    if (y > 700) { doc.addPage(); y = 50; }
-    x = 50;
-    doc.text('SVC', x, y);
-    x += colWidths[0];
-    doc.text(item.description, x, y, { width: colWidths[1] - 10 });
-    x += colWidths[1];
-    doc.text(item.quantity.toString(), x, y);
-    x += colWidths[2];
-    doc.text(`₹${item.unit_price.toFixed(2)}`, x, y);
-    x += colWidths[3];
-    doc.text(`₹${item.total_price.toFixed(2)}`, x, y);
-    y += 20;
-  });
-}
-
-function addFooter(doc, invoice) {
-  const footerY = 650;
-  const summaryX = 400;
-  doc.fontSize(10).font('Helvetica');
-
-  doc.text('Subtotal:', summaryX, footerY, { align: 'right' });
-  doc.text(`₹${invoice.subtotal.toFixed(2)}`, 550, footerY, { align: 'right' });
-
-  if (invoice.tax > 0) {
-    doc.text('Tax:', summaryX, footerY + 15, { align: 'right' });
-    doc.text(`₹${invoice.tax.toFixed(2)}`, 550, footerY + 15, { align: 'right' });
-  }
-
-  if (invoice.discount > 0) {
-    doc.text('Discount:', summaryX, footerY + 30, { align: 'right' });
-    doc.text(`-₹${invoice.discount.toFixed(2)}`, 550, footerY + 30, { align: 'right' });
-  }
-
-  doc.fontSize(11).font('Helvetica-Bold');
-  doc.text('Total:', summaryX, footerY + 45, { align: 'right' });
-  doc.text(`₹${invoice.total.toFixed(2)}`, 550, footerY + 45, { align: 'right' });
-
-  doc.fontSize(10).font('Helvetica');
-  doc.text(`Amount Paid: ₹${invoice.amount_paid.toFixed(2)}`, summaryX, footerY + 65, { align: 'right' });
-  doc.text(`Balance Due: ₹${invoice.balance_due.toFixed(2)}`, summaryX, footerY + 80, { align: 'right' });
-
-  const statusColors = { 'Paid': '#10B981', 'Partial': '#3B82F6', 'Pending': '#EF4444', 'Overdue': '#DC2626' };
-  doc.fillColor(statusColors[invoice.status] || '#6B7280');
-  doc.text(`Status: ${invoice.status}`, 50, footerY + 80);
-  doc.fillColor('#000000');
-
-  doc.fontSize(8).text('Thank you for choosing our services!', 50, 750, { align: 'center' });
-  doc.text('This is a computer generated invoice and does not require a physical signature.', 50, 765, { align: 'center' });
-  doc.text('For any queries, please contact our billing department.', 50, 780, { align: 'center' });
-
-  if (invoice.has_procedures) {
-    doc.moveDown(2);
-    doc.fontSize(9).text(`Procedures Status: ${invoice.procedures_status}`, 50, 800);
-    if (invoice.procedure_items && invoice.procedure_items.length > 0) {
-      const pendingCount = invoice.procedure_items.filter(p => p.status === 'Pending').length;
-      const completedCount = invoice.procedure_items.filter(p => p.status === 'Completed').length;
-      doc.text(`Pending: ${pendingCount} | Completed: ${completedCount} | Total: ${invoice.procedure_items.length}`, 50, 815);
-    }
-  }
-
-  if (invoice.has_lab_tests) {
-    doc.moveDown(2);
-    doc.fontSize(9).text(`Lab Tests Status: ${invoice.lab_tests_status}`, 50, 835);
-    if (invoice.lab_test_items && invoice.lab_test_items.length > 0) {
-      const pendingCount = invoice.lab_test_items.filter(t => t.status === 'Pending').length;
-      const completedCount = invoice.lab_test_items.filter(t => t.status === 'Completed').length;
-      doc.text(`Pending: ${pendingCount} | Completed: ${completedCount} | Total: ${invoice.lab_test_items.length}`, 50, 850);
-    }
-  }
-
-  if (invoice.has_radiology) {
-    doc.moveDown(2);
-    doc.fontSize(9).text(`Radiology Status: ${invoice.radiology_status}`, 50, 870);
-    if (invoice.radiology_items && invoice.radiology_items.length > 0) {
-      const pendingCount = invoice.radiology_items.filter(r => r.status === 'Pending' || r.status === 'Approved' || r.status === 'Scheduled').length;
-      const reportedCount = invoice.radiology_items.filter(r => r.status === 'Reported' || r.status === 'Completed').length;
-      doc.text(`Pending: ${pendingCount} | Reported: ${reportedCount} | Total: ${invoice.radiology_items.length}`, 50, 885);
-    }
-  }
-}
\ No newline at end of file
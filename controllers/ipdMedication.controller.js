@@ -12,6 +12,9 @@ const { normaliseBoolean, resolveDoseQtyBaseUnits, calculateMedicationRequiredBa
 const { userHospitalId, isPlatformAdmin } = require('../utils/hospitalScope');
 const Patient = require('../models/Patient');
 const { getOrCreateNabhSetting } = require('../services/nabhSetting.service');
+const { enforceMedicationSafety } = require('../services/nabhRules.service');
+const { saveWithOverride } = require('../services/medicationKnowledge.service');
+const { activePolicy, assertRestrictedApproval } = require('../services/antimicrobialStewardship.service');
 
 // ========== HELPER FUNCTIONS ==========
 
@@ -233,6 +236,42 @@ exports.createMedicationOrder = async (req, res) => {
     }
     const pharmacyRequired = normaliseBoolean(requiresPharmacyDispense, false);
 
+    let safety;
+    try {
+      safety = await enforceMedicationSafety({
+        hospitalId: admission.hospitalId,
+        patientId,
+        admissionId,
+        context: 'ipd_medication_order',
+        overrideReason: req.body.medicationSafetyOverrideReason,
+        orders: [{ medicineId, medicineName, genericName, dosage, frequency, route }]
+      });
+    } catch (error) {
+      if (error.code !== 'MEDICATION_SAFETY_OVERRIDE_REQUIRED') throw error;
+      return res.status(409).json({ success: false, error: error.message, code: error.code, alerts: error.alerts });
+    }
+
+    let antimicrobialApproval = null;
+    if (medicineDetails) {
+      try {
+        antimicrobialApproval = await assertRestrictedApproval(req, {
+          hospitalId: admission.hospitalId,
+          patientId,
+          admissionId,
+          medicine: medicineDetails,
+          policy: await activePolicy(admission.hospitalId),
+          approvalReference: req.body.antimicrobialApprovalReference,
+          justification: req.body.antimicrobialJustification,
+          indication: req.body.indication,
+          prescriberId: prescribedBy,
+          source: 'ipd_medication_order'
+        });
+      } catch (error) {
+        if (!String(error.code || '').startsWith('ANTIMICROBIAL_')) throw error;
+        return res.status(error.statusCode || 422).json({ success: false, error: error.message, code: error.code, approval: error.details });
+      }
+    }
+
     const medication = new IPDMedicationChart({
       admissionId,
       hospitalId: admission.hospitalId || req.user?.hospital_id || null,
@@ -243,6 +282,7 @@ exports.createMedicationOrder = async (req, res) => {
       medicineId: medicineId || null,
       medicineName,
       genericName: genericName || medicineName,
+      antimicrobialApprovalId: antimicrobialApproval?._id || null,
       nlemCode: nlemCode || '',
       dosageForm: dosageForm || req.body.medicineType || '',
       doseQtyBaseUnits,
@@ -267,7 +307,7 @@ exports.createMedicationOrder = async (req, res) => {
     const timingSlots = generateMedicationTimingSlots(frequency, duration || 1, startDate || operationNow());
     medication.timing = timingSlots;
 
-    await medication.save();
+    await saveWithOverride({ req, pendingOverride: safety.pendingOverride, source: medication });
 
     if (pharmacyRequired) {
       await createPharmacyRequest(medication, requiredQtyBaseUnits, req.user?._id);
@@ -288,7 +328,8 @@ exports.createMedicationOrder = async (req, res) => {
       message: pharmacyRequired
         ? 'Medication order created with pharmacy request'
         : 'Medication order created successfully',
-      medication
+      medication,
+      safetyAlerts: safety.result.alerts
     });
   } catch (err) {
     console.error('[DEBUG] createMedicationOrder - Error:', err);
@@ -0,0 +1,212 @@
+const LabAnalyzer = require('../models/LabAnalyzer');
+const LabAnalyzerMessage = require('../models/LabAnalyzerMessage');
+const { requireHospitalId } = require('../services/tenantScope.service');
+const { appendDomainEvent } = require('../services/auditEvent.service');
+const labAnalyzer = require('../services/labAnalyzer.service');
+const { buildAstmMessage, buildHl7Oru } = require('../services/analyzerProtocol.service');
+
+const EDITABLE_FIELDS = ['name', 'manufacturer', 'model', 'protocol', 'transport', 'tcp', 'file', 'active'];
+
+function sendError(res, error) {
+  if (error?.code === 11000) return res.status(409).json({ success: false, error: 'Analyzer code already exists' });
+  const body = { success: false, error: error.message };
+  if (typeof error.code === 'string') body.code = error.code;
+  return res.status(error.statusCode || 400).json(body);
+}
+
+function pick(body) {
+  return EDITABLE_FIELDS.reduce((out, field) => {
+    if (body[field] !== undefined) out[field] = body[field];
+    return out;
+  }, {});
+}
+
+exports.listAnalyzers = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await LabAnalyzer.find({ hospitalId })
+      .populate('testMappings.labTestId', 'code name')
+      .sort({ code: 1 })
+      .lean();
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.createAnalyzer = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const testMappings = await labAnalyzer.validateMappings(hospitalId, req.body.testMappings || []);
+    const data = await LabAnalyzer.create({
+      ...pick(req.body),
+      hospitalId,
+      code: req.body.code,
+      testMappings,
+      createdBy: req.user._id
+    });
+    await appendDomainEvent({
+      req,
+      eventType: 'lab.analyzer.created',
+      entityType: 'LabAnalyzer',
+      entityId: data._id,
+      hospitalId,
+      afterSummary: { code: data.code, protocol: data.protocol, transport: data.transport, mappings: testMappings.length }
+    });
+    res.status(201).json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.updateAnalyzer = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const analyzer = await labAnalyzer.findAnalyzer(hospitalId, req.params.analyzerId);
+    const before = { protocol: analyzer.protocol, transport: analyzer.transport, active: analyzer.active };
+    analyzer.set(pick(req.body));
+    analyzer.updatedBy = req.user._id;
+    await analyzer.save();
+    await appendDomainEvent({
+      req,
+      eventType: 'lab.analyzer.updated',
+      entityType: 'LabAnalyzer',
+      entityId: analyzer._id,
+      hospitalId,
+      beforeSummary: before,
+      afterSummary: { protocol: analyzer.protocol, transport: analyzer.transport, active: analyzer.active }
+    });
+    res.json({ success: true, data: analyzer });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.updateMappings = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const analyzer = await labAnalyzer.findAnalyzer(hospitalId, req.params.analyzerId);
+    const before = analyzer.testMappings.length;
+    analyzer.testMappings = await labAnalyzer.validateMappings(hospitalId, req.body.testMappings || []);
+    analyzer.updatedBy = req.user._id;
+    await analyzer.save();
+    await appendDomainEvent({
+      req,
+      eventType: 'lab.analyzer.mappings_updated',
+      entityType: 'LabAnalyzer',
+      entityId: analyzer._id,
+      hospitalId,
+      beforeSummary: { mappings: before },
+      afterSummary: { mappings: analyzer.testMappings.length }
+    });
+    res.json({ success: true, data: analyzer });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+// For middleware that already terminates the instrument link and relays raw messages.
+exports.ingestMessage = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const analyzer = await labAnalyzer.findAnalyzer(hospitalId, req.params.analyzerId);
+    const { message, duplicate } = await labAnalyzer.ingestMessage({
+      req,
+      hospitalId,
+      analyzer,
+      raw: req.body.message,
+      transport: 'http',
+      sourceName: req.body.sourceName
+    });
+    res.status(duplicate ? 200 : 201).json({ success: true, duplicate, data: message });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.simulate = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const analyzer = await labAnalyzer.findAnalyzer(hospitalId, req.params.analyzerId);
+    if (!req.body.sampleId || !Array.isArray(req.body.results) || !req.body.results.length) {
+      return res.status(400).json({ success: false, error: 'sampleId and at least one result are required' });
+    }
+    const build = analyzer.protocol === 'hl7' ? buildHl7Oru : buildAstmMessage;
+    const raw = build({ sampleId: req.body.sampleId, results: req.body.results, sender: `SIM-${analyzer.code}` });
+    const { message, duplicate } = await labAnalyzer.ingestMessage({
+      req,
+      hospitalId,
+      analyzer,
+      raw,
+      transport: 'simulator',
+      sourceName: 'simulator'
+    });
+    res.status(201).json({ success: true, duplicate, data: message });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.listMessages = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const filter = { hospitalId };
+    if (req.query.analyzerId) filter.analyzerId = req.query.analyzerId;
+    if (req.query.status) filter.status = { $in: String(req.query.status).split(',') };
+    if (req.query.sampleId) filter.sampleIds = String(req.query.sampleId).trim();
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(Math.max(Number(req.query.limit || 50), 1), 200);
+    const [data, total] = await Promise.all([
+      LabAnalyzerMessage.find(filter)
+        .select('-rawMessage')
+        .populate('analyzerId', 'code name')
+        .sort({ receivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LabAnalyzerMessage.countDocuments(filter)
+    ]);
+    res.json({ success: true, data, pagination: { page, limit, total } });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.getMessage = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await LabAnalyzerMessage.findOne({ _id: req.params.messageId, hospitalId })
+      .populate('analyzerId', 'code name protocol')
+      .lean();
+    if (!data) return res.status(404).json({ success: false, error: 'Analyzer message not found' });
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.reprocessMessage = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await labAnalyzer.reprocessMessage({
+      req,
+      hospitalId,
+      messageId: req.params.messageId,
+      labRequestId: req.body.labRequestId,
+      note: req.body.note
+    });
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.ignoreMessage = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await labAnalyzer.ignoreMessage({ req, hospitalId, messageId: req.params.messageId, note: req.body.note });
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
@@ -0,0 +1,108 @@
+const LabRequest = require('../models/LabRequest');
+const LabTest = require('../models/LabTest');
+const { operationNow } = require('../utils/operationTimeContext');
+const { requireHospitalId } = require('../services/tenantScope.service');
+const { appendDomainEvent } = require('../services/auditEvent.service');
+const { runAutoVerification } = require('../services/labAutoVerification.service');
+
+const RULE_FLAGS = ['enabled', 'requireWithinReference', 'blockOnCritical', 'requireQcAccepted', 'blockOnInstrumentFlags'];
+
+function sendError(res, error) {
+  return res.status(error.statusCode || 400).json({ success: false, error: error.message });
+}
+
+function deltaCheckFrom(body = {}, current = {}) {
+  const deltaCheck = { ...current };
+  if (body.enabled !== undefined) deltaCheck.enabled = Boolean(body.enabled);
+  for (const field of ['maxPercent', 'lookbackDays']) {
+    if (body[field] === undefined) continue;
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0) throw Object.assign(new Error(`deltaCheck.${field} must be a non-negative number`), { statusCode: 400 });
+    deltaCheck[field] = value;
+  }
+  if (Array.isArray(body.parameterLimits)) {
+    deltaCheck.parameterLimits = body.parameterLimits.map((item) => ({
+      parameterCode: String(item.parameterCode || '').trim().toUpperCase(),
+      maxPercent: Number(item.maxPercent)
+    }));
+  }
+  return deltaCheck;
+}
+
+exports.updateRule = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const labTest = await LabTest.findOne({ _id: req.params.id, hospitalId });
+    if (!labTest) return res.status(404).json({ success: false, error: 'Lab test not found' });
+
+    const current = labTest.autoVerification?.toObject?.() || labTest.autoVerification || {};
+    const next = { ...current };
+    for (const flag of RULE_FLAGS) {
+      if (req.body[flag] !== undefined) next[flag] = Boolean(req.body[flag]);
+    }
+    if (req.body.qcWindowHours !== undefined) {
+      const hours = Number(req.body.qcWindowHours);
+      if (!Number.isFinite(hours) || hours < 1 || hours > 720) throw Object.assign(new Error('qcWindowHours must be between 1 and 720'), { statusCode: 400 });
+      next.qcWindowHours = hours;
+    }
+    next.deltaCheck = deltaCheckFrom(req.body.deltaCheck, current.deltaCheck);
+    next.updatedAt = operationNow();
+    next.updatedBy = req.user._id;
+    labTest.autoVerification = next;
+    labTest.updatedBy = req.user._id;
+    await labTest.save();
+
+    await appendDomainEvent({
+      req,
+      eventType: 'lab.auto_verification_rule_updated',
+      entityType: 'LabTest',
+      entityId: labTest._id,
+      hospitalId,
+      beforeSummary: { enabled: Boolean(current.enabled), deltaMaxPercent: current.deltaCheck?.maxPercent },
+      afterSummary: { enabled: Boolean(next.enabled), deltaMaxPercent: next.deltaCheck?.maxPercent }
+    });
+    res.json({ success: true, data: labTest.autoVerification });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.reviewQueue = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const filter = { hospitalId, status: 'Result Entered', 'autoVerification.status': 'held' };
+    if (req.query.reason) filter['autoVerification.reasons.code'] = String(req.query.reason).toUpperCase();
+    if (req.query.labTestId) filter.labTestId = req.query.labTestId;
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(Math.max(Number(req.query.limit || 50), 1), 200);
+    const [items, total] = await Promise.all([
+      LabRequest.find(filter)
+        .select('requestNumber accessionNumber testCode testName patientId priority status resultEnteredAt critical autoVerification resultSource')
+        .populate('patientId', 'first_name last_name patientId uhid gender age')
+        .sort({ priority: -1, resultEnteredAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LabRequest.countDocuments(filter)
+    ]);
+    res.json({ success: true, items, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+// Re-runs the rules, e.g. after an accepted QC run releases a lock.
+exports.reevaluate = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const request = await LabRequest.findOne({ _id: req.params.id, hospitalId });
+    if (!request) return res.status(404).json({ success: false, error: 'Lab request not found' });
+    if (request.status !== 'Result Entered') {
+      return res.status(409).json({ success: false, error: 'Only result-entered requests can be auto-verified' });
+    }
+    const data = await runAutoVerification({ req, hospitalId, request });
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
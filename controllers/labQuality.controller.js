@@ -0,0 +1,119 @@
+const LabQcMaterial = require('../models/LabQcMaterial');
+const LabQcRun = require('../models/LabQcRun');
+const { requireHospitalId } = require('../services/tenantScope.service');
+const labQuality = require('../services/labQuality.service');
+
+function sendError(res, error) {
+  const body = { success: false, error: error.message };
+  if (error.code && typeof error.code === 'string') body.code = error.code;
+  if (error.code === 11000) return res.status(409).json({ success: false, error: 'QC material for this level and lot already exists' });
+  return res.status(error.statusCode || 400).json(body);
+}
+
+exports.listMaterials = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const filter = { hospitalId };
+    if (req.query.labTestId) filter.labTestId = req.query.labTestId;
+    if (req.query.parameterCode) filter.parameterCode = String(req.query.parameterCode).toUpperCase();
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+    const data = await LabQcMaterial.find(filter)
+      .populate('labTestId', 'code name')
+      .sort({ parameterCode: 1, level: 1, expiryDate: -1 })
+      .lean();
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.createMaterial = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await labQuality.createMaterial({ req, hospitalId, body: req.body });
+    res.status(201).json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.updateMaterial = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await labQuality.updateMaterial({ req, hospitalId, materialId: req.params.materialId, body: req.body });
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.listRuns = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const filter = { hospitalId };
+    if (req.query.materialId) filter.materialId = req.query.materialId;
+    if (req.query.labTestId) filter.labTestId = req.query.labTestId;
+    if (req.query.parameterCode) filter.parameterCode = String(req.query.parameterCode).toUpperCase();
+    if (req.query.status) filter.status = req.query.status;
+    const limit = Math.min(Math.max(Number(req.query.limit || 100), 1), 500);
+    const data = await LabQcRun.find(filter)
+      .populate('enteredBy', 'name')
+      .sort({ runAt: -1 })
+      .limit(limit)
+      .lean();
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.recordRun = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await labQuality.recordRun({ req, hospitalId, body: req.body });
+    res.status(201).json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.recordCorrectiveAction = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await labQuality.recordCorrectiveAction({
+      req,
+      hospitalId,
+      runId: req.params.runId,
+      action: req.body.action
+    });
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.leveyJennings = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await labQuality.leveyJenningsSeries({
+      hospitalId,
+      materialId: req.params.materialId,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit
+    });
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
+
+exports.lockStatus = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const data = await labQuality.qcLockStatus({ hospitalId, labTestId: req.params.labTestId });
+    res.json({ success: true, data });
+  } catch (e) {
+    sendError(res, e);
+  }
+};
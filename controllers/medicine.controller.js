@@ -336,6 +336,11 @@ exports.updateMedicine = async (req, res) => {
       };
     }
 
+    // The update bypasses the save hook, so a scheduled drug is held to a
+    // prescription here as well.
+    const effectiveSchedule = req.body.drugSchedule !== undefined ? req.body.drugSchedule : medicine.drugSchedule;
+    if (effectiveSchedule && effectiveSchedule !== 'none') req.body.prescription_required = true;
+
     const effectiveHsn = req.body.hsn_code !== undefined ? req.body.hsn_code : medicine.hsn_code;
     const effectiveGst = req.body.gst_rate !== undefined ? req.body.gst_rate : medicine.gst_rate;
     if (validateHSNCode(effectiveHsn) && validateGSTRate(effectiveGst)) {
@@ -10,6 +10,7 @@ const MISExportJob = require('../models/MISExportJob');
 const MISSchedule = require('../models/MISSchedule');
 
 const { REPORT_CATALOG, buildOperationalReport } = require('../services/misOperationalReport.service');
+const claimAnalytics = require('../services/claimAnalytics.service');
 
 // ============================================
 // Role-Based Access Control
@@ -25,8 +26,8 @@ const REPORT_ROLE_ACCESS = {
   inventory_manager: ['store'],
   hr: ['hr'],
   hr_manager: ['hr'],
-  accountant: ['billing-revenue', 'billing-refunds', 'billing', 'executive'],
-  insurance_desk: ['billing-revenue', 'billing-refunds', 'billing'],
+  accountant: ['billing-revenue', 'billing-refunds', 'billing', 'claims-ageing', 'claims-denials', 'executive'],
+  insurance_desk: ['billing-revenue', 'billing-refunds', 'billing', 'claims-ageing', 'claims-denials'],
   doctor: [
     'opd-visits',
     'opd-ipd-followup',
@@ -44,6 +45,7 @@ const REPORT_ROLE_ACCESS = {
     'procedure-workload',
     'ot-cases',
     'ot-utilisation',
+    'emergency-flow',
     'clinical-quality',
     'opd',
     'ipd',
@@ -60,6 +62,7 @@ const REPORT_ROLE_ACCESS = {
     'ipd-medico-status',
     'lab-workload',
     'lab-tat',
+    'emergency-flow',
     'clinical-quality',
     'ipd',
     'lab'
@@ -578,6 +581,10 @@ async function buildReport(key, hospitalId, startDate, endDate, extraFilters = {
     data = await executive(hospitalId, filters.startDate, filters.endDate);
   } else if (!data && key === 'store') {
     data = await store(hospitalId, filters.startDate, filters.endDate);
+  } else if (!data && key === 'claims-ageing') {
+    data = await claimAnalytics.ageingMisReport(hospitalId, filters);
+  } else if (!data && key === 'claims-denials') {
+    data = await claimAnalytics.denialMisReport(hospitalId, filters);
   } else if (!data && key === 'hr') {
     data = await standardStatusReport(
       'HRStaffProfile',
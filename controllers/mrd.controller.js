@@ -581,7 +581,9 @@ exports.reportCatalog = asyncHandler(async (req, res) => {
       { key: 'birth-reports', label: 'Birth Reports' },
       { key: 'mlc-reports', label: 'MLC Reports' },
       { key: 'medico-report', label: 'Medico Report' },
-      { key: 'medical-file-tracking', label: 'Medical File Tracking Report' }
+      { key: 'medical-file-tracking', label: 'Medical File Tracking Report' },
+      { key: 'morbidity-by-code', label: 'Morbidity by Diagnosis Code' },
+      { key: 'mortality-by-code', label: 'Mortality by Diagnosis Code' }
     ]
   });
 });
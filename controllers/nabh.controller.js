@@ -26,14 +26,27 @@ const User = require('../models/User');
 const coverage = require('../config/nabhCoverage');
 const workflowTemplates = require('../config/nabhWorkflowTemplates');
 const { getOrCreateNabhSetting } = require('../services/nabhSetting.service');
+const { validateSsoSettings } = require('../services/sso.service');
+const { nabhKpiRows: haiKpiRows } = require('../services/haiSurveillance.service');
 const { queueNotification, processNotification } = require('../services/nabhNotification.service');
+const DrugInteraction = require('../models/DrugInteraction');
+const MedicationSafetyOverride = require('../models/MedicationSafetyOverride');
 const {
   calculateClinicalScores,
   medicationSafetyCheck,
   buildCdssRecommendations,
   staffingForecast
 } = require('../services/nabhRules.service');
+const {
+  INTERACTION_SEVERITIES,
+  normalizeKey: normalizeInteractionKey,
+  normalizeInteractionRow,
+  interactionRowsFromBody,
+  importInteractions,
+  recordOverride
+} = require('../services/medicationKnowledge.service');
 const { requireHospitalId, objectId } = require('../services/tenantScope.service');
+const { isValidGstin, stateCodeFor } = require('../services/gstEInvoice.service');
 const {
   DEFAULT_FINANCIAL_POLICY_TEMPLATE_VERSION,
   DEFAULT_FINANCIAL_POLICY_TEMPLATE_NAME,
@@ -149,6 +162,21 @@ function validateDiscountTaxConfig(discount = {}, tax = {}, label = 'financial p
   }
 }
 
+function validateGstComplianceConfig(config = {}) {
+  const problems = [];
+  if (config.gstin && !isValidGstin(config.gstin)) problems.push('GSTIN is invalid');
+  if (config.stateCode && !stateCodeFor(config.stateCode)) problems.push('State code is invalid');
+  if (config.gstin && config.stateCode && isValidGstin(config.gstin) && config.gstin.toUpperCase().slice(0, 2) !== stateCodeFor(config.stateCode)) {
+    problems.push('State code does not match the GSTIN');
+  }
+  if ((config.eInvoiceEnabled || config.ewayBillEnabled) && !config.gstin) problems.push('GSTIN is required before enabling e-invoicing or e-way bills');
+  if (problems.length) {
+    const error = new Error(`GST settings: ${problems.join('; ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
 function validateFinancialPolicyConfig(policy = {}) {
   for (const encounter of ['OPD', 'IPD', 'EMERGENCY']) {
     validatePaymentModeConfig(policy.payment?.[encounter] || {}, `${encounter} financial policy`);
@@ -168,7 +196,11 @@ function validateFinancialPolicyConfig(policy = {}) {
 function publicSetting(setting) {
   const data = setting?.toObject ? setting.toObject() : { ...(setting || {}) };
   for (const channel of data.notifications?.channels || []) delete channel.apiKey;
-  if (data.security?.sso) delete data.security.sso.assertionSecret;
+  if (data.security?.sso) {
+    delete data.security.sso.assertionSecret;
+    delete data.security.sso.oidc?.clientSecret;
+    delete data.security.sso.saml?.spPrivateKey;
+  }
   return data;
 }
 
@@ -544,8 +576,8 @@ exports.getFinancialPolicyOptions = async (req, res) => {
 exports.updateSettings = async (req, res) => {
   const hospitalId = requireHospitalId(req);
   const allowed = [
-    'patientRegistration', 'financialPolicy', 'dischargePolicy', 'notifications', 'security', 'clinical',
-    'medication', 'operations', 'interoperability'
+    'patientRegistration', 'financialPolicy', 'dischargePolicy', 'notifications', 'security', 'clinical', 'emergency',
+    'medication', 'operations', 'interoperability', 'gstCompliance', 'nurseStaffing'
   ];
   const setting = await getOrCreateNabhSetting(hospitalId, req.user?._id, { includeSecrets: true });
   for (const key of allowed) {
@@ -560,6 +592,8 @@ exports.updateSettings = async (req, res) => {
       merged = mergeFinancialPolicyWithDefaults(merged);
       validateFinancialPolicyConfig(merged);
     }
+    if (key === 'gstCompliance') validateGstComplianceConfig(merged);
+    if (key === 'security' && merged.sso) validateSsoSettings(merged.sso);
     setting.set(key, merged);
   }
   setting.updatedBy = req.user?._id;
@@ -1029,13 +1063,109 @@ exports.calculateRisk = async (req, res) => {
   res.json({ success: true, data: calculateClinicalScores(req.body || {}) });
 };
 
-exports.medicationCheck = async (req, res) => {
-  const data = await medicationSafetyCheck({
+function medicationCheckInput(req) {
+  return {
     hospitalId: requireHospitalId(req),
     patientId: req.body.patientId,
+    admissionId: req.body.admissionId,
     medicineIds: req.body.medicineIds || [],
-    medicineNames: req.body.medicineNames || []
+    medicineNames: req.body.medicineNames || [],
+    orders: Array.isArray(req.body.orders) ? req.body.orders : [],
+    weightKg: req.body.weightKg,
+    creatinineClearance: req.body.creatinineClearance,
+    serumCreatinine: req.body.serumCreatinine
+  };
+}
+
+exports.medicationCheck = async (req, res) => {
+  const data = await medicationSafetyCheck(medicationCheckInput(req));
+  res.json({ success: true, data });
+};
+
+exports.overrideMedicationCheck = async (req, res) => {
+  const input = medicationCheckInput(req);
+  if (!input.patientId) return res.status(400).json({ error: 'patientId is required' });
+  if (!String(req.body.reason || '').trim()) return res.status(400).json({ error: 'An override reason is required' });
+  const result = await medicationSafetyCheck(input);
+  if (!result.requiresOverride) {
+    return res.status(409).json({ error: 'There are no blocking medication safety alerts to override', data: result });
+  }
+  const override = await recordOverride({
+    req,
+    hospitalId: input.hospitalId,
+    patientId: input.patientId,
+    admissionId: input.admissionId,
+    context: 'medication_check',
+    result,
+    reason: req.body.reason
   });
+  res.status(201).json({ success: true, data: { override, alerts: result.alerts } });
+};
+
+exports.listMedicationOverrides = async (req, res) => {
+  const filter = { hospitalId: requireHospitalId(req) };
+  if (req.query.patientId) filter.patientId = req.query.patientId;
+  if (req.query.context) filter.context = req.query.context;
+  const limit = asInteger(req.query.limit, 100, 1, 500);
+  const data = await MedicationSafetyOverride.find(filter)
+    .populate('overriddenBy', 'name role')
+    .populate('patientId', 'first_name last_name uhid')
+    .sort({ overriddenAt: -1 })
+    .limit(limit)
+    .lean();
+  res.json({ success: true, data });
+};
+
+exports.listDrugInteractions = async (req, res) => {
+  const filter = { hospitalId: requireHospitalId(req) };
+  if (req.query.severity) filter.severity = req.query.severity;
+  if (req.query.active !== undefined) filter.active = String(req.query.active) !== 'false';
+  if (req.query.q) {
+    const key = normalizeInteractionKey(req.query.q);
+    filter.$or = [{ drugA: key }, { drugB: key }];
+  }
+  const limit = asInteger(req.query.limit, 100, 1, 500);
+  const data = await DrugInteraction.find(filter).sort({ drugA: 1, drugB: 1 }).limit(limit).lean();
+  res.json({ success: true, data, severities: INTERACTION_SEVERITIES });
+};
+
+exports.upsertDrugInteraction = async (req, res) => {
+  const hospitalId = requireHospitalId(req);
+  const row = normalizeInteractionRow(req.body);
+  const data = await DrugInteraction.findOneAndUpdate(
+    { hospitalId, pairKey: row.pairKey },
+    { $set: { ...row, updatedBy: req.user?._id }, $setOnInsert: { createdBy: req.user?._id } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  res.status(201).json({ success: true, data });
+};
+
+exports.importDrugInteractions = async (req, res) => {
+  const rows = interactionRowsFromBody(req.body);
+  if (!rows.length) {
+    return res.status(400).json({ error: 'rows array or csv text is required' });
+  }
+  if (rows.length > 10000) {
+    return res.status(413).json({ error: 'Maximum 10,000 interaction rows per import' });
+  }
+  const data = await importInteractions({ hospitalId: requireHospitalId(req), rows, userId: req.user?._id });
+  res.status(201).json({ success: true, data });
+};
+
+exports.updateDoseRanges = async (req, res) => {
+  if (!Array.isArray(req.body.doseRanges)) {
+    return res.status(400).json({ error: 'doseRanges array is required' });
+  }
+  const update = { 'medicationSafety.doseRanges': req.body.doseRanges, updated_at: new Date() };
+  if (Array.isArray(req.body.interactionKeys)) {
+    update['medicationSafety.interactionKeys'] = req.body.interactionKeys.map(normalizeInteractionKey).filter(Boolean);
+  }
+  const data = await Medicine.findOneAndUpdate(
+    { _id: req.params.medicineId, hospitalId: requireHospitalId(req) },
+    { $set: update },
+    { new: true, runValidators: true }
+  ).select('name generic_name medicationSafety');
+  if (!data) return res.status(404).json({ error: 'Medicine not found' });
   res.json({ success: true, data });
 };
 
@@ -1063,11 +1193,10 @@ exports.workforceForecast = async (req, res) => {
   res.json({ success: true, data });
 };
 
-exports.kpiSummary = async (req, res) => {
-  const hospitalId = requireHospitalId(req);
-  const quarter = String(req.query.quarter || '');
-  let from = req.query.from ? new Date(req.query.from) : null;
-  let to = req.query.to ? new Date(req.query.to) : null;
+function kpiPeriod(query = {}) {
+  const quarter = String(query.quarter || '');
+  let from = query.from ? new Date(query.from) : null;
+  let to = query.to ? new Date(query.to) : null;
   if (quarter && /^\d{4}-Q[1-4]$/.test(quarter)) {
     const [year, q] = quarter.split('-Q').map(Number);
     from = new Date(Date.UTC(year, (q - 1) * 3, 1));
@@ -1075,11 +1204,17 @@ exports.kpiSummary = async (req, res) => {
   }
   if (!from || Number.isNaN(from.getTime())) from = new Date(Date.now() - 90 * 86400000);
   if (!to || Number.isNaN(to.getTime())) to = new Date();
+  return { quarter, from, to };
+}
+
+exports.kpiSummary = async (req, res) => {
+  const hospitalId = requireHospitalId(req);
+  const { quarter, from, to } = kpiPeriod(req.query);
   const dateRange = { $gte: from, $lt: to };
   const objectHospitalId = mongoHospitalId(hospitalId);
   const [
     patients, appointments, admissions, labRequests, radiologyRequests,
-    medicationErrors, incidents, claims, revenue
+    medicationErrors, incidents, claims, revenue, hai
   ] = await Promise.all([
     Patient.countDocuments({ hospitalId, registered_at: dateRange }),
     Appointment.countDocuments({ hospital_id: hospitalId, appointment_date: dateRange }),
@@ -1096,7 +1231,8 @@ exports.kpiSummary = async (req, res) => {
     FinancialTransaction.aggregate([
       { $match: { hospitalId: objectHospitalId, postedAt: dateRange, status: 'POSTED' } },
       { $group: { _id: '$direction', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
-    ])
+    ]),
+    haiKpiRows(hospitalId, { from, to })
   ]);
   res.json({
     success: true,
@@ -1110,18 +1246,33 @@ exports.kpiSummary = async (req, res) => {
       medicationSafetyRecords: medicationErrors,
       patientSafetyIncidents: incidents,
       insuranceClaims: claims,
-      financialTransactions: revenue
+      financialTransactions: revenue,
+      hospitalAcquiredInfections: hai.totals
     }
   });
 };
 
 exports.kpiExport = async (req, res) => {
   const hospitalId = requireHospitalId(req);
-  const records = await NabhRecord.find({
-    hospitalId,
-    workflowType: 'kpi'
-  }).sort({ createdAt: -1 }).lean();
-  const csv = toCsv(records, [
+  const { quarter, from, to } = kpiPeriod(req.query);
+  const [records, hai] = await Promise.all([
+    NabhRecord.find({
+      hospitalId,
+      workflowType: 'kpi'
+    }).sort({ createdAt: -1 }).lean(),
+    haiKpiRows(hospitalId, { from, to })
+  ]);
+  // Computed HAI surveillance rates follow the manually recorded KPIs, one row
+  // per metric per month.
+  const generatedAt = new Date();
+  const haiRecords = hai.rows.map((row) => ({
+    recordNumber: `HAI-${row.month}`,
+    testCaseIds: [],
+    status: 'computed',
+    data: { quarter: quarter || row.month, metric: row.metric, value: row.value },
+    createdAt: generatedAt
+  }));
+  const csv = toCsv([...records, ...haiRecords], [
     { label: 'Record Number', value: (row) => row.recordNumber },
     { label: 'Test Case IDs', value: (row) => row.testCaseIds.join(';') },
     { label: 'Status', value: (row) => row.status },
@@ -0,0 +1,46 @@
+const nhcx = require('../services/nhcx.service');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function fail(res, error) {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function respond(handler) {
+  return async (req, res) => {
+    try {
+      const data = await handler(req, requireHospitalId(req));
+      res.json({ success: true, data });
+    } catch (error) { fail(res, error); }
+  };
+}
+
+exports.checkEligibility = respond((req, hospitalId) => nhcx.checkEligibility({ req, hospitalId, claimId: req.params.id }));
+
+exports.submitPreAuth = respond((req, hospitalId) => nhcx.submitPreAuth({ req, hospitalId, claimId: req.params.id }));
+
+exports.submitClaim = respond((req, hospitalId) => nhcx.submitClaim({ req, hospitalId, claimId: req.params.id, body: req.body }));
+
+exports.respondToQuery = respond((req, hospitalId) => nhcx.respondToQuery({ req, hospitalId, claimId: req.params.id, body: req.body }));
+
+exports.listMessages = respond((req, hospitalId) => nhcx.listMessages({ hospitalId, claimId: req.params.id }));
+
+// The switch expects 202 with the protocol acknowledgement; a failed callback
+// is answered with 500 so it is redelivered.
+exports.receiveCallback = async (req, res) => {
+  try {
+    const result = await nhcx.receiveCallback({
+      action: `${req.params.entity}/${req.params.operation}`,
+      body: req.body,
+      headers: req.headers
+    });
+    if (result.status === 'FAILED') return res.status(500).json({ ...result.ack, error: { code: 'INTERNAL_ERROR', message: 'Callback could not be processed' } });
+    return res.status(202).json(result.ack);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ error: { code: error.code, message: error.statusCode ? error.message : 'Internal server error' } });
+  }
+};
@@ -0,0 +1,76 @@
+const roster = require('../services/nurseRoster.service');
+const RosterTemplate = require('../models/RosterTemplate');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function sendError(res, error) {
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function respond(handler, status = 200) {
+  return async (req, res) => {
+    try {
+      const data = await handler(req, requireHospitalId(req));
+      res.status(status).json({ success: true, data });
+    } catch (error) { sendError(res, error); }
+  };
+}
+
+exports.listTemplates = respond((req, hospitalId) => RosterTemplate.find({ hospitalId, ...(req.query.wardId ? { wardId: req.query.wardId } : {}) })
+  .populate('pattern.shiftId', 'name start_time end_time')
+  .sort({ name: 1 })
+  .lean());
+
+exports.createTemplate = respond((req, hospitalId) => roster.saveTemplate({ req, hospitalId, body: req.body }), 201);
+
+exports.updateTemplate = respond((req, hospitalId) => roster.saveTemplate({ req, hospitalId, id: req.params.id, body: req.body }));
+
+exports.applyTemplate = respond((req, hospitalId) => roster.applyTemplate({
+  req,
+  hospitalId,
+  templateId: req.params.id,
+  wardId: req.body?.wardId,
+  fromDate: req.body?.fromDate,
+  toDate: req.body?.toDate,
+  anchorDate: req.body?.anchorDate,
+  staff: Array.isArray(req.body?.staff) ? req.body.staff : []
+}), 201);
+
+exports.getRoster = respond((req, hospitalId) => roster.getRoster({
+  hospitalId, wardId: req.query.wardId, fromDate: req.query.fromDate, toDate: req.query.toDate
+}));
+
+exports.addAssignment = respond((req, hospitalId) => roster.addAssignment({ req, hospitalId, body: req.body }), 201);
+
+exports.cancelAssignment = respond((req, hospitalId) => roster.cancelAssignment({ req, hospitalId, id: req.params.id, reason: req.body?.reason }));
+
+exports.publish = respond((req, hospitalId) => roster.publishRoster({
+  req, hospitalId, wardId: req.body?.wardId, fromDate: req.body?.fromDate, toDate: req.body?.toDate, overrideReason: req.body?.overrideReason
+}));
+
+exports.attendanceVariance = respond((req, hospitalId) => roster.attendanceVariance({
+  hospitalId, wardId: req.query.wardId, fromDate: req.query.fromDate, toDate: req.query.toDate
+}));
+
+exports.listSwaps = respond((req, hospitalId) => roster.listSwaps({ hospitalId, status: req.query.status }));
+
+exports.decideSwap = respond((req, hospitalId) => roster.decideSwap({
+  req, hospitalId, id: req.params.id, approve: req.body?.decision === 'approve', note: req.body?.note
+}));
+
+// Employee self-service: identity always comes from req.user.
+exports.myRoster = respond((req, hospitalId) => roster.myRoster({
+  hospitalId, user: req.user, fromDate: req.query.fromDate, toDate: req.query.toDate
+}));
+
+exports.requestSwap = respond((req, hospitalId) => roster.requestSwap({ req, hospitalId, body: req.body }), 201);
+
+exports.respondSwap = respond((req, hospitalId) => roster.respondSwap({
+  req, hospitalId, id: req.params.id, accept: req.body?.accept === true, note: req.body?.note
+}));
+
+exports.cancelSwap = respond((req, hospitalId) => roster.cancelSwap({ req, hospitalId, id: req.params.id }));
@@ -14,6 +14,7 @@ const PatientAdvanceLedger = require('../models/PatientAdvanceLedger');
 const PharmacyLedgerEntry = require('../models/PharmacyLedgerEntry');
 const PharmacyReturn = require('../models/PharmacyReturn');
 const { createUnifiedSale } = require('../services/pharmacyTransaction.service');
+const controlledDrugs = require('../services/controlledDrug.service');
 const { userHospitalId } = require('../utils/hospitalScope');
 
 // ========== HELPER FUNCTIONS ==========
@@ -511,6 +512,7 @@ exports.receivePurchaseOrder = async (req, res) => {
 
     const createdBatches = [];
     const createdLocalMedicines = [];
+    const controlledReceipts = [];
     for (const receivedItem of received_items) {
       const orderItem = order.items.id(receivedItem.item_id);
       if (!orderItem) return res.status(400).json({ error: `Purchase order item not found: ${receivedItem.item_id}.` });
@@ -579,6 +581,7 @@ exports.receivePurchaseOrder = async (req, res) => {
       });
       await batch.save();
       createdBatches.push(batch);
+      if (controlledDrugs.isRegistered(medicine.drugSchedule)) controlledReceipts.push({ medicine, batch, quantity: quantityBaseUnits });
 
       orderItem.received = alreadyReceivedPacks + receivedPacks;
       if (freePacks > 0) {
@@ -611,6 +614,16 @@ exports.receivePurchaseOrder = async (req, res) => {
       .populate('items.medicine_id')
       .populate('created_by', 'name');
 
+    for (const receipt of controlledReceipts) {
+      await controlledDrugs.recordPurchaseReceipt({
+        ...receipt,
+        hospitalId: order.hospitalId || userHospitalId(req.user),
+        order,
+        supplierName: populatedOrder.supplier_id?.name,
+        performedBy: req.user?._id,
+      });
+    }
+
     res.json({
       success: true,
       message: 'Purchase order stock received successfully.',
@@ -984,6 +997,7 @@ exports.voidSale = async (req, res) => {
     sale.status = 'Cancelled';
     sale.notes = sale.notes + `\n[CANCELLED] ${operationNow().toISOString()}: ${reason || 'No reason provided'}`;
     await sale.save();
+    await controlledDrugs.recordVoidReturns({ hospitalId: sale.hospitalId, sale, createdBy: req.user?._id });
     
     console.log(`Sale ${sale.sale_number} cancelled by ${req.user?.name} - Reason: ${reason}`);
     
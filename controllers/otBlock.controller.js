@@ -0,0 +1,58 @@
+const blocks = require('../services/otBlockSchedule.service');
+const OTBlockTemplate = require('../models/OTBlockTemplate');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function sendError(res, error) {
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function respond(handler, status = 200) {
+  return async (req, res) => {
+    try {
+      const data = await handler(req, requireHospitalId(req));
+      res.status(status).json({ success: true, data });
+    } catch (error) { sendError(res, error); }
+  };
+}
+
+exports.listTemplates = respond((req, hospitalId) => OTBlockTemplate.find({ hospitalId, ...(req.query.otRoomId ? { otRoomId: req.query.otRoomId } : {}) })
+  .populate('otRoomId', 'room_number roomNumber')
+  .populate('surgeonId', 'firstName lastName name')
+  .populate('departmentId', 'name')
+  .sort({ name: 1 })
+  .lean());
+
+exports.createTemplate = respond((req, hospitalId) => blocks.saveTemplate({ req, hospitalId, body: req.body }), 201);
+
+exports.updateTemplate = respond((req, hospitalId) => blocks.saveTemplate({ req, hospitalId, id: req.params.id, body: req.body }));
+
+exports.generateBlocks = respond((req, hospitalId) => blocks.generateBlocks({
+  req, hospitalId, templateId: req.params.id, fromDate: req.body?.fromDate, toDate: req.body?.toDate
+}), 201);
+
+exports.listBlocks = respond((req, hospitalId) => blocks.listBlocks({
+  hospitalId, fromDate: req.query.fromDate, toDate: req.query.toDate, otRoomId: req.query.otRoomId, status: req.query.status
+}));
+
+exports.releaseBlock = respond((req, hospitalId) => blocks.releaseBlock({ req, hospitalId, id: req.params.id, reason: req.body?.reason }));
+
+exports.listWaitlist = respond((req, hospitalId) => blocks.listWaitlist({ hospitalId, status: req.query.status }));
+
+exports.addToWaitlist = respond((req, hospitalId) => blocks.addToWaitlist({ req, hospitalId, body: req.body }), 201);
+
+exports.declineOffer = respond((req, hospitalId) => blocks.declineOffer({ hospitalId, id: req.params.id }));
+
+exports.removeFromWaitlist = respond((req, hospitalId) => blocks.removeFromWaitlist({ hospitalId, id: req.params.id, reason: req.body?.reason }));
+
+exports.utilisation = respond((req, hospitalId) => blocks.utilisation({
+  hospitalId,
+  fromDate: req.query.fromDate,
+  toDate: req.query.toDate,
+  groupBy: req.query.groupBy || 'room',
+  graceMinutes: req.query.graceMinutes
+}));
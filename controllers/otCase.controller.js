@@ -19,6 +19,7 @@ const { requireHospitalId } = require('../services/tenantScope.service');
 const { transitionDocument, transitionError } = require('../services/workflowTransition.service');
 const { appendDomainEvent } = require('../services/auditEvent.service');
 const patientFileManifest = require('../services/patientFileManifest.service');
+const { assertBlockAccess, markWaitlistScheduled } = require('../services/otBlockSchedule.service');
 
 const ACTIVE_SCHEDULE_STATUSES = ['Scheduled', 'In Progress'];
 
@@ -377,6 +378,7 @@ exports.scheduleCase = async (req, res, next) => {
         scheduledEnd: { $gt: scheduledStart }
       }).session(session);
       if (conflict) throw transitionError('The selected theatre already has an overlapping active case', 409, { conflictId: conflict._id });
+      await assertBlockAccess({ hospitalId, otCase, roomId, start: scheduledStart, end: scheduledEnd, session });
       const setupBufferMinutes = Number(req.body.setupBufferMinutes ?? otCase.setupBufferMinutes ?? 15);
       const cleaningBufferMinutes = Number(req.body.cleaningBufferMinutes ?? otCase.cleaningBufferMinutes ?? 20);
       const teamSnapshot = req.body.teamSnapshot || [];
@@ -404,6 +406,7 @@ exports.scheduleCase = async (req, res, next) => {
         version: Number(otCase.version || 0) + 1
       });
       await otCase.save({ session });
+      await markWaitlistScheduled({ hospitalId, caseId: otCase._id, session });
       await appendDomainEvent({ req, eventType: 'ot.case.scheduled', entityType: 'OTRequest', entityId: otCase._id, hospitalId, patientId: otCase.patientId, encounterId: otCase.admissionId, revision: otCase.version, afterSummary: { scheduledStart, scheduledEnd, roomId }, session });
       result = { otCase, schedule };
     });
@@ -438,7 +441,7 @@ exports.transitionCase = async (req, res, next) => {
   try {
     const otCase = await findCase(req, req.params.id);
     const action = req.params.action || req.body.action;
-    const updated = await transitionDocument({ document: otCase, action, definitions: transitions, req, hospitalId: otCase.hospitalId, patientId: otCase.patientId, encounterId: otCase.admissionId, reasonCode: req.body.reasonCode, comments: req.body.comments || req.body.reason, extraUpdate: action === 'cancel' ? { cancellationReason: req.body.reason } : action === 'postpone' ? { postponementReason: req.body.reason } : {} });
+    const updated = await transitionDocument({ document: otCase, action, definitions: transitions, req, hospitalId: otCase.hospitalId, patientId: otCase.patientId, encounterId: otCase.admissionId, reasonCode: req.body.reasonCode, comments: req.body.comments || req.body.reason, extraUpdate: action === 'cancel' ? { cancellationReason: req.body.reason, cancellationReasonCode: req.body.reasonCode } : action === 'postpone' ? { postponementReason: req.body.reason } : {} });
     if (['cancel', 'postpone'].includes(action)) await OTSchedule.findOneAndUpdate({ hospitalId: otCase.hospitalId, requestId: otCase._id }, { $set: { status: action === 'cancel' ? 'Cancelled' : 'Rescheduled' } });
     if (action === 'start') await OTSchedule.findOneAndUpdate({ hospitalId: otCase.hospitalId, requestId: otCase._id }, { $set: { status: 'In Progress' } });
     if (['recover', 'close'].includes(action)) await OTSchedule.findOneAndUpdate({ hospitalId: otCase.hospitalId, requestId: otCase._id }, { $set: { status: 'Completed' } });
@@ -0,0 +1,32 @@
+const implants = require('../services/implantRegistry.service');
+const { requireHospitalId } = require('../services/tenantScope.service');
+
+function sendError(res, error) {
+  return res.status(error.statusCode || 500).json({
+    success: false,
+    code: error.code,
+    error: error.statusCode ? error.message : 'Internal server error',
+    details: error.details
+  });
+}
+
+function respond(handler, status = 200) {
+  return async (req, res) => {
+    try {
+      const data = await handler(req, requireHospitalId(req));
+      res.status(status).json({ success: true, data });
+    } catch (error) { sendError(res, error); }
+  };
+}
+
+exports.listCaseImplants = respond((req, hospitalId) => implants.listCaseImplants({ hospitalId, caseId: req.params.id }));
+
+exports.recordImplant = respond((req, hospitalId) => implants.recordImplant({ req, hospitalId, caseId: req.params.id, body: req.body }), 201);
+
+exports.retryBilling = respond((req, hospitalId) => implants.retryBilling({ req, hospitalId, id: req.params.id }));
+
+exports.removeImplant = respond((req, hospitalId) => implants.removeImplant({
+  req, hospitalId, id: req.params.id, action: req.body?.action, reason: req.body?.reason
+}));
+
+exports.searchImplants = respond((req, hospitalId) => implants.searchImplants({ hospitalId, criteria: req.query }));
@@ -0,0 +1,85 @@
+const { requireHospitalId } = require('../services/tenantScope.service');
+const patientMerge = require('../services/patientMerge.service');
+
+function fail(res, error, status = 500) {
+  return res.status(error.statusCode || status).json({
+    error: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.conflicts ? { conflicts: error.conflicts } : {})
+  });
+}
+
+exports.previewMerge = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const preview = await patientMerge.previewMerge({
+      hospitalId,
+      survivingPatientId: req.params.id,
+      duplicatePatientId: req.body?.duplicatePatientId || req.query.duplicatePatientId
+    });
+    return res.json(preview);
+  } catch (error) {
+    return fail(res, error);
+  }
+};
+
+exports.mergePatient = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const merge = await patientMerge.requestMerge({
+      req,
+      hospitalId,
+      survivingPatientId: req.params.id,
+      duplicatePatientId: req.body?.duplicatePatientId,
+      reason: req.body?.reason
+    });
+    return res.status(201).json({ message: 'Patient merge submitted for approval', merge });
+  } catch (error) {
+    return fail(res, error);
+  }
+};
+
+exports.approveMerge = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const merge = await patientMerge.approveMerge({ req, hospitalId, mergeId: req.params.mergeId });
+    return res.json({ message: 'Patients merged successfully', merge });
+  } catch (error) {
+    return fail(res, error);
+  }
+};
+
+exports.rejectMerge = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const merge = await patientMerge.rejectMerge({ req, hospitalId, mergeId: req.params.mergeId, reason: req.body?.reason });
+    return res.json({ message: 'Patient merge rejected', merge });
+  } catch (error) {
+    return fail(res, error);
+  }
+};
+
+exports.unmergePatient = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const merge = await patientMerge.unmergePatients({
+      req,
+      hospitalId,
+      mergeId: req.params.mergeId,
+      reason: req.body?.reason
+    });
+    return res.json({ message: 'Patient merge reversed successfully', merge });
+  } catch (error) {
+    return fail(res, error);
+  }
+};
+
+exports.listMerges = async (req, res) => {
+  try {
+    const hospitalId = requireHospitalId(req);
+    const merges = await patientMerge.listMerges({ hospitalId, patientId: req.params.id || req.query.patientId });
+    return res.json({ merges });
+  } catch (error) {
+    return fail(res, error);
+  }
+};
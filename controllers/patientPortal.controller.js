@@ -14,6 +14,8 @@ const AbdmSubscription = require('../models/AbdmSubscription');
 const { decryptJson } = require('../services/abdmVault.service');
 const { withPatientAccessToken, getPatientSessionStatus } = require('../services/abdmCredential.service');
 const { masterRequest } = require('../services/abdmMasterClient.service');
+const portalBooking = require('../services/portalBooking.service');
+const portalBilling = require('../services/portalBilling.service');
 
 const patientFilter = (req) => ({ hospitalId: req.patient.hospitalId, patientId: req.patient._id });
 
@@ -36,6 +38,33 @@ exports.appointments = async (req, res) => {
   const items = await Appointment.find({ hospital_id: req.patient.hospitalId, patient_id: req.patient._id }).populate('doctor_id','name first_name last_name').populate('department_id','name').sort({ appointment_date: -1 }).limit(200).lean();
   res.json({ success: true, appointments: items });
 };
+
+function sendPortalError(res, error, fallbackStatus = 400) {
+  return res.status(error.statusCode || fallbackStatus).json({ success: false, code: error.code, error: error.message, details: error.details });
+}
+
+// Self-service booking. Slot, window and fee rules live in portalBooking.service.
+exports.appointmentSlots = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBooking.listSlots({ patient: req.patient, query: req.query })) }); } catch (error) { sendPortalError(res, error); }
+};
+exports.bookAppointment = async (req, res) => {
+  try {
+    const result = await portalBooking.bookAppointment({ req, patient: req.patient, body: req.body });
+    res.status(result.idempotent ? 200 : 201).json({ success: true, ...result });
+  } catch (error) { sendPortalError(res, error); }
+};
+exports.rescheduleAppointment = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBooking.rescheduleAppointment({ req, patient: req.patient, id: req.params.id, body: req.body })) }); } catch (error) { sendPortalError(res, error); }
+};
+exports.cancelAppointment = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBooking.cancelAppointment({ req, patient: req.patient, id: req.params.id, body: req.body })) }); } catch (error) { sendPortalError(res, error); }
+};
+exports.appointmentPayment = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBooking.appointmentPayment({ req, patient: req.patient, id: req.params.id })) }); } catch (error) { sendPortalError(res, error); }
+};
+exports.checkInAppointment = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBooking.checkInAppointment({ req, patient: req.patient, id: req.params.id })) }); } catch (error) { sendPortalError(res, error); }
+};
 exports.prescriptions = async (req, res) => {
   const items = await Prescription.find({ patient_id: req.patient._id }).populate('doctor_id','name first_name last_name specialization').sort({ issue_date: -1 }).limit(200).lean();
   res.json({ success: true, prescriptions: items });
@@ -75,6 +104,57 @@ exports.bills = async (req, res) => {
   res.json({ success: true, bills });
 };
 
+// Online payment of dues, IPD advance top-up and downloadable receipts. Money
+// is only booked when the gateway confirms capture, through the desk services.
+exports.billingSummary = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBilling.billingSummary({ patient: req.patient })) }); } catch (error) { sendPortalError(res, error, 500); }
+};
+exports.payBill = async (req, res) => {
+  try {
+    const result = await portalBilling.payDocument({ req, patient: req.patient, billId: req.params.billId, body: req.body });
+    res.status(result.reused ? 200 : 201).json({ success: true, ...result });
+  } catch (error) { sendPortalError(res, error); }
+};
+exports.payInvoice = async (req, res) => {
+  try {
+    const result = await portalBilling.payDocument({ req, patient: req.patient, invoiceId: req.params.invoiceId, body: req.body });
+    res.status(result.reused ? 200 : 201).json({ success: true, ...result });
+  } catch (error) { sendPortalError(res, error); }
+};
+exports.admissionRunningBill = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBilling.runningBill({ patient: req.patient, admissionId: req.params.admissionId })) }); } catch (error) { sendPortalError(res, error); }
+};
+exports.admissionAdvance = async (req, res) => {
+  try {
+    const result = await portalBilling.topUpAdvance({ req, patient: req.patient, admissionId: req.params.admissionId, body: req.body });
+    res.status(result.reused ? 200 : 201).json({ success: true, ...result });
+  } catch (error) { sendPortalError(res, error); }
+};
+exports.payments = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBilling.listPayments({ patient: req.patient, query: req.query })) }); } catch (error) { sendPortalError(res, error); }
+};
+exports.payment = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBilling.getPayment({ patient: req.patient, id: req.params.id })) }); } catch (error) { sendPortalError(res, error); }
+};
+exports.receipts = async (req, res) => {
+  try { res.json({ success: true, ...(await portalBilling.listReceipts({ patient: req.patient })) }); } catch (error) { sendPortalError(res, error); }
+};
+
+function sendPdf(res, { filename, buffer }) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^A-Za-z0-9._-]/g, '_')}"`);
+  res.send(buffer);
+}
+exports.receiptPdf = async (req, res) => {
+  try { sendPdf(res, await portalBilling.receiptPdf({ patient: req.patient, id: req.params.id })); } catch (error) { sendPortalError(res, error); }
+};
+exports.invoicePdf = async (req, res) => {
+  try { sendPdf(res, await portalBilling.invoicePdf({ patient: req.patient, id: req.params.invoiceId })); } catch (error) { sendPortalError(res, error); }
+};
+exports.runningBillPdf = async (req, res) => {
+  try { sendPdf(res, await portalBilling.runningBillPdf({ patient: req.patient, admissionId: req.params.admissionId })); } catch (error) { sendPortalError(res, error); }
+};
+
 exports.consents = async (req, res) => {
   const items = await IPDConsent.find(patientFilter(req)).sort({ updatedAt: -1 }).limit(200).lean();
   res.json({ success: true, consents: items });
@@ -23,6 +23,9 @@ const { generatePrescriptionPdf, generateOpdSlipPdf } = require('../services/cli
 const fileStorage = require('../services/fileStorage.service');
 const fs = require('fs');
 const { requestHospitalId } = require('../utils/hospitalScope');
+const { enforceMedicationSafety } = require('../services/nabhRules.service');
+const { saveWithOverride } = require('../services/medicationKnowledge.service');
+const { assertRestrictedApproval } = require('../services/antimicrobialStewardship.service');
 
 
 
@@ -391,14 +394,33 @@ exports.createPrescription = async (req, res) => {
             code: 'ANTIMICROBIAL_JUSTIFICATION_REQUIRED'
           });
         }
-        const restricted = (antimicrobialPolicy?.content?.restrictedAntibiotics || [])
-          .map((x) => String(x).toLowerCase())
-          .some((x) => [master.name, master.generic_name].filter(Boolean).map((y) => String(y).toLowerCase()).includes(x));
-        if (restricted && !String(item.antimicrobial_approval_reference || '').trim()) {
-          return res.status(422).json({
+        // Restricted/reserve agents need an approved stewardship request; a
+        // missing one is raised to the ID physicians and returned here.
+        try {
+          const approval = await assertRestrictedApproval(req, {
+            hospitalId: prescriptionHospitalId,
+            patientId: patient_id,
+            admissionId: String(source_type || '').toUpperCase() === 'IPD' ? ipd_admission_id : undefined,
+            medicine: master,
+            policy: antimicrobialPolicy,
+            approvalReference: item.antimicrobial_approval_reference,
+            justification: item.antimicrobial_justification,
+            indication: diagnosis || provisional_diagnosis,
+            prescriberId: doctor_id,
+            source: 'prescription'
+          });
+          if (approval) {
+            alerts.push(`ANTIMICROBIAL_${approval.stewardshipCategory.toUpperCase()}`);
+            item.antimicrobial_approval_reference = approval.approvalNumber;
+            item.__antimicrobialApprovalId = approval._id;
+          }
+        } catch (error) {
+          if (!String(error.code || '').startsWith('ANTIMICROBIAL_')) throw error;
+          return res.status(error.statusCode || 422).json({
             success: false,
-            error: `Restricted antimicrobial approval is required for ${master.name}`,
-            code: 'ANTIMICROBIAL_APPROVAL_REQUIRED'
+            error: error.message,
+            code: error.code,
+            approval: error.details
           });
         }
       }
@@ -438,6 +460,7 @@ exports.createPrescription = async (req, res) => {
           requires_pharmacy_dispense: normaliseBoolean(item.requires_pharmacy_dispense, true),
           antimicrobial_justification: item.antimicrobial_justification || '',
           antimicrobial_approval_reference: item.antimicrobial_approval_reference || '',
+          antimicrobial_approval_id: item.__antimicrobialApprovalId || null,
           safety_alerts: item.__resolvedSafetyAlerts || []
         };
       })
@@ -476,6 +499,32 @@ exports.createPrescription = async (req, res) => {
       resolvedPainScore = undefined;
     }
 
+    // Interaction, dose-range and allergy alerts block the prescription unless the
+    // prescriber records an override reason, which is audited.
+    let pendingOverride = null;
+    if (processedItems.length) {
+      try {
+        ({ pendingOverride } = await enforceMedicationSafety({
+          hospitalId: prescriptionHospitalId,
+          patientId: patient_id,
+          admissionId: ipdAdmission?._id,
+          context: 'opd_prescription',
+          overrideReason: req.body.medication_safety_override_reason,
+          orders: processedItems.map((item) => ({
+            medicineId: item.medicine_id,
+            medicineName: item.medicine_name,
+            genericName: item.generic_name,
+            dosage: item.dosage,
+            frequency: item.frequency,
+            route: item.route_of_administration
+          }))
+        }));
+      } catch (error) {
+        if (error.code !== 'MEDICATION_SAFETY_OVERRIDE_REQUIRED') throw error;
+        return res.status(409).json({ success: false, error: error.message, code: error.code, alerts: error.alerts });
+      }
+    }
+
     // Create prescription first
     const prescription = new Prescription({
       hospitalId: prescriptionHospitalId,
@@ -508,7 +557,7 @@ exports.createPrescription = async (req, res) => {
       created_by: req.user?._id
     });
 
-    await prescription.save();
+    await saveWithOverride({ req, pendingOverride, source: prescription });
 
     // Create Lab Requests
     const createdLabRequests = await createLabRequests(
@@ -629,6 +678,7 @@ exports.createPrescription = async (req, res) => {
           medicineId: item.medicine_id || null,
           medicineName: item.medicine_name,
           genericName: item.generic_name,
+          antimicrobialApprovalId: item.antimicrobial_approval_id || null,
           nlemCode: item.nlem_code || '',
           dosageForm: item.dosage_form || item.medicine_type || '',
           doseQtyBaseUnits,
@@ -3,6 +3,9 @@
 const SafetyIncident = require('../models/SafetyIncident');
 const { queueNotification } = require('../services/nabhNotification.service');
 const SafetyPolicy = require('../models/SafetyPolicy');
+const hai = require('../services/haiSurveillance.service');
+const stewardship = require('../services/antimicrobialStewardship.service');
+const investigation = require('../services/incidentInvestigation.service');
 const { hospitalId, required, ref, sendError } = require('../utils/functionalDomain');
 
 const TYPES = [
@@ -27,6 +30,12 @@ exports.createIncident = async (req, res) => {
       });
     }
 
+    if (req.body.status === 'closed') {
+      return res.status(400).json({
+        error: 'Incidents are closed through the closure sign-off'
+      });
+    }
+
     const row = await SafetyIncident.create({
       hospitalId: hospitalId(req),
       incidentNumber: req.body.incidentNumber || ref('INC'),
@@ -87,6 +96,13 @@ exports.updateIncident = async (req, res) => {
       });
     }
 
+    // Closure goes through the sign-off so the RCA and CAPA checks apply.
+    if (row.status === 'closed' || req.body.status === 'closed') {
+      return res.status(409).json({
+        error: row.status === 'closed' ? 'Incident is closed' : 'Incidents are closed through the closure sign-off'
+      });
+    }
+
     const updatableFields = ['status', 'severity', 'category', 'details', 'correctiveActions'];
 
     for (const key of updatableFields) {
@@ -121,6 +137,10 @@ exports.list = async (req, res) => {
       }
     }
 
+    if (req.query.rcaRequirement) {
+      filter['rca.requirement'] = req.query.rcaRequirement;
+    }
+
     const data = await SafetyIncident
       .find(filter)
       .sort({ occurredAt: -1 })
@@ -236,4 +256,264 @@ exports.policies = async (req, res) => {
   } catch (e) {
     return sendError(res, e, 500);
   }
-};
\ No newline at end of file
+};
+
+// ============================================
+// HAI surveillance
+// ============================================
+
+// Criteria failures carry the list of unmet NHSN elements in details,
+// stewardship refusals carry the approval request and blocked incident
+// closures carry the outstanding RCA/CAPA items.
+function sendHaiError(res, e, fallback) {
+  if (e?.details) {
+    return res.status(Number(e.statusCode || fallback || 400)).json({ error: e.message, code: e.code, details: e.details });
+  }
+  return sendError(res, e, fallback);
+}
+
+exports.recordDevice = async (req, res) => {
+  try {
+    required(req.body, ['admissionId', 'deviceType', 'insertedAt']);
+    const data = await hai.recordDevice(req, hospitalId(req), req.body);
+    return res.status(201).json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.removeDevice = async (req, res) => {
+  try {
+    const data = await hai.removeDevice(req, hospitalId(req), req.params.id, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.devices = async (req, res) => {
+  try {
+    const data = await hai.listDevices(hospitalId(req), req.query);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e, 500);
+  }
+};
+
+exports.cultureCandidates = async (req, res) => {
+  try {
+    const data = await hai.cultureCandidates(hospitalId(req), req.params.admissionId);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.createHaiCase = async (req, res) => {
+  try {
+    required(req.body, ['admissionId', 'haiType', 'eventDate']);
+    const data = await hai.createCase(req, hospitalId(req), req.body);
+    return res.status(201).json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.updateHaiCase = async (req, res) => {
+  try {
+    const data = await hai.updateCase(req, hospitalId(req), req.params.id, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.confirmHaiCase = async (req, res) => {
+  try {
+    const data = await hai.confirmCase(req, hospitalId(req), req.params.id, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.ruleOutHaiCase = async (req, res) => {
+  try {
+    const data = await hai.ruleOutCase(req, hospitalId(req), req.params.id, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.haiCases = async (req, res) => {
+  try {
+    const data = await hai.listCases(hospitalId(req), req.query);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e, 500);
+  }
+};
+
+exports.haiRates = async (req, res) => {
+  try {
+    const data = await hai.rateReport(hospitalId(req), req.query);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+// ============================================
+// Antimicrobial stewardship
+// ============================================
+
+exports.stewardshipMedicines = async (req, res) => {
+  try {
+    const data = await stewardship.restrictedMedicines(hospitalId(req));
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+};
+
+exports.updateStewardshipMedicine = async (req, res) => {
+  try {
+    const data = await stewardship.updateStewardship(req, hospitalId(req), req.params.medicineId, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.requestAntimicrobialApproval = async (req, res) => {
+  try {
+    required(req.body, ['patientId', 'medicineId', 'justification']);
+    const data = await stewardship.requestApproval(req, hospitalId(req), req.body);
+    return res.status(201).json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.antimicrobialApprovals = async (req, res) => {
+  try {
+    const data = await stewardship.listApprovals(hospitalId(req), req.query);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+};
+
+exports.decideAntimicrobialApproval = async (req, res) => {
+  try {
+    const data = await stewardship.decideApproval(req, hospitalId(req), req.params.id, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.antimicrobialTimeOuts = async (req, res) => {
+  try {
+    const data = await stewardship.timeOutQueue(hospitalId(req), req.query);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+};
+
+exports.reviewAntimicrobialTimeOut = async (req, res) => {
+  try {
+    const data = await stewardship.reviewTimeOut(req, hospitalId(req), req.params.chartId, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.stewardshipMetrics = async (req, res) => {
+  try {
+    const data = await stewardship.metricsReport(hospitalId(req), req.query);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+// ============================================
+// Incident investigation: RCA and CAPA
+// ============================================
+
+exports.assignRcaTeam = async (req, res) => {
+  try {
+    const data = await investigation.assignRcaTeam(req, hospitalId(req), req.params.id, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.saveRcaAnalysis = async (req, res) => {
+  try {
+    const data = await investigation.saveRcaAnalysis(req, hospitalId(req), req.params.id, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.addCapaItem = async (req, res) => {
+  try {
+    required(req.body, ['action', 'ownerId', 'dueAt']);
+    const data = await investigation.addCapaItem(req, hospitalId(req), req.params.id, req.body);
+    return res.status(201).json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.updateCapaItem = async (req, res) => {
+  try {
+    const data = await investigation.updateCapaItem(req, hospitalId(req), req.params.id, req.params.capaId, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.recordCapaEffectiveness = async (req, res) => {
+  try {
+    const data = await investigation.recordEffectivenessCheck(req, hospitalId(req), req.params.id, req.params.capaId, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
+
+exports.closeIncident = async (req, res) => {
+  try {
+    const data = await investigation.signOffClosure(req, hospitalId(req), req.params.id, req.body);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendHaiError(res, e);
+  }
+};
+
+exports.openCapas = async (req, res) => {
+  try {
+    const data = await investigation.openCapaReport(hospitalId(req), req.query);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e, 500);
+  }
+};
+
+exports.incidentRecurrence = async (req, res) => {
+  try {
+    const data = await investigation.recurrenceReport(hospitalId(req), req.query);
+    return res.json({ success: true, data });
+  } catch (e) {
+    return sendError(res, e);
+  }
+};
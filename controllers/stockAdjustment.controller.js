@@ -1,11 +1,13 @@
 const StockAdjustment = require('../models/StockAdjustment');
 const MedicineBatch = require('../models/MedicineBatch');
 const Medicine = require('../models/Medicine');
+const controlledDrugs = require('../services/controlledDrug.service');
+const { userHospitalId } = require('../utils/hospitalScope');
 
 // Create stock adjustment
 exports.createAdjustment = async (req, res) => {
   try {
-    const { medicine_id, batch_id, adjustment_type, quantity, reason, notes } = req.body;
+    const { medicine_id, batch_id, adjustment_type, quantity, reason, notes, witness_id } = req.body;
     
     if (!medicine_id || !adjustment_type || quantity === undefined || !reason) {
       return res.status(400).json({ error: 'Medicine, adjustment type, quantity, and reason are required.' });
@@ -16,6 +18,22 @@ exports.createAdjustment = async (req, res) => {
       return res.status(400).json({ error: 'Quantity must be a positive number.' });
     }
 
+    const hospitalId = userHospitalId(req.user);
+    const medicine = await Medicine.findOne({ _id: medicine_id, hospitalId });
+    if (!medicine) return res.status(404).json({ error: 'Medicine not found.' });
+    // Batches carry no hospital of their own; they are scoped through the
+    // hospital's medicine.
+    const batch = batch_id ? await MedicineBatch.findOne({ _id: batch_id, medicine_id: medicine._id }) : null;
+    if (batch_id && !batch) return res.status(404).json({ error: 'Batch not found.' });
+
+    const direction = adjustment_type === 'Addition' ? 'in' : 'out';
+    const controlled = controlledDrugs.isRegistered(medicine.drugSchedule) && adjustment_type !== 'Correction';
+    if (controlled) {
+      if (!batch) return res.status(400).json({ error: `A batch is required to adjust ${medicine.name}.` });
+      // Witness and register balance are checked before anything is written.
+      await controlledDrugs.assertAdjustmentAllowed({ req, hospitalId, medicine, direction, quantity: numQty, witnessId: witness_id });
+    }
+
     const adjustment = new StockAdjustment({
       medicine_id,
       batch_id: batch_id || null,
@@ -23,36 +41,70 @@ exports.createAdjustment = async (req, res) => {
       quantity: numQty,
       reason: String(reason).trim(),
       notes: notes ? String(notes).trim() : '',
+      witnessed_by: witness_id || undefined,
       adjusted_by: req.user?._id || req.user?.id
     });
-    
     await adjustment.save();
     
-    // Update batch quantity if batch selected
-    if (batch_id) {
-      const batch = await MedicineBatch.findById(batch_id);
+    // Batch stock moves with $inc so concurrent sales are not overwritten. A
+    // deduction cannot take the batch below zero, so the applied quantity may
+    // be less than requested; the register follows what actually moved. If the
+    // batch or the register refuses, the movement is reversed and the
+    // adjustment is kept as failed.
+    let applied = numQty;
+    let moved = null;
+    try {
       if (batch) {
+        // On-hand stock is counted in base units where the batch has them.
+        const onHandField = batch.quantity_base_units === undefined || batch.quantity_base_units === null ? 'quantity' : 'quantity_base_units';
+        let guard = {};
         if (adjustment_type === 'Addition') {
-          batch.quantity = (batch.quantity || 0) + numQty;
-          batch.quantity_base_units = (batch.quantity_base_units || 0) + numQty;
+          moved = { quantity: numQty, quantity_base_units: numQty };
         } else if (['Deduction', 'Damage', 'Expiry'].includes(adjustment_type)) {
-          batch.quantity = Math.max(0, (batch.quantity || 0) - numQty);
-          batch.quantity_base_units = Math.max(0, (batch.quantity_base_units || 0) - numQty);
+          moved = {
+            quantity: -Math.min(numQty, Math.max(0, batch.quantity || 0)),
+            quantity_base_units: -Math.min(numQty, Math.max(0, batch.quantity_base_units || 0))
+          };
+          applied = -moved[onHandField];
+          guard = { [onHandField]: { $gte: applied } };
+        }
+        if (moved) {
+          const result = await MedicineBatch.updateOne({ _id: batch._id, ...guard }, { $inc: moved });
+          if (!result.matchedCount) {
+            moved = null;
+            throw Object.assign(new Error('Batch stock changed during the adjustment; review it and try again.'), { statusCode: 409 });
+          }
         }
-        await batch.save();
       }
+
+      if (controlled) {
+        await controlledDrugs.recordAdjustment({
+          req,
+          hospitalId,
+          medicine,
+          batch,
+          direction,
+          quantity: applied,
+          reason: String(reason).trim(),
+          witnessId: witness_id,
+          adjustment
+        });
+      }
+    } catch (error) {
+      if (moved) {
+        await MedicineBatch.updateOne({ _id: batch._id }, { $inc: { quantity: -moved.quantity, quantity_base_units: -moved.quantity_base_units } });
+      }
+      await StockAdjustment.updateOne({ _id: adjustment._id }, { $set: { status: 'failed', failure_reason: error.message } });
+      throw error;
     }
     
     // Update medicine total stock
-    const medicine = await Medicine.findById(medicine_id);
-    if (medicine) {
-      if (adjustment_type === 'Addition') {
-        medicine.stock_quantity = (medicine.stock_quantity || 0) + numQty;
-      } else if (['Deduction', 'Damage', 'Expiry'].includes(adjustment_type)) {
-        medicine.stock_quantity = Math.max(0, (medicine.stock_quantity || 0) - numQty);
-      }
-      await medicine.save();
+    if (adjustment_type === 'Addition') {
+      medicine.stock_quantity = (medicine.stock_quantity || 0) + numQty;
+    } else if (['Deduction', 'Damage', 'Expiry'].includes(adjustment_type)) {
+      medicine.stock_quantity = Math.max(0, (medicine.stock_quantity || 0) - numQty);
     }
+    await medicine.save();
 
     const populated = await StockAdjustment.findById(adjustment._id)
       .populate('medicine_id', 'name generic_name brand category')
@@ -62,7 +114,7 @@ exports.createAdjustment = async (req, res) => {
     res.status(201).json({ success: true, adjustment: populated });
   } catch (err) {
     console.error('Error creating stock adjustment:', err);
-    res.status(400).json({ error: err.message || 'Failed to create stock adjustment' });
+    res.status(err.statusCode || 400).json({ error: err.message || 'Failed to create stock adjustment', code: err.code });
   }
 };
 
@@ -10,6 +10,7 @@ const StoreIssue = require('../models/StoreIssue');
 const StoreRequisition = require('../models/StoreRequisition');
 const HRStaffProfile = require('../models/HRStaffProfile');
 const { requestHospitalId, resolveHospitalId = requestHospitalId } = require('../utils/hospitalScope');
+const { checkApprovalGate } = require('../services/approvalMatrix.service');
 
 const STORE_ROLES = ['store', 'store_manager', 'inventory_manager', 'admin', 'mediqliq_super_admin'];
 
@@ -354,6 +355,7 @@ exports.deleteItem = async (req, res) => {
 };
 
 exports.adjustStock = async (req, res) => {
+  let approvalGate = null;
   try {
     const { quantity, adjustment_type, unit_cost, remarks } = req.body;
     const item = await StoreItem.findOne(await hospitalRecordFilter(req, req.params.id));
@@ -367,6 +369,19 @@ exports.adjustStock = async (req, res) => {
     const after = isOut ? before - qty : before + qty;
     if (after < 0) return res.status(400).json({ error: 'Insufficient stock' });
 
+    if (isOut) {
+      try {
+        approvalGate = await checkApprovalGate({
+          req,
+          requestType: 'STOCK_WRITE_OFF',
+          amount: qty * toNumber(item.average_cost, 0),
+          sourceId: item._id
+        });
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({ error: error.message, code: error.code });
+      }
+    }
+
     item.current_stock = after;
     if (!isOut && unit_cost !== undefined) {
       item.average_cost = toNumber(unit_cost, item.average_cost);
@@ -374,6 +389,8 @@ exports.adjustStock = async (req, res) => {
     }
     item.updated_by = getUserId(req);
     await item.save();
+    // The write-off is booked; its approval stays consumed from here on.
+    approvalGate = null;
 
     const transaction = await createTransaction({
       item,
@@ -389,6 +406,7 @@ exports.adjustStock = async (req, res) => {
     res.json({ message: 'Stock adjusted successfully', item, transaction });
   } catch (error) {
     console.error('Adjust stock error:', error);
+    await approvalGate?.release().catch(() => {});
     res.status(400).json({ error: error.message });
   }
 };
@@ -610,15 +628,31 @@ exports.getPurchaseOrderById = async (req, res) => {
 };
 
 exports.updatePurchaseOrderStatus = async (req, res) => {
+  let approvalGate = null;
   try {
     const { status } = req.body;
     const update = { status };
-    if (status === 'Approved') update.approved_by = getUserId(req);
+    if (status === 'Approved') {
+      const existing = await StorePurchaseOrder.findOne(await hospitalRecordFilter(req, req.params.id)).select('total_amount status').lean();
+      if (!existing) return res.status(404).json({ error: 'Store purchase order not found' });
+      if (existing.status !== 'Approved') {
+        try {
+          approvalGate = await checkApprovalGate({ req, requestType: 'PURCHASE_ORDER', amount: existing.total_amount, sourceId: existing._id });
+        } catch (error) {
+          return res.status(error.statusCode || 400).json({ error: error.message, code: error.code });
+        }
+      }
+      update.approved_by = getUserId(req);
+    }
     const po = await StorePurchaseOrder.findOneAndUpdate(await hospitalRecordFilter(req, req.params.id), update, { new: true, runValidators: true })
       .populate('items.item', 'name item_code unit');
-    if (!po) return res.status(404).json({ error: 'Store purchase order not found' });
+    if (!po) {
+      await approvalGate?.release().catch(() => {});
+      return res.status(404).json({ error: 'Store purchase order not found' });
+    }
     res.json({ message: 'Purchase order status updated', purchaseOrder: po });
   } catch (error) {
+    await approvalGate?.release().catch(() => {});
     res.status(400).json({ error: error.message });
   }
 };
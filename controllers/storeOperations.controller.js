@@ -15,6 +15,7 @@ const inventory = require('../services/inventoryLedger.service');
 const { nextSequence, financialYear } = require('../services/hospitalSequence.service');
 const { requireHospitalId } = require('../services/tenantScope.service');
 const { appendDomainEvent } = require('../services/auditEvent.service');
+const { assertTransferDispatchable } = require('../services/gstCompliance.service');
 
 const populateLot = (query) => query
   .populate('itemId', 'item_code name unit category current_stock average_cost tracking_policy')
@@ -262,7 +263,8 @@ exports.createTransfer = async (req, res, next) => {
     const hospitalId = requireHospitalId(req);
     if (String(req.body.fromLocationId) === String(req.body.toLocationId)) return res.status(400).json({ error: 'Source and destination must be different' });
     const transferNumber = await nextNumber(hospitalId, 'stock-transfer', 'TRF');
-    const data = await StockTransfer.create({ ...req.body, hospitalId, transferNumber, requestedBy: req.user._id });
+    const { ewayBill, ...body } = req.body;
+    const data = await StockTransfer.create({ ...body, hospitalId, transferNumber, requestedBy: req.user._id });
     res.status(201).json({ success: true, data });
   } catch (error) { next(error); }
 };
@@ -281,6 +283,7 @@ exports.dispatchTransfer = async (req, res, next) => {
     const result = await inventory.runInTransaction(async (session) => {
       const transfer = await StockTransfer.findOne({ _id: req.params.id, hospitalId, status: { $in: ['Approved', 'Picked'] } }).session(session);
       if (!transfer) throw Object.assign(new Error('Approved transfer not found'), { statusCode: 404 });
+      await assertTransferDispatchable({ hospitalId, transfer, userId: req.user._id });
       for (const line of transfer.lines) await inventory.transfer({ hospitalId, lotId: line.lotId, fromLocationId: transfer.fromLocationId, toLocationId: transfer.toLocationId, quantity: line.dispatchedQuantity, referenceId: transfer._id, performedBy: req.user._id, correlationId: transfer.transferNumber, session });
       transfer.status = 'In Transit'; transfer.dispatchedBy = req.user._id; transfer.dispatchedAt = new Date(); await transfer.save({ session });
       return transfer;
@@ -378,7 +381,8 @@ exports.createPurchaseReturn = async (req, res, next) => {
     ensureLines(req.body);
     const hospitalId = requireHospitalId(req);
     const returnNumber = await nextNumber(hospitalId, 'purchase-return', 'PRT');
-    const data = await PurchaseReturn.create({ ...req.body, hospitalId, returnNumber, createdBy: req.user._id });
+    const { eInvoice, ...body } = req.body;
+    const data = await PurchaseReturn.create({ ...body, hospitalId, returnNumber, createdBy: req.user._id });
     res.status(201).json({ success: true, data });
   } catch (error) { next(error); }
 };
@@ -10,6 +10,7 @@ const mongoose = require('mongoose');
 const { requireHospitalId } = require('../services/tenantScope.service');
 const { nextNumber } = require('../services/hospitalSequence.service');
 const { appendDomainEvent } = require('../services/auditEvent.service');
+const implantRegistry = require('../services/implantRegistry.service');
 
 function page(req) { return Math.max(1, Number(req.query.page || 1)); }
 function limit(req) { return Math.min(250, Math.max(1, Number(req.query.limit || 50))); }
@@ -50,7 +51,7 @@ exports.addAssetMaintenance = async (req,res,next)=>{try{const hospitalId=requir
 
 exports.listRecalls = async (req,res,next)=>{try{res.json({success:true,...await list(InventoryRecall,req,'itemId lotIds tracedLocations.locationId')});}catch(e){next(e);}};
 exports.createRecall = async (req,res,next)=>{try{const hospitalId=requireHospitalId(req);const recallNumber=await nextNumber(hospitalId,'inventory-recall','RCL');const record=await InventoryRecall.create({...req.body,hospitalId,recallNumber,initiatedBy:req.user._id});await InventoryLot.updateMany({_id:{$in:req.body.lotIds||[]},hospitalId},{$set:{qualityStatus:'Recalled'}});res.status(201).json({success:true,data:record});}catch(e){next(e);}};
-exports.traceRecall = async (req,res,next)=>{try{const hospitalId=requireHospitalId(req);const record=await InventoryRecall.findOne({_id:req.params.id,hospitalId});if(!record)return res.status(404).json({error:'Recall not found'});const tx=await StoreInventoryTransaction.find({hospital_id:hospitalId,lot:{$in:record.lotIds}}).lean();record.tracedIssues=tx.filter(t=>t.patient_id||t.admission_id||t.ot_case_id).map(t=>({issueId:t.reference_id,patientId:t.patient_id,admissionId:t.admission_id,otCaseId:t.ot_case_id,quantity:t.quantity}));record.status='Tracing';record.actions.push({action:'Trace completed',by:req.user._id,at:new Date(),notes:`${tx.length} transactions found`});await record.save();res.json({success:true,data:{record,transactions:tx}});}catch(e){next(e);}};
+exports.traceRecall = async (req,res,next)=>{try{const hospitalId=requireHospitalId(req);const record=await InventoryRecall.findOne({_id:req.params.id,hospitalId});if(!record)return res.status(404).json({error:'Recall not found'});const tx=await StoreInventoryTransaction.find({hospital_id:hospitalId,lot:{$in:record.lotIds}}).lean();const implants=await implantRegistry.traceRecallImplants({hospitalId,recall:record});const txIds=new Set(tx.map(t=>String(t._id)));const implantByTx=new Map(implants.filter(i=>i.inventoryTransactionId).map(i=>[String(i.inventoryTransactionId),i]));record.tracedIssues=[...tx.filter(t=>t.patient_id||t.admission_id||t.ot_case_id).map(t=>({issueId:t.reference_id,implantId:implantByTx.get(String(t._id))?._id,patientId:t.patient_id,admissionId:t.admission_id,otCaseId:t.ot_case_id,quantity:t.quantity})),...implants.filter(i=>!txIds.has(String(i.inventoryTransactionId))).map(i=>({issueId:i.caseId,implantId:i._id,patientId:i.patientId,admissionId:i.admissionId,otCaseId:i.caseId,quantity:i.quantity}))];record.status='Tracing';record.actions.push({action:'Trace completed',by:req.user._id,at:new Date(),notes:`${tx.length} transactions and ${implants.length} implants found`});await record.save();res.json({success:true,data:{record,transactions:tx,implants}});}catch(e){next(e);}};
 exports.transitionRecall = async (req,res,next)=>{try{const map={quarantine:[['Open','Tracing'],'Quarantined'],recover:[['Quarantined'],'Recovered'],close:[['Recovered','Quarantined'],'Closed'],cancel:[['Open'],'Cancelled']};const action=map[req.params.action];if(!action)return res.status(400).json({error:'Unsupported action'});const record=await transition(req,InventoryRecall,...action);if(record.status==='Closed')record.closedAt=new Date();record.actions.push({action:record.status,by:req.user._id,at:new Date(),notes:req.body.notes});await record.save();res.json({success:true,data:record});}catch(e){next(e);}};
 
 
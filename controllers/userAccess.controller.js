@@ -57,7 +57,11 @@ const ALLOWED_ACTIONS = new Set([
   'ipd_discharge_write',
   'ipd_discharge_support',
   'ipd_discharge_override',
-  'pharmacy_finance_access'
+  'pharmacy_finance_access',
+  'approval_policy_manage',
+  'accounting_export',
+  'roster_publish',
+  'cssd_recall'
 ]);
 
 function normalizePermissions(rows, actor) {
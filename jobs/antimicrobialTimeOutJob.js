@@ -0,0 +1,27 @@
+'use strict';
+
+const cron = require('node-cron');
+const { sendTimeOutReminders } = require('../services/antimicrobialStewardship.service');
+
+let task = null;
+
+function startAntimicrobialTimeOutJob() {
+  if (String(process.env.DISABLE_ANTIMICROBIAL_TIME_OUT_JOB || 'false').toLowerCase() === 'true') return null;
+  if (task) return task;
+  task = cron.schedule(process.env.ANTIMICROBIAL_TIME_OUT_CRON || '0 * * * *', async () => {
+    try {
+      const sent = await sendTimeOutReminders();
+      if (sent) console.info(`[Stewardship] Sent ${sent} antimicrobial time-out reminder(s)`);
+    } catch (error) {
+      console.error('[Stewardship] Time-out reminder job failed:', error.message);
+    }
+  });
+  return task;
+}
+
+function stopAntimicrobialTimeOutJob() {
+  task?.stop();
+  task = null;
+}
+
+module.exports = { startAntimicrobialTimeOutJob, stopAntimicrobialTimeOutJob };
@@ -0,0 +1,27 @@
+'use strict';
+
+const cron = require('node-cron');
+const { escalateOverdue } = require('../services/approvalMatrix.service');
+
+let task = null;
+
+function startApprovalEscalationJob() {
+  if (String(process.env.DISABLE_APPROVAL_ESCALATION_JOB || 'false').toLowerCase() === 'true') return null;
+  if (task) return task;
+  task = cron.schedule(process.env.APPROVAL_ESCALATION_CRON || '*/15 * * * *', async () => {
+    try {
+      const escalated = await escalateOverdue();
+      if (escalated) console.info(`[Approvals] Escalated ${escalated} overdue approval step(s)`);
+    } catch (error) {
+      console.error('[Approvals] Escalation job failed:', error.message);
+    }
+  });
+  return task;
+}
+
+function stopApprovalEscalationJob() {
+  task?.stop();
+  task = null;
+}
+
+module.exports = { startApprovalEscalationJob, stopApprovalEscalationJob };
@@ -0,0 +1,27 @@
+'use strict';
+
+const cron = require('node-cron');
+const { escalateOverdueCapas } = require('../services/incidentInvestigation.service');
+
+let task = null;
+
+function startCapaEscalationJob() {
+  if (String(process.env.DISABLE_CAPA_ESCALATION_JOB || 'false').toLowerCase() === 'true') return null;
+  if (task) return task;
+  task = cron.schedule(process.env.CAPA_ESCALATION_CRON || '30 8 * * *', async () => {
+    try {
+      const sent = await escalateOverdueCapas();
+      if (sent) console.info(`[Safety] Sent ${sent} CAPA escalation/effectiveness reminder(s)`);
+    } catch (error) {
+      console.error('[Safety] CAPA escalation job failed:', error.message);
+    }
+  }, { timezone: process.env.HOSPITAL_TIME_ZONE || 'Asia/Kolkata' });
+  return task;
+}
+
+function stopCapaEscalationJob() {
+  task?.stop();
+  task = null;
+}
+
+module.exports = { startCapaEscalationJob, stopCapaEscalationJob };
@@ -0,0 +1,31 @@
+'use strict';
+
+const cron = require('node-cron');
+const { reconcileListeners, stopAllListeners } = require('../services/labAnalyzerListener.service');
+
+let task = null;
+
+async function execute() {
+  try {
+    await reconcileListeners();
+  } catch (error) {
+    console.error('[Lab Analyzer] listener reconcile failed:', error.message);
+  }
+}
+
+function startLabAnalyzerJob() {
+  if (String(process.env.LAB_ANALYZER_LISTENERS_ENABLED || 'false').toLowerCase() !== 'true') return null;
+  if (task) return task;
+  // Picks up analyzer configuration changes and drains file-drop inboxes.
+  task = cron.schedule(process.env.LAB_ANALYZER_RECONCILE_CRON || '* * * * *', execute);
+  execute();
+  return task;
+}
+
+function stopLabAnalyzerJob() {
+  task?.stop();
+  task = null;
+  stopAllListeners();
+}
+
+module.exports = { startLabAnalyzerJob, stopLabAnalyzerJob };
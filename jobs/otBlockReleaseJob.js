@@ -0,0 +1,27 @@
+'use strict';
+
+const cron = require('node-cron');
+const { releaseDueBlocks } = require('../services/otBlockSchedule.service');
+
+let task = null;
+
+function startOTBlockReleaseJob() {
+  if (String(process.env.DISABLE_OT_BLOCK_RELEASE_JOB || 'false').toLowerCase() === 'true') return null;
+  if (task) return task;
+  task = cron.schedule(process.env.OT_BLOCK_RELEASE_CRON || '*/15 * * * *', async () => {
+    try {
+      const released = await releaseDueBlocks();
+      if (released) console.info(`[OT] Released ${released} unused theatre block(s) to the waitlist`);
+    } catch (error) {
+      console.error('[OT] Block release job failed:', error.message);
+    }
+  });
+  return task;
+}
+
+function stopOTBlockReleaseJob() {
+  task?.stop();
+  task = null;
+}
+
+module.exports = { startOTBlockReleaseJob, stopOTBlockReleaseJob };
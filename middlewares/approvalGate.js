@@ -0,0 +1,39 @@
+const { checkApprovalGate } = require('../services/approvalMatrix.service');
+
+/**
+ * Route guard backed by the approval matrix. `amount`, `sourceId` and `when`
+ * receive the request (and may be async); `fallbackAction` is the action
+ * permission enforced when the hospital has no policy for the request type.
+ * A consumed approval is handed back if the guarded handler responds with an error.
+ */
+exports.requireApproval = (requestType, { amount, sourceId, when, fallbackAction } = {}) => async (req, res, next) => {
+  try {
+    if (when && !(await when(req))) return next();
+
+    const gate = await checkApprovalGate({
+      req,
+      requestType,
+      amount: amount ? await amount(req) : 0,
+      sourceId: sourceId ? await sourceId(req) : undefined,
+      fallbackAction
+    });
+
+    if (gate.approval) {
+      req.approvalRequest = gate.approval;
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          gate.release().catch((error) => console.error('Approval release failed:', error.message));
+        }
+      });
+    }
+    return next();
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      code: error.code,
+      error: error.statusCode ? error.message : 'Internal server error',
+      ...(error.code === 'APPROVAL_REQUIRED' ? { approvers: error.approvers, mode: error.mode } : {}),
+      ...(error.requestType ? { requestType: error.requestType, amount: error.amount } : {})
+    });
+  }
+};
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const SsoSession = require("../models/SsoSession");
 const { userHospitalId, isPlatformAdmin } = require('../utils/hospitalScope');
 const {
   ACCESS_ORDER,
@@ -87,6 +88,13 @@ async function authenticateRequest(req, { optional = false } = {}) {
     error.statusCode = 403;
     throw error;
   }
+  // Tokens from an IdP login stay valid only while their SSO session does, so
+  // user or IdP-initiated logout revokes them before the JWT expires.
+  if (decoded.ssoSession && !(await SsoSession.exists({ _id: decoded.ssoSession, userId: user._id, status: "ACTIVE" }))) {
+    const error = new Error("SSO session has ended. Please sign in again.");
+    error.statusCode = 401;
+    throw error;
+  }
   user.$authClaims = decoded;
   return user;
 }
@@ -535,7 +543,11 @@ exports.getUserActions = (user) => {
       'ipd_medication_write',
       'ipd_discharge_write',
       'ipd_discharge_support',
-      'ipd_discharge_override'
+      'ipd_discharge_override',
+      'approval_policy_manage',
+      'accounting_export',
+      'roster_publish',
+      'cssd_recall'
     ];
   }
 
@@ -19,6 +19,7 @@ const ROUTE_ENTITLEMENTS = [
   ['/customers', 'pharmacy'],
   ['/suppliers', 'pharmacy'],
   ['/pharmacy-bills', 'pharmacy'],
+  ['/controlled-drugs', 'pharmacy'],
   ['/lab', 'laboratory'],
   ['/labtests', 'laboratory'],
   ['/labreports', 'laboratory'],
@@ -28,6 +29,7 @@ const ROUTE_ENTITLEMENTS = [
   ['/ot', 'operation_theatre'],
   ['/procedurerequests', 'operation_theatre'],
   ['/procedures', 'operation_theatre'],
+  ['/cssd', 'operation_theatre'],
   ['/store', 'store_inventory'],
   ['/hr/dashboard', 'hr_staff'],
   ['/hr/attendance', 'hr_staff'],
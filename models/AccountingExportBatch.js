@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const voucherLineSchema = new mongoose.Schema({
+  ledger: { type: String, required: true },
+  side: { type: String, enum: ['Dr', 'Cr'], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  costCentre: String
+}, { _id: false });
+
+const voucherSchema = new mongoose.Schema({
+  voucherNumber: { type: String, required: true },
+  voucherType: { type: String, required: true },
+  date: { type: String, required: true },
+  sourceDate: Date,
+  reference: String,
+  narration: String,
+  source: { type: String, required: true },
+  sourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  lines: [voucherLineSchema]
+}, { _id: false });
+
+// Vouchers are frozen on the batch so a re-download reproduces the same file
+// even after ledger mappings change. The first download locks the batch.
+const accountingExportBatchSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  batchNumber: { type: String, required: true },
+  fromDate: { type: String, required: true },
+  toDate: { type: String, required: true },
+  sources: [{ type: String }],
+  status: { type: String, enum: ['generated', 'exported', 'discarded'], default: 'generated', index: true },
+  voucherCount: { type: Number, default: 0 },
+  totalDebit: { type: Number, default: 0 },
+  totalCredit: { type: Number, default: 0 },
+  vouchers: [voucherSchema],
+  companyName: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  exportedAt: Date,
+  exportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  downloads: [{
+    format: { type: String, enum: ['tally_xml', 'csv'] },
+    at: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  discardedAt: Date,
+  discardedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  discardReason: { type: String, trim: true }
+}, { timestamps: true });
+
+accountingExportBatchSchema.index({ hospitalId: 1, batchNumber: 1 }, { unique: true });
+accountingExportBatchSchema.index({ hospitalId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AccountingExportBatch', accountingExportBatchSchema);
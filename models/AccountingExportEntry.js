@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One row per source record claimed by an export batch. The unique index is
+// what stops a transaction from being posted to the books twice, including
+// when two batches are generated at the same time.
+const accountingExportEntrySchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  source: { type: String, required: true },
+  sourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  sourceDate: { type: Date, required: true },
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'AccountingExportBatch', required: true, index: true },
+  voucherNumber: String
+}, { timestamps: true });
+
+accountingExportEntrySchema.index({ hospitalId: 1, source: 1, sourceId: 1 }, { unique: true });
+accountingExportEntrySchema.index({ hospitalId: 1, source: 1, sourceDate: 1 });
+
+module.exports = mongoose.model('AccountingExportEntry', accountingExportEntrySchema);
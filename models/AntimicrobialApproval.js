@@ -0,0 +1,50 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'expired', 'withdrawn'];
+
+const cultureLinkSchema = new mongoose.Schema({
+  labRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabRequest', required: true },
+  testName: String,
+  organism: String,
+  // S / I / R for the requested agent as reported on the culture.
+  interpretation: { type: String, enum: ['S', 'I', 'R'] },
+  collectedAt: Date
+}, { _id: false });
+
+// A prescriber's request to use a restricted or reserve antimicrobial for one
+// patient. The approval number is what the order carries as its
+// antimicrobial approval reference.
+const schema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  approvalNumber: { type: String, required: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission', index: true },
+  medicineId: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
+  medicineName: { type: String, required: true, trim: true },
+  genericName: { type: String, trim: true },
+  stewardshipCategory: { type: String, enum: ['restricted', 'reserve'], required: true },
+  therapyType: { type: String, enum: ['empirical', 'targeted', 'prophylaxis'], default: 'empirical' },
+  indication: { type: String, trim: true },
+  justification: { type: String, required: true, trim: true },
+  source: { type: String, enum: ['prescription', 'ipd_medication_order', 'manual'], default: 'manual' },
+  prescriberId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cultures: [cultureLinkSchema],
+  status: { type: String, enum: APPROVAL_STATUSES, default: 'pending', index: true },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: Date,
+  decisionNotes: String,
+  approvedDays: Number,
+  validUntil: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+schema.index({ hospitalId: 1, approvalNumber: 1 }, { unique: true });
+schema.index({ hospitalId: 1, patientId: 1, medicineId: 1, status: 1 });
+
+const AntimicrobialApproval = mongoose.model('AntimicrobialApproval', schema);
+AntimicrobialApproval.APPROVAL_STATUSES = APPROVAL_STATUSES;
+
+module.exports = AntimicrobialApproval;
@@ -146,6 +146,15 @@ const appointmentSchema = new mongoose.Schema({
   },
   queuePosition: { type: Number, min: 1 },
   estimatedWaitMinutes: { type: Number, min: 0 },
+  portalBooking: {
+    feeType: { type: String, enum: ['NEW', 'FOLLOW_UP'] },
+    fee: { type: Number, min: 0 },
+    feeSource: { type: String, trim: true },
+    paymentStatus: { type: String, enum: ['NOT_REQUIRED', 'PENDING', 'PAID', 'FAILED'] },
+    gatewayPaymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'GatewayPayment' },
+    rescheduleCount: { type: Number, default: 0, min: 0 },
+    checkedInRemotelyAt: Date
+  },
   abdmRecordLink: {
     patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', index: true },
     abhaNumber: { type: String, index: true },
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const approvalDelegationSchema = new mongoose.Schema({
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true,
+    index: true
+  },
+  delegatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  delegatorRole: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  delegateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  requestTypes: {
+    type: [String],
+    default: [],
+    description: 'Empty means the delegation covers every request type.'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+approvalDelegationSchema.index({ hospitalId: 1, delegateId: 1, active: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model('ApprovalDelegation', approvalDelegationSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { REQUEST_TYPES } = require('./ApprovalRequest');
+
+const approverSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  slaHours: {
+    type: Number,
+    min: 0,
+    default: 24
+  },
+  escalateToRole: {
+    type: String,
+    trim: true,
+    lowercase: true
+  }
+}, { _id: false });
+
+const bandSchema = new mongoose.Schema({
+  minAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxAmount: {
+    type: Number,
+    min: 0,
+    description: 'Inclusive upper bound; leave empty for no upper limit.'
+  },
+  mode: {
+    type: String,
+    enum: ['sequential', 'parallel'],
+    default: 'sequential'
+  },
+  approvers: {
+    type: [approverSchema],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length > 0,
+      message: 'Each amount band needs at least one approver role'
+    }
+  }
+}, { _id: false });
+
+const approvalPolicySchema = new mongoose.Schema({
+  hospitalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true,
+    index: true
+  },
+  requestType: {
+    type: String,
+    enum: REQUEST_TYPES,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  bands: {
+    type: [bandSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+approvalPolicySchema.index({ hospitalId: 1, requestType: 1 }, { unique: true });
+
+module.exports = mongoose.model('ApprovalPolicy', approvalPolicySchema);
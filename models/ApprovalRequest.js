@@ -1,5 +1,66 @@
 const mongoose = require('mongoose');
 
+const REQUEST_TYPES = [
+  'DISCOUNT_APPROVAL',
+  'REFUND',
+  'WRITE_OFF',
+  'CREDIT_NOTE',
+  'RATE_OVERRIDE',
+  'PURCHASE_ORDER',
+  'STOCK_WRITE_OFF',
+  'PAYROLL_PUBLISH',
+  'OTHER'
+];
+
+const approvalStepSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true
+  },
+  role: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  label: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['Waiting', 'Pending', 'Approved', 'Rejected', 'Skipped'],
+    default: 'Waiting'
+  },
+  slaHours: {
+    type: Number
+  },
+  dueAt: {
+    type: Date
+  },
+  escalateToRole: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  escalatedAt: {
+    type: Date
+  },
+  actedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  onBehalfOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actedAt: {
+    type: Date
+  },
+  comments: {
+    type: String
+  }
+}, { _id: true });
+
 const approvalRequestSchema = new mongoose.Schema({
   hospitalId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,7 +70,7 @@ const approvalRequestSchema = new mongoose.Schema({
   },
   requestType: {
     type: String,
-    enum: ['DISCOUNT_APPROVAL', 'OTHER'],
+    enum: REQUEST_TYPES,
     default: 'DISCOUNT_APPROVAL',
     required: true
   },
@@ -45,10 +106,47 @@ const approvalRequestSchema = new mongoose.Schema({
   },
   rejectionReason: {
     type: String
+  },
+  amount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  sourceType: {
+    type: String,
+    trim: true
+  },
+  sourceId: {
+    type: String,
+    trim: true
+  },
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalPolicy'
+  },
+  mode: {
+    type: String,
+    enum: ['single', 'sequential', 'parallel'],
+    default: 'single'
+  },
+  steps: {
+    type: [approvalStepSchema],
+    default: []
+  },
+  consumedAt: {
+    type: Date
+  },
+  consumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, { timestamps: true });
 
 approvalRequestSchema.index({ hospitalId: 1, status: 1 });
 approvalRequestSchema.index({ admissionId: 1, requestType: 1 });
+approvalRequestSchema.index({ hospitalId: 1, status: 1, 'steps.status': 1, 'steps.role': 1 });
+
+const ApprovalRequest = mongoose.model('ApprovalRequest', approvalRequestSchema);
+ApprovalRequest.REQUEST_TYPES = REQUEST_TYPES;
 
-module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
+module.exports = ApprovalRequest;
@@ -12,6 +12,34 @@ const schema = new mongoose.Schema({
   priority: { type: String, enum: ['routine','urgent','emergency'], default: 'routine' },
   status: { type: String, enum: ['requested','reserved','shortage','dispatched','cancelled'], default: 'requested', index: true },
   reservedUnitIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'BloodUnit' }],
+  patientSample: {
+    sampleNumber: String,
+    bloodGroup: { type: String, enum: ['A+','A-','B+','B-','AB+','AB-','O+','O-'] },
+    antibodyScreen: { type: String, enum: ['negative','positive'] },
+    collectedAt: Date,
+    recordedAt: Date,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  crossmatches: [{
+    unitId: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodUnit', required: true },
+    unitNumber: String,
+    unitBloodGroup: String,
+    // The patient sample the crossmatch was tested against.
+    sampleNumber: String,
+    patientBloodGroup: String,
+    method: { type: String, enum: ['immediate_spin','ahg','gel','electronic'], required: true },
+    result: { type: String, enum: ['compatible','incompatible'], required: true },
+    testedAt: { type: Date, default: operationNow },
+    validUntil: Date,
+    testedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    notes: String
+  }],
+  // Uncrossmatched release for a life-threatening bleed; crossmatch follows retrospectively.
+  emergencyRelease: {
+    reason: String,
+    authorisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    authorisedAt: Date
+  },
   shortageReason: String,
   delayReason: String,
   timeline: [{ activity: { type: String, required: true }, at: { type: Date, default: operationNow }, by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, note: String }],
@@ -0,0 +1,56 @@
+'use strict';
+const mongoose = require('mongoose');
+const { operationNow } = require('../utils/operationTimeContext');
+const vitalsSchema = new mongoose.Schema({
+  phase: { type: String, enum: ['pre','15_min','during','post','reaction'], required: true },
+  at: { type: Date, default: operationNow },
+  temperature: Number,
+  pulse: Number,
+  systolic: Number,
+  diastolic: Number,
+  respiratoryRate: Number,
+  spo2: Number,
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  flags: [String]
+}, { _id: false });
+const schema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  transfusionNumber: { type: String, required: true, trim: true },
+  requestId: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodComponentRequest', required: true, index: true },
+  unitId: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodUnit', required: true },
+  unitNumber: String,
+  component: String,
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', index: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission' },
+  bedsideCheck: {
+    patientIdentityConfirmed: { type: Boolean, required: true },
+    unitLabelMatched: { type: Boolean, required: true },
+    expiryChecked: { type: Boolean, required: true },
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    witnessedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  status: { type: String, enum: ['in_progress','completed','stopped'], default: 'in_progress', index: true },
+  startedAt: { type: Date, default: operationNow },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  endedAt: Date,
+  endedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  volumeTransfusedMl: Number,
+  vitals: [vitalsSchema],
+  reaction: {
+    occurred: { type: Boolean, default: false },
+    reactionType: { type: String, enum: ['febrile_non_haemolytic','allergic','anaphylactic','acute_haemolytic','delayed_haemolytic','taco','trali','bacterial_contamination','hypotensive','other'] },
+    severity: { type: String, enum: ['mild','moderate','severe','life_threatening'] },
+    symptoms: [String],
+    onsetAt: Date,
+    actionsTaken: String,
+    reportedAt: Date,
+    reportedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    incidentId: { type: mongoose.Schema.Types.ObjectId, ref: 'SafetyIncident' }
+  },
+  notes: String
+}, { timestamps: true });
+schema.index({ hospitalId: 1, transfusionNumber: 1 }, { unique: true });
+schema.index({ hospitalId: 1, unitId: 1 }, { unique: true });
+// One running transfusion per patient; a second start waits for this one to finish.
+schema.index({ hospitalId: 1, patientId: 1 }, { unique: true, partialFilterExpression: { status: 'in_progress' } });
+module.exports = mongoose.model('BloodTransfusion', schema);
@@ -11,7 +11,34 @@ const schema = new mongoose.Schema({
   expiresAt: Date,
   storageLocation: String,
   volumeMl: Number,
-  status: { type: String, enum: ['available','reserved','dispatched','transfused','discarded','expired'], default: 'available', index: true },
+  // Units stay in quarantine until TTI screening and confirmatory grouping clear them.
+  status: { type: String, enum: ['quarantine','available','reserved','dispatched','transfused','discarded','expired','separated'], default: 'quarantine', index: true },
+  parentUnitId: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodUnit', index: true },
+  childUnitIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'BloodUnit' }],
+  separatedAt: Date,
+  ttiScreening: {
+    hiv: { type: String, enum: ['pending','non_reactive','reactive'], default: 'pending' },
+    hbsag: { type: String, enum: ['pending','non_reactive','reactive'], default: 'pending' },
+    hcv: { type: String, enum: ['pending','non_reactive','reactive'], default: 'pending' },
+    vdrl: { type: String, enum: ['pending','non_reactive','reactive'], default: 'pending' },
+    malaria: { type: String, enum: ['pending','non_reactive','reactive'], default: 'pending' },
+    method: String,
+    kitLot: String,
+    testedAt: Date,
+    testedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  grouping: {
+    aboRh: { type: String, enum: ['A+','A-','B+','B-','AB+','AB-','O+','O-'] },
+    antibodyScreen: { type: String, enum: ['negative','positive'] },
+    discrepancy: { type: Boolean, default: false },
+    confirmedAt: Date,
+    confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  quarantineReasons: [String],
+  releasedAt: Date,
+  releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  discardReason: String,
+  discardedAt: Date,
   reservedForRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodComponentRequest' },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
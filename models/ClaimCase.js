@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { codedDiagnosisSchema, codedProcedureSchema } = require('./ClinicalCodingRecord');
 
 const claimLineSchema = new mongoose.Schema({
   lineNumber: Number,
@@ -28,7 +29,19 @@ const claimLineSchema = new mongoose.Schema({
   paidAmount: { type: Number, default: 0 },
   admissibilityStatus: { type: String, enum: ['admissible', 'partially_admissible', 'non_admissible', 'pending'], default: 'pending' },
   deductionReason: String,
-  pricingSnapshot: mongoose.Schema.Types.Mixed
+  pricingSnapshot: mongoose.Schema.Types.Mixed,
+  implants: [{
+    _id: false,
+    implantId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTImplant' },
+    manufacturer: String,
+    model: String,
+    lotNumber: String,
+    serialNumber: String,
+    udi: String,
+    expiryDate: Date,
+    consignment: Boolean,
+    stickerUrl: String
+  }]
 }, { _id: true });
 
 const claimCaseSchema = new mongoose.Schema({
@@ -41,6 +54,11 @@ const claimCaseSchema = new mongoose.Schema({
   coverageId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdmissionCoverage', required: true },
   payerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payer', required: true, index: true },
   type: { type: String, enum: ['cashless', 'reimbursement_support'], default: 'cashless' },
+  // Final coded diagnosis from MRD clinical coding; the text form is what
+  // payer portals show, the coded rows feed NHCX Claim.diagnosis.
+  finalDiagnosis: { type: String, trim: true },
+  codedDiagnoses: [codedDiagnosisSchema],
+  codedProcedures: [codedProcedureSchema],
   adjudicationStatus: { type: String, enum: ['pending', 'approved', 'partially_approved', 'rejected'], default: 'pending', index: true },
   status: {
     type: String,
@@ -75,6 +93,36 @@ const claimCaseSchema = new mongoose.Schema({
     }
   },
   preAuth: { requestNumber: String, approvedAmount: Number, status: String },
+  // Electronic exchange with the payer over NHCX. One workflow id spans
+  // eligibility, pre-auth, queries, claim and payment notice for the case.
+  nhcx: {
+    workflowId: { type: String, index: true },
+    eligibility: {
+      correlationId: String,
+      status: { type: String, enum: ['requested', 'eligible', 'not_eligible', 'error'] },
+      requestedAt: Date,
+      respondedAt: Date,
+      disposition: String
+    },
+    preAuth: {
+      correlationId: String,
+      status: { type: String, enum: ['submitted', 'queued', 'approved', 'partially_approved', 'rejected', 'error'] },
+      submittedAt: Date,
+      respondedAt: Date,
+      requestedAmount: Number,
+      approvedAmount: Number,
+      preAuthRef: String,
+      disposition: String
+    },
+    claim: {
+      correlationId: String,
+      status: { type: String, enum: ['submitted', 'queued', 'adjudicated', 'error'] },
+      submittedAt: Date,
+      respondedAt: Date,
+      disposition: String
+    },
+    lastInboundAt: Date
+  },
   amounts: {
     standardAmount: { type: Number, default: 0 },
     contractedAmount: { type: Number, default: 0 },
@@ -101,6 +149,7 @@ const claimCaseSchema = new mongoose.Schema({
     dueAt: Date,
     text: String,
     status: { type: String, enum: ['open', 'responded', 'closed'], default: 'open' },
+    correlationId: String,
     response: String,
     documentsAdded: [{ documentId: mongoose.Schema.Types.ObjectId, name: String, url: String }],
     respondedAt: Date,
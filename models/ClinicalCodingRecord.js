@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const DIAGNOSIS_SYSTEMS = ['ICD-10', 'ICD-11'];
+const PROCEDURE_SYSTEMS = ['ICD-10-PCS', 'ICD-9-CM', 'ICHI', 'SNOMED_CT', 'PMJAY', 'LOCAL'];
+const CODING_STATUSES = ['not_started', 'in_progress', 'query_pending', 'coded'];
+
+// Coded entries are also copied onto IPDAdmission and DischargeSummary when
+// coding completes, so those models reuse these two schemas.
+const codedDiagnosisSchema = new mongoose.Schema({
+  type: { type: String, enum: ['principal', 'secondary'], required: true },
+  system: { type: String, enum: DIAGNOSIS_SYSTEMS, required: true },
+  code: { type: String, required: true, trim: true, uppercase: true },
+  display: { type: String, trim: true },
+  sequence: { type: Number, default: 1 },
+  // Y / N / U / W per the present-on-admission indicator convention.
+  presentOnAdmission: { type: String, enum: ['Y', 'N', 'U', 'W'], default: 'U' },
+  verified: { type: Boolean, default: false }
+}, { _id: false });
+
+const codedProcedureSchema = new mongoose.Schema({
+  system: { type: String, enum: PROCEDURE_SYSTEMS, required: true },
+  code: { type: String, required: true, trim: true, uppercase: true },
+  display: { type: String, trim: true },
+  sequence: { type: Number, default: 1 },
+  performedAt: Date,
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
+  verified: { type: Boolean, default: false }
+}, { _id: false });
+
+const queryMessageSchema = new mongoose.Schema({
+  authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  authorName: String,
+  authorRole: String,
+  text: { type: String, required: true, trim: true },
+  at: { type: Date, default: Date.now }
+}, { _id: true });
+
+// A coder-to-clinician query: documentation is ambiguous or missing, so the
+// coder asks the treating doctor before assigning a code.
+const codingQuerySchema = new mongoose.Schema({
+  subject: { type: String, required: true, trim: true },
+  addressedToDoctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
+  addressedToUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  status: { type: String, enum: ['open', 'answered', 'closed'], default: 'open' },
+  raisedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  raisedAt: { type: Date, default: Date.now },
+  answeredAt: Date,
+  closedAt: Date,
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  messages: [queryMessageSchema]
+}, { _id: true });
+
+const schema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission', required: true, index: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  dischargeSummaryId: { type: mongoose.Schema.Types.ObjectId, ref: 'DischargeSummary' },
+  dischargeDate: { type: Date, index: true },
+  status: { type: String, enum: CODING_STATUSES, default: 'not_started', index: true },
+  diagnoses: [codedDiagnosisSchema],
+  procedures: [codedProcedureSchema],
+  queries: [codingQuerySchema],
+  coderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  codedAt: Date,
+  codedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reopenedAt: Date,
+  reopenReason: String,
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+schema.index({ hospitalId: 1, admissionId: 1 }, { unique: true });
+schema.index({ hospitalId: 1, status: 1, dischargeDate: -1 });
+schema.index({ hospitalId: 1, 'diagnoses.code': 1 });
+schema.index({ hospitalId: 1, 'queries.status': 1, 'queries.addressedToUserId': 1 });
+
+const ClinicalCodingRecord = mongoose.model('ClinicalCodingRecord', schema);
+ClinicalCodingRecord.DIAGNOSIS_SYSTEMS = DIAGNOSIS_SYSTEMS;
+ClinicalCodingRecord.PROCEDURE_SYSTEMS = PROCEDURE_SYSTEMS;
+ClinicalCodingRecord.CODING_STATUSES = CODING_STATUSES;
+ClinicalCodingRecord.codedDiagnosisSchema = codedDiagnosisSchema;
+ClinicalCodingRecord.codedProcedureSchema = codedProcedureSchema;
+
+module.exports = ClinicalCodingRecord;
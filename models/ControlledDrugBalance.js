@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Current balance per drug per store. Movements adjust it atomically and the
+// register entry records the before/after pair, so two counters posting at
+// once can never both draw down the last ampoule.
+const controlledDrugBalanceSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true },
+  storeType: { type: String, enum: ['pharmacy', 'cabinet'], required: true },
+  cabinetId: { type: mongoose.Schema.Types.ObjectId, ref: 'NarcoticCabinet', default: null },
+  medicineId: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
+  balance: { type: Number, default: 0, min: 0 },
+  lastEntryAt: Date
+}, { timestamps: true });
+
+controlledDrugBalanceSchema.index({ hospitalId: 1, storeType: 1, cabinetId: 1, medicineId: 1 }, { unique: true });
+
+module.exports = mongoose.model('ControlledDrugBalance', controlledDrugBalanceSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const ENTRY_TYPES = ['opening', 'receipt', 'issue', 'return', 'administration', 'wastage', 'adjustment'];
+const STORE_TYPES = ['pharmacy', 'cabinet'];
+
+// Statutory running register for Schedule H1, X and NDPS drugs. Every row
+// carries the balance before and after it, so the register reads the same
+// way as the bound book it replaces. Rows are never edited: a mistake is
+// corrected with an adjustment entry that references the reason.
+const controlledDrugRegisterEntrySchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  entryNumber: { type: String, required: true },
+  entryAt: { type: Date, required: true },
+  storeType: { type: String, enum: STORE_TYPES, required: true },
+  cabinetId: { type: mongoose.Schema.Types.ObjectId, ref: 'NarcoticCabinet' },
+  medicineId: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
+  medicineName: { type: String, required: true },
+  drugSchedule: { type: String, enum: ['H1', 'X', 'NDPS'], required: true },
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'MedicineBatch' },
+  batchNumber: String,
+  entryType: { type: String, enum: ENTRY_TYPES, required: true },
+  quantityIn: { type: Number, default: 0, min: 0 },
+  quantityOut: { type: Number, default: 0, min: 0 },
+  openingBalance: { type: Number, required: true, min: 0 },
+  closingBalance: { type: Number, required: true, min: 0 },
+  patient: {
+    patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+    admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission' },
+    name: String,
+    address: String
+  },
+  prescriber: {
+    doctorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
+    name: String,
+    registrationNumber: String,
+    address: String
+  },
+  prescriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Prescription' },
+  prescriptionReference: String,
+  supplierName: String,
+  sourceModel: { type: String, enum: ['Sale', 'PharmacyReturn', 'PurchaseOrder', 'StockAdjustment', 'MedicineBatch', 'NarcoticCabinet', 'Manual'], required: true },
+  sourceId: mongoose.Schema.Types.ObjectId,
+  sourceKey: { type: String, required: true },
+  reason: String,
+  performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  witnessedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+controlledDrugRegisterEntrySchema.index({ hospitalId: 1, sourceKey: 1 }, { unique: true });
+controlledDrugRegisterEntrySchema.index({ hospitalId: 1, entryNumber: 1 }, { unique: true });
+controlledDrugRegisterEntrySchema.index({ hospitalId: 1, storeType: 1, cabinetId: 1, medicineId: 1, entryAt: 1 });
+controlledDrugRegisterEntrySchema.index({ hospitalId: 1, drugSchedule: 1, entryType: 1, entryAt: 1 });
+
+function immutable(next) {
+  next(new Error('Controlled drug register entries cannot be changed'));
+}
+for (const hook of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  controlledDrugRegisterEntrySchema.pre(hook, immutable);
+}
+controlledDrugRegisterEntrySchema.pre('save', function preventEdit(next) {
+  if (!this.isNew) return next(new Error('Controlled drug register entries cannot be changed'));
+  return next();
+});
+
+controlledDrugRegisterEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+controlledDrugRegisterEntrySchema.statics.STORE_TYPES = STORE_TYPES;
+
+module.exports = mongoose.model('ControlledDrugRegisterEntry', controlledDrugRegisterEntrySchema);
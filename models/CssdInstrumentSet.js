@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Instrument set master: what a tray must contain and how it is sterilised.
+// Physical trays carrying barcodes are CssdSetInstance rows.
+const cssdInstrumentSetSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  code: { type: String, required: true, trim: true, uppercase: true },
+  name: { type: String, required: true, trim: true },
+  specialty: { type: String, trim: true },
+  items: {
+    type: [{
+      _id: false,
+      name: { type: String, required: true, trim: true },
+      catalogueNumber: { type: String, trim: true },
+      quantity: { type: Number, min: 1, default: 1 }
+    }],
+    validate: { validator: (value) => Array.isArray(value) && value.length > 0, message: 'An instrument set needs at least one item' }
+  },
+  sterilisationMethod: { type: String, enum: ['steam', 'eto', 'plasma'], default: 'steam' },
+  shelfLifeDays: { type: Number, min: 1, max: 365, default: 30 },
+  containsImplants: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+cssdInstrumentSetSchema.index({ hospitalId: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('CssdInstrumentSet', cssdInstrumentSetSchema);
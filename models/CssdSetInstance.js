@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { operationNow } = require('../utils/operationTimeContext');
+
+const STATUSES = ['awaiting_decontamination', 'decontaminated', 'packed', 'in_load', 'stored', 'issued', 'retired'];
+
+// A physical tray identified by its barcode, moving through
+// decontamination -> pack -> sterilise -> store -> issue -> return.
+const cssdSetInstanceSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  setId: { type: mongoose.Schema.Types.ObjectId, ref: 'CssdInstrumentSet', required: true, index: true },
+  barcode: { type: String, required: true, trim: true, uppercase: true },
+  status: { type: String, enum: STATUSES, default: 'awaiting_decontamination', index: true },
+  currentLoadId: { type: mongoose.Schema.Types.ObjectId, ref: 'CssdSterilisationLoad' },
+  lastLoadId: { type: mongoose.Schema.Types.ObjectId, ref: 'CssdSterilisationLoad' },
+  sterilisedAt: Date,
+  sterileUntil: Date,
+  missingItems: [{ _id: false, name: String, quantity: Number }],
+  issuedAt: Date,
+  issuedTo: { type: String, trim: true },
+  issuedCaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTRequest' },
+  recalledAt: Date,
+  cycleCount: { type: Number, default: 0 },
+  history: [{
+    _id: false,
+    action: { type: String, required: true },
+    from: String,
+    to: String,
+    at: { type: Date, default: operationNow },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    loadId: { type: mongoose.Schema.Types.ObjectId, ref: 'CssdSterilisationLoad' },
+    caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTRequest' },
+    note: String
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+cssdSetInstanceSchema.statics.STATUSES = STATUSES;
+cssdSetInstanceSchema.index({ hospitalId: 1, barcode: 1 }, { unique: true });
+cssdSetInstanceSchema.index({ hospitalId: 1, lastLoadId: 1 });
+
+module.exports = mongoose.model('CssdSetInstance', cssdSetInstanceSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Links a sterilised tray (and the load that sterilised it) to the OT case it
+// was opened for, so a failed indicator can be traced to every exposed patient.
+const cssdSetUsageSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  setInstanceId: { type: mongoose.Schema.Types.ObjectId, ref: 'CssdSetInstance', required: true },
+  setId: { type: mongoose.Schema.Types.ObjectId, ref: 'CssdInstrumentSet' },
+  barcode: { type: String, required: true },
+  loadId: { type: mongoose.Schema.Types.ObjectId, ref: 'CssdSterilisationLoad', required: true },
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTRequest', required: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission' },
+  linkedAt: { type: Date, required: true },
+  linkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+cssdSetUsageSchema.index({ hospitalId: 1, loadId: 1 });
+cssdSetUsageSchema.index({ hospitalId: 1, caseId: 1 });
+cssdSetUsageSchema.index({ hospitalId: 1, setInstanceId: 1, loadId: 1, caseId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CssdSetUsage', cssdSetUsageSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const INDICATOR = ['pending', 'pass', 'fail'];
+
+// One autoclave / ETO / plasma cycle and the trays processed in it.
+const cssdSterilisationLoadSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  loadNumber: { type: String, required: true },
+  sterilizer: {
+    code: { type: String, required: true, trim: true },
+    name: { type: String, trim: true }
+  },
+  method: { type: String, enum: ['steam', 'eto', 'plasma'], required: true },
+  cycleNumber: { type: String, trim: true },
+  setInstanceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CssdSetInstance' }],
+  barcodes: [String],
+  startedAt: { type: Date, required: true },
+  endedAt: Date,
+  parameters: {
+    temperatureC: Number,
+    pressureKpa: Number,
+    exposureMinutes: Number,
+    etoConcentrationMgL: Number,
+    relativeHumidity: Number,
+    aerationHours: Number
+  },
+  bowieDick: { type: String, enum: ['pass', 'fail', 'not_applicable'], default: 'not_applicable' },
+  chemicalIndicator: { type: String, enum: INDICATOR, default: 'pending' },
+  biologicalIndicator: {
+    isRequired: { type: Boolean, default: false },
+    result: { type: String, enum: INDICATOR, default: 'pending' },
+    lot: String,
+    readAt: Date,
+    readBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  status: { type: String, enum: ['in_progress', 'awaiting_bi', 'released', 'failed', 'recalled'], default: 'in_progress', index: true },
+  failureReasons: [String],
+  releasedAt: Date,
+  releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  recall: {
+    reason: String,
+    recalledAt: Date,
+    recalledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    exposedCaseCount: Number
+  },
+  operatorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  notes: String
+}, { timestamps: true });
+
+cssdSterilisationLoadSchema.index({ hospitalId: 1, loadNumber: 1 }, { unique: true });
+cssdSterilisationLoadSchema.index({ hospitalId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('CssdSterilisationLoad', cssdSterilisationLoadSchema);
@@ -11,6 +11,10 @@ const deskCheckoutSchema = new mongoose.Schema({
   billIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Bill' }],
   invoiceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }],
   chargeIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'IPDCharge' }],
+  // Set when the desk collected (or is waiting on) payment. Online payments
+  // stay PENDING_ONLINE_PAYMENT until the gateway webhook books them.
+  paymentStatus: { type: String, enum: ['COLLECTED', 'PENDING_ONLINE_PAYMENT', 'ONLINE_PAYMENT_FAILED'], index: true },
+  gatewayPaymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'GatewayPayment' },
   result: { type: mongoose.Schema.Types.Mixed, default: {} },
   error: { type: mongoose.Schema.Types.Mixed },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
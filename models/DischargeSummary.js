@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { codedDiagnosisSchema, codedProcedureSchema } = require('./ClinicalCodingRecord');
 
 const dischargeMedicationSchema = new mongoose.Schema({
   medicineName: { type: String, trim: true },
@@ -43,6 +44,8 @@ const dischargeSummarySchema = new mongoose.Schema({
   },
 
   finalDiagnosis: { type: String, trim: true },
+  codedDiagnoses: [codedDiagnosisSchema],
+  codedProcedures: [codedProcedureSchema],
   chiefComplaints: { type: String, trim: true },
   historyOfPresentIllness: { type: String, trim: true },
   pastMedicalHistory: { type: String, trim: true },
@@ -0,0 +1,25 @@
+'use strict';
+const mongoose = require('mongoose');
+
+// Local interaction knowledge base. Each side is a normalised medicine key: a
+// generic name, brand name or one of the Medicine.medicationSafety.interactionKeys
+// (for example a drug class such as "nsaid"), so one row can cover a whole class.
+const schema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  pairKey: { type: String, required: true, trim: true },
+  drugA: { type: String, required: true, trim: true, lowercase: true, index: true },
+  drugB: { type: String, required: true, trim: true, lowercase: true, index: true },
+  displayA: { type: String, trim: true },
+  displayB: { type: String, trim: true },
+  severity: { type: String, enum: ['contraindicated', 'major', 'moderate', 'minor'], required: true, index: true },
+  mechanism: { type: String, trim: true },
+  clinicalEffect: { type: String, trim: true },
+  management: { type: String, trim: true },
+  references: [{ type: String, trim: true }],
+  source: { type: String, trim: true },
+  active: { type: Boolean, default: true, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+schema.index({ hospitalId: 1, pairKey: 1 }, { unique: true });
+module.exports = mongoose.model('DrugInteraction', schema);
@@ -49,6 +49,49 @@ const codeSchema = new mongoose.Schema(
   }
 );
 
+const triageEntrySchema = new mongoose.Schema(
+  {
+    scale: {
+      type: String,
+      enum: ['ESI', 'ATS']
+    },
+    level: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    label: {
+      type: String
+    },
+    category: {
+      type: String
+    },
+    targetMinutes: {
+      type: Number
+    },
+    reason: {
+      type: String
+    },
+    vitals: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    triagedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    triagedAt: {
+      type: Date
+    },
+    supersededAt: {
+      type: Date,
+      default: operationNow
+    }
+  },
+  {
+    _id: true
+  }
+);
+
 const schema = new mongoose.Schema(
   {
     hospitalId: {
@@ -96,6 +139,30 @@ const schema = new mongoose.Schema(
         enum: ['red', 'orange', 'yellow', 'green', 'blue'],
         default: 'yellow'
       },
+      scale: {
+        type: String,
+        enum: ['ESI', 'ATS']
+      },
+      level: {
+        type: Number,
+        min: 1,
+        max: 5,
+        index: true
+      },
+      label: {
+        type: String
+      },
+      targetMinutes: {
+        type: Number
+      },
+      reason: {
+        type: String
+      },
+      painScore: {
+        type: Number,
+        min: 0,
+        max: 10
+      },
       chiefComplaint: {
         type: String
       },
@@ -110,6 +177,86 @@ const schema = new mongoose.Schema(
         type: Date
       }
     },
+    triageHistory: {
+      type: [triageEntrySchema],
+      default: []
+    },
+    bay: {
+      code: {
+        type: String,
+        trim: true
+      },
+      assignedAt: {
+        type: Date
+      }
+    },
+    assignedDoctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor',
+      index: true
+    },
+    doctorSeenAt: {
+      type: Date
+    },
+    disposition: {
+      type: {
+        type: String,
+        enum: ['admitted', 'transferred_out', 'discharged', 'lama', 'dama']
+      },
+      decidedAt: {
+        type: Date
+      },
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      notes: {
+        type: String
+      },
+      diagnosis: {
+        type: String
+      },
+      transfer: {
+        receivingFacility: {
+          type: String
+        },
+        reason: {
+          type: String
+        },
+        transportMode: {
+          type: String
+        },
+        ambulanceNumber: {
+          type: String
+        },
+        acceptedBy: {
+          type: String
+        },
+        handoverSummary: {
+          type: String
+        }
+      },
+      againstAdvice: {
+        reason: {
+          type: String
+        },
+        risksExplained: {
+          type: String
+        },
+        acknowledgedBy: {
+          type: String
+        },
+        relationship: {
+          type: String
+        },
+        witnessName: {
+          type: String
+        }
+      }
+    },
+    departedAt: {
+      type: Date
+    },
     medicoLegal: {
       isMlc: {
         type: Boolean,
@@ -164,7 +311,8 @@ const schema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['registered', 'triaged', 'in_treatment', 'admitted', 'discharged', 'transferred'],
+      // `admitting` is held only while the IPD admission is being created.
+      enum: ['registered', 'triaged', 'in_treatment', 'admitting', 'admitted', 'discharged', 'transferred', 'lama', 'dama'],
       default: 'registered',
       index: true
     },
@@ -193,6 +341,8 @@ schema.index(
   }
 );
 
+schema.index({ hospitalId: 1, status: 1, arrivalAt: 1 });
+
 schema.index(
   { hospitalId: 1, appointmentId: 1 },
   {
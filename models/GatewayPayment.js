@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// One online collection request (UPI QR / payment link) and everything the
+// gateway later tells us about it: capture or failure, the receipt it was
+// posted as, refunds pushed back through the gateway and the settlement that
+// paid it out to the hospital.
+const gatewayRefundSchema = new mongoose.Schema({
+  gatewayRefundId: { type: String, trim: true },
+  amount: { type: Number, required: true, min: 0 },
+  status: { type: String, enum: ['PENDING', 'PROCESSED', 'FAILED'], default: 'PENDING' },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+  refundNumber: String,
+  reason: String,
+  requestKey: String,
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  requestedAt: Date,
+  processedAt: Date
+}, { _id: true });
+
+const gatewayPaymentSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  requestNumber: { type: String, required: true, trim: true },
+  provider: { type: String, required: true, trim: true },
+  purpose: { type: String, enum: ['OPD_SETTLEMENT', 'OPD_ADVANCE', 'IPD_SETTLEMENT', 'IPD_ADVANCE'], required: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission', index: true },
+  invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', index: true },
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' },
+  deskCheckoutId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeskCheckout' },
+  appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Appointment', index: true },
+  amount: { type: Number, required: true, min: 0 },
+  // Who paid, when not the patient (a relative paying from the portal).
+  paidBy: {
+    name: { type: String, trim: true },
+    relation: { type: String, trim: true },
+    phone: { type: String, trim: true }
+  },
+  currency: { type: String, default: 'INR' },
+  gatewayOrderId: { type: String, required: true, trim: true },
+  gatewayPaymentId: { type: String, trim: true },
+  qrCodeId: { type: String, trim: true },
+  qrImageUrl: String,
+  paymentLinkUrl: String,
+  expiresAt: Date,
+  status: {
+    type: String,
+    enum: ['CREATED', 'CAPTURED', 'FAILED', 'EXPIRED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
+    default: 'CREATED',
+    index: true
+  },
+  capturedAmount: { type: Number, default: 0, min: 0 },
+  capturedAt: Date,
+  method: String,
+  failure: { code: String, description: String, at: Date },
+  posting: {
+    status: { type: String, enum: ['NOT_DUE', 'POSTED', 'FAILED'], default: 'NOT_DUE' },
+    receiptNumbers: [String],
+    appliedAmount: { type: Number, default: 0 },
+    advanceAmount: { type: Number, default: 0 },
+    attempts: { type: Number, default: 0 },
+    error: String,
+    postedAt: Date
+  },
+  refunds: [gatewayRefundSchema],
+  refundedAmount: { type: Number, default: 0, min: 0 },
+  settlement: {
+    settlementId: String,
+    utr: String,
+    settledAt: Date,
+    amount: Number,
+    fee: Number,
+    tax: Number,
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'GatewaySettlementReport' }
+  },
+  idempotencyKey: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+gatewayPaymentSchema.index({ provider: 1, gatewayOrderId: 1 }, { unique: true });
+gatewayPaymentSchema.index({ provider: 1, gatewayPaymentId: 1 }, { sparse: true });
+gatewayPaymentSchema.index({ provider: 1, qrCodeId: 1 }, { sparse: true });
+gatewayPaymentSchema.index({ hospitalId: 1, requestNumber: 1 }, { unique: true });
+gatewayPaymentSchema.index({ hospitalId: 1, idempotencyKey: 1 }, { unique: true, sparse: true });
+gatewayPaymentSchema.index({ hospitalId: 1, capturedAt: -1 });
+
+module.exports = mongoose.model('GatewayPayment', gatewayPaymentSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A gateway settlement file matched against what the hospital booked. Lines
+// come from the file; `missing` lists captured payments the file did not
+// settle. Re-uploading the same file returns the existing report.
+const settlementLineSchema = new mongoose.Schema({
+  entityId: String,
+  entityType: String,
+  orderId: String,
+  amount: Number,
+  fee: Number,
+  tax: Number,
+  settlementId: String,
+  utr: String,
+  settledAt: Date,
+  result: { type: String, enum: ['MATCHED', 'AMOUNT_MISMATCH', 'NOT_POSTED', 'UNKNOWN'] },
+  gatewayPaymentRef: { type: mongoose.Schema.Types.ObjectId, ref: 'GatewayPayment' },
+  expectedAmount: Number
+}, { _id: false });
+
+const gatewaySettlementReportSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  provider: { type: String, required: true },
+  settlementDate: { type: String, required: true },
+  fileName: String,
+  fileHash: { type: String, required: true },
+  totals: {
+    rows: Number,
+    gross: Number,
+    refunds: Number,
+    fees: Number,
+    tax: Number,
+    net: Number,
+    matched: Number,
+    mismatched: Number,
+    notPosted: Number,
+    unknown: Number,
+    missing: Number
+  },
+  lines: [settlementLineSchema],
+  missing: [{
+    _id: false,
+    gatewayPaymentRef: { type: mongoose.Schema.Types.ObjectId, ref: 'GatewayPayment' },
+    gatewayPaymentId: String,
+    amount: Number,
+    capturedAt: Date
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+gatewaySettlementReportSchema.index({ hospitalId: 1, fileHash: 1 }, { unique: true });
+gatewaySettlementReportSchema.index({ hospitalId: 1, settlementDate: -1 });
+
+module.exports = mongoose.model('GatewaySettlementReport', gatewaySettlementReportSchema);
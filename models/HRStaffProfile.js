@@ -59,6 +59,8 @@ const hrStaffProfileSchema = new mongoose.Schema({
   specialization: { type: String, trim: true },
   qualification: { type: String, trim: true },
   license_number: { type: String, trim: true },
+  // Roster skill tags checked against nurseStaffing.skillMix, e.g. charge, icu, bls.
+  skills: [{ type: String, trim: true, lowercase: true }],
   shift: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
   joining_date: { type: Date, default: Date.now },
   employment_type: {
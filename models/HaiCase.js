@@ -0,0 +1,60 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const HAI_TYPES = ['CLABSI', 'CAUTI', 'VAP', 'SSI'];
+const CASE_STATUSES = ['suspected', 'confirmed', 'ruled_out'];
+
+const cultureSchema = new mongoose.Schema({
+  labRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabRequest' },
+  specimenType: { type: String, trim: true, lowercase: true, required: true },
+  collectedAt: { type: Date, required: true },
+  organism: { type: String, trim: true },
+  // CFU/ml for urine; left empty for other specimens.
+  colonyCount: Number,
+  speciesCount: Number,
+  // Overrides the built-in common-commensal list when set.
+  commensal: Boolean,
+  growth: { type: Boolean, default: true }
+}, { _id: false });
+
+const schema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  caseNumber: { type: String, required: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission', required: true, index: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  haiType: { type: String, enum: HAI_TYPES, required: true, index: true },
+  eventDate: { type: Date, required: true, index: true },
+  wardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward', index: true },
+  deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'InvasiveDevice' },
+  otRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTRequest' },
+  cultures: [cultureSchema],
+  // Clinical signs and SSI findings as recorded by the infection control nurse;
+  // see haiSurveillance.service evaluateHaiCase for the keys each type reads.
+  criteria: { type: mongoose.Schema.Types.Mixed, default: {} },
+  evaluation: {
+    meetsCriteria: Boolean,
+    subtype: String,
+    hospitalOnset: Boolean,
+    deviceAssociated: Boolean,
+    deviceDays: Number,
+    reasons: [String],
+    evaluatedAt: Date
+  },
+  status: { type: String, enum: CASE_STATUSES, default: 'suspected', index: true },
+  confirmedAt: Date,
+  confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ruledOutReason: String,
+  safetyIncidentId: { type: mongoose.Schema.Types.ObjectId, ref: 'SafetyIncident' },
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true, minimize: false });
+
+schema.index({ hospitalId: 1, caseNumber: 1 }, { unique: true });
+schema.index({ hospitalId: 1, status: 1, eventDate: 1, haiType: 1 });
+
+const HaiCase = mongoose.model('HaiCase', schema);
+HaiCase.HAI_TYPES = HAI_TYPES;
+HaiCase.CASE_STATUSES = CASE_STATUSES;
+
+module.exports = HaiCase;
@@ -93,6 +93,10 @@ const hospitalSchema = new mongoose.Schema(
       facilityManagerMobile: String
     },
 
+    nhcx: {
+      participantCode: { type: String, trim: true, index: true }
+    },
+
     certifications: [{
       name: { type: String, required: true, trim: true },
       issuer: { type: String, required: true, trim: true },
@@ -3,6 +3,7 @@ const { addSoftDeleteFields } = require('../utils/softDelete');
 const { operationNow } = require('../utils/operationTimeContext');
 const { hospitalDateKey, hospitalDayBounds } = require('../utils/hospitalDateTime');
 const DailySequence = require('./DailySequence');
+const { codedDiagnosisSchema, codedProcedureSchema, CODING_STATUSES } = require('./ClinicalCodingRecord');
 
 const ipdAdmissionSchema = new mongoose.Schema({
   admissionNumber: {
@@ -97,6 +98,15 @@ const ipdAdmissionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Copied from ClinicalCodingRecord when MRD completes coding.
+  codedDiagnoses: [codedDiagnosisSchema],
+  codedProcedures: [codedProcedureSchema],
+  codingStatus: {
+    type: String,
+    enum: CODING_STATUSES,
+    default: 'not_started',
+    index: true
+  },
   chiefComplaints: {
     type: String,
     trim: true
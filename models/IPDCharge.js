@@ -18,7 +18,7 @@ const ipdChargeSchema = new mongoose.Schema({
   patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
   chargeType: {
     type: String,
-    enum: ['Bed', 'Doctor Visit', 'RMO / Duty Doctor', 'Nursing', 'Procedure', 'Lab Test', 'Radiology', 'Pharmacy', 'Surgery', 'Equipment', 'Consultation', 'Emergency', 'Miscellaneous', 'Discount', 'Tax'],
+    enum: ['Bed', 'Doctor Visit', 'RMO / Duty Doctor', 'Nursing', 'Procedure', 'Lab Test', 'Radiology', 'Pharmacy', 'Surgery', 'Implant', 'Equipment', 'Consultation', 'Emergency', 'Miscellaneous', 'Discount', 'Tax'],
     required: true
   },
   adjustmentType: { type: String, enum: ['CHARGE', 'DISCOUNT', 'TAX', 'WAIVER'], default: 'CHARGE' },
@@ -278,6 +278,21 @@ const ipdMedicationChartSchema = new mongoose.Schema({
     previous: mongoose.Schema.Types.Mixed,
     next: mongoose.Schema.Types.Mixed
   }],
+  // Antimicrobial stewardship. The time-out reminder is sent 48h after the
+  // start of therapy and escalated to the stewardship team if still unreviewed.
+  antimicrobialApprovalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AntimicrobialApproval'
+  },
+  antimicrobialTimeOut: {
+    dueAt: Date,
+    reminderSentAt: Date,
+    escalatedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decision: { type: String, enum: ['continue', 'de_escalate', 'iv_to_oral', 'change', 'stop'] },
+    notes: { type: String, trim: true }
+  },
   lastChangedAt: Date,
   lastChangedBy: {
     type: mongoose.Schema.Types.ObjectId,
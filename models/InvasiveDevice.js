@@ -0,0 +1,38 @@
+'use strict';
+const mongoose = require('mongoose');
+
+const DEVICE_TYPES = ['central_line', 'urinary_catheter', 'ventilator'];
+const CENTRAL_LINE_TYPES = ['non_tunneled', 'tunneled', 'picc', 'implanted_port', 'dialysis', 'umbilical'];
+
+// One row per insertion. Device-days are derived from insertedAt/removedAt at
+// report time, so a device left without removedAt keeps counting until the
+// patient is discharged.
+const schema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission', required: true, index: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  deviceType: { type: String, enum: DEVICE_TYPES, required: true },
+  lineType: { type: String, enum: CENTRAL_LINE_TYPES },
+  site: { type: String, trim: true },
+  insertedAt: { type: Date, required: true },
+  insertedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  insertionWardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward' },
+  insertedElsewhere: { type: Boolean, default: false },
+  bundleCompliant: Boolean,
+  removedAt: Date,
+  removedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  removalReason: { type: String, trim: true },
+  status: { type: String, enum: ['active', 'removed', 'voided'], default: 'active', index: true },
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+schema.index({ hospitalId: 1, deviceType: 1, insertedAt: 1, removedAt: 1 });
+schema.index({ admissionId: 1, deviceType: 1, status: 1 });
+
+const InvasiveDevice = mongoose.model('InvasiveDevice', schema);
+InvasiveDevice.DEVICE_TYPES = DEVICE_TYPES;
+InvasiveDevice.CENTRAL_LINE_TYPES = CENTRAL_LINE_TYPES;
+
+module.exports = InvasiveDevice;
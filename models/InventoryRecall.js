@@ -1,4 +1,4 @@
 const mongoose = require('mongoose');
-const schema = new mongoose.Schema({ hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true }, recallNumber: { type: String, required: true, index: true }, itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreItem', required: true }, lotIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'InventoryLot' }], reason: { type: String, required: true }, severity: { type: String, enum: ['Advisory', 'Urgent', 'Critical'], default: 'Urgent' }, initiatedAt: { type: Date, default: Date.now }, initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, status: { type: String, enum: ['Open', 'Tracing', 'Quarantined', 'Recovered', 'Closed', 'Cancelled'], default: 'Open', index: true }, tracedLocations: [{ locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreLocation' }, quantity: Number, action: String }], tracedIssues: [{ issueId: mongoose.Schema.Types.ObjectId, patientId: mongoose.Schema.Types.ObjectId, admissionId: mongoose.Schema.Types.ObjectId, otCaseId: mongoose.Schema.Types.ObjectId, quantity: Number, notifiedAt: Date }], actions: [{ action: String, by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, at: Date, notes: String }], closedAt: Date, version: { type: Number, default: 1 } }, { timestamps: true });
+const schema = new mongoose.Schema({ hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true }, recallNumber: { type: String, required: true, index: true }, itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreItem', required: true }, lotIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'InventoryLot' }], reason: { type: String, required: true }, severity: { type: String, enum: ['Advisory', 'Urgent', 'Critical'], default: 'Urgent' }, initiatedAt: { type: Date, default: Date.now }, initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, status: { type: String, enum: ['Open', 'Tracing', 'Quarantined', 'Recovered', 'Closed', 'Cancelled'], default: 'Open', index: true }, tracedLocations: [{ locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreLocation' }, quantity: Number, action: String }], implantCriteria: { manufacturer: String, model: String, catalogueNumber: String, udiDi: String, lotNumbers: [String], serialNumbers: [String] }, tracedIssues: [{ issueId: mongoose.Schema.Types.ObjectId, implantId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTImplant' }, patientId: mongoose.Schema.Types.ObjectId, admissionId: mongoose.Schema.Types.ObjectId, otCaseId: mongoose.Schema.Types.ObjectId, quantity: Number, notifiedAt: Date }], actions: [{ action: String, by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, at: Date, notes: String }], closedAt: Date, version: { type: Number, default: 1 } }, { timestamps: true });
 schema.index({ hospitalId: 1, recallNumber: 1 }, { unique: true });
 module.exports = mongoose.model('InventoryRecall', schema);
@@ -605,6 +605,28 @@ const invoiceSchema = new mongoose.Schema({
   voided_at: Date,
   voided_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   void_reason: { type: String, trim: true },
+  // GST e-invoice registration (IRP schema v1.1) for B2B documents such as
+  // insurer/corporate invoices and their credit notes.
+  e_invoice: {
+    status: { type: String, enum: ['not_generated', 'generated', 'failed', 'cancelled'], default: 'not_generated' },
+    document_type: { type: String, enum: ['INV', 'CRN', 'DBN'] },
+    irn: { type: String, trim: true },
+    ack_no: { type: String, trim: true },
+    ack_date: Date,
+    signed_invoice: String,
+    signed_qr_code: String,
+    buyer_gstin: { type: String, trim: true, uppercase: true },
+    provider: String,
+    payload: { type: mongoose.Schema.Types.Mixed },
+    validation_errors: [{ field: String, message: String }],
+    last_error: String,
+    attempts: { type: Number, default: 0 },
+    generated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelled_at: Date,
+    cancelled_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancel_reason_code: String,
+    cancel_remarks: String
+  },
   gross_amount: { type: Number, min: 0 },
   line_discount_total: { type: Number, default: 0, min: 0 },
   bill_discount_total: { type: Number, default: 0, min: 0 },
@@ -1152,6 +1174,7 @@ invoiceSchema.index({ is_deleted: 1 });
 invoiceSchema.index({ hospital_id: 1, document_stage: 1, issue_date: -1 });
 invoiceSchema.index({ admission_id: 1, document_stage: 1, issue_date: -1 });
 invoiceSchema.index({ idempotency_key: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ 'e_invoice.irn': 1 }, { sparse: true });
 
 addSoftDeleteFields(invoiceSchema);
 
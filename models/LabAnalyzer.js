@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const analyzerTestMappingSchema = new mongoose.Schema({
+  instrumentCode: { type: String, required: true, uppercase: true, trim: true },
+  labTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest', required: true },
+  // LabTest parameter code, or the test code itself for single-analyte tests.
+  parameterCode: { type: String, required: true, uppercase: true, trim: true },
+  // Multiplier applied to the instrument value when its unit differs from the
+  // LabTest parameter unit (e.g. 0.1 to report g/L as g/dL).
+  conversionFactor: { type: Number, default: 1 },
+  active: { type: Boolean, default: true }
+}, { _id: false });
+
+const labAnalyzerSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  code: { type: String, required: true, uppercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  manufacturer: { type: String, trim: true },
+  model: { type: String, trim: true },
+  protocol: { type: String, enum: ['astm', 'hl7'], required: true },
+  transport: { type: String, enum: ['tcp', 'file', 'none'], default: 'none' },
+  tcp: {
+    // listen: the analyzer (or serial-to-Ethernet converter) connects to us.
+    // connect: we dial the converter, which is acting as the TCP server.
+    role: { type: String, enum: ['listen', 'connect'], default: 'listen' },
+    host: { type: String, trim: true },
+    port: { type: Number, min: 1, max: 65535 }
+  },
+  file: {
+    inboxDir: { type: String, trim: true },
+    archiveDir: { type: String, trim: true },
+    pattern: { type: String, trim: true, default: '' }
+  },
+  testMappings: { type: [analyzerTestMappingSchema], default: [] },
+  active: { type: Boolean, default: true, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+labAnalyzerSchema.index({ hospitalId: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('LabAnalyzer', labAnalyzerSchema);
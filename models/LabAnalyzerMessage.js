@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { operationNow } = require('../utils/operationTimeContext');
+
+const analyzerResultSchema = new mongoose.Schema({
+  sampleId: { type: String, trim: true },
+  instrumentCode: { type: String, trim: true },
+  instrumentName: { type: String, trim: true },
+  value: { type: String, trim: true },
+  units: { type: String, trim: true },
+  referenceRange: { type: String, trim: true },
+  flags: { type: String, trim: true },
+  resultStatus: { type: String, trim: true },
+  observedAt: Date,
+  labTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest' },
+  parameterCode: { type: String, trim: true },
+  labRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabRequest' },
+  status: { type: String, enum: ['posted', 'unmapped', 'unmatched', 'rejected'], required: true },
+  reason: { type: String, trim: true }
+}, { _id: false });
+
+const labAnalyzerMessageSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  analyzerId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabAnalyzer', required: true, index: true },
+  protocol: { type: String, enum: ['astm', 'hl7'], required: true },
+  transport: { type: String, enum: ['tcp', 'file', 'http', 'simulator'], required: true },
+  rawMessage: { type: String, required: true },
+  // sha256 of the raw payload; analyzers resend on a missed ACK.
+  checksum: { type: String, required: true },
+  controlId: { type: String, trim: true },
+  sourceName: { type: String, trim: true },
+  receivedAt: { type: Date, default: operationNow },
+  status: {
+    type: String,
+    enum: ['posted', 'partial', 'unmatched', 'error', 'ignored'],
+    required: true,
+    index: true
+  },
+  error: { type: String, trim: true },
+  sampleIds: [{ type: String, trim: true }],
+  results: { type: [analyzerResultSchema], default: [] },
+  processedAt: Date,
+  attempts: { type: Number, default: 1 },
+  resolution: {
+    action: { type: String, enum: ['reprocessed', 'assigned', 'ignored'] },
+    note: { type: String, trim: true },
+    resolvedAt: Date,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }
+}, { timestamps: true });
+
+labAnalyzerMessageSchema.index({ hospitalId: 1, analyzerId: 1, checksum: 1 }, { unique: true });
+labAnalyzerMessageSchema.index({ hospitalId: 1, status: 1, receivedAt: -1 });
+labAnalyzerMessageSchema.index({ hospitalId: 1, sampleIds: 1 });
+
+module.exports = mongoose.model('LabAnalyzerMessage', labAnalyzerMessageSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const labQcMaterialSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  labTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest', required: true, index: true },
+  // LabTest parameters are embedded without ids, so the analyte is keyed by the
+  // parameter code (or the test code for single-analyte tests).
+  parameterCode: { type: String, required: true, uppercase: true, trim: true },
+  parameterName: { type: String, trim: true },
+  materialName: { type: String, required: true, trim: true },
+  manufacturer: { type: String, trim: true },
+  level: { type: String, required: true, trim: true },
+  lotNumber: { type: String, required: true, trim: true },
+  expiryDate: { type: Date, required: true },
+  targetMean: { type: Number, required: true },
+  targetSd: { type: Number, required: true, min: 0.000001 },
+  unit: { type: String, trim: true },
+  analyzer: { type: String, trim: true },
+  active: { type: Boolean, default: true, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+labQcMaterialSchema.index({ hospitalId: 1, labTestId: 1, parameterCode: 1, level: 1, lotNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('LabQcMaterial', labQcMaterialSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { operationNow } = require('../utils/operationTimeContext');
+
+const westgardViolationSchema = new mongoose.Schema({
+  rule: { type: String, enum: ['1-2s', '1-3s', '2-2s', 'R-4s', '4-1s', '10x'], required: true },
+  severity: { type: String, enum: ['warning', 'reject'], required: true },
+  message: { type: String, trim: true },
+  runIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'LabQcRun' }]
+}, { _id: false });
+
+const labQcRunSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  materialId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabQcMaterial', required: true, index: true },
+  labTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest', required: true },
+  parameterCode: { type: String, required: true, uppercase: true, trim: true },
+  level: { type: String, trim: true },
+  lotNumber: { type: String, trim: true },
+  analyzer: { type: String, trim: true },
+  // Controls measured together in one analytical run share a runGroup so the
+  // R-4s rule can compare levels within the run.
+  runGroup: { type: String, trim: true },
+  value: { type: Number, required: true },
+  zScore: { type: Number, required: true },
+  runAt: { type: Date, default: operationNow, index: true },
+  status: { type: String, enum: ['accepted', 'warning', 'rejected'], required: true, index: true },
+  violations: { type: [westgardViolationSchema], default: [] },
+  comments: { type: String, trim: true },
+  enteredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  correctiveAction: {
+    action: { type: String, trim: true },
+    recordedAt: Date,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }
+}, { timestamps: true });
+
+labQcRunSchema.index({ hospitalId: 1, labTestId: 1, parameterCode: 1, runAt: -1 });
+labQcRunSchema.index({ hospitalId: 1, materialId: 1, runAt: -1 });
+
+module.exports = mongoose.model('LabQcRun', labQcRunSchema);
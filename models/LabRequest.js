@@ -324,6 +324,51 @@ const labRequestSchema = new mongoose.Schema({
   receivedAt: Date,
   receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   resultEnteredAt: Date,
+  // Auto-verified results have no verifierUserId: the verifier is the rule,
+  // snapshotted here, and triggeredBy is whoever entered the result.
+  autoVerification: {
+    status: { type: String, enum: ['not_configured', 'auto_verified', 'held'] },
+    autoVerified: { type: Boolean, default: false },
+    actor: String,
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rule: {
+      labTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabTest' },
+      version: Date,
+      requireWithinReference: Boolean,
+      blockOnCritical: Boolean,
+      requireQcAccepted: Boolean,
+      qcWindowHours: Number,
+      blockOnInstrumentFlags: Boolean,
+      deltaCheckEnabled: Boolean,
+      deltaMaxPercent: Number
+    },
+    evaluatedAt: Date,
+    reasons: [{
+      _id: false,
+      code: String,
+      analyteCode: String,
+      message: String
+    }],
+    deltas: [{
+      _id: false,
+      analyteCode: String,
+      name: String,
+      current: Number,
+      previous: Number,
+      previousAt: Date,
+      previousRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabRequest' },
+      changePercent: Number,
+      limitPercent: Number,
+      exceeded: Boolean
+    }]
+  },
+  resultSource: {
+    type: { type: String, enum: ['manual', 'instrument'], default: 'manual' },
+    analyzerId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabAnalyzer' },
+    analyzerCode: String,
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'LabAnalyzerMessage' },
+    receivedAt: Date
+  },
   verifierUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   releasedAt: Date,
   releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -353,6 +398,7 @@ const labRequestSchema = new mongoose.Schema({
     to: String,
     at: { type: Date, default: operationNow },
     by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actor: String,
     note: String
   }],
   turnaroundDueAt: Date,
@@ -18,6 +18,11 @@ const labParameterSchema = new mongoose.Schema({
   active: { type: Boolean, default: true }
 }, { _id: false });
 
+const parameterDeltaLimitSchema = new mongoose.Schema({
+  parameterCode: { type: String, required: true, uppercase: true, trim: true },
+  maxPercent: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
 const BROAD_SPECIMEN_TYPES = ['Blood', 'Urine', 'Stool', 'CSF', 'Sputum', 'Tissue', 'Swab', 'Body Fluid', 'Semen', 'Other', 'Not Applicable'];
 
 const labTestSchema = new mongoose.Schema({
@@ -59,6 +64,25 @@ const labTestSchema = new mongoose.Schema({
   critical_low: { type: String, trim: true },
   critical_high: { type: String, trim: true },
   units: { type: String, trim: true },
+  // Results that pass every enabled check move straight to Verified; the rest
+  // wait in the review queue with the failed checks recorded on the request.
+  autoVerification: {
+    enabled: { type: Boolean, default: false },
+    requireWithinReference: { type: Boolean, default: true },
+    blockOnCritical: { type: Boolean, default: true },
+    requireQcAccepted: { type: Boolean, default: true },
+    // Every active QC material needs an accepted run this recent.
+    qcWindowHours: { type: Number, min: 1, max: 720, default: 24 },
+    blockOnInstrumentFlags: { type: Boolean, default: true },
+    deltaCheck: {
+      enabled: { type: Boolean, default: true },
+      maxPercent: { type: Number, min: 0, default: 20 },
+      lookbackDays: { type: Number, min: 1, max: 3650, default: 90 },
+      parameterLimits: { type: [parameterDeltaLimitSchema], default: [] }
+    },
+    updatedAt: Date,
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
   base_price: { type: Number, default: 0, min: 0 },
   priceHistory: [{ amount: { type: Number, min: 0 }, effectiveFrom: Date, effectiveTo: Date, reason: String, changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } }],
   insurance_coverage: { type: String, enum: ['None', 'Partial', 'Full'], default: 'Partial' },
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Maps one kind of accounting source entry to ledger heads for the voucher
+// export. Rules may use '*' as a wildcard; the most specific rule wins.
+const SOURCES = ['financial_transaction', 'pharmacy_ledger', 'sponsor_ledger', 'expense'];
+const VOUCHER_TYPES = ['Receipt', 'Payment', 'Journal', 'Sales', 'Purchase', 'Credit Note', 'Debit Note', 'Contra'];
+
+const ledgerMappingSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  source: { type: String, enum: SOURCES, required: true },
+  transactionType: { type: String, trim: true, default: '*' },
+  paymentMethod: { type: String, trim: true, default: '*' },
+  direction: { type: String, trim: true, uppercase: true, default: '*' },
+  voucherType: { type: String, enum: VOUCHER_TYPES, default: 'Journal' },
+  // '{payer}' and '{vendor}' expand to the sponsor or vendor name so party
+  // ledgers do not need one rule each.
+  debitLedger: { type: String, required: true, trim: true },
+  creditLedger: { type: String, required: true, trim: true },
+  taxLedgers: {
+    cgst: { type: String, trim: true },
+    sgst: { type: String, trim: true },
+    igst: { type: String, trim: true },
+    mode: { type: String, enum: ['cgst_sgst', 'igst'], default: 'cgst_sgst' }
+  },
+  costCentre: { type: String, trim: true },
+  costCentreFromDepartment: { type: Boolean, default: false },
+  // Side carrying the income or expense head. Cost centres and GST lines sit on
+  // this side; the opposite side takes the gross amount.
+  nominalSide: { type: String, enum: ['debit', 'credit'], default: 'credit' },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+ledgerMappingSchema.index({ hospitalId: 1, source: 1, transactionType: 1, paymentMethod: 1, direction: 1 }, { unique: true });
+
+const LedgerMapping = mongoose.model('LedgerMapping', ledgerMappingSchema);
+LedgerMapping.SOURCES = SOURCES;
+LedgerMapping.VOUCHER_TYPES = VOUCHER_TYPES;
+
+module.exports = LedgerMapping;
@@ -0,0 +1,28 @@
+'use strict';
+const mongoose = require('mongoose');
+const { operationNow } = require('../utils/operationTimeContext');
+
+const alertSchema = new mongoose.Schema({
+  type: { type: String, trim: true },
+  level: { type: String, trim: true },
+  severity: { type: String, trim: true },
+  medicine: { type: String, trim: true },
+  interactingMedicine: { type: String, trim: true },
+  message: { type: String, trim: true }
+}, { _id: false });
+
+const schema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission', index: true },
+  context: { type: String, enum: ['opd_prescription', 'ipd_medication_order', 'medication_check'], required: true, index: true },
+  sourceModel: { type: String, enum: ['Prescription', 'IPDMedicationChart'] },
+  sourceId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  medicines: [{ type: String, trim: true }],
+  alerts: { type: [alertSchema], default: [] },
+  reason: { type: String, required: true, trim: true },
+  overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  overriddenAt: { type: Date, default: operationNow }
+}, { timestamps: true });
+schema.index({ hospitalId: 1, overriddenAt: -1 });
+module.exports = mongoose.model('MedicationSafetyOverride', schema);
@@ -118,6 +118,9 @@ const medicineSchema = new mongoose.Schema({
   prescription_required: { type: Boolean, default: false, index: true },
   is_high_risk: { type: Boolean, default: false, index: true },
   is_high_alert: { type: Boolean, default: false, index: true },
+  // Drugs and Cosmetics Rules schedule. H1, X and NDPS drugs are kept in the
+  // controlled-drug register; every scheduled drug needs a prescription.
+  drugSchedule: { type: String, enum: ['none', 'H', 'H1', 'X', 'NDPS'], default: 'none', index: true },
 
   medicationSafety: {
     highRisk: { type: Boolean, default: false, index: true },
@@ -132,6 +135,24 @@ const medicineSchema = new mongoose.Schema({
     emergencyMedicine: { type: Boolean, default: false, index: true },
     antimicrobial: { type: Boolean, default: false, index: true },
     antimicrobialClass: { type: String, trim: true },
+    // Antimicrobial stewardship: restricted and reserve agents need an
+    // ID-physician approval before they can be ordered.
+    stewardshipCategory: {
+      type: String,
+      enum: ['unrestricted', 'restricted', 'reserve'],
+      default: 'unrestricted',
+      index: true
+    },
+    awareCategory: { type: String, enum: ['access', 'watch', 'reserve'] },
+    atcCode: { type: String, trim: true, uppercase: true },
+    // WHO defined daily doses per administration route, for DDD per 1000
+    // patient-days. Most agents are in grams; polymyxins are in million units.
+    definedDailyDoses: [{
+      _id: false,
+      route: { type: String, enum: ['oral', 'parenteral', 'inhalation', 'rectal', 'other'], required: true },
+      value: { type: Number, required: true, min: 0 },
+      unit: { type: String, enum: ['g', 'MU'], default: 'g' }
+    }],
     requiresDoubleCheck: { type: Boolean, default: false },
     patientBarcodeRequired: { type: Boolean, default: false },
     barcode: { type: String, trim: true, index: true, sparse: true },
@@ -141,7 +162,25 @@ const medicineSchema = new mongoose.Schema({
     maxDoseInstructions: { type: String, trim: true },
     renalDoseInstructions: { type: String, trim: true },
     pregnancyWarnings: { type: String, trim: true },
-    storageWarnings: { type: String, trim: true }
+    storageWarnings: { type: String, trim: true },
+    // Extra keys (usually drug classes) matched against DrugInteraction rows.
+    interactionKeys: [{ type: String, trim: true, lowercase: true }],
+    // Structured limits evaluated by the medication safety check. The most
+    // specific band matching the patient's age, weight and renal function wins.
+    doseRanges: [{
+      route: { type: String, trim: true },
+      ageMinYears: Number,
+      ageMaxYears: Number,
+      weightMinKg: Number,
+      weightMaxKg: Number,
+      crclMinMlMin: Number,
+      crclMaxMlMin: Number,
+      doseBasis: { type: String, enum: ['fixed', 'per_kg'], default: 'fixed' },
+      minSingleDoseMg: Number,
+      maxSingleDoseMg: Number,
+      maxDailyDoseMg: Number,
+      note: { type: String, trim: true }
+    }]
   },
   location: {
     shelf: { type: String },
@@ -177,6 +216,8 @@ medicineSchema.pre('save', async function (next) {
     this.prescription_required = true;
   }
 
+  if (this.drugSchedule && this.drugSchedule !== 'none') this.prescription_required = true;
+
   // Sync capex vs non-capex item type
   const cat = String(this.category || '').toLowerCase();
   const nonCapexKeywords = ['equipment', 'accessory', 'accessories', 'instrument', 'device', 'consumable', 'disposable', 'hardware', 'kit', 'surgical', 'furniture', 'ppe', 'sterilization'];
@@ -109,6 +109,7 @@ const nabhSettingSchema = new mongoose.Schema({
     },
     requireMobileOtp: { type: Boolean, default: false },
     allowProbableDuplicateOverride: { type: Boolean, default: true },
+    unmergeWindowDays: { type: Number, min: 0, max: 365, default: 30 },
     duplicateMatchFields: {
       type: [String],
       default: ['phone', 'normalizedPhone', 'abha.number', 'aadhaar_last4', 'first_name', 'dob']
@@ -198,12 +199,57 @@ const nabhSettingSchema = new mongoose.Schema({
     },
     sso: {
       enabled: { type: Boolean, default: false },
+      // ASSERTION is the original HMAC-signed email assertion; OIDC and SAML
+      // are browser redirects to the hospital's identity provider.
+      protocol: { type: String, enum: ['ASSERTION', 'OIDC', 'SAML'], default: 'ASSERTION' },
       providerName: { type: String, trim: true },
       issuer: { type: String, trim: true },
       audience: { type: String, trim: true },
       assertionSecret: { type: String, select: false },
       allowJustInTimeProvisioning: { type: Boolean, default: false },
-      defaultRole: { type: String, default: 'staff' }
+      defaultRole: { type: String, default: 'staff' },
+      // Re-apply mapped role and module access on every login, so changes in
+      // the IdP groups take effect without editing the HIMS user.
+      syncAccessOnLogin: { type: Boolean, default: false },
+      allowedEmailDomains: { type: [String], default: [] },
+      oidc: {
+        issuer: { type: String, trim: true },
+        clientId: { type: String, trim: true },
+        clientSecret: { type: String, select: false },
+        scopes: { type: String, trim: true, default: 'openid profile email' },
+        redirectUri: { type: String, trim: true },
+        postLogoutRedirectUri: { type: String, trim: true }
+      },
+      saml: {
+        entryPoint: { type: String, trim: true },
+        logoutUrl: { type: String, trim: true },
+        idpIssuer: { type: String, trim: true },
+        idpCertificates: { type: [String], default: [] },
+        spEntityId: { type: String, trim: true },
+        callbackUrl: { type: String, trim: true },
+        logoutCallbackUrl: { type: String, trim: true },
+        signatureAlgorithm: { type: String, enum: ['sha256', 'sha512'], default: 'sha256' },
+        spPrivateKey: { type: String, select: false },
+        spCertificate: { type: String, trim: true }
+      },
+      claims: {
+        email: { type: String, trim: true, default: 'email' },
+        name: { type: String, trim: true, default: 'name' },
+        groups: { type: String, trim: true, default: 'groups' }
+      },
+      // IdP group or role value -> HIMS role. The first matching row wins.
+      roleMappings: [{
+        _id: false,
+        value: { type: String, trim: true, required: true },
+        role: { type: String, trim: true, required: true }
+      }],
+      // IdP group or role value -> module access granted on top of the role.
+      permissionMappings: [{
+        _id: false,
+        value: { type: String, trim: true, required: true },
+        moduleKey: { type: String, trim: true, required: true },
+        access: { type: String, enum: ['view', 'edit', 'manage'], default: 'view' }
+      }]
     },
     auditRetentionDays: { type: Number, default: 2555, min: 90, max: 7300 },
     requireHttps: { type: Boolean, default: true }
@@ -217,6 +263,66 @@ const nabhSettingSchema = new mongoose.Schema({
     enableCdss: { type: Boolean, default: true },
     requireCarePlanReview: { type: Boolean, default: true }
   },
+  emergency: {
+    triageScale: { type: String, enum: ['ESI', 'ATS'], default: 'ATS' },
+    doorToDoctorTargetMinutes: { type: [Number], default: [0, 10, 30, 60, 120] }
+  },
+  gstCompliance: {
+    eInvoiceEnabled: { type: Boolean, default: false },
+    ewayBillEnabled: { type: Boolean, default: false },
+    // Unset falls back to GST_GSP_PROVIDER; `mock` is refused in production.
+    gspProvider: { type: String, enum: ['mock', 'http'] },
+    gstin: { type: String, trim: true, uppercase: true },
+    legalName: { type: String, trim: true },
+    tradeName: { type: String, trim: true },
+    address1: { type: String, trim: true },
+    address2: { type: String, trim: true },
+    location: { type: String, trim: true },
+    pincode: { type: String, trim: true },
+    stateCode: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true },
+    defaultServiceSac: { type: String, default: '999311', trim: true },
+    defaultGoodsHsn: { type: String, default: '3004', trim: true },
+    ewayBillThreshold: { type: Number, default: 50000, min: 0 }
+  },
+  nurseStaffing: {
+    // Patients per rostered nurse by Ward.type; occupancy comes from Bed status.
+    ratios: {
+      type: [{
+        _id: false,
+        wardType: { type: String, required: true, trim: true },
+        patientsPerNurse: { type: Number, required: true, min: 0.5, max: 20 },
+        minNurses: { type: Number, default: 1, min: 0 }
+      }],
+      default: [
+        { wardType: 'General', patientsPerNurse: 6, minNurses: 1 },
+        { wardType: 'ICU', patientsPerNurse: 2, minNurses: 1 },
+        { wardType: 'Emergency', patientsPerNurse: 3, minNurses: 1 },
+        { wardType: 'Maternity', patientsPerNurse: 4, minNurses: 1 },
+        { wardType: 'Pediatric', patientsPerNurse: 4, minNurses: 1 },
+        { wardType: 'Surgical', patientsPerNurse: 5, minNurses: 1 },
+        { wardType: 'Other', patientsPerNurse: 6, minNurses: 1 }
+      ]
+    },
+    // '*' applies the requirement to every ward type.
+    skillMix: {
+      type: [{
+        _id: false,
+        wardType: { type: String, default: '*', trim: true },
+        skill: { type: String, required: true, trim: true, lowercase: true },
+        minPerShift: { type: Number, default: 1, min: 1 }
+      }],
+      default: [
+        { wardType: '*', skill: 'charge', minPerShift: 1 },
+        { wardType: 'ICU', skill: 'icu', minPerShift: 1 }
+      ]
+    },
+    minRestHours: { type: Number, default: 10, min: 0, max: 48 },
+    maxConsecutiveNights: { type: Number, default: 4, min: 1, max: 14 },
+    maxShiftsPerWeek: { type: Number, default: 6, min: 1, max: 14 },
+    lateGraceMinutes: { type: Number, default: 15, min: 0, max: 240 }
+  },
   medication: {
     formularyEnforced: { type: Boolean, default: false },
     requireHighRiskDoubleCheck: { type: Boolean, default: true },
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Double-locked ward cupboard holding patient-issued controlled drugs between
+// dispensing and administration.
+const narcoticCabinetSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  code: { type: String, required: true, trim: true, uppercase: true },
+  name: { type: String, required: true, trim: true },
+  wardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward', required: true },
+  location: { type: String, trim: true },
+  custodianIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+narcoticCabinetSchema.index({ hospitalId: 1, code: 1 }, { unique: true });
+narcoticCabinetSchema.index({ hospitalId: 1, wardId: 1 });
+
+module.exports = mongoose.model('NarcoticCabinet', narcoticCabinetSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// One NHCX protocol message, sent or received, with the plain FHIR bundle it
+// carried. Callbacks are matched to the claim through the correlation and
+// workflow ids of the messages we sent; (direction, apiCallId) makes
+// redelivered callbacks harmless.
+const nhcxMessageSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', index: true },
+  claimId: { type: mongoose.Schema.Types.ObjectId, ref: 'ClaimCase', index: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  payerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payer' },
+  direction: { type: String, enum: ['OUTBOUND', 'INBOUND'], required: true },
+  action: {
+    type: String,
+    enum: [
+      'coverageeligibility/check', 'preauth/submit', 'claim/submit', 'communication/on_request',
+      'coverageeligibility/on_check', 'preauth/on_submit', 'claim/on_submit', 'communication/request', 'paymentnotice/request'
+    ],
+    required: true
+  },
+  apiCallId: { type: String, required: true },
+  correlationId: { type: String, index: true },
+  workflowId: { type: String, index: true },
+  senderCode: String,
+  recipientCode: String,
+  hcxStatus: String,
+  status: { type: String, enum: ['SENT', 'FAILED', 'RECEIVED', 'PROCESSED', 'IGNORED'], required: true, index: true },
+  bundle: { type: mongoose.Schema.Types.Mixed },
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { code: String, message: String },
+  sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  processedAt: Date
+}, { timestamps: true });
+
+nhcxMessageSchema.index({ direction: 1, apiCallId: 1 }, { unique: true });
+nhcxMessageSchema.index({ hospitalId: 1, claimId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NhcxMessage', nhcxMessageSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One dated theatre allocation. Unused time is released to the waitlist at
+// releaseAt, or earlier when the owner gives it up.
+const otBlockSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTBlockTemplate' },
+  otRoomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+  blockDate: { type: String, required: true },
+  start: { type: Date, required: true },
+  end: { type: Date, required: true },
+  ownerType: { type: String, enum: ['surgeon', 'department'], required: true },
+  surgeonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+  releaseAt: { type: Date, required: true },
+  // Last time the release job found no free time in the block.
+  releaseCheckedAt: Date,
+  status: { type: String, enum: ['allocated', 'released', 'cancelled'], default: 'allocated', index: true },
+  releasedAt: Date,
+  releaseReason: { type: String, enum: ['auto', 'manual'] },
+  releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  releaseNote: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+otBlockSchema.index({ hospitalId: 1, otRoomId: 1, start: 1, end: 1 });
+otBlockSchema.index({ hospitalId: 1, blockDate: 1, status: 1 });
+otBlockSchema.index({ status: 1, releaseCheckedAt: 1, releaseAt: 1 });
+otBlockSchema.index(
+  { hospitalId: 1, templateId: 1, blockDate: 1 },
+  { unique: true, partialFilterExpression: { templateId: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('OTBlock', otBlockSchema);
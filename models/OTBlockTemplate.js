@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A recurring theatre allocation, e.g. Orthopaedics every Tuesday 08:00-14:00
+// in OT-2. Concrete OTBlock rows are generated from it for a date range.
+const otBlockTemplateSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  otRoomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room', required: true },
+  ownerType: { type: String, enum: ['surgeon', 'department'], required: true },
+  surgeonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+  weekdays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    validate: { validator: (value) => Array.isArray(value) && value.length > 0, message: 'At least one weekday is required' }
+  },
+  // Empty means every week; otherwise the nth occurrence of the weekday in the month.
+  weeksOfMonth: [{ type: Number, min: 1, max: 5 }],
+  startTime: { type: String, required: true, match: TIME },
+  endTime: { type: String, required: true, match: TIME },
+  releaseHoursBefore: { type: Number, min: 0, max: 720, default: 72 },
+  effectiveFrom: { type: String, required: true },
+  effectiveTo: String,
+  isActive: { type: Boolean, default: true },
+  notes: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+otBlockTemplateSchema.index({ hospitalId: 1, name: 1 }, { unique: true });
+otBlockTemplateSchema.index({ hospitalId: 1, otRoomId: 1, isActive: 1 });
+
+module.exports = mongoose.model('OTBlockTemplate', otBlockTemplateSchema);
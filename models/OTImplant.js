@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One implanted device or high-value consumable per row, tied to the OT case,
+// the store lot it was consumed from and the IPD charge that billed it, so a
+// manufacturer recall can be traced straight to the patients who carry it.
+const otImplantSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTRequest', required: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  admissionId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDAdmission', index: true },
+  category: { type: String, enum: ['implant', 'high_value_consumable'], default: 'implant' },
+  itemId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreItem' },
+  lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryLot', index: true },
+  sourceLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreLocation' },
+  description: { type: String, required: true, trim: true },
+  manufacturer: { type: String, required: true, trim: true },
+  brand: { type: String, trim: true },
+  model: { type: String, trim: true },
+  catalogueNumber: { type: String, trim: true },
+  lotNumber: { type: String, trim: true },
+  serialNumber: { type: String, trim: true },
+  udi: { type: String, trim: true },
+  udiDi: { type: String, trim: true },
+  expiryDate: Date,
+  vendorName: { type: String, trim: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier' },
+  consignment: { type: Boolean, default: false },
+  quantity: { type: Number, default: 1, min: 1 },
+  unitCost: { type: Number, default: 0, min: 0 },
+  bodySite: { type: String, trim: true },
+  laterality: { type: String, enum: ['', 'left', 'right', 'bilateral', 'midline', 'not_applicable'], default: '' },
+  stickerUrl: { type: String, trim: true },
+  implantedAt: { type: Date, required: true },
+  implantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  inventoryTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'StoreInventoryTransaction' },
+  billing: {
+    status: { type: String, enum: ['pending', 'posted', 'failed', 'not_billable', 'no_admission', 'voided'], default: 'pending' },
+    billingServiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'BillingServiceMaster' },
+    serviceCode: String,
+    rate: Number,
+    chargeId: { type: mongoose.Schema.Types.ObjectId, ref: 'IPDCharge' },
+    amount: Number,
+    note: String
+  },
+  status: { type: String, enum: ['implanted', 'explanted', 'entered_in_error'], default: 'implanted', index: true },
+  removal: {
+    at: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String
+  },
+  recallIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'InventoryRecall' }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+otImplantSchema.index({ hospitalId: 1, caseId: 1 });
+otImplantSchema.index({ hospitalId: 1, 'billing.chargeId': 1 });
+otImplantSchema.index({ hospitalId: 1, manufacturer: 1, model: 1, lotNumber: 1 });
+otImplantSchema.index({ hospitalId: 1, serialNumber: 1 });
+otImplantSchema.index({ hospitalId: 1, udiDi: 1 });
+
+module.exports = mongoose.model('OTImplant', otImplantSchema);
@@ -187,6 +187,7 @@ const otRequestSchema = new mongoose.Schema({
   cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   cancelledAt: Date,
   cancellationReason: String,
+  cancellationReasonCode: { type: String, trim: true, uppercase: true },
   
   // Surgical Findings
   findings: String,
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Cases waiting for theatre time. When block time is released the best fitting
+// entries receive an offer, which the scheduler books through the normal case
+// schedule endpoint.
+const otWaitlistEntrySchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTRequest', required: true },
+  patientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient' },
+  surgeonId: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor' },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department' },
+  urgency: { type: String, enum: ['Elective', 'Urgent', 'Emergency'], default: 'Elective' },
+  durationMinutes: { type: Number, min: 15, required: true },
+  earliestDate: String,
+  latestDate: String,
+  preferredRoomIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Room' }],
+  status: { type: String, enum: ['waiting', 'offered', 'scheduled', 'removed'], default: 'waiting', index: true },
+  offer: {
+    blockId: { type: mongoose.Schema.Types.ObjectId, ref: 'OTBlock' },
+    otRoomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room' },
+    start: Date,
+    end: Date,
+    offeredAt: Date
+  },
+  declinedBlockIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'OTBlock' }],
+  scheduledAt: Date,
+  removedReason: String,
+  notes: String,
+  addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+otWaitlistEntrySchema.statics.OPEN_STATUSES = ['waiting', 'offered'];
+otWaitlistEntrySchema.index(
+  { hospitalId: 1, caseId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+otWaitlistEntrySchema.index({ hospitalId: 1, status: 1, urgency: 1, createdAt: 1 });
+
+module.exports = mongoose.model('OTWaitlistEntry', otWaitlistEntrySchema);
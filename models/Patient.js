@@ -245,6 +245,9 @@ const patientSchema = new mongoose.Schema({
     default: 'REGISTERED',
     index: true
   },
+  // Set on the duplicate registration when it is merged into another UHID.
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', index: true },
+  mergedAt: Date,
   registrationCompleteness: {
     score: { type: Number, min: 0, max: 100, default: 100 },
     missingFields: [{ type: String, trim: true }],
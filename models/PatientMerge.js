@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { operationNow } = require('../utils/operationTimeContext');
+
+const movedRecordSchema = new mongoose.Schema({
+  model: { type: String, required: true, trim: true },
+  field: { type: String, required: true, trim: true },
+  recordIds: [{ type: mongoose.Schema.Types.ObjectId }]
+}, { _id: false });
+
+const patientMergeSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  mergeNumber: { type: String, required: true, trim: true },
+  survivingPatientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  duplicatePatientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Patient', required: true, index: true },
+  // A merge is requested by one user and applied only when a second user
+  // approves it from their own session.
+  status: { type: String, enum: ['PENDING_APPROVAL', 'MERGED', 'UNMERGED', 'REJECTED'], default: 'PENDING_APPROVAL', index: true },
+  reason: { type: String, required: true, trim: true },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  requestedAt: { type: Date, default: operationNow },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  approvedAt: Date,
+  rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  rejectedAt: Date,
+  rejectionReason: { type: String, trim: true },
+  mergedAt: Date,
+  unmergeAllowedUntil: Date,
+  // Exact record ids moved by the merge. Unmerge only moves these rows back so
+  // encounters created on the surviving UHID after the merge stay where they are.
+  movedRecords: { type: [movedRecordSchema], default: [] },
+  duplicateSnapshot: {
+    uhid: String,
+    patientId: String,
+    registrationStatus: String,
+    first_name: String,
+    last_name: String,
+    phone: String,
+    dob: Date
+  },
+  unmergedAt: Date,
+  unmergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  unmergeReason: { type: String, trim: true }
+}, { timestamps: true });
+
+patientMergeSchema.index({ hospitalId: 1, mergeNumber: 1 }, { unique: true });
+patientMergeSchema.index(
+  { hospitalId: 1, duplicatePatientId: 1 },
+  { unique: true, partialFilterExpression: { status: 'MERGED' } }
+);
+patientMergeSchema.index(
+  { hospitalId: 1, duplicatePatientId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'PENDING_APPROVAL' } }
+);
+
+module.exports = mongoose.model('PatientMerge', patientMergeSchema);
@@ -22,6 +22,16 @@ const payerSchema = new mongoose.Schema({
     effectiveTo: Date,
     contractReference: { type: String, trim: true }
   },
+  gstRegistration: {
+    gstin: { type: String, trim: true, uppercase: true },
+    legalName: { type: String, trim: true },
+    address1: { type: String, trim: true },
+    address2: { type: String, trim: true },
+    location: { type: String, trim: true },
+    pincode: { type: String, trim: true },
+    stateCode: { type: String, trim: true },
+    email: { type: String, trim: true }
+  },
   contacts: [{ name: String, designation: String, email: String, phone: String }],
   settlementTerms: {
     creditDays: { type: Number, default: 30, min: 0 },
@@ -38,6 +48,10 @@ const payerSchema = new mongoose.Schema({
     requirePreAuthorisation: { type: Boolean, default: false },
     receivableRecognition: { type: String, enum: ['invoice_issue', 'claim_submission'], default: 'invoice_issue' }
   },
+  nhcx: {
+    participantCode: { type: String, trim: true },
+    encryptionCert: String
+  },
   documentChecklist: [{ code: String, label: String, required: { type: Boolean, default: true } }],
   activation: {
     activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
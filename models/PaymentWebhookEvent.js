@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Every webhook delivery the gateway makes, stored before it is processed.
+// The (provider, eventId) key is what makes redelivered events harmless.
+const paymentWebhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true, trim: true },
+  eventId: { type: String, required: true, trim: true },
+  eventType: { type: String, trim: true },
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', index: true },
+  gatewayPaymentRef: { type: mongoose.Schema.Types.ObjectId, ref: 'GatewayPayment' },
+  gatewayOrderId: String,
+  gatewayPaymentId: String,
+  status: { type: String, enum: ['RECEIVED', 'PROCESSED', 'IGNORED', 'FAILED'], default: 'RECEIVED', index: true },
+  error: String,
+  payload: { type: mongoose.Schema.Types.Mixed },
+  receivedAt: { type: Date, default: Date.now },
+  processedAt: Date
+}, { timestamps: true });
+
+paymentWebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PaymentWebhookEvent', paymentWebhookEventSchema);
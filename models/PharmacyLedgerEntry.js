@@ -57,4 +57,28 @@ pharmacyLedgerEntrySchema.index({ admissionId: 1, entryDate: -1 });
 pharmacyLedgerEntrySchema.index({ entryType: 1, entryDate: -1 });
 pharmacyLedgerEntrySchema.index({ hospitalId: 1, idempotencyKey: 1 }, { unique: true, sparse: true });
 
+// Hospital-scoped reports (the accounting export among them) filter on
+// hospitalId, so a writer that leaves it out takes it from the linked record.
+const HOSPITAL_SOURCES = [
+  ['saleId', 'Sale'],
+  ['returnId', 'PharmacyReturn'],
+  ['admissionId', 'IPDAdmission'],
+  ['purchaseOrderId', 'PurchaseOrder']
+];
+
+async function linkedHospitalId(entry) {
+  for (const [field, modelName] of HOSPITAL_SOURCES) {
+    if (!entry[field]) continue;
+    const linked = await mongoose.model(modelName).findById(entry[field]).select('hospitalId').session(entry.$session?.() || null).lean(); // eslint-disable-line no-await-in-loop
+    if (linked?.hospitalId) return linked.hospitalId;
+  }
+  return null;
+}
+
+pharmacyLedgerEntrySchema.pre('validate', async function fillHospitalId() {
+  if (!this.hospitalId) this.hospitalId = await linkedHospitalId(this);
+});
+
+pharmacyLedgerEntrySchema.statics.linkedHospitalId = linkedHospitalId;
+
 module.exports = mongoose.model('PharmacyLedgerEntry', pharmacyLedgerEntrySchema);
\ No newline at end of file
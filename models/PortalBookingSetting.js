@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Per-hospital rules for patient self-service booking on the patient portal.
+// Doctors' own timeSlots win over defaultSessions for part-time doctors; the
+// calendar still decides which doctors work on a given date.
+const sessionSchema = new mongoose.Schema({
+  start: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+  end: { type: String, required: true, match: /^\d{2}:\d{2}$/ }
+}, { _id: false });
+
+const portalBookingSettingSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, unique: true },
+  enabled: { type: Boolean, default: false },
+  departmentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }],
+  slotMinutes: { type: Number, default: 15, min: 5, max: 240 },
+  defaultSessions: { type: [sessionSchema], default: () => [{ start: '09:00', end: '13:00' }, { start: '16:00', end: '19:00' }] },
+  closedWeekdays: { type: [String], default: () => ['Sunday'] },
+  maxAdvanceDays: { type: Number, default: 14, min: 0, max: 90 },
+  minLeadMinutes: { type: Number, default: 60, min: 0 },
+  cancellationCutoffHours: { type: Number, default: 4, min: 0 },
+  rescheduleCutoffHours: { type: Number, default: 4, min: 0 },
+  maxReschedules: { type: Number, default: 2, min: 0 },
+  // null means the doctor's OPD consultation fee, else the hospital default.
+  newVisitFee: { type: Number, min: 0, default: null },
+  followUpFee: { type: Number, min: 0, default: null },
+  followUpWindowDays: { type: Number, default: 7, min: 0 },
+  requirePrepayment: { type: Boolean, default: false },
+  checkInOpensMinutes: { type: Number, default: 60, min: 0 },
+  checkInClosesMinutes: { type: Number, default: 30, min: 0 },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('PortalBookingSetting', portalBookingSettingSchema);
@@ -54,6 +54,7 @@ const prescriptionItemSchema = new mongoose.Schema({
   requires_pharmacy_dispense: { type: Boolean, default: true },
   antimicrobial_justification: { type: String, trim: true },
   antimicrobial_approval_reference: { type: String, trim: true },
+  antimicrobial_approval_id: { type: mongoose.Schema.Types.ObjectId, ref: 'AntimicrobialApproval' },
   safety_alerts: [{ type: String, trim: true }],
   instructions: { type: String, trim: true },
   timing: { type: String, enum: ['Before food', 'After food', 'With food', 'Anytime'] },
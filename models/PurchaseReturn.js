@@ -17,6 +17,28 @@ const schema = new mongoose.Schema({
   supplierName: String,
   lines: [lineSchema],
   debitCreditReference: String,
+  supplierGstin: { type: String, trim: true, uppercase: true },
+  // The return is billed to the supplier as a GST debit note against their invoice.
+  eInvoice: {
+    status: { type: String, enum: ['not_generated', 'generated', 'failed', 'cancelled'], default: 'not_generated' },
+    documentType: { type: String, enum: ['INV', 'CRN', 'DBN'] },
+    documentNumber: String,
+    irn: String,
+    ackNo: String,
+    ackDate: Date,
+    signedInvoice: String,
+    signedQrCode: String,
+    provider: String,
+    payload: mongoose.Schema.Types.Mixed,
+    validationErrors: [{ field: String, message: String }],
+    lastError: String,
+    attempts: { type: Number, default: 0 },
+    generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelledAt: Date,
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelReasonCode: String,
+    cancelRemarks: String
+  },
   status: { type: String, enum: ['Draft', 'Approved', 'Dispatched', 'Closed', 'Cancelled'], default: 'Draft', index: true },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
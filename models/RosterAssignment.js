@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const ACTIVE_STATUSES = ['draft', 'published'];
+
+// One staff member on one ward shift for one hospital day. shiftStart/shiftEnd
+// are resolved from the Shift wall-clock times when the row is written so rest
+// and attendance checks do not depend on later edits to the shift master.
+const rosterAssignmentSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  rosterDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+  wardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward', required: true },
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift', required: true },
+  shiftName: { type: String, trim: true },
+  shiftStart: { type: Date, required: true },
+  shiftEnd: { type: Date, required: true },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'HRStaffProfile', required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  status: { type: String, enum: ['draft', 'published', 'cancelled'], default: 'draft' },
+  source: { type: String, enum: ['manual', 'template', 'swap'], default: 'manual' },
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'RosterTemplate' },
+  swapRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSwapRequest' },
+  availabilityId: { type: mongoose.Schema.Types.ObjectId, ref: 'StaffAvailability' },
+  notes: { type: String, trim: true },
+  publishedAt: Date,
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  publishOverrideReason: { type: String, trim: true },
+  cancelledAt: Date,
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelReason: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+rosterAssignmentSchema.index(
+  { hospitalId: 1, employeeId: 1, rosterDate: 1, shiftId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+);
+rosterAssignmentSchema.index({ hospitalId: 1, wardId: 1, rosterDate: 1, status: 1 });
+rosterAssignmentSchema.index({ hospitalId: 1, employeeId: 1, shiftStart: 1 });
+
+rosterAssignmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('RosterAssignment', rosterAssignmentSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A rotation is a repeating cycle of shifts; a null shift is a day off.
+// Staff are placed on the cycle with an offset so one template staggers a team.
+const rosterTemplateSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  wardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Ward' },
+  pattern: {
+    type: [{
+      _id: false,
+      shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift', default: null }
+    }],
+    validate: {
+      validator: (value) => Array.isArray(value) && value.length >= 1 && value.length <= 56,
+      message: 'A rotation pattern needs between 1 and 56 days'
+    }
+  },
+  notes: { type: String, trim: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+rosterTemplateSchema.index({ hospitalId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('RosterTemplate', rosterTemplateSchema);
@@ -1,6 +1,58 @@
 'use strict';
 const mongoose = require('mongoose');
 const { operationNow } = require('../utils/operationTimeContext');
+
+const FISHBONE_CATEGORIES = ['people', 'methods', 'equipment', 'materials', 'environment', 'management'];
+const CAPA_STATUSES = ['open', 'in_progress', 'completed', 'verified', 'cancelled'];
+// Days from reporting to a completed RCA. Sentinel events follow the 45-day
+// comprehensive systematic analysis window.
+const RCA_DUE_DAYS = { mandatory: 45, recommended: 30 };
+
+// Sentinel events and critical harm always need a root-cause analysis; high
+// severity should have one; anything else is at the quality team's discretion.
+function rcaRequirementFor(incidentType, severity) {
+  if (incidentType === 'sentinel_event' || severity === 'critical') return 'mandatory';
+  if (severity === 'high') return 'recommended';
+  return 'optional';
+}
+
+const rcaTeamMemberSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, trim: true },
+  role: { type: String, enum: ['lead', 'facilitator', 'member', 'subject_expert'], default: 'member' }
+}, { _id: false });
+
+const effectivenessCheckSchema = new mongoose.Schema({
+  checkedAt: { type: Date, default: operationNow },
+  checkedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  method: { type: String, trim: true },
+  effective: { type: Boolean, required: true },
+  notes: { type: String, trim: true }
+}, { _id: false });
+
+// A corrective or preventive action raised from the investigation. Overdue
+// items escalate one level per reminder run (owner, then the quality team).
+const capaItemSchema = new mongoose.Schema({
+  capaNumber: { type: String, required: true },
+  actionType: { type: String, enum: ['corrective', 'preventive'], default: 'corrective' },
+  action: { type: String, required: true, trim: true },
+  rootCause: { type: String, trim: true },
+  ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  ownerName: { type: String, trim: true },
+  dueAt: { type: Date, required: true },
+  status: { type: String, enum: CAPA_STATUSES, default: 'open' },
+  completedAt: Date,
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completionNotes: { type: String, trim: true },
+  effectivenessDueAt: Date,
+  effectivenessChecks: [effectivenessCheckSchema],
+  effectivenessReminderSentAt: Date,
+  escalationLevel: { type: Number, default: 0 },
+  lastEscalatedAt: Date,
+  cancelledReason: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
 const schema = new mongoose.Schema({
   hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
   incidentNumber: { type: String, required: true },
@@ -12,9 +64,49 @@ const schema = new mongoose.Schema({
   status: { type: String, enum: ['open','under_review','capa_in_progress','closed'], default: 'open', index: true },
   occurredAt: { type: Date, default: operationNow },
   details: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Free-text actions from before structured CAPA tracking; new actions go in capaItems.
   correctiveActions: [{ action: String, owner: String, dueAt: Date, completedAt: Date, status: { type: String, enum: ['open','completed'], default: 'open' } }],
+  rca: {
+    requirement: { type: String, enum: ['mandatory', 'recommended', 'optional'], default: 'optional', index: true },
+    status: { type: String, enum: ['not_started', 'in_progress', 'completed'], default: 'not_started' },
+    dueAt: Date,
+    team: [rcaTeamMemberSchema],
+    assignedAt: Date,
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    problemStatement: { type: String, trim: true },
+    fiveWhys: [{ _id: false, why: { type: String, trim: true }, answer: { type: String, trim: true } }],
+    fishbone: FISHBONE_CATEGORIES.reduce((shape, key) => ({ ...shape, [key]: [{ type: String, trim: true }] }), {}),
+    rootCauses: [{ _id: false, description: { type: String, required: true, trim: true }, category: { type: String, enum: FISHBONE_CATEGORIES } }],
+    completedAt: Date,
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  capaItems: [capaItemSchema],
+  closure: {
+    signedOffAt: Date,
+    signedOffBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    summary: { type: String, trim: true },
+    lessonsLearned: { type: String, trim: true }
+  },
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 }, { timestamps: true, minimize: false });
 schema.index({ hospitalId: 1, incidentNumber: 1 }, { unique: true });
-module.exports = mongoose.model('SafetyIncident', schema);
+schema.index({ hospitalId: 1, category: 1, occurredAt: -1 });
+schema.index({ hospitalId: 1, 'capaItems.status': 1, 'capaItems.dueAt': 1 });
+
+// Every path that creates an incident (HAI confirmation, transfusion reaction,
+// the incident form) gets the RCA requirement from its type and severity.
+schema.pre('validate', function setRcaRequirement(next) {
+  if (!this.rca) this.rca = {};
+  this.rca.requirement = rcaRequirementFor(this.incidentType, this.severity);
+  const days = RCA_DUE_DAYS[this.rca.requirement];
+  if (days && !this.rca.dueAt) this.rca.dueAt = new Date((this.createdAt || operationNow()).getTime() + days * 86400000);
+  next();
+});
+
+const SafetyIncident = mongoose.model('SafetyIncident', schema);
+SafetyIncident.FISHBONE_CATEGORIES = FISHBONE_CATEGORIES;
+SafetyIncident.CAPA_STATUSES = CAPA_STATUSES;
+SafetyIncident.rcaRequirementFor = rcaRequirementFor;
+
+module.exports = SafetyIncident;
@@ -116,6 +116,15 @@ const saleSchema = new mongoose.Schema({
   prescription_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Prescription' },
   doctor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Doctor', index: true },
   doctor_name: { type: String, trim: true },
+  // Particulars the H1 / X / NDPS register needs, captured at the counter.
+  controlled_drug_capture: {
+    patientName: { type: String, trim: true },
+    patientAddress: { type: String, trim: true },
+    prescriberName: { type: String, trim: true },
+    prescriberRegistrationNumber: { type: String, trim: true },
+    prescriberAddress: { type: String, trim: true },
+    prescriptionReference: { type: String, trim: true }
+  },
 
   uhid: { type: String, trim: true, index: true },
   registration_number: { type: String, trim: true, index: true },
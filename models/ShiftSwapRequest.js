@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A swap exchanges two published assignments; without a counterpart
+// assignment it is a cover request and the counterpart takes the shift.
+const shiftSwapRequestSchema = new mongoose.Schema({
+  hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+  requesterId: { type: mongoose.Schema.Types.ObjectId, ref: 'HRStaffProfile', required: true },
+  assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'RosterAssignment', required: true },
+  counterpartId: { type: mongoose.Schema.Types.ObjectId, ref: 'HRStaffProfile', required: true },
+  counterpartAssignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'RosterAssignment' },
+  reason: { type: String, trim: true },
+  status: {
+    type: String,
+    enum: ['pending_counterpart', 'pending_approval', 'approved', 'rejected', 'declined', 'cancelled'],
+    default: 'pending_counterpart',
+    index: true
+  },
+  counterpartRespondedAt: Date,
+  counterpartNote: { type: String, trim: true },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  decidedAt: Date,
+  decisionNote: { type: String, trim: true },
+  warnings: [{
+    _id: false,
+    code: String,
+    message: String
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+shiftSwapRequestSchema.index({ hospitalId: 1, requesterId: 1, createdAt: -1 });
+shiftSwapRequestSchema.index({ hospitalId: 1, counterpartId: 1, status: 1 });
+
+module.exports = mongoose.model('ShiftSwapRequest', shiftSwapRequestSchema);
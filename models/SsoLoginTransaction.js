@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One browser round trip to the hospital's identity provider. It holds the
+// OIDC state, nonce and PKCE verifier or the SAML AuthnRequest ID until the
+// IdP answers, then a single-use hand-off code the frontend swaps for a HIMS
+// session. Documents expire on their own.
+const schema = new mongoose.Schema(
+  {
+    hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+    protocol: { type: String, enum: ['OIDC', 'SAML'], required: true },
+    state: { type: String, required: true, unique: true },
+    nonce: { type: String, select: false },
+    codeVerifier: { type: String, select: false },
+    samlRequestId: { type: String, index: { sparse: true } },
+    returnTo: { type: String, trim: true },
+    status: { type: String, enum: ['PENDING', 'AUTHENTICATED', 'CONSUMED', 'FAILED'], default: 'PENDING', index: true },
+    handoffCodeHash: { type: String, index: { sparse: true } },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    ssoSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'SsoSession' },
+    error: String,
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SsoLoginTransaction', schema);
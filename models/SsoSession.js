@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A HIMS login that came from the hospital's identity provider. Tokens issued
+// for it carry its id, so ending it here (user logout or IdP-initiated
+// logout) rejects the token on the next request even before it expires.
+const schema = new mongoose.Schema(
+  {
+    hospitalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Hospital', required: true, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    protocol: { type: String, enum: ['OIDC', 'SAML'], required: true },
+    issuer: { type: String, trim: true },
+    subject: { type: String, trim: true },
+    // OIDC `sid` claim, or SAML SessionIndex; IdP logout messages name one of these.
+    idpSessionId: { type: String, trim: true },
+    nameIdFormat: String,
+    idToken: { type: String, select: false },
+    status: { type: String, enum: ['ACTIVE', 'ENDED'], default: 'ACTIVE', index: true },
+    endedAt: Date,
+    endReason: { type: String, enum: ['USER_LOGOUT', 'IDP_LOGOUT'] },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+schema.index({ hospitalId: 1, issuer: 1, subject: 1, status: 1 });
+schema.index({ hospitalId: 1, idpSessionId: 1, status: 1 });
+schema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SsoSession', schema);
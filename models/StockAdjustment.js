@@ -22,8 +22,12 @@ const stockAdjustmentSchema = new mongoose.Schema({
     ref: 'User', 
     required: true 
   },
+  witnessed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Controlled drugs only
   reference: { type: String }, // Link to purchase order, sale, etc.
-  notes: { type: String }
+  notes: { type: String },
+  // Failed adjustments stay on record with their stock movement reversed.
+  status: { type: String, enum: ['applied', 'failed'], default: 'applied' },
+  failure_reason: { type: String }
 }, { timestamps: true });
 
 module.exports = mongoose.model('StockAdjustment', stockAdjustmentSchema);
\ No newline at end of file
@@ -24,6 +24,26 @@ const schema = new mongoose.Schema({
   receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   dispatchedAt: Date,
   receivedAt: Date,
+  ewayBill: {
+    status: { type: String, enum: ['not_generated', 'generated', 'failed', 'cancelled'], default: 'not_generated' },
+    ewbNo: String,
+    ewbDate: Date,
+    validUntil: Date,
+    challanNumber: String,
+    vehicleNo: String,
+    transporterId: String,
+    distanceKm: Number,
+    totalValue: Number,
+    provider: String,
+    payload: mongoose.Schema.Types.Mixed,
+    validationErrors: [{ field: String, message: String }],
+    lastError: String,
+    generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelledAt: Date,
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelReasonCode: String,
+    cancelRemarks: String
+  },
   notes: String
 }, { timestamps: true });
 
@@ -11,6 +11,16 @@ const storeLocationSchema = new mongoose.Schema({
   roomId: { type: mongoose.Schema.Types.ObjectId, ref: 'Room' },
   binCode: { type: String, trim: true },
   responsibleUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  // Dispatch/delivery details for e-way bills; blank fields fall back to the
+  // hospital's GST registration address.
+  gstin: { type: String, trim: true, uppercase: true },
+  address: {
+    line1: { type: String, trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, trim: true },
+    pincode: { type: String, trim: true },
+    stateCode: { type: String, trim: true }
+  },
   allowIssue: { type: Boolean, default: true },
   allowReceipt: { type: Boolean, default: true },
   isActive: { type: Boolean, default: true },
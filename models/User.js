@@ -8,7 +8,7 @@ const { passwordPolicyErrors } = require('../services/nabhSecurity.service');
 const featurePermissionSchema = new mongoose.Schema({
   moduleKey: { type: String, required: true, trim: true, enum: Array.from(MAIN_FEATURE_KEYS) },
   access: { type: String, enum: ['none', 'view', 'manage', 'edit'], default: 'none' },
-  actions: [{ type: String, enum: ['approve', 'discount_override', 'refund', 'settlement', 'final_clearance', 'bulk_import_commit', 'user_access_manage', 'ot_approve', 'ot_emergency_bypass', 'stock_adjustment', 'document_sign', 'print_identity_verify', 'mis_export', 'claim_submit', 'claim_manage', 'claim_export', 'preauth_decide', 'rate_card_activate', 'tariff_mapping_approve', 'coverage_reprice', 'coverage_reprice_commit', 'transfer_reserve', 'transfer_approve', 'transfer_complete', 'payroll_publish', 'biometric_manage', 'rate_card_approve', 'pricing_override', 'billing_create', 'billing_edit', 'billing_delete_charge', 'billing_apply_discount', 'billing_finalize', 'billing_mode_override', 'tax_override', 'ipd_admission_manage', 'ipd_round_write', 'ipd_clinical_write', 'ipd_nursing_write', 'ipd_medication_write', 'ipd_discharge_write', 'ipd_discharge_support', 'ipd_discharge_override', 'pharmacy_finance_access'] }],
+  actions: [{ type: String, enum: ['approve', 'discount_override', 'refund', 'settlement', 'final_clearance', 'bulk_import_commit', 'user_access_manage', 'ot_approve', 'ot_emergency_bypass', 'stock_adjustment', 'document_sign', 'print_identity_verify', 'mis_export', 'claim_submit', 'claim_manage', 'claim_export', 'preauth_decide', 'rate_card_activate', 'tariff_mapping_approve', 'coverage_reprice', 'coverage_reprice_commit', 'transfer_reserve', 'transfer_approve', 'transfer_complete', 'payroll_publish', 'biometric_manage', 'rate_card_approve', 'pricing_override', 'billing_create', 'billing_edit', 'billing_delete_charge', 'billing_apply_discount', 'billing_finalize', 'billing_mode_override', 'tax_override', 'ipd_admission_manage', 'ipd_round_write', 'ipd_clinical_write', 'ipd_nursing_write', 'ipd_medication_write', 'ipd_discharge_write', 'ipd_discharge_support', 'ipd_discharge_override', 'pharmacy_finance_access', 'approval_policy_manage', 'accounting_export', 'roster_publish', 'cssd_recall'] }],
   grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   grantedAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
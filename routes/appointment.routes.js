@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const appointmentController = require('../controllers/appointment.controller');
+const { authorize } = require('../middlewares/auth');
 
 // Static collection routes must precede parameterized /:id routes.
 router.get('/check-conflict', appointmentController.checkAppointmentConflict);
@@ -8,6 +9,8 @@ router.post('/bulk-add', appointmentController.bulkCreateAppointments);
 router.get('/by-temp-id/:tempId', appointmentController.getAppointmentByTempId);
 router.post('/external-sync', appointmentController.syncExternalAppointment);
 router.get('/queue/current', appointmentController.getCurrentQueue);
+router.get('/portal-booking-settings', appointmentController.getPortalBookingSettings);
+router.put('/portal-booking-settings', authorize('admin'), appointmentController.updatePortalBookingSettings);
 router.post('/link-episode', appointmentController.linkAppointmentToEpisodeSuggestion);
 
 router.get('/doctor/:doctorId/procedures/:date', appointmentController.getDoctorProceduresForDate);
@@ -1,10 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const approvalController = require('../controllers/approval.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, requireActionPermission } = require('../middlewares/auth');
 
 router.use(protect);
 
+router.get('/inbox', approvalController.getInbox);
+
+router.get('/policies', approvalController.getPolicies);
+router.put('/policies/:requestType', requireActionPermission('approval_policy_manage'), approvalController.upsertPolicy);
+
+router.get('/delegations', approvalController.getDelegations);
+router.post('/delegations', approvalController.createDelegation);
+router.delete('/delegations/:id', approvalController.revokeDelegation);
+
 router.post('/', approvalController.createRequest);
 router.get('/', approvalController.getRequests);
 router.patch('/:id/status', approvalController.updateRequestStatus);
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middlewares/auth');
+const { protect, optionalAuth } = require('../middlewares/auth');
 
 const multer = require('multer');
 const path = require('path');
@@ -38,6 +38,10 @@ const loginLimiter = rateLimit({
   message: { error: 'Too many login attempts. Please try again later.' }
 });
 
+// SAML HTTP-POST binding and OIDC back-channel logout post form bodies; the app
+// only parses JSON globally.
+const samlForm = express.urlencoded({ extended: false, limit: '512kb' });
+
 const recoveryLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
   max: Number(process.env.PASSWORD_RECOVERY_RATE_LIMIT_PER_HOUR || 5),
@@ -50,7 +54,16 @@ router.post('/register', upload.single('logo'), authController.registerUser);
 router.post('/login', loginLimiter, authController.loginUser);
 router.post('/login/mfa', loginLimiter, authController.completeMfaLogin);
 router.post('/sso/assert', loginLimiter, authController.ssoAssertionLogin);
-router.post('/logout', authController.logoutUser);
+router.get('/sso/oidc/callback', loginLimiter, authController.ssoOidcCallback);
+router.post('/sso/saml/acs', loginLimiter, samlForm, authController.ssoSamlAcs);
+router.post('/sso/exchange', loginLimiter, authController.ssoExchange);
+router.get('/sso/:hospitalId/login', loginLimiter, authController.ssoStart);
+router.get('/sso/:hospitalId/saml/metadata', authController.ssoSamlMetadata);
+router.get('/sso/:hospitalId/saml/logout', authController.ssoSamlLogout);
+router.post('/sso/:hospitalId/saml/logout', samlForm, authController.ssoSamlLogout);
+router.post('/sso/:hospitalId/oidc/backchannel-logout', samlForm, authController.ssoOidcBackchannelLogout);
+router.get('/sso/:hospitalId/oidc/frontchannel-logout', authController.ssoOidcFrontchannelLogout);
+router.post('/logout', optionalAuth, authController.logoutUser);
 router.get('/me', protect, authController.getCurrentUser);
 router.post('/change-password', protect, authController.changeOwnPassword);
 router.post('/mfa/setup', protect, authController.beginMfaSetup);
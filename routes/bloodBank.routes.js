@@ -12,11 +12,24 @@ router.get('/donors', c.listDonors);
 // Blood unit management
 router.post('/units', c.addUnit);
 router.get('/inventory', c.inventory);
+router.post('/units/:id/tti-screening', c.recordTtiScreening);
+router.post('/units/:id/grouping', c.confirmGrouping);
+router.post('/units/:id/separate', c.separateUnit);
 
 // Component requests
 router.post('/component-requests', c.requestComponents);
+router.post('/component-requests/:id/patient-sample', c.recordPatientSample);
+router.post('/component-requests/:id/crossmatch', c.recordCrossmatch);
+router.post('/component-requests/:id/emergency-release', c.emergencyRelease);
 router.post('/component-requests/:id/dispatch', c.dispatch);
 
+// Bedside transfusion and reaction reporting
+router.post('/transfusions', c.startTransfusion);
+router.get('/transfusions', c.listTransfusions);
+router.post('/transfusions/:id/vitals', c.recordTransfusionVitals);
+router.post('/transfusions/:id/complete', c.completeTransfusion);
+router.post('/transfusions/:id/reaction', c.reportTransfusionReaction);
+
 // UHI (Universal Health Interface) endpoints
 router.get('/uhi/stock', c.uhiStock);
 router.post('/uhi/stock-publish', c.publishUhiStock);
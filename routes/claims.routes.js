@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/claim.controller');
 const readinessController = require('../controllers/claimReadiness.controller');
+const nhcxController = require('../controllers/nhcx.controller');
 const { protect, authorize, requireModuleAccess, requireActionPermission } = require('../middlewares/auth');
 
 router.use(protect);
@@ -22,6 +23,9 @@ router.post('/claims', financeManage, requireActionPermission('claim_manage'), c
 router.get('/claims', financeView, controller.list);
 router.get('/claims/reports/mis', financeView, controller.report);
 router.get('/claims/reports/export', financeView, requireActionPermission('claim_export'), controller.exportReport);
+router.get('/claims/reports/ageing', financeView, controller.ageing);
+router.get('/claims/reports/denials', financeView, controller.denials);
+router.get('/claims/reports/deducted-lines', financeView, controller.deductedLines);
 router.get('/claims/:id', financeView, controller.get);
 router.patch('/claims/:id', financeManage, requireActionPermission('claim_manage'), controller.updateDraft);
 router.post('/claims/:id/rebuild-lines', financeManage, requireActionPermission('claim_manage'), controller.refresh);
@@ -30,6 +34,11 @@ router.post('/claims/:id/adjudicate', financeManage, requireActionPermission('cl
 router.post('/claims/:id/query-response', financeManage, requireActionPermission('claim_manage'), controller.queryResponse);
 router.post('/claims/:id/settlement', financeManage, requireActionPermission('settlement'), controller.settlement);
 router.post('/claims/:id/cancel', financeManage, requireActionPermission('claim_manage'), controller.cancel);
+router.get('/claims/:id/nhcx/messages', financeView, nhcxController.listMessages);
+router.post('/claims/:id/nhcx/eligibility', financeManage, requireActionPermission('claim_manage'), nhcxController.checkEligibility);
+router.post('/claims/:id/nhcx/preauth', financeManage, requireActionPermission('claim_submit'), nhcxController.submitPreAuth);
+router.post('/claims/:id/nhcx/claim', financeManage, requireActionPermission('claim_submit'), nhcxController.submitClaim);
+router.post('/claims/:id/nhcx/communications', financeManage, requireActionPermission('claim_manage'), nhcxController.respondToQuery);
 router.get('/sponsor-ledger', financeView, controller.ledger);
 router.get('/sponsor-ledger/export', financeView, requireActionPermission('claim_export'), controller.exportLedger);
 
@@ -0,0 +1,26 @@
+const express = require('express');
+const c = require('../controllers/controlledDrug.controller');
+const { protect, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+// Pharmacy register (H1 / X / NDPS) and the monthly statutory exports
+const pharmacyRoles = authorize('admin', 'mediqliq_super_admin', 'pharmacy');
+router.get('/register', pharmacyRoles, c.listRegister);
+router.get('/register/monthly', pharmacyRoles, c.monthlyRegister);
+router.get('/register/h1.csv', pharmacyRoles, c.exportH1Register);
+router.get('/balances', pharmacyRoles, c.pharmacyBalances);
+
+// Ward narcotic cabinets; every movement out of a cabinet is witnessed
+const wardRoles = authorize('admin', 'mediqliq_super_admin', 'pharmacy', 'nurse', 'doctor');
+router.get('/cabinets', wardRoles, c.listCabinets);
+router.post('/cabinets', authorize('admin', 'mediqliq_super_admin', 'pharmacy'), c.createCabinet);
+router.put('/cabinets/:id', authorize('admin', 'mediqliq_super_admin', 'pharmacy'), c.updateCabinet);
+router.get('/cabinets/:id/balances', wardRoles, c.cabinetBalances);
+router.post('/cabinets/:id/receive', wardRoles, c.receiveIntoCabinet);
+router.post('/cabinets/:id/administer', wardRoles, c.administer);
+router.post('/cabinets/:id/waste', wardRoles, c.waste);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const c = require('../controllers/cssd.controller');
+const { protect, authorize, requireActionPermission } = require('../middlewares/auth');
+
+const router = express.Router();
+
+router.use(protect, authorize('admin', 'mediqliq_super_admin', 'ot_staff', 'nurse', 'staff', 'doctor'));
+
+// Instrument set masters and the barcoded trays built from them
+router.get('/sets', c.listSets);
+router.post('/sets', c.createSet);
+router.put('/sets/:id', c.updateSet);
+router.post('/trays', c.registerTray);
+router.get('/trays', c.listTrays);
+router.get('/trays/:barcode', c.getTray);
+router.post('/trays/:barcode/issue', c.issueTray);
+router.post('/trays/:barcode/:action', c.trayAction);
+
+// Autoclave / ETO / plasma loads with indicator results and recall
+router.post('/loads', c.createLoad);
+router.get('/loads', c.listLoads);
+router.get('/loads/:id', c.traceLoad);
+router.post('/loads/:id/complete', c.completeLoad);
+router.post('/loads/:id/biological-indicator', c.recordBiologicalIndicator);
+router.post('/loads/:id/recall', requireActionPermission('cssd_recall'), c.recallLoad);
+
+// Trays opened for an OT case
+router.get('/cases/:caseId/trays', c.caseTrays);
+router.post('/cases/:caseId/trays', c.recordCaseTray);
+
+module.exports = router;
@@ -2,13 +2,22 @@
 
 const express = require('express');
 const c = require('../controllers/emergencyCare.controller');
+const { requireActionPermission } = require('../middlewares/auth');
 
 const router = express.Router();
 
+// Live ED board
+router.get('/board', c.board);
+
 // Emergency encounter management
 router.post('/encounters', c.register);
 router.get('/encounters/:id', c.get);
 
+// Triage, re-triage, bay and doctor assignment
+router.put('/encounters/:id/triage', c.triage);
+router.put('/encounters/:id/assignment', c.assign);
+router.post('/encounters/:id/seen', c.markSeen);
+
 // Medico-legal cases
 router.put('/encounters/:id/mlc', c.markMlc);
 
@@ -19,4 +28,11 @@ router.put('/encounters/:id/ambulance-handoff', c.ambulanceHandoff);
 router.post('/encounters/:id/code-activation', c.activateCode);
 router.post('/encounters/:id/code-response', c.respondCode);
 
-module.exports = router;
\ No newline at end of file
+// Disposition
+router.post('/encounters/:id/disposition/admit', requireActionPermission('ipd_admission_manage'), c.admit);
+router.post('/encounters/:id/disposition/transfer', c.transferOut);
+router.post('/encounters/:id/disposition/discharge', c.discharge);
+router.post('/encounters/:id/disposition/lama', c.lama);
+router.post('/encounters/:id/disposition/dama', c.dama);
+
+module.exports = router;
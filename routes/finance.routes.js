@@ -2,6 +2,9 @@ const express = require('express');
 const { protect, authorize, requireModuleAccess, requireActionPermission, requireAnyModuleAccess } = require('../middlewares/auth');
 const finance = require('../controllers/finance.controller');
 const reconciliation = require('../controllers/reconciliation.controller');
+const gstCompliance = require('../controllers/gstCompliance.controller');
+const accountingExport = require('../controllers/accountingExport.controller');
+const { requireApproval } = require('../middlewares/approvalGate');
 
 const router = express.Router();
 router.use(protect);
@@ -11,6 +14,23 @@ router.use(protect);
 router.post('/policy/resolve', requireAnyModuleAccess(['billing_finance', 'registration_opd', 'ipd']), finance.resolveFinancialPolicy);
 router.use(requireModuleAccess('billing_finance'));
 
+const approvalAmount = (req) => req.body?.amount;
+const discountApproval = requireApproval('DISCOUNT_APPROVAL', {
+  amount: (req) => req.body?.discountAmount,
+  sourceId: (req) => req.params.admissionId,
+  fallbackAction: 'pricing_override'
+});
+const creditNoteApproval = requireApproval('CREDIT_NOTE', {
+  amount: approvalAmount,
+  sourceId: (req) => req.params.invoiceId,
+  fallbackAction: 'pricing_override'
+});
+const refundApproval = (sourceParam, fallbackAction) => requireApproval('REFUND', {
+  amount: approvalAmount,
+  sourceId: (req) => req.params[sourceParam],
+  fallbackAction
+});
+
 router.get('/dashboard', finance.getDashboard);
 router.get('/kpis', finance.getCanonicalKpis);
 router.get('/kpis/daily', finance.getCanonicalKpis);
@@ -31,7 +51,7 @@ router.post('/patients/:patientId/invoices', requireModuleAccess('billing_financ
 router.post('/patients/:patientId/payments/preview', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('settlement'), finance.previewOPDPayment);
 router.post('/patients/:patientId/payments', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('settlement'), finance.recordOPDPayment);
 router.post('/patients/:patientId/advances', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('settlement'), finance.recordOPDAdvance);
-router.post('/patients/:patientId/advance-refunds', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('settlement'), finance.refundOPDAdvance);
+router.post('/patients/:patientId/advance-refunds', requireModuleAccess('billing_finance', 'manage'), refundApproval('patientId', 'settlement'), finance.refundOPDAdvance);
 
 router.get('/ipd/admissions', finance.listBillingAdmissions);
 router.get('/ipd/:admissionId/running-bill', finance.getRunningBill);
@@ -41,13 +61,29 @@ router.get('/ipd/:admissionId/clearance', finance.getFinancialClearance);
 router.post('/ipd/:admissionId/charges', requireModuleAccess('billing_finance', 'manage'), finance.addIPDCharge);
 router.patch('/ipd/:admissionId/charges/:chargeId/void', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('pricing_override'), finance.voidIPDCharge);
 router.post('/ipd/:admissionId/bed-charges', requireModuleAccess('billing_finance', 'manage'), finance.generateBedCharge);
-router.post('/ipd/:admissionId/discounts', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('pricing_override'), finance.applyIPDDiscount);
+router.post('/ipd/:admissionId/discounts', requireModuleAccess('billing_finance', 'manage'), discountApproval, finance.applyIPDDiscount);
 router.post('/ipd/:admissionId/invoices', requireModuleAccess('billing_finance', 'manage'), finance.issueIPDInvoice);
 router.post('/ipd/:admissionId/payments', requireModuleAccess('billing_finance', 'manage'), finance.recordIPDPayment);
 router.post('/ipd/:admissionId/advances', requireModuleAccess('billing_finance', 'manage'), finance.recordIPDAdvance);
-router.post('/ipd/:admissionId/advance-refunds', requireModuleAccess('billing_finance', 'manage'), finance.refundIPDAdvance);
+router.post('/ipd/:admissionId/advance-refunds', requireModuleAccess('billing_finance', 'manage'), refundApproval('admissionId'), finance.refundIPDAdvance);
 router.post('/ipd/:admissionId/final-clearance', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('final_clearance'), finance.finaliseIPDClearance);
-router.post('/invoices/:invoiceId/credit-notes', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('pricing_override'), finance.createCreditNote);
-router.post('/invoices/:invoiceId/refunds', requireModuleAccess('billing_finance', 'manage'), finance.refundInvoice);
+router.post('/invoices/:invoiceId/credit-notes', requireModuleAccess('billing_finance', 'manage'), creditNoteApproval, finance.createCreditNote);
+router.post('/invoices/:invoiceId/refunds', requireModuleAccess('billing_finance', 'manage'), refundApproval('invoiceId'), finance.refundInvoice);
+// Voucher export to Tally / double-entry CSV. Batches lock on first download.
+const accountingAccess = [requireModuleAccess('billing_finance', 'manage'), requireActionPermission('accounting_export')];
+router.get('/accounting/ledger-mappings', accountingAccess, accountingExport.getMappings);
+router.put('/accounting/ledger-mappings', accountingAccess, accountingExport.upsertMapping);
+router.delete('/accounting/ledger-mappings/:id', accountingAccess, accountingExport.deleteMapping);
+router.post('/accounting/exports/preview', accountingAccess, accountingExport.preview);
+router.get('/accounting/exports', accountingAccess, accountingExport.listBatches);
+router.post('/accounting/exports', accountingAccess, accountingExport.createBatch);
+router.get('/accounting/exports/:id', accountingAccess, accountingExport.getBatch);
+router.get('/accounting/exports/:id/download', accountingAccess, accountingExport.downloadBatch);
+router.post('/accounting/exports/:id/discard', accountingAccess, accountingExport.discardBatch);
+
+// GST e-invoice (IRN) registration for B2B invoices and credit notes.
+router.post('/invoices/:invoiceId/e-invoice/preview', requireModuleAccess('billing_finance', 'manage'), gstCompliance.previewInvoice);
+router.post('/invoices/:invoiceId/e-invoice', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('billing_finalize'), gstCompliance.generateInvoiceIrn);
+router.post('/invoices/:invoiceId/e-invoice/cancel', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('billing_finalize'), gstCompliance.cancelInvoiceIrn);
 
 module.exports = router;
@@ -2,12 +2,25 @@ const express = require('express');
 const router = express.Router();
 const hrController = require('../controllers/hr.controller');
 const hrDevelopment = require('../controllers/hrDevelopment.controller');
+const nurseRoster = require('../controllers/nurseRoster.controller');
 const { protect, authorize, requireModuleAccess, requireActionPermission } = require('../middlewares/auth');
+const { requireApproval } = require('../middlewares/approvalGate');
+const EmployeePayroll = require('../models/EmployeePayroll');
+const { requestHospitalId } = require('../utils/hospitalScope');
 
 const hrAccess = [protect, authorize('admin', 'mediqliq_super_admin', 'hr', 'hr_manager'), requireModuleAccess('hr_staff', 'manage')];
 const loginAccess = [...hrAccess, requireActionPermission('user_access_manage')];
+const rosterPublishAccess = [...hrAccess, requireActionPermission('roster_publish')];
 const selfRoles = ['admin', 'mediqliq_super_admin', 'hr', 'hr_manager', 'doctor', 'nurse', 'staff', 'pharmacy', 'pathology_staff', 'radiology_staff', 'ot_staff', 'receptionist', 'registrar', 'store', 'store_manager', 'inventory_manager', 'accountant', 'insurance_desk', 'equipment_manager', 'bed_manager'];
 const staffSelfAccess = [protect, authorize(...selfRoles)];
+const payrollPublishApproval = requireApproval('PAYROLL_PUBLISH', {
+  amount: async (req) => {
+    const payroll = await EmployeePayroll.findOne({ _id: req.params.id, hospital_id: requestHospitalId(req) }).select('net_salary').lean();
+    return payroll?.net_salary;
+  },
+  sourceId: (req) => req.params.id,
+  fallbackAction: 'payroll_publish'
+});
 
 router.post('/auth/login', hrController.hrLogin);
 
@@ -23,6 +36,10 @@ router.get('/me/leave-balances', ...staffSelfAccess, hrController.getMyLeaveBala
 router.get('/me/payrolls', ...staffSelfAccess, hrController.getMyPayrolls);
 router.get('/me/payrolls/:id/payslip', ...staffSelfAccess, hrController.downloadMyPayslip);
 router.patch('/me/availability', ...staffSelfAccess, hrController.updateMyAvailability);
+router.get('/me/roster', ...staffSelfAccess, nurseRoster.myRoster);
+router.post('/me/roster/swaps', ...staffSelfAccess, nurseRoster.requestSwap);
+router.post('/me/roster/swaps/:id/respond', ...staffSelfAccess, nurseRoster.respondSwap);
+router.post('/me/roster/swaps/:id/cancel', ...staffSelfAccess, nurseRoster.cancelSwap);
 
 router.get('/dashboard', hrAccess, hrController.getDashboard);
 router.post('/sync-profiles', hrAccess, hrController.syncHRProfiles);
@@ -53,12 +70,25 @@ router.get('/payrolls', hrAccess, hrController.getPayrolls);
 router.post('/payrolls/generate', hrAccess, hrController.generatePayroll);
 router.put('/payrolls/:id', hrAccess, hrController.updatePayroll);
 router.put('/payrolls/:id/clearance', hrAccess, hrController.updatePayrollClearance);
-router.post('/payrolls/:id/publish', hrAccess, requireActionPermission('payroll_publish'), hrController.updatePayroll);
+router.post('/payrolls/:id/publish', hrAccess, payrollPublishApproval, hrController.updatePayroll);
 router.post('/payrolls/bulk-pay', hrAccess, hrController.bulkPayPayrolls);
 router.get('/payrolls/pending-salaries', hrAccess, hrController.getPendingSalaries);
 router.get('/payrolls/pending-commissions', hrAccess, hrController.getPendingCommissions);
 router.post('/payrolls/create', hrAccess, hrController.createPayrollForEmployee);
 
+// Ward duty roster: rotations, draft/publish, swaps and attendance variance.
+router.get('/roster/templates', hrAccess, nurseRoster.listTemplates);
+router.post('/roster/templates', hrAccess, nurseRoster.createTemplate);
+router.put('/roster/templates/:id', hrAccess, nurseRoster.updateTemplate);
+router.post('/roster/templates/:id/apply', hrAccess, nurseRoster.applyTemplate);
+router.get('/roster', hrAccess, nurseRoster.getRoster);
+router.post('/roster/assignments', hrAccess, nurseRoster.addAssignment);
+router.post('/roster/assignments/:id/cancel', hrAccess, nurseRoster.cancelAssignment);
+router.post('/roster/publish', rosterPublishAccess, nurseRoster.publish);
+router.get('/roster/attendance-variance', hrAccess, nurseRoster.attendanceVariance);
+router.get('/roster/swaps', hrAccess, nurseRoster.listSwaps);
+router.post('/roster/swaps/:id/decision', rosterPublishAccess, nurseRoster.decideSwap);
+
 // Development lifecycle additions that reuse HRStaffProfile as the staff master.
 router.post('/appraisals', hrAccess, hrDevelopment.appraisal);
 router.get('/appraisals', hrAccess, hrDevelopment.appraisals);
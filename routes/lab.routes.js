@@ -6,6 +6,9 @@ const { tempDir } = require('../config/upload.config');
 const controller = require('../controllers/labRequest.controller');
 const workflow = require('../controllers/departmentWorkflow.controller');
 const governance = require('../controllers/diagnosticGovernance.controller');
+const quality = require('../controllers/labQuality.controller');
+const analyzers = require('../controllers/labAnalyzer.controller');
+const autoVerification = require('../controllers/labAutoVerification.controller');
 const { protect, authorize, requireModuleAccess } = require('../middlewares/auth');
 
 const storage = multer.diskStorage({
@@ -46,10 +49,33 @@ router.get('/tests', ...view, controller.getLabTests);
 router.get('/tests/:id', ...view, controller.getLabTestById);
 router.put('/tests/:id', ...manage, controller.updateLabTest);
 router.delete('/tests/:id', ...manage, controller.deleteLabTest);
+router.put('/tests/:id/auto-verification', ...manage, autoVerification.updateRule);
 router.get('/templates', ...view, controller.getReportTemplates);
 router.get('/templates/match', ...view, controller.matchReportTemplate);
 router.get('/templates/:templateId', ...view, controller.getReportTemplate);
 
+// Internal quality control
+router.get('/qc/materials', ...view, quality.listMaterials);
+router.post('/qc/materials', ...manage, quality.createMaterial);
+router.put('/qc/materials/:materialId', ...manage, quality.updateMaterial);
+router.get('/qc/materials/:materialId/levey-jennings', ...view, quality.leveyJennings);
+router.get('/qc/runs', ...view, quality.listRuns);
+router.post('/qc/runs', ...manage, quality.recordRun);
+router.post('/qc/runs/:runId/corrective-action', ...manage, quality.recordCorrectiveAction);
+router.get('/qc/status/:labTestId', ...view, quality.lockStatus);
+
+// Analyzer interface
+router.get('/analyzers', ...view, analyzers.listAnalyzers);
+router.post('/analyzers', ...manage, analyzers.createAnalyzer);
+router.put('/analyzers/:analyzerId', ...manage, analyzers.updateAnalyzer);
+router.put('/analyzers/:analyzerId/mappings', ...manage, analyzers.updateMappings);
+router.post('/analyzers/:analyzerId/messages', ...manage, analyzers.ingestMessage);
+router.post('/analyzers/:analyzerId/simulate', ...manage, analyzers.simulate);
+router.get('/analyzer-messages', ...view, analyzers.listMessages);
+router.get('/analyzer-messages/:messageId', ...view, analyzers.getMessage);
+router.post('/analyzer-messages/:messageId/reprocess', ...manage, analyzers.reprocessMessage);
+router.post('/analyzer-messages/:messageId/ignore', ...manage, analyzers.ignoreMessage);
+
 // Unified worklist and specimen lifecycle
 router.get('/worklist', ...view, workflow.labWorklist);
 router.post('/requests/:id/collect', ...collect, workflow.collectSpecimen);
@@ -57,6 +83,8 @@ router.post('/requests/:id/accession', ...manage, workflow.accessionSpecimen);
 router.patch('/requests/:id/status', ...manage, workflow.updateLabStatus);
 router.post('/requests/:id/results', ...manage, workflow.enterLabResults);
 router.post('/requests/:id/verify', ...manage, workflow.verifyLab);
+router.post('/requests/:id/auto-verify', ...manage, autoVerification.reevaluate);
+router.get('/auto-verification/queue', ...view, autoVerification.reviewQueue);
 router.post('/requests/:id/critical-ack', ...view, workflow.criticalAck);
 router.post('/requests/:id/release', ...manage, workflow.releaseLab);
 router.post('/requests/:id/amend', ...manage, governance.amendLabReport);
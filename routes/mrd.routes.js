@@ -1,5 +1,6 @@
 const express = require('express');
 const controller = require('../controllers/mrd.controller');
+const coding = require('../controllers/clinicalCoding.controller');
 const { authorize, requireModuleAccess } = require('../middlewares/auth');
 
 const router = express.Router();
@@ -21,6 +22,18 @@ router.get('/file-tracking', controller.fileTrackingList);
 router.post('/file-tracking', requireModuleAccess('reports', 'manage'), controller.fileTrackingCreate);
 router.post('/file-tracking/:id/movement', requireModuleAccess('reports', 'manage'), controller.fileTrackingMove);
 
+// Clinical coding. Clinicians answer coder queries with view access; coding
+// itself needs manage.
+router.get('/coding/queue', coding.queue);
+router.get('/coding/queries/mine', coding.myQueries);
+router.get('/coding/:admissionId', coding.workbench);
+router.put('/coding/:admissionId', requireModuleAccess('reports', 'manage'), coding.save);
+router.post('/coding/:admissionId/complete', requireModuleAccess('reports', 'manage'), coding.complete);
+router.post('/coding/:admissionId/reopen', requireModuleAccess('reports', 'manage'), coding.reopen);
+router.post('/coding/:admissionId/queries', requireModuleAccess('reports', 'manage'), coding.raiseQuery);
+router.post('/coding/:admissionId/queries/:queryId/replies', coding.replyToQuery);
+router.post('/coding/:admissionId/queries/:queryId/close', requireModuleAccess('reports', 'manage'), coding.closeQuery);
+
 router.get('/birth-death', controller.birthDeathList);
 router.post('/birth-death', requireModuleAccess('reports', 'manage'), controller.birthDeathCreate);
 router.patch('/birth-death/:id', requireModuleAccess('reports', 'manage'), controller.birthDeathUpdate);
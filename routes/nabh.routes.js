@@ -65,6 +65,12 @@ router.post('/terminology/import', manage, asyncRoute(controller.importTerminolo
 
 router.post('/clinical/risk-scores', clinicalManage, asyncRoute(controller.calculateRisk));
 router.post('/clinical/medication-check', clinicalManage, asyncRoute(controller.medicationCheck));
+router.post('/clinical/medication-check/override', clinicalManage, asyncRoute(controller.overrideMedicationCheck));
+router.get('/clinical/medication-overrides', view, asyncRoute(controller.listMedicationOverrides));
+router.get('/clinical/drug-interactions', clinicalManage, asyncRoute(controller.listDrugInteractions));
+router.put('/clinical/drug-interactions', settingsManage, asyncRoute(controller.upsertDrugInteraction));
+router.post('/clinical/drug-interactions/import', settingsManage, asyncRoute(controller.importDrugInteractions));
+router.put('/clinical/dose-ranges/:medicineId', settingsManage, asyncRoute(controller.updateDoseRanges));
 router.post('/clinical/cdss', clinicalManage, asyncRoute(controller.cdss));
 router.post('/workforce/forecast', manage, asyncRoute(controller.workforceForecast));
 
@@ -0,0 +1,10 @@
+const express = require('express');
+const c = require('../controllers/nhcx.controller');
+
+const router = express.Router();
+
+// Mounted before staff authentication; the switch signs a bearer token for
+// every callback and the payload is encrypted to this hospital's key.
+router.post('/:entity/:operation', c.receiveCallback);
+
+module.exports = router;
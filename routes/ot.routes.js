@@ -6,6 +6,8 @@ const { tempDir } = require('../config/upload.config');
 const legacy = require('../controllers/ot.controller');
 const cases = require('../controllers/otCase.controller');
 const clinicalForms = require('../controllers/otClinicalForm.controller');
+const blocks = require('../controllers/otBlock.controller');
+const implants = require('../controllers/otImplant.controller');
 const OTStaff = require('../models/OTStaff');
 const OTRequest = require('../models/OTRequest');
 const { protect, authorize, requireActionPermission } = require('../middlewares/auth');
@@ -71,9 +73,30 @@ router.put('/cases/:id/recovery', cases.saveRecovery);
 router.get('/cases/:id/inventory', cases.getInventory);
 router.put('/cases/:id/inventory', cases.saveInventory);
 router.post('/cases/:id/specimens', cases.createSpecimen);
+router.get('/cases/:id/implants', implants.listCaseImplants);
+router.post('/cases/:id/implants', implants.recordImplant);
 router.get('/cases/:id/packet.pdf', clinicalForms.casePacketPdf);
 router.get('/cases/:id/packet', cases.getCasePacket);
 
+// Recurring block allocation, release of unused time and the waitlist that fills it.
+const blockPlanner = authorize('admin', 'mediqliq_super_admin', 'ot_staff');
+router.get('/blocks/templates', blocks.listTemplates);
+router.post('/blocks/templates', blockPlanner, blocks.createTemplate);
+router.put('/blocks/templates/:id', blockPlanner, blocks.updateTemplate);
+router.post('/blocks/templates/:id/generate', blockPlanner, blocks.generateBlocks);
+router.get('/blocks', blocks.listBlocks);
+router.post('/blocks/:id/release', blocks.releaseBlock);
+router.get('/waitlist', blocks.listWaitlist);
+router.post('/waitlist', blocks.addToWaitlist);
+router.post('/waitlist/:id/decline', blocks.declineOffer);
+router.post('/waitlist/:id/remove', blocks.removeFromWaitlist);
+router.get('/reports/utilisation', blocks.utilisation);
+
+// Implant registry: billing retries, explant/error reversal and recall search.
+router.get('/implants/search', implants.searchImplants);
+router.post('/implants/:id/bill', implants.retryBilling);
+router.post('/implants/:id/remove', implants.removeImplant);
+
 // Backward-compatible request URLs now use the tenant-scoped case workflow.
 router.post('/requests', cases.createCase);
 router.get('/requests', cases.listCases);
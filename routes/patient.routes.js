@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const patientController = require('../controllers/patientTenant.controller');
+const patientMergeController = require('../controllers/patientMerge.controller');
 const { protect, authorize } = require('../middlewares/auth');
 const multer = require('multer');
 const path = require('path');
@@ -27,6 +28,7 @@ const canReadPatient = authorize(
 );
 const canManagePatient = authorize('admin', 'doctor', 'nurse', 'staff', 'registrar', 'receptionist');
 const canManagePharmacyPatient = authorize('admin', 'registrar', 'receptionist', 'pharmacy');
+const canMergePatient = authorize('admin', 'registrar', 'receptionist');
 
 router.use(protect);
 
@@ -43,6 +45,10 @@ router.post('/bulk-add', canManagePatient, patientController.bulkCreatePatients)
 router.get('/by-temp-id/:tempId', canReadPatient, patientController.getPatientByTempId);
 router.get('/sync/status', authorize('admin', 'registrar'), patientController.getSyncStatus);
 router.get('/phone/:phone', canReadPatient, patientController.getPatientByPhone);
+router.get('/merges', canMergePatient, patientMergeController.listMerges);
+router.post('/merges/:mergeId/approve', authorize('admin', 'registrar'), patientMergeController.approveMerge);
+router.post('/merges/:mergeId/reject', authorize('admin', 'registrar'), patientMergeController.rejectMerge);
+router.post('/merges/:mergeId/unmerge', authorize('admin', 'registrar'), patientMergeController.unmergePatient);
 
 router.post('/', canManagePatient, patientController.createPatient);
 router.get('/', canReadPatient, patientController.getAllPatients);
@@ -51,6 +57,9 @@ router.get('/:id/longitudinal-record', canReadPatient, patientController.getLong
 router.post('/:id/share', canManagePatient, patientController.sharePatientRecord);
 router.get('/:id/pharmacy-account', canManagePharmacyPatient, patientController.getPatientPharmacyAccount);
 router.patch('/:id/pharmacy-balance', canManagePharmacyPatient, patientController.updatePatientPharmacyBalance);
+router.post('/:id/merge/preview', canMergePatient, patientMergeController.previewMerge);
+router.post('/:id/merge', canMergePatient, patientMergeController.mergePatient);
+router.get('/:id/merges', canMergePatient, patientMergeController.listMerges);
 router.get('/:id', canReadPatient, patientController.getPatientById);
 router.put('/:id', canManagePatient, patientController.updatePatient);
 router.delete('/:id', authorize('admin'), patientController.deletePatient);
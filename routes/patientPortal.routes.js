@@ -22,12 +22,29 @@ router.use(requirePatientPortal);
 router.get('/me', auth.me);
 router.get('/dashboard', portal.dashboard);
 router.get('/appointments', portal.appointments);
+router.get('/appointments/slots', portal.appointmentSlots);
+router.post('/appointments', portal.bookAppointment);
+router.post('/appointments/:id/reschedule', portal.rescheduleAppointment);
+router.post('/appointments/:id/cancel', portal.cancelAppointment);
+router.post('/appointments/:id/payment', portal.appointmentPayment);
+router.post('/appointments/:id/check-in', portal.checkInAppointment);
 router.get('/prescriptions', portal.prescriptions);
 router.get('/medications', portal.medications);
 router.get('/admissions', portal.admissions);
 router.get('/reports', portal.reports);
 router.get('/documents', portal.documents);
 router.get('/bills', portal.bills);
+router.get('/billing/summary', portal.billingSummary);
+router.post('/bills/:billId/pay', portal.payBill);
+router.post('/invoices/:invoiceId/pay', portal.payInvoice);
+router.get('/invoices/:invoiceId/pdf', portal.invoicePdf);
+router.get('/admissions/:admissionId/running-bill', portal.admissionRunningBill);
+router.get('/admissions/:admissionId/running-bill/pdf', portal.runningBillPdf);
+router.post('/admissions/:admissionId/advance', portal.admissionAdvance);
+router.get('/payments', portal.payments);
+router.get('/payments/:id', portal.payment);
+router.get('/receipts', portal.receipts);
+router.get('/receipts/:id/pdf', portal.receiptPdf);
 router.get('/consents', portal.consents);
 router.patch('/consents/:consentId/responses', portal.updateConsentResponses);
 router.post('/consents/:consentId/sign', portal.signConsent);
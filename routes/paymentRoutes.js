@@ -77,5 +77,18 @@ router.get('/order-status/:orderId', async (req, res) => {
   }
 });
 
+// Online collections booked through gateway webhooks, and the daily
+// settlement-file reconciliation.
+const { requireModuleAccess, requireActionPermission } = require('../middlewares/auth');
+const gatewayPayments = require('../controllers/gatewayPayment.controller');
+
+router.post('/requests', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('settlement'), gatewayPayments.createPaymentRequest);
+router.get('/requests', requireModuleAccess('billing_finance'), gatewayPayments.listPaymentRequests);
+router.get('/requests/:id', requireModuleAccess('billing_finance'), gatewayPayments.getPaymentRequest);
+router.post('/requests/:id/post', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('settlement'), gatewayPayments.retryPosting);
+router.post('/settlements', requireModuleAccess('billing_finance', 'manage'), requireActionPermission('billing_finalize'), gatewayPayments.importSettlement);
+router.get('/settlements', requireModuleAccess('billing_finance'), gatewayPayments.listSettlements);
+router.get('/settlements/:id', requireModuleAccess('billing_finance'), gatewayPayments.getSettlement);
+
 // ADD THIS LINE
 module.exports = router;
\ No newline at end of file
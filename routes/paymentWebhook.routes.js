@@ -0,0 +1,9 @@
+const express = require('express');
+const c = require('../controllers/gatewayPayment.controller');
+
+const router = express.Router();
+
+// Mounted before staff authentication; the gateway signs every delivery.
+router.post('/:provider', c.receiveWebhook);
+
+module.exports = router;
@@ -11,8 +11,40 @@ router.patch('/incidents/:id', c.updateIncident);
 router.get('/incidents', c.list);
 router.get('/incidents/analytics/summary', c.analytics);
 
+// Incident investigation: RCA team and analysis, CAPA items, closure sign-off
+router.get('/incidents/reports/open-capas', c.openCapas);
+router.get('/incidents/reports/recurrence', c.incidentRecurrence);
+router.put('/incidents/:id/rca/team', c.assignRcaTeam);
+router.patch('/incidents/:id/rca', c.saveRcaAnalysis);
+router.post('/incidents/:id/capa', c.addCapaItem);
+router.patch('/incidents/:id/capa/:capaId', c.updateCapaItem);
+router.post('/incidents/:id/capa/:capaId/effectiveness', c.recordCapaEffectiveness);
+router.post('/incidents/:id/close', c.closeIncident);
+
 // Antimicrobial policies
 router.post('/antimicrobial-policies', c.createPolicy);
 router.get('/antimicrobial-policies', c.policies);
 
+// HAI surveillance: invasive devices, NHSN-style case review and ward rates
+router.post('/devices', c.recordDevice);
+router.patch('/devices/:id/remove', c.removeDevice);
+router.get('/devices', c.devices);
+router.get('/hai-cases/culture-candidates/:admissionId', c.cultureCandidates);
+router.post('/hai-cases', c.createHaiCase);
+router.patch('/hai-cases/:id', c.updateHaiCase);
+router.post('/hai-cases/:id/confirm', c.confirmHaiCase);
+router.post('/hai-cases/:id/rule-out', c.ruleOutHaiCase);
+router.get('/hai-cases', c.haiCases);
+router.get('/hai-rates', c.haiRates);
+
+// Antimicrobial stewardship: restricted list, ID-physician approvals, time-outs, DOT/DDD
+router.get('/stewardship/medicines', c.stewardshipMedicines);
+router.put('/stewardship/medicines/:medicineId', c.updateStewardshipMedicine);
+router.post('/stewardship/approvals', c.requestAntimicrobialApproval);
+router.get('/stewardship/approvals', c.antimicrobialApprovals);
+router.post('/stewardship/approvals/:id/decision', c.decideAntimicrobialApproval);
+router.get('/stewardship/time-outs', c.antimicrobialTimeOuts);
+router.post('/stewardship/time-outs/:chartId/review', c.reviewAntimicrobialTimeOut);
+router.get('/stewardship/metrics', c.stewardshipMetrics);
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middlewares/auth');
+const { requireApproval } = require('../middlewares/approvalGate');
+const MedicineBatch = require('../models/MedicineBatch');
+const Medicine = require('../models/Medicine');
+const { requestHospitalId } = require('../utils/hospitalScope');
 const {
   createAdjustment,
   getAdjustmentsByMedicine,
@@ -9,8 +13,26 @@ const {
 
 router.use(protect);
 
+const WRITE_OFF_TYPES = ['Deduction', 'Damage', 'Expiry'];
+const stockWriteOffApproval = requireApproval('STOCK_WRITE_OFF', {
+  when: (req) => WRITE_OFF_TYPES.includes(req.body?.adjustment_type),
+  amount: async (req) => {
+    // Batches are scoped through the hospital's medicine, so another
+    // hospital's batch price cannot pick the approval band.
+    const medicine = req.body?.batch_id && req.body?.medicine_id
+      ? await Medicine.findOne({ _id: req.body.medicine_id, hospitalId: requestHospitalId(req) }).select('_id').lean()
+      : null;
+    const batch = medicine
+      ? await MedicineBatch.findOne({ _id: req.body.batch_id, medicine_id: medicine._id }).select('purchase_price purchase_price_per_base_unit').lean()
+      : null;
+    const unitCost = Number(batch?.purchase_price_per_base_unit ?? batch?.purchase_price ?? 0);
+    return Number(req.body?.quantity || 0) * unitCost;
+  },
+  sourceId: (req) => req.body?.batch_id || req.body?.medicine_id
+});
+
 // Stock Adjustment routes
-router.post('/', createAdjustment);
+router.post('/', stockWriteOffApproval, createAdjustment);
 router.get('/', getAllAdjustments);
 router.get('/medicine/:medicineId', getAdjustmentsByMedicine);
 
@@ -4,6 +4,7 @@ const storeController = require('../controllers/store.controller');
 const { verifyToken, authorize } = require('../middlewares/auth');
 const operations = require('../controllers/storeOperations.controller');
 const procurement = require('../controllers/storeProcurement.controller');
+const gstCompliance = require('../controllers/gstCompliance.controller');
 
 const storeAccess = [verifyToken, authorize('admin', 'mediqliq_super_admin', 'store', 'store_manager', 'inventory_manager', 'equipment_manager')];
 
@@ -68,6 +69,9 @@ router.post('/transfers', storeAccess, operations.createTransfer);
 router.post('/transfers/:id/approve', storeAccess, operations.approveTransfer);
 router.post('/transfers/:id/dispatch', storeAccess, operations.dispatchTransfer);
 router.post('/transfers/:id/receive', storeAccess, operations.receiveTransfer);
+router.post('/transfers/:id/eway-bill/preview', storeAccess, gstCompliance.previewTransferEwayBill);
+router.post('/transfers/:id/eway-bill', storeAccess, gstCompliance.generateTransferEwayBill);
+router.post('/transfers/:id/eway-bill/cancel', storeAccess, gstCompliance.cancelTransferEwayBill);
 router.get('/stock-counts', storeAccess, operations.listCounts);
 router.post('/stock-counts', storeAccess, operations.createCount);
 router.put('/stock-counts/:id', storeAccess, operations.updateCount);
@@ -75,6 +79,9 @@ router.post('/stock-counts/:id/post', storeAccess, operations.postCount);
 router.get('/purchase-returns', storeAccess, operations.listPurchaseReturns);
 router.post('/purchase-returns', storeAccess, operations.createPurchaseReturn);
 router.post('/purchase-returns/:id/dispatch', storeAccess, operations.dispatchPurchaseReturn);
+router.post('/purchase-returns/:id/e-invoice/preview', storeAccess, gstCompliance.previewPurchaseReturn);
+router.post('/purchase-returns/:id/e-invoice', storeAccess, gstCompliance.generatePurchaseReturnIrn);
+router.post('/purchase-returns/:id/e-invoice/cancel', storeAccess, gstCompliance.cancelPurchaseReturnIrn);
 
 // Procurement, supplier comparison, accountable assets and recall traceability.
 router.get('/purchase-requisitions', storeAccess, procurement.listPurchaseRequisitions);
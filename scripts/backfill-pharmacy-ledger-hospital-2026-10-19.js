@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+'use strict';
+
+const PharmacyLedgerEntry = require('../models/PharmacyLedgerEntry');
+require('../models/Sale');
+require('../models/PharmacyReturn');
+require('../models/IPDAdmission');
+require('../models/PurchaseOrder');
+const { migrationOptions, connect, close, baseReport, writeState } = require('./lib/hmsMigrationUtils');
+
+// Older pharmacy ledger writers left hospitalId empty, which kept those rows
+// out of the hospital-scoped accounting export. Each row takes the hospital
+// of its linked sale, return, admission or purchase order.
+async function main() {
+  const { hospitalId, apply, statePath } = migrationOptions();
+  const report = baseReport('pharmacy-ledger-hospital-2026-10-19', apply, hospitalId);
+  await connect();
+  try {
+    const cursor = PharmacyLedgerEntry.find({ $or: [{ hospitalId: null }, { hospitalId: { $exists: false } }] })
+      .select('_id entryType saleId returnId admissionId purchaseOrderId')
+      .cursor();
+    for await (const entry of cursor) {
+      const linked = await PharmacyLedgerEntry.linkedHospitalId(entry);
+      if (!linked) {
+        report.skipped += 1;
+        continue;
+      }
+      if (String(linked) !== String(hospitalId)) continue;
+      report.changes.push({ _id: String(entry._id), entryType: entry.entryType, toHospitalId: String(hospitalId) });
+      if (apply) {
+        await PharmacyLedgerEntry.updateOne({ _id: entry._id, hospitalId: null }, { $set: { hospitalId } });
+      }
+      report.updated += 1;
+    }
+    report.dryRun = !apply;
+    const out = writeState(report, statePath);
+    console.log(JSON.stringify({ ...report, changes: undefined, statePath: out }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
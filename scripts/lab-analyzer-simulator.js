@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Sends a synthetic analyzer result to a running listener or drops it into a
+// file inbox, so the interface can be exercised without an instrument.
+//
+//   node scripts/lab-analyzer-simulator.js --protocol astm --port 5600 \
+//     --sample ACC-1001 --result GLU=182:mg/dL:H --result UREA=31:mg/dL
+//   node scripts/lab-analyzer-simulator.js --protocol hl7 --file /drop/cobas/inbox \
+//     --sample ACC-1001 --result HGB=9.1:g/dL:L
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const {
+  CONTROL,
+  buildAstmMessage,
+  buildHl7Oru,
+  frameAstm,
+  mllpWrap
+} = require('../services/analyzerProtocol.service');
+
+function parseArgs(argv) {
+  const args = { protocol: 'astm', host: '127.0.0.1', results: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const key = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    i += 1;
+    if (key === 'result') {
+      const [code, rest = ''] = value.split('=');
+      const [result, units, flags] = rest.split(':');
+      args.results.push({ code, value: result, units, flags });
+    } else {
+      args[key] = value;
+    }
+  }
+  return args;
+}
+
+function sendAstm({ host, port, text }) {
+  const frames = frameAstm(text);
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port: Number(port) }, () => socket.write(CONTROL.ENQ));
+    const timer = setTimeout(() => { socket.destroy(); reject(new Error('Timed out waiting for ACK')); }, 10000);
+    let next = 0;
+    socket.on('data', (data) => {
+      const reply = data.toString('latin1');
+      if (reply.includes(CONTROL.NAK)) {
+        socket.write(frames[Math.max(next - 1, 0)], 'latin1');
+        return;
+      }
+      if (!reply.includes(CONTROL.ACK)) return;
+      if (next < frames.length) {
+        socket.write(frames[next], 'latin1');
+        next += 1;
+      } else {
+        socket.end(CONTROL.EOT);
+        clearTimeout(timer);
+        resolve('EOT sent');
+      }
+    });
+    socket.on('error', (error) => { clearTimeout(timer); reject(error); });
+  });
+}
+
+function sendHl7({ host, port, text }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port: Number(port) }, () => socket.write(mllpWrap(text)));
+    const timer = setTimeout(() => { socket.destroy(); reject(new Error('Timed out waiting for ACK')); }, 10000);
+    socket.on('data', (data) => {
+      clearTimeout(timer);
+      socket.end();
+      resolve(data.toString('utf8').replace(/[\x0b\x1c]/g, '').replace(/\r/g, '\n').trim());
+    });
+    socket.on('error', (error) => { clearTimeout(timer); reject(error); });
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.sample || !args.results.length) {
+    console.error('Usage: --sample <barcode> --result CODE=value[:units[:flag]] [--protocol astm|hl7] (--port <n> [--host h] | --file <dir>)');
+    process.exit(1);
+  }
+  const build = args.protocol === 'hl7' ? buildHl7Oru : buildAstmMessage;
+  const text = build({ sampleId: args.sample, results: args.results });
+
+  if (args.file) {
+    const target = path.join(args.file, `${args.sample}-${Date.now()}.${args.protocol === 'hl7' ? 'hl7' : 'astm'}`);
+    fs.writeFileSync(target, text, 'latin1');
+    console.log(`Wrote ${target}`);
+    return;
+  }
+  if (!args.port) throw new Error('--port or --file is required');
+  const reply = args.protocol === 'hl7' ? await sendHl7({ ...args, text }) : await sendAstm({ ...args, text });
+  console.log(reply);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
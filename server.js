@@ -76,10 +76,27 @@ const startServer = async () => {
       startIPDRecurringChargeJob();
     }
 
+    if (abdmConfig.isHospital) {
+      const { startLabAnalyzerJob } = require('./jobs/labAnalyzerJob');
+      startLabAnalyzerJob();
+    }
+
+    if (abdmConfig.isHospital) {
+      require('./jobs/approvalEscalationJob').startApprovalEscalationJob();
+      require('./jobs/otBlockReleaseJob').startOTBlockReleaseJob();
+      require('./jobs/antimicrobialTimeOutJob').startAntimicrobialTimeOutJob();
+      require('./jobs/capaEscalationJob').startCapaEscalationJob();
+    }
+
     const shutdown = (signal) => {
       console.log(`\n${signal} received. Closing HTTP server...`);
       if (abdmConfig.isHospital) {
         try { require('./jobs/platformSyncJob').stopPlatformSyncJob(); } catch (_) {}
+        try { require('./jobs/labAnalyzerJob').stopLabAnalyzerJob(); } catch (_) {}
+        try { require('./jobs/approvalEscalationJob').stopApprovalEscalationJob(); } catch (_) {}
+        try { require('./jobs/otBlockReleaseJob').stopOTBlockReleaseJob(); } catch (_) {}
+        try { require('./jobs/antimicrobialTimeOutJob').stopAntimicrobialTimeOutJob(); } catch (_) {}
+        try { require('./jobs/capaEscalationJob').stopCapaEscalationJob(); } catch (_) {}
       }
       server.close(() => process.exit(0));
       setTimeout(() => process.exit(1), 10000).unref();
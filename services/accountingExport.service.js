@@ -0,0 +1,540 @@
+'use strict';
+
+const FinancialTransaction = require('../models/FinancialTransaction');
+const PharmacyLedgerEntry = require('../models/PharmacyLedgerEntry');
+const SponsorLedgerEntry = require('../models/SponsorLedgerEntry');
+const Expense = require('../models/Expense');
+const Payer = require('../models/Payer');
+const Hospital = require('../models/Hospital');
+const LedgerMapping = require('../models/LedgerMapping');
+const AccountingExportBatch = require('../models/AccountingExportBatch');
+const AccountingExportEntry = require('../models/AccountingExportEntry');
+const { nextNumber } = require('./hospitalSequence.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { semanticDateRange } = require('../utils/hospitalDateRange');
+const { hospitalDateKey, isDateKey } = require('../utils/hospitalDateTime');
+const { currentContext } = require('../utils/operationTimeContext');
+
+const MAX_BATCH_RECORDS = 5000;
+const WILDCARD = '*';
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function dateKey(value) {
+  return hospitalDateKey(value, currentContext()?.timeZone || undefined);
+}
+
+/*
+ * Source normalisers. Each turns one ledger row into a posting: the amount
+ * parts to book, the keys rules match on and any party names for
+ * '{payer}'/'{vendor}' ledgers.
+ */
+function financialTransactionPosting(row) {
+  const split = row.paymentMethod === 'Split' && row.paymentBreakdown?.length;
+  return {
+    source: 'financial_transaction',
+    sourceId: row._id,
+    date: row.postedAt || row.createdAt,
+    voucherNumber: row.transactionNumber,
+    reference: row.paymentReference || row.transactionNumber,
+    transactionType: row.transactionType,
+    direction: row.direction,
+    narration: [row.transactionType.replace(/_/g, ' '), row.receiptType, row.remarks].filter(Boolean).join(' - '),
+    department: row.metadata?.department,
+    party: {},
+    parts: split
+      ? row.paymentBreakdown.map((part) => ({ paymentMethod: part.method, amount: part.amount }))
+      : [{ paymentMethod: row.paymentMethod, amount: row.amount }]
+  };
+}
+
+function pharmacyLedgerPosting(row) {
+  return {
+    source: 'pharmacy_ledger',
+    sourceId: row._id,
+    date: row.entryDate || row.createdAt,
+    voucherNumber: `PHL-${String(row._id).slice(-8).toUpperCase()}`,
+    reference: row.transactionGroupId,
+    transactionType: row.entryType,
+    direction: row.direction,
+    narration: [`Pharmacy ${row.entryType.replace(/_/g, ' ').toLowerCase()}`, row.notes].filter(Boolean).join(' - '),
+    party: {},
+    parts: [{ paymentMethod: row.paymentMethod, amount: row.amount }]
+  };
+}
+
+function sponsorLedgerPosting(row, payerName) {
+  const debit = Number(row.debit || 0);
+  return {
+    source: 'sponsor_ledger',
+    sourceId: row._id,
+    date: row.occurredAt || row.createdAt,
+    voucherNumber: row.entryNumber,
+    reference: row.reference || row.entryNumber,
+    transactionType: row.entryType,
+    direction: debit > 0 ? 'DEBIT' : 'CREDIT',
+    narration: [`Sponsor ${row.entryType.replace(/_/g, ' ')}`, payerName, row.reason].filter(Boolean).join(' - '),
+    party: { payer: payerName },
+    parts: [{ paymentMethod: WILDCARD, amount: debit > 0 ? debit : Number(row.credit || 0) }]
+  };
+}
+
+function expensePosting(row) {
+  return {
+    source: 'expense',
+    sourceId: row._id,
+    date: row.date || row.created_at,
+    voucherNumber: row.expense_number,
+    reference: row.vendor_invoice_number || row.expense_number,
+    transactionType: row.category,
+    direction: row.adjustment_type === 'credit_note' ? 'CREDIT' : 'DEBIT',
+    narration: [row.description, row.vendor].filter(Boolean).join(' - '),
+    department: row.department,
+    party: { vendor: row.vendor },
+    parts: [{ paymentMethod: row.payment_method, amount: row.amount, tax: row.tax_amount }]
+  };
+}
+
+function matches(value, wanted) {
+  return value === WILDCARD || String(value || '').toUpperCase() === String(wanted || '').toUpperCase();
+}
+
+/** Most specific active rule: transaction type outranks payment method, which outranks direction. */
+function resolveRule(rules, posting, part) {
+  let best = null;
+  let bestScore = -1;
+  for (const rule of rules) {
+    if (rule.active === false || rule.source !== posting.source) continue;
+    if (!matches(rule.transactionType, posting.transactionType) ||
+        !matches(rule.paymentMethod, part.paymentMethod) ||
+        !matches(rule.direction, posting.direction)) continue;
+    const score = (rule.transactionType !== WILDCARD ? 4 : 0) + (rule.paymentMethod !== WILDCARD ? 2 : 0) + (rule.direction !== WILDCARD ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function expandLedger(name, party) {
+  let missing = null;
+  const ledger = String(name || '').replace(/\{(payer|vendor)\}/g, (token, key) => {
+    if (!party[key]) missing = key;
+    return party[key] || token;
+  });
+  return { ledger, missing };
+}
+
+/**
+ * Builds one double-entry voucher. Problems are returned rather than thrown
+ * so a preview can list every unmapped row in a single pass.
+ */
+function buildVoucher(posting, rules) {
+  const total = round2(posting.parts.reduce((sum, part) => sum + Number(part.amount || 0) + Number(part.tax || 0), 0));
+  if (total <= 0) return { skip: true };
+  const problem = (code, message) => ({
+    problem: {
+      code, message, source: posting.source, sourceId: posting.sourceId, voucherNumber: posting.voucherNumber,
+      transactionType: posting.transactionType, direction: posting.direction
+    }
+  });
+
+  const lines = new Map();
+  const add = (ledger, side, amount, costCentre) => {
+    if (!(amount > 0)) return;
+    const key = `${side}\u0000${ledger}\u0000${costCentre || ''}`;
+    const line = lines.get(key) || { ledger, side, amount: 0, costCentre: costCentre || undefined };
+    line.amount = round2(line.amount + amount);
+    lines.set(key, line);
+  };
+
+  let voucherType = null;
+  for (const part of posting.parts) {
+    const amount = round2(part.amount);
+    const tax = round2(part.tax);
+    if (amount + tax <= 0) continue;
+    const rule = resolveRule(rules, posting, part);
+    if (!rule) {
+      return problem('UNMAPPED', `No ledger mapping for ${posting.source} ${posting.transactionType}${part.paymentMethod && part.paymentMethod !== WILDCARD ? ` / ${part.paymentMethod}` : ''} (${posting.direction})`);
+    }
+    voucherType = voucherType || rule.voucherType || 'Journal';
+    const debit = expandLedger(rule.debitLedger, posting.party);
+    const credit = expandLedger(rule.creditLedger, posting.party);
+    const missingParty = debit.missing || credit.missing;
+    if (missingParty) return problem('PARTY_MISSING', `${posting.voucherNumber} has no ${missingParty} name for the party ledger`);
+
+    const nominalSide = rule.nominalSide === 'debit' ? 'Dr' : 'Cr';
+    const otherSide = nominalSide === 'Dr' ? 'Cr' : 'Dr';
+    const nominalLedger = nominalSide === 'Dr' ? debit.ledger : credit.ledger;
+    const otherLedger = nominalSide === 'Dr' ? credit.ledger : debit.ledger;
+    const costCentre = (rule.costCentreFromDepartment && posting.department) || rule.costCentre;
+    add(nominalLedger, nominalSide, amount, costCentre);
+    if (tax > 0) {
+      const taxLedgers = rule.taxLedgers || {};
+      if (taxLedgers.mode === 'igst') {
+        if (!taxLedgers.igst) return problem('TAX_LEDGER_MISSING', `Mapping for ${posting.transactionType} has no IGST ledger`);
+        add(taxLedgers.igst, nominalSide, tax);
+      } else {
+        if (!taxLedgers.cgst || !taxLedgers.sgst) return problem('TAX_LEDGER_MISSING', `Mapping for ${posting.transactionType} has no CGST/SGST ledgers`);
+        const cgst = round2(tax / 2);
+        add(taxLedgers.cgst, nominalSide, cgst);
+        add(taxLedgers.sgst, nominalSide, round2(tax - cgst));
+      }
+    }
+    add(otherLedger, otherSide, round2(amount + tax));
+  }
+
+  const voucherLines = [...lines.values()].sort((a, b) => (a.side === b.side ? 0 : a.side === 'Dr' ? -1 : 1));
+  const debitTotal = round2(voucherLines.filter((line) => line.side === 'Dr').reduce((sum, line) => sum + line.amount, 0));
+  const creditTotal = round2(voucherLines.filter((line) => line.side === 'Cr').reduce((sum, line) => sum + line.amount, 0));
+  if (debitTotal !== creditTotal) return problem('UNBALANCED', `${posting.voucherNumber} does not balance (${debitTotal} Dr / ${creditTotal} Cr)`);
+  return {
+    voucher: {
+      voucherNumber: posting.voucherNumber,
+      voucherType,
+      date: dateKey(posting.date),
+      sourceDate: posting.date,
+      reference: posting.reference,
+      narration: posting.narration,
+      source: posting.source,
+      sourceId: posting.sourceId,
+      lines: voucherLines
+    }
+  };
+}
+
+function buildVouchers(postings, rules) {
+  const vouchers = [];
+  const problems = [];
+  for (const posting of postings) {
+    const result = buildVoucher(posting, rules);
+    if (result.voucher) vouchers.push(result.voucher);
+    if (result.problem) problems.push(result.problem);
+  }
+  vouchers.sort((a, b) => a.date.localeCompare(b.date) || a.voucherNumber.localeCompare(b.voucherNumber));
+  const sumSide = (side) => round2(vouchers.reduce((sum, voucher) => sum + voucher.lines.filter((line) => line.side === side).reduce((s, line) => s + line.amount, 0), 0));
+  return { vouchers, problems, totalDebit: sumSide('Dr'), totalCredit: sumSide('Cr') };
+}
+
+function xml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Tally books debits as negative amounts with ISDEEMEDPOSITIVE=Yes.
+function tallyAmount(line) {
+  return (line.side === 'Dr' ? -line.amount : line.amount).toFixed(2);
+}
+
+/**
+ * Tally Prime/ERP 9 voucher import envelope. REMOTEID carries the source row
+ * so a repeated import alters the voucher instead of duplicating it.
+ */
+function tallyXml(vouchers, { companyName } = {}) {
+  const body = vouchers.map((voucher) => {
+    const entries = voucher.lines.map((line) => [
+      '      <ALLLEDGERENTRIES.LIST>',
+      `       <LEDGERNAME>${xml(line.ledger)}</LEDGERNAME>`,
+      `       <ISDEEMEDPOSITIVE>${line.side === 'Dr' ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`,
+      `       <AMOUNT>${tallyAmount(line)}</AMOUNT>`,
+      ...(line.costCentre ? [
+        '       <CATEGORYALLOCATIONS.LIST>',
+        '        <CATEGORY>Primary Cost Category</CATEGORY>',
+        '        <COSTCENTREALLOCATIONS.LIST>',
+        `         <NAME>${xml(line.costCentre)}</NAME>`,
+        `         <AMOUNT>${tallyAmount(line)}</AMOUNT>`,
+        '        </COSTCENTREALLOCATIONS.LIST>',
+        '       </CATEGORYALLOCATIONS.LIST>'
+      ] : []),
+      '      </ALLLEDGERENTRIES.LIST>'
+    ].join('\n')).join('\n');
+    return [
+      '    <TALLYMESSAGE xmlns:UDF="TallyUDF">',
+      `     <VOUCHER REMOTEID="${xml(`${voucher.source}:${voucher.sourceId}`)}" VCHTYPE="${xml(voucher.voucherType)}" ACTION="Create">`,
+      `      <DATE>${voucher.date.replace(/-/g, '')}</DATE>`,
+      `      <VOUCHERTYPENAME>${xml(voucher.voucherType)}</VOUCHERTYPENAME>`,
+      `      <VOUCHERNUMBER>${xml(voucher.voucherNumber)}</VOUCHERNUMBER>`,
+      ...(voucher.reference ? [`      <REFERENCE>${xml(voucher.reference)}</REFERENCE>`] : []),
+      `      <NARRATION>${xml(voucher.narration)}</NARRATION>`,
+      entries,
+      '     </VOUCHER>',
+      '    </TALLYMESSAGE>'
+    ].join('\n');
+  }).join('\n');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    ' <HEADER>',
+    '  <TALLYREQUEST>Import Data</TALLYREQUEST>',
+    ' </HEADER>',
+    ' <BODY>',
+    '  <IMPORTDATA>',
+    '   <REQUESTDESC>',
+    '    <REPORTNAME>Vouchers</REPORTNAME>',
+    ...(companyName ? ['    <STATICVARIABLES>', `     <SVCURRENTCOMPANY>${xml(companyName)}</SVCURRENTCOMPANY>`, '    </STATICVARIABLES>'] : []),
+    '   </REQUESTDESC>',
+    '   <REQUESTDATA>',
+    body,
+    '   </REQUESTDATA>',
+    '  </IMPORTDATA>',
+    ' </BODY>',
+    '</ENVELOPE>',
+    ''
+  ].join('\n');
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+const CSV_COLUMNS = ['batch_number', 'voucher_number', 'voucher_type', 'date', 'ledger', 'debit', 'credit', 'cost_centre', 'reference', 'narration', 'source', 'source_id'];
+
+/** Generic double-entry CSV: one row per ledger line, debits and credits in separate columns. */
+function ledgerCsv(vouchers, batchNumber) {
+  const rows = [];
+  for (const voucher of vouchers) {
+    for (const line of voucher.lines) {
+      rows.push([
+        batchNumber, voucher.voucherNumber, voucher.voucherType, voucher.date, line.ledger,
+        line.side === 'Dr' ? line.amount.toFixed(2) : '', line.side === 'Cr' ? line.amount.toFixed(2) : '',
+        line.costCentre, voucher.reference, voucher.narration, voucher.source, voucher.sourceId
+      ].map(csvCell).join(','));
+    }
+  }
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+const SOURCE_QUERIES = {
+  financial_transaction: {
+    model: FinancialTransaction,
+    filter: (hospitalId, range) => ({ hospitalId, postedAt: range, status: { $in: ['POSTED', 'REVERSED'] } }),
+    posting: financialTransactionPosting
+  },
+  pharmacy_ledger: {
+    model: PharmacyLedgerEntry,
+    filter: (hospitalId, range) => ({ hospitalId, entryDate: range }),
+    posting: pharmacyLedgerPosting
+  },
+  sponsor_ledger: {
+    model: SponsorLedgerEntry,
+    filter: (hospitalId, range) => ({ hospitalId, occurredAt: range }),
+    posting: sponsorLedgerPosting
+  },
+  expense: {
+    model: Expense,
+    filter: (hospitalId, range) => ({
+      hospital_id: hospitalId,
+      date: range,
+      approval_status: 'Approved',
+      payment_status: { $ne: 'Cancelled' },
+      is_deleted: { $ne: true }
+    }),
+    posting: expensePosting
+  }
+};
+
+function normalizeRange({ fromDate, toDate, sources }) {
+  if (!isDateKey(fromDate) || !isDateKey(toDate)) throw httpError('fromDate and toDate must be YYYY-MM-DD');
+  if (fromDate > toDate) throw httpError('fromDate cannot be after toDate');
+  const wanted = sources?.length ? sources : LedgerMapping.SOURCES;
+  const unknown = wanted.filter((source) => !SOURCE_QUERIES[source]);
+  if (unknown.length) throw httpError(`Unknown export source(s): ${unknown.join(', ')}`);
+  return { fromDate, toDate, sources: [...new Set(wanted)] };
+}
+
+/** Unexported rows in the range, as postings. Rows already claimed by a batch are skipped. */
+async function collectPostings({ hospitalId, fromDate, toDate, sources }) {
+  const range = semanticDateRange(fromDate, toDate, currentContext()?.timeZone);
+  const postings = [];
+  for (const source of sources) {
+    const definition = SOURCE_QUERIES[source];
+    const claimed = await AccountingExportEntry.find({ hospitalId, source, sourceDate: range }).distinct('sourceId');
+    const rows = await definition.model.find({ ...definition.filter(hospitalId, range), _id: { $nin: claimed } })
+      .limit(MAX_BATCH_RECORDS + 1)
+      .lean();
+    if (postings.length + rows.length > MAX_BATCH_RECORDS) {
+      throw httpError(`More than ${MAX_BATCH_RECORDS} entries in range; export a shorter period`, 422, 'EXPORT_TOO_LARGE');
+    }
+    let payers = new Map();
+    if (source === 'sponsor_ledger' && rows.length) {
+      const list = await Payer.find({ hospitalId, _id: { $in: [...new Set(rows.map((row) => String(row.payerId)))] } }).select('name').lean();
+      payers = new Map(list.map((payer) => [String(payer._id), payer.name]));
+    }
+    for (const row of rows) postings.push(definition.posting(row, payers.get(String(row.payerId))));
+  }
+  return postings;
+}
+
+async function activeRules(hospitalId) {
+  return LedgerMapping.find({ hospitalId, active: true }).lean();
+}
+
+async function previewExport({ hospitalId, ...input }) {
+  const scope = normalizeRange(input);
+  const [postings, rules] = await Promise.all([collectPostings({ hospitalId, ...scope }), activeRules(hospitalId)]);
+  const result = buildVouchers(postings, rules);
+  return { ...scope, voucherCount: result.vouchers.length, ...result };
+}
+
+/**
+ * Freezes the vouchers for a range into a batch and claims every source row.
+ * Any unmapped or unbalanced row fails the whole batch so nothing is skipped
+ * silently; a concurrent batch claiming the same rows fails with 409.
+ */
+async function createBatch({ req, hospitalId, ...input }) {
+  const scope = normalizeRange(input);
+  const [postings, rules, hospital] = await Promise.all([
+    collectPostings({ hospitalId, ...scope }),
+    activeRules(hospitalId),
+    Hospital.findById(hospitalId).select('hospitalName name companyName').lean()
+  ]);
+  const { vouchers, problems, totalDebit, totalCredit } = buildVouchers(postings, rules);
+  if (problems.length) throw httpError(`${problems.length} entries cannot be exported until they are mapped`, 422, 'EXPORT_UNMAPPED', problems);
+  if (!vouchers.length) throw httpError('No unexported entries in this range', 409, 'EXPORT_EMPTY');
+
+  const batch = await AccountingExportBatch.create({
+    hospitalId,
+    batchNumber: await nextNumber(hospitalId, 'accounting-export', 'ACX'),
+    ...scope,
+    vouchers,
+    voucherCount: vouchers.length,
+    totalDebit,
+    totalCredit,
+    companyName: input.companyName || hospital?.companyName || hospital?.hospitalName || hospital?.name,
+    createdBy: req.user?._id
+  });
+  try {
+    await AccountingExportEntry.insertMany(vouchers.map((voucher) => ({
+      hospitalId, source: voucher.source, sourceId: voucher.sourceId, sourceDate: voucher.sourceDate, batchId: batch._id, voucherNumber: voucher.voucherNumber
+    })), { ordered: true });
+  } catch (error) {
+    // The batch number is already issued, so the batch stays on record as
+    // discarded rather than leaving a gap in the ACX sequence.
+    const conflict = error.code === 11000;
+    await AccountingExportEntry.deleteMany({ hospitalId, batchId: batch._id });
+    batch.status = 'discarded';
+    batch.discardedAt = new Date();
+    batch.discardedBy = req.user?._id;
+    batch.discardReason = conflict ? 'Entries were claimed by another export batch' : `Entries could not be claimed: ${error.message}`;
+    await batch.save();
+    await appendDomainEvent({
+      req,
+      eventType: 'finance.accounting_export.discarded',
+      entityType: 'AccountingExportBatch',
+      entityId: batch._id,
+      hospitalId,
+      beforeSummary: { status: 'generated' },
+      afterSummary: { status: 'discarded' },
+      comments: batch.discardReason
+    });
+    if (conflict) throw httpError('Some entries were claimed by another export batch; preview again', 409, 'EXPORT_CONFLICT');
+    throw error;
+  }
+  await appendDomainEvent({
+    req,
+    eventType: 'finance.accounting_export.generated',
+    entityType: 'AccountingExportBatch',
+    entityId: batch._id,
+    hospitalId,
+    afterSummary: { batchNumber: batch.batchNumber, fromDate: scope.fromDate, toDate: scope.toDate, voucherCount: vouchers.length, totalDebit }
+  });
+  return batch;
+}
+
+async function loadBatch(hospitalId, id) {
+  const batch = await AccountingExportBatch.findOne({ _id: id, hospitalId });
+  if (!batch) throw httpError('Export batch not found', 404);
+  return batch;
+}
+
+/** Renders the batch file. The first download locks the batch: it can no longer be discarded. */
+async function downloadBatch({ req, hospitalId, id, format }) {
+  if (!['tally_xml', 'csv'].includes(format)) throw httpError('Format must be tally_xml or csv');
+  const batch = await loadBatch(hospitalId, id);
+  if (batch.status === 'discarded') throw httpError('Export batch was discarded', 409, 'EXPORT_DISCARDED');
+  const firstExport = batch.status === 'generated';
+  if (firstExport) {
+    batch.status = 'exported';
+    batch.exportedAt = new Date();
+    batch.exportedBy = req.user?._id;
+  }
+  batch.downloads.push({ format, at: new Date(), by: req.user?._id });
+  await batch.save();
+  if (firstExport) {
+    await appendDomainEvent({
+      req,
+      eventType: 'finance.accounting_export.locked',
+      entityType: 'AccountingExportBatch',
+      entityId: batch._id,
+      hospitalId,
+      beforeSummary: { status: 'generated' },
+      afterSummary: { status: 'exported', format }
+    });
+  }
+  const content = format === 'csv'
+    ? `\uFEFF${ledgerCsv(batch.vouchers, batch.batchNumber)}`
+    : tallyXml(batch.vouchers, { companyName: batch.companyName });
+  return {
+    content,
+    contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'application/xml; charset=utf-8',
+    filename: `${batch.batchNumber.replace(/\//g, '-')}.${format === 'csv' ? 'csv' : 'xml'}`
+  };
+}
+
+/** Releases the claimed rows of a batch nobody has downloaded yet. */
+async function discardBatch({ req, hospitalId, id, reason }) {
+  const batch = await loadBatch(hospitalId, id);
+  if (batch.status !== 'generated') throw httpError('Only a batch that has not been exported can be discarded', 409, 'EXPORT_LOCKED');
+  if (!String(reason || '').trim()) throw httpError('A reason is required to discard an export batch');
+  await AccountingExportEntry.deleteMany({ hospitalId, batchId: batch._id });
+  batch.status = 'discarded';
+  batch.discardedAt = new Date();
+  batch.discardedBy = req.user?._id;
+  batch.discardReason = String(reason).trim();
+  await batch.save();
+  await appendDomainEvent({
+    req,
+    eventType: 'finance.accounting_export.discarded',
+    entityType: 'AccountingExportBatch',
+    entityId: batch._id,
+    hospitalId,
+    beforeSummary: { status: 'generated' },
+    afterSummary: { status: 'discarded' },
+    comments: batch.discardReason
+  });
+  return batch;
+}
+
+module.exports = {
+  MAX_BATCH_RECORDS,
+  financialTransactionPosting,
+  pharmacyLedgerPosting,
+  sponsorLedgerPosting,
+  expensePosting,
+  resolveRule,
+  buildVoucher,
+  buildVouchers,
+  tallyXml,
+  ledgerCsv,
+  previewExport,
+  createBatch,
+  loadBatch,
+  downloadBatch,
+  discardBatch
+};
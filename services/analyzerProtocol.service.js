@@ -0,0 +1,288 @@
+'use strict';
+
+// Parsers and builders for the two analyzer dialects we accept:
+// ASTM E1394 records (framed by E1381 on the wire) and HL7 v2 ORU^R01 (MLLP).
+// Everything here is pure so the listener, the HTTP ingest endpoint and the
+// simulator share one implementation.
+
+const ENQ = '\x05';
+const ACK = '\x06';
+const NAK = '\x15';
+const EOT = '\x04';
+const STX = '\x02';
+const ETX = '\x03';
+const ETB = '\x17';
+const CR = '\r';
+const LF = '\n';
+const MLLP_START = '\x0b';
+const MLLP_END = '\x1c\r';
+
+function protocolError(message) {
+  const error = new Error(message);
+  error.statusCode = 422;
+  error.code = 'ANALYZER_MESSAGE_INVALID';
+  return error;
+}
+
+function parseTimestamp(value) {
+  const digits = String(value || '').replace(/[^0-9]/g, '');
+  if (digits.length < 8) return undefined;
+  const [y, mo, d, h = '00', mi = '00', s = '00'] = [
+    digits.slice(0, 4), digits.slice(4, 6), digits.slice(6, 8),
+    digits.slice(8, 10) || undefined, digits.slice(10, 12) || undefined, digits.slice(12, 14) || undefined
+  ];
+  const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}`);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function formatTimestamp(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+function normalizeFlags(value) {
+  const flag = String(value || '').trim().toUpperCase();
+  return flag && flag !== 'N' ? flag : '';
+}
+
+// --- ASTM E1381 framing -----------------------------------------------------
+
+function astmChecksum(body) {
+  let sum = 0;
+  for (const char of body) sum = (sum + char.charCodeAt(0)) % 256;
+  return sum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+/**
+ * Frames each record on its own, splitting records longer than 240 characters
+ * into ETB-terminated intermediate frames. Frame numbers run modulo 8.
+ */
+function frameAstm(text, maxLength = 240) {
+  const frames = [];
+  let frameNumber = 1;
+  const records = String(text).split(CR).filter(Boolean).map((record) => `${record}${CR}`);
+  for (const record of records) {
+    for (let offset = 0; offset < record.length; offset += maxLength) {
+      const last = offset + maxLength >= record.length;
+      const body = `${frameNumber % 8}${record.slice(offset, offset + maxLength)}${last ? ETX : ETB}`;
+      frames.push(`${STX}${body}${astmChecksum(body)}${CR}${LF}`);
+      frameNumber += 1;
+    }
+  }
+  return frames;
+}
+
+/**
+ * Verifies one received frame and returns its text. Intermediate (ETB) frames
+ * are returned with `final: false` so the caller can concatenate them.
+ */
+function unframeAstm(frame) {
+  const start = frame.indexOf(STX);
+  const end = Math.max(frame.lastIndexOf(ETX), frame.lastIndexOf(ETB));
+  if (start < 0 || end < start) throw protocolError('ASTM frame is missing STX/ETX');
+  const body = frame.slice(start + 1, end + 1);
+  const checksum = frame.slice(end + 1, end + 3).toUpperCase();
+  if (checksum && checksum !== astmChecksum(body)) throw protocolError('ASTM frame checksum mismatch');
+  return { text: body.slice(1, -1), final: body.endsWith(ETX) };
+}
+
+/** Accepts raw record text, or a capture that still contains E1381 frames. */
+function astmRecords(raw) {
+  let text = String(raw || '');
+  if (text.includes(STX)) {
+    text = text.split(STX).slice(1).map((frame) => unframeAstm(`${STX}${frame}`).text).join('');
+  }
+  return text.split(/\r\n|\r|\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+// --- ASTM E1394 records -----------------------------------------------------
+
+function parseAstm(raw) {
+  const records = astmRecords(raw);
+  const header = records[0];
+  if (!header || !/^\d?H/.test(header)) throw protocolError('ASTM message must start with a header (H) record');
+
+  const offset = header.indexOf('H') + 1;
+  const delimiters = {
+    field: header[offset] || '|',
+    repeat: header[offset + 1] || '\\',
+    component: header[offset + 2] || '^'
+  };
+  const split = (record) => record.split(delimiters.field);
+  const components = (value) => String(value || '').split(delimiters.component);
+  const firstComponent = (value) => components(value).map((part) => part.trim()).find(Boolean) || '';
+
+  const headerFields = split(header);
+  const message = {
+    protocol: 'astm',
+    messageType: 'ASTM',
+    controlId: headerFields[2] || undefined,
+    sender: firstComponent(headerFields[4]) || undefined,
+    specimens: []
+  };
+
+  let specimen = null;
+  for (const record of records.slice(1)) {
+    const type = record.replace(/^\d/, '')[0];
+    const fields = split(record.replace(/^\d/, ''));
+    if (type === 'O') {
+      // O-3 is the host (LIS) specimen id, O-4 the instrument's own id.
+      const sampleId = firstComponent(fields[2]) || firstComponent(fields[3]);
+      specimen = { sampleId, results: [] };
+      message.specimens.push(specimen);
+    } else if (type === 'R') {
+      if (!specimen) throw protocolError('ASTM result record appears before any order record');
+      const testId = components(fields[2]);
+      // Universal test id: the manufacturer's local code is the fourth component.
+      const instrumentCode = (testId[3] || testId.find((part) => part.trim()) || '').trim();
+      specimen.results.push({
+        instrumentCode,
+        instrumentName: (testId[4] || '').trim() || undefined,
+        value: firstComponent(fields[3]),
+        units: firstComponent(fields[4]) || undefined,
+        referenceRange: fields[5] || undefined,
+        flags: normalizeFlags(fields[6]),
+        resultStatus: (fields[8] || '').trim() || undefined,
+        observedAt: parseTimestamp(fields[12] || fields[11])
+      });
+    } else if (type === 'L') {
+      break;
+    }
+  }
+
+  if (!message.specimens.length) throw protocolError('ASTM message contains no order records');
+  return message;
+}
+
+function buildAstmMessage({ sampleId, results = [], sender = 'SIMULATOR', observedAt = new Date() }) {
+  const ts = formatTimestamp(observedAt);
+  const records = [
+    `H|\\^&|||${sender}|||||||P|1|${ts}`,
+    `P|1`,
+    `O|1|${sampleId}||${results.map((result) => `^^^${result.code}`).join('\\')}|R||||||N||||||||||||||F`
+  ];
+  results.forEach((result, index) => {
+    records.push(`R|${index + 1}|^^^${result.code}|${result.value}|${result.units || ''}||${result.flags || ''}||F||||${ts}`);
+  });
+  records.push('L|1|N');
+  return `${records.join(CR)}${CR}`;
+}
+
+// --- HL7 v2 ORU^R01 -----------------------------------------------------------
+
+function hl7Segments(raw) {
+  const text = String(raw || '').replace(new RegExp(`^${MLLP_START}|\\x1c\\r?$`, 'g'), '');
+  return text.split(/\r\n|\r|\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+function parseHl7(raw) {
+  const segments = hl7Segments(raw);
+  const msh = segments[0];
+  if (!msh || !msh.startsWith('MSH')) throw protocolError('HL7 message must start with an MSH segment');
+
+  const fieldSep = msh[3];
+  const componentSep = msh[4] || '^';
+  const split = (segment) => segment.split(fieldSep);
+  const components = (value) => String(value || '').split(componentSep);
+  const firstComponent = (value) => components(value)[0].trim();
+
+  // MSH-1 is the separator itself, so MSH-n sits at index n - 1.
+  const mshFields = split(msh);
+  const messageType = components(mshFields[8]).slice(0, 2).join('^');
+  if (!/^ORU\^R01$/i.test(messageType)) throw protocolError(`Unsupported HL7 message type ${messageType || '(blank)'}`);
+
+  const message = {
+    protocol: 'hl7',
+    messageType,
+    controlId: mshFields[9] || undefined,
+    sender: firstComponent(mshFields[2]) || undefined,
+    sendingFacility: firstComponent(mshFields[3]) || undefined,
+    version: mshFields[11] || undefined,
+    specimens: []
+  };
+
+  let specimen = null;
+  for (const segment of segments.slice(1)) {
+    const fields = split(segment);
+    if (fields[0] === 'OBR') {
+      // Analyzers report the barcode as filler (OBR-3) or placer (OBR-2) order number.
+      specimen = { sampleId: firstComponent(fields[3]) || firstComponent(fields[2]), results: [] };
+      message.specimens.push(specimen);
+    } else if (fields[0] === 'SPM' && specimen) {
+      const specimenId = firstComponent(fields[2]);
+      if (specimenId) specimen.sampleId = specimenId;
+    } else if (fields[0] === 'OBX') {
+      if (!specimen) throw protocolError('HL7 OBX segment appears before any OBR segment');
+      const identifier = components(fields[3]);
+      specimen.results.push({
+        instrumentCode: (identifier[0] || '').trim(),
+        instrumentName: (identifier[1] || '').trim() || undefined,
+        value: firstComponent(fields[5]),
+        units: firstComponent(fields[6]) || undefined,
+        referenceRange: fields[7] || undefined,
+        flags: normalizeFlags(components(fields[8])[0]),
+        resultStatus: (fields[11] || '').trim() || undefined,
+        observedAt: parseTimestamp(fields[14])
+      });
+    }
+  }
+
+  if (!message.specimens.length) throw protocolError('HL7 ORU message contains no OBR segments');
+  return message;
+}
+
+function buildHl7Oru({ sampleId, results = [], sender = 'SIMULATOR', controlId, observedAt = new Date() }) {
+  const ts = formatTimestamp(observedAt);
+  const id = controlId || `SIM${Date.now()}`;
+  const segments = [
+    `MSH|^~\\&|${sender}|LAB|HIMS|HOSPITAL|${ts}||ORU^R01|${id}|P|2.5`,
+    'PID|1',
+    `OBR|1||${sampleId}|PANEL^Analyzer panel|||${ts}`
+  ];
+  results.forEach((result, index) => {
+    segments.push(`OBX|${index + 1}|NM|${result.code}^${result.name || result.code}||${result.value}|${result.units || ''}||${result.flags || ''}|||F|||${ts}`);
+  });
+  return `${segments.join(CR)}${CR}`;
+}
+
+function buildHl7Ack(message, { code = 'AA', text = '' } = {}) {
+  const ts = formatTimestamp();
+  return [
+    `MSH|^~\\&|HIMS|HOSPITAL|${message?.sender || ''}|${message?.sendingFacility || ''}|${ts}||ACK^R01|ACK${Date.now()}|P|${message?.version || '2.5'}`,
+    `MSA|${code}|${message?.controlId || ''}${text ? `|${text}` : ''}`
+  ].join(CR) + CR;
+}
+
+function mllpWrap(text) {
+  return `${MLLP_START}${text}${MLLP_END}`;
+}
+
+function detectProtocol(raw) {
+  const text = String(raw || '').replace(/^[\x02\x0b]\d?/, '').trimStart();
+  if (text.startsWith('MSH')) return 'hl7';
+  if (/^H./.test(text)) return 'astm';
+  return null;
+}
+
+function parseAnalyzerMessage(raw, protocol) {
+  const resolved = protocol || detectProtocol(raw);
+  if (resolved === 'hl7') return parseHl7(raw);
+  if (resolved === 'astm') return parseAstm(raw);
+  throw protocolError('Unable to detect analyzer message protocol');
+}
+
+module.exports = {
+  CONTROL: Object.freeze({ ENQ, ACK, NAK, EOT, STX, ETX, ETB, CR, LF, MLLP_START, MLLP_END }),
+  astmChecksum,
+  frameAstm,
+  unframeAstm,
+  parseAstm,
+  buildAstmMessage,
+  parseHl7,
+  buildHl7Oru,
+  buildHl7Ack,
+  mllpWrap,
+  detectProtocol,
+  parseAnalyzerMessage,
+  parseTimestamp
+};
@@ -0,0 +1,722 @@
+const mongoose = require('mongoose');
+const AntimicrobialApproval = require('../models/AntimicrobialApproval');
+const IPDMedicationChart = require('../models/IPDMedicationChart');
+const LabRequest = require('../models/LabRequest');
+const Medicine = require('../models/Medicine');
+const SafetyPolicy = require('../models/SafetyPolicy');
+const Ward = require('../models/Ward');
+const Doctor = require('../models/Doctor');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { queueNotification } = require('./nabhNotification.service');
+const { reportPeriod, loadStays, locationSegments, wardAt, surveillanceCensus } = require('./haiSurveillance.service');
+const { ref } = require('../utils/functionalDomain');
+const { hospitalDateKey } = require('../utils/hospitalDateTime');
+
+// Antimicrobial stewardship. Restricted and reserve agents (flagged on the
+// Medicine master, or named in the active antimicrobial policy) need an
+// ID-physician approval before a prescription or IPD medication order is
+// accepted. Every IPD antimicrobial order gets a 48-72h time-out review with
+// the patient's culture sensitivities alongside, and administered doses roll
+// up into DOT and DDD per 1000 patient-days by ward and prescriber.
+
+const DEFAULT_TIME_OUT_HOURS = 48;
+const DEFAULT_ESCALATION_HOURS = 72;
+const DEFAULT_APPROVAL_DAYS = 7;
+const OPEN_CHART_STATUSES = ['Active', 'Requested', 'Dispensed', 'Pending'];
+const TIME_OUT_DECISIONS = ['continue', 'de_escalate', 'iv_to_oral', 'change', 'stop'];
+const CULTURE_TEST = /culture|c\s*\/\s*s\b/i;
+
+const ROUTE_GROUPS = {
+  Oral: 'oral',
+  Intravenous: 'parenteral',
+  Intramuscular: 'parenteral',
+  Subcutaneous: 'parenteral',
+  Inhalation: 'inhalation'
+};
+
+// Dose units to the grams / million units WHO DDDs are expressed in.
+const DOSE_UNITS = [
+  [/^(mcg|µg)$/i, 'g', 1e-6],
+  [/^mg$/i, 'g', 1e-3],
+  [/^(g|gm)$/i, 'g', 1],
+  [/^(miu|mu|million\s*units?)$/i, 'MU', 1],
+  [/^(iu|units?)$/i, 'MU', 1e-6]
+];
+const DOSE_PATTERN = /(\d+(?:\.\d+)?)\s*(mcg|µg|mg|gm|g|miu|mu|million\s*units?|iu|units?)(?![a-z])/i;
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizeAgent(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function sameAgent(a, b) {
+  const left = normalizeAgent(a);
+  const right = normalizeAgent(b);
+  if (left.length < 4 || right.length < 4) return left === right && left.length > 0;
+  return left === right || left.startsWith(right) || right.startsWith(left);
+}
+
+function agentOf(row = {}) {
+  return String(row.genericName || row.generic_name || row.medicineName || row.name || '').trim().toLowerCase();
+}
+
+/**
+ * Stewardship tier of a medicine: the Medicine master flag wins; the active
+ * antimicrobial policy's restrictedAntibiotics names still count as restricted.
+ */
+function restrictionOf(medicine, policy) {
+  const category = medicine?.medicationSafety?.stewardshipCategory;
+  if (category === 'restricted' || category === 'reserve') return category;
+  const names = [medicine?.name, medicine?.generic_name].filter(Boolean).map((name) => String(name).toLowerCase());
+  const listed = (policy?.content?.restrictedAntibiotics || []).some((name) => names.includes(String(name).toLowerCase()));
+  return listed ? 'restricted' : null;
+}
+
+/**
+ * Amount of one administered dose in grams or million units, read from the
+ * dosage text ("1 g", "500mg", "2 MU") or else strength x dose quantity.
+ */
+function parseDoseAmount(dosage, { strength, doseQty = 1 } = {}) {
+  const read = (text, multiplier) => {
+    const match = DOSE_PATTERN.exec(String(text || ''));
+    if (!match) return null;
+    const unit = DOSE_UNITS.find(([pattern]) => pattern.test(match[2].trim()));
+    return unit ? { value: Number(match[1]) * unit[2] * multiplier, unit: unit[1] } : null;
+  };
+  return read(dosage, 1) || read(strength, Number(doseQty) || 1);
+}
+
+function dddFor(medicine, route) {
+  const doses = medicine?.medicationSafety?.definedDailyDoses || [];
+  const group = ROUTE_GROUPS[route] || 'other';
+  return doses.find((row) => row.route === group) || null;
+}
+
+function interpretation(text) {
+  const value = String(text || '').trim();
+  if (/^(s|sensitive|susceptible)\b/i.test(value)) return 'S';
+  if (/^(i|intermediate)\b/i.test(value)) return 'I';
+  if (/^(r|resistant)\b/i.test(value)) return 'R';
+  return null;
+}
+
+/**
+ * Susceptibility of the patient's cultures to one agent, read from the
+ * antibiogram rows (observation name = antibiotic, result = S/I/R) of the
+ * manual lab report.
+ */
+function cultureSusceptibility(labRequests = [], agent) {
+  const rows = [];
+  for (const lab of labRequests) {
+    const observations = lab.manual_report?.observations || [];
+    const organism = observations.find((row) => /organism|isolate/i.test(row.name))?.resultText;
+    for (const row of observations) {
+      const result = interpretation(row.resultText || row.printedFlag);
+      if (!result || !sameAgent(row.name, agent)) continue;
+      rows.push({
+        labRequestId: lab._id,
+        testName: lab.testName,
+        organism,
+        interpretation: result,
+        collectedAt: lab.specimen?.collectedAt || lab.requestedDate
+      });
+    }
+  }
+  return rows;
+}
+
+/** Every reported isolate is resistant to the agent being given. */
+function bugDrugMismatch(susceptibility = []) {
+  return susceptibility.length > 0 && susceptibility.every((row) => row.interpretation === 'R');
+}
+
+function timeOutHours(policy) {
+  const hours = Number(policy?.content?.timeOutHours || DEFAULT_TIME_OUT_HOURS);
+  return Math.min(Math.max(hours, 48), 72);
+}
+
+function escalationHours(policy) {
+  return Math.max(Number(policy?.content?.timeOutEscalationHours || DEFAULT_ESCALATION_HOURS), timeOutHours(policy));
+}
+
+function timeOutState(chart, policy, now = new Date()) {
+  if (chart.antimicrobialTimeOut?.reviewedAt) return 'reviewed';
+  const hours = (now.getTime() - new Date(chart.startDate).getTime()) / 3600000;
+  if (hours >= escalationHours(policy)) return 'overdue';
+  if (hours >= timeOutHours(policy)) return 'due';
+  return 'not_due';
+}
+
+function per1000(count, patientDays) {
+  return patientDays ? round2((count / patientDays) * 1000) : null;
+}
+
+/**
+ * Days of therapy and defined daily doses. One DOT is one agent given to one
+ * patient on one calendar day, however many doses; DDDs sum administered
+ * amounts over the WHO DDD for the route. Grouped by ward, prescriber and
+ * agent with per-1000-patient-day rates.
+ *
+ * @param {Array<{ admissionId, agent, administeredAt, wardId, prescriberId, amount, ddd }>} administrations
+ * @param {{ total: number, byWard: object, byPrescriber: object }} patientDays
+ */
+function stewardshipMetrics({ administrations = [], patientDays = {} } = {}) {
+  const groups = { total: new Map(), byWard: new Map(), byPrescriber: new Map(), byAgent: new Map() };
+  const add = (map, key, row, dayKey) => {
+    if (!map.has(key)) map.set(key, { therapyDays: new Set(), ddd: 0 });
+    const bucket = map.get(key);
+    bucket.therapyDays.add(`${row.admissionId}|${row.agent}|${dayKey}`);
+    if (row.amount && row.ddd?.value && row.amount.unit === (row.ddd.unit || 'g')) bucket.ddd += row.amount.value / row.ddd.value;
+  };
+  for (const row of administrations) {
+    const dayKey = hospitalDateKey(row.administeredAt);
+    add(groups.total, 'total', row, dayKey);
+    if (row.wardId) add(groups.byWard, String(row.wardId), row, dayKey);
+    if (row.prescriberId) add(groups.byPrescriber, String(row.prescriberId), row, dayKey);
+    add(groups.byAgent, row.agent, row, dayKey);
+  }
+  const shape = (map, keyName, denominators) => [...map.entries()].map(([key, bucket]) => {
+    const days = denominators ? denominators[key] || 0 : patientDays.total || 0;
+    return {
+      [keyName]: key,
+      dot: bucket.therapyDays.size,
+      ddd: round2(bucket.ddd),
+      patientDays: days,
+      dotPer1000: per1000(bucket.therapyDays.size, days),
+      dddPer1000: per1000(bucket.ddd, days)
+    };
+  }).sort((a, b) => b.dot - a.dot || String(a[keyName]).localeCompare(String(b[keyName])));
+  const total = groups.total.get('total');
+  return {
+    total: {
+      dot: total ? total.therapyDays.size : 0,
+      ddd: total ? round2(total.ddd) : 0,
+      patientDays: patientDays.total || 0,
+      dotPer1000: per1000(total ? total.therapyDays.size : 0, patientDays.total),
+      dddPer1000: per1000(total ? total.ddd : 0, patientDays.total)
+    },
+    byWard: shape(groups.byWard, 'wardId', patientDays.byWard || {}),
+    byPrescriber: shape(groups.byPrescriber, 'prescriberId', patientDays.byPrescriber || {}),
+    byAgent: shape(groups.byAgent, 'agent')
+  };
+}
+
+// ============================================
+// Policy and restricted list
+// ============================================
+
+async function activePolicy(hospitalId) {
+  return SafetyPolicy.findOne({
+    hospitalId,
+    policyType: 'antimicrobial_usage',
+    active: true,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $exists: false } }, { effectiveTo: { $gte: new Date() } }]
+  }).sort({ effectiveFrom: -1 }).lean();
+}
+
+async function restrictedMedicines(hospitalId) {
+  return Medicine.find({
+    hospitalId,
+    $or: [
+      { 'medicationSafety.antimicrobial': true },
+      { 'medicationSafety.stewardshipCategory': { $in: ['restricted', 'reserve'] } }
+    ]
+  }).select('name generic_name strength medicationSafety.antimicrobialClass medicationSafety.stewardshipCategory medicationSafety.awareCategory medicationSafety.atcCode medicationSafety.definedDailyDoses')
+    .sort({ name: 1 })
+    .lean();
+}
+
+async function updateStewardship(req, hospitalId, medicineId, body = {}) {
+  if (!mongoose.isValidObjectId(medicineId)) throw httpError('Medicine not found', 404);
+  const medicine = await Medicine.findOne({ _id: medicineId, hospitalId });
+  if (!medicine) throw httpError('Medicine not found', 404);
+  const safety = medicine.medicationSafety;
+  const before = { stewardshipCategory: safety.stewardshipCategory, awareCategory: safety.awareCategory };
+  for (const key of ['stewardshipCategory', 'awareCategory', 'atcCode', 'antimicrobialClass', 'definedDailyDoses']) {
+    if (body[key] !== undefined) safety[key] = body[key];
+  }
+  // Anything on the stewardship list is by definition an antimicrobial.
+  safety.antimicrobial = true;
+  medicine.updated_at = new Date();
+  await medicine.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'stewardship.medicine.updated',
+    entityType: 'Medicine',
+    entityId: medicine._id,
+    hospitalId,
+    beforeSummary: before,
+    afterSummary: { stewardshipCategory: safety.stewardshipCategory, awareCategory: safety.awareCategory }
+  });
+  return medicine;
+}
+
+// ============================================
+// Approvals
+// ============================================
+
+async function admissionCultures(hospitalId, { admissionId, patientId }) {
+  const filter = { hospitalId, testName: CULTURE_TEST, status: { $ne: 'Cancelled' } };
+  if (admissionId) filter.admissionId = admissionId;
+  else filter.patientId = patientId;
+  return LabRequest.find(filter).select('testName specimen requestedDate manual_report').sort({ requestedDate: -1 }).limit(20).lean();
+}
+
+async function notifyApprovers(hospitalId, policy, approval, createdBy) {
+  const approvers = policy?.content?.approverUserIds || [];
+  const message = {
+    hospitalId,
+    eventType: 'antimicrobial_approval_requested',
+    correlationId: approval.approvalNumber,
+    requestedChannels: ['portal'],
+    priority: approval.stewardshipCategory === 'reserve' ? 'critical' : 'high',
+    subject: `Antimicrobial approval ${approval.approvalNumber}: ${approval.medicineName}`,
+    body: `${approval.stewardshipCategory} antimicrobial ${approval.medicineName} requested (${approval.therapyType}). Justification: ${approval.justification}`.slice(0, 1000),
+    patientId: approval.patientId,
+    payload: { approvalId: approval._id, admissionId: approval.admissionId },
+    createdBy
+  };
+  if (!approvers.length) {
+    return [await queueNotification({ ...message, recipientType: 'staff', recipientName: 'antimicrobial_stewardship' })];
+  }
+  return Promise.all(approvers.map((userId) => queueNotification({ ...message, recipientType: 'doctor', recipientId: userId })));
+}
+
+async function createApproval(req, hospitalId, { patientId, admissionId, medicine, restriction, body, source, policy }) {
+  const justification = String(body.justification || '').trim();
+  if (!justification) {
+    throw httpError(`Antimicrobial justification is required for ${medicine.name}`, 422, 'ANTIMICROBIAL_JUSTIFICATION_REQUIRED');
+  }
+  const agent = agentOf(medicine);
+  const cultures = cultureSusceptibility(await admissionCultures(hospitalId, { admissionId, patientId }), agent);
+  const approval = await AntimicrobialApproval.create({
+    hospitalId,
+    approvalNumber: ref('AMA'),
+    patientId,
+    admissionId: admissionId || undefined,
+    medicineId: medicine._id,
+    medicineName: medicine.name,
+    genericName: medicine.generic_name,
+    stewardshipCategory: restriction,
+    therapyType: body.therapyType || (cultures.length ? 'targeted' : 'empirical'),
+    indication: body.indication,
+    justification,
+    source,
+    prescriberId: body.prescriberId,
+    requestedBy: req.user?._id,
+    cultures,
+    createdBy: req.user?._id,
+    updatedBy: req.user?._id
+  });
+  await notifyApprovers(hospitalId, policy, approval, req.user?._id);
+  await appendDomainEvent({
+    req,
+    eventType: 'stewardship.approval.requested',
+    entityType: 'AntimicrobialApproval',
+    entityId: approval._id,
+    hospitalId,
+    patientId,
+    encounterId: admissionId,
+    afterSummary: { approvalNumber: approval.approvalNumber, medicineName: approval.medicineName, stewardshipCategory: restriction }
+  });
+  return approval;
+}
+
+function approvalIsValid(approval, now = new Date()) {
+  return approval.status === 'approved' && (!approval.validUntil || approval.validUntil >= now);
+}
+
+/**
+ * Gate for ordering a restricted or reserve antimicrobial. Returns the
+ * approval that covers the order (null for unrestricted drugs). Without an
+ * approval reference a pending request is raised to the ID physicians and the
+ * order is refused with ANTIMICROBIAL_APPROVAL_REQUIRED, carrying the request
+ * so the prescriber can resubmit once it is approved.
+ */
+async function assertRestrictedApproval(req, { hospitalId, patientId, admissionId, medicine, policy, approvalReference, justification, indication, therapyType, prescriberId, source }) {
+  const restriction = restrictionOf(medicine, policy);
+  if (!restriction) return null;
+  const reference = String(approvalReference || '').trim();
+
+  if (reference) {
+    const approval = await AntimicrobialApproval.findOne({
+      hospitalId,
+      patientId,
+      medicineId: medicine._id,
+      $or: [{ approvalNumber: reference }, ...(mongoose.isValidObjectId(reference) ? [{ _id: reference }] : [])]
+    });
+    if (approval && approvalIsValid(approval)) return approval;
+    const details = approval ? { approvalId: approval._id, approvalNumber: approval.approvalNumber, status: approval.status } : undefined;
+    if (approval?.status === 'pending') {
+      throw httpError(`Approval ${approval.approvalNumber} for ${medicine.name} is awaiting the ID physician`, 422, 'ANTIMICROBIAL_APPROVAL_PENDING', details);
+    }
+    throw httpError(`No valid approval ${reference} for ${medicine.name} for this patient`, 422, 'ANTIMICROBIAL_APPROVAL_REQUIRED', details);
+  }
+
+  let approval = await AntimicrobialApproval.findOne({ hospitalId, patientId, medicineId: medicine._id, status: 'pending' });
+  if (!approval) {
+    approval = await createApproval(req, hospitalId, {
+      patientId,
+      admissionId,
+      medicine,
+      restriction,
+      policy,
+      source,
+      body: { justification, indication, therapyType, prescriberId }
+    });
+  }
+  throw httpError(`Restricted antimicrobial approval is required for ${medicine.name}`, 422, 'ANTIMICROBIAL_APPROVAL_REQUIRED', {
+    approvalId: approval._id,
+    approvalNumber: approval.approvalNumber,
+    status: approval.status
+  });
+}
+
+async function requestApproval(req, hospitalId, body = {}) {
+  if (!mongoose.isValidObjectId(body.medicineId) || !mongoose.isValidObjectId(body.patientId)) {
+    throw httpError('patientId and medicineId are required');
+  }
+  const [medicine, policy] = await Promise.all([
+    Medicine.findOne({ _id: body.medicineId, hospitalId }).select('name generic_name medicationSafety').lean(),
+    activePolicy(hospitalId)
+  ]);
+  if (!medicine) throw httpError('Medicine not found', 404);
+  const restriction = restrictionOf(medicine, policy);
+  if (!restriction) throw httpError(`${medicine.name} does not need stewardship approval`, 409, 'ANTIMICROBIAL_NOT_RESTRICTED');
+  return createApproval(req, hospitalId, {
+    patientId: body.patientId,
+    admissionId: body.admissionId,
+    medicine,
+    restriction,
+    policy,
+    source: 'manual',
+    body
+  });
+}
+
+async function listApprovals(hospitalId, query = {}) {
+  const filter = { hospitalId };
+  for (const key of ['status', 'patientId', 'admissionId', 'medicineId']) {
+    if (query[key]) filter[key] = query[key];
+  }
+  const rows = await AntimicrobialApproval.find(filter).sort({ createdAt: -1 }).limit(250).lean();
+  const now = new Date();
+  return rows.map((row) => (row.status === 'approved' && !approvalIsValid(row, now) ? { ...row, status: 'expired' } : row));
+}
+
+async function decideApproval(req, hospitalId, approvalId, body = {}) {
+  if (!['approve', 'reject'].includes(body.decision)) throw httpError('decision must be approve or reject');
+  if (!mongoose.isValidObjectId(approvalId)) throw httpError('Approval not found', 404);
+  const approval = await AntimicrobialApproval.findOne({ _id: approvalId, hospitalId });
+  if (!approval) throw httpError('Approval not found', 404);
+  if (approval.status !== 'pending') throw httpError(`Approval is already ${approval.status}`, 409, 'ANTIMICROBIAL_APPROVAL_DECIDED');
+
+  const policy = await activePolicy(hospitalId);
+  const approvers = (policy?.content?.approverUserIds || []).map(String);
+  const userId = String(req.user._id);
+  // Without a named ID-physician panel any doctor may approve, but never
+  // their own request.
+  const allowed = approvers.length
+    ? approvers.includes(userId)
+    : ['doctor', 'admin'].includes(req.user.role) && userId !== String(approval.requestedBy);
+  if (!allowed) throw httpError('Only the antimicrobial stewardship approvers can decide this request', 403, 'ANTIMICROBIAL_APPROVER_REQUIRED');
+  if (body.decision === 'reject' && !String(body.notes || '').trim()) throw httpError('notes are required to reject');
+
+  const now = new Date();
+  approval.status = body.decision === 'approve' ? 'approved' : 'rejected';
+  approval.decidedBy = req.user._id;
+  approval.decidedAt = now;
+  approval.decisionNotes = body.notes;
+  if (approval.status === 'approved') {
+    approval.approvedDays = Number(body.approvedDays || policy?.content?.approvalValidityDays || DEFAULT_APPROVAL_DAYS);
+    approval.validUntil = new Date(now.getTime() + approval.approvedDays * 86400000);
+  }
+  approval.updatedBy = req.user._id;
+  await approval.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: `stewardship.approval.${approval.status}`,
+    entityType: 'AntimicrobialApproval',
+    entityId: approval._id,
+    hospitalId,
+    patientId: approval.patientId,
+    encounterId: approval.admissionId,
+    afterSummary: { approvalNumber: approval.approvalNumber, status: approval.status, validUntil: approval.validUntil },
+    comments: body.notes
+  });
+  return approval;
+}
+
+// ============================================
+// Time-out review
+// ============================================
+
+function antimicrobialChartFilter(medicines) {
+  const names = [...new Set(medicines.flatMap((row) => [row.generic_name, row.name]).filter(Boolean))]
+    .map((name) => new RegExp(`^${String(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+  return {
+    $or: [
+      { medicineId: { $in: medicines.map((row) => row._id) } },
+      ...(names.length ? [{ genericName: { $in: names } }, { medicineName: { $in: names } }] : [])
+    ]
+  };
+}
+
+async function antimicrobialMedicines(hospitalId) {
+  return Medicine.find({ hospitalId, 'medicationSafety.antimicrobial': true })
+    .select('name generic_name strength medicationSafety.stewardshipCategory medicationSafety.definedDailyDoses')
+    .lean();
+}
+
+/** Open IPD antimicrobial orders with their time-out state and culture results. */
+async function timeOutQueue(hospitalId, query = {}) {
+  const [medicines, policy] = await Promise.all([antimicrobialMedicines(hospitalId), activePolicy(hospitalId)]);
+  if (!medicines.length) return [];
+  const filter = { hospitalId, status: { $in: OPEN_CHART_STATUSES }, ...antimicrobialChartFilter(medicines) };
+  if (query.admissionId) filter.admissionId = query.admissionId;
+  const charts = await IPDMedicationChart.find(filter)
+    .select('admissionId patientId prescribedBy medicineId medicineName genericName route dosage frequency startDate status antimicrobialApprovalId antimicrobialTimeOut')
+    .sort({ startDate: 1 })
+    .limit(500)
+    .lean();
+  const now = new Date();
+  const wanted = query.state ? String(query.state).split(',') : ['due', 'overdue'];
+  const rows = charts
+    .map((chart) => ({ ...chart, timeOutState: timeOutState(chart, policy, now) }))
+    .filter((chart) => wanted.includes(chart.timeOutState));
+
+  const labs = rows.length
+    ? await LabRequest.find({ hospitalId, admissionId: { $in: [...new Set(rows.map((row) => String(row.admissionId)))] }, testName: CULTURE_TEST, status: { $ne: 'Cancelled' } })
+      .select('admissionId testName specimen requestedDate manual_report')
+      .lean()
+    : [];
+  return rows.map((chart) => {
+    const susceptibility = cultureSusceptibility(labs.filter((lab) => String(lab.admissionId) === String(chart.admissionId)), agentOf(chart));
+    return {
+      ...chart,
+      timeOutDueAt: new Date(new Date(chart.startDate).getTime() + timeOutHours(policy) * 3600000),
+      hoursOnTherapy: Math.floor((now.getTime() - new Date(chart.startDate).getTime()) / 3600000),
+      susceptibility,
+      bugDrugMismatch: bugDrugMismatch(susceptibility)
+    };
+  });
+}
+
+async function reviewTimeOut(req, hospitalId, chartId, body = {}) {
+  if (!TIME_OUT_DECISIONS.includes(body.decision)) throw httpError(`decision must be one of ${TIME_OUT_DECISIONS.join(', ')}`);
+  if (body.decision !== 'continue' && !String(body.notes || '').trim()) throw httpError('notes are required unless therapy continues unchanged');
+  if (!mongoose.isValidObjectId(chartId)) throw httpError('Medication order not found', 404);
+  const chart = await IPDMedicationChart.findOne({ _id: chartId, hospitalId });
+  if (!chart) throw httpError('Medication order not found', 404);
+  const medicines = await antimicrobialMedicines(hospitalId);
+  const isAntimicrobial = medicines.some((row) => (chart.medicineId && String(row._id) === String(chart.medicineId))
+    || sameAgent(row.generic_name || row.name, agentOf(chart)));
+  if (!isAntimicrobial) throw httpError('Time-out review applies to antimicrobial orders only', 409, 'NOT_ANTIMICROBIAL');
+  if (chart.antimicrobialTimeOut?.reviewedAt) throw httpError('Time-out review is already recorded', 409, 'TIME_OUT_ALREADY_REVIEWED');
+
+  const now = new Date();
+  chart.antimicrobialTimeOut = {
+    ...(chart.antimicrobialTimeOut?.toObject ? chart.antimicrobialTimeOut.toObject() : chart.antimicrobialTimeOut),
+    reviewedAt: now,
+    reviewedBy: req.user._id,
+    decision: body.decision,
+    notes: body.notes
+  };
+  const reason = `Antimicrobial time-out: ${body.decision.replace(/_/g, ' ')}${body.notes ? ` - ${body.notes}` : ''}`;
+  if (body.decision === 'stop') {
+    chart.status = 'Stopped';
+    chart.stoppedReason = reason;
+    chart.stoppedAt = now;
+  }
+  chart.changeHistory.push({ action: body.decision === 'stop' ? 'Stopped' : 'Continued', changedAt: now, changedBy: req.user._id, reason });
+  chart.lastChangedAt = now;
+  chart.lastChangedBy = req.user._id;
+  await chart.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'stewardship.time_out.reviewed',
+    entityType: 'IPDMedicationChart',
+    entityId: chart._id,
+    hospitalId,
+    patientId: chart.patientId,
+    encounterId: chart.admissionId,
+    afterSummary: { medicineName: chart.medicineName, decision: body.decision, status: chart.status },
+    comments: body.notes
+  });
+  return chart;
+}
+
+/**
+ * Job entry point: reminds the prescriber once an antimicrobial order passes
+ * its time-out hour and escalates to the stewardship approvers once it passes
+ * the escalation hour unreviewed.
+ */
+async function sendTimeOutReminders({ now = new Date() } = {}) {
+  const medicines = await Medicine.find({ 'medicationSafety.antimicrobial': true }).select('hospitalId name generic_name').lean();
+  const byHospital = medicines.reduce((map, row) => {
+    const key = String(row.hospitalId);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row);
+    return map;
+  }, new Map());
+
+  let sent = 0;
+  for (const [hospitalId, rows] of byHospital) {
+    const policy = await activePolicy(hospitalId); // eslint-disable-line no-await-in-loop
+    const dueBefore = new Date(now.getTime() - timeOutHours(policy) * 3600000);
+    const escalateBefore = new Date(now.getTime() - escalationHours(policy) * 3600000);
+    const charts = await IPDMedicationChart.find({ // eslint-disable-line no-await-in-loop
+      hospitalId,
+      status: { $in: OPEN_CHART_STATUSES },
+      startDate: { $lte: dueBefore },
+      'antimicrobialTimeOut.reviewedAt': null,
+      'antimicrobialTimeOut.escalatedAt': null,
+      $and: [
+        antimicrobialChartFilter(rows),
+        { $or: [{ 'antimicrobialTimeOut.reminderSentAt': null }, { startDate: { $lte: escalateBefore } }] }
+      ]
+    }).limit(200);
+
+    for (const chart of charts) {
+      const escalate = Boolean(chart.startDate <= escalateBefore && chart.antimicrobialTimeOut?.reminderSentAt);
+      const base = {
+        hospitalId,
+        eventType: escalate ? 'antimicrobial_time_out_overdue' : 'antimicrobial_time_out_due',
+        correlationId: String(chart._id),
+        requestedChannels: ['portal'],
+        priority: escalate ? 'critical' : 'high',
+        subject: `Antimicrobial time-out ${escalate ? 'overdue' : 'due'}: ${chart.medicineName}`,
+        body: `${chart.medicineName} ${chart.dosage} ${chart.frequency} started ${chart.startDate.toISOString()}. Review the need, culture results and route (continue, de-escalate, IV to oral or stop).`,
+        patientId: chart.patientId,
+        payload: { chartId: chart._id, admissionId: chart.admissionId }
+      };
+      const approvers = policy?.content?.approverUserIds || [];
+      if (escalate) {
+        if (approvers.length) {
+          await Promise.all(approvers.map((userId) => queueNotification({ ...base, recipientType: 'doctor', recipientId: userId }))); // eslint-disable-line no-await-in-loop
+        } else {
+          await queueNotification({ ...base, recipientType: 'staff', recipientName: 'antimicrobial_stewardship' }); // eslint-disable-line no-await-in-loop
+        }
+      } else {
+        await queueNotification({ ...base, recipientType: 'doctor', recipientId: chart.prescribedBy }); // eslint-disable-line no-await-in-loop
+      }
+      chart.antimicrobialTimeOut = {
+        ...(chart.antimicrobialTimeOut?.toObject ? chart.antimicrobialTimeOut.toObject() : {}),
+        dueAt: new Date(chart.startDate.getTime() + timeOutHours(policy) * 3600000),
+        reminderSentAt: chart.antimicrobialTimeOut?.reminderSentAt || now,
+        ...(escalate ? { escalatedAt: now } : {})
+      };
+      await chart.save(); // eslint-disable-line no-await-in-loop
+      sent += 1;
+    }
+  }
+  return sent;
+}
+
+// ============================================
+// DOT / DDD
+// ============================================
+
+async function metricsReport(hospitalId, query = {}) {
+  const period = reportPeriod(query);
+  const [{ start, end, stays }, medicines] = await Promise.all([
+    loadStays(hospitalId, period),
+    antimicrobialMedicines(hospitalId)
+  ]);
+
+  const wardDays = {};
+  let totalDays = 0;
+  for (const row of surveillanceCensus(stays, period)) {
+    wardDays[row.wardId] = (wardDays[row.wardId] || 0) + row.patientDays;
+    totalDays += row.patientDays;
+  }
+  // Prescriber denominators are the patient-days of admissions under that
+  // consultant, so a specialist's rate is not diluted by the whole hospital.
+  const prescriberDays = {};
+  for (const stay of stays) {
+    if (!stay.admission.primaryDoctorId) continue;
+    const key = String(stay.admission.primaryDoctorId);
+    const days = surveillanceCensus([stay], period).reduce((sum, row) => sum + row.patientDays, 0);
+    prescriberDays[key] = (prescriberDays[key] || 0) + days;
+  }
+
+  const administrations = [];
+  if (medicines.length && stays.length) {
+    const charts = await IPDMedicationChart.find({
+      hospitalId,
+      admissionId: { $in: stays.map((stay) => stay.admission._id) },
+      'timing.administeredAt': { $gte: start, $lt: end },
+      ...antimicrobialChartFilter(medicines)
+    }).select('admissionId prescribedBy medicineId medicineName genericName route dosage doseQtyBaseUnits timing.status timing.administeredAt').lean();
+    const locations = new Map(stays.map((stay) => [String(stay.admission._id), locationSegments(stay.admission, stay.segments)]));
+    const medicineById = new Map(medicines.map((row) => [String(row._id), row]));
+    for (const chart of charts) {
+      const medicine = (chart.medicineId && medicineById.get(String(chart.medicineId)))
+        || medicines.find((row) => sameAgent(row.generic_name || row.name, agentOf(chart)));
+      const agent = agentOf(medicine || chart);
+      const amount = parseDoseAmount(chart.dosage, { strength: medicine?.strength, doseQty: chart.doseQtyBaseUnits });
+      const ddd = dddFor(medicine, chart.route);
+      for (const dose of chart.timing || []) {
+        if (dose.status !== 'Administered' || !dose.administeredAt) continue;
+        if (dose.administeredAt < start || dose.administeredAt >= end) continue;
+        administrations.push({
+          admissionId: String(chart.admissionId),
+          agent,
+          administeredAt: dose.administeredAt,
+          wardId: wardAt(locations.get(String(chart.admissionId)), dose.administeredAt),
+          prescriberId: chart.prescribedBy ? String(chart.prescribedBy) : null,
+          amount,
+          ddd
+        });
+      }
+    }
+  }
+
+  const metrics = stewardshipMetrics({ administrations, patientDays: { total: totalDays, byWard: wardDays, byPrescriber: prescriberDays } });
+  const [wards, doctors] = await Promise.all([
+    Ward.find({ _id: { $in: metrics.byWard.map((row) => row.wardId) }, hospitalId }).select('name').lean(),
+    Doctor.find({ _id: { $in: metrics.byPrescriber.map((row) => row.prescriberId) }, hospitalId }).select('firstName lastName specialization').lean()
+  ]);
+  const wardName = new Map(wards.map((row) => [String(row._id), row.name]));
+  const doctorName = new Map(doctors.map((row) => [String(row._id), [row.firstName, row.lastName].filter(Boolean).join(' ')]));
+  return {
+    period,
+    ...metrics,
+    byWard: metrics.byWard.map((row) => ({ ...row, wardName: wardName.get(row.wardId) })),
+    byPrescriber: metrics.byPrescriber.map((row) => ({ ...row, prescriberName: doctorName.get(row.prescriberId) }))
+  };
+}
+
+module.exports = {
+  restrictionOf,
+  parseDoseAmount,
+  cultureSusceptibility,
+  bugDrugMismatch,
+  timeOutState,
+  stewardshipMetrics,
+  activePolicy,
+  restrictedMedicines,
+  updateStewardship,
+  assertRestrictedApproval,
+  requestApproval,
+  listApprovals,
+  decideApproval,
+  timeOutQueue,
+  reviewTimeOut,
+  sendTimeOutReminders,
+  metricsReport
+};
@@ -0,0 +1,167 @@
+const Appointment = require('../models/Appointment');
+const Calendar = require('../models/Calendar');
+const { queueNotification } = require('./nabhNotification.service');
+const {
+  DEFAULT_HOSPITAL_TIME_ZONE,
+  hospitalDateKey,
+  hospitalDayBounds,
+  calendarDayKey
+} = require('../utils/hospitalDateTime');
+
+// OPD queue, calendar and notification helpers shared by the staff appointment
+// desk and patient self-service booking, so both keep the same token order,
+// slot bookkeeping and patient messages.
+
+async function notifyAppointment(appointmentOrId, eventType, userId, extra = {}, hospitalId = null) {
+  const appointment = typeof appointmentOrId === 'string'
+    ? await Appointment.findOne({
+      _id: appointmentOrId,
+      ...(hospitalId ? { hospital_id: hospitalId } : {})
+    })
+      .populate('patient_id', 'first_name last_name phone email uhid patientId')
+      .populate('doctor_id', 'firstName lastName phone email')
+    : await appointmentOrId.populate([
+      { path: 'patient_id', select: 'first_name last_name phone email uhid patientId' },
+      { path: 'doctor_id', select: 'firstName lastName phone email' }
+    ]);
+  if (!appointment) return null;
+  const patient = appointment.patient_id;
+  const doctor = appointment.doctor_id;
+  const date = appointment.appointment_date_key || hospitalDateKey(appointment.appointment_date, appointment.scheduled_timezone || DEFAULT_HOSPITAL_TIME_ZONE);
+  const mode = appointment.visit_mode || 'physical';
+  const delivery = await queueNotification({
+    hospitalId: appointment.hospital_id,
+    eventType,
+    correlationId: String(appointment._id),
+    recipientType: 'patient',
+    recipientId: patient?._id,
+    recipientName: [patient?.first_name, patient?.last_name].filter(Boolean).join(' '),
+    contact: { email: patient?.email, phone: patient?.phone },
+    requestedChannels: ['portal', ...(patient?.phone ? ['sms'] : [])],
+    subject: extra.subject || `Appointment ${eventType.replaceAll('_', ' ')}`,
+    body: extra.body || `Your ${mode} appointment with Dr. ${[doctor?.firstName, doctor?.lastName].filter(Boolean).join(' ')} is scheduled for ${date}.`,
+    payload: {
+      appointmentId: appointment._id,
+      visitMode: mode,
+      status: appointment.status,
+      meetingUrl: appointment.teleconsultation?.meetingUrl,
+      ...extra.payload
+    },
+    priority: appointment.priority === 'Urgent' ? 'high' : 'normal',
+    createdBy: userId
+  });
+  await Appointment.updateOne(
+    { _id: appointment._id, hospital_id: appointment.hospital_id },
+    { $addToSet: { notificationDeliveryIds: delivery._id } }
+  );
+  return delivery;
+}
+
+async function recalculateQueue({ hospitalId, departmentId, date, timeZone = DEFAULT_HOSPITAL_TIME_ZONE }) {
+  let dateKey;
+  try {
+    dateKey = hospitalDateKey(date, timeZone);
+  } catch (_error) {
+    return [];
+  }
+  const { start, end } = hospitalDayBounds(dateKey, timeZone);
+  const rows = await Appointment.find({
+    hospital_id: hospitalId,
+    department_id: departmentId,
+    status: { $in: ['Scheduled', 'In Progress'] },
+    is_active: { $ne: false },
+    $or: [
+      { appointment_date_key: dateKey },
+      { appointment_date: { $gte: start, $lt: end } }
+    ]
+  });
+  const priorityWeight = { Urgent: 4, High: 3, Normal: 2, Low: 1 };
+  rows.sort((left, right) => {
+    const priorityDifference = (priorityWeight[right.priority] || 0) - (priorityWeight[left.priority] || 0);
+    if (priorityDifference) return priorityDifference;
+    const leftStart = left.start_time ? new Date(left.start_time).getTime() : Number.MAX_SAFE_INTEGER;
+    const rightStart = right.start_time ? new Date(right.start_time).getTime() : Number.MAX_SAFE_INTEGER;
+    if (leftStart !== rightStart) return leftStart - rightStart;
+    const serialDifference = Number(left.serial_number || Number.MAX_SAFE_INTEGER) - Number(right.serial_number || Number.MAX_SAFE_INTEGER);
+    if (serialDifference) return serialDifference;
+    return new Date(left.created_at || left.createdAt || 0) - new Date(right.created_at || right.createdAt || 0);
+  });
+  const writes = [];
+  rows.forEach((row, index) => {
+    const averageDuration = Number(row.duration || 10);
+    row.queuePosition = index + 1;
+    row.estimatedWaitMinutes = rows
+      .slice(0, index)
+      .reduce((sum, previous) => sum + Number(previous.duration || averageDuration), 0);
+    writes.push(row.save());
+  });
+  await Promise.all(writes);
+  return rows;
+}
+
+function hasTimeConflict(appointments, startTime, endTime, breaks = []) {
+  for (const appt of appointments) {
+    if ((startTime >= appt.startTime && startTime < appt.endTime) ||
+      (endTime > appt.startTime && endTime <= appt.endTime) ||
+      (startTime <= appt.startTime && endTime >= appt.endTime)) {
+      return true;
+    }
+  }
+  for (const brk of breaks) {
+    if ((startTime >= brk.startTime && startTime < brk.endTime) ||
+      (endTime > brk.startTime && endTime <= brk.endTime) ||
+      (startTime <= brk.startTime && endTime >= brk.endTime)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function removeAppointmentFromCalendar(appointment) {
+  const calendar = await Calendar.findOne({ hospitalId: appointment.hospital_id });
+  if (!calendar) return;
+
+  const timeZone = calendar.timezone || appointment.scheduled_timezone || DEFAULT_HOSPITAL_TIME_ZONE;
+  const dateStr = appointment.appointment_date_key || hospitalDateKey(appointment.appointment_date, timeZone);
+  const day = calendar.days.find((row) => calendarDayKey(row, timeZone) === dateStr);
+  if (!day) return;
+
+  const doctor = day.doctors.find((row) => String(row.doctorId) === String(appointment.doctor_id));
+  if (!doctor) return;
+
+  // $pull rather than a full save so a booking reserved on the same day in
+  // the meantime is not overwritten.
+  const field = appointment.type === 'time-based' ? 'bookedAppointments' : 'bookedPatients';
+  await Calendar.updateOne(
+    { _id: calendar._id },
+    { $pull: { [`days.$[day].doctors.$[doctor].${field}`]: { appointmentId: appointment._id } } },
+    { arrayFilters: [{ 'day._id': day._id }, { 'doctor._id': doctor._id }] }
+  );
+}
+
+async function updateCalendarAppointmentStatus(appointment, status) {
+  const calendar = await Calendar.findOne({ hospitalId: appointment.hospital_id });
+  if (!calendar) return false;
+  const timeZone = calendar.timezone || appointment.scheduled_timezone || DEFAULT_HOSPITAL_TIME_ZONE;
+  const dateKey = appointment.appointment_date_key || hospitalDateKey(appointment.appointment_date, timeZone);
+  const day = calendar.days.find((row) => calendarDayKey(row, timeZone) === dateKey);
+  const doctorDay = day?.doctors?.find(
+    (row) => String(row.doctorId) === String(appointment.doctor_id)
+  );
+  if (!doctorDay) return false;
+  const normalized = status === 'In Progress' ? 'InProgress' : status;
+  const calendarAppointment = doctorDay.bookedAppointments?.find(
+    (row) => String(row.appointmentId) === String(appointment._id)
+  );
+  if (calendarAppointment) calendarAppointment.status = normalized;
+  await calendar.save();
+  return Boolean(calendarAppointment);
+}
+
+module.exports = {
+  notifyAppointment,
+  recalculateQueue,
+  hasTimeConflict,
+  removeAppointmentFromCalendar,
+  updateCalendarAppointmentStatus
+};
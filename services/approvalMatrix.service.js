@@ -0,0 +1,383 @@
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ApprovalPolicy = require('../models/ApprovalPolicy');
+const ApprovalDelegation = require('../models/ApprovalDelegation');
+const { _hasActionPermission } = require('../middlewares/auth');
+const { requestHospitalId } = require('../utils/hospitalScope');
+const { queueNotification } = require('./nabhNotification.service');
+
+const { REQUEST_TYPES } = ApprovalRequest;
+const HOUR_MS = 60 * 60 * 1000;
+
+function approvalError(message, statusCode, code, extra = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+function normalizeRole(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function money(value) {
+  const number = Number(value || 0);
+  return Number.isFinite(number) && number > 0 ? Math.round(number * 100) / 100 : 0;
+}
+
+// ---------------------------------------------------------------------------
+// Pure matrix evaluation
+// ---------------------------------------------------------------------------
+
+/** Lowest band whose inclusive [minAmount, maxAmount] range contains the amount. */
+function selectBand(policy, amount) {
+  if (!policy || policy.active === false) return null;
+  const value = money(amount);
+  const bands = [...(policy.bands || [])].sort((a, b) => Number(a.minAmount || 0) - Number(b.minAmount || 0));
+  return bands.find((band) => (
+    value >= Number(band.minAmount || 0) &&
+    (band.maxAmount === undefined || band.maxAmount === null || value <= Number(band.maxAmount))
+  )) || null;
+}
+
+function buildSteps(band, now = new Date()) {
+  const parallel = band.mode === 'parallel';
+  return band.approvers.map((approver, index) => {
+    const open = parallel || index === 0;
+    const slaHours = Number(approver.slaHours ?? 24);
+    return {
+      sequence: index + 1,
+      role: normalizeRole(approver.role),
+      label: approver.label,
+      slaHours,
+      escalateToRole: normalizeRole(approver.escalateToRole) || undefined,
+      status: open ? 'Pending' : 'Waiting',
+      dueAt: open && slaHours > 0 ? new Date(now.getTime() + slaHours * HOUR_MS) : undefined
+    };
+  });
+}
+
+/** An escalated step can be acted on by its original role or the escalation role. */
+function eligibleRoles(step) {
+  const roles = [step.role];
+  if (step.escalatedAt && step.escalateToRole) roles.push(step.escalateToRole);
+  return roles;
+}
+
+/**
+ * Picks the open step a user may act on. `actingAs` lists the user's own role
+ * and every role delegated to them, with the delegator for audit.
+ */
+function actionableStep(request, actingAs) {
+  for (const step of request.steps || []) {
+    if (step.status !== 'Pending') continue;
+    const roles = eligibleRoles(step);
+    const match = actingAs.find((entry) => roles.includes(entry.role));
+    if (match) return { step, onBehalfOf: match.onBehalfOf };
+  }
+  return null;
+}
+
+function assertCanAct(request, userId) {
+  if (request.status !== 'Pending') {
+    throw approvalError('Request is already processed.', 409, 'APPROVAL_ALREADY_PROCESSED');
+  }
+  if (String(request.requestedBy?._id || request.requestedBy) === String(userId)) {
+    throw approvalError('Requesters cannot approve their own request.', 403, 'APPROVAL_SELF_APPROVAL');
+  }
+  if ((request.steps || []).some((step) => step.actedBy && String(step.actedBy) === String(userId))) {
+    throw approvalError('You have already acted on this request.', 403, 'APPROVAL_ALREADY_ACTED');
+  }
+}
+
+/**
+ * Records one approver's decision. A rejection closes the request; an
+ * approval opens the next sequential step, or closes the request once every
+ * step has approved.
+ */
+function applyDecision(request, { step, decision, userId, onBehalfOf, comments, now = new Date() }) {
+  step.status = decision === 'reject' ? 'Rejected' : 'Approved';
+  step.actedBy = userId;
+  step.onBehalfOf = onBehalfOf || undefined;
+  step.actedAt = now;
+  step.comments = comments;
+
+  if (step.status === 'Rejected') {
+    for (const other of request.steps) {
+      if (other !== step && ['Waiting', 'Pending'].includes(other.status)) other.status = 'Skipped';
+    }
+    request.status = 'Rejected';
+    request.rejectionReason = comments;
+    request.approvedBy = userId;
+    request.approvedAt = now;
+    return request;
+  }
+
+  const next = request.steps.find((other) => other.status === 'Waiting');
+  if (next && request.mode === 'sequential') {
+    next.status = 'Pending';
+    next.dueAt = Number(next.slaHours) > 0 ? new Date(now.getTime() + Number(next.slaHours) * HOUR_MS) : undefined;
+  }
+
+  if (request.steps.every((other) => other.status === 'Approved')) {
+    request.status = 'Approved';
+    request.approvedBy = userId;
+    request.approvedAt = now;
+  }
+  return request;
+}
+
+/**
+ * Whether a finished request was approved through the current matrix: it must
+ * come from the active policy and every approver role of the band governing
+ * the amount now must appear among its approved steps.
+ */
+function approvalCoversBand(request, policy, band) {
+  if (!request?.policyId || String(request.policyId) !== String(policy?._id)) return false;
+  const steps = request.steps || [];
+  if (!steps.length || steps.some((step) => step.status !== 'Approved')) return false;
+  const approved = steps.map((step) => normalizeRole(step.role));
+  return (band?.approvers || []).every((approver) => {
+    const index = approved.indexOf(normalizeRole(approver.role));
+    if (index === -1) return false;
+    approved.splice(index, 1);
+    return true;
+  });
+}
+
+/**
+ * Requests without matrix steps are decided by a single approver, who must
+ * hold the approve action and must not be the requester.
+ */
+function assertLegacyApprover(request, user) {
+  if (String(request.requestedBy?._id || request.requestedBy) === String(user?._id)) {
+    throw approvalError('Requesters cannot approve their own request.', 403, 'APPROVAL_SELF_APPROVAL');
+  }
+  if (!_hasActionPermission(user, 'approve')
+    && String(process.env.DISABLE_PERMISSION_CHECKS || 'false').toLowerCase() !== 'true') {
+    throw approvalError('Only approvers can decide approval requests.', 403, 'APPROVAL_ROLE_NOT_ELIGIBLE');
+  }
+}
+
+function overdueSteps(request, now = new Date()) {
+  return (request.steps || []).filter((step) => (
+    step.status === 'Pending' && step.dueAt && new Date(step.dueAt) <= now && !step.escalatedAt
+  ));
+}
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+async function findPolicyBand({ hospitalId, requestType, amount }) {
+  const policy = await ApprovalPolicy.findOne({ hospitalId, requestType, active: true }).lean();
+  const band = selectBand(policy, amount);
+  return band ? { policy, band } : null;
+}
+
+async function actingRolesFor({ hospitalId, user, requestType, now = new Date() }) {
+  const actingAs = [{ role: normalizeRole(user?.role) }];
+  const delegations = await ApprovalDelegation.find({
+    hospitalId,
+    delegateId: user?._id,
+    active: true,
+    startsAt: { $lte: now },
+    endsAt: { $gte: now }
+  }).lean();
+  for (const delegation of delegations) {
+    if (delegation.requestTypes?.length && requestType && !delegation.requestTypes.includes(requestType)) continue;
+    actingAs.push({ role: delegation.delegatorRole, onBehalfOf: delegation.delegatorId, requestTypes: delegation.requestTypes });
+  }
+  return actingAs;
+}
+
+/** Attaches the configured steps to a new request; types without a policy stay single-step. */
+async function applyPolicy(request, now = new Date()) {
+  const match = await findPolicyBand({
+    hospitalId: request.hospitalId,
+    requestType: request.requestType,
+    amount: request.amount
+  });
+  if (!match) return request;
+  request.policyId = match.policy._id;
+  request.mode = match.band.mode || 'sequential';
+  request.steps = buildSteps(match.band, now);
+  return request;
+}
+
+async function decide({ hospitalId, requestId, user, decision, comments, now = new Date() }) {
+  const request = await ApprovalRequest.findOne({ _id: requestId, hospitalId });
+  if (!request) throw approvalError('Request not found.', 404, 'APPROVAL_NOT_FOUND');
+  if (!request.steps?.length) return null;
+
+  assertCanAct(request, user._id);
+  const actingAs = await actingRolesFor({ hospitalId, user, requestType: request.requestType, now });
+  const match = actionableStep(request, actingAs);
+  if (!match) {
+    throw approvalError('No approval step is waiting on your role.', 403, 'APPROVAL_ROLE_NOT_ELIGIBLE');
+  }
+  if (decision === 'reject' && !String(comments || '').trim()) {
+    throw approvalError('A reason is required to reject a request.', 400, 'APPROVAL_REASON_REQUIRED');
+  }
+
+  applyDecision(request, { step: match.step, decision, userId: user._id, onBehalfOf: match.onBehalfOf, comments, now });
+  await request.save();
+  return request;
+}
+
+async function inbox({ hospitalId, user, now = new Date() }) {
+  const actingAs = await actingRolesFor({ hospitalId, user, now });
+  const roles = [...new Set(actingAs.map((entry) => entry.role).filter(Boolean))];
+  const requests = await ApprovalRequest.find({
+    hospitalId,
+    status: 'Pending',
+    requestedBy: { $ne: user._id },
+    steps: {
+      $elemMatch: {
+        status: 'Pending',
+        $or: [
+          { role: { $in: roles } },
+          { escalateToRole: { $in: roles }, escalatedAt: { $ne: null } }
+        ]
+      }
+    }
+  })
+    .populate('requestedBy', 'name email first_name last_name')
+    .populate({ path: 'patientId', select: 'first_name last_name patientId uhid phone' })
+    .sort({ createdAt: 1 })
+    .limit(500);
+
+  // Delegations may be limited to specific request types, so re-check per request.
+  return requests.filter((request) => {
+    const scoped = actingAs.filter((entry) => !entry.requestTypes?.length || entry.requestTypes.includes(request.requestType));
+    return actionableStep(request, scoped) && !request.steps.some((step) => String(step.actedBy) === String(user._id));
+  });
+}
+
+async function escalateOverdue({ now = new Date(), limit = 200 } = {}) {
+  const requests = await ApprovalRequest.find({
+    status: 'Pending',
+    steps: { $elemMatch: { status: 'Pending', dueAt: { $lte: now }, escalatedAt: null } }
+  }).limit(limit);
+
+  let escalated = 0;
+  for (const request of requests) {
+    const steps = overdueSteps(request, now);
+    if (!steps.length) continue;
+    for (const step of steps) step.escalatedAt = now;
+    await request.save(); // eslint-disable-line no-await-in-loop
+    escalated += steps.length;
+    for (const step of steps) {
+      await queueNotification({ // eslint-disable-line no-await-in-loop
+        hospitalId: request.hospitalId,
+        eventType: 'approval_sla_breached',
+        correlationId: `${request._id}:${step.sequence}`,
+        recipientType: 'staff',
+        requestedChannels: ['portal'],
+        priority: 'high',
+        subject: `Approval overdue: ${request.requestType}`,
+        body: `Step ${step.sequence} (${step.role}) missed its ${step.slaHours}h SLA`,
+        patientId: request.patientId,
+        payload: {
+          approvalRequestId: request._id,
+          requestType: request.requestType,
+          amount: request.amount,
+          role: step.role,
+          escalateToRole: step.escalateToRole
+        }
+      });
+    }
+  }
+  return escalated;
+}
+
+// ---------------------------------------------------------------------------
+// Enforcement
+// ---------------------------------------------------------------------------
+
+/**
+ * Gate for an action that the matrix may govern. When the hospital has an
+ * active policy band for the amount, the caller must present an approved,
+ * unused request of the same type covering at least that amount; it is
+ * consumed here. Without a policy the legacy action permission still applies.
+ * Returns `release()` so callers can hand the approval back if the action fails.
+ */
+async function checkApprovalGate({ req, requestType, amount, sourceId, fallbackAction }) {
+  const hospitalId = requestHospitalId(req);
+  const value = money(amount);
+  const match = await findPolicyBand({ hospitalId, requestType, amount: value });
+
+  if (!match) {
+    if (fallbackAction && !_hasActionPermission(req.user, fallbackAction)
+      && String(process.env.DISABLE_PERMISSION_CHECKS || 'false').toLowerCase() !== 'true') {
+      throw approvalError(`Action "${fallbackAction}" is not permitted for this user`, 403, 'ACTION_NOT_PERMITTED');
+    }
+    return { approval: null, release: async () => {} };
+  }
+
+  const approvalRequestId = req.body?.approvalRequestId || req.get?.('X-Approval-Request-Id');
+  if (!approvalRequestId) {
+    throw approvalError(`${requestType} of ${value} requires an approved request`, 409, 'APPROVAL_REQUIRED', {
+      requestType,
+      amount: value,
+      approvers: match.band.approvers.map((approver) => approver.role),
+      mode: match.band.mode
+    });
+  }
+
+  // Only requests that went through this policy's steps count; a plain
+  // single-approver request cannot stand in for the matrix.
+  const filter = {
+    _id: approvalRequestId,
+    hospitalId,
+    requestType,
+    status: 'Approved',
+    policyId: match.policy._id,
+    amount: { $gte: value },
+    consumedAt: null
+  };
+  if (sourceId) filter.$or = [{ sourceId: String(sourceId) }, { sourceId: null }, { sourceId: '' }];
+
+  const candidate = await ApprovalRequest.findOne(filter).lean();
+  const approval = candidate && approvalCoversBand(candidate, match.policy, match.band)
+    ? await ApprovalRequest.findOneAndUpdate(
+      { ...filter, _id: candidate._id },
+      { $set: { consumedAt: new Date(), consumedBy: req.user?._id } },
+      { new: true }
+    )
+    : null;
+  if (!approval) {
+    throw approvalError('Approval request is not approved, already used, or does not cover this action', 409, 'APPROVAL_NOT_VALID', {
+      requestType,
+      amount: value
+    });
+  }
+
+  return {
+    approval,
+    release: async () => {
+      await ApprovalRequest.updateOne({ _id: approval._id }, { $unset: { consumedAt: 1, consumedBy: 1 } });
+    }
+  };
+}
+
+module.exports = {
+  REQUEST_TYPES,
+  normalizeRole,
+  selectBand,
+  buildSteps,
+  eligibleRoles,
+  actionableStep,
+  assertCanAct,
+  applyDecision,
+  approvalCoversBand,
+  assertLegacyApprover,
+  overdueSteps,
+  findPolicyBand,
+  actingRolesFor,
+  applyPolicy,
+  decide,
+  inbox,
+  escalateOverdue,
+  checkApprovalGate
+};
@@ -1,5 +1,6 @@
 const StaffAttendance = require('../models/StaffAttendance');
 const AttendancePunch = require('../models/AttendancePunch');
+const { rosteredShiftFor, classifyAttendance, loadPolicy } = require('./nurseRoster.service');
 
 function dayBounds(value) {
   const start = new Date(value);
@@ -41,6 +42,16 @@ async function reconcileEmployeeDay({ hospitalId, employeeId, date, actorUserId
     ? Math.max(0, Math.round((last.timestamp - first.timestamp) / 60000))
     : 0;
 
+  // A published roster shift sets the expected times for late/early checks.
+  const rostered = await rosteredShiftFor({ hospitalId, employeeId, dayStart: start, dayEnd: end, firstPunch: first.timestamp });
+  let late = false;
+  if (rostered) {
+    const policy = await loadPolicy(hospitalId);
+    const variance = classifyAttendance(rostered, { check_in: first.timestamp, check_out: last?.timestamp }, { graceMinutes: policy.lateGraceMinutes });
+    exceptions.push(...variance.exceptions);
+    late = variance.status === 'late';
+  }
+
   const attendance = await StaffAttendance.findOneAndUpdate(
     {
       hospital_id: hospitalId,
@@ -52,7 +63,8 @@ async function reconcileEmployeeDay({ hospitalId, employeeId, date, actorUserId
         check_in: first.timestamp,
         check_out: last?.timestamp,
         total_minutes: totalMinutes,
-        status: exceptions.length ? 'present' : 'present',
+        status: late ? 'late' : 'present',
+        ...(rostered ? { shift: rostered.shiftId } : {}),
         attendance_source: 'biometric',
         updated_by: actorUserId,
         reconciliation_status: exceptions.length ? 'exception' : 'reconciled',
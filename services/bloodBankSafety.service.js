@@ -0,0 +1,199 @@
+'use strict';
+
+const TTI_MARKERS = ['hiv', 'hbsag', 'hcv', 'vdrl', 'malaria'];
+const TTI_RESULTS = ['pending', 'non_reactive', 'reactive'];
+const CROSSMATCH_METHODS = ['immediate_spin', 'ahg', 'gel', 'electronic'];
+const CROSSMATCH_VALIDITY_HOURS = 72;
+const TRANSFUSION_WITNESS_ROLES = ['doctor', 'nurse', 'staff'];
+const REACTION_TYPES = [
+  'febrile_non_haemolytic',
+  'allergic',
+  'anaphylactic',
+  'acute_haemolytic',
+  'delayed_haemolytic',
+  'taco',
+  'trali',
+  'bacterial_contamination',
+  'hypotensive',
+  'other'
+];
+
+// Storage life from collection and the latest a component can be prepared
+// from whole blood (platelets and fresh frozen plasma need a fresh bag).
+const SHELF_LIFE_DAYS = { whole_blood: 35, packed_rbc: 42, platelets: 5, plasma: 365, cryoprecipitate: 365 };
+const SEPARATION_WINDOW_HOURS = { packed_rbc: 24 * 35, platelets: 8, plasma: 8, cryoprecipitate: 8 };
+
+const RBC_DONORS = { O: ['O'], A: ['A', 'O'], B: ['B', 'O'], AB: ['AB', 'A', 'B', 'O'] };
+const PLASMA_DONORS = { O: ['O', 'A', 'B', 'AB'], A: ['A', 'AB'], B: ['B', 'AB'], AB: ['AB'] };
+
+const HOUR_MS = 3600000;
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function splitGroup(group) {
+  const match = /^(A|B|AB|O)([+-])$/.exec(String(group || '').trim().toUpperCase());
+  if (!match) throw httpError(`Invalid blood group: ${group}`);
+  return { abo: match[1], rhPositive: match[2] === '+' };
+}
+
+/**
+ * ABO/Rh compatibility of a donor component for a recipient. Red cells follow
+ * the recipient's antibodies, plasma products the donor's; whole blood must be
+ * ABO identical. Rh-negative recipients get Rh-negative cellular products.
+ */
+function isCompatible(component, donorGroup, recipientGroup) {
+  const donor = splitGroup(donorGroup);
+  const recipient = splitGroup(recipientGroup);
+  if (component === 'plasma' || component === 'cryoprecipitate') return PLASMA_DONORS[recipient.abo].includes(donor.abo);
+  const rhOk = recipient.rhPositive || !donor.rhPositive;
+  if (component === 'platelets') return rhOk;
+  if (component === 'whole_blood') return donor.abo === recipient.abo && rhOk;
+  return RBC_DONORS[recipient.abo].includes(donor.abo) && rhOk;
+}
+
+function ttiStatus(screening = {}) {
+  const reactive = TTI_MARKERS.filter((marker) => screening[marker] === 'reactive');
+  if (reactive.length) return { result: 'reactive', reactive };
+  const pending = TTI_MARKERS.filter((marker) => screening[marker] !== 'non_reactive');
+  return { result: pending.length ? 'pending' : 'non_reactive', pending };
+}
+
+/**
+ * Where a unit belongs after a screening or grouping step: reactive units are
+ * discarded, anything not fully tested stays in quarantine.
+ */
+function releaseDecision(unit) {
+  const tti = ttiStatus(unit.ttiScreening);
+  if (tti.result === 'reactive') return { status: 'discarded', reasons: tti.reactive.map((marker) => `TTI reactive: ${marker.toUpperCase()}`) };
+  const reasons = tti.pending.map((marker) => `TTI pending: ${marker.toUpperCase()}`);
+  if (!unit.grouping?.confirmedAt) reasons.push('Grouping not confirmed');
+  else if (unit.grouping.discrepancy) reasons.push('Grouping discrepancy unresolved');
+  if (unit.grouping?.antibodyScreen === 'positive') reasons.push('Irregular antibody detected');
+  return { status: reasons.length ? 'quarantine' : 'available', reasons };
+}
+
+function componentExpiry(component, collectedAt) {
+  const days = SHELF_LIFE_DAYS[component];
+  if (!days) throw httpError(`Unknown component: ${component}`);
+  return new Date(new Date(collectedAt).getTime() + days * 24 * HOUR_MS);
+}
+
+/** Validates a whole-blood split and returns the child component specs. */
+function planSeparation(parent, components, now = new Date()) {
+  if (parent.component !== 'whole_blood') throw httpError('Only whole blood can be separated into components', 409, 'NOT_WHOLE_BLOOD');
+  if (!['quarantine', 'available'].includes(parent.status)) throw httpError(`Unit status ${parent.status} cannot be separated`, 409, 'UNIT_NOT_SEPARABLE');
+  if (!Array.isArray(components) || !components.length) throw httpError('components must list at least one component');
+  const seen = new Set();
+  const ageHours = (now - new Date(parent.collectedAt)) / HOUR_MS;
+  let volume = 0;
+  const children = components.map((item) => {
+    const component = item.component;
+    if (!SEPARATION_WINDOW_HOURS[component]) throw httpError(`Cannot prepare ${component} from whole blood`);
+    if (seen.has(component)) throw httpError(`${component} listed twice`);
+    seen.add(component);
+    if (ageHours > SEPARATION_WINDOW_HOURS[component]) {
+      throw httpError(`${component} must be separated within ${SEPARATION_WINDOW_HOURS[component]}h of collection`, 409, 'SEPARATION_WINDOW_EXPIRED');
+    }
+    volume += Number(item.volumeMl || 0);
+    return { component, volumeMl: item.volumeMl, unitNumber: item.unitNumber, expiresAt: componentExpiry(component, parent.collectedAt) };
+  });
+  if (parent.volumeMl && volume > parent.volumeMl) throw httpError('Component volumes exceed the parent unit volume');
+  return children;
+}
+
+function crossmatchCurrent(crossmatch, now = new Date()) {
+  return Boolean(crossmatch && crossmatch.result === 'compatible' && new Date(crossmatch.validUntil) > now);
+}
+
+/**
+ * A crossmatch only stands for the sample it was tested against. Once a new
+ * sample is recorded, or the patient's group changes, it has to be repeated.
+ */
+function crossmatchSampleProblem(sample = {}, crossmatch = {}) {
+  if (!crossmatch.sampleNumber || String(crossmatch.sampleNumber) !== String(sample.sampleNumber || '')) {
+    return 'Crossmatch was tested against a superseded patient sample';
+  }
+  if (crossmatch.patientBloodGroup !== sample.bloodGroup) return 'Patient group has changed since the crossmatch';
+  return null;
+}
+
+/**
+ * Dispatch gate: each reserved unit needs a current compatible crossmatch
+ * against the request's patient sample, or an authorised emergency release.
+ */
+function dispatchProblems({ request, units, now = new Date() }) {
+  const problems = [];
+  const emergency = Boolean(request.emergencyRelease?.authorisedBy);
+  if (!request.patientSample?.bloodGroup && !emergency) problems.push({ code: 'NO_PATIENT_SAMPLE', message: 'Patient grouping sample not recorded' });
+  for (const unit of units) {
+    const release = releaseDecision(unit);
+    if (release.status !== 'available') problems.push({ code: 'UNIT_NOT_RELEASED', unitNumber: unit.unitNumber, message: release.reasons.join('; ') });
+    if (unit.expiresAt && new Date(unit.expiresAt) <= now) problems.push({ code: 'UNIT_EXPIRED', unitNumber: unit.unitNumber, message: 'Unit has expired' });
+    if (emergency) continue;
+    const latest = (request.crossmatches || [])
+      .filter((row) => String(row.unitId) === String(unit._id))
+      .sort((a, b) => new Date(b.testedAt) - new Date(a.testedAt))[0];
+    if (!latest) problems.push({ code: 'CROSSMATCH_MISSING', unitNumber: unit.unitNumber, message: 'No crossmatch recorded' });
+    else if (latest.result !== 'compatible') problems.push({ code: 'CROSSMATCH_INCOMPATIBLE', unitNumber: unit.unitNumber, message: 'Crossmatch incompatible' });
+    else if (!crossmatchCurrent(latest, now)) problems.push({ code: 'CROSSMATCH_EXPIRED', unitNumber: unit.unitNumber, message: `Crossmatch older than ${CROSSMATCH_VALIDITY_HOURS}h` });
+    else if (crossmatchSampleProblem(request.patientSample, latest)) {
+      problems.push({ code: 'CROSSMATCH_SAMPLE_SUPERSEDED', unitNumber: unit.unitNumber, message: crossmatchSampleProblem(request.patientSample, latest) });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Vital-sign changes from the pre-transfusion baseline that call for the
+ * transfusion to be stopped and assessed for a reaction.
+ */
+function reactionSigns(baseline = {}, current = {}) {
+  const signs = [];
+  const delta = (key) => (Number.isFinite(Number(current[key])) && Number.isFinite(Number(baseline[key])) && current[key] !== null && baseline[key] !== null
+    ? Number(current[key]) - Number(baseline[key])
+    : null);
+  const temperatureRise = delta('temperature');
+  if (temperatureRise !== null && temperatureRise >= 1 && Number(current.temperature) >= 38) signs.push('fever');
+  const systolicChange = delta('systolic');
+  if (systolicChange !== null && systolicChange <= -30) signs.push('hypotension');
+  if (systolicChange !== null && systolicChange >= 30) signs.push('hypertension');
+  const pulseRise = delta('pulse');
+  if (pulseRise !== null && pulseRise >= 30) signs.push('tachycardia');
+  const spo2Drop = delta('spo2');
+  if ((spo2Drop !== null && spo2Drop <= -5) || (current.spo2 !== undefined && current.spo2 !== null && Number(current.spo2) < 90)) signs.push('hypoxia');
+  const respiratoryRise = delta('respiratoryRate');
+  if (respiratoryRise !== null && respiratoryRise >= 8) signs.push('tachypnoea');
+  return signs;
+}
+
+function incidentSeverity(reaction) {
+  if (['acute_haemolytic', 'anaphylactic', 'trali', 'bacterial_contamination'].includes(reaction.reactionType) || reaction.severity === 'life_threatening') return 'critical';
+  if (reaction.severity === 'severe' || reaction.reactionType === 'taco') return 'high';
+  return reaction.severity === 'mild' ? 'low' : 'moderate';
+}
+
+module.exports = {
+  TTI_MARKERS,
+  TTI_RESULTS,
+  CROSSMATCH_METHODS,
+  CROSSMATCH_VALIDITY_HOURS,
+  TRANSFUSION_WITNESS_ROLES,
+  REACTION_TYPES,
+  SHELF_LIFE_DAYS,
+  isCompatible,
+  ttiStatus,
+  releaseDecision,
+  componentExpiry,
+  planSeparation,
+  crossmatchCurrent,
+  crossmatchSampleProblem,
+  dispatchProblems,
+  reactionSigns,
+  incidentSeverity
+};
@@ -5,10 +5,12 @@ const SponsorLedgerEntry = require('../models/SponsorLedgerEntry');
 const AdmissionCoverage = require('../models/AdmissionCoverage');
 const IPDAdmission = require('../models/IPDAdmission');
 const IPDCharge = require('../models/IPDCharge');
+const OTImplant = require('../models/OTImplant');
 const Appointment = require('../models/Appointment');
 const Bill = require('../models/Bill');
 const Payer = require('../models/Payer');
 const claimReadiness = require('./claimReadiness.service');
+const { diagnosisText } = require('./clinicalCoding.service');
 
 function money(value) {
   return Number(Number(value || 0).toFixed(2));
@@ -255,6 +257,35 @@ async function resolveEncounter({ hospitalId, encounterType, admissionId, appoin
   };
 }
 
+// Implant charges carry the device identity the payer needs to see against
+// the line: manufacturer, lot/serial, UDI and the sticker image.
+async function withImplants(hospitalId, lines) {
+  const chargeIds = lines.map((line) => line.chargeId).filter(Boolean);
+  if (!chargeIds.length) return lines;
+  const implants = await OTImplant.find({
+    hospitalId,
+    'billing.chargeId': { $in: chargeIds },
+    status: { $ne: 'entered_in_error' }
+  }).lean();
+  if (!implants.length) return lines;
+  const byCharge = new Map();
+  for (const implant of implants) {
+    const key = String(implant.billing.chargeId);
+    byCharge.set(key, [...(byCharge.get(key) || []), {
+      implantId: implant._id,
+      manufacturer: implant.manufacturer,
+      model: implant.model,
+      lotNumber: implant.lotNumber,
+      serialNumber: implant.serialNumber,
+      udi: implant.udi,
+      expiryDate: implant.expiryDate,
+      consignment: implant.consignment,
+      stickerUrl: implant.stickerUrl
+    }]);
+  }
+  return lines.map((line) => (byCharge.has(String(line.chargeId)) ? { ...line, implants: byCharge.get(String(line.chargeId)) } : line));
+}
+
 async function loadEncounterLines({ hospitalId, encounterType, admissionId, appointmentId }) {
   let lines = [];
   if (encounterType === 'IPD') {
@@ -264,7 +295,7 @@ async function loadEncounterLines({ hospitalId, encounterType, admissionId, appo
       status: { $in: ['ACTIVE', 'INVOICED'] },
       sponsorLiability: { $gt: 0 }
     }).sort({ chargeDate: 1, createdAt: 1 }).lean();
-    lines = charges.map(allocationFromCharge);
+    lines = await withImplants(hospitalId, charges.map(allocationFromCharge));
   } else {
     const bills = await Bill.find({
       hospital_id: hospitalId,
@@ -304,7 +335,22 @@ async function createClaim({ hospitalId, body, user }) {
   const serviceDates = lines.map((line) => new Date(line.serviceDate || Date.now()).getTime()).filter(Number.isFinite);
 
   const scheme = deriveClaimSchemeData(resolved.coverage);
+  // Admissions already coded by MRD start the claim with the coded diagnosis.
+  const coded = resolved.encounterType === 'IPD' && resolved.encounter.codingStatus === 'coded'
+    ? {
+      finalDiagnosis: diagnosisText(resolved.encounter.codedDiagnoses),
+      codedDiagnoses: resolved.encounter.codedDiagnoses,
+      codedProcedures: resolved.encounter.codedProcedures || []
+    }
+    : {};
+  if (coded.finalDiagnosis && scheme.schemeData.pmjay) {
+    scheme.schemeData.pmjay.finalDiagnosis = scheme.schemeData.pmjay.finalDiagnosis || coded.finalDiagnosis;
+    if (!scheme.schemeData.pmjay.icd10Codes.length) {
+      scheme.schemeData.pmjay.icd10Codes = coded.codedDiagnoses.filter((row) => row.system === 'ICD-10').map((row) => row.code);
+    }
+  }
   return ClaimCase.create({
+    ...coded,
     hospitalId,
     claimNumber: await nextClaimNumber(hospitalId),
     encounterType: resolved.encounterType,
@@ -495,6 +541,7 @@ async function adjudicateClaim({ hospitalId, claimId, body, user }) {
           ? 'partially_approved'
           : 'approved';
       claim.status = claim.amounts.approvedSponsorAmount > 0 ? 'settlement_pending' : 'rejected';
+      if (Array.isArray(body.deductions)) claim.deductions.push(...body.deductions);
       claim.updatedBy = user._id;
       claim.revision += 1;
       await claim.save({ session });
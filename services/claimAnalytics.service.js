@@ -0,0 +1,364 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const ClaimCase = require('../models/ClaimCase');
+const SponsorLedgerEntry = require('../models/SponsorLedgerEntry');
+const AdmissionCoverage = require('../models/AdmissionCoverage');
+const Payer = require('../models/Payer');
+const { claimFilter } = require('./claim.service');
+const { money } = require('../utils/financeNumbers');
+const { currentContext } = require('../utils/operationTimeContext');
+const { hospitalDayBounds, hospitalDateKey, validateDateKey } = require('../utils/hospitalDateTime');
+
+// Why sponsor money is stuck: receivable ageing from the sponsor ledger, and
+// rejection, deduction, query and first-pass analysis from claim outcomes.
+
+const BUCKETS = ['0-30', '31-60', '61-90', '90+'];
+const GROUP_BY = ['payer', 'tpa', 'scheme'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ageingBucket(days) {
+  if (days <= 30) return '0-30';
+  if (days <= 60) return '31-60';
+  if (days <= 90) return '61-90';
+  return '90+';
+}
+
+function dayDifference(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Open sponsor items as of a hospital date. Ledger entries are grouped by
+ * encounter coverage (the unit the receivable is recognised against) and
+ * credits knock off the oldest debits first, so what remains is aged from the
+ * date it was recognised. Credits with nothing left to settle are returned as
+ * unapplied rather than netted against other encounters.
+ */
+function openSponsorItems(entries, asOfKey, timeZone) {
+  const groups = new Map();
+  const ordered = [...entries].sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+  for (const entry of ordered) {
+    const key = String(entry.coverageId || entry.claimId || entry.invoiceId || entry._id);
+    const group = groups.get(key) || { payerId: entry.payerId, coverageId: entry.coverageId, claimId: entry.claimId, debits: [], unapplied: 0 };
+    if (entry.claimId) group.claimId = entry.claimId;
+    let debit = money(entry.debit);
+    let credit = money(entry.credit);
+    if (debit > 0) {
+      const absorbed = Math.min(debit, group.unapplied);
+      debit = money(debit - absorbed);
+      group.unapplied = money(group.unapplied - absorbed);
+      if (debit > 0) group.debits.push({ amount: debit, occurredAt: entry.occurredAt });
+    }
+    while (credit > 0 && group.debits.length) {
+      const head = group.debits[0];
+      const used = Math.min(head.amount, credit);
+      head.amount = money(head.amount - used);
+      credit = money(credit - used);
+      if (head.amount <= 0) group.debits.shift();
+    }
+    group.unapplied = money(group.unapplied + credit);
+    groups.set(key, group);
+  }
+
+  const items = [];
+  const unapplied = [];
+  for (const group of groups.values()) {
+    const refs = { payerId: group.payerId, coverageId: group.coverageId, claimId: group.claimId };
+    for (const debit of group.debits) {
+      const ageDays = Math.max(0, dayDifference(hospitalDateKey(debit.occurredAt, timeZone), asOfKey));
+      items.push({ ...refs, amount: debit.amount, recognisedAt: debit.occurredAt, ageDays, bucket: ageingBucket(ageDays) });
+    }
+    if (group.unapplied > 0) unapplied.push({ ...refs, amount: group.unapplied });
+  }
+  return { items, unapplied };
+}
+
+function summariseAgeing(items, groupOf) {
+  const rows = new Map();
+  const blank = () => Object.fromEntries([...BUCKETS.map((bucket) => [bucket, 0]), ['total', 0], ['items', 0]]);
+  const totals = blank();
+  for (const item of items) {
+    const { key, label } = groupOf(item);
+    const row = rows.get(key) || { key, label, ...blank() };
+    row[item.bucket] = money(row[item.bucket] + item.amount);
+    row.total = money(row.total + item.amount);
+    row.items += 1;
+    rows.set(key, row);
+    totals[item.bucket] = money(totals[item.bucket] + item.amount);
+    totals.total = money(totals.total + item.amount);
+    totals.items += 1;
+  }
+  return { rows: [...rows.values()].sort((a, b) => b.total - a.total), totals };
+}
+
+function asOfBounds(asOf) {
+  const timeZone = currentContext()?.timeZone;
+  const asOfKey = asOf ? validateDateKey(String(asOf).slice(0, 10)) : hospitalDateKey(new Date(), timeZone);
+  return { asOfKey, end: hospitalDayBounds(asOfKey, timeZone).end, timeZone };
+}
+
+function idsOf(rows, field) {
+  return [...new Set(rows.map((row) => row[field]).filter(Boolean).map(String))];
+}
+
+async function receivablesAgeing({ hospitalId, query = {} }) {
+  const groupBy = GROUP_BY.includes(query.groupBy) ? query.groupBy : 'payer';
+  let bounds;
+  try {
+    bounds = asOfBounds(query.asOf);
+  } catch (error) {
+    error.statusCode = 400;
+    throw error;
+  }
+  const filter = { hospitalId, occurredAt: { $lt: bounds.end } };
+  if (query.payerId && mongoose.isValidObjectId(query.payerId)) filter.payerId = query.payerId;
+  const entries = await SponsorLedgerEntry.find(filter).select('payerId coverageId claimId invoiceId debit credit occurredAt').lean();
+  const { items, unapplied } = openSponsorItems(entries, bounds.asOfKey, bounds.timeZone);
+
+  const [coverages, claims] = await Promise.all([
+    AdmissionCoverage.find({ hospitalId, _id: { $in: idsOf(items, 'coverageId') } }).select('payerCategory tpaId').lean(),
+    ClaimCase.find({ hospitalId, _id: { $in: idsOf(items, 'claimId') } }).select('claimNumber status schemeType').lean()
+  ]);
+  const coverageById = new Map(coverages.map((row) => [String(row._id), row]));
+  const claimById = new Map(claims.map((row) => [String(row._id), row]));
+  const tpaIds = coverages.map((row) => row.tpaId).filter(Boolean).map(String);
+  const payers = await Payer.find({ hospitalId, _id: { $in: [...new Set([...idsOf(items, 'payerId'), ...tpaIds])] } }).select('code name type tpaId').lean();
+  const payerById = new Map(payers.map((row) => [String(row._id), row]));
+
+  const groupOf = (item) => {
+    const payer = payerById.get(String(item.payerId));
+    const coverage = coverageById.get(String(item.coverageId));
+    if (groupBy === 'tpa') {
+      const tpa = payerById.get(String(coverage?.tpaId || payer?.tpaId || '')) || (payer?.type === 'tpa' ? payer : null);
+      return tpa ? { key: String(tpa._id), label: tpa.name } : { key: 'direct', label: 'Direct (no TPA)' };
+    }
+    if (groupBy === 'scheme') {
+      const scheme = claimById.get(String(item.claimId))?.schemeType || coverage?.payerCategory || payer?.type || 'other';
+      return { key: scheme, label: scheme };
+    }
+    return { key: String(item.payerId), label: payer ? `${payer.name} (${payer.code})` : 'Unknown payer' };
+  };
+  const { rows, totals } = summariseAgeing(items, groupOf);
+  return {
+    asOf: bounds.asOfKey,
+    groupBy,
+    buckets: BUCKETS,
+    rows,
+    totals,
+    unappliedCredits: money(unapplied.reduce((sum, row) => sum + row.amount, 0)),
+    items: String(query.includeItems) === 'true'
+      ? items.map((item) => ({ ...item, group: groupOf(item).label, claimNumber: claimById.get(String(item.claimId))?.claimNumber }))
+      : undefined
+  };
+}
+
+function percentile(sorted, fraction) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+/** Payer query turnaround in hours, from receipt to the hospital's response. */
+function queryTurnaround(claims, now = new Date()) {
+  const hours = [];
+  let open = 0;
+  let overdue = 0;
+  for (const claim of claims) {
+    for (const query of claim.queries || []) {
+      if (query.respondedAt && query.receivedAt) {
+        hours.push(Math.max(0, (new Date(query.respondedAt) - new Date(query.receivedAt)) / 3600000));
+      } else if (query.status === 'open') {
+        open += 1;
+        if (query.dueAt && new Date(query.dueAt) < now) overdue += 1;
+      }
+    }
+  }
+  hours.sort((a, b) => a - b);
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    responded: hours.length,
+    open,
+    overdue,
+    averageHours: round(hours.length ? hours.reduce((sum, value) => sum + value, 0) / hours.length : 0),
+    medianHours: round(percentile(hours, 0.5)),
+    p90Hours: round(percentile(hours, 0.9))
+  };
+}
+
+/**
+ * First-pass acceptance: of the claims the payer has decided, those approved
+ * (fully or in part) without a query or an earlier rejection.
+ */
+function firstPassAcceptance(claims) {
+  const decided = claims.filter((claim) => claim.adjudicationStatus && claim.adjudicationStatus !== 'pending');
+  const accepted = decided.filter((claim) => claim.adjudicationStatus !== 'rejected'
+    && !(claim.queries || []).length
+    && !(claim.rejectionHistory || []).length);
+  const fullyApproved = accepted.filter((claim) => claim.adjudicationStatus === 'approved');
+  return {
+    decided: decided.length,
+    accepted: accepted.length,
+    fullyApproved: fullyApproved.length,
+    rate: decided.length ? Math.round((accepted.length / decided.length) * 1000) / 10 : 0
+  };
+}
+
+function denialBreakdown(claims) {
+  const rejections = new Map();
+  const deductions = new Map();
+  for (const claim of claims) {
+    const submitted = money(claim.amounts?.claimSubmittedAmount);
+    const seen = new Set();
+    for (const row of claim.rejectionHistory || []) {
+      const code = row.reasonCode || 'UNSPECIFIED';
+      const group = rejections.get(code) || { reasonCode: code, category: row.category, reason: row.reason, occurrences: 0, claims: 0, amount: 0 };
+      group.occurrences += 1;
+      if (!seen.has(code)) {
+        seen.add(code);
+        group.claims += 1;
+        group.amount = money(group.amount + submitted);
+      }
+      rejections.set(code, group);
+    }
+    const rows = (claim.deductions || []).length
+      ? claim.deductions
+      : Number(claim.amounts?.deductedAmount || 0) > 0 ? [{ code: 'UNCATEGORISED', amount: claim.amounts.deductedAmount }] : [];
+    const counted = new Set();
+    for (const row of rows) {
+      const code = row.code || 'UNCATEGORISED';
+      const group = deductions.get(code) || { code, occurrences: 0, claims: 0, amount: 0, accepted: 0, appealed: 0 };
+      group.occurrences += 1;
+      group.amount = money(group.amount + Number(row.amount || 0));
+      if (row.accepted) group.accepted += 1;
+      if (row.appealed) group.appealed += 1;
+      if (!counted.has(code)) {
+        counted.add(code);
+        group.claims += 1;
+      }
+      deductions.set(code, group);
+    }
+  }
+  const byAmount = (a, b) => b.amount - a.amount;
+  return { rejections: [...rejections.values()].sort(byAmount), deductions: [...deductions.values()].sort(byAmount) };
+}
+
+async function denialAnalysis({ hospitalId, query = {}, now = new Date() }) {
+  const claims = await ClaimCase.find({ ...claimFilter(hospitalId, query), status: { $ne: 'cancelled' } })
+    .select('claimNumber payerId status adjudicationStatus amounts rejectionHistory deductions queries')
+    .populate('payerId', 'code name type')
+    .lean();
+  const byPayer = new Map();
+  for (const claim of claims) {
+    const key = String(claim.payerId?._id || claim.payerId);
+    const group = byPayer.get(key) || { payerId: key, payerCode: claim.payerId?.code, payerName: claim.payerId?.name, claims: [] };
+    group.claims.push(claim);
+    byPayer.set(key, group);
+  }
+  return {
+    claims: claims.length,
+    ...denialBreakdown(claims),
+    queryTurnaround: queryTurnaround(claims, now),
+    firstPass: firstPassAcceptance(claims),
+    byPayer: [...byPayer.values()].map(({ claims: rows, ...payer }) => ({
+      ...payer,
+      claims: rows.length,
+      rejected: rows.filter((claim) => claim.adjudicationStatus === 'rejected').length,
+      deducted: money(rows.reduce((sum, claim) => sum + Number(claim.amounts?.deductedAmount || 0), 0)),
+      firstPassRate: firstPassAcceptance(rows).rate,
+      averageQueryHours: queryTurnaround(rows, now).averageHours
+    })).sort((a, b) => b.deducted - a.deducted)
+  };
+}
+
+/** Claim lines the payer deducted, optionally narrowed to one deduction category. */
+async function deductedLines({ hospitalId, query = {} }) {
+  const claims = await ClaimCase.find({ ...claimFilter(hospitalId, query), 'lines.deductedAmount': { $gt: 0 } })
+    .select('claimNumber status adjudicationStatus payerId patientId lines deductions')
+    .populate('payerId', 'code name')
+    .populate('patientId', 'first_name last_name uhid patientId')
+    .sort({ createdAt: -1 })
+    .lean();
+  const rows = [];
+  for (const claim of claims) {
+    const byLine = new Map((claim.deductions || []).filter((row) => row.lineId).map((row) => [String(row.lineId), row]));
+    for (const line of claim.lines || []) {
+      if (Number(line.deductedAmount || 0) <= 0) continue;
+      const deduction = byLine.get(String(line._id));
+      const code = deduction?.code || 'UNCATEGORISED';
+      if (query.code && query.code !== code) continue;
+      rows.push({
+        claimId: claim._id,
+        claimNumber: claim.claimNumber,
+        claimStatus: claim.status,
+        payerCode: claim.payerId?.code,
+        payerName: claim.payerId?.name,
+        patientName: [claim.patientId?.first_name, claim.patientId?.last_name].filter(Boolean).join(' '),
+        uhid: claim.patientId?.uhid || claim.patientId?.patientId,
+        lineId: line._id,
+        lineNumber: line.lineNumber,
+        description: line.description,
+        payerLineCode: line.payerCode,
+        serviceDate: line.serviceDate,
+        submittedAmount: money(line.submittedAmount || line.sponsorLiability),
+        approvedAmount: money(line.approvedAmount),
+        deductedAmount: money(line.deductedAmount),
+        deductionCode: code,
+        deductionReason: line.deductionReason || deduction?.reason,
+        accepted: Boolean(deduction?.accepted),
+        appealed: Boolean(deduction?.appealed)
+      });
+    }
+  }
+  return rows;
+}
+
+// MIS catalog adapters: cards plus flat rows so the existing export and
+// MISSchedule delivery can render and mail them.
+function misQuery(filters = {}) {
+  return { ...filters, from: filters.from || filters.startDate, to: filters.to || filters.endDate };
+}
+
+async function ageingMisReport(hospitalId, filters = {}) {
+  const report = await receivablesAgeing({ hospitalId, query: { ...filters, asOf: filters.asOf || filters.endDate } });
+  return {
+    cards: [
+      ...BUCKETS.map((bucket) => ({ label: `${bucket} days`, value: report.totals[bucket] })),
+      { label: 'Outstanding', value: report.totals.total },
+      { label: 'Unapplied credits', value: report.unappliedCredits }
+    ],
+    rows: report.rows.map(({ key, ...row }) => ({ [report.groupBy]: row.label, ...Object.fromEntries(BUCKETS.map((bucket) => [`days_${bucket}`, row[bucket]])), total: row.total, openItems: row.items })),
+    asOf: report.asOf
+  };
+}
+
+async function denialMisReport(hospitalId, filters = {}) {
+  const report = await denialAnalysis({ hospitalId, query: misQuery(filters) });
+  return {
+    cards: [
+      { label: 'Claims', value: report.claims },
+      { label: 'First-pass acceptance %', value: report.firstPass.rate },
+      { label: 'Deducted', value: money(report.deductions.reduce((sum, row) => sum + row.amount, 0)) },
+      { label: 'Average query turnaround (hours)', value: report.queryTurnaround.averageHours },
+      { label: 'Overdue queries', value: report.queryTurnaround.overdue }
+    ],
+    rows: [
+      ...report.rejections.map((row) => ({ analysis: 'Rejection', code: row.reasonCode, category: row.category, occurrences: row.occurrences, claims: row.claims, amount: row.amount })),
+      ...report.deductions.map((row) => ({ analysis: 'Deduction', code: row.code, category: '', occurrences: row.occurrences, claims: row.claims, amount: row.amount }))
+    ]
+  };
+}
+
+module.exports = {
+  BUCKETS,
+  ageingBucket,
+  openSponsorItems,
+  summariseAgeing,
+  queryTurnaround,
+  firstPassAcceptance,
+  denialBreakdown,
+  receivablesAgeing,
+  denialAnalysis,
+  deductedLines,
+  ageingMisReport,
+  denialMisReport
+};
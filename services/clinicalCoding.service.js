@@ -0,0 +1,714 @@
+const mongoose = require('mongoose');
+const ClinicalCodingRecord = require('../models/ClinicalCodingRecord');
+const IPDAdmission = require('../models/IPDAdmission');
+const DischargeSummary = require('../models/DischargeSummary');
+const ClaimCase = require('../models/ClaimCase');
+const Doctor = require('../models/Doctor');
+const TerminologyCode = require('../models/TerminologyCode');
+const ICD11 = require('../models/icd11.model');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { semanticDateRange } = require('../utils/hospitalDateRange');
+
+// MRD clinical coding: after discharge a coder assigns one principal and any
+// secondary diagnosis codes (ICD-10 or ICD-11) and procedure codes, raising
+// queries to the treating clinician where documentation is unclear. Completed
+// coding is copied to the admission, discharge summary and open claims, and an
+// IPD file cannot be archived until its coding is complete.
+
+const CODABLE_ADMISSION_STATUSES = [
+  'Discharged',
+  'Discharge Summary Pending',
+  'Billing Pending',
+  'Payment Pending',
+  'Ready for Discharge',
+  'LAMA',
+  'DAMA',
+  'Expired'
+];
+
+// Claims past submission keep the diagnosis the payer already has; a change
+// there goes through the claim query / resubmission workflow instead.
+const CLAIM_EDITABLE_STATUSES = ['draft', 'documents_pending', 'ready', 'query'];
+
+// ICD-11 MMS never uses the letters I and O, so they cannot be confused with 1 and 0.
+const ICD11_CHAR = '[0-9A-HJ-NP-Z]';
+const CODE_PATTERNS = {
+  'ICD-10': /^[A-Z][0-9][0-9A-Z](\.[0-9A-Z]{1,4})?$/,
+  'ICD-11': new RegExp(`^${ICD11_CHAR}[A-HJ-NP-Z]${ICD11_CHAR}{2}(\\.${ICD11_CHAR}{1,2})?$`),
+  'ICD-10-PCS': /^[0-9A-HJ-NP-Z]{7}$/,
+  'ICD-9-CM': /^[0-9]{2}(\.[0-9]{1,2})?$/
+};
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+/** Upper-cases and, for ICD-10, restores the dot coders often leave out (E119 -> E11.9). */
+function normalizeCode(code, system) {
+  const value = String(code || '').trim().toUpperCase().replace(/\s+/g, '');
+  if (system === 'ICD-10' && /^[A-Z][0-9][0-9A-Z][0-9A-Z]{1,4}$/.test(value)) return `${value.slice(0, 3)}.${value.slice(3)}`;
+  return value;
+}
+
+/**
+ * Checks a code's shape for its system. ICD-11 postcoordinated clusters
+ * (stem & extension, or stem / stem) are checked part by part.
+ */
+function isValidCode(system, code) {
+  const value = normalizeCode(code, system);
+  if (!value || value.length > 60) return false;
+  if (system === 'ICD-11') return value.split(/[&/]/).every((part) => CODE_PATTERNS['ICD-11'].test(part));
+  return CODE_PATTERNS[system] ? CODE_PATTERNS[system].test(value) : value.length <= 40;
+}
+
+/** Category used for grouping: the three-character ICD-10 category or the ICD-11 stem block. */
+function codeCategory(system, code) {
+  const value = normalizeCode(code).split(/[&/]/)[0];
+  if (system === 'ICD-10') return value.slice(0, 3);
+  if (system === 'ICD-11') return value.split('.')[0];
+  return value;
+}
+
+/** Principal diagnosis first, then secondaries in the coder's order. */
+function normalizeDiagnoses(rows = []) {
+  const diagnoses = rows
+    .filter((row) => row && row.code)
+    .map((row) => ({
+      type: row.type === 'principal' ? 'principal' : 'secondary',
+      system: row.system,
+      code: normalizeCode(row.code, row.system),
+      display: row.display ? String(row.display).trim() : undefined,
+      presentOnAdmission: ['Y', 'N', 'U', 'W'].includes(row.presentOnAdmission) ? row.presentOnAdmission : 'U'
+    }));
+  const ordered = [...diagnoses.filter((row) => row.type === 'principal'), ...diagnoses.filter((row) => row.type !== 'principal')];
+  return ordered.map((row, index) => ({ ...row, sequence: index + 1 }));
+}
+
+function normalizeProcedures(rows = []) {
+  return rows
+    .filter((row) => row && row.code)
+    .map((row, index) => ({
+      system: row.system,
+      code: normalizeCode(row.code, row.system),
+      display: row.display ? String(row.display).trim() : undefined,
+      sequence: index + 1,
+      performedAt: row.performedAt ? new Date(row.performedAt) : undefined,
+      performedBy: mongoose.isValidObjectId(row.performedBy) ? row.performedBy : undefined
+    }));
+}
+
+function issue(code, message, path) {
+  return { code, message, ...(path ? { path } : {}) };
+}
+
+/**
+ * Whether a coding record may be marked coded. Blockers stop completion (and
+ * so MRD file closure); warnings are shown to the coder but do not block.
+ */
+function codingCompleteness(record = {}, { documentedProcedures = false } = {}) {
+  const blockers = [];
+  const warnings = [];
+  const diagnoses = record.diagnoses || [];
+  const principal = diagnoses.filter((row) => row.type === 'principal');
+  if (!principal.length) blockers.push(issue('CODING_PRINCIPAL_MISSING', 'A principal diagnosis code is required.', 'diagnoses'));
+  if (principal.length > 1) blockers.push(issue('CODING_PRINCIPAL_DUPLICATE', 'Only one diagnosis can be principal.', 'diagnoses'));
+  diagnoses.forEach((row, index) => {
+    if (!isValidCode(row.system, row.code)) {
+      blockers.push(issue('CODING_CODE_INVALID', `${row.code || '(blank)'} is not a valid ${row.system} code.`, `diagnoses.${index}.code`));
+    } else if (!row.verified) {
+      warnings.push(issue('CODING_CODE_UNVERIFIED', `${row.code} was not found in the loaded ${row.system} terminology.`, `diagnoses.${index}.code`));
+    }
+  });
+  (record.procedures || []).forEach((row, index) => {
+    if (!isValidCode(row.system, row.code)) {
+      blockers.push(issue('CODING_CODE_INVALID', `${row.code || '(blank)'} is not a valid ${row.system} code.`, `procedures.${index}.code`));
+    }
+  });
+  const seen = new Set();
+  for (const row of diagnoses) {
+    const key = `${row.system}|${row.code}`;
+    if (seen.has(key)) warnings.push(issue('CODING_CODE_DUPLICATE', `${row.code} is coded more than once.`, 'diagnoses'));
+    seen.add(key);
+  }
+  const pendingQueries = (record.queries || []).filter((query) => query.status !== 'closed');
+  if (pendingQueries.length) {
+    blockers.push(issue('CODING_QUERY_OPEN', `${pendingQueries.length} clinician quer${pendingQueries.length === 1 ? 'y is' : 'ies are'} not closed.`, 'queries'));
+  }
+  if (documentedProcedures && !(record.procedures || []).length) {
+    warnings.push(issue('CODING_PROCEDURES_MISSING', 'The discharge summary records procedures but none are coded.', 'procedures'));
+  }
+  return { complete: blockers.length === 0, blockers, warnings };
+}
+
+function diagnosisText(diagnoses = []) {
+  return diagnoses
+    .map((row) => [row.code, row.display].filter(Boolean).join(' '))
+    .join('; ');
+}
+
+function daysBetween(start, end) {
+  if (!start || !end) return null;
+  return Math.max(1, Math.round((new Date(end) - new Date(start)) / 86400000));
+}
+
+/**
+ * Morbidity / mortality statistics by diagnosis code. Each row is a coded
+ * admission: { diagnoses, admissionDate, dischargeDate, died }. Principal
+ * diagnoses drive case counts, length of stay and deaths; secondary mentions
+ * are counted separately as comorbidity burden.
+ */
+function codeStatistics(rows = [], { level = 'code', system } = {}) {
+  const groups = new Map();
+  const touch = (diagnosis) => {
+    const code = level === 'category' ? codeCategory(diagnosis.system, diagnosis.code) : diagnosis.code;
+    const key = `${diagnosis.system}|${code}`;
+    if (!groups.has(key)) {
+      groups.set(key, { system: diagnosis.system, code, display: level === 'category' ? undefined : diagnosis.display, cases: 0, secondaryMentions: 0, deaths: 0, stayDays: [] });
+    }
+    const group = groups.get(key);
+    if (!group.display && diagnosis.display && level !== 'category') group.display = diagnosis.display;
+    return group;
+  };
+  for (const row of rows) {
+    for (const diagnosis of row.diagnoses || []) {
+      if (system && diagnosis.system !== system) continue;
+      const group = touch(diagnosis);
+      if (diagnosis.type !== 'principal') {
+        group.secondaryMentions += 1;
+        continue;
+      }
+      group.cases += 1;
+      if (row.died) group.deaths += 1;
+      const stay = daysBetween(row.admissionDate, row.dischargeDate);
+      if (stay) group.stayDays.push(stay);
+    }
+  }
+  return [...groups.values()]
+    .map(({ stayDays, ...group }) => ({
+      ...group,
+      mortalityRate: group.cases ? Number(((group.deaths / group.cases) * 100).toFixed(2)) : 0,
+      averageLengthOfStayDays: stayDays.length ? Number((stayDays.reduce((a, b) => a + b, 0) / stayDays.length).toFixed(2)) : null
+    }))
+    .sort((a, b) => b.cases - a.cases || b.secondaryMentions - a.secondaryMentions || a.code.localeCompare(b.code));
+}
+
+function admissionDied(admission = {}) {
+  return /EXPIRED|DEATH|DIED/.test(`${admission.status || ''} ${admission.plannedDischargeType || ''} ${admission.dischargeReason || ''}`.toUpperCase());
+}
+
+function patientName(patient) {
+  return [patient?.salutation, patient?.first_name, patient?.middle_name, patient?.last_name].filter(Boolean).join(' ').trim();
+}
+
+function personName(person) {
+  return [person?.firstName, person?.lastName].filter(Boolean).join(' ') || person?.name;
+}
+
+function pageOptions(query = {}) {
+  const page = Math.max(1, Number(query.page || 1));
+  const limit = Math.min(200, Math.max(1, Number(query.limit || 30)));
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// ============================================
+// Terminology lookup
+// ============================================
+
+/** Marks codes found in the loaded terminology and fills in missing display text. */
+async function verifyAgainstTerminology(hospitalId, rows) {
+  const icd10 = rows.filter((row) => row.system === 'ICD-10').map((row) => row.code);
+  const icd11 = rows.filter((row) => row.system === 'ICD-11').map((row) => row.code.split(/[&/]/)[0]);
+  const [local, who11] = await Promise.all([
+    icd10.length
+      ? TerminologyCode.find({ system: 'ICD-10', code: { $in: icd10 }, active: true, hospitalId: { $in: [null, hospitalId] } }).select('code display').lean()
+      : [],
+    icd11.length ? ICD11.find({ code: { $in: icd11 } }).select('code title').lean() : []
+  ]);
+  const known = new Map([
+    ...local.map((row) => [`ICD-10|${row.code}`, row.display]),
+    ...who11.map((row) => [`ICD-11|${row.code}`, row.title])
+  ]);
+  return rows.map((row) => {
+    const key = `${row.system}|${row.system === 'ICD-11' ? row.code.split(/[&/]/)[0] : row.code}`;
+    if (!known.has(key)) return { ...row, verified: false };
+    return { ...row, verified: true, display: row.display || known.get(key) };
+  });
+}
+
+// ============================================
+// Queue and workbench
+// ============================================
+
+async function loadAdmission(hospitalId, admissionId) {
+  if (!mongoose.isValidObjectId(admissionId)) throw httpError('Admission not found', 404);
+  const admission = await IPDAdmission.findOne({ _id: admissionId, hospitalId });
+  if (!admission) throw httpError('Admission not found', 404);
+  if (!admission.dischargeDate && !CODABLE_ADMISSION_STATUSES.includes(admission.status)) {
+    throw httpError('Coding starts once the patient is discharged', 409, 'CODING_NOT_DISCHARGED');
+  }
+  return admission;
+}
+
+async function loadRecord(hospitalId, admission, userId) {
+  const existing = await ClinicalCodingRecord.findOne({ hospitalId, admissionId: admission._id });
+  if (existing) return existing;
+  const summary = await DischargeSummary.findOne({ hospitalId, admissionId: admission._id }).select('_id').lean();
+  return new ClinicalCodingRecord({
+    hospitalId,
+    admissionId: admission._id,
+    patientId: admission.patientId,
+    dischargeSummaryId: summary?._id,
+    dischargeDate: admission.dischargeDate,
+    createdBy: userId
+  });
+}
+
+function recordStatus(record) {
+  if (record.status === 'coded') return 'coded';
+  if ((record.queries || []).some((query) => query.status === 'open')) return 'query_pending';
+  return (record.diagnoses || []).length || (record.procedures || []).length || (record.queries || []).length ? 'in_progress' : 'not_started';
+}
+
+async function persist(record, admission) {
+  record.status = recordStatus(record);
+  record.dischargeDate = admission.dischargeDate || record.dischargeDate;
+  await record.save();
+  if (admission.codingStatus !== record.status) {
+    await IPDAdmission.updateOne({ _id: admission._id }, { $set: { codingStatus: record.status } });
+    admission.codingStatus = record.status;
+  }
+  return record;
+}
+
+/** Discharged admissions awaiting or under coding, oldest discharge first by default. */
+async function codingQueue(hospitalId, query = {}) {
+  const { page, limit, skip } = pageOptions(query);
+  const statuses = String(query.status || 'not_started,in_progress,query_pending')
+    .split(',')
+    .map((value) => value.trim())
+    .filter((value) => ClinicalCodingRecord.CODING_STATUSES.includes(value));
+  // Admissions discharged before coding existed have no codingStatus yet.
+  const statusFilter = statuses.includes('not_started')
+    ? { $or: [{ codingStatus: { $in: statuses } }, { codingStatus: { $exists: false } }] }
+    : { codingStatus: { $in: statuses } };
+  const filter = {
+    hospitalId,
+    $and: [
+      { $or: [{ dischargeDate: { $ne: null } }, { status: { $in: CODABLE_ADMISSION_STATUSES } }] },
+      ...(statuses.length ? [statusFilter] : [])
+    ],
+    ...(query.from || query.to ? { dischargeDate: semanticDateRange(query.from, query.to) } : {}),
+    ...(mongoose.isValidObjectId(query.departmentId) ? { departmentId: query.departmentId } : {}),
+    ...(mongoose.isValidObjectId(query.doctorId) ? { primaryDoctorId: query.doctorId } : {})
+  };
+  const [admissions, total] = await Promise.all([
+    IPDAdmission.find(filter)
+      .sort({ dischargeDate: query.sort === 'recent' ? -1 : 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('patientId', 'salutation first_name middle_name last_name uhid patientId')
+      .populate('primaryDoctorId', 'firstName lastName')
+      .populate('departmentId', 'name')
+      .lean(),
+    IPDAdmission.countDocuments(filter)
+  ]);
+  const records = await ClinicalCodingRecord.find({ hospitalId, admissionId: { $in: admissions.map((row) => row._id) } })
+    .select('admissionId status diagnoses queries coderId updatedAt')
+    .lean();
+  const byAdmission = new Map(records.map((record) => [String(record.admissionId), record]));
+  const now = Date.now();
+  const rows = admissions.map((admission) => {
+    const record = byAdmission.get(String(admission._id));
+    const principal = record?.diagnoses?.find((row) => row.type === 'principal');
+    return {
+      admissionId: admission._id,
+      admissionNumber: admission.admissionNumber,
+      patientId: admission.patientId?._id,
+      patientName: patientName(admission.patientId),
+      uhid: admission.patientId?.uhid || admission.patientId?.patientId,
+      doctor: personName(admission.primaryDoctorId),
+      department: admission.departmentId?.name,
+      dischargeDate: admission.dischargeDate,
+      daysSinceDischarge: admission.dischargeDate ? Math.floor((now - new Date(admission.dischargeDate)) / 86400000) : null,
+      finalDiagnosis: admission.finalDiagnosis || admission.provisionalDiagnosis,
+      codingStatus: record?.status || admission.codingStatus || 'not_started',
+      principalDiagnosis: principal ? { system: principal.system, code: principal.code, display: principal.display } : null,
+      openQueries: (record?.queries || []).filter((item) => item.status === 'open').length,
+      lastCodedAt: record?.updatedAt
+    };
+  });
+  return { rows, total, page, limit, pages: Math.max(1, Math.ceil(total / limit)) };
+}
+
+/** Everything the coder needs on one screen: the clinical text, the codes so far and what still blocks completion. */
+async function workbench(hospitalId, admissionId) {
+  const admission = await loadAdmission(hospitalId, admissionId);
+  await admission.populate([
+    { path: 'patientId', select: 'salutation first_name middle_name last_name uhid patientId gender' },
+    { path: 'primaryDoctorId', select: 'firstName lastName user_id' },
+    { path: 'departmentId', select: 'name' }
+  ]);
+  const [record, summary] = await Promise.all([
+    loadRecord(hospitalId, admission),
+    DischargeSummary.findOne({ hospitalId, admissionId: admission._id })
+      .select('finalDiagnosis chiefComplaints proceduresDone surgeriesDone operativeNotes treatmentGiven investigations dischargeType deathDetails status')
+      .lean()
+  ]);
+  return {
+    admission: {
+      _id: admission._id,
+      admissionNumber: admission.admissionNumber,
+      admissionDate: admission.admissionDate,
+      dischargeDate: admission.dischargeDate,
+      status: admission.status,
+      patient: admission.patientId,
+      doctor: admission.primaryDoctorId,
+      department: admission.departmentId,
+      provisionalDiagnosis: admission.provisionalDiagnosis,
+      finalDiagnosis: admission.finalDiagnosis
+    },
+    dischargeSummary: summary,
+    coding: record.toObject(),
+    completeness: codingCompleteness(record, { documentedProcedures: Boolean(summary?.proceduresDone || summary?.surgeriesDone) })
+  };
+}
+
+// ============================================
+// Coding changes
+// ============================================
+
+function assertEditable(record) {
+  if (record.status === 'coded') {
+    throw httpError('Coding is complete; reopen it before changing codes', 409, 'CODING_LOCKED');
+  }
+}
+
+function assertSystems(diagnoses, procedures) {
+  const badDiagnosis = diagnoses.find((row) => !ClinicalCodingRecord.DIAGNOSIS_SYSTEMS.includes(row.system));
+  if (badDiagnosis) throw httpError(`Diagnosis code system must be one of ${ClinicalCodingRecord.DIAGNOSIS_SYSTEMS.join(', ')}`, 400, 'CODING_SYSTEM_INVALID');
+  const badProcedure = procedures.find((row) => !ClinicalCodingRecord.PROCEDURE_SYSTEMS.includes(row.system));
+  if (badProcedure) throw httpError(`Procedure code system must be one of ${ClinicalCodingRecord.PROCEDURE_SYSTEMS.join(', ')}`, 400, 'CODING_SYSTEM_INVALID');
+}
+
+async function saveCoding(req, hospitalId, admissionId, body = {}) {
+  const admission = await loadAdmission(hospitalId, admissionId);
+  const record = await loadRecord(hospitalId, admission, req.user._id);
+  assertEditable(record);
+  const before = { diagnoses: diagnosisText(record.diagnoses), procedures: (record.procedures || []).length };
+  if (Array.isArray(body.diagnoses)) {
+    const diagnoses = normalizeDiagnoses(body.diagnoses);
+    assertSystems(diagnoses, []);
+    record.diagnoses = await verifyAgainstTerminology(hospitalId, diagnoses);
+  }
+  if (Array.isArray(body.procedures)) {
+    const procedures = normalizeProcedures(body.procedures);
+    assertSystems([], procedures);
+    record.procedures = procedures.map((row) => ({ ...row, verified: isValidCode(row.system, row.code) }));
+  }
+  if (body.notes !== undefined) record.notes = body.notes;
+  record.coderId = record.coderId || req.user._id;
+  record.updatedBy = req.user._id;
+  await persist(record, admission);
+
+  await appendDomainEvent({
+    req,
+    eventType: 'mrd.coding.saved',
+    entityType: 'ClinicalCodingRecord',
+    entityId: record._id,
+    hospitalId,
+    patientId: record.patientId,
+    encounterId: record.admissionId,
+    beforeSummary: before,
+    afterSummary: { diagnoses: diagnosisText(record.diagnoses), procedures: record.procedures.length, status: record.status }
+  });
+
+  return { coding: record, completeness: codingCompleteness(record) };
+}
+
+async function raiseQuery(req, hospitalId, admissionId, body = {}) {
+  const subject = String(body.subject || '').trim();
+  const text = String(body.text || body.message || '').trim();
+  if (!subject || !text) throw httpError('subject and text are required', 400);
+  const admission = await loadAdmission(hospitalId, admissionId);
+  const record = await loadRecord(hospitalId, admission, req.user._id);
+  assertEditable(record);
+  const doctorId = mongoose.isValidObjectId(body.doctorId) ? body.doctorId : admission.primaryDoctorId;
+  const doctor = doctorId ? await Doctor.findOne({ _id: doctorId, hospitalId }).select('user_id firstName lastName').lean() : null;
+  if (body.doctorId && !doctor) throw httpError('Doctor not found', 404);
+  record.queries.push({
+    subject,
+    addressedToDoctorId: doctor?._id,
+    addressedToUserId: doctor?.user_id,
+    raisedBy: req.user._id,
+    messages: [{ authorId: req.user._id, authorName: req.user.name, authorRole: req.user.role, text }]
+  });
+  record.coderId = record.coderId || req.user._id;
+  record.updatedBy = req.user._id;
+  await persist(record, admission);
+  const query = record.queries[record.queries.length - 1];
+
+  await appendDomainEvent({
+    req,
+    eventType: 'mrd.coding.query_raised',
+    entityType: 'ClinicalCodingRecord',
+    entityId: record._id,
+    hospitalId,
+    patientId: record.patientId,
+    encounterId: record.admissionId,
+    afterSummary: { queryId: query._id, subject, doctorId: doctor?._id }
+  });
+
+  return { coding: record, query };
+}
+
+function findQuery(record, queryId) {
+  const query = record.queries.id(queryId);
+  if (!query) throw httpError('Coding query not found', 404);
+  return query;
+}
+
+/** Adds to a query thread. A reply from anyone but the coder who raised it answers the query. */
+async function replyToQuery(req, hospitalId, admissionId, queryId, body = {}) {
+  const text = String(body.text || body.message || '').trim();
+  if (!text) throw httpError('text is required', 400);
+  const admission = await loadAdmission(hospitalId, admissionId);
+  const record = await ClinicalCodingRecord.findOne({ hospitalId, admissionId: admission._id });
+  if (!record) throw httpError('Coding query not found', 404);
+  const query = findQuery(record, queryId);
+  if (query.status === 'closed') throw httpError('This query is closed', 409, 'CODING_QUERY_CLOSED');
+  query.messages.push({ authorId: req.user._id, authorName: req.user.name, authorRole: req.user.role, text });
+  if (String(query.raisedBy) !== String(req.user._id)) {
+    query.status = 'answered';
+    query.answeredAt = new Date();
+  } else if (query.status === 'answered') {
+    // The coder followed up: the clinician owes another answer.
+    query.status = 'open';
+  }
+  record.updatedBy = req.user._id;
+  await persist(record, admission);
+
+  await appendDomainEvent({
+    req,
+    eventType: 'mrd.coding.query_replied',
+    entityType: 'ClinicalCodingRecord',
+    entityId: record._id,
+    hospitalId,
+    patientId: record.patientId,
+    encounterId: record.admissionId,
+    afterSummary: { queryId: query._id, status: query.status }
+  });
+
+  return { coding: record, query };
+}
+
+async function closeQuery(req, hospitalId, admissionId, queryId) {
+  const admission = await loadAdmission(hospitalId, admissionId);
+  const record = await ClinicalCodingRecord.findOne({ hospitalId, admissionId: admission._id });
+  if (!record) throw httpError('Coding query not found', 404);
+  const query = findQuery(record, queryId);
+  query.status = 'closed';
+  query.closedAt = new Date();
+  query.closedBy = req.user._id;
+  record.updatedBy = req.user._id;
+  await persist(record, admission);
+
+  await appendDomainEvent({
+    req,
+    eventType: 'mrd.coding.query_closed',
+    entityType: 'ClinicalCodingRecord',
+    entityId: record._id,
+    hospitalId,
+    patientId: record.patientId,
+    encounterId: record.admissionId,
+    afterSummary: { queryId: query._id }
+  });
+
+  return { coding: record, query };
+}
+
+/** Queries addressed to the signed-in clinician. */
+async function myQueries(req, hospitalId, query = {}) {
+  const status = ['open', 'answered', 'closed'].includes(query.status) ? query.status : 'open';
+  const records = await ClinicalCodingRecord.find({
+    hospitalId,
+    queries: { $elemMatch: { addressedToUserId: req.user._id, status } }
+  })
+    .populate('patientId', 'salutation first_name middle_name last_name uhid patientId')
+    .populate('admissionId', 'admissionNumber dischargeDate')
+    .sort({ updatedAt: -1 })
+    .limit(200)
+    .lean();
+  return records.flatMap((record) => record.queries
+    .filter((item) => String(item.addressedToUserId) === String(req.user._id) && item.status === status)
+    .map((item) => ({
+      admissionId: record.admissionId?._id,
+      admissionNumber: record.admissionId?.admissionNumber,
+      dischargeDate: record.admissionId?.dischargeDate,
+      patientName: patientName(record.patientId),
+      uhid: record.patientId?.uhid || record.patientId?.patientId,
+      query: item
+    })));
+}
+
+/**
+ * Copies completed codes to the admission, the discharge summary (for the
+ * ABDM discharge bundle) and any claim that has not yet gone to the payer.
+ */
+async function propagateCodes(hospitalId, record) {
+  const diagnoses = record.diagnoses.map((row) => row.toObject?.() || row);
+  const procedures = record.procedures.map((row) => row.toObject?.() || row);
+  const text = diagnosisText(diagnoses);
+  await Promise.all([
+    IPDAdmission.updateOne({ _id: record.admissionId, hospitalId }, { $set: { codedDiagnoses: diagnoses, codedProcedures: procedures, codingStatus: 'coded' } }),
+    DischargeSummary.updateOne({ hospitalId, admissionId: record.admissionId }, { $set: { codedDiagnoses: diagnoses, codedProcedures: procedures } })
+  ]);
+  const claims = await ClaimCase.find({ hospitalId, admissionId: record.admissionId }).select('status schemeType claimNumber');
+  const updated = [];
+  const locked = [];
+  for (const claim of claims) {
+    if (!CLAIM_EDITABLE_STATUSES.includes(claim.status)) {
+      locked.push({ claimId: claim._id, claimNumber: claim.claimNumber, status: claim.status });
+      continue;
+    }
+    const set = { finalDiagnosis: text, codedDiagnoses: diagnoses, codedProcedures: procedures };
+    if (claim.schemeType === 'pmjay') {
+      set['schemeData.pmjay.finalDiagnosis'] = text;
+      set['schemeData.pmjay.icd10Codes'] = diagnoses.filter((row) => row.system === 'ICD-10').map((row) => row.code);
+      set['schemeData.pmjay.procedureCodes'] = procedures.map((row) => row.code);
+    }
+    await ClaimCase.updateOne({ _id: claim._id }, { $set: set });
+    updated.push({ claimId: claim._id, claimNumber: claim.claimNumber });
+  }
+  return { claimsUpdated: updated, claimsLocked: locked };
+}
+
+async function completeCoding(req, hospitalId, admissionId) {
+  const admission = await loadAdmission(hospitalId, admissionId);
+  const record = await ClinicalCodingRecord.findOne({ hospitalId, admissionId: admission._id });
+  if (!record) throw httpError('No codes have been entered for this admission', 409, 'CODING_INCOMPLETE');
+  assertEditable(record);
+  const completeness = codingCompleteness(record);
+  if (!completeness.complete) {
+    throw httpError('Coding is not complete', 409, 'CODING_INCOMPLETE', completeness);
+  }
+  record.status = 'coded';
+  record.codedAt = new Date();
+  record.codedBy = req.user._id;
+  record.updatedBy = req.user._id;
+  await persist(record, admission);
+  const propagation = await propagateCodes(hospitalId, record);
+
+  await appendDomainEvent({
+    req,
+    eventType: 'mrd.coding.completed',
+    entityType: 'ClinicalCodingRecord',
+    entityId: record._id,
+    hospitalId,
+    patientId: record.patientId,
+    encounterId: record.admissionId,
+    afterSummary: {
+      diagnoses: diagnosisText(record.diagnoses),
+      procedures: record.procedures.map((row) => row.code),
+      claimsUpdated: propagation.claimsUpdated.length,
+      claimsLocked: propagation.claimsLocked.length
+    }
+  });
+
+  return { coding: record, completeness, ...propagation };
+}
+
+async function reopenCoding(req, hospitalId, admissionId, body = {}) {
+  const reason = String(body.reason || '').trim();
+  if (!reason) throw httpError('A reason is required to reopen coding', 400);
+  const admission = await loadAdmission(hospitalId, admissionId);
+  const record = await ClinicalCodingRecord.findOne({ hospitalId, admissionId: admission._id });
+  if (!record || record.status !== 'coded') throw httpError('Coding is not complete', 409, 'CODING_NOT_COMPLETE');
+  record.status = 'in_progress';
+  record.reopenedAt = new Date();
+  record.reopenReason = reason;
+  record.updatedBy = req.user._id;
+  await persist(record, admission);
+
+  await appendDomainEvent({
+    req,
+    eventType: 'mrd.coding.reopened',
+    entityType: 'ClinicalCodingRecord',
+    entityId: record._id,
+    hospitalId,
+    patientId: record.patientId,
+    encounterId: record.admissionId,
+    afterSummary: { reason }
+  });
+
+  return { coding: record };
+}
+
+/** Called before an IPD medical record file is closed (archived). */
+async function assertCodingComplete(hospitalId, admissionId) {
+  const record = await ClinicalCodingRecord.findOne({ hospitalId, admissionId }).select('status').lean();
+  if (record?.status !== 'coded') {
+    throw httpError('Clinical coding must be completed before the file is closed', 409, 'CODING_INCOMPLETE', {
+      codingStatus: record?.status || 'not_started'
+    });
+  }
+}
+
+// ============================================
+// Reports
+// ============================================
+
+/** Morbidity / mortality by code for admissions discharged in [from, to]. */
+async function codeReport(hospitalId, key, { from, to, system, level } = {}) {
+  const records = await ClinicalCodingRecord.find({
+    hospitalId,
+    status: 'coded',
+    dischargeDate: { $gte: from, $lte: to }
+  })
+    .select('admissionId diagnoses dischargeDate')
+    .populate('admissionId', 'admissionDate dischargeDate status plannedDischargeType dischargeReason')
+    .lean();
+  const rows = codeStatistics(records.map((record) => ({
+    diagnoses: record.diagnoses,
+    admissionDate: record.admissionId?.admissionDate,
+    dischargeDate: record.admissionId?.dischargeDate || record.dischargeDate,
+    died: admissionDied(record.admissionId)
+  })), {
+    level: level === 'category' ? 'category' : 'code',
+    system: ClinicalCodingRecord.DIAGNOSIS_SYSTEMS.includes(system) ? system : undefined
+  });
+  const deaths = rows.reduce((sum, row) => sum + row.deaths, 0);
+  if (key === 'mortality-by-code') {
+    const deathRows = rows
+      .filter((row) => row.deaths)
+      .sort((a, b) => b.deaths - a.deaths)
+      .map((row) => ({ ...row, shareOfDeaths: Number(((row.deaths / deaths) * 100).toFixed(2)) }));
+    return { key, rows: deathRows, codedAdmissions: records.length, deaths };
+  }
+  return { key, rows, codedAdmissions: records.length, deaths };
+}
+
+module.exports = {
+  CODABLE_ADMISSION_STATUSES,
+  CLAIM_EDITABLE_STATUSES,
+  isValidCode,
+  codeCategory,
+  normalizeDiagnoses,
+  codingCompleteness,
+  codeStatistics,
+  diagnosisText,
+  codingQueue,
+  workbench,
+  saveCoding,
+  raiseQuery,
+  replyToQuery,
+  closeQuery,
+  myQueries,
+  completeCoding,
+  reopenCoding,
+  assertCodingComplete,
+  codeReport
+};
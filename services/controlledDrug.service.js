@@ -0,0 +1,739 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const ControlledDrugRegisterEntry = require('../models/ControlledDrugRegisterEntry');
+const ControlledDrugBalance = require('../models/ControlledDrugBalance');
+const NarcoticCabinet = require('../models/NarcoticCabinet');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const Sale = require('../models/Sale');
+const User = require('../models/User');
+const { nextNumber } = require('./hospitalSequence.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { operationNow, currentContext } = require('../utils/operationTimeContext');
+const { hospitalDayBounds, hospitalDateKey } = require('../utils/hospitalDateTime');
+
+// Schedules kept in the running register. Schedule H only needs a
+// prescription, which the POS already enforces.
+const REGISTER_SCHEDULES = ['H1', 'X', 'NDPS'];
+// Schedule X and NDPS supplies must be traceable to a specific prescription.
+const PRESCRIPTION_COPY_SCHEDULES = ['X', 'NDPS'];
+const WITNESS_ROLES = ['admin', 'doctor', 'nurse', 'pharmacy'];
+const H1_COLUMNS = ['date', 'entry_number', 'drug', 'batch', 'quantity', 'patient_name', 'patient_address', 'prescriber_name', 'prescriber_registration', 'prescriber_address', 'prescription_reference'];
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function text(value) {
+  return String(value ?? '').trim();
+}
+
+function isRegistered(schedule) {
+  return REGISTER_SCHEDULES.includes(schedule);
+}
+
+function quantityOf(value) {
+  const quantity = Number(value);
+  if (!Number.isFinite(quantity) || quantity <= 0) throw httpError('quantity must be greater than zero');
+  return quantity;
+}
+
+function personName(person) {
+  if (!person) return '';
+  return text(person.name || [person.salutation, person.first_name || person.firstName, person.middle_name, person.last_name || person.lastName].filter(Boolean).join(' '));
+}
+
+function personAddress(person) {
+  if (!person) return '';
+  return [person.address, person.village, person.city, person.state, person.zipCode].map(text).filter(Boolean).join(', ');
+}
+
+/**
+ * Patient and prescriber particulars a controlled-drug supply has to carry.
+ * Explicit counter entries win over what the patient and prescription records
+ * hold. Returns the capture plus a list of missing fields.
+ */
+function saleCapture({ items = [], explicit = {}, context = {} }) {
+  const schedules = [...new Set(items.map((item) => item._medicine?.drugSchedule || item.drugSchedule).filter(isRegistered))];
+  if (!schedules.length) return { required: false, schedules, capture: null, missing: [] };
+  const doctor = context.prescription?.doctor_id || context.admission?.primaryDoctorId || context.doctor || null;
+  const capture = {
+    patientName: text(explicit.patientName) || text(context.patientName) || personName(context.patient),
+    patientAddress: text(explicit.patientAddress) || personAddress(context.patient),
+    prescriberName: text(explicit.prescriberName) || text(context.doctorName) || personName(doctor),
+    prescriberRegistrationNumber: text(explicit.prescriberRegistrationNumber) || text(doctor?.licenseNumber),
+    prescriberAddress: text(explicit.prescriberAddress) || personAddress(doctor),
+    prescriptionReference: text(explicit.prescriptionReference) || text(context.prescription?.prescriptionNumber || context.prescription?._id)
+  };
+  const missing = ['patientName', 'patientAddress', 'prescriberName', 'prescriberRegistrationNumber', 'prescriberAddress'].filter((key) => !capture[key]);
+  if (schedules.some((schedule) => PRESCRIPTION_COPY_SCHEDULES.includes(schedule)) && !capture.prescriptionReference) missing.push('prescriptionReference');
+  return { required: true, schedules, capture, missing };
+}
+
+function assertSaleCapture(result, items) {
+  if (!result.required || !result.missing.length) return result.capture;
+  throw httpError('Prescriber and patient particulars are required to supply a controlled drug', 422, 'CONTROLLED_DRUG_CAPTURE_REQUIRED', {
+    missing: result.missing,
+    schedules: result.schedules,
+    medicines: items.filter((item) => isRegistered(item._medicine?.drugSchedule)).map((item) => item.medicine_name)
+  });
+}
+
+function csvCell(value) {
+  const cell = value === null || value === undefined ? '' : String(value);
+  return `"${cell.replace(/"/g, '""')}"`;
+}
+
+/** Schedule H1 supply register: one line per supply, in the statutory column order. */
+function h1RegisterCsv(entries, timeZone) {
+  const rows = entries.map((entry) => [
+    hospitalDateKey(entry.entryAt, timeZone),
+    entry.entryNumber,
+    entry.medicineName,
+    entry.batchNumber,
+    entry.quantityOut,
+    entry.patient?.name,
+    entry.patient?.address,
+    entry.prescriber?.name,
+    entry.prescriber?.registrationNumber,
+    entry.prescriber?.address,
+    entry.prescriptionReference
+  ].map(csvCell).join(','));
+  return [H1_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Per-drug opening, receipts, issues and closing for a period, from the
+ * register rows in entry order. The opening is the balance before the first
+ * row in the period; drugs with no movement carry their prior closing.
+ */
+function registerSummary(entries, carriedBalances = []) {
+  const byDrug = new Map();
+  for (const carried of carriedBalances) {
+    byDrug.set(String(carried.medicineId), {
+      medicineId: carried.medicineId,
+      medicineName: carried.medicineName,
+      drugSchedule: carried.drugSchedule,
+      opening: carried.balance,
+      receipts: 0,
+      issues: 0,
+      closing: carried.balance
+    });
+  }
+  for (const entry of entries) {
+    const key = String(entry.medicineId);
+    if (!byDrug.has(key)) {
+      // A register opened inside the period starts from its opening row.
+      const opening = entry.entryType === 'opening' ? entry.closingBalance : entry.openingBalance;
+      byDrug.set(key, { medicineId: entry.medicineId, medicineName: entry.medicineName, drugSchedule: entry.drugSchedule, opening, receipts: 0, issues: 0, closing: opening });
+    }
+    const summary = byDrug.get(key);
+    if (entry.entryType !== 'opening') {
+      summary.receipts += Number(entry.quantityIn || 0);
+      summary.issues += Number(entry.quantityOut || 0);
+    }
+    summary.closing = entry.closingBalance;
+  }
+  return [...byDrug.values()].sort((a, b) => String(a.medicineName).localeCompare(String(b.medicineName)));
+}
+
+function monthRange(month, timeZone) {
+  const match = /^(\d{4})-(\d{2})$/.exec(text(month));
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) throw httpError('month must be YYYY-MM');
+  const nextYear = match[2] === '12' ? Number(match[1]) + 1 : Number(match[1]);
+  const nextMonth = match[2] === '12' ? 1 : Number(match[2]) + 1;
+  return {
+    start: hospitalDayBounds(`${match[1]}-${match[2]}-01`, timeZone).start,
+    end: hospitalDayBounds(`${nextYear}-${String(nextMonth).padStart(2, '0')}-01`, timeZone).start
+  };
+}
+
+async function runInTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+function balanceKey(hospitalId, storeType, cabinetId, medicineId) {
+  return { hospitalId, storeType, cabinetId: storeType === 'cabinet' ? cabinetId : null, medicineId };
+}
+
+// Pharmacy stock predates the register, so its first movement opens the
+// register at the batch balance as it stood just before that movement.
+async function ensurePharmacyOpening({ hospitalId, medicine, netAlreadyApplied, performedBy }) {
+  const key = balanceKey(hospitalId, 'pharmacy', null, medicine._id);
+  if (await ControlledDrugBalance.exists(key)) return;
+  const [stock] = await MedicineBatch.aggregate([
+    { $match: { medicine_id: new mongoose.Types.ObjectId(String(medicine._id)) } },
+    { $group: { _id: null, onHand: { $sum: { $ifNull: ['$quantity_base_units', '$quantity'] } } } }
+  ]);
+  const opening = Math.max(0, Number(stock?.onHand || 0) - netAlreadyApplied);
+  try {
+    await ControlledDrugBalance.create({ ...key, balance: opening, lastEntryAt: operationNow() });
+  } catch (error) {
+    if (error?.code === 11000) return;
+    throw error;
+  }
+  await ControlledDrugRegisterEntry.create({
+    hospitalId,
+    entryNumber: await nextNumber(hospitalId, 'controlled-drug-register', 'CDR'),
+    entryAt: operationNow(),
+    storeType: 'pharmacy',
+    medicineId: medicine._id,
+    medicineName: medicine.name,
+    drugSchedule: medicine.drugSchedule,
+    entryType: 'opening',
+    quantityIn: opening,
+    openingBalance: 0,
+    closingBalance: opening,
+    sourceModel: 'Manual',
+    sourceKey: `opening:pharmacy:${medicine._id}`,
+    reason: 'Register opened from pharmacy stock on hand',
+    performedBy
+  });
+}
+
+/**
+ * Posts one register row and moves the store balance in one transaction. The
+ * sourceKey makes every posting idempotent: when two postings race, the loser's
+ * balance movement rolls back with its duplicate row. An outward movement
+ * larger than the register balance is refused.
+ */
+async function postEntry({
+  hospitalId, medicine, storeType = 'pharmacy', cabinetId, entryType, quantityIn = 0, quantityOut = 0,
+  batch, patient, prescriber, prescriptionId, prescriptionReference, supplierName,
+  sourceModel, sourceId, sourceKey, reason, performedBy, witnessedBy, stockAlreadyMoved = false
+}) {
+  if (!isRegistered(medicine.drugSchedule)) return null;
+  const existing = await ControlledDrugRegisterEntry.findOne({ hospitalId, sourceKey }).lean();
+  if (existing) return existing;
+  if (storeType === 'pharmacy') {
+    await ensurePharmacyOpening({ hospitalId, medicine, netAlreadyApplied: stockAlreadyMoved ? quantityIn - quantityOut : 0, performedBy });
+  }
+  const key = balanceKey(hospitalId, storeType, cabinetId, medicine._id);
+  const delta = Number(quantityIn || 0) - Number(quantityOut || 0);
+  const at = operationNow();
+  try {
+    return await runInTransaction(async (session) => {
+      const balance = await ControlledDrugBalance.findOneAndUpdate(
+        quantityOut > 0 ? { ...key, balance: { $gte: quantityOut } } : key,
+        { $inc: { balance: delta }, $set: { lastEntryAt: at } },
+        { new: true, upsert: quantityOut <= 0, session }
+      );
+      if (!balance) {
+        const current = await ControlledDrugBalance.findOne(key).session(session).lean();
+        throw httpError(`${medicine.name} register balance is ${current?.balance || 0}; cannot issue ${quantityOut}`, 409, 'CONTROLLED_DRUG_BALANCE_SHORT');
+      }
+      const [entry] = await ControlledDrugRegisterEntry.create([{
+        hospitalId,
+        entryNumber: await nextNumber(hospitalId, 'controlled-drug-register', 'CDR', session),
+        entryAt: at,
+        storeType,
+        cabinetId: storeType === 'cabinet' ? cabinetId : undefined,
+        medicineId: medicine._id,
+        medicineName: medicine.name,
+        drugSchedule: medicine.drugSchedule,
+        batchId: batch?._id,
+        batchNumber: batch?.batch_number,
+        entryType,
+        quantityIn,
+        quantityOut,
+        openingBalance: balance.balance - delta,
+        closingBalance: balance.balance,
+        patient,
+        prescriber,
+        prescriptionId,
+        prescriptionReference,
+        supplierName,
+        sourceModel,
+        sourceId,
+        sourceKey,
+        reason,
+        performedBy,
+        witnessedBy
+      }], { session });
+      return entry;
+    });
+  } catch (error) {
+    if (error?.code === 11000 && error.keyPattern?.sourceKey) {
+      const posted = await ControlledDrugRegisterEntry.findOne({ hospitalId, sourceKey }).lean();
+      if (posted) return posted;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Controlled lines whose requested quantity exceeds what the register can
+ * issue. `available` maps medicine id to the register balance.
+ */
+function registerShortfalls(lines, available) {
+  const totals = new Map();
+  for (const line of lines) {
+    const key = String(line.medicineId);
+    const row = totals.get(key) || { medicineId: line.medicineId, medicineName: line.medicineName, quantity: 0 };
+    row.quantity += Number(line.quantity || 0);
+    totals.set(key, row);
+  }
+  return [...totals.values()]
+    .map((row) => ({ ...row, balance: Number(available.get(String(row.medicineId)) || 0) }))
+    .filter((row) => row.quantity > row.balance);
+}
+
+// Register balance a pharmacy issue would draw on: the running balance, or
+// the on-hand stock the register would open at on its first movement.
+async function pharmacyRegisterBalance(hospitalId, medicineId) {
+  const balance = await ControlledDrugBalance.findOne(balanceKey(hospitalId, 'pharmacy', null, medicineId)).lean();
+  if (balance) return balance.balance;
+  const [stock] = await MedicineBatch.aggregate([
+    { $match: { medicine_id: new mongoose.Types.ObjectId(String(medicineId)) } },
+    { $group: { _id: null, onHand: { $sum: { $ifNull: ['$quantity_base_units', '$quantity'] } } } }
+  ]);
+  return Math.max(0, Number(stock?.onHand || 0));
+}
+
+async function assertRegisterCovers(hospitalId, lines) {
+  if (!lines.length) return;
+  const ids = [...new Set(lines.map((line) => String(line.medicineId)))];
+  const balances = await Promise.all(ids.map((id) => pharmacyRegisterBalance(hospitalId, id)));
+  const shortfalls = registerShortfalls(lines, new Map(ids.map((id, index) => [id, balances[index]])));
+  if (shortfalls.length) {
+    const first = shortfalls[0];
+    throw httpError(`${first.medicineName} register balance is ${first.balance}; cannot issue ${first.quantity}`, 409, 'CONTROLLED_DRUG_BALANCE_SHORT', { shortfalls });
+  }
+}
+
+/**
+ * Checked before a sale moves any stock: the register must be able to issue
+ * every controlled line, otherwise the issue posting would fail after the
+ * batches were already deducted.
+ */
+async function assertSaleRegisterBalance({ hospitalId, items }) {
+  const lines = items
+    .filter((item) => isRegistered(item._medicine?.drugSchedule))
+    .map((item) => ({
+      medicineId: item.medicine_id,
+      medicineName: item.medicine_name || item._medicine.name,
+      quantity: Number(item.quantity_base_units || item.quantity || 0)
+    }));
+  return assertRegisterCovers(hospitalId, lines);
+}
+
+async function medicinesById(ids) {
+  const rows = await Medicine.find({ _id: { $in: ids } }).select('name drugSchedule hospitalId').lean();
+  return new Map(rows.map((row) => [String(row._id), row]));
+}
+
+/** Register issues for the controlled lines of a completed POS or IPD sale. */
+async function recordSaleIssues({ hospitalId, sale, items, capture, context = {}, createdBy }) {
+  const controlled = items.filter((item) => isRegistered(item._medicine?.drugSchedule));
+  if (!controlled.length) return [];
+  const entries = [];
+  for (const [index, item] of controlled.entries()) {
+    // eslint-disable-next-line no-await-in-loop
+    entries.push(await postEntry({
+      hospitalId,
+      medicine: { _id: item.medicine_id, name: item.medicine_name || item._medicine.name, drugSchedule: item._medicine.drugSchedule },
+      entryType: 'issue',
+      quantityOut: Number(item.quantity_base_units || item.quantity || 0),
+      batch: { _id: item.batch_id, batch_number: item.batch_number },
+      patient: { patientId: sale.patient_id, admissionId: sale.admission_id, name: capture?.patientName, address: capture?.patientAddress },
+      prescriber: {
+        doctorId: context.doctorId,
+        name: capture?.prescriberName,
+        registrationNumber: capture?.prescriberRegistrationNumber,
+        address: capture?.prescriberAddress
+      },
+      prescriptionId: sale.prescription_id || context.prescription?._id,
+      prescriptionReference: capture?.prescriptionReference,
+      sourceModel: 'Sale',
+      sourceId: sale._id,
+      sourceKey: `sale:${sale._id}:${item.batch_id || item.medicine_id}:${index}`,
+      performedBy: createdBy,
+      stockAlreadyMoved: true
+    }));
+  }
+  return entries;
+}
+
+/** Restocked controlled lines of a pharmacy return go back into the register. */
+async function recordReturnReceipts({ hospitalId, pharmacyReturn, createdBy }) {
+  const lines = (pharmacyReturn.items || []).filter((item) => item.restock && item.batchId);
+  if (!lines.length) return [];
+  const [medicines, batches] = await Promise.all([
+    medicinesById(lines.map((line) => line.medicineId)),
+    MedicineBatch.find({ _id: { $in: lines.map((line) => line.batchId) } }).select('batch_number').lean()
+  ]);
+  const batchNumbers = new Map(batches.map((batch) => [String(batch._id), batch.batch_number]));
+  const entries = [];
+  for (const [index, line] of lines.entries()) {
+    const medicine = medicines.get(String(line.medicineId));
+    if (!medicine || !isRegistered(medicine.drugSchedule)) continue;
+    // eslint-disable-next-line no-await-in-loop
+    entries.push(await postEntry({
+      hospitalId,
+      medicine,
+      entryType: 'return',
+      quantityIn: Number(line.returnedQtyBaseUnits || 0),
+      batch: { _id: line.batchId, batch_number: batchNumbers.get(String(line.batchId)) },
+      patient: { patientId: pharmacyReturn.patientId, admissionId: pharmacyReturn.admissionId },
+      sourceModel: 'PharmacyReturn',
+      sourceId: pharmacyReturn._id,
+      sourceKey: `return:${pharmacyReturn._id}:${line.batchId}:${index}`,
+      performedBy: createdBy,
+      stockAlreadyMoved: true
+    }));
+  }
+  return entries;
+}
+
+async function recordPurchaseReceipt({ hospitalId, medicine, batch, quantity, order, supplierName, performedBy }) {
+  if (!isRegistered(medicine.drugSchedule) || !(Number(quantity) > 0)) return null;
+  return postEntry({
+    hospitalId,
+    medicine,
+    entryType: 'receipt',
+    quantityIn: Number(quantity),
+    batch,
+    supplierName,
+    sourceModel: 'PurchaseOrder',
+    sourceId: order._id,
+    sourceKey: `receipt:${order._id}:${batch._id}`,
+    performedBy,
+    stockAlreadyMoved: true
+  });
+}
+
+async function assertWitness({ hospitalId, witnessId, performedBy }) {
+  if (!witnessId) throw httpError('A second staff member must witness this entry', 400, 'WITNESS_REQUIRED');
+  if (String(witnessId) === String(performedBy)) throw httpError('The witness must be a different staff member', 400, 'WITNESS_REQUIRED');
+  const witness = mongoose.isValidObjectId(witnessId)
+    ? await User.findOne({ _id: witnessId, hospital_id: hospitalId, is_active: { $ne: false } }).select('name role').lean()
+    : null;
+  if (!witness || !WITNESS_ROLES.includes(witness.role)) throw httpError('Witness must be an active doctor, nurse or pharmacist of this hospital', 400, 'WITNESS_INVALID');
+  return witness;
+}
+
+/**
+ * Witness and register checks for a controlled-drug stock adjustment, run
+ * before the batch moves so a refused adjustment leaves stock alone.
+ */
+async function assertAdjustmentAllowed({ req, hospitalId, medicine, direction, quantity, witnessId }) {
+  if (!isRegistered(medicine.drugSchedule)) return;
+  await assertWitness({ hospitalId, witnessId, performedBy: req.user._id });
+  if (direction === 'out') {
+    await assertRegisterCovers(hospitalId, [{ medicineId: medicine._id, medicineName: medicine.name, quantity: quantityOf(quantity) }]);
+  }
+}
+
+/**
+ * Register entry for a stock adjustment, posted after the batch has moved
+ * with the quantity actually applied to it.
+ */
+async function recordAdjustment({ req, hospitalId, medicine, batch, direction, quantity, reason, witnessId, adjustment }) {
+  if (!isRegistered(medicine.drugSchedule) || !(Number(quantity) > 0)) return null;
+  const qty = quantityOf(quantity);
+  return postEntry({
+    hospitalId,
+    medicine,
+    entryType: 'adjustment',
+    quantityIn: direction === 'in' ? qty : 0,
+    quantityOut: direction === 'out' ? qty : 0,
+    batch,
+    reason,
+    sourceModel: 'StockAdjustment',
+    sourceId: adjustment._id,
+    sourceKey: `adjustment:${adjustment._id}`,
+    performedBy: req.user._id,
+    witnessedBy: witnessId,
+    stockAlreadyMoved: true
+  });
+}
+
+/** Stock added directly as a new batch goes into the register as a receipt. */
+async function recordBatchReceipt({ hospitalId, medicine, batch, performedBy }) {
+  const quantity = Number(batch.quantity_base_units ?? batch.quantity ?? 0);
+  if (!isRegistered(medicine.drugSchedule) || !(quantity > 0)) return null;
+  return postEntry({
+    hospitalId,
+    medicine,
+    entryType: 'receipt',
+    quantityIn: quantity,
+    batch,
+    reason: 'Batch added to stock',
+    sourceModel: 'MedicineBatch',
+    sourceId: batch._id,
+    sourceKey: `batch:${batch._id}`,
+    performedBy,
+    stockAlreadyMoved: true
+  });
+}
+
+/** Controlled lines of a voided sale return to the register with their stock. */
+async function recordVoidReturns({ hospitalId, sale, createdBy }) {
+  const items = (sale.items || []).filter((item) => item.batch_id && Number(item.quantity_base_units) > 0);
+  if (!items.length) return [];
+  const medicines = await medicinesById(items.map((item) => item.medicine_id));
+  const entries = [];
+  for (const [index, item] of items.entries()) {
+    const medicine = medicines.get(String(item.medicine_id));
+    if (!medicine || !isRegistered(medicine.drugSchedule)) continue;
+    // eslint-disable-next-line no-await-in-loop
+    entries.push(await postEntry({
+      hospitalId,
+      medicine,
+      entryType: 'return',
+      quantityIn: Number(item.quantity_base_units),
+      batch: { _id: item.batch_id, batch_number: item.batch_number },
+      patient: { patientId: sale.patient_id, admissionId: sale.admission_id },
+      reason: 'Sale voided',
+      sourceModel: 'Sale',
+      sourceId: sale._id,
+      sourceKey: `void:${sale._id}:${item.batch_id}:${index}`,
+      performedBy: createdBy,
+      stockAlreadyMoved: true
+    }));
+  }
+  return entries;
+}
+
+async function loadCabinet(hospitalId, id) {
+  const cabinet = await NarcoticCabinet.findOne({ _id: id, hospitalId });
+  if (!cabinet) throw httpError('Narcotic cabinet not found', 404);
+  if (!cabinet.active) throw httpError('Narcotic cabinet is inactive', 409);
+  return cabinet;
+}
+
+async function loadControlledMedicine(hospitalId, medicineId) {
+  const medicine = mongoose.isValidObjectId(medicineId)
+    ? await Medicine.findOne({ _id: medicineId, $or: [{ hospitalId }, { hospitalId: null }, { hospitalId: { $exists: false } }] }).select('name drugSchedule').lean()
+    : null;
+  if (!medicine) throw httpError('Medicine not found', 404);
+  if (!isRegistered(medicine.drugSchedule)) throw httpError(`${medicine.name} is not a register-controlled drug`, 409, 'NOT_CONTROLLED_DRUG');
+  return medicine;
+}
+
+async function saveCabinet({ req, hospitalId, id, body = {} }) {
+  const input = {
+    code: text(body.code),
+    name: text(body.name),
+    wardId: body.wardId,
+    location: text(body.location) || undefined,
+    custodianIds: Array.isArray(body.custodianIds) ? body.custodianIds : [],
+    active: body.active !== false,
+    updatedBy: req.user._id
+  };
+  if (!input.code || !input.name || !input.wardId) throw httpError('code, name and wardId are required');
+  if (!id) return NarcoticCabinet.create({ ...input, hospitalId, createdBy: req.user._id });
+  const cabinet = await NarcoticCabinet.findOne({ _id: id, hospitalId });
+  if (!cabinet) throw httpError('Narcotic cabinet not found', 404);
+  cabinet.set(input);
+  return cabinet.save();
+}
+
+function listCabinets({ hospitalId, wardId }) {
+  return NarcoticCabinet.find({ hospitalId, ...(wardId ? { wardId } : {}) }).populate('wardId', 'name code').sort({ code: 1 }).lean();
+}
+
+/**
+ * Ward nurse takes custody of the controlled lines of an IPD sale: the
+ * pharmacy has already issued them to the patient, the cabinet receives them.
+ */
+async function receiveIntoCabinet({ req, hospitalId, cabinetId, saleId, witnessId }) {
+  const cabinet = await loadCabinet(hospitalId, cabinetId);
+  await assertWitness({ hospitalId, witnessId, performedBy: req.user._id });
+  const sale = mongoose.isValidObjectId(saleId) ? await Sale.findOne({ _id: saleId, hospitalId }).lean() : null;
+  if (!sale) throw httpError('Sale not found', 404);
+  if (!sale.admission_id) throw httpError('Only IPD sales can be received into a ward cabinet', 409);
+  const medicines = await medicinesById((sale.items || []).map((item) => item.medicine_id));
+  const lines = (sale.items || []).filter((item) => isRegistered(medicines.get(String(item.medicine_id))?.drugSchedule));
+  if (!lines.length) throw httpError('Sale has no controlled drugs', 409, 'NOT_CONTROLLED_DRUG');
+  const entries = [];
+  for (const [index, line] of lines.entries()) {
+    // eslint-disable-next-line no-await-in-loop
+    entries.push(await postEntry({
+      hospitalId,
+      medicine: medicines.get(String(line.medicine_id)),
+      storeType: 'cabinet',
+      cabinetId: cabinet._id,
+      entryType: 'receipt',
+      quantityIn: Number(line.quantity_base_units || line.quantity || 0),
+      batch: { _id: line.batch_id, batch_number: line.batch_number },
+      patient: { patientId: sale.patient_id, admissionId: sale.admission_id, name: sale.customer_name },
+      sourceModel: 'Sale',
+      sourceId: sale._id,
+      sourceKey: `cabinet-receipt:${sale._id}:${line.batch_id || line.medicine_id}:${index}`,
+      performedBy: req.user._id,
+      witnessedBy: witnessId
+    }));
+  }
+  await appendDomainEvent({
+    req,
+    eventType: 'controlled_drug.cabinet_received',
+    entityType: 'NarcoticCabinet',
+    entityId: cabinet._id,
+    hospitalId,
+    patientId: sale.patient_id,
+    afterSummary: { saleId: sale._id, lines: entries.length, witnessedBy: witnessId }
+  });
+  return entries;
+}
+
+/**
+ * Administration or wastage out of a ward cabinet. Both need a second person;
+ * wastage (a partly used ampoule, a dropped tablet) also needs a reason.
+ */
+async function cabinetMovement({ req, hospitalId, cabinetId, entryType, body = {} }) {
+  if (!['administration', 'wastage'].includes(entryType)) throw httpError('Unsupported cabinet movement');
+  const cabinet = await loadCabinet(hospitalId, cabinetId);
+  await assertWitness({ hospitalId, witnessId: body.witnessId, performedBy: req.user._id });
+  const medicine = await loadControlledMedicine(hospitalId, body.medicineId);
+  const quantity = quantityOf(body.quantity);
+  if (entryType === 'administration' && !body.patientId) throw httpError('patientId is required for an administration');
+  if (entryType === 'wastage' && !text(body.reason)) throw httpError('reason is required for wastage');
+  const entry = await postEntry({
+    hospitalId,
+    medicine,
+    storeType: 'cabinet',
+    cabinetId: cabinet._id,
+    entryType,
+    quantityOut: quantity,
+    batch: body.batchId ? { _id: body.batchId, batch_number: text(body.batchNumber) || undefined } : undefined,
+    patient: body.patientId ? { patientId: body.patientId, admissionId: body.admissionId } : undefined,
+    reason: text(body.reason) || undefined,
+    sourceModel: 'NarcoticCabinet',
+    sourceId: cabinet._id,
+    sourceKey: text(body.idempotencyKey) ? `cabinet:${cabinet._id}:${text(body.idempotencyKey)}` : `cabinet:${cabinet._id}:${new mongoose.Types.ObjectId()}`,
+    performedBy: req.user._id,
+    witnessedBy: body.witnessId
+  });
+  await appendDomainEvent({
+    req,
+    eventType: `controlled_drug.${entryType}`,
+    entityType: 'ControlledDrugRegisterEntry',
+    entityId: entry._id,
+    hospitalId,
+    patientId: body.patientId,
+    afterSummary: { cabinet: cabinet.code, medicine: medicine.name, quantity, closingBalance: entry.closingBalance, witnessedBy: body.witnessId },
+    comments: text(body.reason) || undefined
+  });
+  return entry;
+}
+
+async function balances({ hospitalId, storeType = 'pharmacy', cabinetId }) {
+  if (storeType === 'cabinet') await loadCabinet(hospitalId, cabinetId);
+  return ControlledDrugBalance.find({ hospitalId, storeType, cabinetId: storeType === 'cabinet' ? cabinetId : null })
+    .populate('medicineId', 'name strength dosage_form drugSchedule')
+    .sort({ updatedAt: -1 })
+    .lean();
+}
+
+function registerFilter(hospitalId, query = {}) {
+  const filter = { hospitalId, storeType: query.storeType === 'cabinet' ? 'cabinet' : 'pharmacy' };
+  if (filter.storeType === 'cabinet') {
+    if (!query.cabinetId) throw httpError('cabinetId is required for a cabinet register');
+    filter.cabinetId = query.cabinetId;
+  }
+  if (query.medicineId) filter.medicineId = query.medicineId;
+  if (query.schedule) filter.drugSchedule = query.schedule;
+  return filter;
+}
+
+// Aggregation skips schema casting, so ids in the match need to be ObjectIds.
+function aggregateMatch(filter) {
+  const match = { ...filter };
+  for (const key of ['hospitalId', 'cabinetId', 'medicineId']) {
+    if (match[key]) match[key] = new mongoose.Types.ObjectId(String(match[key]));
+  }
+  return match;
+}
+
+async function listRegister({ hospitalId, query = {} }) {
+  const filter = registerFilter(hospitalId, query);
+  if (query.month) {
+    const range = monthRange(query.month, currentContext()?.timeZone);
+    filter.entryAt = { $gte: range.start, $lt: range.end };
+  }
+  return ControlledDrugRegisterEntry.find(filter).sort({ entryAt: 1, entryNumber: 1 }).limit(5000).lean();
+}
+
+/** Monthly per-drug summary for the drug controller's inspection. */
+async function monthlyRegister({ hospitalId, query = {} }) {
+  const filter = registerFilter(hospitalId, query);
+  const range = monthRange(query.month, currentContext()?.timeZone);
+  const [entries, prior] = await Promise.all([
+    ControlledDrugRegisterEntry.find({ ...filter, entryAt: { $gte: range.start, $lt: range.end } }).sort({ entryAt: 1, entryNumber: 1 }).lean(),
+    ControlledDrugRegisterEntry.aggregate([
+      { $match: { ...aggregateMatch(filter), entryAt: { $lt: range.start } } },
+      { $sort: { entryAt: 1, entryNumber: 1 } },
+      { $group: { _id: '$medicineId', medicineName: { $last: '$medicineName' }, drugSchedule: { $last: '$drugSchedule' }, balance: { $last: '$closingBalance' } } }
+    ])
+  ]);
+  return {
+    month: query.month,
+    storeType: filter.storeType,
+    cabinetId: filter.cabinetId,
+    drugs: registerSummary(entries, prior.map((row) => ({ medicineId: row._id, medicineName: row.medicineName, drugSchedule: row.drugSchedule, balance: row.balance })))
+  };
+}
+
+async function h1Register({ req, hospitalId, month }) {
+  const timeZone = currentContext()?.timeZone;
+  const range = monthRange(month, timeZone);
+  const entries = await ControlledDrugRegisterEntry.find({
+    hospitalId,
+    storeType: 'pharmacy',
+    drugSchedule: 'H1',
+    entryType: 'issue',
+    entryAt: { $gte: range.start, $lt: range.end }
+  }).sort({ entryAt: 1, entryNumber: 1 }).lean();
+  await appendDomainEvent({
+    req,
+    eventType: 'controlled_drug.h1_register_exported',
+    entityType: 'ControlledDrugRegisterEntry',
+    entityId: hospitalId,
+    hospitalId,
+    afterSummary: { month, rows: entries.length }
+  });
+  return { filename: `schedule-h1-register-${month}.csv`, content: h1RegisterCsv(entries, timeZone) };
+}
+
+module.exports = {
+  REGISTER_SCHEDULES,
+  isRegistered,
+  saleCapture,
+  assertSaleCapture,
+  h1RegisterCsv,
+  registerSummary,
+  monthRange,
+  postEntry,
+  recordSaleIssues,
+  recordReturnReceipts,
+  recordPurchaseReceipt,
+  registerShortfalls,
+  assertSaleRegisterBalance,
+  assertAdjustmentAllowed,
+  recordAdjustment,
+  recordBatchReceipt,
+  recordVoidReturns,
+  saveCabinet,
+  listCabinets,
+  receiveIntoCabinet,
+  cabinetMovement,
+  balances,
+  listRegister,
+  monthlyRegister,
+  h1Register
+};
@@ -0,0 +1,492 @@
+'use strict';
+
+const CssdInstrumentSet = require('../models/CssdInstrumentSet');
+const CssdSetInstance = require('../models/CssdSetInstance');
+const CssdSterilisationLoad = require('../models/CssdSterilisationLoad');
+const CssdSetUsage = require('../models/CssdSetUsage');
+const OTRequest = require('../models/OTRequest');
+const { nextNumber } = require('./hospitalSequence.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { queueNotification } = require('./nabhNotification.service');
+const { operationNow } = require('../utils/operationTimeContext');
+
+const DAY_MS = 86400000;
+
+// Tray lifecycle. A failed load sends trays back to packing; expired or
+// recalled sterile stock goes back through decontamination.
+const SET_TRANSITIONS = {
+  decontaminate: { from: ['awaiting_decontamination'], to: 'decontaminated' },
+  pack: { from: ['decontaminated'], to: 'packed' },
+  load: { from: ['packed'], to: 'in_load' },
+  release: { from: ['in_load'], to: 'stored' },
+  fail: { from: ['in_load'], to: 'decontaminated' },
+  issue: { from: ['stored'], to: 'issued' },
+  return: { from: ['issued'], to: 'awaiting_decontamination' },
+  reprocess: { from: ['stored', 'packed'], to: 'awaiting_decontamination' },
+  recall: { from: ['stored'], to: 'awaiting_decontamination' },
+  retire: { from: ['awaiting_decontamination', 'decontaminated', 'packed', 'stored'], to: 'retired' }
+};
+const MANUAL_ACTIONS = ['decontaminate', 'pack', 'return', 'reprocess', 'retire'];
+
+// Minimum holding time at sterilising temperature for steam cycles.
+const STEAM_HOLD_MINUTES = [
+  { temperatureC: 134, minutes: 3 },
+  { temperatureC: 126, minutes: 10 },
+  { temperatureC: 121, minutes: 15 }
+];
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function idOf(value) {
+  return value?._id ? String(value._id) : String(value || '');
+}
+
+function normaliseBarcode(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+/** Moves a tray through its lifecycle and records the step in its history. */
+function transitionSet(instance, action, { at = new Date(), by, loadId, caseId, note } = {}) {
+  const rule = SET_TRANSITIONS[action];
+  if (!rule) throw httpError(`Unknown tray action: ${action}`);
+  if (!rule.from.includes(instance.status)) {
+    throw httpError(`Tray ${instance.barcode} is ${instance.status} and cannot be ${action === 'return' ? 'returned' : `processed with ${action}`}`, 409, 'INVALID_TRAY_TRANSITION');
+  }
+  const from = instance.status;
+  instance.status = rule.to;
+  instance.history = instance.history || [];
+  instance.history.push({ action, from, to: rule.to, at, by, loadId, caseId, note });
+  return instance;
+}
+
+/** Count sheet check at packing: items short against the set master. */
+function packCheck(masterItems, counted) {
+  if (!Array.isArray(counted)) return { complete: true, missing: [] };
+  const countedBy = new Map(counted.map((item) => [String(item.name || '').trim().toLowerCase(), Number(item.quantity || 0)]));
+  const missing = masterItems
+    .map((item) => ({ name: item.name, quantity: Number(item.quantity || 1) - (countedBy.get(item.name.trim().toLowerCase()) || 0) }))
+    .filter((item) => item.quantity > 0);
+  return { complete: missing.length === 0, missing };
+}
+
+function steamHoldProblem(parameters = {}) {
+  const temperature = Number(parameters.temperatureC);
+  const exposure = Number(parameters.exposureMinutes);
+  if (!Number.isFinite(temperature) || !Number.isFinite(exposure)) return 'Steam cycle temperature and exposure time are required';
+  const band = STEAM_HOLD_MINUTES.find((row) => temperature >= row.temperatureC);
+  if (!band) return `Steam temperature ${temperature}°C is below the 121°C minimum`;
+  return exposure < band.minutes ? `Exposure ${exposure} min is below ${band.minutes} min at ${band.temperatureC}°C` : null;
+}
+
+/**
+ * Load release decision. Any failed indicator or out-of-range steam cycle
+ * fails the load; a required biological indicator holds it until read.
+ */
+function loadOutcome(load) {
+  if (!['pass', 'fail'].includes(load.chemicalIndicator)) throw httpError('chemicalIndicator must be recorded as pass or fail');
+  const reasons = [];
+  if (load.chemicalIndicator === 'fail') reasons.push('Chemical indicator failed');
+  if (load.bowieDick === 'fail') reasons.push('Bowie-Dick test failed');
+  if (load.biologicalIndicator?.result === 'fail') reasons.push('Biological indicator failed');
+  if (load.method === 'steam') {
+    const problem = steamHoldProblem(load.parameters);
+    if (problem) reasons.push(problem);
+  }
+  if (reasons.length) return { status: 'failed', reasons };
+  if (load.biologicalIndicator?.isRequired && load.biologicalIndicator.result !== 'pass') return { status: 'awaiting_bi', reasons: ['Biological indicator pending'] };
+  return { status: 'released', reasons: [] };
+}
+
+async function saveSetMaster({ req, hospitalId, id, body = {} }) {
+  const values = {
+    code: body.code,
+    name: body.name,
+    specialty: body.specialty,
+    items: body.items,
+    sterilisationMethod: body.sterilisationMethod,
+    shelfLifeDays: body.shelfLifeDays,
+    containsImplants: body.containsImplants,
+    updatedBy: req.user?._id
+  };
+  if (body.isActive !== undefined) values.isActive = body.isActive !== false;
+  Object.keys(values).forEach((key) => values[key] === undefined && delete values[key]);
+  try {
+    if (id) {
+      const row = await CssdInstrumentSet.findOneAndUpdate({ _id: id, hospitalId }, { $set: values }, { new: true, runValidators: true });
+      if (!row) throw httpError('Instrument set not found', 404);
+      return row;
+    }
+    return await CssdInstrumentSet.create({ hospitalId, ...values, createdBy: req.user?._id });
+  } catch (error) {
+    if (error.code === 11000) throw httpError('An instrument set with this code already exists', 409);
+    throw error;
+  }
+}
+
+async function registerTray({ req, hospitalId, body = {} }) {
+  const master = await CssdInstrumentSet.findOne({ _id: body.setId, hospitalId, isActive: true }).lean();
+  if (!master) throw httpError('Instrument set not found', 404);
+  const barcode = normaliseBarcode(body.barcode);
+  if (!barcode) throw httpError('barcode is required');
+  try {
+    return await CssdSetInstance.create({
+      hospitalId,
+      setId: master._id,
+      barcode,
+      history: [{ action: 'register', to: 'awaiting_decontamination', at: operationNow(), by: req.user?._id }],
+      createdBy: req.user?._id
+    });
+  } catch (error) {
+    if (error.code === 11000) throw httpError(`Barcode ${barcode} is already registered`, 409);
+    throw error;
+  }
+}
+
+async function findTray(hospitalId, barcode) {
+  const tray = await CssdSetInstance.findOne({ hospitalId, barcode: normaliseBarcode(barcode) });
+  if (!tray) throw httpError(`Tray ${normaliseBarcode(barcode)} not found`, 404);
+  return tray;
+}
+
+async function getTray({ hospitalId, barcode }) {
+  const tray = await findTray(hospitalId, barcode);
+  await tray.populate([
+    { path: 'setId', select: 'code name items sterilisationMethod shelfLifeDays' },
+    { path: 'lastLoadId', select: 'loadNumber status method endedAt' }
+  ]);
+  return tray;
+}
+
+async function listTrays({ hospitalId, status, setId }) {
+  const filter = { hospitalId };
+  if (status) filter.status = status;
+  if (setId) filter.setId = setId;
+  return CssdSetInstance.find(filter).select('-history').populate('setId', 'code name').sort({ barcode: 1 }).limit(500).lean();
+}
+
+/** Bench steps scanned by barcode: decontaminate, pack (with count sheet), return, reprocess, retire. */
+async function trayAction({ req, hospitalId, barcode, action, body = {} }) {
+  if (!MANUAL_ACTIONS.includes(action)) throw httpError(`action must be one of ${MANUAL_ACTIONS.join(', ')}`);
+  const tray = await findTray(hospitalId, barcode);
+  const context = { at: operationNow(), by: req.user?._id, note: body.note, caseId: tray.issuedCaseId };
+  if (action === 'pack') {
+    const master = await CssdInstrumentSet.findOne({ _id: tray.setId, hospitalId }).lean();
+    const check = packCheck(master.items, body.countedItems);
+    if (!check.complete && !body.acceptIncomplete) {
+      throw httpError('Tray count is short against the set master', 409, 'TRAY_INCOMPLETE', { missing: check.missing });
+    }
+    tray.missingItems = check.missing;
+    if (check.missing.length) context.note = [body.note, `Packed short: ${check.missing.map((item) => `${item.name} x${item.quantity}`).join(', ')}`].filter(Boolean).join('; ');
+  }
+  transitionSet(tray, action, context);
+  if (action === 'return') {
+    tray.issuedAt = undefined;
+    tray.issuedTo = undefined;
+    tray.issuedCaseId = undefined;
+  }
+  if (['return', 'reprocess'].includes(action)) tray.sterileUntil = undefined;
+  await tray.save();
+  return tray;
+}
+
+async function createLoad({ req, hospitalId, body = {} }) {
+  const barcodes = [...new Set((body.barcodes || []).map(normaliseBarcode).filter(Boolean))];
+  if (!barcodes.length) throw httpError('barcodes must list at least one packed tray');
+  if (!body.sterilizer?.code) throw httpError('sterilizer.code is required');
+  const method = body.method || 'steam';
+  const trays = await CssdSetInstance.find({ hospitalId, barcode: { $in: barcodes } }).populate('setId', 'sterilisationMethod containsImplants');
+  const found = new Set(trays.map((tray) => tray.barcode));
+  const problems = [
+    ...barcodes.filter((barcode) => !found.has(barcode)).map((barcode) => ({ barcode, reason: 'not_registered' })),
+    ...trays.filter((tray) => tray.status !== 'packed').map((tray) => ({ barcode: tray.barcode, reason: `status_${tray.status}` })),
+    ...trays.filter((tray) => tray.setId?.sterilisationMethod !== method).map((tray) => ({ barcode: tray.barcode, reason: `needs_${tray.setId?.sterilisationMethod}` }))
+  ];
+  if (problems.length) throw httpError('Some trays cannot go into this load', 409, 'LOAD_TRAYS_INVALID', { problems });
+
+  const load = await CssdSterilisationLoad.create({
+    hospitalId,
+    loadNumber: await nextNumber(hospitalId, 'CSSD_LOAD', 'CSSD'),
+    sterilizer: body.sterilizer,
+    method,
+    cycleNumber: body.cycleNumber,
+    setInstanceIds: trays.map((tray) => tray._id),
+    barcodes,
+    startedAt: body.startedAt || operationNow(),
+    parameters: body.parameters,
+    bowieDick: body.bowieDick,
+    biologicalIndicator: {
+      isRequired: method !== 'steam' || trays.some((tray) => tray.setId?.containsImplants) || Boolean(body.biologicalIndicatorRequired),
+      lot: body.biologicalIndicatorLot
+    },
+    operatorId: req.user?._id,
+    notes: body.notes
+  });
+  for (const tray of trays) {
+    transitionSet(tray, 'load', { at: load.startedAt, by: req.user?._id, loadId: load._id });
+    tray.currentLoadId = load._id;
+    await tray.save(); // eslint-disable-line no-await-in-loop
+  }
+  return load;
+}
+
+async function loadTrays(hospitalId, load) {
+  return CssdSetInstance.find({ hospitalId, _id: { $in: load.setInstanceIds } }).populate('setId', 'shelfLifeDays');
+}
+
+/** Applies a release decision to the load and the trays still sitting in it. */
+async function settleLoad({ req, hospitalId, load, outcome }) {
+  load.status = outcome.status;
+  load.failureReasons = outcome.status === 'failed' ? outcome.reasons : [];
+  if (outcome.status === 'awaiting_bi') return load.save();
+  const at = operationNow();
+  if (outcome.status === 'released') {
+    load.releasedAt = at;
+    load.releasedBy = req.user?._id;
+  }
+  await load.save();
+  const trays = await loadTrays(hospitalId, load);
+  for (const tray of trays.filter((row) => row.status === 'in_load' && idOf(row.currentLoadId) === idOf(load._id))) {
+    if (outcome.status === 'released') {
+      const sterilisedAt = load.endedAt || at;
+      transitionSet(tray, 'release', { at, by: req.user?._id, loadId: load._id });
+      tray.sterilisedAt = sterilisedAt;
+      tray.sterileUntil = new Date(new Date(sterilisedAt).getTime() + Number(tray.setId?.shelfLifeDays || 30) * DAY_MS);
+      tray.lastLoadId = load._id;
+      tray.cycleCount += 1;
+    } else {
+      transitionSet(tray, 'fail', { at, by: req.user?._id, loadId: load._id, note: outcome.reasons.join('; ') });
+    }
+    tray.currentLoadId = undefined;
+    tray.recalledAt = undefined;
+    await tray.save(); // eslint-disable-line no-await-in-loop
+  }
+  await appendDomainEvent({
+    req,
+    eventType: outcome.status === 'released' ? 'cssd.load.released' : 'cssd.load.failed',
+    entityType: 'CssdSterilisationLoad',
+    entityId: load._id,
+    hospitalId,
+    afterSummary: { loadNumber: load.loadNumber, status: load.status, trays: load.barcodes.length },
+    comments: outcome.reasons.join('; ') || undefined
+  });
+  return load;
+}
+
+async function findLoad(hospitalId, id) {
+  const load = await CssdSterilisationLoad.findOne({ _id: id, hospitalId });
+  if (!load) throw httpError('Sterilisation load not found', 404);
+  return load;
+}
+
+async function completeLoad({ req, hospitalId, id, body = {} }) {
+  const load = await findLoad(hospitalId, id);
+  if (load.status !== 'in_progress') throw httpError(`Load is ${load.status}`, 409);
+  load.endedAt = body.endedAt || operationNow();
+  load.parameters = { ...(load.toObject().parameters || {}), ...(body.parameters || {}) };
+  load.chemicalIndicator = body.chemicalIndicator;
+  if (body.bowieDick) load.bowieDick = body.bowieDick;
+  if (body.biologicalIndicator?.result) {
+    load.biologicalIndicator.result = body.biologicalIndicator.result;
+    load.biologicalIndicator.lot = body.biologicalIndicator.lot || load.biologicalIndicator.lot;
+    load.biologicalIndicator.readAt = operationNow();
+    load.biologicalIndicator.readBy = req.user?._id;
+  }
+  return settleLoad({ req, hospitalId, load, outcome: loadOutcome(load) });
+}
+
+/**
+ * Records the incubated biological indicator. A failure after the load was
+ * released recalls it and traces the patients already exposed.
+ */
+async function recordBiologicalIndicator({ req, hospitalId, id, body = {} }) {
+  if (!['pass', 'fail'].includes(body.result)) throw httpError('result must be pass or fail');
+  const load = await findLoad(hospitalId, id);
+  if (!['awaiting_bi', 'released'].includes(load.status)) throw httpError(`Load is ${load.status}`, 409);
+  if (load.biologicalIndicator.result !== 'pending') throw httpError('Biological indicator has already been read', 409);
+  load.biologicalIndicator.result = body.result;
+  load.biologicalIndicator.lot = body.lot || load.biologicalIndicator.lot;
+  load.biologicalIndicator.readAt = operationNow();
+  load.biologicalIndicator.readBy = req.user?._id;
+  if (load.status === 'awaiting_bi') return { load: await settleLoad({ req, hospitalId, load, outcome: loadOutcome(load) }) };
+  await load.save();
+  if (body.result === 'pass') return { load };
+  return recallLoad({ req, hospitalId, id: load._id, reason: 'Biological indicator failed after release' });
+}
+
+async function exposures(hospitalId, loadId) {
+  const usages = await CssdSetUsage.find({ hospitalId, loadId })
+    .populate('caseId', 'requestNumber procedureName scheduledStart status')
+    .populate('patientId', 'first_name last_name name uhid patientId')
+    .sort({ linkedAt: 1 })
+    .lean();
+  return usages.map((row) => ({
+    barcode: row.barcode,
+    linkedAt: row.linkedAt,
+    case: row.caseId,
+    patient: row.patientId,
+    admissionId: row.admissionId
+  }));
+}
+
+/** Pulls every tray from a load back out of circulation and lists exposed patients. */
+async function recallLoad({ req, hospitalId, id, reason }) {
+  if (!String(reason || '').trim()) throw httpError('reason is required');
+  const load = await findLoad(hospitalId, id);
+  if (!['released', 'awaiting_bi'].includes(load.status)) throw httpError(`Load is ${load.status} and cannot be recalled`, 409);
+  const at = operationNow();
+  const trays = await CssdSetInstance.find({ hospitalId, _id: { $in: load.setInstanceIds } });
+  const pulled = [];
+  const inUse = [];
+  for (const tray of trays) {
+    const fromThisLoad = idOf(tray.lastLoadId) === idOf(load._id) || idOf(tray.currentLoadId) === idOf(load._id);
+    if (!fromThisLoad) continue;
+    if (tray.status === 'stored') {
+      transitionSet(tray, 'recall', { at, by: req.user?._id, loadId: load._id, note: reason });
+      tray.sterileUntil = undefined;
+      pulled.push(tray.barcode);
+    } else if (tray.status === 'in_load') {
+      transitionSet(tray, 'fail', { at, by: req.user?._id, loadId: load._id, note: reason });
+      tray.currentLoadId = undefined;
+      pulled.push(tray.barcode);
+    } else if (tray.status === 'issued') {
+      tray.history.push({ action: 'recall_notice', from: 'issued', to: 'issued', at, by: req.user?._id, loadId: load._id, caseId: tray.issuedCaseId, note: reason });
+      inUse.push(tray.barcode);
+    } else {
+      continue;
+    }
+    tray.recalledAt = at;
+    await tray.save(); // eslint-disable-line no-await-in-loop
+  }
+  const exposed = await exposures(hospitalId, load._id);
+  load.status = 'recalled';
+  load.recall = { reason, recalledAt: at, recalledBy: req.user?._id, exposedCaseCount: exposed.length };
+  await load.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'cssd.load.recalled',
+    entityType: 'CssdSterilisationLoad',
+    entityId: load._id,
+    hospitalId,
+    afterSummary: { loadNumber: load.loadNumber, pulled: pulled.length, inUse: inUse.length, exposedCases: exposed.length },
+    reasonCode: 'STERILISATION_RECALL',
+    comments: reason
+  });
+  await queueNotification({
+    hospitalId,
+    eventType: 'cssd_load_recall',
+    correlationId: load.loadNumber,
+    recipientType: 'staff',
+    recipientName: 'infection_control',
+    requestedChannels: ['portal'],
+    priority: exposed.length ? 'critical' : 'high',
+    subject: `Sterilisation load ${load.loadNumber} recalled`,
+    body: `${reason}. ${pulled.length} tray(s) pulled, ${inUse.length} in use, ${exposed.length} OT case(s) exposed.`,
+    payload: { loadId: load._id, pulled, inUse, caseIds: exposed.map((row) => row.case?._id) },
+    createdBy: req.user?._id
+  });
+  return { load, pulled, inUse, exposures: exposed };
+}
+
+async function linkTrayToCase({ req, hospitalId, tray, caseId }) {
+  const otCase = await OTRequest.findOne({ _id: caseId, hospitalId }).select('patientId admissionId status').lean();
+  if (!otCase) throw httpError('OT case not found', 404);
+  if (['Cancelled', 'Closed'].includes(otCase.status)) throw httpError(`OT case is ${otCase.status}`, 409);
+  if (!tray.lastLoadId) throw httpError(`Tray ${tray.barcode} has no sterilisation record`, 409);
+  const usage = await CssdSetUsage.findOneAndUpdate(
+    { hospitalId, setInstanceId: tray._id, loadId: tray.lastLoadId, caseId: otCase._id },
+    {
+      $setOnInsert: {
+        hospitalId,
+        setInstanceId: tray._id,
+        setId: tray.setId?._id || tray.setId,
+        barcode: tray.barcode,
+        loadId: tray.lastLoadId,
+        caseId: otCase._id,
+        patientId: otCase.patientId,
+        admissionId: otCase.admissionId,
+        linkedAt: operationNow(),
+        linkedBy: req.user?._id
+      }
+    },
+    { new: true, upsert: true }
+  );
+  return usage;
+}
+
+/** Issues sterile stock. Expired packs and trays from unreleased loads are refused. */
+async function issueTray({ req, hospitalId, barcode, body = {} }) {
+  const tray = await findTray(hospitalId, barcode);
+  if (tray.status === 'stored' && (!tray.sterileUntil || tray.sterileUntil <= operationNow())) {
+    throw httpError(`Tray ${tray.barcode} is past its sterile date and must be reprocessed`, 409, 'TRAY_STERILITY_EXPIRED');
+  }
+  const load = tray.lastLoadId ? await CssdSterilisationLoad.findOne({ _id: tray.lastLoadId, hospitalId }).select('status loadNumber').lean() : null;
+  if (tray.status === 'stored' && load?.status !== 'released') {
+    throw httpError(`Tray ${tray.barcode} comes from load ${load?.loadNumber || 'unknown'} which is ${load?.status || 'missing'}`, 409, 'LOAD_NOT_RELEASED');
+  }
+  transitionSet(tray, 'issue', { at: operationNow(), by: req.user?._id, caseId: body.caseId, note: body.issuedTo });
+  tray.issuedAt = operationNow();
+  tray.issuedTo = body.issuedTo;
+  tray.issuedCaseId = body.caseId || undefined;
+  const usage = body.caseId ? await linkTrayToCase({ req, hospitalId, tray, caseId: body.caseId }) : null;
+  await tray.save();
+  return { tray, usage };
+}
+
+/** Point-of-use scan in theatre: ties an issued tray to the case it is opened for. */
+async function recordCaseTray({ req, hospitalId, caseId, barcode }) {
+  const tray = await findTray(hospitalId, barcode);
+  if (tray.status !== 'issued') throw httpError(`Tray ${tray.barcode} is ${tray.status}; only issued trays can be used in a case`, 409);
+  const usage = await linkTrayToCase({ req, hospitalId, tray, caseId });
+  if (!tray.issuedCaseId) {
+    tray.issuedCaseId = caseId;
+    await tray.save();
+  }
+  return usage;
+}
+
+async function caseTrays({ hospitalId, caseId }) {
+  return CssdSetUsage.find({ hospitalId, caseId })
+    .populate('setId', 'code name')
+    .populate('loadId', 'loadNumber status method endedAt biologicalIndicator.result')
+    .sort({ linkedAt: 1 })
+    .lean();
+}
+
+async function listLoads({ hospitalId, status }) {
+  return CssdSterilisationLoad.find({ hospitalId, ...(status ? { status } : {}) }).sort({ startedAt: -1 }).limit(200).lean();
+}
+
+async function traceLoad({ hospitalId, id }) {
+  const load = await findLoad(hospitalId, id);
+  const trays = await CssdSetInstance.find({ hospitalId, _id: { $in: load.setInstanceIds } }).select('barcode status setId issuedCaseId sterileUntil').populate('setId', 'code name').lean();
+  return { load, trays, exposures: await exposures(hospitalId, load._id) };
+}
+
+module.exports = {
+  SET_TRANSITIONS,
+  MANUAL_ACTIONS,
+  transitionSet,
+  packCheck,
+  loadOutcome,
+  saveSetMaster,
+  registerTray,
+  getTray,
+  listTrays,
+  trayAction,
+  createLoad,
+  completeLoad,
+  recordBiologicalIndicator,
+  recallLoad,
+  issueTray,
+  recordCaseTray,
+  caseTrays,
+  listLoads,
+  traceLoad
+};
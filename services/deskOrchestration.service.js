@@ -13,6 +13,7 @@ const ProcedureRequest = require('../models/ProcedureRequest');
 const Procedure = require('../models/Procedure');
 const patientFinancial = require('./patientFinancial.service');
 const ipdFinancial = require('./ipdFinancial.service');
+const gatewayPayments = require('./gatewayPayment.service');
 const { getTemplate, matchTemplate } = require('./labReportTemplate.service');
 const { searchServiceCatalog } = require('./serviceCatalog.service');
 const { userHospitalId } = require('../utils/hospitalScope');
@@ -23,6 +24,9 @@ const { quotePricing } = require('./pricingEngine.service');
 const { resolveFinancialPolicy } = require('./financialPolicy.service');
 const { _hasActionPermission } = require('../middlewares/auth');
 
+// Desk payment method that hands collection to the payment gateway (UPI QR /
+// link). Nothing is booked at checkout; the capture webhook posts the receipt.
+const ONLINE_PAYMENT_METHOD = 'Online';
 const round = value => Math.round((Number(value || 0) + Number.EPSILON) * 100) / 100;
 const stableHash = value => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
 const allowedIntents = new Set([
@@ -342,6 +346,11 @@ function previewPayment(totals, payment, encounterType) {
     warnings.push({ code: 'TAX_REASON_REQUIRED', message: 'Tax adjustment reason is required.' });
   }
 
+  const online = payment.paymentMethod === ONLINE_PAYMENT_METHOD;
+  if (online && (discount > 0 || taxAdjustment !== 0)) {
+    warnings.push({ code: 'ONLINE_PAYMENT_ADJUSTMENT_UNSUPPORTED', message: 'Apply settlement discounts and tax adjustments before sending an online payment request.' });
+  }
+
   if (encounterType === 'IPD') {
     // For IPD checkout, money collected must first settle services marked
     // BILL_NOW. Only the amount above the issued invoice liability becomes an
@@ -364,7 +373,7 @@ function previewPayment(totals, payment, encounterType) {
       warnings.push({ code: 'CASH_TENDERED_TOO_LOW', message: 'Cash received cannot be less than the amount being collected.' });
     }
 
-    if (payment.paymentMethod !== 'Cash' && !String(payment.reference || '').trim()) {
+    if (payment.paymentMethod !== 'Cash' && !online && !String(payment.reference || '').trim()) {
       warnings.push({ code: 'PAYMENT_REFERENCE_REQUIRED', message: 'Transaction reference is required for non-cash payment.' });
     }
 
@@ -1055,7 +1064,41 @@ async function commitDeskCheckout(payload, user) {
     const paymentResults = [];
     let committedPayment = preview.payment;
 
-    if (preview.encounterType === 'OPD' && payload.payment?.collectNow && invoiceIds.length) {
+    const onlinePayment = payload.payment?.collectNow && payload.payment.paymentMethod === ONLINE_PAYMENT_METHOD;
+    const onlineAmount = preview.encounterType === 'IPD'
+      ? round(preview.payment?.collectionAmount || 0)
+      : round(preview.payment?.amountApplied || 0);
+    if (onlinePayment && onlineAmount > 0) {
+      const amount = onlineAmount;
+      const request = await gatewayPayments.createPaymentRequest({
+        req: { user },
+        hospitalId,
+        deskCheckoutId: workflow._id,
+        body: {
+          patientId: patient._id,
+          admissionId: admission?._id,
+          invoiceId: preview.encounterType === 'IPD' ? issuedIPDInvoice?._id : invoiceIds[0],
+          amount,
+          idempotencyKey: `${idempotencyKey}:ONLINE`
+        }
+      });
+      workflow.paymentStatus = 'PENDING_ONLINE_PAYMENT';
+      workflow.gatewayPaymentId = request._id;
+      committedPayment = { ...preview.payment, status: 'PENDING_ONLINE_PAYMENT' };
+      paymentResults.push({
+        paymentKind: 'ONLINE_PENDING',
+        status: 'PENDING_ONLINE_PAYMENT',
+        gatewayPaymentId: request._id,
+        requestNumber: request.requestNumber,
+        amount,
+        paymentMethod: ONLINE_PAYMENT_METHOD,
+        qrImageUrl: request.qrImageUrl,
+        paymentLinkUrl: request.paymentLinkUrl,
+        expiresAt: request.expiresAt
+      });
+    }
+
+    if (!onlinePayment && preview.encounterType === 'OPD' && payload.payment?.collectNow && invoiceIds.length) {
       const paymentPayload = {
         ...payload.payment,
         invoiceId: invoiceIds[0],
@@ -1068,7 +1111,7 @@ async function commitDeskCheckout(payload, user) {
       paymentResults.push(await patientFinancial.recordOPDPayment(patient._id, paymentPayload, user));
     }
 
-    if (preview.encounterType === 'IPD' && payload.payment?.collectNow) {
+    if (!onlinePayment && preview.encounterType === 'IPD' && payload.payment?.collectNow) {
       const paymentMethod = payload.payment.paymentMethod || 'Cash';
       const reference = payload.payment.reference || '';
       const collectionAmount = round(preview.payment?.collectionAmount || 0);
@@ -1232,6 +1275,7 @@ async function commitDeskCheckout(payload, user) {
         }))
     ];
 
+    if (!onlinePayment && paymentResults.length) workflow.paymentStatus = 'COLLECTED';
     const result = {
       checkoutId: workflow._id,
       patient: {
@@ -1270,6 +1314,7 @@ async function commitDeskCheckout(payload, user) {
       documents,
       totals: preview.totals,
       payment: committedPayment,
+      paymentStatus: workflow.paymentStatus || null,
       warnings: preview.warnings
     };
 
@@ -0,0 +1,149 @@
+'use strict';
+
+// Five-level triage scales. Category colours keep the legacy `triage.category`
+// field meaningful for screens that predate numeric levels.
+const TRIAGE_SCALES = Object.freeze({
+  ATS: Object.freeze([
+    { level: 1, label: 'Resuscitation', category: 'red', targetMinutes: 0 },
+    { level: 2, label: 'Emergency', category: 'orange', targetMinutes: 10 },
+    { level: 3, label: 'Urgent', category: 'yellow', targetMinutes: 30 },
+    { level: 4, label: 'Semi-urgent', category: 'green', targetMinutes: 60 },
+    { level: 5, label: 'Non-urgent', category: 'blue', targetMinutes: 120 }
+  ]),
+  ESI: Object.freeze([
+    { level: 1, label: 'Resuscitation', category: 'red', targetMinutes: 0 },
+    { level: 2, label: 'Emergent', category: 'orange', targetMinutes: 10 },
+    { level: 3, label: 'Urgent', category: 'yellow', targetMinutes: 30 },
+    { level: 4, label: 'Less urgent', category: 'green', targetMinutes: 60 },
+    { level: 5, label: 'Non-urgent', category: 'blue', targetMinutes: 120 }
+  ])
+});
+
+const ACTIVE_STATUSES = Object.freeze(['registered', 'triaged', 'in_treatment']);
+const DISPOSITION_STATUS = Object.freeze({
+  admitted: 'admitted',
+  transferred_out: 'transferred',
+  discharged: 'discharged',
+  lama: 'lama',
+  dama: 'dama'
+});
+
+function httpError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Resolves a triage level on the configured scale. Hospital settings may
+ * shorten or lengthen the door-to-doctor target for each level.
+ */
+function resolveTriageLevel(scale, level, targetOverrides = []) {
+  const levels = TRIAGE_SCALES[String(scale || '').toUpperCase()];
+  if (!levels) throw httpError(`Unsupported triage scale ${scale}`);
+  const entry = levels.find((item) => item.level === Number(level));
+  if (!entry) throw httpError('Triage level must be between 1 and 5');
+  const override = Number(targetOverrides?.[entry.level - 1]);
+  return {
+    scale: String(scale).toUpperCase(),
+    ...entry,
+    targetMinutes: Number.isFinite(override) && override >= 0 ? override : entry.targetMinutes
+  };
+}
+
+function minutesBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+}
+
+/** Door-to-doctor and ED length of stay for one encounter. */
+function encounterMetrics(encounter, now = new Date()) {
+  const doorToDoctorMinutes = minutesBetween(encounter.arrivalAt, encounter.doctorSeenAt);
+  const lengthOfStayMinutes = minutesBetween(encounter.arrivalAt, encounter.departedAt || now);
+  const target = encounter.triage?.targetMinutes;
+  return {
+    doorToDoctorMinutes,
+    lengthOfStayMinutes,
+    waitingMinutes: encounter.doctorSeenAt ? null : minutesBetween(encounter.arrivalAt, now),
+    doorToDoctorBreached: target === undefined || target === null
+      ? false
+      : (doorToDoctorMinutes ?? minutesBetween(encounter.arrivalAt, now)) > target
+  };
+}
+
+function personName(person) {
+  if (!person || typeof person !== 'object') return undefined;
+  return [person.first_name || person.firstName, person.last_name || person.lastName].filter(Boolean).join(' ') || undefined;
+}
+
+function boardRow(encounter, now = new Date()) {
+  const metrics = encounterMetrics(encounter, now);
+  return {
+    _id: encounter._id,
+    emergencyNumber: encounter.emergencyNumber,
+    patient: encounter.patientId && typeof encounter.patientId === 'object'
+      ? {
+        _id: encounter.patientId._id,
+        uhid: encounter.patientId.uhid,
+        name: personName(encounter.patientId),
+        gender: encounter.patientId.gender,
+        age: encounter.patientId.age
+      }
+      : { _id: encounter.patientId },
+    status: encounter.status,
+    arrivalAt: encounter.arrivalAt,
+    triageLevel: encounter.triage?.level,
+    triageLabel: encounter.triage?.label,
+    triageCategory: encounter.triage?.category,
+    chiefComplaint: encounter.triage?.chiefComplaint,
+    bay: encounter.bay?.code,
+    assignedDoctor: encounter.assignedDoctorId && typeof encounter.assignedDoctorId === 'object'
+      ? { _id: encounter.assignedDoctorId._id, name: personName(encounter.assignedDoctorId) }
+      : encounter.assignedDoctorId,
+    doctorSeenAt: encounter.doctorSeenAt,
+    isMlc: Boolean(encounter.medicoLegal?.isMlc),
+    retriageCount: (encounter.triageHistory || []).length,
+    targetMinutes: encounter.triage?.targetMinutes,
+    ...metrics
+  };
+}
+
+/** Most urgent first; within a level, the longest wait first. Untriaged rows sort last. */
+function sortBoard(rows) {
+  return rows.slice().sort((a, b) => (
+    (a.triageLevel || 6) - (b.triageLevel || 6) ||
+    new Date(a.arrivalAt) - new Date(b.arrivalAt)
+  ));
+}
+
+function summarizeBoard(rows) {
+  const byLevel = {};
+  for (const row of rows) {
+    const key = row.triageLevel ? String(row.triageLevel) : 'untriaged';
+    byLevel[key] = (byLevel[key] || 0) + 1;
+  }
+  return {
+    total: rows.length,
+    awaitingDoctor: rows.filter((row) => !row.doctorSeenAt).length,
+    breached: rows.filter((row) => row.doorToDoctorBreached).length,
+    byLevel
+  };
+}
+
+function assertActive(encounter) {
+  if (!ACTIVE_STATUSES.includes(encounter.status)) {
+    throw httpError(`Emergency encounter is already ${encounter.status}`, 409);
+  }
+}
+
+module.exports = {
+  TRIAGE_SCALES,
+  ACTIVE_STATUSES,
+  DISPOSITION_STATUS,
+  resolveTriageLevel,
+  encounterMetrics,
+  boardRow,
+  sortBoard,
+  summarizeBoard,
+  assertActive
+};
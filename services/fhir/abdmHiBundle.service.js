@@ -53,6 +53,24 @@ const V2_IDENTIFIER_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v2-0203
 const ORGANIZATION_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/organization-type';
 const LOINC_SYSTEM = 'http://loinc.org';
 const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const CODE_SYSTEM_URIS = {
+  'ICD-10': 'http://hl7.org/fhir/sid/icd-10',
+  'ICD-11': 'http://id.who.int/icd/release/11/mms',
+  'ICD-10-PCS': 'http://www.cms.gov/Medicare/Coding/ICD10',
+  'ICD-9-CM': 'http://hl7.org/fhir/sid/icd-9-cm',
+  ICHI: 'http://id.who.int/ichi',
+  SNOMED_CT: 'http://snomed.info/sct',
+  PMJAY: 'https://mediqliq.com/codesystem/pmjay-procedure',
+  LOCAL: 'https://mediqliq.com/codesystem/procedure'
+};
+
+/** CodeableConcept for a coded diagnosis or procedure row from MRD clinical coding. */
+function codedConcept(row) {
+  return {
+    coding: [{ system: CODE_SYSTEM_URIS[row.system] || CODE_SYSTEM_URIS.LOCAL, code: row.code, display: row.display }],
+    text: row.display || row.code
+  };
+}
 
 function coding(system, code, display) {
   return { coding: [{ system, code, display }], text: display };
@@ -481,7 +499,21 @@ function dischargeResources(summaries, patient) {
         recordedDate: iso(summary.admissionDate)
       }));
     }
-    if (summary.finalDiagnosis) {
+    // Coded diagnoses from MRD replace the free-text diagnosis once coding is complete.
+    for (const diagnosis of summary.codedDiagnoses || []) {
+      resources.push(clean({
+        resourceType: 'Condition',
+        id: `condition-diagnosis-${summary._id}-${diagnosis.sequence}`,
+        clinicalStatus: { text: 'resolved' },
+        category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'encounter-diagnosis' }] }],
+        subject: { reference: patientRef(patient) },
+        encounter: { reference: `Encounter/${encounterId}` },
+        code: codedConcept(diagnosis),
+        note: diagnosis.type === 'principal' ? [{ text: 'Principal diagnosis' }] : undefined,
+        recordedDate: iso(summary.finalizedAt || summary.dischargeDate)
+      }));
+    }
+    if (summary.finalDiagnosis && !(summary.codedDiagnoses || []).length) {
       resources.push(clean({
         resourceType: 'Condition',
         id: `condition-diagnosis-${summary._id}`,
@@ -504,7 +536,19 @@ function dischargeResources(summaries, patient) {
         valueString: summary.examinationFindings
       }));
     }
-    if (summary.proceduresDone || summary.surgeriesDone) {
+    for (const procedure of summary.codedProcedures || []) {
+      resources.push(clean({
+        resourceType: 'Procedure',
+        id: `procedure-${summary._id}-${procedure.sequence}`,
+        status: 'completed',
+        subject: { reference: patientRef(patient) },
+        encounter: { reference: `Encounter/${encounterId}` },
+        code: codedConcept(procedure),
+        performedDateTime: procedure.performedAt ? iso(procedure.performedAt) : undefined,
+        performedPeriod: procedure.performedAt ? undefined : { start: iso(summary.admissionDate), end: iso(summary.dischargeDate) }
+      }));
+    }
+    if ((summary.proceduresDone || summary.surgeriesDone) && !(summary.codedProcedures || []).length) {
       resources.push(clean({
         resourceType: 'Procedure',
         id: `procedure-${summary._id}`,
@@ -894,6 +938,11 @@ module.exports = {
   ALL_HI_TYPES,
   PROFILE_NAMES,
   COLLECTIONS,
+  CODE_SYSTEM_URIS,
+  clean,
+  codedConcept,
+  organizationResource,
+  patientResource,
   bundleDocument,
   loadRecords,
   resourcesFor,
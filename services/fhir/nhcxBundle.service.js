@@ -0,0 +1,287 @@
+'use strict';
+
+const crypto = require('crypto');
+const abdmConfig = require('../../config/abdm.config');
+const { clean, codedConcept, organizationResource, patientResource } = require('./abdmHiBundle.service');
+
+// NRCeS insurance profiles exchanged over NHCX. Builders take plain claim,
+// coverage, patient, hospital and payer records and return collection bundles;
+// readers pull the fields the claim workflow needs out of payer responses.
+
+const CLAIM_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/claim-type';
+const PRIORITY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/processpriority';
+const ADJUDICATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/adjudication';
+const SUPPORTING_INFO_SYSTEM = 'http://terminology.hl7.org/CodeSystem/claiminformationcategory';
+const ICD10_SYSTEM = 'http://hl7.org/fhir/sid/icd-10';
+const PARTICIPANT_SYSTEM = 'https://hcxprotocol.io/participant-code';
+const SERVICE_SYSTEM = 'https://mediqliq.com/codesystem/service';
+const CLAIM_IDENTIFIER_SYSTEM = 'https://mediqliq.com/identifier/claim';
+
+const profile = (name) => ({ profile: [`${abdmConfig.fhirProfileBase}/${name}`] });
+const amount = (value) => ({ value: Number(Number(value || 0).toFixed(2)), currency: 'INR' });
+const iso = (value) => (value ? new Date(value).toISOString() : undefined);
+const day = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+
+function entry(resource, profileName) {
+  const id = crypto.randomUUID();
+  return { fullUrl: `urn:uuid:${id}`, resource: clean({ ...resource, id, meta: profile(profileName) }) };
+}
+
+function reference(bundleEntry) {
+  return { reference: bundleEntry.fullUrl };
+}
+
+function payerOrganization(payer) {
+  return {
+    resourceType: 'Organization',
+    identifier: [{ system: PARTICIPANT_SYSTEM, value: payer.nhcx?.participantCode }, { system: 'https://mediqliq.com/identifier/payer', value: payer.code }],
+    name: payer.name,
+    type: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/organization-type', code: 'ins', display: 'Insurance Company' }] }]
+  };
+}
+
+function providerOrganization(hospital, participantCode) {
+  const organization = organizationResource(hospital);
+  delete organization.id;
+  delete organization.text;
+  organization.identifier = [...(organization.identifier || []), { system: PARTICIPANT_SYSTEM, value: participantCode }].filter((row) => row.value);
+  return organization;
+}
+
+function coverageResource(coverage = {}, patientEntry, payerEntry) {
+  const beneficiary = coverage.beneficiary || {};
+  return {
+    resourceType: 'Coverage',
+    identifier: [{ system: 'https://mediqliq.com/identifier/policy', value: beneficiary.policyNumber || beneficiary.schemeCardNumber }],
+    status: 'active',
+    subscriberId: beneficiary.memberId || beneficiary.beneficiaryId,
+    beneficiary: reference(patientEntry),
+    relationship: beneficiary.relationship
+      ? { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/subscriber-relationship', code: String(beneficiary.relationship).toLowerCase() }] }
+      : undefined,
+    period: { start: day(beneficiary.validFrom), end: day(beneficiary.validTo) },
+    payor: [reference(payerEntry)]
+  };
+}
+
+const DIAGNOSIS_TYPE_SYSTEM = 'http://terminology.hl7.org/CodeSystem/ex-diagnosistype';
+
+/** MRD coded diagnoses when coding is complete, else the scheme's ICD-10 list. */
+function claimDiagnoses(claim) {
+  if ((claim.codedDiagnoses || []).length) {
+    return claim.codedDiagnoses.map((row, index) => ({
+      sequence: index + 1,
+      diagnosisCodeableConcept: codedConcept(row),
+      type: [{ coding: [{ system: DIAGNOSIS_TYPE_SYSTEM, code: row.type === 'principal' ? 'principal' : 'discharge' }] }]
+    }));
+  }
+  const codes = claim.schemeData?.pmjay?.icd10Codes || [];
+  return codes.map((code, index) => ({
+    sequence: index + 1,
+    diagnosisCodeableConcept: { coding: [{ system: ICD10_SYSTEM, code }] }
+  }));
+}
+
+function attachmentFor(evidence) {
+  const url = evidence.fileUrl;
+  const extension = String(url || '').split('?')[0].split('.').pop().toLowerCase();
+  const contentType = { pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg' }[extension];
+  return { contentType, url, title: evidence.caption || evidence.evidenceType, creation: iso(evidence.capturedAt) };
+}
+
+/** Shared parties of every NHCX bundle: patient, hospital, payer and policy. */
+function parties({ patient, hospital, payer, coverage, participantCode }) {
+  const patientEntry = entry(patientResource(patient), 'Patient');
+  delete patientEntry.resource.managingOrganization;
+  const providerEntry = entry(providerOrganization(hospital, participantCode), 'Organization');
+  const payerEntry = entry(payerOrganization(payer), 'Organization');
+  const coverageEntry = entry(coverageResource(coverage, patientEntry, payerEntry), 'Coverage');
+  return { patientEntry, providerEntry, payerEntry, coverageEntry };
+}
+
+function bundle(profileName, focus, others, now) {
+  return clean({
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    meta: { ...profile(profileName), lastUpdated: iso(now) },
+    identifier: { system: 'https://mediqliq.com/nhcx/bundle', value: crypto.randomUUID() },
+    type: 'collection',
+    timestamp: iso(now),
+    entry: [focus, ...others]
+  });
+}
+
+function coverageEligibilityBundle({ claim, coverage, patient, hospital, payer, participantCode, now = new Date() }) {
+  const { patientEntry, providerEntry, payerEntry, coverageEntry } = parties({ patient, hospital, payer, coverage, participantCode });
+  const request = entry({
+    resourceType: 'CoverageEligibilityRequest',
+    identifier: [{ system: CLAIM_IDENTIFIER_SYSTEM, value: claim.claimNumber }],
+    status: 'active',
+    priority: { coding: [{ system: PRIORITY_SYSTEM, code: 'normal' }] },
+    purpose: ['validation', 'benefits'],
+    patient: reference(patientEntry),
+    servicedPeriod: { start: day(claim.servicePeriod?.from), end: day(claim.servicePeriod?.to) },
+    created: iso(now),
+    provider: reference(providerEntry),
+    insurer: reference(payerEntry),
+    insurance: [{ focal: true, coverage: reference(coverageEntry) }]
+  }, 'CoverageEligibilityRequest');
+  return bundle('CoverageEligibilityRequestBundle', request, [patientEntry, providerEntry, payerEntry, coverageEntry], now);
+}
+
+/** `use` is `preauthorization` for pre-auth and `claim` for the final claim. */
+function claimBundle({ use, claim, coverage, patient, hospital, payer, evidence = [], participantCode, now = new Date() }) {
+  const { patientEntry, providerEntry, payerEntry, coverageEntry } = parties({ patient, hospital, payer, coverage, participantCode });
+  const lines = (claim.lines || []).filter((line) => Number(line.sponsorLiability || 0) > 0);
+  const preAuthRef = use === 'claim' ? (claim.nhcx?.preAuth?.preAuthRef || claim.preAuth?.requestNumber) : undefined;
+  const total = use === 'claim' && Number(claim.amounts?.claimSubmittedAmount) > 0
+    ? claim.amounts.claimSubmittedAmount
+    : lines.reduce((sum, line) => sum + Number(line.submittedAmount || line.sponsorLiability || 0), 0);
+  const focus = entry({
+    resourceType: 'Claim',
+    identifier: [{ system: CLAIM_IDENTIFIER_SYSTEM, value: claim.claimNumber }],
+    status: 'active',
+    type: { coding: [{ system: CLAIM_TYPE_SYSTEM, code: claim.encounterType === 'IPD' ? 'institutional' : 'professional' }] },
+    use,
+    patient: reference(patientEntry),
+    billablePeriod: { start: iso(claim.servicePeriod?.from), end: iso(claim.servicePeriod?.to) },
+    created: iso(now),
+    insurer: reference(payerEntry),
+    provider: reference(providerEntry),
+    priority: { coding: [{ system: PRIORITY_SYSTEM, code: 'normal' }] },
+    supportingInfo: evidence.filter((row) => row.fileUrl).map((row, index) => ({
+      sequence: index + 1,
+      category: { coding: [{ system: SUPPORTING_INFO_SYSTEM, code: 'attachment' }], text: row.evidenceType },
+      valueAttachment: attachmentFor(row)
+    })),
+    diagnosis: claimDiagnoses(claim),
+    procedure: (claim.codedProcedures || []).map((row, index) => ({
+      sequence: index + 1,
+      date: iso(row.performedAt),
+      procedureCodeableConcept: codedConcept(row)
+    })),
+    insurance: [{ sequence: 1, focal: true, coverage: reference(coverageEntry), preAuthRef: preAuthRef ? [preAuthRef] : undefined }],
+    item: lines.map((line) => ({
+      sequence: line.lineNumber,
+      productOrService: {
+        coding: [{ system: SERVICE_SYSTEM, code: line.payerCode || line.internalCode || String(line.lineNumber), display: line.description }],
+        text: line.description
+      },
+      servicedDate: day(line.serviceDate),
+      quantity: { value: Number(line.quantity || 1) },
+      net: amount(line.submittedAmount || line.sponsorLiability)
+    })),
+    total: amount(total)
+  }, 'Claim');
+  return bundle('ClaimBundle', focus, [patientEntry, providerEntry, payerEntry, coverageEntry], now);
+}
+
+/** Provider reply to a payer query (CommunicationRequest), with evidence as attachments. */
+function communicationBundle({ claim, query, evidence = [], patient, hospital, payer, participantCode, now = new Date() }) {
+  const patientEntry = entry(patientResource(patient), 'Patient');
+  delete patientEntry.resource.managingOrganization;
+  const providerEntry = entry(providerOrganization(hospital, participantCode), 'Organization');
+  const payerEntry = entry(payerOrganization(payer), 'Organization');
+  const focus = entry({
+    resourceType: 'Communication',
+    identifier: [{ system: 'https://mediqliq.com/identifier/claim-query', value: query.queryNumber }],
+    basedOn: query.externalQueryId ? [{ identifier: { value: query.externalQueryId } }] : undefined,
+    status: 'completed',
+    subject: reference(patientEntry),
+    about: [{ identifier: { system: CLAIM_IDENTIFIER_SYSTEM, value: claim.claimNumber } }],
+    sent: iso(now),
+    recipient: [reference(payerEntry)],
+    sender: reference(providerEntry),
+    payload: [
+      query.response ? { contentString: query.response } : undefined,
+      ...evidence.filter((row) => row.fileUrl).map((row) => ({ contentAttachment: attachmentFor(row) }))
+    ]
+  }, 'Communication');
+  return bundle('CommunicationBundle', focus, [patientEntry, providerEntry, payerEntry], now);
+}
+
+function resourceOf(payload, resourceType) {
+  if (payload?.resourceType === resourceType) return payload;
+  return (payload?.entry || []).map((row) => row.resource).find((resource) => resource?.resourceType === resourceType);
+}
+
+function adjudicationAmount(adjudication = [], category) {
+  const row = adjudication.find((item) => (item.category?.coding || []).some((code) => code.code === category));
+  return row?.amount?.value === undefined ? undefined : Number(row.amount.value);
+}
+
+function readCoverageEligibilityResponse(payload) {
+  const response = resourceOf(payload, 'CoverageEligibilityResponse');
+  if (!response) return null;
+  const insurance = response.insurance || [];
+  return {
+    outcome: response.outcome,
+    disposition: response.disposition,
+    inforce: insurance.length ? insurance.some((row) => row.inforce !== false) : response.outcome === 'complete',
+    errors: (response.error || []).map((row) => row.code?.text || row.code?.coding?.[0]?.display || row.code?.coding?.[0]?.code)
+  };
+}
+
+/**
+ * Adjudication from a ClaimResponse. Items are matched back to claim lines by
+ * sequence; `approved` is the benefit amount and anything submitted but not
+ * approved is a deduction with the payer's reason.
+ */
+function readClaimResponse(payload) {
+  const response = resourceOf(payload, 'ClaimResponse');
+  if (!response) return null;
+  const items = (response.item || []).map((item) => {
+    const submitted = adjudicationAmount(item.adjudication, 'submitted');
+    const approved = adjudicationAmount(item.adjudication, 'benefit') ?? adjudicationAmount(item.adjudication, 'eligible') ?? 0;
+    const reason = (item.adjudication || []).map((row) => row.reason?.text || row.reason?.coding?.[0]?.display).find(Boolean);
+    return { sequence: Number(item.itemSequence), submitted, approved, reason };
+  });
+  const total = (code) => {
+    const row = (response.total || []).find((item) => (item.category?.coding || []).some((coding) => coding.code === code));
+    return row?.amount?.value === undefined ? undefined : Number(row.amount.value);
+  };
+  return {
+    use: response.use,
+    outcome: response.outcome,
+    disposition: response.disposition,
+    preAuthRef: response.preAuthRef,
+    approvedTotal: total('benefit') ?? items.reduce((sum, item) => sum + item.approved, 0),
+    submittedTotal: total('submitted'),
+    items,
+    errors: (response.error || []).map((row) => row.code?.text || row.code?.coding?.[0]?.code)
+  };
+}
+
+function readCommunicationRequest(payload) {
+  const request = resourceOf(payload, 'CommunicationRequest');
+  if (!request) return null;
+  return {
+    externalQueryId: request.identifier?.[0]?.value || request.id,
+    text: (request.payload || []).map((row) => row.contentString).filter(Boolean).join('\n'),
+    reasonCode: request.reasonCode?.[0]?.coding?.[0]?.code,
+    category: request.category?.[0]?.coding?.[0]?.code,
+    dueAt: request.occurrenceDateTime ? new Date(request.occurrenceDateTime) : undefined
+  };
+}
+
+function readPaymentNotice(payload) {
+  const notice = resourceOf(payload, 'PaymentNotice');
+  if (!notice) return null;
+  return {
+    reference: notice.paymentIdentifier?.value || notice.identifier?.[0]?.value,
+    amount: Number(notice.amount?.value || 0),
+    paymentDate: notice.paymentDate ? new Date(notice.paymentDate) : undefined,
+    status: notice.paymentStatus?.coding?.[0]?.code || notice.status
+  };
+}
+
+module.exports = {
+  ADJUDICATION_SYSTEM,
+  coverageEligibilityBundle,
+  claimBundle,
+  communicationBundle,
+  readCoverageEligibilityResponse,
+  readClaimResponse,
+  readCommunicationRequest,
+  readPaymentNotice
+};
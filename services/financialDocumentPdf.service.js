@@ -0,0 +1,220 @@
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const { money } = require('../utils/financeNumbers');
+
+// Patient-facing finance documents: payment receipts and advance receipt
+// vouchers and the provisional running bill (invoices print through
+// invoicePdf.service, as at the desk). Builders return a plain layout model so
+// the content can be checked without parsing a PDF; renderPdf draws any model
+// the same way.
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten', 'Eleven', 'Twelve', 'Thirteen',
+  'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundred(value) {
+  return value < 20 ? ONES[value] : [TENS[Math.floor(value / 10)], ONES[value % 10]].filter(Boolean).join(' ');
+}
+
+function belowThousand(value) {
+  const hundreds = Math.floor(value / 100);
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', belowHundred(value % 100)].filter(Boolean).join(' ');
+}
+
+/** Indian-system amount in words, e.g. "Rupees One Lakh Twenty Thousand and Fifty Paise Only". */
+function amountInWords(value) {
+  const paiseTotal = Math.round(Math.abs(Number(value || 0)) * 100);
+  let rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  const parts = [];
+  for (const [size, label] of [[10000000, 'Crore'], [100000, 'Lakh'], [1000, 'Thousand']]) {
+    if (rupees >= size) {
+      parts.push(`${size === 10000000 ? amountInWords(Math.floor(rupees / size)).replace(/^Rupees | Only$/g, '') : belowHundred(Math.floor(rupees / size))} ${label}`);
+      rupees %= size;
+    }
+  }
+  if (rupees) parts.push(belowThousand(rupees));
+  const words = parts.join(' ') || 'Zero';
+  return `Rupees ${words}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+}
+
+function inr(value) {
+  return Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(value, includeTime = false) {
+  if (!value) return '-';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString('en-IN', includeTime
+    ? { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Kolkata' }
+    : { dateStyle: 'medium', timeZone: 'Asia/Kolkata' });
+}
+
+function patientName(patient) {
+  return [patient?.salutation, patient?.first_name, patient?.middle_name, patient?.last_name].filter(Boolean).join(' ') || '-';
+}
+
+function sellerLines(seller = {}) {
+  return {
+    name: seller.legalName || seller.tradeName || 'Hospital',
+    address: [seller.address1, seller.address2, seller.location, seller.pincode].filter(Boolean).join(', '),
+    gstin: seller.gstin,
+    stateCode: seller.stateCode
+  };
+}
+
+const RECEIPT_TITLES = {
+  ADVANCE_DEPOSIT: 'RECEIPT VOUCHER (ADVANCE)',
+  REFUND: 'REFUND VOUCHER',
+  ADVANCE_REFUND: 'REFUND VOUCHER (ADVANCE)'
+};
+
+/**
+ * Receipt for one posted transaction. Advances are receipt vouchers: the
+ * supply has not happened yet, so no tax is charged on the advance itself.
+ */
+function receiptDocument({ seller, transaction, patient, admission, invoices = [], paidBy }) {
+  const advance = transaction.transactionType === 'ADVANCE_DEPOSIT';
+  const refund = ['REFUND', 'ADVANCE_REFUND'].includes(transaction.transactionType);
+  const against = invoices.map((row) => row.invoice_number).filter(Boolean).join(', ');
+  return {
+    filename: `${transaction.transactionNumber}.pdf`,
+    seller: sellerLines(seller),
+    title: RECEIPT_TITLES[transaction.transactionType] || 'PAYMENT RECEIPT',
+    rows: [
+      [refund ? 'Voucher No.' : 'Receipt No.', transaction.transactionNumber],
+      ['Date', formatDate(transaction.postedAt || transaction.createdAt, true)],
+      [refund ? 'Paid To' : 'Received From', paidBy?.name ? `${paidBy.name}${paidBy.relation ? ` (${paidBy.relation})` : ''}` : patientName(patient)],
+      ['Patient', `${patientName(patient)} (UHID: ${patient?.uhid || patient?.patientId || '-'})`],
+      ...(admission ? [['Admission No.', admission.admissionNumber]] : []),
+      ...(against ? [['Against Invoice', against]] : []),
+      ['Payment Mode', [transaction.paymentMethod, transaction.paymentReference].filter(Boolean).join(' / ')],
+      ['Place of Supply', seller?.stateCode ? `State code ${seller.stateCode}` : '-'],
+      ...(advance ? [['Nature of Receipt', `Advance for hospital services (SAC ${seller?.defaultServiceSac || '9993'})`], ['Tax on Advance', 'Nil']] : [])
+    ],
+    totals: [[refund ? 'Amount Refunded' : 'Amount Received', inr(transaction.amount)]],
+    amountInWords: amountInWords(transaction.amount),
+    notes: [
+      transaction.status !== 'POSTED' ? `This receipt is ${String(transaction.status).toLowerCase()}.` : null,
+      advance ? 'The advance will be adjusted against the final bill; any balance is refundable.' : null,
+      'This is a computer-generated receipt.'
+    ].filter(Boolean)
+  };
+}
+
+/** Provisional statement of an admission's running bill; not a tax document. */
+function runningBillDocument({ seller, runningBill }) {
+  const { admission, patient, financialSummary = {} } = runningBill;
+  const heads = new Map();
+  for (const charge of [...(runningBill.billedCharges || []), ...(runningBill.unbilledCharges || [])]) {
+    const head = charge.chargeType || charge.category || 'Other';
+    heads.set(head, money((heads.get(head) || 0) + Number(charge.netAmount ?? charge.amount ?? 0)));
+  }
+  return {
+    filename: `${admission.admissionNumber || admission._id}-interim.pdf`,
+    seller: sellerLines(seller),
+    title: 'INTERIM BILL',
+    subtitle: 'Provisional statement - not a tax invoice',
+    rows: [
+      ['Admission No.', admission.admissionNumber],
+      ['Patient', `${patientName(patient)} (UHID: ${patient?.uhid || patient?.patientId || '-'})`],
+      ['Admitted On', formatDate(admission.admissionDate, true)],
+      ['Statement Date', formatDate(new Date(), true)]
+    ],
+    table: {
+      columns: [{ label: 'Charge Head', width: 380 }, { label: 'Amount', width: 130, align: 'right' }],
+      rows: [...heads.entries()].map(([head, value]) => [head, inr(value)])
+    },
+    totals: [
+      ['Total Charges', inr(financialSummary.totalChargeAmount)],
+      ...(Number(financialSummary.sponsorLiability || 0) ? [['Sponsor Share', inr(financialSummary.sponsorLiability)]] : []),
+      ['Patient Share', inr(financialSummary.patientLiability)],
+      ['Paid Against Invoices', inr(financialSummary.paidAmount)],
+      ['Advance Available', inr(financialSummary.advanceAvailable)],
+      ['Estimated Balance', inr(Math.max(0, Number(financialSummary.patientReceivable || 0) - Number(financialSummary.advanceAvailable || 0)))]
+    ],
+    notes: ['Charges are provisional until the final bill is issued at discharge.', 'This is a computer-generated document.']
+  };
+}
+
+function drawTable(doc, table) {
+  const left = 42;
+  const drawRow = (cells, bold) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...cells.map((cell, index) => doc.heightOfString(String(cell), { width: table.columns[index].width - 4 })));
+    if (doc.y + height > 770) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, index) => {
+      const column = table.columns[index];
+      doc.text(String(cell), x + 2, y, { width: column.width - 4, align: column.align || 'left' });
+      x += column.width;
+    });
+    doc.y = y + height + 4;
+  };
+  drawRow(table.columns.map((column) => column.label), true);
+  doc.moveTo(left, doc.y - 2).lineTo(553, doc.y - 2).stroke();
+  table.rows.forEach((row) => drawRow(row, false));
+  doc.moveTo(left, doc.y).lineTo(553, doc.y).stroke();
+  doc.moveDown(0.5);
+}
+
+/** Draws a layout model into a PDF buffer. */
+function renderPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 42, bufferPages: true });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(15).text(model.seller.name, { align: 'center' });
+    doc.font('Helvetica').fontSize(8).text(model.seller.address || '', { align: 'center' });
+    if (model.seller.gstin) doc.text(`GSTIN: ${model.seller.gstin}${model.seller.stateCode ? `   State code: ${model.seller.stateCode}` : ''}`, { align: 'center' });
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(13).text(model.title, { align: 'center' });
+    if (model.subtitle) doc.font('Helvetica').fontSize(8).text(model.subtitle, { align: 'center' });
+    doc.moveDown(0.8);
+
+    for (const [label, value] of model.rows) {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(9).text(label, 50, y, { width: 140 });
+      doc.font('Helvetica').fontSize(9).text(String(value ?? '-'), 195, y, { width: 350 });
+      doc.moveDown(0.5);
+    }
+    doc.moveDown(0.5);
+    doc.x = 42;
+    if (model.table) drawTable(doc, model.table);
+
+    for (const [label, value] of model.totals || []) {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(9).text(label, 300, y, { width: 140 });
+      doc.font('Helvetica').fontSize(9).text(value, 440, y, { width: 110, align: 'right' });
+      doc.moveDown(0.4);
+    }
+    if (model.amountInWords) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Oblique').fontSize(9).text(model.amountInWords, 42, doc.y, { width: 510 });
+    }
+    doc.moveDown(1);
+    for (const note of model.notes || []) doc.font('Helvetica').fontSize(7.5).text(note, 42, doc.y, { width: 510 });
+    doc.moveDown(2);
+    doc.font('Helvetica').fontSize(9).text('Authorised Signatory', 390, doc.y, { width: 150, align: 'center' });
+
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index += 1) {
+      doc.switchToPage(index);
+      doc.font('Helvetica').fontSize(7).text(`Page ${index - range.start + 1} of ${range.count}`, 42, 805, { align: 'right', width: 510 });
+    }
+    doc.end();
+  });
+}
+
+module.exports = {
+  amountInWords,
+  receiptDocument,
+  runningBillDocument,
+  renderPdf
+};
@@ -0,0 +1,601 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const GatewayPayment = require('../models/GatewayPayment');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const GatewaySettlementReport = require('../models/GatewaySettlementReport');
+const DeskCheckout = require('../models/DeskCheckout');
+const Invoice = require('../models/Invoice');
+const Bill = require('../models/Bill');
+const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
+const IPDAdmission = require('../models/IPDAdmission');
+const patientFinancial = require('./patientFinancial.service');
+const ipdFinancial = require('./ipdFinancial.service');
+const { createPaymentGateway } = require('./paymentGatewayClient.service');
+const { nextNumber } = require('./hospitalSequence.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { money } = require('../utils/financeNumbers');
+const { operationNow, currentContext } = require('../utils/operationTimeContext');
+const { hospitalDayBounds, hospitalDateKey, addDateKeyDays, validateDateKey } = require('../utils/hospitalDateTime');
+
+const PURPOSES = ['OPD_SETTLEMENT', 'OPD_ADVANCE', 'IPD_SETTLEMENT', 'IPD_ADVANCE'];
+const CAPTURE_EVENTS = ['payment.captured', 'order.paid', 'qr_code.credited'];
+const REFUND_EVENTS = ['refund.created', 'refund.processed', 'refund.failed'];
+const REFUNDABLE_STATUSES = ['CAPTURED', 'PARTIALLY_REFUNDED'];
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+/** Finance payment method a gateway payment is booked under. */
+function methodFor(gatewayMethod) {
+  const method = String(gatewayMethod || '').toLowerCase();
+  if (method === 'upi') return 'UPI';
+  if (method === 'card' || method === 'emi') return 'Card';
+  if (method === 'netbanking') return 'Net Banking';
+  return 'Bank';
+}
+
+/**
+ * What part of a captured amount settles the document and what is left as
+ * advance. Money is never turned away: if the bill was settled at the desk
+ * while the patient paid online, the whole amount becomes advance.
+ */
+function splitCollection(captured, outstanding) {
+  const applied = money(Math.max(0, Math.min(Number(captured || 0), Number(outstanding || 0))));
+  return { applied, advance: money(Math.max(0, Number(captured || 0) - applied)) };
+}
+
+function purposeFor({ admissionId, invoiceId, billId, purpose }) {
+  if (purpose) {
+    if (!PURPOSES.includes(purpose)) throw httpError(`purpose must be one of ${PURPOSES.join(', ')}`);
+    return purpose;
+  }
+  if (admissionId) return invoiceId ? 'IPD_SETTLEMENT' : 'IPD_ADVANCE';
+  return invoiceId || billId ? 'OPD_SETTLEMENT' : 'OPD_ADVANCE';
+}
+
+/**
+ * Matches settlement-file lines with the hospital's gateway payments. A line is
+ * MATCHED when its payment (or refund) was booked for the same amount, and
+ * NOT_POSTED when the money arrived but never reached the patient ledger.
+ * `expected` are captured payments that should have been in the file.
+ */
+function reconcileSettlement({ lines = [], payments = [], expected = [] }) {
+  const byPaymentId = new Map(payments.filter((row) => row.gatewayPaymentId).map((row) => [row.gatewayPaymentId, row]));
+  const byOrderId = new Map(payments.map((row) => [row.gatewayOrderId, row]));
+  const byRefundId = new Map();
+  for (const payment of payments) {
+    for (const refund of payment.refunds || []) if (refund.gatewayRefundId) byRefundId.set(refund.gatewayRefundId, { payment, refund });
+  }
+  const totals = { rows: lines.length, gross: 0, refunds: 0, fees: 0, tax: 0, net: 0, matched: 0, mismatched: 0, notPosted: 0, unknown: 0, missing: 0 };
+  const settled = new Set();
+  const results = lines.map((line) => {
+    totals.fees = money(totals.fees + line.fee);
+    totals.tax = money(totals.tax + line.tax);
+    let result;
+    let payment;
+    let expectedAmount;
+    if (line.entityType === 'refund') {
+      totals.refunds = money(totals.refunds + line.amount);
+      const match = byRefundId.get(line.entityId);
+      payment = match?.payment;
+      expectedAmount = match?.refund.amount;
+      result = !match ? 'UNKNOWN' : Math.abs(match.refund.amount - line.amount) > 0.01 ? 'AMOUNT_MISMATCH' : 'MATCHED';
+    } else {
+      totals.gross = money(totals.gross + line.amount);
+      payment = byPaymentId.get(line.entityId) || byPaymentId.get(line.paymentId) || byOrderId.get(line.orderId);
+      expectedAmount = payment?.capturedAmount;
+      if (!payment) result = 'UNKNOWN';
+      else if (Math.abs(Number(payment.capturedAmount || 0) - line.amount) > 0.01) result = 'AMOUNT_MISMATCH';
+      else if (payment.posting?.status !== 'POSTED') result = 'NOT_POSTED';
+      else result = 'MATCHED';
+      if (payment) settled.add(String(payment._id));
+    }
+    if (result === 'MATCHED') totals.matched += 1;
+    else if (result === 'AMOUNT_MISMATCH') totals.mismatched += 1;
+    else if (result === 'NOT_POSTED') totals.notPosted += 1;
+    else totals.unknown += 1;
+    return { ...line, result, gatewayPaymentRef: payment?._id, expectedAmount };
+  });
+  const missing = expected
+    .filter((payment) => !settled.has(String(payment._id)))
+    .map((payment) => ({ gatewayPaymentRef: payment._id, gatewayPaymentId: payment.gatewayPaymentId, amount: payment.capturedAmount, capturedAt: payment.capturedAt }));
+  totals.missing = missing.length;
+  totals.net = money(totals.gross - totals.refunds - totals.fees - totals.tax);
+  return { lines: results, missing, totals };
+}
+
+async function loadTargets(hospitalId, body) {
+  const patient = mongoose.isValidObjectId(body.patientId)
+    ? await Patient.findOne({ _id: body.patientId, hospitalId }).select('first_name last_name').lean()
+    : null;
+  if (!patient) throw httpError('Patient not found in this hospital', 404);
+  const admission = body.admissionId
+    ? await IPDAdmission.findOne({ _id: body.admissionId, hospitalId, patientId: patient._id }).select('_id status').lean()
+    : null;
+  if (body.admissionId && !admission) throw httpError('Admission not found for this patient', 404);
+  const invoice = body.invoiceId
+    ? await Invoice.findOne({ _id: body.invoiceId, hospital_id: hospitalId, patient_id: patient._id }).select('balance_due invoice_number').lean()
+    : null;
+  if (body.invoiceId && !invoice) throw httpError('Invoice not found for this patient', 404);
+  const bill = body.billId
+    ? await Bill.findOne({ _id: body.billId, hospital_id: hospitalId, patient_id: patient._id }).select('balance_due').lean()
+    : null;
+  if (body.billId && !bill) throw httpError('Bill not found for this patient', 404);
+  const appointment = body.appointmentId
+    ? await Appointment.findOne({ _id: body.appointmentId, hospital_id: hospitalId, patient_id: patient._id }).select('_id').lean()
+    : null;
+  if (body.appointmentId && !appointment) throw httpError('Appointment not found for this patient', 404);
+  return { patient, admission, invoice, bill, appointment };
+}
+
+/**
+ * Opens an online collection with the gateway: a single-use UPI QR and, where
+ * the gateway supports it, a payment link. Nothing is booked until the
+ * capture webhook arrives.
+ */
+async function createPaymentRequest({ req, hospitalId, body = {}, deskCheckoutId, gateway = createPaymentGateway() }) {
+  const amount = money(body.amount);
+  if (!(amount > 0)) throw httpError('amount must be greater than zero');
+  const idempotencyKey = String(body.idempotencyKey || '').trim() || undefined;
+  if (idempotencyKey) {
+    const existing = await GatewayPayment.findOne({ hospitalId, idempotencyKey }).lean();
+    if (existing) return existing;
+  }
+  const { patient, admission, invoice, bill, appointment } = await loadTargets(hospitalId, body);
+  const purpose = purposeFor({ admissionId: admission?._id, invoiceId: invoice?._id, billId: bill?._id, purpose: body.purpose });
+  if (purpose.startsWith('IPD') && !admission) throw httpError('admissionId is required for an IPD collection');
+  if (purpose === 'OPD_SETTLEMENT' && !invoice && !bill) throw httpError('invoiceId or billId is required for an OPD settlement');
+
+  const requestNumber = await nextNumber(hospitalId, 'gateway-payment', 'OLP');
+  const order = await gateway.createOrder({
+    amount,
+    receipt: requestNumber,
+    description: invoice?.invoice_number ? `Invoice ${invoice.invoice_number}` : 'Hospital payment',
+    notes: { hospitalId: String(hospitalId), requestNumber, patientId: String(patient._id) }
+  });
+  const payment = await GatewayPayment.create({
+    hospitalId,
+    requestNumber,
+    provider: gateway.provider,
+    purpose,
+    patientId: patient._id,
+    admissionId: admission?._id,
+    invoiceId: invoice?._id,
+    billId: bill?._id,
+    deskCheckoutId,
+    appointmentId: appointment?._id,
+    amount,
+    paidBy: body.paidBy?.name ? body.paidBy : undefined,
+    gatewayOrderId: order.orderId,
+    qrCodeId: order.qrCodeId,
+    qrImageUrl: order.qrImageUrl,
+    paymentLinkUrl: order.paymentLinkUrl,
+    expiresAt: order.expiresAt,
+    idempotencyKey,
+    createdBy: req?.user?._id
+  });
+  await appendDomainEvent({
+    req,
+    eventType: 'gateway_payment.requested',
+    entityType: 'GatewayPayment',
+    entityId: payment._id,
+    hospitalId,
+    patientId: patient._id,
+    afterSummary: { requestNumber, purpose, amount, provider: gateway.provider, gatewayOrderId: order.orderId }
+  });
+  return payment.toObject();
+}
+
+// Webhook postings run without a logged-in user; the finance services only
+// need the hospital and the person who opened the collection.
+function postingUser(payment) {
+  return { _id: payment.createdBy, hospital_id: payment.hospitalId, role: 'admin' };
+}
+
+async function opdOutstanding(payment, user) {
+  try {
+    const preview = await patientFinancial.previewOPDPayment(payment.patientId, { invoiceId: payment.invoiceId, billId: payment.billId, amount: 0 }, user);
+    return preview.netPayable;
+  } catch (error) {
+    if (error.code === 'NO_OUTSTANDING_DOCUMENT') return 0;
+    throw error;
+  }
+}
+
+async function ipdOutstanding(payment) {
+  if (!payment.invoiceId) return 0;
+  const invoice = await Invoice.findOne({ _id: payment.invoiceId, hospital_id: payment.hospitalId }).select('balance_due').lean();
+  return Number(invoice?.balance_due || 0);
+}
+
+/**
+ * Books a captured gateway payment into the patient ledger: first against the
+ * bill or invoice it was raised for, the remainder as OPD or IPD advance. Every
+ * posting carries an idempotency key derived from the gateway payment id, so a
+ * retry after a partial failure completes rather than duplicates.
+ */
+async function postCapturedPayment(payment) {
+  if (payment.posting?.status === 'POSTED') return payment;
+  const user = postingUser(payment);
+  const key = `gateway:${payment.provider}:${payment.gatewayPaymentId}`;
+  const paymentMethod = methodFor(payment.method);
+  const reference = payment.gatewayPaymentId;
+  const notes = `Online payment ${payment.requestNumber}`;
+  const isIPD = payment.purpose.startsWith('IPD');
+  const outstanding = payment.purpose.endsWith('SETTLEMENT')
+    ? (isIPD ? await ipdOutstanding(payment) : await opdOutstanding(payment, user))
+    : 0;
+  const { applied, advance } = splitCollection(payment.capturedAmount, outstanding);
+  const receipts = [];
+  payment.posting.attempts = Number(payment.posting.attempts || 0) + 1;
+  try {
+    if (applied > 0 && isIPD) {
+      receipts.push(await ipdFinancial.recordIPDPayment(payment.admissionId, {
+        invoiceId: payment.invoiceId, amount: applied, paymentMethod, reference, sourceModule: 'IPD', receiptType: 'Payment', notes, idempotencyKey: key
+      }, user));
+    } else if (applied > 0) {
+      receipts.push(await patientFinancial.recordOPDPayment(payment.patientId, {
+        invoiceId: payment.invoiceId, billId: payment.billId, amount: applied, amountApplied: applied, amountTendered: applied,
+        paymentMethod, reference, notes, idempotencyKey: key
+      }, user));
+    }
+    if (advance > 0 && isIPD) {
+      receipts.push(await ipdFinancial.recordAdvance(payment.admissionId, { amount: advance, paymentMethod, reference, notes, idempotencyKey: `${key}:advance` }, user));
+    } else if (advance > 0) {
+      receipts.push(await patientFinancial.recordOPDAdvance(payment.patientId, { amount: advance, paymentMethod, reference, notes, idempotencyKey: `${key}:advance` }, user));
+    }
+    payment.posting.status = 'POSTED';
+    payment.posting.receiptNumbers = receipts.map((row) => row.receiptNumber).filter(Boolean);
+    payment.posting.appliedAmount = applied;
+    payment.posting.advanceAmount = advance;
+    payment.posting.postedAt = operationNow();
+    payment.posting.error = undefined;
+  } catch (error) {
+    payment.posting.status = 'FAILED';
+    payment.posting.error = error.message;
+  }
+  await payment.save();
+  if (payment.deskCheckoutId) {
+    await DeskCheckout.updateOne(
+      { _id: payment.deskCheckoutId, hospitalId: payment.hospitalId },
+      { $set: { paymentStatus: payment.posting.status === 'POSTED' ? 'COLLECTED' : 'PENDING_ONLINE_PAYMENT' } }
+    );
+  }
+  return payment;
+}
+
+// A consultation fee paid from the portal marks the booking paid as soon as
+// the money is captured; ledger posting is tracked on the payment itself.
+async function syncAppointmentPayment(payment, paymentStatus) {
+  if (!payment.appointmentId) return;
+  await Appointment.updateOne(
+    { _id: payment.appointmentId, hospital_id: payment.hospitalId, 'portalBooking.paymentStatus': { $ne: 'PAID' } },
+    { $set: { 'portalBooking.paymentStatus': paymentStatus, 'portalBooking.gatewayPaymentId': payment._id } }
+  );
+}
+
+async function findEventPayment(provider, event) {
+  const or = [];
+  if (event.orderId) or.push({ gatewayOrderId: event.orderId });
+  if (event.qrCodeId) or.push({ qrCodeId: event.qrCodeId });
+  if (event.paymentId) or.push({ gatewayPaymentId: event.paymentId });
+  return or.length ? GatewayPayment.findOne({ provider, $or: or }) : null;
+}
+
+async function applyCapture(payment, event) {
+  const open = ['CREATED', 'FAILED', 'EXPIRED'].includes(payment.status);
+  if (!open && payment.gatewayPaymentId !== event.paymentId) {
+    throw httpError(`Order ${payment.gatewayOrderId} was already captured by ${payment.gatewayPaymentId}`, 409, 'GATEWAY_DUPLICATE_CAPTURE');
+  }
+  if (open) {
+    payment.status = 'CAPTURED';
+    payment.gatewayPaymentId = event.paymentId;
+    payment.capturedAmount = event.amount;
+    payment.capturedAt = event.occurredAt || operationNow();
+    payment.method = event.method;
+    payment.failure = undefined;
+    await payment.save();
+    await syncAppointmentPayment(payment, 'PAID');
+  }
+  return postCapturedPayment(payment);
+}
+
+async function applyFailure(payment, event) {
+  // A failed attempt after a successful one (customer retried) changes nothing.
+  if (payment.status !== 'CREATED' && payment.status !== 'FAILED') return payment;
+  payment.status = 'FAILED';
+  payment.failure = { ...event.failure, at: event.occurredAt || operationNow() };
+  await payment.save();
+  if (payment.deskCheckoutId) {
+    await DeskCheckout.updateOne({ _id: payment.deskCheckoutId, hospitalId: payment.hospitalId }, { $set: { paymentStatus: 'ONLINE_PAYMENT_FAILED' } });
+  }
+  await syncAppointmentPayment(payment, 'FAILED');
+  return payment;
+}
+
+async function applyRefundEvent(payment, event) {
+  let refund = payment.refunds.find((row) => row.gatewayRefundId === event.refundId);
+  if (!refund) {
+    // Refund issued from the gateway dashboard: record it so the settlement
+    // report shows it, but leave the ledger to finance.
+    payment.refunds.push({ gatewayRefundId: event.refundId, amount: event.amount, reason: 'Issued outside the hospital system', requestedAt: event.occurredAt });
+    refund = payment.refunds[payment.refunds.length - 1];
+    payment.refundedAmount = money(payment.refundedAmount + event.amount);
+    payment.status = payment.refundedAmount + 0.01 >= payment.capturedAmount ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  }
+  if (event.type === 'refund.processed') {
+    refund.status = 'PROCESSED';
+    refund.processedAt = event.occurredAt || operationNow();
+  } else if (event.type === 'refund.failed') {
+    refund.status = 'FAILED';
+  }
+  await payment.save();
+  return payment;
+}
+
+/**
+ * Verifies, records and applies one gateway webhook. Redelivered events are
+ * acknowledged without reprocessing unless the earlier attempt failed.
+ */
+async function handleWebhook({ provider, rawBody, headers = {}, gateway = createPaymentGateway(provider) }) {
+  if (!gateway.verifyWebhook(rawBody, headers)) throw httpError('Invalid webhook signature', 401, 'WEBHOOK_SIGNATURE_INVALID');
+  let body;
+  try {
+    body = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody));
+  } catch (error) {
+    throw httpError('Webhook body is not valid JSON', 400);
+  }
+  const event = gateway.parseWebhook(body, headers);
+  let record;
+  try {
+    record = await PaymentWebhookEvent.create({
+      provider: gateway.provider, eventId: event.eventId, eventType: event.type,
+      gatewayOrderId: event.orderId, gatewayPaymentId: event.paymentId, payload: body
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    record = await PaymentWebhookEvent.findOne({ provider: gateway.provider, eventId: event.eventId });
+    if (record.status !== 'FAILED') return { duplicate: true, status: record.status };
+  }
+
+  const payment = await findEventPayment(gateway.provider, event);
+  record.hospitalId = payment?.hospitalId;
+  record.gatewayPaymentRef = payment?._id;
+  const known = CAPTURE_EVENTS.includes(event.type) || event.type === 'payment.failed' || REFUND_EVENTS.includes(event.type);
+  if (!payment || !known) {
+    record.status = 'IGNORED';
+    record.error = payment ? undefined : 'No matching payment request';
+    record.processedAt = operationNow();
+    await record.save();
+    return { status: record.status };
+  }
+  try {
+    if (CAPTURE_EVENTS.includes(event.type)) await applyCapture(payment, event);
+    else if (event.type === 'payment.failed') await applyFailure(payment, event);
+    else await applyRefundEvent(payment, event);
+    record.status = 'PROCESSED';
+    record.error = payment.posting?.status === 'FAILED' ? payment.posting.error : undefined;
+  } catch (error) {
+    record.status = 'FAILED';
+    record.error = error.message;
+  }
+  record.processedAt = operationNow();
+  await record.save();
+  if (record.status === 'PROCESSED' && CAPTURE_EVENTS.includes(event.type)) {
+    await appendDomainEvent({
+      eventType: 'gateway_payment.captured',
+      entityType: 'GatewayPayment',
+      entityId: payment._id,
+      hospitalId: payment.hospitalId,
+      patientId: payment.patientId,
+      afterSummary: { gatewayPaymentId: payment.gatewayPaymentId, amount: payment.capturedAmount, posting: payment.posting?.status, receipts: payment.posting?.receiptNumbers }
+    });
+  }
+  return { status: record.status, paymentStatus: payment.status, posting: payment.posting?.status };
+}
+
+async function loadPayment(hospitalId, id) {
+  const payment = mongoose.isValidObjectId(id) ? await GatewayPayment.findOne({ _id: id, hospitalId }) : null;
+  if (!payment) throw httpError('Online payment not found', 404);
+  return payment;
+}
+
+async function retryPosting({ req, hospitalId, id }) {
+  const payment = await loadPayment(hospitalId, id);
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) throw httpError('Only captured payments can be posted', 409);
+  const before = payment.posting.status;
+  await postCapturedPayment(payment);
+  await appendDomainEvent({
+    req,
+    eventType: 'gateway_payment.posting_retried',
+    entityType: 'GatewayPayment',
+    entityId: payment._id,
+    hospitalId,
+    patientId: payment.patientId,
+    beforeSummary: { posting: before },
+    afterSummary: { posting: payment.posting.status, error: payment.posting.error }
+  });
+  return payment.toObject();
+}
+
+function listPaymentRequests({ hospitalId, query = {} }) {
+  const filter = { hospitalId };
+  if (query.status) filter.status = query.status;
+  if (query.posting) filter['posting.status'] = query.posting;
+  if (query.patientId) filter.patientId = query.patientId;
+  if (query.invoiceId) filter.invoiceId = query.invoiceId;
+  return GatewayPayment.find(filter).sort({ createdAt: -1 }).limit(Math.min(Number(query.limit) || 100, 500)).lean();
+}
+
+async function getPaymentRequest({ hospitalId, id }) {
+  return (await loadPayment(hospitalId, id)).toObject();
+}
+
+/**
+ * Refund of an invoice back to the card / UPI account it was paid from. The
+ * gateway refund is requested first; the ledger refund (credit note + REFUND
+ * transaction) is keyed by the refund row so a retry finishes the posting.
+ */
+async function refundInvoiceToGateway({ req, hospitalId, invoiceId, payload = {}, gateway }) {
+  const amount = money(payload.amount);
+  if (!(amount > 0)) throw httpError('Refund amount must be greater than zero');
+  if (!String(payload.reason || '').trim()) throw httpError('Refund reason is required');
+  const invoice = mongoose.isValidObjectId(invoiceId) ? await Invoice.findOne({ _id: invoiceId, hospital_id: hospitalId }).lean() : null;
+  if (!invoice) throw httpError('Invoice not found in this hospital', 404);
+  const requestKey = String(payload.idempotencyKey || '').trim() || undefined;
+
+  const candidates = await GatewayPayment.find({
+    hospitalId,
+    invoiceId: invoice._id,
+    status: { $in: [...REFUNDABLE_STATUSES, 'REFUNDED'] },
+    ...(payload.gatewayPaymentRef ? { _id: payload.gatewayPaymentRef } : {})
+  }).sort({ capturedAt: -1 });
+  let payment = requestKey ? candidates.find((row) => row.refunds.some((refund) => refund.requestKey === requestKey)) : null;
+  let refund = payment?.refunds.find((row) => row.requestKey === requestKey);
+  if (!refund) {
+    const refundable = money(Number(invoice.amount_paid || 0) - Number(invoice.refunded_amount || 0));
+    if (amount > refundable + 0.01) throw httpError(`Refund amount exceeds the collected refundable amount of ₹${refundable.toFixed(2)}`);
+    payment = candidates.find((row) => REFUNDABLE_STATUSES.includes(row.status) && money(row.capturedAmount - row.refundedAmount) + 0.01 >= amount);
+    if (!payment) throw httpError('No online payment on this invoice can cover the refund', 409, 'GATEWAY_REFUND_NOT_AVAILABLE');
+    payment.refunds.push({ amount, invoiceId: invoice._id, reason: payload.reason.trim(), requestKey, requestedBy: req.user?._id, requestedAt: operationNow() });
+    refund = payment.refunds[payment.refunds.length - 1];
+    await payment.save();
+    try {
+      const issued = await (gateway || createPaymentGateway(payment.provider)).refund({ paymentId: payment.gatewayPaymentId, amount, reference: String(refund._id) });
+      refund.gatewayRefundId = issued.refundId;
+      refund.status = issued.status === 'processed' ? 'PROCESSED' : 'PENDING';
+      if (refund.status === 'PROCESSED') refund.processedAt = operationNow();
+    } catch (error) {
+      refund.status = 'FAILED';
+      await payment.save();
+      throw error;
+    }
+    payment.refundedAmount = money(payment.refundedAmount + amount);
+    payment.status = payment.refundedAmount + 0.01 >= payment.capturedAmount ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+    await payment.save();
+  }
+  if (refund.status === 'FAILED') throw httpError('The gateway refused this refund; raise a new request', 409, 'GATEWAY_REFUND_FAILED');
+
+  const posted = await ipdFinancial.refundInvoice(invoice._id, {
+    amount: refund.amount,
+    reason: refund.reason,
+    paymentMethod: methodFor(payment.method),
+    reference: refund.gatewayRefundId,
+    idempotencyKey: `gateway-refund:${refund._id}`
+  }, req.user);
+  if (!refund.refundNumber) {
+    refund.refundNumber = posted.refundNumber;
+    await payment.save();
+    await appendDomainEvent({
+      req,
+      eventType: 'gateway_payment.refunded',
+      entityType: 'GatewayPayment',
+      entityId: payment._id,
+      hospitalId,
+      patientId: payment.patientId,
+      afterSummary: { invoiceId: invoice._id, amount: refund.amount, gatewayRefundId: refund.gatewayRefundId, refundNumber: posted.refundNumber },
+      comments: refund.reason
+    });
+  }
+  return { ...posted, gatewayRefund: refund.toObject(), gatewayPaymentId: payment._id };
+}
+
+/**
+ * Imports the gateway's daily settlement file and reconciles it against the
+ * payments captured on the day it covers (by default the day before the
+ * settlement date). The same file imported twice returns the first report.
+ */
+async function importSettlementFile({ req, hospitalId, body = {}, gateway = createPaymentGateway(body.provider) }) {
+  const content = String(body.content || '');
+  if (!content.trim()) throw httpError('content (the settlement CSV) is required');
+  const timeZone = currentContext()?.timeZone;
+  const settlementDate = String(body.settlementDate || hospitalDateKey(operationNow(), timeZone));
+  const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+  const existing = await GatewaySettlementReport.findOne({ hospitalId, fileHash }).lean();
+  if (existing) return { ...existing, alreadyImported: true };
+
+  const lines = gateway.parseSettlementFile(content);
+  if (!lines.length) throw httpError('The settlement file has no rows');
+  const captureDay = hospitalDayBounds(body.captureDate || addDateKeyDays(validateDateKey(settlementDate), -1), timeZone);
+  const ids = lines.flatMap((line) => [line.entityId, line.paymentId]).filter(Boolean);
+  const orders = lines.map((line) => line.orderId).filter(Boolean);
+  const [payments, expected] = await Promise.all([
+    GatewayPayment.find({
+      hospitalId,
+      provider: gateway.provider,
+      $or: [{ gatewayPaymentId: { $in: ids } }, { gatewayOrderId: { $in: orders } }, { 'refunds.gatewayRefundId': { $in: ids } }]
+    }),
+    GatewayPayment.find({
+      hospitalId,
+      provider: gateway.provider,
+      status: { $in: [...REFUNDABLE_STATUSES, 'REFUNDED'] },
+      capturedAt: { $gte: captureDay.start, $lt: captureDay.end }
+    }).lean()
+  ]);
+  const reconciled = reconcileSettlement({ lines, payments, expected });
+  const report = await GatewaySettlementReport.create({
+    hospitalId,
+    provider: gateway.provider,
+    settlementDate,
+    fileName: body.fileName,
+    fileHash,
+    totals: reconciled.totals,
+    lines: reconciled.lines,
+    missing: reconciled.missing,
+    createdBy: req.user?._id
+  });
+  const settledPayments = new Map(payments.map((payment) => [String(payment._id), payment]));
+  for (const line of reconciled.lines) {
+    const payment = line.entityType !== 'refund' && line.gatewayPaymentRef && settledPayments.get(String(line.gatewayPaymentRef));
+    if (!payment || payment.settlement?.settlementId) continue;
+    payment.settlement = { settlementId: line.settlementId, utr: line.utr, settledAt: line.settledAt, amount: line.amount, fee: line.fee, tax: line.tax, reportId: report._id };
+    // eslint-disable-next-line no-await-in-loop
+    await payment.save();
+  }
+  await appendDomainEvent({
+    req,
+    eventType: 'gateway_settlement.imported',
+    entityType: 'GatewaySettlementReport',
+    entityId: report._id,
+    hospitalId,
+    afterSummary: { settlementDate, provider: gateway.provider, ...reconciled.totals }
+  });
+  return report.toObject();
+}
+
+function listSettlementReports({ hospitalId, query = {} }) {
+  const filter = { hospitalId };
+  if (query.from || query.to) filter.settlementDate = { ...(query.from ? { $gte: query.from } : {}), ...(query.to ? { $lte: query.to } : {}) };
+  return GatewaySettlementReport.find(filter).select('-lines -missing').sort({ settlementDate: -1 }).limit(100).lean();
+}
+
+async function getSettlementReport({ hospitalId, id }) {
+  const report = mongoose.isValidObjectId(id) ? await GatewaySettlementReport.findOne({ _id: id, hospitalId }).lean() : null;
+  if (!report) throw httpError('Settlement report not found', 404);
+  return report;
+}
+
+module.exports = {
+  methodFor,
+  splitCollection,
+  purposeFor,
+  reconcileSettlement,
+  createPaymentRequest,
+  postCapturedPayment,
+  handleWebhook,
+  retryPosting,
+  listPaymentRequests,
+  getPaymentRequest,
+  refundInvoiceToGateway,
+  importSettlementFile,
+  listSettlementReports,
+  getSettlementReport
+};
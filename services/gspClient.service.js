@@ -0,0 +1,156 @@
+'use strict';
+
+const crypto = require('crypto');
+const { postProviderJson } = require('../utils/functionalDomain');
+const { financialYearLabel, ewayBillValidUntil } = require('./gstEInvoice.service');
+
+// GST Suvidha Provider clients. `mock` is a local stand-in for development and
+// test hospitals: it derives the IRN the same way the IRP does but its QR
+// signature is not verifiable. `http` talks to a GSP that exposes the IRP and
+// e-way bill APIs as JSON endpoints under GST_GSP_BASE_URL.
+
+function notConfigured(message) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  error.code = 'GST_GSP_NOT_CONFIGURED';
+  return error;
+}
+
+function irnFor(payload, now) {
+  const docDate = payload.DocDtls?.Dt ? payload.DocDtls.Dt.split('/').reverse().join('-') : now;
+  return crypto.createHash('sha256')
+    .update(`${payload.SellerDtls.Gstin}${financialYearLabel(docDate)}${payload.DocDtls.Typ}${String(payload.DocDtls.No).toUpperCase()}`)
+    .digest('hex');
+}
+
+function digits(seed, length) {
+  const hex = crypto.createHash('sha256').update(seed).digest('hex');
+  return BigInt(`0x${hex.slice(0, 16)}`).toString().padStart(length, '1').slice(0, length);
+}
+
+function mockSign(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg: 'none', typ: 'JWT', kid: 'MOCK-GSP' })}.${encode(claims)}`;
+  const signature = crypto.createHmac('sha256', 'mock-gsp').update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+function createMockClient({ clock = () => new Date() } = {}) {
+  return {
+    provider: 'mock',
+    async generateIrn(payload) {
+      const now = clock();
+      const irn = irnFor(payload, now);
+      const qrClaims = {
+        SellerGstin: payload.SellerDtls.Gstin,
+        BuyerGstin: payload.BuyerDtls.Gstin,
+        DocNo: payload.DocDtls.No,
+        DocTyp: payload.DocDtls.Typ,
+        DocDt: payload.DocDtls.Dt,
+        TotInvVal: payload.ValDtls.TotInvVal,
+        ItemCnt: payload.ItemList.length,
+        MainHsnCode: payload.ItemList[0]?.HsnCd,
+        Irn: irn,
+        IrnDt: now.toISOString()
+      };
+      return {
+        irn,
+        ackNo: digits(`ack:${irn}`, 15),
+        ackDate: now,
+        signedInvoice: mockSign({ data: payload, Irn: irn }),
+        signedQrCode: mockSign({ data: qrClaims })
+      };
+    },
+    async cancelIrn({ irn }) {
+      return { irn, cancelledAt: clock() };
+    },
+    async generateEwayBill(payload) {
+      const now = clock();
+      return {
+        ewbNo: digits(`ewb:${payload.fromGstin}:${payload.docNo}:${payload.docDate}`, 12),
+        ewbDate: now,
+        validUntil: ewayBillValidUntil(now, payload.transDistance)
+      };
+    },
+    async cancelEwayBill({ ewbNo }) {
+      return { ewbNo, cancelledAt: clock() };
+    }
+  };
+}
+
+function parseGspDate(value) {
+  if (!value) return undefined;
+  const match = String(value).match(/^(\d{2})\/(\d{2})\/(\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return new Date(String(value).replace(' ', 'T') + (/[zZ+]/.test(String(value)) ? '' : '+05:30'));
+  let hour = Number(match[4]);
+  if (match[7]) hour = (hour % 12) + (match[7].toUpperCase() === 'PM' ? 12 : 0);
+  return new Date(`${match[3]}-${match[2]}-${match[1]}T${String(hour).padStart(2, '0')}:${match[5]}:${match[6]}+05:30`);
+}
+
+function createHttpClient({ baseUrl, clientId, clientSecret, username, password, allowedHosts, timeoutMs } = {}) {
+  if (!baseUrl) throw notConfigured('GST_GSP_BASE_URL is not configured');
+  const call = (path, body, gstin) => postProviderJson(`${baseUrl.replace(/\/$/, '')}${path}`, body, {
+    label: 'GST GSP',
+    allowedHosts,
+    timeoutMs,
+    headers: { client_id: clientId, client_secret: clientSecret, user_name: username, password, gstin }
+  }).then((response) => response.data || response.result || response);
+  return {
+    provider: 'http',
+    async generateIrn(payload) {
+      const data = await call('/einvoice/irn', payload, payload.SellerDtls.Gstin);
+      return {
+        irn: data.Irn,
+        ackNo: String(data.AckNo || ''),
+        ackDate: parseGspDate(data.AckDt),
+        signedInvoice: data.SignedInvoice,
+        signedQrCode: data.SignedQRCode,
+        ewbNo: data.EwbNo ? String(data.EwbNo) : undefined
+      };
+    },
+    async cancelIrn({ irn, reasonCode, remarks, gstin }) {
+      const data = await call('/einvoice/irn/cancel', { Irn: irn, CnlRsn: reasonCode, CnlRem: remarks }, gstin);
+      return { irn: data.Irn || irn, cancelledAt: parseGspDate(data.CancelDate) };
+    },
+    async generateEwayBill(payload) {
+      const data = await call('/ewaybill', payload, payload.fromGstin);
+      return {
+        ewbNo: String(data.ewayBillNo || data.EwbNo || ''),
+        ewbDate: parseGspDate(data.ewayBillDate || data.EwbDt),
+        validUntil: parseGspDate(data.validUpto || data.EwbValidTill)
+      };
+    },
+    async cancelEwayBill({ ewbNo, reasonCode, remarks, gstin }) {
+      const data = await call('/ewaybill/cancel', { ewbNo: Number(ewbNo), cancelRsnCode: Number(reasonCode), cancelRmrk: remarks }, gstin);
+      return { ewbNo, cancelledAt: parseGspDate(data.cancelDate) };
+    }
+  };
+}
+
+/**
+ * Resolves the configured GSP client. The mock signs nothing a GST officer can
+ * verify, so it must be chosen explicitly and never issues IRNs in production.
+ */
+function createGspClient(provider, options = {}) {
+  provider = provider || process.env.GST_GSP_PROVIDER;
+  if (!provider) throw notConfigured('GST_GSP_PROVIDER is not configured');
+  if (provider === 'mock') {
+    if (process.env.NODE_ENV === 'production') throw notConfigured('GST_GSP_PROVIDER=mock is forbidden in production');
+    return createMockClient(options);
+  }
+  if (provider === 'http') {
+    return createHttpClient({
+      baseUrl: process.env.GST_GSP_BASE_URL,
+      clientId: process.env.GST_GSP_CLIENT_ID,
+      clientSecret: process.env.GST_GSP_CLIENT_SECRET,
+      username: process.env.GST_GSP_USERNAME,
+      password: process.env.GST_GSP_PASSWORD,
+      allowedHosts: process.env.GST_GSP_ALLOWED_HOSTS,
+      timeoutMs: process.env.GST_GSP_TIMEOUT_MS,
+      ...options
+    });
+  }
+  throw notConfigured(`Unsupported GST GSP provider ${provider}`);
+}
+
+module.exports = { createGspClient, createMockClient, createHttpClient, parseGspDate };
@@ -0,0 +1,558 @@
+'use strict';
+
+const Invoice = require('../models/Invoice');
+const Payer = require('../models/Payer');
+const Hospital = require('../models/Hospital');
+const PurchaseReturn = require('../models/PurchaseReturn');
+const StorePurchaseOrder = require('../models/StorePurchaseOrder');
+const StockTransfer = require('../models/StockTransfer');
+const StoreLocation = require('../models/StoreLocation');
+const StoreItem = require('../models/StoreItem');
+const InventoryLot = require('../models/InventoryLot');
+const { operationNow } = require('../utils/operationTimeContext');
+const { getOrCreateNabhSetting } = require('./nabhSetting.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { createGspClient } = require('./gspClient.service');
+const einvoice = require('./gstEInvoice.service');
+
+// B2C documents (patients, walk-ins) are outside e-invoicing; the buyer has to
+// be a GST-registered payer or supplier.
+const B2B_CUSTOMER_TYPES = Object.freeze(['Insurance', 'Corporate', 'Supplier']);
+const REGISTRABLE_STAGES = Object.freeze(['ISSUED', 'CREDIT_NOTE']);
+const TRANSFER_EWAY_STATUSES = Object.freeze(['Approved', 'Picked', 'In Transit']);
+
+// Invoice stores e-invoice state in snake_case; the store documents use camelCase.
+const INVOICE_FIELDS = Object.freeze({
+  status: 'status',
+  documentType: 'document_type',
+  irn: 'irn',
+  ackNo: 'ack_no',
+  ackDate: 'ack_date',
+  signedInvoice: 'signed_invoice',
+  signedQrCode: 'signed_qr_code',
+  buyerGstin: 'buyer_gstin',
+  provider: 'provider',
+  payload: 'payload',
+  validationErrors: 'validation_errors',
+  lastError: 'last_error',
+  attempts: 'attempts',
+  generatedBy: 'generated_by',
+  cancelledAt: 'cancelled_at',
+  cancelledBy: 'cancelled_by',
+  cancelReasonCode: 'cancel_reason_code',
+  cancelRemarks: 'cancel_remarks'
+});
+
+function httpError(message, statusCode, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function readState(doc, path, fields) {
+  const raw = doc.get(path)?.toObject?.() || doc.get(path) || {};
+  if (!fields) return raw;
+  return Object.fromEntries(Object.entries(fields).map(([key, column]) => [key, raw[column]]));
+}
+
+function writeState(doc, path, fields, values) {
+  for (const [key, value] of Object.entries(values)) {
+    doc.set(`${path}.${fields ? fields[key] : key}`, value);
+  }
+}
+
+/**
+ * Seller registration from the GST settings, with the hospital master
+ * filling any address field left blank.
+ */
+async function sellerProfile(hospitalId, userId) {
+  const [setting, hospital] = await Promise.all([
+    getOrCreateNabhSetting(hospitalId, userId),
+    Hospital.findById(hospitalId).select('name hospitalName address city state pinCode contact email').lean()
+  ]);
+  const gst = setting.gstCompliance?.toObject?.() || setting.gstCompliance || {};
+  return {
+    ...gst,
+    legalName: gst.legalName || hospital?.hospitalName || hospital?.name,
+    tradeName: gst.tradeName || hospital?.name,
+    address1: gst.address1 || hospital?.address,
+    location: gst.location || hospital?.city,
+    pincode: gst.pincode || hospital?.pinCode,
+    stateCode: gst.stateCode || einvoice.stateCodeFor(hospital?.state) || (einvoice.isValidGstin(gst.gstin) ? gst.gstin.slice(0, 2) : undefined),
+    phone: gst.phone || hospital?.contact,
+    email: gst.email || hospital?.email
+  };
+}
+
+function assertEnabled(profile, flag, label) {
+  if (!profile[flag]) throw httpError(`${label} is not enabled for this hospital`, 409, 'GST_FEATURE_DISABLED');
+}
+
+function looksLikeSac(code) {
+  return /^99\d{2}(\d{2}){0,2}$/.test(String(code || '').trim());
+}
+
+const INVOICE_LINE_SOURCES = [
+  { path: 'service_items', name: (item) => item.description, service: (item) => item.service_type !== 'Purchase' },
+  { path: 'medicine_items', name: (item) => item.medicine_name || item.description, service: () => false },
+  { path: 'procedure_items', name: (item) => item.procedure_name, service: () => true },
+  { path: 'lab_test_items', name: (item) => item.lab_test_name, service: () => true },
+  { path: 'radiology_items', name: (item) => item.imaging_test_name, service: () => true }
+];
+
+/**
+ * Normalises every billed line into builder input. The assessable value is
+ * the line's taxable amount when billing stored one, otherwise its pre-tax
+ * total; the difference from gross is reported as discount.
+ */
+function invoiceLines(invoice, profile = {}) {
+  const lines = [];
+  for (const source of INVOICE_LINE_SOURCES) {
+    for (const item of invoice[source.path] || []) {
+      const quantity = Number(item.quantity || 1);
+      const assessable = Number(item.taxable_amount) > 0 ? Number(item.taxable_amount) : Number(item.total_price || 0);
+      if (item.is_return || assessable < 0) {
+        throw httpError('Returned items cannot be registered on an invoice; issue a credit note instead', 422, 'EINVOICE_VALIDATION_FAILED');
+      }
+      if (assessable === 0) continue;
+      const isService = source.service(item);
+      const gross = Math.max(einvoice.round2(Number(item.unit_price || 0) * quantity), assessable);
+      lines.push({
+        description: source.name(item),
+        isService,
+        hsn: isService
+          ? (looksLikeSac(item.tax_code) ? item.tax_code : profile.defaultServiceSac)
+          : (item.hsn_code || profile.defaultGoodsHsn),
+        quantity,
+        unit: item.base_unit,
+        unitPrice: einvoice.round2(gross / quantity),
+        grossAmount: gross,
+        discount: einvoice.round2(gross - assessable),
+        gstRate: Number(item.tax_rate || 0)
+      });
+    }
+  }
+  return lines;
+}
+
+async function invoiceBuyer({ hospitalId, invoice, original, overrides = {} }) {
+  const payerId = invoice.payer_allocation?.payer_id || original?.payer_allocation?.payer_id;
+  const payer = payerId ? await Payer.findOne({ _id: payerId, hospitalId }).select('name gstRegistration').lean() : null;
+  const registration = payer?.gstRegistration || {};
+  return {
+    legalName: registration.legalName || payer?.name || invoice.customer_name,
+    address1: invoice.customer_address,
+    email: registration.email,
+    phone: invoice.customer_phone,
+    gstin: original?.e_invoice?.buyer_gstin,
+    ...Object.fromEntries(Object.entries(registration).filter(([, value]) => value)),
+    ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== ''))
+  };
+}
+
+async function loadInvoice(hospitalId, invoiceId) {
+  const invoice = await Invoice.findOne({ _id: invoiceId, hospital_id: hospitalId });
+  if (!invoice) throw httpError('Invoice not found', 404);
+  return invoice;
+}
+
+/** Builds and validates the IRP payload for an issued invoice or credit note without registering it. */
+async function invoicePayload({ hospitalId, invoice, buyer: overrides, userId }) {
+  if (!REGISTRABLE_STAGES.includes(invoice.document_stage) || invoice.status === 'Cancelled') {
+    throw httpError('Only issued invoices and credit notes can be registered with the IRP', 409, 'EINVOICE_NOT_APPLICABLE');
+  }
+  const creditNote = invoice.document_stage === 'CREDIT_NOTE';
+  const original = creditNote && invoice.linked_invoice_id
+    ? await Invoice.findOne({ _id: invoice.linked_invoice_id, hospital_id: hospitalId }).select('invoice_number issue_date customer_type payer_allocation e_invoice').lean()
+    : null;
+  const b2b = B2B_CUSTOMER_TYPES.includes(invoice.customer_type) ||
+    B2B_CUSTOMER_TYPES.includes(original?.customer_type) ||
+    original?.e_invoice?.status === 'generated' ||
+    Boolean(overrides?.gstin);
+  if (!b2b) throw httpError('B2C invoices do not need an IRN', 409, 'EINVOICE_NOT_APPLICABLE');
+
+  const profile = await sellerProfile(hospitalId, userId);
+  const payload = einvoice.buildEInvoicePayload({
+    docType: creditNote ? 'CRN' : 'INV',
+    docNo: invoice.invoice_number,
+    docDate: invoice.issued_at || invoice.issue_date,
+    seller: profile,
+    buyer: await invoiceBuyer({ hospitalId, invoice, original, overrides }),
+    lines: invoiceLines(invoice, profile),
+    precedingDocuments: original ? [{ number: original.invoice_number, date: original.issue_date }] : [],
+    invoiceDiscount: creditNote ? 0 : invoice.bill_discount_total,
+    roundOff: invoice.rounding_adjustment
+  });
+  return { profile, payload, errors: einvoice.validateEInvoicePayload(payload) };
+}
+
+/**
+ * Shared IRN registration: refuses re-registration, records validation and
+ * GSP failures on the document for the retry queue, and stores the IRN and
+ * signed QR on success.
+ */
+async function registerIrn({ req, hospitalId, doc, path, fields, profile, payload, errors, entityType, extra = {} }) {
+  const state = readState(doc, path, fields);
+  if (state.status === 'generated') return { document: doc, alreadyGenerated: true };
+  if (state.status === 'cancelled') {
+    throw httpError('A cancelled IRN cannot be regenerated for the same document number; issue a new document', 409, 'IRN_CANCELLED');
+  }
+  if (errors.length) {
+    writeState(doc, path, fields, { status: 'failed', validationErrors: errors, lastError: errors[0].message, payload });
+    await doc.save();
+    throw httpError('E-invoice payload failed validation', 422, 'EINVOICE_VALIDATION_FAILED', errors);
+  }
+
+  const client = createGspClient(profile.gspProvider);
+  let result;
+  try {
+    result = await client.generateIrn(payload);
+  } catch (error) {
+    writeState(doc, path, fields, { status: 'failed', lastError: error.message, attempts: Number(state.attempts || 0) + 1, payload });
+    await doc.save();
+    throw error;
+  }
+  writeState(doc, path, fields, {
+    status: 'generated',
+    documentType: payload.DocDtls.Typ,
+    irn: result.irn,
+    ackNo: result.ackNo,
+    ackDate: result.ackDate,
+    signedInvoice: result.signedInvoice,
+    signedQrCode: result.signedQrCode,
+    provider: client.provider,
+    payload,
+    validationErrors: [],
+    lastError: undefined,
+    attempts: Number(state.attempts || 0) + 1,
+    generatedBy: req.user?._id,
+    ...extra
+  });
+  await doc.save();
+  await appendDomainEvent({
+    req,
+    eventType: 'gst.einvoice.generated',
+    entityType,
+    entityId: doc._id,
+    hospitalId,
+    afterSummary: { irn: result.irn, ackNo: result.ackNo, documentType: payload.DocDtls.Typ, documentNumber: payload.DocDtls.No },
+    metadata: { provider: client.provider, totalValue: payload.ValDtls.TotInvVal }
+  });
+  return { document: doc, alreadyGenerated: false };
+}
+
+async function cancelIrnOn({ req, hospitalId, doc, path, fields, body, entityType }) {
+  const state = readState(doc, path, fields);
+  const cancellation = einvoice.assertCancellable({
+    generatedAt: state.ackDate,
+    status: state.status,
+    reasonCode: body.reasonCode,
+    remarks: body.remarks,
+    now: operationNow()
+  });
+  const profile = await sellerProfile(hospitalId, req.user?._id);
+  const client = createGspClient(state.provider || profile.gspProvider);
+  const result = await client.cancelIrn({ irn: state.irn, reasonCode: cancellation.reasonCode, remarks: cancellation.remarks, gstin: profile.gstin });
+  writeState(doc, path, fields, {
+    status: 'cancelled',
+    cancelledAt: result.cancelledAt || operationNow(),
+    cancelledBy: req.user?._id,
+    cancelReasonCode: cancellation.reasonCode,
+    cancelRemarks: cancellation.remarks
+  });
+  await doc.save();
+  await appendDomainEvent({
+    req,
+    eventType: 'gst.einvoice.cancelled',
+    entityType,
+    entityId: doc._id,
+    hospitalId,
+    beforeSummary: { irn: state.irn, status: state.status },
+    afterSummary: { status: 'cancelled' },
+    reasonCode: cancellation.reasonCode,
+    comments: cancellation.remarks
+  });
+  return doc;
+}
+
+async function previewInvoice({ req, hospitalId, invoiceId, buyer }) {
+  const invoice = await loadInvoice(hospitalId, invoiceId);
+  const { payload, errors } = await invoicePayload({ hospitalId, invoice, buyer, userId: req.user?._id });
+  return { payload, errors, valid: errors.length === 0 };
+}
+
+async function generateInvoiceIrn({ req, hospitalId, invoiceId, buyer }) {
+  const invoice = await loadInvoice(hospitalId, invoiceId);
+  const { profile, payload, errors } = await invoicePayload({ hospitalId, invoice, buyer, userId: req.user?._id });
+  assertEnabled(profile, 'eInvoiceEnabled', 'E-invoicing');
+  return registerIrn({
+    req, hospitalId, doc: invoice, path: 'e_invoice', fields: INVOICE_FIELDS, profile, payload, errors,
+    entityType: 'Invoice', extra: { buyerGstin: payload.BuyerDtls.Gstin }
+  });
+}
+
+async function cancelInvoiceIrn({ req, hospitalId, invoiceId, body = {} }) {
+  const invoice = await loadInvoice(hospitalId, invoiceId);
+  return cancelIrnOn({ req, hospitalId, doc: invoice, path: 'e_invoice', fields: INVOICE_FIELDS, body, entityType: 'Invoice' });
+}
+
+async function storeItemsById(hospitalId, ids) {
+  const items = await StoreItem.find({ _id: { $in: ids }, hospital_id: hospitalId }).select('name unit hsn_sac tax_rate average_cost').lean();
+  return new Map(items.map((item) => [String(item._id), item]));
+}
+
+async function purchaseReturnPayload({ hospitalId, record, buyer: overrides = {}, precedingInvoice, userId }) {
+  if (!['Approved', 'Dispatched', 'Closed'].includes(record.status)) {
+    throw httpError('Only approved or dispatched purchase returns can be registered', 409, 'EINVOICE_NOT_APPLICABLE');
+  }
+  const [profile, order, items] = await Promise.all([
+    sellerProfile(hospitalId, userId),
+    StorePurchaseOrder.findOne({ _id: record.purchaseOrderId, hospital_id: hospitalId })
+      .select('supplier_name supplier_gst supplier_email supplier_phone invoice_number invoice_date').lean(),
+    storeItemsById(hospitalId, record.lines.map((line) => line.itemId))
+  ]);
+  const supplierGstin = overrides.gstin || record.supplierGstin || order?.supplier_gst;
+  const payload = einvoice.buildEInvoicePayload({
+    docType: 'DBN',
+    docNo: record.returnNumber,
+    docDate: record.dispatchedAt || record.createdAt,
+    seller: profile,
+    buyer: {
+      legalName: record.supplierName || order?.supplier_name,
+      email: order?.supplier_email,
+      phone: order?.supplier_phone,
+      ...Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined && value !== '')),
+      gstin: supplierGstin
+    },
+    lines: record.lines.map((line) => {
+      const item = items.get(String(line.itemId)) || {};
+      return {
+        description: item.name,
+        isService: false,
+        hsn: item.hsn_sac || profile.defaultGoodsHsn,
+        quantity: line.quantity,
+        unit: item.unit,
+        unitPrice: line.unitCost || item.average_cost,
+        gstRate: Number(item.tax_rate || 0)
+      };
+    }),
+    precedingDocuments: precedingInvoice?.number
+      ? [precedingInvoice]
+      : (order?.invoice_number ? [{ number: order.invoice_number, date: order.invoice_date }] : [])
+  });
+  return { profile, payload, errors: einvoice.validateEInvoicePayload(payload) };
+}
+
+async function loadPurchaseReturn(hospitalId, id) {
+  const record = await PurchaseReturn.findOne({ _id: id, hospitalId });
+  if (!record) throw httpError('Purchase return not found', 404);
+  return record;
+}
+
+async function previewPurchaseReturn({ req, hospitalId, id, buyer, precedingInvoice }) {
+  const record = await loadPurchaseReturn(hospitalId, id);
+  const { payload, errors } = await purchaseReturnPayload({ hospitalId, record, buyer, precedingInvoice, userId: req.user?._id });
+  return { payload, errors, valid: errors.length === 0 };
+}
+
+async function generatePurchaseReturnIrn({ req, hospitalId, id, buyer, precedingInvoice }) {
+  const record = await loadPurchaseReturn(hospitalId, id);
+  const { profile, payload, errors } = await purchaseReturnPayload({ hospitalId, record, buyer, precedingInvoice, userId: req.user?._id });
+  assertEnabled(profile, 'eInvoiceEnabled', 'E-invoicing');
+  if (payload.BuyerDtls.Gstin && !record.supplierGstin) record.supplierGstin = payload.BuyerDtls.Gstin;
+  return registerIrn({
+    req, hospitalId, doc: record, path: 'eInvoice', profile, payload, errors,
+    entityType: 'PurchaseReturn', extra: { documentNumber: record.returnNumber }
+  });
+}
+
+async function cancelPurchaseReturnIrn({ req, hospitalId, id, body = {} }) {
+  const record = await loadPurchaseReturn(hospitalId, id);
+  return cancelIrnOn({ req, hospitalId, doc: record, path: 'eInvoice', body, entityType: 'PurchaseReturn' });
+}
+
+function locationParty(location, profile) {
+  const address = location?.address || {};
+  return {
+    gstin: location?.gstin || profile.gstin,
+    legalName: profile.legalName,
+    tradeName: `${profile.tradeName || profile.legalName || ''}${location?.name ? ` - ${location.name}` : ''}`.trim(),
+    address1: address.line1 || profile.address1,
+    address2: address.line2 || (address.line1 ? undefined : profile.address2),
+    location: address.city || profile.location,
+    pincode: address.pincode || profile.pincode,
+    stateCode: address.stateCode || (location?.gstin ? location.gstin.slice(0, 2) : profile.stateCode)
+  };
+}
+
+async function transferPayload({ hospitalId, transfer, transport = {}, userId }) {
+  const [profile, locations, items, lots] = await Promise.all([
+    sellerProfile(hospitalId, userId),
+    StoreLocation.find({ _id: { $in: [transfer.fromLocationId, transfer.toLocationId] }, hospitalId }).select('name gstin address').lean(),
+    storeItemsById(hospitalId, transfer.lines.map((line) => line.itemId)),
+    InventoryLot.find({ _id: { $in: transfer.lines.map((line) => line.lotId) }, hospitalId }).select('unitCost').lean()
+  ]);
+  const byId = new Map(locations.map((location) => [String(location._id), location]));
+  const lotCost = new Map(lots.map((lot) => [String(lot._id), lot.unitCost]));
+  const payload = einvoice.buildEwayBillPayload({
+    docNo: transfer.transferNumber,
+    docDate: transfer.dispatchedAt || operationNow(),
+    from: locationParty(byId.get(String(transfer.fromLocationId)), profile),
+    to: locationParty(byId.get(String(transfer.toLocationId)), profile),
+    lines: transfer.lines.map((line) => {
+      const item = items.get(String(line.itemId)) || {};
+      return {
+        description: item.name,
+        hsn: item.hsn_sac || profile.defaultGoodsHsn,
+        quantity: line.dispatchedQuantity,
+        unit: item.unit,
+        unitPrice: lotCost.get(String(line.lotId)) || item.average_cost,
+        gstRate: Number(item.tax_rate || 0)
+      };
+    }),
+    transport
+  });
+  return { profile, payload, errors: einvoice.validateEwayBillPayload(payload) };
+}
+
+async function loadTransfer(hospitalId, id) {
+  const transfer = await StockTransfer.findOne({ _id: id, hospitalId });
+  if (!transfer) throw httpError('Stock transfer not found', 404);
+  return transfer;
+}
+
+async function previewTransferEwayBill({ req, hospitalId, id, transport }) {
+  const transfer = await loadTransfer(hospitalId, id);
+  const { profile, payload, errors } = await transferPayload({ hospitalId, transfer, transport, userId: req.user?._id });
+  return { payload, errors, valid: errors.length === 0, required: payload.totInvValue >= Number(profile.ewayBillThreshold ?? einvoice.EWAY_BILL_THRESHOLD) };
+}
+
+/**
+ * Generates the e-way bill for a transfer before or during movement.
+ * Consignments under the threshold only get one when asked for explicitly.
+ */
+async function generateTransferEwayBill({ req, hospitalId, id, transport = {}, voluntary = false }) {
+  const transfer = await loadTransfer(hospitalId, id);
+  if (!TRANSFER_EWAY_STATUSES.includes(transfer.status)) {
+    throw httpError('An e-way bill can only be generated for an approved or in-transit transfer', 409, 'EWAY_BILL_NOT_APPLICABLE');
+  }
+  if (transfer.ewayBill?.status === 'generated') return { document: transfer, alreadyGenerated: true };
+  const { profile, payload, errors } = await transferPayload({ hospitalId, transfer, transport, userId: req.user?._id });
+  assertEnabled(profile, 'ewayBillEnabled', 'E-way bill generation');
+  const threshold = Number(profile.ewayBillThreshold ?? einvoice.EWAY_BILL_THRESHOLD);
+  if (payload.totInvValue < threshold && !voluntary) {
+    throw httpError(`Consignment value ${payload.totInvValue} is below the e-way bill threshold of ${threshold}`, 409, 'EWAY_BILL_NOT_REQUIRED');
+  }
+  if (errors.length) {
+    writeState(transfer, 'ewayBill', null, { status: 'failed', validationErrors: errors, lastError: errors[0].message, payload });
+    await transfer.save();
+    throw httpError('E-way bill payload failed validation', 422, 'EWAY_BILL_VALIDATION_FAILED', errors);
+  }
+  const client = createGspClient(profile.gspProvider);
+  let result;
+  try {
+    result = await client.generateEwayBill(payload);
+  } catch (error) {
+    writeState(transfer, 'ewayBill', null, { status: 'failed', lastError: error.message, payload });
+    await transfer.save();
+    throw error;
+  }
+  writeState(transfer, 'ewayBill', null, {
+    status: 'generated',
+    ewbNo: result.ewbNo,
+    ewbDate: result.ewbDate,
+    validUntil: result.validUntil,
+    challanNumber: payload.docNo,
+    vehicleNo: payload.vehicleNo,
+    transporterId: payload.transporterId,
+    distanceKm: Number(payload.transDistance),
+    totalValue: payload.totInvValue,
+    provider: client.provider,
+    payload,
+    validationErrors: [],
+    lastError: undefined,
+    generatedBy: req.user?._id
+  });
+  await transfer.save();
+  await appendDomainEvent({
+    req,
+    eventType: 'gst.eway_bill.generated',
+    entityType: 'StockTransfer',
+    entityId: transfer._id,
+    hospitalId,
+    afterSummary: { ewbNo: result.ewbNo, validUntil: result.validUntil, transferNumber: transfer.transferNumber },
+    metadata: { provider: client.provider, totalValue: payload.totInvValue }
+  });
+  return { document: transfer, alreadyGenerated: false };
+}
+
+async function cancelTransferEwayBill({ req, hospitalId, id, body = {} }) {
+  const transfer = await loadTransfer(hospitalId, id);
+  const state = transfer.ewayBill?.toObject?.() || {};
+  if (transfer.status === 'Received' || transfer.status === 'Closed') {
+    throw httpError('The consignment has been received; the e-way bill can no longer be cancelled', 409, 'EWAY_BILL_CONSUMED');
+  }
+  const cancellation = einvoice.assertCancellable({
+    generatedAt: state.ewbDate,
+    status: state.status,
+    reasonCode: body.reasonCode,
+    remarks: body.remarks,
+    reasons: einvoice.EWB_CANCEL_REASONS,
+    now: operationNow()
+  });
+  const profile = await sellerProfile(hospitalId, req.user?._id);
+  const client = createGspClient(state.provider || profile.gspProvider);
+  const result = await client.cancelEwayBill({ ewbNo: state.ewbNo, reasonCode: cancellation.reasonCode, remarks: cancellation.remarks, gstin: profile.gstin });
+  writeState(transfer, 'ewayBill', null, {
+    status: 'cancelled',
+    cancelledAt: result.cancelledAt || operationNow(),
+    cancelledBy: req.user?._id,
+    cancelReasonCode: cancellation.reasonCode,
+    cancelRemarks: cancellation.remarks
+  });
+  await transfer.save();
+  await appendDomainEvent({
+    req,
+    eventType: 'gst.eway_bill.cancelled',
+    entityType: 'StockTransfer',
+    entityId: transfer._id,
+    hospitalId,
+    beforeSummary: { ewbNo: state.ewbNo, status: state.status },
+    afterSummary: { status: 'cancelled' },
+    reasonCode: cancellation.reasonCode,
+    comments: cancellation.remarks
+  });
+  return transfer;
+}
+
+/**
+ * Dispatch guard: with e-way bills enabled, a consignment at or above the
+ * threshold that leaves the premises needs a live e-way bill.
+ */
+async function assertTransferDispatchable({ hospitalId, transfer, userId }) {
+  const setting = await getOrCreateNabhSetting(hospitalId, userId);
+  if (!setting.gstCompliance?.ewayBillEnabled || transfer.ewayBill?.status === 'generated') return;
+  const { profile, payload, errors } = await transferPayload({ hospitalId, transfer, userId });
+  const samePremises = errors.some((error) => error.field === 'toAddr1');
+  if (samePremises || payload.totInvValue < Number(profile.ewayBillThreshold ?? einvoice.EWAY_BILL_THRESHOLD)) return;
+  throw httpError(`Consignment value ${payload.totInvValue} needs an e-way bill before dispatch`, 409, 'EWAY_BILL_REQUIRED');
+}
+
+module.exports = {
+  B2B_CUSTOMER_TYPES,
+  invoiceLines,
+  INVOICE_LINE_SOURCES,
+  sellerProfile,
+  previewInvoice,
+  generateInvoiceIrn,
+  cancelInvoiceIrn,
+  previewPurchaseReturn,
+  generatePurchaseReturnIrn,
+  cancelPurchaseReturnIrn,
+  previewTransferEwayBill,
+  generateTransferEwayBill,
+  cancelTransferEwayBill,
+  assertTransferDispatchable
+};
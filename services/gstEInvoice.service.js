@@ -0,0 +1,427 @@
+'use strict';
+
+// Payload builders and validators for the GST Invoice Registration Portal
+// (e-invoice schema v1.1) and the e-way bill system. Everything here is pure so
+// the same rules run before a GSP call, in tests and in previews.
+
+const STATE_CODES = Object.freeze({
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  10: 'Bihar', 11: 'Sikkim', 12: 'Arunachal Pradesh', 13: 'Nagaland', 14: 'Manipur',
+  15: 'Mizoram', 16: 'Tripura', 17: 'Meghalaya', 18: 'Assam', 19: 'West Bengal',
+  20: 'Jharkhand', 21: 'Odisha', 22: 'Chhattisgarh', 23: 'Madhya Pradesh', 24: 'Gujarat',
+  // 25 was merged into 26 in 2020, but GSTINs issued under it are still valid.
+  25: 'Daman and Diu', 26: 'Dadra and Nagar Haveli and Daman and Diu', 27: 'Maharashtra', 29: 'Karnataka', 30: 'Goa',
+  31: 'Lakshadweep', 32: 'Kerala', 33: 'Tamil Nadu', 34: 'Puducherry',
+  35: 'Andaman and Nicobar Islands', 36: 'Telangana', 37: 'Andhra Pradesh', 38: 'Ladakh',
+  97: 'Other Territory'
+});
+
+const GST_RATES = Object.freeze([0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28]);
+const DOC_TYPES = Object.freeze({ invoice: 'INV', credit_note: 'CRN', debit_note: 'DBN' });
+// IRP and e-way bill cancellation reason codes differ; keep both lists explicit.
+const IRN_CANCEL_REASONS = Object.freeze({ 1: 'Duplicate', 2: 'Data entry mistake', 3: 'Order cancelled', 4: 'Others' });
+const EWB_CANCEL_REASONS = Object.freeze({ 1: 'Duplicate', 2: 'Order cancelled', 3: 'Data entry mistake', 4: 'Others' });
+const CANCEL_WINDOW_HOURS = 24;
+const EWAY_BILL_THRESHOLD = 50000;
+const IST_OFFSET_MS = 330 * 60000;
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DOC_NO_PATTERN = /^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$/;
+const HSN_PATTERN = /^(\d{4}|\d{6}|\d{8})$/;
+const VEHICLE_PATTERN = /^[A-Z]{2}[0-9]{1,2}[A-Z]{0,3}[0-9]{4}$/;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function gstinChecksum(body) {
+  let sum = 0;
+  for (let index = 0; index < body.length; index += 1) {
+    const product = GSTIN_CHARS.indexOf(body[index]) * (index % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36];
+}
+
+/** Format and check-digit validation of a 15 character GSTIN. */
+function isValidGstin(value) {
+  const gstin = String(value || '').trim().toUpperCase();
+  if (!GSTIN_PATTERN.test(gstin) || !STATE_CODES[gstin.slice(0, 2)]) return false;
+  return gstinChecksum(gstin.slice(0, 14)) === gstin[14];
+}
+
+/** Accepts a two digit code or a state name and returns the GST state code. */
+function stateCodeFor(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return STATE_CODES[code] ? code : null;
+  }
+  const wanted = text.toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+  const match = Object.entries(STATE_CODES).find(([, name]) => name.toLowerCase() === wanted);
+  return match ? match[0] : null;
+}
+
+function istParts(date) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(date));
+  return Object.fromEntries(parts.map((part) => [part.type, part.value]));
+}
+
+/** dd/mm/yyyy in IST, the only date format the IRP and e-way bill APIs accept. */
+function formatDocDate(date) {
+  const parts = istParts(date);
+  return `${parts.day}/${parts.month}/${parts.year}`;
+}
+
+/** Financial year label used in the IRN hash, e.g. 2026-27. */
+function financialYearLabel(date) {
+  const parts = istParts(date);
+  const year = Number(parts.year);
+  const start = Number(parts.month) >= 4 ? year : year - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+/** A document is inter-state when the supplier's state differs from the place of supply. */
+function isInterState(sellerStateCode, placeOfSupply) {
+  return String(sellerStateCode || '') !== String(placeOfSupply || '');
+}
+
+function party(details = {}) {
+  const pin = Number(String(details.pincode ?? details.pin ?? '').trim());
+  const gstin = String(details.gstin || '').trim().toUpperCase() || undefined;
+  return {
+    Gstin: gstin,
+    LglNm: String(details.legalName || details.name || '').trim() || undefined,
+    TrdNm: String(details.tradeName || '').trim() || undefined,
+    Addr1: String(details.address1 || '').trim().slice(0, 100) || undefined,
+    Addr2: String(details.address2 || '').trim().slice(0, 100) || undefined,
+    Loc: String(details.location || details.city || '').trim() || undefined,
+    Pin: Number.isFinite(pin) && pin > 0 ? pin : undefined,
+    Stcd: stateCodeFor(details.stateCode ?? details.state) || (isValidGstin(gstin) ? gstin.slice(0, 2) : undefined),
+    Ph: String(details.phone || '').replace(/\D/g, '').slice(-12) || undefined,
+    Em: String(details.email || '').trim() || undefined
+  };
+}
+
+/**
+ * One IRP item. Assessable value is gross less discount; tax splits into IGST
+ * for inter-state supplies and equal CGST/SGST halves otherwise.
+ */
+function buildItem(line, index, interState) {
+  const quantity = Number(line.quantity || 0);
+  const unitPrice = round2(line.unitPrice);
+  const totAmt = round2(line.grossAmount ?? unitPrice * quantity);
+  const discount = round2(line.discount);
+  const assAmt = round2(totAmt - discount);
+  const gstRt = Number(line.gstRate || 0);
+  const tax = round2((assAmt * gstRt) / 100);
+  const igst = interState ? tax : 0;
+  const cgst = interState ? 0 : round2(tax / 2);
+  const sgst = interState ? 0 : round2(tax - cgst);
+  return {
+    SlNo: String(index + 1),
+    PrdDesc: String(line.description || '').trim().slice(0, 300) || undefined,
+    IsServc: line.isService ? 'Y' : 'N',
+    HsnCd: String(line.hsn || '').replace(/\s/g, '') || undefined,
+    Qty: quantity,
+    Unit: String(line.unit || (line.isService ? 'OTH' : 'NOS')).toUpperCase().slice(0, 8),
+    UnitPrice: unitPrice,
+    TotAmt: totAmt,
+    Discount: discount,
+    AssAmt: assAmt,
+    GstRt: gstRt,
+    IgstAmt: igst,
+    CgstAmt: cgst,
+    SgstAmt: sgst,
+    CesRt: 0,
+    CesAmt: 0,
+    TotItemVal: round2(assAmt + igst + cgst + sgst)
+  };
+}
+
+function sum(items, key) {
+  return round2(items.reduce((total, item) => total + Number(item[key] || 0), 0));
+}
+
+/**
+ * Builds an IRP e-invoice (schema v1.1) document. `buyer.placeOfSupply`
+ * defaults to the buyer's state; tax heads follow from it.
+ */
+function buildEInvoicePayload({
+  docType = 'INV', docNo, docDate, seller, buyer, lines = [], precedingDocuments = [],
+  invoiceDiscount = 0, otherCharges = 0, roundOff = 0, supplyType = 'B2B'
+}) {
+  const sellerDetails = party(seller);
+  const buyerDetails = party(buyer);
+  buyerDetails.Pos = stateCodeFor(buyer?.placeOfSupply) || buyerDetails.Stcd;
+  const interState = isInterState(sellerDetails.Stcd, buyerDetails.Pos);
+  const items = lines.map((line, index) => buildItem(line, index, interState));
+  const assVal = sum(items, 'AssAmt');
+  const cgst = sum(items, 'CgstAmt');
+  const sgst = sum(items, 'SgstAmt');
+  const igst = sum(items, 'IgstAmt');
+  const discount = round2(invoiceDiscount);
+  const payload = {
+    Version: '1.1',
+    TranDtls: { TaxSch: 'GST', SupTyp: supplyType, RegRev: 'N', IgstOnIntra: 'N' },
+    DocDtls: { Typ: docType, No: String(docNo || '').trim(), Dt: docDate ? formatDocDate(docDate) : undefined },
+    SellerDtls: sellerDetails,
+    BuyerDtls: buyerDetails,
+    ItemList: items,
+    ValDtls: {
+      AssVal: assVal,
+      CgstVal: cgst,
+      SgstVal: sgst,
+      IgstVal: igst,
+      CesVal: 0,
+      StCesVal: 0,
+      Discount: discount,
+      OthChrg: round2(otherCharges),
+      RndOffAmt: round2(roundOff),
+      TotInvVal: round2(assVal + cgst + sgst + igst - discount + Number(otherCharges || 0) + Number(roundOff || 0))
+    }
+  };
+  if (precedingDocuments.length) {
+    payload.RefDtls = {
+      PrecDocDtls: precedingDocuments.map((doc) => ({
+        InvNo: String(doc.number || '').trim(),
+        InvDt: doc.date ? formatDocDate(doc.date) : undefined
+      }))
+    };
+  }
+  return payload;
+}
+
+function checkParty(errors, prefix, details, { buyer = false } = {}) {
+  if (!isValidGstin(details.Gstin)) errors.push({ field: `${prefix}.Gstin`, message: `${prefix} GSTIN is missing or invalid` });
+  if (!details.LglNm || details.LglNm.length < 3) errors.push({ field: `${prefix}.LglNm`, message: `${prefix} legal name is required` });
+  if (!details.Addr1 || details.Addr1.length < 3) errors.push({ field: `${prefix}.Addr1`, message: `${prefix} address is required` });
+  if (!details.Loc || details.Loc.length < 3) errors.push({ field: `${prefix}.Loc`, message: `${prefix} location is required` });
+  if (!(details.Pin >= 100000 && details.Pin <= 999999)) errors.push({ field: `${prefix}.Pin`, message: `${prefix} PIN code must be 6 digits` });
+  if (!details.Stcd) errors.push({ field: `${prefix}.Stcd`, message: `${prefix} state code is invalid` });
+  if (details.Gstin && details.Stcd && isValidGstin(details.Gstin) && details.Gstin.slice(0, 2) !== details.Stcd) {
+    errors.push({ field: `${prefix}.Stcd`, message: `${prefix} state code does not match the GSTIN` });
+  }
+  if (buyer && !details.Pos) errors.push({ field: `${prefix}.Pos`, message: 'Place of supply is invalid' });
+}
+
+/** Returns every schema and arithmetic problem so the user can fix them in one pass. */
+function validateEInvoicePayload(payload) {
+  const errors = [];
+  if (payload.Version !== '1.1') errors.push({ field: 'Version', message: 'Schema version must be 1.1' });
+  if (!Object.values(DOC_TYPES).includes(payload.DocDtls?.Typ)) errors.push({ field: 'DocDtls.Typ', message: 'Document type must be INV, CRN or DBN' });
+  if (!DOC_NO_PATTERN.test(payload.DocDtls?.No || '')) {
+    errors.push({ field: 'DocDtls.No', message: 'Document number must be 1-16 characters of letters, digits, / or - and cannot start with 0, / or -' });
+  }
+  if (!payload.DocDtls?.Dt) errors.push({ field: 'DocDtls.Dt', message: 'Document date is required' });
+  checkParty(errors, 'SellerDtls', payload.SellerDtls || {});
+  checkParty(errors, 'BuyerDtls', payload.BuyerDtls || {}, { buyer: true });
+  if (payload.SellerDtls?.Gstin && payload.SellerDtls.Gstin === payload.BuyerDtls?.Gstin) {
+    errors.push({ field: 'BuyerDtls.Gstin', message: 'Buyer and seller GSTIN cannot be the same' });
+  }
+  if (payload.DocDtls?.Typ !== 'INV' && !payload.RefDtls?.PrecDocDtls?.length) {
+    errors.push({ field: 'RefDtls.PrecDocDtls', message: 'Credit and debit notes must reference the original invoice' });
+  }
+
+  const items = payload.ItemList || [];
+  if (!items.length) errors.push({ field: 'ItemList', message: 'At least one item is required' });
+  if (items.length > 1000) errors.push({ field: 'ItemList', message: 'An e-invoice cannot carry more than 1000 items' });
+  items.forEach((item, index) => {
+    const at = `ItemList[${index}]`;
+    if (!item.PrdDesc) errors.push({ field: `${at}.PrdDesc`, message: `Item ${item.SlNo} needs a description` });
+    if (!HSN_PATTERN.test(item.HsnCd || '')) errors.push({ field: `${at}.HsnCd`, message: `Item ${item.SlNo} needs a 4, 6 or 8 digit HSN/SAC code` });
+    else if (item.IsServc === 'Y' && !item.HsnCd.startsWith('99')) errors.push({ field: `${at}.HsnCd`, message: `Item ${item.SlNo} is a service and needs a SAC code starting with 99` });
+    if (!GST_RATES.includes(item.GstRt)) errors.push({ field: `${at}.GstRt`, message: `Item ${item.SlNo} GST rate ${item.GstRt}% is not a notified rate` });
+    if (!(item.Qty > 0)) errors.push({ field: `${at}.Qty`, message: `Item ${item.SlNo} quantity must be positive` });
+    if (item.AssAmt < 0 || item.Discount > item.TotAmt) errors.push({ field: `${at}.AssAmt`, message: `Item ${item.SlNo} discount exceeds its value` });
+    if (Math.abs(item.TotAmt - item.UnitPrice * item.Qty) > 1) errors.push({ field: `${at}.TotAmt`, message: `Item ${item.SlNo} total does not match unit price x quantity` });
+  });
+
+  const values = payload.ValDtls || {};
+  const interState = isInterState(payload.SellerDtls?.Stcd, payload.BuyerDtls?.Pos);
+  if (interState && (values.CgstVal || values.SgstVal)) errors.push({ field: 'ValDtls', message: 'Inter-state supplies carry IGST only' });
+  if (!interState && values.IgstVal) errors.push({ field: 'ValDtls', message: 'Intra-state supplies carry CGST and SGST only' });
+  if (Math.abs(values.AssVal - sum(items, 'AssAmt')) > 1) errors.push({ field: 'ValDtls.AssVal', message: 'Assessable value does not match the items' });
+  if (Math.abs(values.RndOffAmt || 0) > 99.99) errors.push({ field: 'ValDtls.RndOffAmt', message: 'Round-off cannot exceed 99.99' });
+  const expected = values.AssVal + values.CgstVal + values.SgstVal + values.IgstVal + values.CesVal + values.StCesVal -
+    values.Discount + values.OthChrg + values.RndOffAmt;
+  if (Math.abs(values.TotInvVal - expected) > 1) errors.push({ field: 'ValDtls.TotInvVal', message: 'Invoice total does not match its components' });
+  if (!(values.TotInvVal > 0)) errors.push({ field: 'ValDtls.TotInvVal', message: 'Invoice total must be positive' });
+  return errors;
+}
+
+function cancellationError(message, code) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  error.code = code;
+  return error;
+}
+
+/**
+ * IRNs and e-way bills can only be cancelled in full, with a coded reason,
+ * within 24 hours of generation. After that the document has to be reversed
+ * with a credit note.
+ */
+function assertCancellable({ generatedAt, status, reasonCode, remarks, reasons = IRN_CANCEL_REASONS, now = new Date() }) {
+  if (status !== 'generated') throw cancellationError('Only a generated document can be cancelled', 'NOT_GENERATED');
+  const hours = (new Date(now) - new Date(generatedAt)) / 3600000;
+  if (!(hours <= CANCEL_WINDOW_HOURS)) {
+    throw cancellationError('The 24 hour cancellation window has passed; issue a credit note instead', 'CANCEL_WINDOW_EXPIRED');
+  }
+  if (!reasons[String(reasonCode)]) {
+    const error = new Error(`Cancellation reason must be one of ${Object.keys(reasons).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const text = String(remarks || '').trim();
+  if (!text || text.length > 100) {
+    const error = new Error('Cancellation remarks are required (up to 100 characters)');
+    error.statusCode = 400;
+    throw error;
+  }
+  return { reasonCode: String(reasonCode), reason: reasons[String(reasonCode)], remarks: text };
+}
+
+/**
+ * E-way bill for moving goods between our own locations on a delivery
+ * challan. Tax is only charged when the two locations hold different GSTINs
+ * (distinct persons under GST); a same-GSTIN move is not a supply.
+ */
+function buildEwayBillPayload({ docNo, docDate, from, to, lines = [], transport = {} }) {
+  const fromParty = party(from);
+  const toParty = party(to);
+  const taxable = fromParty.Gstin && toParty.Gstin && fromParty.Gstin !== toParty.Gstin;
+  const interState = isInterState(fromParty.Stcd, toParty.Stcd);
+  const itemList = lines.map((line) => {
+    const rate = taxable ? Number(line.gstRate || 0) : 0;
+    return {
+      productName: String(line.description || '').trim().slice(0, 100),
+      productDesc: String(line.description || '').trim().slice(0, 100),
+      hsnCode: Number(String(line.hsn || '').replace(/\s/g, '')) || undefined,
+      quantity: Number(line.quantity || 0),
+      qtyUnit: String(line.unit || 'NOS').toUpperCase().slice(0, 3),
+      taxableAmount: round2(line.taxableAmount ?? Number(line.unitPrice || 0) * Number(line.quantity || 0)),
+      igstRate: interState ? rate : 0,
+      cgstRate: interState ? 0 : rate / 2,
+      sgstRate: interState ? 0 : rate / 2,
+      cessRate: 0
+    };
+  });
+  const taxFor = (key) => round2(itemList.reduce((total, item) => total + (item.taxableAmount * item[key]) / 100, 0));
+  const totalValue = round2(itemList.reduce((total, item) => total + item.taxableAmount, 0));
+  const cgstValue = taxFor('cgstRate');
+  const sgstValue = taxFor('sgstRate');
+  const igstValue = taxFor('igstRate');
+  return {
+    supplyType: 'O',
+    subSupplyType: taxable ? '8' : '5',
+    subSupplyDesc: taxable ? 'Inter-branch transfer' : undefined,
+    docType: 'CHL',
+    docNo: String(docNo || '').trim(),
+    docDate: docDate ? formatDocDate(docDate) : undefined,
+    fromGstin: fromParty.Gstin,
+    fromTrdName: fromParty.TrdNm || fromParty.LglNm,
+    fromAddr1: fromParty.Addr1,
+    fromAddr2: fromParty.Addr2,
+    fromPlace: fromParty.Loc,
+    fromPincode: fromParty.Pin,
+    fromStateCode: Number(fromParty.Stcd) || undefined,
+    actFromStateCode: Number(fromParty.Stcd) || undefined,
+    toGstin: toParty.Gstin,
+    toTrdName: toParty.TrdNm || toParty.LglNm,
+    toAddr1: toParty.Addr1,
+    toAddr2: toParty.Addr2,
+    toPlace: toParty.Loc,
+    toPincode: toParty.Pin,
+    toStateCode: Number(toParty.Stcd) || undefined,
+    actToStateCode: Number(toParty.Stcd) || undefined,
+    transactionType: 1,
+    totalValue,
+    cgstValue,
+    sgstValue,
+    igstValue,
+    cessValue: 0,
+    cessNonAdvolValue: 0,
+    otherValue: 0,
+    totInvValue: round2(totalValue + cgstValue + sgstValue + igstValue),
+    transporterId: String(transport.transporterId || '').trim().toUpperCase() || undefined,
+    transporterName: String(transport.transporterName || '').trim() || undefined,
+    transDocNo: String(transport.transDocNo || '').trim() || undefined,
+    transDocDate: transport.transDocDate ? formatDocDate(transport.transDocDate) : undefined,
+    transMode: String(transport.transMode || '1'),
+    transDistance: String(Math.round(Number(transport.distanceKm || 0))),
+    vehicleNo: String(transport.vehicleNo || '').replace(/[\s-]/g, '').toUpperCase() || undefined,
+    vehicleType: 'R',
+    itemList
+  };
+}
+
+function validateEwayBillPayload(payload) {
+  const errors = [];
+  if (!DOC_NO_PATTERN.test(payload.docNo || '')) errors.push({ field: 'docNo', message: 'Challan number must be 1-16 characters of letters, digits, / or -' });
+  if (!payload.docDate) errors.push({ field: 'docDate', message: 'Challan date is required' });
+  for (const side of ['from', 'to']) {
+    if (!isValidGstin(payload[`${side}Gstin`])) errors.push({ field: `${side}Gstin`, message: `${side === 'from' ? 'Dispatching' : 'Receiving'} GSTIN is missing or invalid` });
+    if (!(payload[`${side}Pincode`] >= 100000 && payload[`${side}Pincode`] <= 999999)) errors.push({ field: `${side}Pincode`, message: `${side === 'from' ? 'Dispatch' : 'Delivery'} PIN code must be 6 digits` });
+    if (!STATE_CODES[String(payload[`${side}StateCode`] || '').padStart(2, '0')]) errors.push({ field: `${side}StateCode`, message: `${side === 'from' ? 'Dispatch' : 'Delivery'} state code is invalid` });
+    if (!payload[`${side}Place`]) errors.push({ field: `${side}Place`, message: `${side === 'from' ? 'Dispatch' : 'Delivery'} place is required` });
+  }
+  if (payload.fromPincode && payload.fromPincode === payload.toPincode &&
+      String(payload.fromAddr1 || '').toLowerCase() === String(payload.toAddr1 || '').toLowerCase()) {
+    errors.push({ field: 'toAddr1', message: 'Both locations share one address; goods do not leave the premises' });
+  }
+  if (!['1', '2', '3', '4'].includes(payload.transMode)) errors.push({ field: 'transMode', message: 'Transport mode must be 1 (road), 2 (rail), 3 (air) or 4 (ship)' });
+  const distance = Number(payload.transDistance);
+  if (!(distance >= 0 && distance <= 4000)) errors.push({ field: 'transDistance', message: 'Distance must be between 0 and 4000 km' });
+  if (payload.transMode === '1' && !payload.vehicleNo && !payload.transporterId) {
+    errors.push({ field: 'vehicleNo', message: 'Road movement needs a vehicle number or a transporter ID' });
+  }
+  if (payload.vehicleNo && !VEHICLE_PATTERN.test(payload.vehicleNo)) errors.push({ field: 'vehicleNo', message: 'Vehicle number format is invalid' });
+  if (payload.transporterId && !isValidGstin(payload.transporterId) && !/^88[0-9A-Z]{13}$/.test(payload.transporterId)) {
+    errors.push({ field: 'transporterId', message: 'Transporter ID must be a GSTIN or TRANSIN' });
+  }
+  if (!payload.itemList?.length) errors.push({ field: 'itemList', message: 'At least one item is required' });
+  (payload.itemList || []).forEach((item, index) => {
+    if (!HSN_PATTERN.test(String(item.hsnCode || ''))) errors.push({ field: `itemList[${index}].hsnCode`, message: `${item.productName || `Item ${index + 1}`} needs a 4, 6 or 8 digit HSN code` });
+    if (!(item.quantity > 0)) errors.push({ field: `itemList[${index}].quantity`, message: `${item.productName || `Item ${index + 1}`} quantity must be positive` });
+  });
+  return errors;
+}
+
+/**
+ * E-way bill validity for regular cargo: one day per 200 km, where a day runs
+ * to midnight IST of the day after generation.
+ */
+function ewayBillValidUntil(generatedAt, distanceKm) {
+  const days = Math.max(1, Math.ceil(Number(distanceKm || 0) / 200));
+  const ist = new Date(new Date(generatedAt).getTime() + IST_OFFSET_MS);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate() + days, 23, 59, 59) - IST_OFFSET_MS);
+}
+
+module.exports = {
+  STATE_CODES,
+  GST_RATES,
+  DOC_TYPES,
+  IRN_CANCEL_REASONS,
+  EWB_CANCEL_REASONS,
+  CANCEL_WINDOW_HOURS,
+  EWAY_BILL_THRESHOLD,
+  round2,
+  isValidGstin,
+  stateCodeFor,
+  formatDocDate,
+  financialYearLabel,
+  isInterState,
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+  assertCancellable,
+  buildEwayBillPayload,
+  validateEwayBillPayload,
+  ewayBillValidUntil
+};
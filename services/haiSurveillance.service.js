@@ -0,0 +1,883 @@
+const mongoose = require('mongoose');
+const HaiCase = require('../models/HaiCase');
+const InvasiveDevice = require('../models/InvasiveDevice');
+const IPDAdmission = require('../models/IPDAdmission');
+const IPDAccommodationSegment = require('../models/IPDAccommodationSegment');
+const LabRequest = require('../models/LabRequest');
+const OTRequest = require('../models/OTRequest');
+const SafetyIncident = require('../models/SafetyIncident');
+const Ward = require('../models/Ward');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { ref } = require('../utils/functionalDomain');
+const {
+  isDateKey,
+  hospitalDateKey,
+  hospitalTodayKey,
+  addDateKeyDays,
+  hospitalDayBounds
+} = require('../utils/hospitalDateTime');
+
+// Hospital-acquired infection surveillance. Invasive devices are logged per IPD
+// admission; patient-days and device-days come from a once-a-day census over
+// the admission's ward segments, and HAI cases are checked against CDC/NHSN
+// surveillance definitions (CLABSI, CAUTI, VAP/PNEU, SSI) before the infection
+// control team confirms them. Rates roll up per ward per month and feed the
+// NABH KPI summary/export.
+
+const DEVICE_FOR_HAI = { CLABSI: 'central_line', CAUTI: 'urinary_catheter', VAP: 'ventilator' };
+const DEVICE_DAY_FIELDS = { central_line: 'centralLineDays', urinary_catheter: 'urinaryCatheterDays', ventilator: 'ventilatorDays' };
+
+// NHSN: the repeat infection timeframe is 14 days with the date of event as day 1.
+const REPEAT_INFECTION_DAYS = 14;
+const SSI_WINDOW_DAYS = 30;
+const SSI_IMPLANT_WINDOW_DAYS = 90;
+const URINE_CFU_THRESHOLD = 100000;
+const COMPLETED_OT_STATUSES = ['In Progress', 'Recovery', 'Transferred', 'Completed', 'Closed'];
+
+// NHSN common commensal list, abbreviated to the organisms labs here report.
+const COMMON_COMMENSALS = [
+  /coagulase[\s-]*negative\s+staph/i,
+  /\bCoNS\b/,
+  /staphylococcus\s+(epidermidis|haemolyticus|hominis|capitis|saprophyticus|warneri)/i,
+  /micrococcus/i,
+  /diphtheroid|corynebacterium(?!\s+diphtheriae)/i,
+  /bacillus(?!\s+anthracis)/i,
+  /(propioni|cuti)bacterium/i,
+  /viridans/i,
+  /aerococcus/i,
+  /rhodococcus/i
+];
+const NON_BACTERIAL_URINE = /candida|yeast|mou?ld|fung|parasit/i;
+
+const SPECIMEN_PATTERNS = {
+  blood: /blood/i,
+  urine: /urine/i,
+  respiratory: /sputum|bronch|\bbal\b|tracheal|\beta\b|lung|pleural|respiratory/i,
+  wound: /wound|pus|tissue|swab|drain|abscess|incision|fluid/i
+};
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/** Whole calendar days from one date key to another (same day = 0). */
+function keyDiff(fromKey, toKey) {
+  return Math.round((Date.parse(`${toKey}T00:00:00.000Z`) - Date.parse(`${fromKey}T00:00:00.000Z`)) / 86400000);
+}
+
+function idOf(value) {
+  return value?._id ? String(value._id) : value ? String(value) : null;
+}
+
+function specimenKind(specimenType) {
+  const text = String(specimenType || '');
+  return Object.keys(SPECIMEN_PATTERNS).find((kind) => SPECIMEN_PATTERNS[kind].test(text)) || 'other';
+}
+
+function isCommensal(culture = {}) {
+  if (typeof culture.commensal === 'boolean') return culture.commensal;
+  return COMMON_COMMENSALS.some((pattern) => pattern.test(String(culture.organism || '')));
+}
+
+// ============================================
+// Location and census
+// ============================================
+
+/**
+ * Ward occupancy for one admission as [{ wardId, start, end }] in time order.
+ * Accommodation segments written by bed transfers are authoritative; an
+ * admission that predates them falls back to its admitting ward.
+ */
+function locationSegments(admission = {}, segments = []) {
+  const rows = segments
+    .filter((row) => row.status !== 'voided' && row.wardId && row.startedAt)
+    .map((row) => ({ wardId: idOf(row.wardId), start: new Date(row.startedAt), end: row.endedAt ? new Date(row.endedAt) : null }))
+    .sort((a, b) => a.start - b.start);
+  if (!rows.length && admission.wardId) {
+    rows.push({ wardId: idOf(admission.wardId), start: new Date(admission.admissionDate), end: null });
+  }
+  const discharge = admission.dischargeDate ? new Date(admission.dischargeDate) : null;
+  if (rows.length && discharge && (!rows[rows.length - 1].end || rows[rows.length - 1].end > discharge)) {
+    rows[rows.length - 1].end = discharge;
+  }
+  return rows;
+}
+
+function segmentIndexAt(location, instant) {
+  const time = new Date(instant).getTime();
+  return location.findIndex((row) => row.start.getTime() <= time && (!row.end || time < row.end.getTime()));
+}
+
+/**
+ * NHSN transfer rule: an HAI whose date of event falls on the day of transfer
+ * or the next day is attributed to the location the patient came from.
+ */
+function attributedWard(location = [], eventDate) {
+  if (!location.length) return null;
+  const eventKey = hospitalDateKey(eventDate);
+  const { end } = hospitalDayBounds(eventKey);
+  let index = segmentIndexAt(location, new Date(end.getTime() - 1));
+  if (index < 0) {
+    // Event recorded after discharge (e.g. SSI): use the last ward occupied.
+    index = location.reduce((found, row, i) => (row.start < end ? i : found), -1);
+    if (index < 0) return null;
+  }
+  if (index > 0 && keyDiff(hospitalDateKey(location[index].start), eventKey) <= 1) return location[index - 1].wardId;
+  return location[index].wardId;
+}
+
+function deviceInPlace(device, instant) {
+  const time = instant.getTime();
+  return device.status !== 'voided'
+    && new Date(device.insertedAt).getTime() <= time
+    && (!device.removedAt || new Date(device.removedAt).getTime() > time);
+}
+
+/**
+ * Patient-days and device-days per ward per month from a daily census taken at
+ * the end of each hospital day. A patient with two central lines still counts
+ * one central-line day.
+ *
+ * @param {Array<{ admission, segments, devices }>} stays
+ */
+function surveillanceCensus(stays = [], { from, to } = {}) {
+  const buckets = new Map();
+  for (const { admission, segments = [], devices = [] } of stays) {
+    const location = locationSegments(admission, segments);
+    if (!location.length) continue;
+    const admittedKey = hospitalDateKey(admission.admissionDate);
+    const lastKey = admission.dischargeDate ? hospitalDateKey(admission.dischargeDate) : to;
+    let key = admittedKey > from ? admittedKey : from;
+    const stopKey = lastKey < to ? lastKey : to;
+    for (; key <= stopKey; key = addDateKeyDays(key, 1)) {
+      const census = new Date(hospitalDayBounds(key).end.getTime() - 1);
+      const index = segmentIndexAt(location, census);
+      if (index < 0) continue;
+      const wardId = location[index].wardId;
+      const month = key.slice(0, 7);
+      const bucketKey = `${wardId}|${month}`;
+      if (!buckets.has(bucketKey)) {
+        buckets.set(bucketKey, { wardId, month, patientDays: 0, centralLineDays: 0, urinaryCatheterDays: 0, ventilatorDays: 0 });
+      }
+      const bucket = buckets.get(bucketKey);
+      bucket.patientDays += 1;
+      for (const [deviceType, field] of Object.entries(DEVICE_DAY_FIELDS)) {
+        if (devices.some((device) => device.deviceType === deviceType && deviceInPlace(device, census))) bucket[field] += 1;
+      }
+    }
+  }
+  return [...buckets.values()].sort((a, b) => a.month.localeCompare(b.month) || a.wardId.localeCompare(b.wardId));
+}
+
+// ============================================
+// NHSN case criteria
+// ============================================
+
+/**
+ * Device-day number of a device on the date of event (placement day = 1), or
+ * null when NHSN would not call the infection associated with it: the device
+ * must have been in place for more than two consecutive calendar days and
+ * still be in place on the date of event or removed the day before.
+ */
+function deviceDayOnEvent(device, eventKey) {
+  if (device.status === 'voided') return null;
+  const insertedKey = hospitalDateKey(device.insertedAt);
+  if (insertedKey > eventKey) return null;
+  const removedKey = device.removedAt ? hospitalDateKey(device.removedAt) : null;
+  if (removedKey && keyDiff(removedKey, eventKey) > 1) return null;
+  const lastKey = removedKey && removedKey < eventKey ? removedKey : eventKey;
+  const days = keyDiff(insertedKey, lastKey) + 1;
+  return days > 2 ? days : null;
+}
+
+function cultureWindow(cultures, eventKey, kind) {
+  // Infection window period: the date of event plus three days either side.
+  return cultures.filter((row) => row.growth !== false
+    && specimenKind(row.specimenType) === kind
+    && Math.abs(keyDiff(eventKey, hospitalDateKey(row.collectedAt))) <= 3);
+}
+
+function clabsiCriteria({ cultures, criteria, eventKey }) {
+  const reasons = [];
+  if (criteria.secondaryBsi) {
+    return { met: false, reasons: ['Bloodstream infection is secondary to an infection at another site'] };
+  }
+  const blood = cultureWindow(cultures, eventKey, 'blood');
+  if (blood.some((row) => !isCommensal(row))) return { met: true, subtype: 'LCBI-1', reasons };
+  const byOrganism = new Map();
+  for (const row of blood) {
+    const key = String(row.organism || '').trim().toLowerCase();
+    if (!byOrganism.has(key)) byOrganism.set(key, []);
+    byOrganism.get(key).push(row);
+  }
+  const matched = [...byOrganism.values()].some((rows) => rows.some((a, i) => rows.some((b, j) => j > i
+    && new Date(a.collectedAt).getTime() !== new Date(b.collectedAt).getTime()
+    && Math.abs(keyDiff(hospitalDateKey(a.collectedAt), hospitalDateKey(b.collectedAt))) <= 1)));
+  if (!blood.length) reasons.push('No positive blood culture in the infection window period');
+  else if (!matched) reasons.push('Common commensal needs two matching blood cultures drawn on separate occasions');
+  else if (!(criteria.fever || criteria.chills || criteria.hypotension)) reasons.push('LCBI-2 needs fever (>38.0 °C), chills or hypotension');
+  else return { met: true, subtype: 'LCBI-2', reasons };
+  return { met: false, reasons };
+}
+
+function cautiCriteria({ cultures, criteria, eventKey, catheterInPlace }) {
+  const reasons = [];
+  const urine = cultureWindow(cultures, eventKey, 'urine');
+  const qualifying = urine.filter((row) => Number(row.colonyCount) >= URINE_CFU_THRESHOLD
+    && (row.speciesCount || 1) <= 2
+    && !NON_BACTERIAL_URINE.test(String(row.organism || '')));
+  if (!qualifying.length) {
+    reasons.push('Needs a urine culture with at least 100,000 CFU/ml of no more than two bacterial species');
+  }
+  const signs = ['fever', 'suprapubicTenderness', 'cvaTenderness'];
+  // Urgency, frequency and dysuria cannot be assessed while a catheter is in.
+  if (!catheterInPlace) signs.push('urgency', 'frequency', 'dysuria');
+  if (!signs.some((key) => criteria[key])) reasons.push(`Needs at least one of: ${signs.join(', ')}`);
+  return { met: reasons.length === 0, subtype: 'SUTI-1a', reasons };
+}
+
+function vapCriteria({ cultures, criteria, eventKey }) {
+  const reasons = [];
+  if (!criteria.imaging) reasons.push('Needs chest imaging with a new and persistent infiltrate, consolidation or cavitation');
+  if (!(criteria.fever || criteria.wbcAbnormal || criteria.alteredMentalStatus)) {
+    reasons.push('Needs fever, leukopenia/leukocytosis or altered mental status');
+  }
+  const pulmonary = ['purulentSputum', 'coughDyspnea', 'rales', 'worseningGasExchange'].filter((key) => criteria[key]).length;
+  const respiratory = cultureWindow(cultures, eventKey, 'respiratory').filter((row) => !isCommensal(row));
+  if (reasons.length) return { met: false, reasons };
+  if (respiratory.length && pulmonary >= 1) return { met: true, subtype: 'PNU2', reasons };
+  if (pulmonary >= 2) return { met: true, subtype: 'PNU1', reasons };
+  return { met: false, reasons: ['Needs two pulmonary signs, or one with a positive respiratory culture'] };
+}
+
+const SSI_FINDINGS = {
+  superficial_incisional: ['purulentDrainageSuperficial', 'organismSuperficial', 'incisionOpenedWithSigns', 'physicianDiagnosis'],
+  deep_incisional: ['purulentDrainageDeep', 'dehiscenceWithOrganismAndSigns', 'deepAbscess'],
+  organ_space: ['purulentDrainageDrain', 'organismOrganSpace', 'organSpaceAbscess']
+};
+
+function ssiCriteria({ cultures, criteria, eventKey, procedure }) {
+  const reasons = [];
+  const performedAt = procedure?.completedAt || procedure?.startedAt || procedure?.scheduledStart;
+  if (!performedAt) return { met: false, reasons: ['SSI needs the operative procedure it follows'] };
+  const depth = criteria.ssiDepth;
+  if (!SSI_FINDINGS[depth]) return { met: false, reasons: [`ssiDepth must be one of ${Object.keys(SSI_FINDINGS).join(', ')}`] };
+  const day = keyDiff(hospitalDateKey(performedAt), eventKey) + 1;
+  const window = depth !== 'superficial_incisional' && criteria.implant ? SSI_IMPLANT_WINDOW_DAYS : SSI_WINDOW_DAYS;
+  if (day < 1 || day > window) reasons.push(`Date of event is day ${day} after the procedure, outside the ${window}-day SSI window`);
+  const organism = cultureWindow(cultures, eventKey, 'wound').length > 0;
+  const findings = SSI_FINDINGS[depth].filter((key) => criteria[key] || (organism && /^organism/.test(key)));
+  if (!findings.length) reasons.push(`Needs at least one ${depth.replace('_', ' ')} finding: ${SSI_FINDINGS[depth].join(', ')}`);
+  return { met: reasons.length === 0, subtype: depth, reasons };
+}
+
+/**
+ * Checks a suspected HAI against the NHSN surveillance definition for its
+ * type. Returns the subtype met and, when not met, every reason why, so the
+ * infection control nurse sees what is missing before confirming.
+ */
+function evaluateHaiCase({ haiType, eventDate, admission = {}, devices = [], cultures = [], criteria = {}, procedure, priorCases = [] }) {
+  const eventKey = hospitalDateKey(eventDate);
+  const reasons = [];
+  const result = { meetsCriteria: false, subtype: undefined, hospitalOnset: undefined, deviceAssociated: false, deviceId: undefined, deviceDays: undefined, reasons };
+
+  if (haiType !== 'SSI') {
+    const hospitalDay = keyDiff(hospitalDateKey(admission.admissionDate), eventKey) + 1;
+    result.hospitalOnset = hospitalDay >= 3;
+    if (!result.hospitalOnset) reasons.push(`Date of event is hospital day ${hospitalDay}; infections before day 3 are present on admission`);
+
+    let best = null;
+    for (const device of devices.filter((row) => row.deviceType === DEVICE_FOR_HAI[haiType])) {
+      const days = deviceDayOnEvent(device, eventKey);
+      if (days && (!best || days > best.days)) best = { device, days };
+    }
+    if (best) {
+      Object.assign(result, { deviceAssociated: true, deviceId: idOf(best.device._id), deviceDays: best.days });
+    } else {
+      reasons.push(`No ${DEVICE_FOR_HAI[haiType].replace('_', ' ')} in place for more than 2 days on or the day before the date of event`);
+    }
+
+    const repeat = priorCases.find((row) => row.haiType === haiType
+      && row.status === 'confirmed'
+      && keyDiff(hospitalDateKey(row.eventDate), eventKey) >= 0
+      && keyDiff(hospitalDateKey(row.eventDate), eventKey) < REPEAT_INFECTION_DAYS);
+    if (repeat) reasons.push(`Within the ${REPEAT_INFECTION_DAYS}-day repeat infection timeframe of ${repeat.caseNumber || 'an earlier case'}`);
+  }
+
+  const catheterInPlace = devices.some((row) => row.deviceType === 'urinary_catheter'
+    && deviceInPlace(row, new Date(hospitalDayBounds(eventKey).end.getTime() - 1)));
+  const check = { CLABSI: clabsiCriteria, CAUTI: cautiCriteria, VAP: vapCriteria, SSI: ssiCriteria }[haiType];
+  if (!check) throw httpError(`haiType must be one of ${HaiCase.HAI_TYPES.join(', ')}`);
+  const outcome = check({ cultures, criteria, eventKey, procedure, catheterInPlace });
+  reasons.push(...outcome.reasons);
+  result.subtype = outcome.met ? outcome.subtype : undefined;
+  result.meetsCriteria = outcome.met && reasons.length === 0;
+  return result;
+}
+
+// ============================================
+// Rates
+// ============================================
+
+function rate(count, denominator, per) {
+  return denominator ? round2((count / denominator) * per) : null;
+}
+
+function withRates(row) {
+  return {
+    ...row,
+    clabsiRate: rate(row.clabsi, row.centralLineDays, 1000),
+    cautiRate: rate(row.cauti, row.urinaryCatheterDays, 1000),
+    vapRate: rate(row.vap, row.ventilatorDays, 1000),
+    ssiRate: rate(row.ssi, row.procedures, 100),
+    centralLineUtilization: rate(row.centralLineDays, row.patientDays, 1),
+    urinaryCatheterUtilization: rate(row.urinaryCatheterDays, row.patientDays, 1),
+    ventilatorUtilization: rate(row.ventilatorDays, row.patientDays, 1)
+  };
+}
+
+/**
+ * Monthly per-ward HAI rates: CLABSI/CAUTI/VAP per 1000 device-days, device
+ * utilization ratios, and SSI per 100 procedures. Cases are counted in the
+ * ward and month of their date of event.
+ */
+function wardRates({ census = [], cases = [], procedures = [] } = {}) {
+  const rows = new Map();
+  const row = (wardId, month) => {
+    const key = `${wardId}|${month}`;
+    if (!rows.has(key)) {
+      rows.set(key, { wardId, month, patientDays: 0, centralLineDays: 0, urinaryCatheterDays: 0, ventilatorDays: 0, clabsi: 0, cauti: 0, vap: 0, ssi: 0, procedures: 0 });
+    }
+    return rows.get(key);
+  };
+  for (const entry of census) Object.assign(row(entry.wardId, entry.month), entry);
+  for (const entry of cases) {
+    if (!entry.wardId) continue;
+    row(idOf(entry.wardId), hospitalDateKey(entry.eventDate).slice(0, 7))[entry.haiType.toLowerCase()] += 1;
+  }
+  for (const entry of procedures) {
+    if (!entry.wardId) continue;
+    row(idOf(entry.wardId), hospitalDateKey(entry.performedAt).slice(0, 7)).procedures += 1;
+  }
+  return [...rows.values()]
+    .sort((a, b) => a.month.localeCompare(b.month) || a.wardId.localeCompare(b.wardId))
+    .map(withRates);
+}
+
+function totalRates(rows = []) {
+  const fields = ['patientDays', 'centralLineDays', 'urinaryCatheterDays', 'ventilatorDays', 'clabsi', 'cauti', 'vap', 'ssi', 'procedures'];
+  const total = Object.fromEntries(fields.map((field) => [field, rows.reduce((sum, row) => sum + (row[field] || 0), 0)]));
+  return withRates(total);
+}
+
+// ============================================
+// Devices
+// ============================================
+
+async function loadAdmission(hospitalId, admissionId) {
+  if (!mongoose.isValidObjectId(admissionId)) throw httpError('Admission not found', 404);
+  const admission = await IPDAdmission.findOne({ _id: admissionId, hospitalId })
+    .select('patientId admissionDate dischargeDate wardId bedId status')
+    .lean();
+  if (!admission) throw httpError('Admission not found', 404);
+  return admission;
+}
+
+async function admissionLocation(admission) {
+  const segments = await IPDAccommodationSegment.find({ admissionId: admission._id }).sort({ startedAt: 1 }).lean();
+  return locationSegments(admission, segments);
+}
+
+function parseDate(value, field) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) throw httpError(`${field} must be a valid date`);
+  if (date.getTime() > Date.now() + 5 * 60 * 1000) throw httpError(`${field} cannot be in the future`);
+  return date;
+}
+
+async function recordDevice(req, hospitalId, body = {}) {
+  if (!InvasiveDevice.DEVICE_TYPES.includes(body.deviceType)) {
+    throw httpError(`deviceType must be one of ${InvasiveDevice.DEVICE_TYPES.join(', ')}`);
+  }
+  if (body.lineType && (body.deviceType !== 'central_line' || !InvasiveDevice.CENTRAL_LINE_TYPES.includes(body.lineType))) {
+    throw httpError(`lineType applies to central lines and must be one of ${InvasiveDevice.CENTRAL_LINE_TYPES.join(', ')}`);
+  }
+  const admission = await loadAdmission(hospitalId, body.admissionId);
+  if (admission.dischargeDate) throw httpError('Devices cannot be added to a discharged admission', 409, 'HAI_ADMISSION_DISCHARGED');
+  const insertedAt = parseDate(body.insertedAt, 'insertedAt');
+  const insertedElsewhere = Boolean(body.insertedElsewhere);
+  // A line placed before admission (another hospital, the ED) starts counting
+  // on the day of admission.
+  const countedFrom = insertedElsewhere && insertedAt < admission.admissionDate ? new Date(admission.admissionDate) : insertedAt;
+  if (countedFrom < new Date(admission.admissionDate)) {
+    throw httpError('insertedAt is before admission; set insertedElsewhere for devices placed outside this stay');
+  }
+  const location = await admissionLocation(admission);
+  const index = segmentIndexAt(location, countedFrom);
+
+  const device = await InvasiveDevice.create({
+    hospitalId,
+    admissionId: admission._id,
+    patientId: admission.patientId,
+    deviceType: body.deviceType,
+    lineType: body.lineType,
+    site: body.site,
+    insertedAt: countedFrom,
+    insertedBy: body.insertedBy || req.user._id,
+    insertionWardId: index >= 0 ? location[index].wardId : admission.wardId,
+    insertedElsewhere,
+    bundleCompliant: body.bundleCompliant,
+    notes: body.notes,
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+
+  await appendDomainEvent({
+    req,
+    eventType: 'hai.device.inserted',
+    entityType: 'InvasiveDevice',
+    entityId: device._id,
+    hospitalId,
+    patientId: device.patientId,
+    encounterId: device.admissionId,
+    afterSummary: { deviceType: device.deviceType, insertedAt: device.insertedAt }
+  });
+  return device;
+}
+
+async function removeDevice(req, hospitalId, deviceId, body = {}) {
+  if (!mongoose.isValidObjectId(deviceId)) throw httpError('Device not found', 404);
+  const device = await InvasiveDevice.findOne({ _id: deviceId, hospitalId });
+  if (!device) throw httpError('Device not found', 404);
+  if (device.status !== 'active') throw httpError('Device is already removed', 409, 'HAI_DEVICE_NOT_ACTIVE');
+  const removedAt = parseDate(body.removedAt || new Date(), 'removedAt');
+  if (removedAt < device.insertedAt) throw httpError('removedAt cannot be before insertedAt');
+
+  device.removedAt = removedAt;
+  device.removedBy = req.user._id;
+  device.removalReason = body.removalReason;
+  device.status = 'removed';
+  device.updatedBy = req.user._id;
+  await device.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'hai.device.removed',
+    entityType: 'InvasiveDevice',
+    entityId: device._id,
+    hospitalId,
+    patientId: device.patientId,
+    encounterId: device.admissionId,
+    afterSummary: { deviceType: device.deviceType, removedAt, removalReason: device.removalReason }
+  });
+  return device;
+}
+
+async function listDevices(hospitalId, query = {}) {
+  const filter = { hospitalId, status: { $ne: 'voided' } };
+  if (query.admissionId) filter.admissionId = query.admissionId;
+  if (query.patientId) filter.patientId = query.patientId;
+  if (query.deviceType) filter.deviceType = query.deviceType;
+  if (query.status) filter.status = query.status;
+  return InvasiveDevice.find(filter).sort({ insertedAt: -1 }).limit(500).lean();
+}
+
+// ============================================
+// Cases
+// ============================================
+
+/** Culture orders on the admission, shaped for linking to an HAI case. */
+async function cultureCandidates(hospitalId, admissionId) {
+  const admission = await loadAdmission(hospitalId, admissionId);
+  const rows = await LabRequest.find({ hospitalId, admissionId: admission._id, testName: /culture|c\s*\/\s*s\b/i, status: { $ne: 'Cancelled' } })
+    .select('requestNumber testName status specimen requestedDate manual_report')
+    .sort({ requestedDate: -1 })
+    .lean();
+  return rows.map((row) => ({
+    labRequestId: row._id,
+    requestNumber: row.requestNumber,
+    testName: row.testName,
+    status: row.status,
+    specimenType: row.specimen?.type || row.manual_report?.specimenType || row.testName,
+    collectedAt: row.specimen?.collectedAt || row.requestedDate,
+    organism: (row.manual_report?.observations || [])
+      .filter((observation) => /organism|isolate/i.test(observation.name))
+      .map((observation) => observation.resultText)
+      .filter(Boolean)
+      .join('; ') || undefined
+  }));
+}
+
+async function normalizeCultures(hospitalId, admission, cultures = []) {
+  if (!Array.isArray(cultures)) throw httpError('cultures must be an array');
+  const ids = cultures.map((row) => row.labRequestId).filter(Boolean);
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw httpError('Invalid labRequestId');
+  const labs = ids.length
+    ? await LabRequest.find({ _id: { $in: ids }, hospitalId, admissionId: admission._id }).select('specimen requestedDate testName').lean()
+    : [];
+  const byId = new Map(labs.map((row) => [String(row._id), row]));
+  return cultures.map((row) => {
+    const lab = row.labRequestId ? byId.get(String(row.labRequestId)) : null;
+    if (row.labRequestId && !lab) throw httpError('Linked culture does not belong to this admission', 400, 'HAI_CULTURE_NOT_FOUND');
+    const collectedAt = row.collectedAt || lab?.specimen?.collectedAt || lab?.requestedDate;
+    const specimenType = row.specimenType || lab?.specimen?.type || lab?.testName;
+    if (!collectedAt || !specimenType) throw httpError('Each culture needs specimenType and collectedAt');
+    return { ...row, specimenType: String(specimenType).toLowerCase(), collectedAt: new Date(collectedAt) };
+  });
+}
+
+async function caseContext(hospitalId, admission, { haiType, eventDate, otRequestId, excludeCaseId }) {
+  const [segments, devices, priorCases] = await Promise.all([
+    IPDAccommodationSegment.find({ admissionId: admission._id }).sort({ startedAt: 1 }).lean(),
+    InvasiveDevice.find({ hospitalId, admissionId: admission._id, status: { $ne: 'voided' } }).lean(),
+    HaiCase.find({ hospitalId, admissionId: admission._id, haiType, status: 'confirmed', _id: { $ne: excludeCaseId } }).lean()
+  ]);
+  let procedure = null;
+  if (haiType === 'SSI') {
+    if (otRequestId && !mongoose.isValidObjectId(otRequestId)) throw httpError('Invalid otRequestId');
+    procedure = await OTRequest.findOne(otRequestId
+      ? { _id: otRequestId, hospitalId, patientId: admission.patientId }
+      : { hospitalId, admissionId: admission._id, status: { $in: COMPLETED_OT_STATUSES }, startedAt: { $lte: eventDate } })
+      .sort({ startedAt: -1 })
+      .select('procedureName completedAt startedAt scheduledStart status')
+      .lean();
+  }
+  return { location: locationSegments(admission, segments), devices, priorCases, procedure };
+}
+
+function assertCaseInput(body) {
+  if (!HaiCase.HAI_TYPES.includes(body.haiType)) throw httpError(`haiType must be one of ${HaiCase.HAI_TYPES.join(', ')}`);
+  return parseDate(body.eventDate, 'eventDate');
+}
+
+async function evaluateAndApply(hospitalId, admission, row) {
+  const context = await caseContext(hospitalId, admission, {
+    haiType: row.haiType,
+    eventDate: row.eventDate,
+    otRequestId: row.otRequestId,
+    excludeCaseId: row._id
+  });
+  const evaluation = evaluateHaiCase({
+    haiType: row.haiType,
+    eventDate: row.eventDate,
+    admission,
+    devices: context.devices,
+    cultures: row.cultures,
+    criteria: row.criteria || {},
+    procedure: context.procedure,
+    priorCases: context.priorCases
+  });
+  row.deviceId = evaluation.deviceId;
+  if (row.haiType === 'SSI' && context.procedure) row.otRequestId = context.procedure._id;
+  row.wardId = attributedWard(context.location, row.eventDate) || admission.wardId;
+  const { deviceId, ...summary } = evaluation;
+  row.evaluation = { ...summary, evaluatedAt: new Date() };
+  return evaluation;
+}
+
+async function createCase(req, hospitalId, body = {}) {
+  const eventDate = assertCaseInput(body);
+  const admission = await loadAdmission(hospitalId, body.admissionId);
+  const cultures = await normalizeCultures(hospitalId, admission, body.cultures || []);
+  const row = new HaiCase({
+    hospitalId,
+    caseNumber: ref('HAI'),
+    admissionId: admission._id,
+    patientId: admission.patientId,
+    haiType: body.haiType,
+    eventDate,
+    otRequestId: body.otRequestId,
+    cultures,
+    criteria: body.criteria || {},
+    notes: body.notes,
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+  await evaluateAndApply(hospitalId, admission, row);
+  if (body.wardId) row.wardId = body.wardId;
+  await row.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'hai.case.created',
+    entityType: 'HaiCase',
+    entityId: row._id,
+    hospitalId,
+    patientId: row.patientId,
+    encounterId: row.admissionId,
+    afterSummary: { caseNumber: row.caseNumber, haiType: row.haiType, meetsCriteria: row.evaluation.meetsCriteria }
+  });
+  return row;
+}
+
+async function loadCase(hospitalId, caseId) {
+  if (!mongoose.isValidObjectId(caseId)) throw httpError('HAI case not found', 404);
+  const row = await HaiCase.findOne({ _id: caseId, hospitalId });
+  if (!row) throw httpError('HAI case not found', 404);
+  return row;
+}
+
+async function updateCase(req, hospitalId, caseId, body = {}) {
+  const row = await loadCase(hospitalId, caseId);
+  if (row.status !== 'suspected') throw httpError(`A ${row.status} case cannot be edited`, 409, 'HAI_CASE_CLOSED');
+  const admission = await loadAdmission(hospitalId, row.admissionId);
+  if (body.haiType !== undefined || body.eventDate !== undefined) {
+    row.eventDate = assertCaseInput({ haiType: body.haiType || row.haiType, eventDate: body.eventDate || row.eventDate });
+    row.haiType = body.haiType || row.haiType;
+  }
+  if (body.cultures !== undefined) row.cultures = await normalizeCultures(hospitalId, admission, body.cultures);
+  if (body.criteria !== undefined) row.criteria = body.criteria;
+  if (body.otRequestId !== undefined) row.otRequestId = body.otRequestId;
+  if (body.notes !== undefined) row.notes = body.notes;
+  await evaluateAndApply(hospitalId, admission, row);
+  if (body.wardId) row.wardId = body.wardId;
+  row.markModified('criteria');
+  row.updatedBy = req.user._id;
+  await row.save();
+  return row;
+}
+
+async function confirmCase(req, hospitalId, caseId, body = {}) {
+  const row = await loadCase(hospitalId, caseId);
+  if (row.status !== 'suspected') throw httpError(`Case is already ${row.status}`, 409, 'HAI_CASE_CLOSED');
+  const admission = await loadAdmission(hospitalId, row.admissionId);
+  const evaluation = await evaluateAndApply(hospitalId, admission, row);
+  // The infection control committee may confirm against a failed check (e.g. a
+  // culture reported elsewhere), but has to say why.
+  if (!evaluation.meetsCriteria && !String(body.overrideReason || '').trim()) {
+    throw httpError('Case does not meet the surveillance definition', 422, 'HAI_CRITERIA_NOT_MET', { reasons: evaluation.reasons });
+  }
+
+  const incident = await SafetyIncident.create({
+    hospitalId,
+    incidentNumber: ref('INC'),
+    incidentType: 'infection',
+    patientId: row.patientId,
+    category: `HAI - ${row.haiType}`,
+    severity: body.severity || 'high',
+    status: 'open',
+    occurredAt: row.eventDate,
+    details: {
+      haiCaseId: row._id,
+      caseNumber: row.caseNumber,
+      haiType: row.haiType,
+      subtype: evaluation.subtype,
+      admissionId: row.admissionId,
+      wardId: row.wardId,
+      organisms: row.cultures.map((culture) => culture.organism).filter(Boolean),
+      overrideReason: evaluation.meetsCriteria ? undefined : body.overrideReason
+    },
+    createdBy: req.user._id,
+    updatedBy: req.user._id
+  });
+
+  row.status = 'confirmed';
+  row.confirmedAt = new Date();
+  row.confirmedBy = req.user._id;
+  row.safetyIncidentId = incident._id;
+  if (!evaluation.meetsCriteria) row.notes = [row.notes, `Confirmed by override: ${body.overrideReason}`].filter(Boolean).join('\n');
+  row.updatedBy = req.user._id;
+  await row.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'hai.case.confirmed',
+    entityType: 'HaiCase',
+    entityId: row._id,
+    hospitalId,
+    patientId: row.patientId,
+    encounterId: row.admissionId,
+    afterSummary: { caseNumber: row.caseNumber, haiType: row.haiType, subtype: evaluation.subtype, incidentNumber: incident.incidentNumber },
+    reasonCode: evaluation.meetsCriteria ? undefined : 'criteria_override',
+    comments: evaluation.meetsCriteria ? undefined : body.overrideReason
+  });
+  return { case: row, incident };
+}
+
+async function ruleOutCase(req, hospitalId, caseId, body = {}) {
+  const row = await loadCase(hospitalId, caseId);
+  if (row.status !== 'suspected') throw httpError(`Case is already ${row.status}`, 409, 'HAI_CASE_CLOSED');
+  if (!String(body.reason || '').trim()) throw httpError('reason is required');
+  row.status = 'ruled_out';
+  row.ruledOutReason = body.reason;
+  row.updatedBy = req.user._id;
+  await row.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'hai.case.ruled_out',
+    entityType: 'HaiCase',
+    entityId: row._id,
+    hospitalId,
+    patientId: row.patientId,
+    encounterId: row.admissionId,
+    afterSummary: { caseNumber: row.caseNumber, haiType: row.haiType },
+    comments: body.reason
+  });
+  return row;
+}
+
+async function listCases(hospitalId, query = {}) {
+  const filter = { hospitalId };
+  for (const key of ['haiType', 'status', 'admissionId', 'patientId', 'wardId']) {
+    if (query[key]) filter[key] = query[key];
+  }
+  if (query.from || query.to) {
+    filter.eventDate = {};
+    if (query.from) filter.eventDate.$gte = isDateKey(query.from) ? hospitalDayBounds(query.from).start : new Date(query.from);
+    if (query.to) filter.eventDate.$lt = isDateKey(query.to) ? hospitalDayBounds(query.to).end : new Date(query.to);
+  }
+  return HaiCase.find(filter).sort({ eventDate: -1 }).limit(500).lean();
+}
+
+// ============================================
+// Reports
+// ============================================
+
+function reportPeriod({ from, to } = {}, maxDays = 366) {
+  const today = hospitalTodayKey();
+  const toKey = to || today;
+  const fromKey = from || `${toKey.slice(0, 7)}-01`;
+  if (!isDateKey(fromKey) || !isDateKey(toKey)) throw httpError('from and to must be YYYY-MM-DD dates');
+  if (fromKey > toKey) throw httpError('from must be on or before to');
+  if (keyDiff(fromKey, toKey) > maxDays) throw httpError(`Report period cannot exceed ${maxDays} days`);
+  return { from: fromKey, to: toKey > today ? today : toKey };
+}
+
+function groupByAdmission(rows) {
+  return rows.reduce((map, row) => {
+    const key = String(row.admissionId);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(row);
+    return map;
+  }, new Map());
+}
+
+/**
+ * Every admission overlapping a report period with its ward segments and
+ * devices, in the shape surveillanceCensus takes. Antimicrobial stewardship
+ * metrics share this patient-day denominator.
+ */
+async function loadStays(hospitalId, period) {
+  const start = hospitalDayBounds(period.from).start;
+  const end = hospitalDayBounds(period.to).end;
+  const admissions = await IPDAdmission.find({
+    hospitalId,
+    admissionDate: { $lt: end },
+    $or: [{ dischargeDate: null }, { dischargeDate: { $gte: start } }]
+  }).select('patientId admissionDate dischargeDate wardId primaryDoctorId').lean();
+  const admissionIds = admissions.map((row) => row._id);
+  const [segments, devices] = await Promise.all([
+    IPDAccommodationSegment.find({ admissionId: { $in: admissionIds } }).lean(),
+    InvasiveDevice.find({ hospitalId, admissionId: { $in: admissionIds }, status: { $ne: 'voided' } }).lean()
+  ]);
+  const segmentsBy = groupByAdmission(segments);
+  const devicesBy = groupByAdmission(devices);
+  const stays = admissions.map((admission) => ({
+    admission,
+    segments: segmentsBy.get(String(admission._id)) || [],
+    devices: devicesBy.get(String(admission._id)) || []
+  }));
+  return { start, end, stays };
+}
+
+/** Ward occupied at an instant, or the admitting ward when no segment covers it. */
+function wardAt(location = [], instant) {
+  const index = segmentIndexAt(location, instant);
+  return index >= 0 ? location[index].wardId : location[0]?.wardId;
+}
+
+/**
+ * Monthly HAI rates per ward for a date-key period, plus hospital totals.
+ * Loads every admission that overlaps the period along with its ward
+ * segments and devices.
+ */
+async function rateReport(hospitalId, query = {}, { maxDays } = {}) {
+  const period = reportPeriod(query, maxDays);
+  const { start, end, stays } = await loadStays(hospitalId, period);
+  const admissionIds = stays.map((stay) => stay.admission._id);
+
+  const [cases, procedures] = await Promise.all([
+    HaiCase.find({ hospitalId, status: 'confirmed', eventDate: { $gte: start, $lt: end } }).select('haiType wardId eventDate').lean(),
+    OTRequest.find({
+      hospitalId,
+      admissionId: { $in: admissionIds },
+      status: { $in: COMPLETED_OT_STATUSES },
+      startedAt: { $gte: start, $lt: end }
+    }).select('admissionId startedAt completedAt').lean()
+  ]);
+
+  const locations = new Map(stays.map((stay) => [String(stay.admission._id), locationSegments(stay.admission, stay.segments)]));
+  const procedureRows = procedures.map((row) => ({
+    wardId: wardAt(locations.get(String(row.admissionId)), row.startedAt),
+    performedAt: row.startedAt
+  }));
+
+  let rows = wardRates({ census: surveillanceCensus(stays, period), cases, procedures: procedureRows });
+  if (query.wardId) rows = rows.filter((row) => row.wardId === String(query.wardId));
+  const wards = await Ward.find({ _id: { $in: [...new Set(rows.map((row) => row.wardId))] }, hospitalId }).select('name code type').lean();
+  const wardById = new Map(wards.map((ward) => [String(ward._id), ward]));
+  rows = rows.map((row) => ({ ...row, wardName: wardById.get(row.wardId)?.name, wardType: wardById.get(row.wardId)?.type }));
+
+  return { period, rows, totals: totalRates(rows) };
+}
+
+/**
+ * Hospital-wide monthly HAI rates in the metric/value shape of NABH KPI
+ * records, for the KPI summary and CSV export.
+ */
+async function nabhKpiRows(hospitalId, { from, to }) {
+  const report = await rateReport(hospitalId, {
+    from: hospitalDateKey(from),
+    to: hospitalDateKey(new Date(new Date(to).getTime() - 1))
+  }, { maxDays: Infinity });
+  const months = [...new Set(report.rows.map((row) => row.month))];
+  const metrics = [
+    ['CLABSI rate per 1000 central line days', 'clabsiRate'],
+    ['CAUTI rate per 1000 urinary catheter days', 'cautiRate'],
+    ['VAP rate per 1000 ventilator days', 'vapRate'],
+    ['SSI rate per 100 surgical procedures', 'ssiRate'],
+    ['Central line utilization ratio', 'centralLineUtilization'],
+    ['Urinary catheter utilization ratio', 'urinaryCatheterUtilization'],
+    ['Ventilator utilization ratio', 'ventilatorUtilization']
+  ];
+  const out = [];
+  for (const month of months) {
+    const totals = totalRates(report.rows.filter((row) => row.month === month));
+    for (const [metric, field] of metrics) out.push({ month, metric, value: totals[field] });
+  }
+  return { totals: report.totals, rows: out };
+}
+
+module.exports = {
+  DEVICE_FOR_HAI,
+  locationSegments,
+  wardAt,
+  attributedWard,
+  surveillanceCensus,
+  deviceDayOnEvent,
+  evaluateHaiCase,
+  wardRates,
+  totalRates,
+  recordDevice,
+  removeDevice,
+  listDevices,
+  cultureCandidates,
+  createCase,
+  updateCase,
+  confirmCase,
+  ruleOutCase,
+  listCases,
+  reportPeriod,
+  loadStays,
+  rateReport,
+  nabhKpiRows
+};
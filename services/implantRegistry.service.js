@@ -0,0 +1,427 @@
+'use strict';
+
+const OTImplant = require('../models/OTImplant');
+const OTRequest = require('../models/OTRequest');
+const OTCaseInventoryUsage = require('../models/OTCaseInventoryUsage');
+const InventoryLot = require('../models/InventoryLot');
+const StoreItem = require('../models/StoreItem');
+const IPDCharge = require('../models/IPDCharge');
+const BillingServiceMaster = require('../models/BillingServiceMaster');
+const inventoryLedger = require('./inventoryLedger.service');
+const ipdFinancial = require('./ipdFinancial.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { operationNow } = require('../utils/operationTimeContext');
+
+// Implants are recorded from the moment the patient is in theatre until the
+// case is closed out; anything earlier is a plan, not a use.
+const RECORDABLE_CASE_STATUSES = ['Patient Received', 'In Progress', 'Recovery', 'Transferred', 'Completed'];
+const REMOVAL_ACTIONS = { explant: 'explanted', entered_in_error: 'entered_in_error' };
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function text(value) {
+  return String(value ?? '').trim();
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function exact(value) {
+  return new RegExp(`^${escapeRegex(text(value))}$`, 'i');
+}
+
+function list(value) {
+  const values = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return values.map(text).filter(Boolean);
+}
+
+// GS1 expiry is YYMMDD; a day of 00 means the last day of the month.
+function gs1Date(value) {
+  const [, yy, mm, dd] = /^(\d{2})(\d{2})(\d{2})$/.exec(value) || [];
+  if (!yy) return undefined;
+  const year = 2000 + Number(yy);
+  const month = Number(mm) - 1;
+  const day = Number(dd) || new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Splits a GS1 UDI, either in human-readable "(01)…(17)…(10)…(21)…" form or
+ * as scanned with group-separator characters, into device identifier, expiry,
+ * lot and serial. Unrecognised formats (e.g. HIBCC) return an empty object.
+ */
+function parseUdi(udi) {
+  const raw = text(udi).replace(/^\]d2/, '');
+  if (!raw) return {};
+  const fields = {};
+  if (raw.startsWith('(')) {
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    while ((match = pattern.exec(raw))) fields[match[1]] = match[2].trim();
+  } else if (raw.startsWith('01')) {
+    let rest = raw;
+    const fixed = { '01': 14, 11: 6, 17: 6 };
+    while (rest.length >= 2) {
+      const ai = rest.slice(0, 2);
+      if (fixed[ai]) {
+        fields[ai] = rest.slice(2, 2 + fixed[ai]);
+        rest = rest.slice(2 + fixed[ai]);
+      } else if (['10', '21'].includes(ai)) {
+        const end = rest.indexOf('\u001d');
+        fields[ai] = end === -1 ? rest.slice(2) : rest.slice(2, end);
+        rest = end === -1 ? '' : rest.slice(end + 1);
+      } else {
+        break;
+      }
+    }
+  }
+  if (!fields['01']) return {};
+  return {
+    udiDi: fields['01'],
+    expiryDate: fields['17'] ? gs1Date(fields['17']) : undefined,
+    lotNumber: fields['10'] || undefined,
+    serialNumber: fields['21'] || undefined
+  };
+}
+
+/** Location to consume from: the one asked for, else the only one holding enough stock. */
+function pickSourceLocation(lot, quantity, preferred) {
+  const balances = (lot.locationBalances || []).filter((row) => Number(row.available ?? row.onHand) >= quantity);
+  if (preferred) {
+    const match = balances.find((row) => String(row.locationId) === String(preferred));
+    if (!match) throw httpError('Lot has insufficient stock at the selected location', 409, 'IMPLANT_STOCK_UNAVAILABLE');
+    return match.locationId;
+  }
+  if (!balances.length) throw httpError('Lot has no location with enough stock', 409, 'IMPLANT_STOCK_UNAVAILABLE');
+  if (balances.length > 1) throw httpError('Lot is held at several locations; choose sourceLocationId', 400, 'IMPLANT_LOCATION_REQUIRED');
+  return balances[0].locationId;
+}
+
+/**
+ * Mongo filter for a manufacturer recall. Matching is case-insensitive and
+ * exact per field; at least one device identifier is required so a recall
+ * never matches every implant from a manufacturer by accident.
+ */
+function recallFilter(hospitalId, criteria = {}) {
+  const filter = { hospitalId };
+  const lotNumbers = list(criteria.lotNumbers ?? criteria.lotNumber);
+  const serialNumbers = list(criteria.serialNumbers ?? criteria.serialNumber);
+  const lotIds = list(criteria.lotIds);
+  const udiDi = text(criteria.udiDi) || parseUdi(criteria.udi).udiDi;
+  if (text(criteria.manufacturer)) filter.manufacturer = exact(criteria.manufacturer);
+  if (text(criteria.model)) filter.model = exact(criteria.model);
+  if (text(criteria.catalogueNumber)) filter.catalogueNumber = exact(criteria.catalogueNumber);
+  if (udiDi) filter.udiDi = udiDi;
+  if (lotNumbers.length) filter.lotNumber = { $in: lotNumbers.map(exact) };
+  if (serialNumbers.length) filter.serialNumber = { $in: serialNumbers.map(exact) };
+  if (lotIds.length) filter.lotId = { $in: lotIds };
+  const identifiers = ['model', 'catalogueNumber', 'udiDi', 'lotNumber', 'serialNumber', 'lotId'].filter((key) => filter[key]);
+  if (!identifiers.length) throw httpError('A model, catalogue number, UDI, lot, serial or store lot is required to search for a recall');
+  if (criteria.from || criteria.to) {
+    filter.implantedAt = {};
+    if (criteria.from) filter.implantedAt.$gte = new Date(criteria.from);
+    if (criteria.to) filter.implantedAt.$lte = new Date(criteria.to);
+  }
+  if (criteria.includeRemoved !== true && criteria.includeRemoved !== 'true') filter.status = { $ne: 'entered_in_error' };
+  return filter;
+}
+
+function implantChargeKey(implant) {
+  return `ot-implant:${implant._id}`;
+}
+
+async function loadCase(hospitalId, caseId) {
+  const otCase = await OTRequest.findOne({ _id: caseId, hospitalId }).select('patientId admissionId status requestNumber procedureName').lean();
+  if (!otCase) throw httpError('OT case not found', 404);
+  return otCase;
+}
+
+async function findImplant(hospitalId, id) {
+  const implant = await OTImplant.findOne({ _id: id, hospitalId });
+  if (!implant) throw httpError('Implant record not found', 404);
+  return implant;
+}
+
+// Device details come from the store lot where one is used; a scanned UDI
+// fills anything the lot does not carry and must agree with what it does.
+function deviceDetails(body, item, lot) {
+  const udi = parseUdi(body.udi);
+  const details = {
+    description: text(body.description) || item?.name,
+    manufacturer: text(body.manufacturer) || item?.brand,
+    brand: text(body.brand) || item?.brand,
+    model: text(body.model) || item?.model_no,
+    catalogueNumber: text(body.catalogueNumber) || undefined,
+    lotNumber: lot?.lotNumber || text(body.lotNumber) || udi.lotNumber,
+    serialNumber: lot?.serialNumber || text(body.serialNumber) || udi.serialNumber,
+    udi: text(body.udi) || undefined,
+    udiDi: udi.udiDi || text(body.udiDi) || undefined,
+    expiryDate: lot?.expiryDate || (body.expiryDate ? new Date(body.expiryDate) : udi.expiryDate),
+    vendorName: text(body.vendorName) || lot?.supplierName,
+    supplierId: body.supplierId || lot?.supplierId,
+    unitCost: Number(body.unitCost ?? lot?.unitCost ?? 0)
+  };
+  const mismatched = ['lotNumber', 'serialNumber'].filter((key) => udi[key] && details[key] && udi[key].toLowerCase() !== String(details[key]).toLowerCase());
+  if (mismatched.length) throw httpError(`UDI does not match the store lot (${mismatched.join(', ')})`, 409, 'UDI_MISMATCH');
+  if (!details.description) throw httpError('description is required');
+  if (!details.manufacturer) throw httpError('manufacturer is required');
+  if (!details.lotNumber && !details.serialNumber && !details.udiDi) throw httpError('A lot number, serial number or UDI is required for traceability');
+  if (details.expiryDate && new Date(details.expiryDate) < operationNow()) throw httpError('Implant has expired', 409, 'IMPLANT_EXPIRED');
+  return details;
+}
+
+async function pricingFor(hospitalId, body, item) {
+  if (body.billable === false) return { status: 'not_billable' };
+  const master = body.billingServiceId
+    ? await BillingServiceMaster.findOne({ _id: body.billingServiceId, hospitalId, active: { $ne: false } }).lean()
+    : item?.item_code
+      ? await BillingServiceMaster.findOne({ hospitalId, chargeCode: String(item.item_code).toUpperCase(), active: { $ne: false } }).sort({ effectiveFrom: -1 }).lean()
+      : null;
+  if (body.billingServiceId && !master) throw httpError('Billing service not found', 404);
+  const rate = body.rate !== undefined && body.rate !== '' ? Number(body.rate) : master?.price;
+  if (!Number.isFinite(rate) || rate < 0) throw httpError('No billing service is mapped to this item; rate is required', 400, 'IMPLANT_RATE_REQUIRED');
+  return { status: 'pending', billingServiceId: master?._id, serviceCode: master?.chargeCode || item?.item_code, rate };
+}
+
+/**
+ * Posts the implant to the IPD bill through the normal charge path, so the
+ * payer rate card, package absorption and coverage utilisation all apply.
+ * Keyed on the implant so a retry never double-bills.
+ */
+async function billImplant({ req, hospitalId, implant }) {
+  if (implant.billing.status === 'posted') return implant;
+  if (!['pending', 'failed'].includes(implant.billing.status)) throw httpError(`Implant billing is ${implant.billing.status}`, 409);
+  if (implant.status === 'entered_in_error') throw httpError('Implant was entered in error', 409);
+  if (!implant.admissionId) {
+    implant.billing.status = 'no_admission';
+    implant.billing.note = 'OT case has no IPD admission to bill';
+    await implant.save();
+    return implant;
+  }
+  const idempotencyKey = implantChargeKey(implant);
+  try {
+    const charge = await IPDCharge.findOne({ hospitalId, idempotencyKey }) || await ipdFinancial.addManualCharge({
+      admissionId: implant.admissionId,
+      chargeType: 'Implant',
+      internalServiceModel: implant.billing.billingServiceId ? 'BillingServiceMaster' : undefined,
+      internalServiceId: implant.billing.billingServiceId,
+      serviceCode: implant.billing.serviceCode,
+      description: [implant.description, implant.serialNumber ? `S/N ${implant.serialNumber}` : `Lot ${implant.lotNumber || '-'}`].join(' · '),
+      quantity: implant.quantity,
+      rate: implant.billing.rate,
+      sourceModule: 'OT',
+      sourceId: implant.caseId,
+      sourceReference: { module: 'OT', documentId: implant.caseId, lineKey: String(implant._id) },
+      idempotencyKey,
+      notes: implant.consignment ? `Consignment implant from ${implant.vendorName || 'vendor'}` : undefined
+    }, req.user);
+    implant.billing.status = 'posted';
+    implant.billing.chargeId = charge._id;
+    implant.billing.amount = charge.netAmount;
+    implant.billing.note = undefined;
+  } catch (error) {
+    implant.billing.status = 'failed';
+    implant.billing.note = error.message;
+  }
+  await implant.save();
+  return implant;
+}
+
+async function recordImplant({ req, hospitalId, caseId, body = {} }) {
+  const otCase = await loadCase(hospitalId, caseId);
+  if (!RECORDABLE_CASE_STATUSES.includes(otCase.status)) throw httpError(`Implants cannot be recorded while the case is ${otCase.status}`, 409);
+  const quantity = Number(body.quantity || 1);
+  if (!Number.isInteger(quantity) || quantity < 1) throw httpError('quantity must be a whole number of at least 1');
+  const consignment = body.consignment === true;
+  if (!body.lotId && !consignment) throw httpError('lotId is required unless the implant is a consignment device', 400, 'IMPLANT_LOT_REQUIRED');
+
+  const lot = body.lotId ? await InventoryLot.findOne({ _id: body.lotId, hospitalId }).lean() : null;
+  if (body.lotId && !lot) throw httpError('Inventory lot not found', 404);
+  const item = lot || body.itemId ? await StoreItem.findOne({ _id: lot?.itemId || body.itemId, hospital_id: hospitalId }).lean() : null;
+  if (lot && !item) throw httpError('Store item not found', 404);
+  if (lot?.serialNumber && quantity !== 1) throw httpError('A serialised implant is recorded one unit at a time');
+  const details = deviceDetails(body, item, lot);
+  const billing = await pricingFor(hospitalId, body, item);
+
+  let sourceLocationId;
+  if (lot) {
+    const usage = await OTCaseInventoryUsage.findOne({ hospitalId, caseId: otCase._id }).select('sourceLocationId').lean();
+    sourceLocationId = pickSourceLocation(lot, quantity, body.sourceLocationId || usage?.sourceLocationId);
+  }
+
+  const implant = await inventoryLedger.runInTransaction(async (session) => {
+    const [created] = await OTImplant.create([{
+      hospitalId,
+      caseId: otCase._id,
+      patientId: otCase.patientId,
+      admissionId: otCase.admissionId,
+      category: body.category === 'high_value_consumable' ? 'high_value_consumable' : 'implant',
+      itemId: item?._id,
+      lotId: lot?._id,
+      sourceLocationId,
+      ...details,
+      consignment,
+      quantity,
+      bodySite: text(body.bodySite) || undefined,
+      laterality: body.laterality || '',
+      stickerUrl: text(body.stickerUrl) || undefined,
+      implantedAt: body.implantedAt ? new Date(body.implantedAt) : operationNow(),
+      implantedBy: req.user?._id,
+      billing,
+      createdBy: req.user?._id
+    }], { session });
+    if (lot) {
+      const { transaction } = await inventoryLedger.issue({
+        hospitalId,
+        lotId: lot._id,
+        fromLocationId: sourceLocationId,
+        quantity,
+        referenceModel: 'OTRequest',
+        referenceId: otCase._id,
+        performedBy: req.user?._id,
+        admissionId: otCase.admissionId,
+        patientId: otCase.patientId,
+        otCaseId: otCase._id,
+        correlationId: implantChargeKey(created),
+        reasonCode: 'IMPLANT_USED',
+        session
+      });
+      created.inventoryTransactionId = transaction._id;
+      await created.save({ session });
+    }
+    return created;
+  });
+
+  await appendDomainEvent({
+    req,
+    eventType: 'ot.implant.recorded',
+    entityType: 'OTImplant',
+    entityId: implant._id,
+    hospitalId,
+    patientId: otCase.patientId,
+    afterSummary: {
+      caseId: otCase._id,
+      manufacturer: implant.manufacturer,
+      model: implant.model,
+      lotNumber: implant.lotNumber,
+      serialNumber: implant.serialNumber,
+      udiDi: implant.udiDi,
+      consignment
+    }
+  });
+  return billImplant({ req, hospitalId, implant });
+}
+
+async function retryBilling({ req, hospitalId, id }) {
+  return billImplant({ req, hospitalId, implant: await findImplant(hospitalId, id) });
+}
+
+function listCaseImplants({ hospitalId, caseId }) {
+  return OTImplant.find({ hospitalId, caseId })
+    .populate('itemId', 'name item_code')
+    .populate('billing.chargeId', 'netAmount status')
+    .sort({ implantedAt: 1 })
+    .lean();
+}
+
+/**
+ * An explant keeps the charge and stock movement: the device was used. A
+ * record entered in error voids the unbilled charge and returns the unit to
+ * the lot it came from.
+ */
+async function removeImplant({ req, hospitalId, id, action, reason }) {
+  const status = REMOVAL_ACTIONS[action];
+  if (!status) throw httpError(`action must be one of ${Object.keys(REMOVAL_ACTIONS).join(', ')}`);
+  if (!text(reason)) throw httpError('reason is required');
+  const implant = await findImplant(hospitalId, id);
+  if (implant.status !== 'implanted') throw httpError(`Implant is already ${implant.status}`, 409);
+  const before = { status: implant.status, billing: implant.billing.status };
+
+  if (status === 'entered_in_error') {
+    if (implant.billing.chargeId) {
+      await ipdFinancial.voidCharge(implant.admissionId, implant.billing.chargeId, { reason: `Implant entered in error: ${text(reason)}` }, req.user);
+    }
+    if (implant.lotId && implant.inventoryTransactionId) {
+      await inventoryLedger.runInTransaction((session) => inventoryLedger.returnToStock({
+        hospitalId,
+        lotId: implant.lotId,
+        toLocationId: implant.sourceLocationId,
+        quantity: implant.quantity,
+        referenceModel: 'OTRequest',
+        referenceId: implant.caseId,
+        performedBy: req.user?._id,
+        admissionId: implant.admissionId,
+        patientId: implant.patientId,
+        otCaseId: implant.caseId,
+        correlationId: implantChargeKey(implant),
+        session
+      }));
+    }
+    implant.billing.status = implant.billing.chargeId ? 'voided' : 'not_billable';
+  }
+  implant.status = status;
+  implant.removal = { at: operationNow(), by: req.user?._id, reason: text(reason) };
+  await implant.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: `ot.implant.${status}`,
+    entityType: 'OTImplant',
+    entityId: implant._id,
+    hospitalId,
+    patientId: implant.patientId,
+    beforeSummary: before,
+    afterSummary: { status: implant.status, billing: implant.billing.status },
+    comments: text(reason)
+  });
+  return implant;
+}
+
+function searchImplants({ hospitalId, criteria }) {
+  return OTImplant.find(recallFilter(hospitalId, criteria))
+    .populate('patientId', 'first_name last_name patientId phone')
+    .populate('caseId', 'requestNumber procedureName status')
+    .sort({ implantedAt: -1 })
+    .limit(1000)
+    .lean();
+}
+
+/**
+ * Implant rows affected by an inventory recall: everything consumed from the
+ * recalled store lots, plus consignment devices matching the recall's
+ * manufacturer criteria. Matched rows are stamped with the recall.
+ */
+async function traceRecallImplants({ hospitalId, recall }) {
+  const filters = [];
+  if ((recall.lotIds || []).length) filters.push({ hospitalId, lotId: { $in: recall.lotIds }, status: { $ne: 'entered_in_error' } });
+  const criteria = recall.implantCriteria || {};
+  const hasCriteria = ['model', 'catalogueNumber', 'udiDi', 'lotNumbers', 'serialNumbers'].some((key) => (Array.isArray(criteria[key]) ? criteria[key].length : text(criteria[key])));
+  if (hasCriteria) filters.push(recallFilter(hospitalId, criteria));
+  if (!filters.length) return [];
+  const implants = await OTImplant.find(filters.length === 1 ? filters[0] : { $or: filters }).lean();
+  if (implants.length) {
+    await OTImplant.updateMany({ _id: { $in: implants.map((row) => row._id) }, hospitalId }, { $addToSet: { recallIds: recall._id } });
+  }
+  return implants;
+}
+
+module.exports = {
+  RECORDABLE_CASE_STATUSES,
+  parseUdi,
+  pickSourceLocation,
+  recallFilter,
+  implantChargeKey,
+  recordImplant,
+  retryBilling,
+  listCaseImplants,
+  removeImplant,
+  searchImplants,
+  traceRecallImplants
+};
@@ -0,0 +1,584 @@
+const mongoose = require('mongoose');
+const SafetyIncident = require('../models/SafetyIncident');
+const User = require('../models/User');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { queueNotification } = require('./nabhNotification.service');
+const { ref } = require('../utils/functionalDomain');
+
+// Incident investigation: RCA team assignment, 5-Whys / fishbone capture,
+// CAPA items with owners and due dates, effectiveness checks and the closure
+// sign-off. Whether an RCA is needed comes from the incident type and severity
+// (see SafetyIncident.rcaRequirementFor).
+
+const OPEN_CAPA_STATUSES = ['open', 'in_progress'];
+const DEFAULT_EFFECTIVENESS_DAYS = 30;
+// Overdue CAPA items go to the owner first and to the quality team once they
+// are this many days late.
+const QUALITY_ESCALATION_DAYS = 7;
+const DAY_MS = 86400000;
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function clean(value) {
+  return String(value || '').trim();
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) throw httpError(`${field} must be a valid date`);
+  return date;
+}
+
+/**
+ * Escalation level an open CAPA item has reached: 0 not overdue, 1 overdue
+ * (owner), 2 overdue by QUALITY_ESCALATION_DAYS or more (quality team).
+ */
+function capaEscalationLevel(item, now = new Date()) {
+  if (!OPEN_CAPA_STATUSES.includes(item.status) || !item.dueAt) return 0;
+  const lateMs = now.getTime() - new Date(item.dueAt).getTime();
+  if (lateMs <= 0) return 0;
+  return lateMs >= QUALITY_ESCALATION_DAYS * DAY_MS ? 2 : 1;
+}
+
+function effectivenessDue(item, now = new Date()) {
+  return item.status === 'completed' && Boolean(item.effectivenessDueAt) && new Date(item.effectivenessDueAt) <= now;
+}
+
+/**
+ * Reasons an incident cannot be signed off yet. An empty list means it can
+ * be closed. A recommended RCA may be waived with a reason; a mandatory one
+ * may not, and must have produced at least one CAPA item.
+ */
+function closureBlockers(incident, { rcaWaiverReason } = {}) {
+  const blockers = [];
+  const rca = incident.rca || {};
+  const items = incident.capaItems || [];
+  if (incident.status === 'closed') blockers.push('Incident is already closed');
+  if (rca.status !== 'completed') {
+    if (rca.requirement === 'mandatory') blockers.push('A root-cause analysis is mandatory and has not been completed');
+    else if (rca.status === 'in_progress') blockers.push('The root-cause analysis in progress has not been completed');
+    else if (rca.requirement === 'recommended' && !clean(rcaWaiverReason)) blockers.push('A root-cause analysis is recommended; complete it or give rcaWaiverReason');
+  }
+  if (rca.requirement === 'mandatory' && !items.some((item) => item.status !== 'cancelled')) {
+    blockers.push('At least one CAPA item is required');
+  }
+  for (const item of items) {
+    if (OPEN_CAPA_STATUSES.includes(item.status)) blockers.push(`CAPA ${item.capaNumber} is still ${item.status}`);
+    else if (item.status === 'completed') blockers.push(`CAPA ${item.capaNumber} is awaiting its effectiveness check`);
+  }
+  return blockers;
+}
+
+/**
+ * Open CAPA rows: items not yet done, and completed items whose
+ * effectiveness has not been verified.
+ */
+function openCapaRows(incidents = [], now = new Date()) {
+  const rows = [];
+  for (const incident of incidents) {
+    for (const item of incident.capaItems || []) {
+      if (!OPEN_CAPA_STATUSES.includes(item.status) && item.status !== 'completed') continue;
+      const lateDays = item.dueAt ? Math.floor((now.getTime() - new Date(item.dueAt).getTime()) / DAY_MS) : 0;
+      rows.push({
+        incidentId: incident._id,
+        incidentNumber: incident.incidentNumber,
+        category: incident.category,
+        severity: incident.severity,
+        capaId: item._id,
+        capaNumber: item.capaNumber,
+        actionType: item.actionType,
+        action: item.action,
+        ownerId: item.ownerId,
+        ownerName: item.ownerName,
+        status: item.status,
+        dueAt: item.dueAt,
+        overdue: capaEscalationLevel(item, now) > 0,
+        daysOverdue: OPEN_CAPA_STATUSES.includes(item.status) ? Math.max(lateDays, 0) : 0,
+        escalationLevel: item.escalationLevel || 0,
+        awaitingEffectiveness: item.status === 'completed',
+        effectivenessDueAt: item.effectivenessDueAt
+      });
+    }
+  }
+  return rows.sort((a, b) => b.daysOverdue - a.daysOverdue || new Date(a.dueAt) - new Date(b.dueAt));
+}
+
+/**
+ * Incidents per category with their recurrences: a recurrence is an
+ * incident within windowDays of the previous one in the same category, and
+ * afterClosure counts incidents that happened after an earlier incident of
+ * the category had been signed off (a sign the CAPA did not hold).
+ */
+function recurrenceByCategory(incidents = [], { windowDays = 90 } = {}) {
+  const groups = new Map();
+  for (const incident of incidents) {
+    const key = clean(incident.category) || 'uncategorised';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(incident);
+  }
+  const rows = [];
+  for (const [category, list] of groups) {
+    list.sort((a, b) => new Date(a.occurredAt) - new Date(b.occurredAt));
+    let recurrences = 0;
+    let afterClosure = 0;
+    list.forEach((incident, index) => {
+      if (index === 0) return;
+      const at = new Date(incident.occurredAt).getTime();
+      if (at - new Date(list[index - 1].occurredAt).getTime() <= windowDays * DAY_MS) recurrences += 1;
+      const closedBefore = list.slice(0, index).some((prior) => prior.closure?.signedOffAt && new Date(prior.closure.signedOffAt).getTime() <= at);
+      if (closedBefore) afterClosure += 1;
+    });
+    rows.push({
+      category,
+      incidents: list.length,
+      recurrences,
+      afterClosure,
+      open: list.filter((incident) => incident.status !== 'closed').length,
+      bySeverity: list.reduce((counts, incident) => ({ ...counts, [incident.severity]: (counts[incident.severity] || 0) + 1 }), {}),
+      firstOccurredAt: list[0].occurredAt,
+      lastOccurredAt: list[list.length - 1].occurredAt
+    });
+  }
+  return rows.sort((a, b) => b.recurrences - a.recurrences || b.incidents - a.incidents || a.category.localeCompare(b.category));
+}
+
+// ============================================
+// Investigation
+// ============================================
+
+async function loadIncident(hospitalId, incidentId) {
+  if (!mongoose.isValidObjectId(incidentId)) throw httpError('Incident not found', 404);
+  const incident = await SafetyIncident.findOne({ _id: incidentId, hospitalId });
+  if (!incident) throw httpError('Incident not found', 404);
+  if (incident.status === 'closed') throw httpError('Incident is closed', 409, 'INCIDENT_CLOSED');
+  return incident;
+}
+
+function findCapa(incident, capaId) {
+  const item = incident.capaItems.id(capaId);
+  if (!item) throw httpError('CAPA item not found', 404);
+  return item;
+}
+
+function isTeamMember(incident, user) {
+  return (incident.rca?.team || []).some((member) => String(member.userId) === String(user._id));
+}
+
+async function usersById(hospitalId, ids) {
+  const valid = ids.filter((id) => mongoose.isValidObjectId(id));
+  const users = await User.find({ _id: { $in: valid }, hospital_id: hospitalId }).select('name').lean();
+  return new Map(users.map((user) => [String(user._id), user]));
+}
+
+function notify(incident, { eventType, recipient, priority = 'high', subject, body, payload, createdBy }) {
+  return queueNotification({
+    hospitalId: incident.hospitalId,
+    eventType,
+    correlationId: incident.incidentNumber,
+    requestedChannels: ['portal'],
+    priority,
+    subject,
+    body,
+    patientId: incident.patientId,
+    payload: { incidentId: incident._id, ...payload },
+    createdBy,
+    ...recipient
+  });
+}
+
+async function assignRcaTeam(req, hospitalId, incidentId, body = {}) {
+  const incident = await loadIncident(hospitalId, incidentId);
+  const team = Array.isArray(body.team) ? body.team : [];
+  if (!team.length) throw httpError('team must list at least one member');
+  if (team.filter((member) => member.role === 'lead').length !== 1) throw httpError('The RCA team needs exactly one lead');
+  const users = await usersById(hospitalId, team.map((member) => member.userId));
+  const missing = team.filter((member) => !users.has(String(member.userId)));
+  if (missing.length) throw httpError('RCA team members must be users of this hospital', 400, undefined, { userIds: missing.map((member) => member.userId) });
+
+  const previous = new Set((incident.rca.team || []).map((member) => String(member.userId)));
+  incident.rca.team = team.map((member) => ({
+    userId: member.userId,
+    name: users.get(String(member.userId)).name,
+    role: member.role || 'member'
+  }));
+  incident.rca.assignedAt = new Date();
+  incident.rca.assignedBy = req.user._id;
+  if (body.problemStatement !== undefined) incident.rca.problemStatement = body.problemStatement;
+  if (incident.rca.status === 'not_started') incident.rca.status = 'in_progress';
+  if (incident.status === 'open') incident.status = 'under_review';
+  incident.updatedBy = req.user._id;
+  await incident.save();
+
+  await Promise.all(incident.rca.team
+    .filter((member) => !previous.has(String(member.userId)))
+    .map((member) => notify(incident, {
+      eventType: 'safety_rca_assigned',
+      recipient: { recipientType: 'staff', recipientId: member.userId, recipientName: member.name },
+      priority: incident.rca.requirement === 'mandatory' ? 'critical' : 'high',
+      subject: `RCA ${member.role === 'lead' ? 'lead' : 'team'}: incident ${incident.incidentNumber}`,
+      body: `You are on the root-cause analysis team for ${incident.category} (${incident.severity}).${incident.rca.dueAt ? ` RCA due ${incident.rca.dueAt.toISOString().slice(0, 10)}.` : ''}`,
+      payload: { role: member.role },
+      createdBy: req.user._id
+    })));
+
+  await appendDomainEvent({
+    req,
+    eventType: 'safety.incident.rca_assigned',
+    entityType: 'SafetyIncident',
+    entityId: incident._id,
+    hospitalId,
+    patientId: incident.patientId,
+    afterSummary: { incidentNumber: incident.incidentNumber, requirement: incident.rca.requirement, team: incident.rca.team.map((member) => ({ userId: member.userId, role: member.role })) }
+  });
+  return incident;
+}
+
+/**
+ * Saves the 5-Whys chain, fishbone branches and agreed root causes. Only the
+ * RCA team (or an admin) may edit; `complete: true` closes the analysis.
+ */
+async function saveRcaAnalysis(req, hospitalId, incidentId, body = {}) {
+  const incident = await loadIncident(hospitalId, incidentId);
+  const rca = incident.rca;
+  if (!rca.team?.length) throw httpError('Assign an RCA team first', 409, 'RCA_TEAM_REQUIRED');
+  if (!isTeamMember(incident, req.user) && req.user.role !== 'admin') throw httpError('Only the RCA team can record the analysis', 403);
+  if (rca.status === 'completed') throw httpError('The RCA has already been completed', 409, 'RCA_COMPLETED');
+
+  if (body.problemStatement !== undefined) rca.problemStatement = body.problemStatement;
+  if (body.fiveWhys !== undefined) {
+    if (!Array.isArray(body.fiveWhys)) throw httpError('fiveWhys must be a list of { why, answer }');
+    rca.fiveWhys = body.fiveWhys;
+  }
+  if (body.fishbone !== undefined) {
+    const unknown = Object.keys(body.fishbone || {}).filter((key) => !SafetyIncident.FISHBONE_CATEGORIES.includes(key));
+    if (unknown.length) throw httpError(`Unknown fishbone categories: ${unknown.join(', ')}`);
+    for (const key of SafetyIncident.FISHBONE_CATEGORIES) rca.fishbone[key] = body.fishbone[key] || [];
+  }
+  if (body.rootCauses !== undefined) {
+    if (!Array.isArray(body.rootCauses)) throw httpError('rootCauses must be a list of { description, category }');
+    rca.rootCauses = body.rootCauses;
+  }
+
+  if (body.complete) {
+    const answeredWhys = (rca.fiveWhys || []).filter((row) => clean(row.answer)).length;
+    const fishboneEntries = SafetyIncident.FISHBONE_CATEGORIES.reduce((count, key) => count + (rca.fishbone?.[key] || []).length, 0);
+    if (!clean(rca.problemStatement)) throw httpError('problemStatement is required to complete the RCA');
+    if (!answeredWhys && !fishboneEntries) throw httpError('Record a 5-Whys chain or fishbone causes before completing the RCA');
+    if (!rca.rootCauses?.length) throw httpError('At least one root cause is required to complete the RCA');
+    rca.status = 'completed';
+    rca.completedAt = new Date();
+    rca.completedBy = req.user._id;
+  }
+  incident.updatedBy = req.user._id;
+  await incident.save();
+
+  if (rca.status === 'completed') {
+    await appendDomainEvent({
+      req,
+      eventType: 'safety.incident.rca_completed',
+      entityType: 'SafetyIncident',
+      entityId: incident._id,
+      hospitalId,
+      patientId: incident.patientId,
+      afterSummary: { incidentNumber: incident.incidentNumber, rootCauses: rca.rootCauses.map((cause) => cause.description) }
+    });
+  }
+  return incident;
+}
+
+// ============================================
+// CAPA
+// ============================================
+
+async function addCapaItem(req, hospitalId, incidentId, body = {}) {
+  const incident = await loadIncident(hospitalId, incidentId);
+  if (!clean(body.action)) throw httpError('action is required');
+  const dueAt = parseDate(body.dueAt, 'dueAt');
+  const owners = await usersById(hospitalId, [body.ownerId]);
+  const owner = owners.get(String(body.ownerId));
+  if (!owner) throw httpError('ownerId must be a user of this hospital');
+
+  incident.capaItems.push({
+    capaNumber: ref('CAPA'),
+    actionType: body.actionType || 'corrective',
+    action: body.action,
+    rootCause: body.rootCause,
+    ownerId: owner._id,
+    ownerName: owner.name,
+    dueAt,
+    effectivenessDueAt: body.effectivenessDueAt ? parseDate(body.effectivenessDueAt, 'effectivenessDueAt') : undefined,
+    createdBy: req.user._id
+  });
+  const item = incident.capaItems[incident.capaItems.length - 1];
+  if (['open', 'under_review'].includes(incident.status)) incident.status = 'capa_in_progress';
+  incident.updatedBy = req.user._id;
+  await incident.save();
+
+  await notify(incident, {
+    eventType: 'safety_capa_assigned',
+    recipient: { recipientType: 'staff', recipientId: owner._id, recipientName: owner.name },
+    subject: `CAPA ${item.capaNumber} assigned: incident ${incident.incidentNumber}`,
+    body: `${item.action} (due ${dueAt.toISOString().slice(0, 10)})`.slice(0, 1000),
+    payload: { capaId: item._id },
+    createdBy: req.user._id
+  });
+  await appendDomainEvent({
+    req,
+    eventType: 'safety.capa.created',
+    entityType: 'SafetyIncident',
+    entityId: incident._id,
+    hospitalId,
+    patientId: incident.patientId,
+    afterSummary: { incidentNumber: incident.incidentNumber, capaNumber: item.capaNumber, ownerId: item.ownerId, dueAt: item.dueAt }
+  });
+  return incident;
+}
+
+/**
+ * Moves a CAPA item along open -> in_progress -> completed, or cancels it.
+ * A new dueAt on an open item reschedules it and resets its escalation.
+ */
+async function updateCapaItem(req, hospitalId, incidentId, capaId, body = {}) {
+  const incident = await loadIncident(hospitalId, incidentId);
+  const item = findCapa(incident, capaId);
+  if (!OPEN_CAPA_STATUSES.includes(item.status)) throw httpError(`CAPA ${item.capaNumber} is already ${item.status}`, 409, 'CAPA_CLOSED');
+  const before = { status: item.status, dueAt: item.dueAt };
+
+  if (body.dueAt !== undefined) {
+    if (!clean(body.reason)) throw httpError('reason is required to reschedule a CAPA item');
+    item.dueAt = parseDate(body.dueAt, 'dueAt');
+    item.escalationLevel = 0;
+    item.lastEscalatedAt = undefined;
+  }
+  if (body.action !== undefined) item.action = body.action;
+  if (body.status === 'in_progress') {
+    item.status = 'in_progress';
+  } else if (body.status === 'completed') {
+    if (!clean(body.completionNotes)) throw httpError('completionNotes are required to complete a CAPA item');
+    item.status = 'completed';
+    item.completedAt = new Date();
+    item.completedBy = req.user._id;
+    item.completionNotes = body.completionNotes;
+    if (!item.effectivenessDueAt) item.effectivenessDueAt = new Date(item.completedAt.getTime() + DEFAULT_EFFECTIVENESS_DAYS * DAY_MS);
+  } else if (body.status === 'cancelled') {
+    if (!clean(body.reason)) throw httpError('reason is required to cancel a CAPA item');
+    item.status = 'cancelled';
+    item.cancelledReason = body.reason;
+  } else if (body.status !== undefined) {
+    throw httpError('status must be in_progress, completed or cancelled');
+  }
+  incident.updatedBy = req.user._id;
+  await incident.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'safety.capa.updated',
+    entityType: 'SafetyIncident',
+    entityId: incident._id,
+    hospitalId,
+    patientId: incident.patientId,
+    beforeSummary: before,
+    afterSummary: { capaNumber: item.capaNumber, status: item.status, dueAt: item.dueAt },
+    comments: body.reason || body.completionNotes
+  });
+  return incident;
+}
+
+/**
+ * Records whether a completed CAPA item worked. An ineffective action goes
+ * back to open with a revised due date (and optionally a revised action).
+ */
+async function recordEffectivenessCheck(req, hospitalId, incidentId, capaId, body = {}) {
+  const incident = await loadIncident(hospitalId, incidentId);
+  const item = findCapa(incident, capaId);
+  if (item.status !== 'completed') throw httpError('Only completed CAPA items can be checked for effectiveness', 409, 'CAPA_NOT_COMPLETED');
+  if (typeof body.effective !== 'boolean') throw httpError('effective must be true or false');
+  if (!body.effective && !body.revisedDueAt) throw httpError('revisedDueAt is required when the action was not effective');
+
+  item.effectivenessChecks.push({
+    checkedBy: req.user._id,
+    method: body.method,
+    effective: body.effective,
+    notes: body.notes
+  });
+  if (body.effective) {
+    item.status = 'verified';
+  } else {
+    item.status = 'open';
+    item.dueAt = parseDate(body.revisedDueAt, 'revisedDueAt');
+    if (clean(body.revisedAction)) item.action = body.revisedAction;
+    item.completedAt = undefined;
+    item.completedBy = undefined;
+    item.effectivenessDueAt = undefined;
+    item.effectivenessReminderSentAt = undefined;
+    item.escalationLevel = 0;
+    item.lastEscalatedAt = undefined;
+  }
+  incident.updatedBy = req.user._id;
+  await incident.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: body.effective ? 'safety.capa.verified' : 'safety.capa.ineffective',
+    entityType: 'SafetyIncident',
+    entityId: incident._id,
+    hospitalId,
+    patientId: incident.patientId,
+    afterSummary: { capaNumber: item.capaNumber, status: item.status, dueAt: item.dueAt },
+    comments: body.notes
+  });
+  return incident;
+}
+
+/** Closure sign-off by an admin once the RCA and every CAPA item are done. */
+async function signOffClosure(req, hospitalId, incidentId, body = {}) {
+  if (req.user.role !== 'admin') throw httpError('Only an administrator can sign off incident closure', 403);
+  const incident = await loadIncident(hospitalId, incidentId);
+  if (!clean(body.summary)) throw httpError('summary is required to close an incident');
+  const blockers = closureBlockers(incident, body);
+  if (blockers.length) throw httpError('Incident cannot be closed yet', 409, 'INCIDENT_CLOSURE_BLOCKED', { blockers });
+
+  incident.closure = {
+    signedOffAt: new Date(),
+    signedOffBy: req.user._id,
+    summary: body.summary,
+    lessonsLearned: body.lessonsLearned
+  };
+  incident.status = 'closed';
+  incident.updatedBy = req.user._id;
+  await incident.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'safety.incident.closed',
+    entityType: 'SafetyIncident',
+    entityId: incident._id,
+    hospitalId,
+    patientId: incident.patientId,
+    afterSummary: { incidentNumber: incident.incidentNumber, rcaStatus: incident.rca.status, capaItems: incident.capaItems.length },
+    reasonCode: incident.rca.status === 'completed' ? undefined : 'rca_waived',
+    comments: clean(body.rcaWaiverReason) || undefined
+  });
+  return incident;
+}
+
+// ============================================
+// Escalation job and reports
+// ============================================
+
+/**
+ * Job entry point: escalates overdue CAPA items (owner, then the quality
+ * team after QUALITY_ESCALATION_DAYS) and reminds owners when an
+ * effectiveness check falls due.
+ */
+async function escalateOverdueCapas({ now = new Date() } = {}) {
+  const incidents = await SafetyIncident.find({
+    status: { $ne: 'closed' },
+    capaItems: {
+      $elemMatch: {
+        $or: [
+          { status: { $in: OPEN_CAPA_STATUSES }, dueAt: { $lt: now }, escalationLevel: { $lt: 2 } },
+          { status: 'completed', effectivenessDueAt: { $lte: now }, effectivenessReminderSentAt: null }
+        ]
+      }
+    }
+  }).limit(200);
+
+  let sent = 0;
+  for (const incident of incidents) {
+    for (const item of incident.capaItems) {
+      const level = capaEscalationLevel(item, now);
+      if (level > (item.escalationLevel || 0)) {
+        const toQuality = level === 2;
+        await notify(incident, { // eslint-disable-line no-await-in-loop
+          eventType: toQuality ? 'safety_capa_escalated' : 'safety_capa_overdue',
+          recipient: toQuality
+            ? { recipientType: 'staff', recipientName: 'quality_team' }
+            : { recipientType: 'staff', recipientId: item.ownerId, recipientName: item.ownerName },
+          priority: toQuality ? 'critical' : 'high',
+          subject: `CAPA ${item.capaNumber} overdue: incident ${incident.incidentNumber}`,
+          body: `${item.action} was due ${item.dueAt.toISOString().slice(0, 10)} (owner ${item.ownerName || item.ownerId}).`.slice(0, 1000),
+          payload: { capaId: item._id, escalationLevel: level }
+        });
+        item.escalationLevel = level;
+        item.lastEscalatedAt = now;
+        sent += 1;
+      } else if (effectivenessDue(item, now) && !item.effectivenessReminderSentAt) {
+        await notify(incident, { // eslint-disable-line no-await-in-loop
+          eventType: 'safety_capa_effectiveness_due',
+          recipient: { recipientType: 'staff', recipientName: 'quality_team' },
+          subject: `CAPA ${item.capaNumber} effectiveness check due`,
+          body: `Check whether "${item.action}" has prevented recurrence of ${incident.category}.`.slice(0, 1000),
+          payload: { capaId: item._id }
+        });
+        item.effectivenessReminderSentAt = now;
+        sent += 1;
+      }
+    }
+    if (incident.isModified()) await incident.save(); // eslint-disable-line no-await-in-loop
+  }
+  return sent;
+}
+
+async function openCapaReport(hospitalId, query = {}) {
+  const filter = { hospitalId, status: { $ne: 'closed' }, 'capaItems.0': { $exists: true } };
+  if (query.category) filter.category = query.category;
+  const incidents = await SafetyIncident.find(filter)
+    .select('incidentNumber category severity status capaItems')
+    .lean();
+  let rows = openCapaRows(incidents);
+  if (query.ownerId) rows = rows.filter((row) => String(row.ownerId) === String(query.ownerId));
+  if (query.overdue === 'true') rows = rows.filter((row) => row.overdue);
+
+  const byOwner = {};
+  for (const row of rows) {
+    const key = String(row.ownerId);
+    if (!byOwner[key]) byOwner[key] = { ownerId: row.ownerId, ownerName: row.ownerName, open: 0, overdue: 0 };
+    byOwner[key].open += 1;
+    if (row.overdue) byOwner[key].overdue += 1;
+  }
+  return {
+    total: rows.length,
+    overdue: rows.filter((row) => row.overdue).length,
+    awaitingEffectiveness: rows.filter((row) => row.awaitingEffectiveness).length,
+    byOwner: Object.values(byOwner).sort((a, b) => b.overdue - a.overdue || b.open - a.open),
+    rows
+  };
+}
+
+async function recurrenceReport(hospitalId, query = {}) {
+  const to = query.to ? parseDate(query.to, 'to') : new Date();
+  const from = query.from ? parseDate(query.from, 'from') : new Date(to.getTime() - 365 * DAY_MS);
+  if (from > to) throw httpError('from must be before to');
+  const windowDays = Number(query.windowDays || 90);
+  if (!Number.isFinite(windowDays) || windowDays <= 0) throw httpError('windowDays must be a positive number');
+
+  const filter = { hospitalId, occurredAt: { $gte: from, $lte: to } };
+  if (query.incidentType) filter.incidentType = query.incidentType;
+  const incidents = await SafetyIncident.find(filter)
+    .select('category severity status occurredAt closure.signedOffAt')
+    .lean();
+  return { from, to, windowDays, categories: recurrenceByCategory(incidents, { windowDays }) };
+}
+
+module.exports = {
+  capaEscalationLevel,
+  closureBlockers,
+  openCapaRows,
+  recurrenceByCategory,
+  assignRcaTeam,
+  saveRcaAnalysis,
+  addCapaItem,
+  updateCapaItem,
+  recordEffectivenessCheck,
+  signOffClosure,
+  escalateOverdueCapas,
+  openCapaReport,
+  recurrenceReport
+};
@@ -347,6 +347,7 @@ function groupChargeSummary(charges) {
     Pharmacy: 'pharmacyCharges',
     Procedure: 'procedureCharges',
     Surgery: 'surgeryCharges',
+    Implant: 'implantCharges',
     Equipment: 'equipmentCharges',
     Consultation: 'consultationCharges',
     Miscellaneous: 'miscellaneousCharges',
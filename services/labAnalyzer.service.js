@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const { operationNow } = require('../utils/operationTimeContext');
+const LabAnalyzer = require('../models/LabAnalyzer');
+const LabAnalyzerMessage = require('../models/LabAnalyzerMessage');
+const LabRequest = require('../models/LabRequest');
+const LabTest = require('../models/LabTest');
+const labWorkflow = require('./labWorkflow.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { queueNotification } = require('./nabhNotification.service');
+const { parseAnalyzerMessage } = require('./analyzerProtocol.service');
+const { runAutoVerification } = require('./labAutoVerification.service');
+
+// Results are only accepted once the bench has accessioned the specimen and
+// until a pathologist verifies the report.
+const POSTABLE_STATUSES = Object.freeze(['Received', 'Processing', 'Result Entered']);
+const CRITICAL_FLAGS = Object.freeze(['HH', 'LL', 'AA', '>>', '<<']);
+
+function httpError(message, statusCode = 400, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+function checksumOf(raw) {
+  return crypto.createHash('sha256').update(String(raw)).digest('hex');
+}
+
+function mappingFor(analyzer, instrumentCode) {
+  const code = String(instrumentCode || '').trim().toUpperCase();
+  return (analyzer.testMappings || []).find((mapping) => mapping.active !== false && mapping.instrumentCode === code) || null;
+}
+
+function parameterFor(labTest, parameterCode) {
+  const code = String(parameterCode || '').toUpperCase();
+  return (labTest?.parameters || []).find((item) => String(item.code || item.name || '').toUpperCase() === code) || null;
+}
+
+function finite(text) {
+  const value = Number(String(text ?? '').trim());
+  return String(text ?? '').trim() !== '' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Converts one parsed instrument result into a LabRequest manual_report
+ * observation, applying the mapping's unit conversion and the LabTest
+ * reference and critical limits.
+ */
+function observationFromResult({ result, mapping, labTest, analyzer }) {
+  const parameter = parameterFor(labTest, mapping.parameterCode);
+  const rawValue = String(result.value ?? '').trim();
+  const comparator = (rawValue.match(/^([<>]=?)/) || [])[1] || '';
+  const numeric = finite(rawValue.slice(comparator.length));
+  const factor = Number(mapping.conversionFactor || 1);
+  const value = numeric === null ? null : Number((numeric * factor).toPrecision(10));
+
+  const low = finite(parameter?.referenceLow);
+  const high = finite(parameter?.referenceHigh);
+  const criticalLow = finite(parameter?.criticalLow ?? labTest?.critical_low);
+  const criticalHigh = finite(parameter?.criticalHigh ?? labTest?.critical_high);
+  const unit = parameter?.unit || labTest?.units || result.units;
+
+  let criticalReason = '';
+  if (value !== null && criticalLow !== null && value <= criticalLow) {
+    criticalReason = `Result ${value} is at/below critical low ${criticalLow}${unit ? ` ${unit}` : ''}`;
+  } else if (value !== null && criticalHigh !== null && value >= criticalHigh) {
+    criticalReason = `Result ${value} is at/above critical high ${criticalHigh}${unit ? ` ${unit}` : ''}`;
+  } else if (CRITICAL_FLAGS.includes(result.flags)) {
+    criticalReason = `Analyzer flagged ${result.flags}`;
+  }
+  const outOfRange = value !== null && ((low !== null && value < low) || (high !== null && value > high));
+
+  return {
+    analyteCode: mapping.parameterCode,
+    name: parameter?.name || (labTest?.parameters?.length ? result.instrumentName : labTest?.name) || mapping.parameterCode,
+    resultType: value === null ? 'text' : 'numeric',
+    resultNumeric: value === null ? undefined : String(value),
+    resultText: value === null ? rawValue : undefined,
+    comparator: comparator || undefined,
+    printedFlag: result.flags || undefined,
+    referenceLow: parameter?.referenceLow,
+    referenceHigh: parameter?.referenceHigh,
+    referenceText: parameter?.referenceText || result.referenceRange,
+    unit,
+    instrument: analyzer.code,
+    isAbnormal: Boolean(result.flags) || outOfRange || Boolean(criticalReason),
+    isCritical: Boolean(criticalReason),
+    criticalReason: criticalReason || undefined
+  };
+}
+
+function messageStatus(rows) {
+  const posted = rows.filter((row) => row.status === 'posted').length;
+  if (!rows.length) return 'unmatched';
+  if (posted === rows.length) return 'posted';
+  return posted ? 'partial' : 'unmatched';
+}
+
+async function candidateRequests(hospitalId, sampleId) {
+  if (!sampleId) return [];
+  return LabRequest.find({
+    hospitalId,
+    is_active: { $ne: false },
+    $or: [{ accessionNumber: sampleId }, { 'specimen.barcode': sampleId }]
+  });
+}
+
+async function postToRequest({ req, hospitalId, request, labTest, analyzer, message, observations }) {
+  const actor = req || { user: null };
+  if (request.status === 'Received') {
+    await labWorkflow.transition({
+      req: actor,
+      request,
+      to: 'Processing',
+      note: `Processing started by analyzer ${analyzer.code}`,
+      hospitalId
+    });
+  }
+
+  const report = request.manual_report?.toObject?.() || request.manual_report || {};
+  const byCode = new Map((report.observations || []).map((item) => [item.analyteCode || item.name, item]));
+  for (const observation of observations) byCode.set(observation.analyteCode, observation);
+  request.manual_report = {
+    ...report,
+    templateName: report.templateName || labTest.name,
+    specimenType: report.specimenType || request.specimen?.type,
+    instrument: analyzer.name,
+    observations: [...byCode.values()]
+  };
+
+  if (!(labTest.parameters || []).length && observations.length === 1) {
+    const [observation] = observations;
+    request.result_value = `${observation.comparator || ''}${observation.resultNumeric ?? observation.resultText ?? ''}`;
+  }
+  request.is_abnormal = [...byCode.values()].some((item) => item.isAbnormal);
+
+  const critical = observations.find((item) => item.isCritical);
+  if (critical) {
+    request.critical = {
+      ...(request.critical?.toObject?.() || request.critical || {}),
+      isCritical: true,
+      flagReason: `${critical.name}: ${critical.criticalReason}`
+    };
+  }
+  request.resultSource = {
+    type: 'instrument',
+    analyzerId: analyzer._id,
+    analyzerCode: analyzer.code,
+    messageId: message._id,
+    receivedAt: message.receivedAt
+  };
+
+  if (request.status === 'Processing') {
+    await labWorkflow.transition({
+      req: actor,
+      request,
+      to: 'Result Entered',
+      note: `Results received from analyzer ${analyzer.code}`,
+      hospitalId
+    });
+  } else {
+    await request.save();
+  }
+
+  if (request.critical?.isCritical && !request.critical?.notifiedAt) {
+    const createdBy = req?.user?._id || analyzer.updatedBy || analyzer.createdBy;
+    await queueNotification({
+      hospitalId,
+      eventType: 'critical_lab_result',
+      correlationId: request.requestNumber || String(request._id),
+      recipientType: 'staff',
+      requestedChannels: ['portal'],
+      priority: 'critical',
+      subject: `Critical laboratory result: ${request.testName}`,
+      body: request.critical.flagReason,
+      patientId: request.patientId,
+      payload: { labRequestId: request._id, analyzer: analyzer.code, reason: request.critical.flagReason },
+      createdBy
+    });
+    request.critical.notifiedAt = operationNow();
+    request.critical.notifiedBy = createdBy;
+    await request.save();
+  }
+  return runAutoVerification({ req, hospitalId, request });
+}
+
+/**
+ * Maps each parsed result to a LabTest parameter, matches it to an accessioned
+ * request by sample barcode and posts it. `labRequestId` lets a user route a
+ * message whose barcode could not be matched to a specific request.
+ */
+async function processMessage({ req, message, analyzer, labRequestId }) {
+  const hospitalId = message.hospitalId;
+  let parsed;
+  try {
+    parsed = parseAnalyzerMessage(message.rawMessage, analyzer.protocol);
+  } catch (error) {
+    message.status = 'error';
+    message.error = error.message;
+    message.processedAt = operationNow();
+    await message.save();
+    return message;
+  }
+
+  if (labRequestId && parsed.specimens.length !== 1) {
+    throw httpError('Only single-specimen messages can be assigned to a request', 409);
+  }
+  const forced = labRequestId ? await LabRequest.findOne({ _id: labRequestId, hospitalId }) : null;
+  if (labRequestId && !forced) throw httpError('Lab request not found', 404);
+
+  const rows = [];
+  const pending = new Map();
+  const labTests = new Map();
+  for (const specimen of parsed.specimens) {
+    const candidates = forced ? [forced] : await candidateRequests(hospitalId, specimen.sampleId);
+    for (const result of specimen.results) {
+      const row = { ...result, sampleId: specimen.sampleId };
+      rows.push(row);
+      const mapping = mappingFor(analyzer, result.instrumentCode);
+      if (!mapping) {
+        Object.assign(row, { status: 'unmapped', reason: `No mapping for instrument code ${result.instrumentCode}` });
+        continue;
+      }
+      Object.assign(row, { labTestId: mapping.labTestId, parameterCode: mapping.parameterCode });
+      if (String(result.resultStatus || '').toUpperCase() === 'X') {
+        Object.assign(row, { status: 'rejected', reason: 'Analyzer reported the test as not performed' });
+        continue;
+      }
+      const request = candidates.find((item) => String(item.labTestId) === String(mapping.labTestId));
+      if (!request) {
+        Object.assign(row, { status: 'unmatched', reason: `No request for sample ${specimen.sampleId || '(blank)'} and mapped test` });
+        continue;
+      }
+      if (!POSTABLE_STATUSES.includes(request.status)) {
+        const reason = ['Approved', 'Sample Collected'].includes(request.status)
+          ? 'Specimen has not been accessioned'
+          : `Request is ${request.status}`;
+        Object.assign(row, { status: 'unmatched', labRequestId: request._id, reason });
+        continue;
+      }
+      if (!labTests.has(String(mapping.labTestId))) {
+        labTests.set(String(mapping.labTestId), await LabTest.findOne({ _id: mapping.labTestId, hospitalId }).lean());
+      }
+      const labTest = labTests.get(String(mapping.labTestId));
+      const key = String(request._id);
+      if (!pending.has(key)) pending.set(key, { request, labTest, entries: [] });
+      pending.get(key).entries.push({ row, observation: observationFromResult({ result, mapping, labTest, analyzer }) });
+      Object.assign(row, { labRequestId: request._id });
+    }
+  }
+
+  for (const { request, labTest, entries } of pending.values()) {
+    try {
+      await postToRequest({
+        req,
+        hospitalId,
+        request,
+        labTest,
+        analyzer,
+        message,
+        observations: entries.map((entry) => entry.observation)
+      });
+      entries.forEach((entry) => { entry.row.status = 'posted'; });
+    } catch (error) {
+      entries.forEach((entry) => Object.assign(entry.row, { status: 'rejected', reason: error.message }));
+    }
+  }
+
+  message.controlId = parsed.controlId;
+  message.sampleIds = [...new Set(parsed.specimens.map((specimen) => specimen.sampleId).filter(Boolean))];
+  message.results = rows;
+  message.status = messageStatus(rows);
+  message.error = undefined;
+  message.processedAt = operationNow();
+  await message.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'lab.analyzer.message_processed',
+    entityType: 'LabAnalyzerMessage',
+    entityId: message._id,
+    hospitalId,
+    afterSummary: {
+      analyzer: analyzer.code,
+      status: message.status,
+      posted: rows.filter((row) => row.status === 'posted').length,
+      total: rows.length
+    },
+    correlationId: message.controlId
+  });
+  return message;
+}
+
+async function ingestMessage({ req, hospitalId, analyzer, raw, transport, sourceName }) {
+  const text = String(raw || '');
+  if (!text.trim()) throw httpError('Analyzer message is empty');
+  const checksum = checksumOf(text);
+  const existing = await LabAnalyzerMessage.findOne({ hospitalId, analyzerId: analyzer._id, checksum });
+  if (existing) return { message: existing, duplicate: true };
+
+  let message;
+  try {
+    message = await LabAnalyzerMessage.create({
+      hospitalId,
+      analyzerId: analyzer._id,
+      protocol: analyzer.protocol,
+      transport,
+      rawMessage: text,
+      checksum,
+      sourceName,
+      status: 'unmatched'
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    return { message: await LabAnalyzerMessage.findOne({ hospitalId, analyzerId: analyzer._id, checksum }), duplicate: true };
+  }
+  return { message: await processMessage({ req, message, analyzer }), duplicate: false };
+}
+
+async function findAnalyzer(hospitalId, analyzerId) {
+  const analyzer = await LabAnalyzer.findOne({ _id: analyzerId, hospitalId });
+  if (!analyzer) throw httpError('Analyzer not found', 404);
+  return analyzer;
+}
+
+async function reprocessMessage({ req, hospitalId, messageId, labRequestId, note }) {
+  const message = await LabAnalyzerMessage.findOne({ _id: messageId, hospitalId });
+  if (!message) throw httpError('Analyzer message not found', 404);
+  if (['posted', 'ignored'].includes(message.status)) {
+    throw httpError(`Message is already ${message.status}`, 409);
+  }
+  const analyzer = await findAnalyzer(hospitalId, message.analyzerId);
+  message.attempts = (message.attempts || 1) + 1;
+  message.resolution = {
+    action: labRequestId ? 'assigned' : 'reprocessed',
+    note,
+    resolvedAt: operationNow(),
+    resolvedBy: req.user?._id
+  };
+  return processMessage({ req, message, analyzer, labRequestId });
+}
+
+async function ignoreMessage({ req, hospitalId, messageId, note }) {
+  if (!String(note || '').trim()) throw httpError('A reason is required to ignore an analyzer message');
+  const message = await LabAnalyzerMessage.findOne({ _id: messageId, hospitalId });
+  if (!message) throw httpError('Analyzer message not found', 404);
+  if (message.status === 'posted') throw httpError('Posted messages cannot be ignored', 409);
+  const before = message.status;
+  message.status = 'ignored';
+  message.resolution = { action: 'ignored', note: String(note).trim(), resolvedAt: operationNow(), resolvedBy: req.user?._id };
+  await message.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'lab.analyzer.message_ignored',
+    entityType: 'LabAnalyzerMessage',
+    entityId: message._id,
+    hospitalId,
+    beforeSummary: { status: before },
+    afterSummary: { status: message.status },
+    comments: message.resolution.note
+  });
+  return message;
+}
+
+async function validateMappings(hospitalId, mappings = []) {
+  const seen = new Set();
+  const normalized = [];
+  for (const item of mappings) {
+    const instrumentCode = String(item.instrumentCode || '').trim().toUpperCase();
+    if (!instrumentCode) throw httpError('instrumentCode is required for every mapping');
+    if (seen.has(instrumentCode)) throw httpError(`Instrument code ${instrumentCode} is mapped more than once`);
+    seen.add(instrumentCode);
+    const labTest = await LabTest.findOne({ _id: item.labTestId, hospitalId }).lean();
+    if (!labTest) throw httpError(`Lab test not found for instrument code ${instrumentCode}`, 404);
+    const parameterCode = String(item.parameterCode || labTest.code).trim().toUpperCase();
+    if ((labTest.parameters || []).length ? !parameterFor(labTest, parameterCode) : parameterCode !== labTest.code) {
+      throw httpError(`Parameter ${parameterCode} is not defined on lab test ${labTest.code}`);
+    }
+    normalized.push({
+      instrumentCode,
+      labTestId: labTest._id,
+      parameterCode,
+      conversionFactor: item.conversionFactor === undefined ? 1 : Number(item.conversionFactor),
+      active: item.active !== false
+    });
+  }
+  return normalized;
+}
+
+module.exports = {
+  POSTABLE_STATUSES,
+  checksumOf,
+  mappingFor,
+  observationFromResult,
+  messageStatus,
+  processMessage,
+  ingestMessage,
+  findAnalyzer,
+  reprocessMessage,
+  ignoreMessage,
+  validateMappings
+};
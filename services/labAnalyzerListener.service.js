@@ -0,0 +1,212 @@
+'use strict';
+
+const fs = require('fs/promises');
+const net = require('net');
+const path = require('path');
+const LabAnalyzer = require('../models/LabAnalyzer');
+const { ingestMessage } = require('./labAnalyzer.service');
+const { CONTROL, unframeAstm, parseHl7, buildHl7Ack, mllpWrap } = require('./analyzerProtocol.service');
+
+const { ENQ, ACK, NAK, EOT, STX, LF, MLLP_START, MLLP_END } = CONTROL;
+const MAX_BUFFER = 1024 * 1024;
+const RECONNECT_MS = 15000;
+
+const listeners = new Map();
+
+/**
+ * E1381 receiver: acknowledges ENQ and every good frame, NAKs a bad checksum so
+ * the analyzer retransmits, and hands the reassembled records over on EOT.
+ */
+function createAstmReceiver({ write, onMessage }) {
+  let buffer = '';
+  let text = '';
+  return (chunk) => {
+    buffer += chunk.toString('latin1');
+    if (buffer.length > MAX_BUFFER) buffer = '';
+    for (;;) {
+      const control = buffer[0];
+      if (control === undefined) return;
+      if (control === ENQ) {
+        buffer = buffer.slice(1);
+        text = '';
+        write(ACK);
+      } else if (control === EOT) {
+        buffer = buffer.slice(1);
+        if (text) onMessage(text);
+        text = '';
+      } else if (control === STX) {
+        const end = buffer.indexOf(LF);
+        if (end < 0) return;
+        const frame = buffer.slice(0, end + 1);
+        buffer = buffer.slice(end + 1);
+        try {
+          text += unframeAstm(frame).text;
+          write(ACK);
+        } catch (_) {
+          write(NAK);
+        }
+      } else {
+        buffer = buffer.slice(1);
+      }
+    }
+  };
+}
+
+function createMllpReceiver({ onMessage }) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk.toString('utf8');
+    if (buffer.length > MAX_BUFFER) buffer = '';
+    for (;;) {
+      const start = buffer.indexOf(MLLP_START);
+      const end = buffer.indexOf(MLLP_END, start + 1);
+      if (start < 0 || end < 0) return;
+      onMessage(buffer.slice(start + 1, end));
+      buffer = buffer.slice(end + MLLP_END.length);
+    }
+  };
+}
+
+async function deliver(analyzer, raw, transport, sourceName) {
+  try {
+    const { message } = await ingestMessage({ hospitalId: analyzer.hospitalId, analyzer, raw, transport, sourceName });
+    return message;
+  } catch (error) {
+    console.error(`[Lab Analyzer] ${analyzer.code} message rejected:`, error.message);
+    return null;
+  }
+}
+
+function attachSocket(analyzer, socket) {
+  const write = (data) => { if (!socket.destroyed) socket.write(data, 'latin1'); };
+  const source = `${socket.remoteAddress || ''}:${socket.remotePort || ''}`;
+  const receive = analyzer.protocol === 'hl7'
+    ? createMllpReceiver({
+      onMessage: async (raw) => {
+        const message = await deliver(analyzer, raw, 'tcp', source);
+        let header = null;
+        try { header = parseHl7(raw); } catch (_) { /* ACK without echoing ids */ }
+        const code = message && message.status !== 'error' ? 'AA' : 'AE';
+        write(mllpWrap(buildHl7Ack(header, { code, text: code === 'AE' ? message?.error || 'Message rejected' : '' })));
+      }
+    })
+    : createAstmReceiver({ write, onMessage: (raw) => deliver(analyzer, raw, 'tcp', source) });
+  socket.on('data', receive);
+  socket.on('error', (error) => console.error(`[Lab Analyzer] ${analyzer.code} socket error:`, error.message));
+}
+
+function startTcp(analyzer) {
+  const { role = 'listen', host, port } = analyzer.tcp || {};
+  if (!port) throw new Error('TCP port is not configured');
+
+  if (role === 'connect') {
+    let socket = null;
+    let timer = null;
+    let stopped = false;
+    const connect = () => {
+      socket = net.connect({ host: host || '127.0.0.1', port });
+      attachSocket(analyzer, socket);
+      socket.on('close', () => { if (!stopped) timer = setTimeout(connect, RECONNECT_MS); });
+    };
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      socket?.destroy();
+    };
+  }
+
+  const server = net.createServer((socket) => attachSocket(analyzer, socket));
+  server.on('error', (error) => console.error(`[Lab Analyzer] ${analyzer.code} listener error:`, error.message));
+  server.listen(port, host || process.env.LAB_ANALYZER_BIND_HOST || '127.0.0.1');
+  return () => server.close();
+}
+
+/** File-drop directories must sit under LAB_ANALYZER_DROP_ROOT. */
+function resolveDropDir(dir) {
+  const root = process.env.LAB_ANALYZER_DROP_ROOT;
+  if (!root || !dir) return null;
+  const resolved = path.resolve(root, dir);
+  const base = path.resolve(root);
+  return resolved === base || resolved.startsWith(`${base}${path.sep}`) ? resolved : null;
+}
+
+async function pollInbox(analyzer) {
+  const inbox = resolveDropDir(analyzer.file?.inboxDir);
+  if (!inbox) throw new Error('File inbox is not under LAB_ANALYZER_DROP_ROOT');
+  const archive = resolveDropDir(analyzer.file?.archiveDir) || path.join(inbox, 'processed');
+  await fs.mkdir(archive, { recursive: true });
+  const pattern = analyzer.file?.pattern ? new RegExp(analyzer.file.pattern, 'i') : null;
+  const entries = await fs.readdir(inbox, { withFileTypes: true });
+  let processed = 0;
+  for (const entry of entries) {
+    if (!entry.isFile() || (pattern && !pattern.test(entry.name))) continue;
+    const file = path.join(inbox, entry.name);
+    const raw = await fs.readFile(file, 'latin1');
+    const message = await deliver(analyzer, raw, 'file', entry.name);
+    if (!message) continue;
+    await fs.rename(file, path.join(archive, `${Date.now()}-${entry.name}`));
+    processed += 1;
+  }
+  return processed;
+}
+
+function signatureOf(analyzer) {
+  return JSON.stringify([analyzer.protocol, analyzer.transport, analyzer.tcp, analyzer.file, analyzer.updatedAt]);
+}
+
+function stopListener(id) {
+  const current = listeners.get(id);
+  if (!current) return;
+  try { current.stop?.(); } catch (_) { /* already closed */ }
+  listeners.delete(id);
+}
+
+/**
+ * Starts listeners for newly configured TCP analyzers, restarts changed ones,
+ * stops removed ones and drains every file-drop inbox.
+ */
+async function reconcileListeners() {
+  const analyzers = await LabAnalyzer.find({ active: true, transport: { $in: ['tcp', 'file'] } });
+  const seen = new Set();
+  for (const analyzer of analyzers) {
+    const id = String(analyzer._id);
+    seen.add(id);
+    const signature = signatureOf(analyzer);
+    if (listeners.get(id)?.signature !== signature) {
+      stopListener(id);
+      try {
+        const stop = analyzer.transport === 'tcp' ? startTcp(analyzer) : null;
+        listeners.set(id, { signature, stop, analyzer });
+      } catch (error) {
+        console.error(`[Lab Analyzer] ${analyzer.code} could not start:`, error.message);
+        continue;
+      }
+    }
+    listeners.get(id).analyzer = analyzer;
+    if (analyzer.transport === 'file') {
+      try {
+        await pollInbox(analyzer);
+      } catch (error) {
+        console.error(`[Lab Analyzer] ${analyzer.code} inbox poll failed:`, error.message);
+      }
+    }
+  }
+  for (const id of [...listeners.keys()]) {
+    if (!seen.has(id)) stopListener(id);
+  }
+  return listeners.size;
+}
+
+function stopAllListeners() {
+  for (const id of [...listeners.keys()]) stopListener(id);
+}
+
+module.exports = {
+  createAstmReceiver,
+  createMllpReceiver,
+  resolveDropDir,
+  pollInbox,
+  reconcileListeners,
+  stopAllListeners
+};
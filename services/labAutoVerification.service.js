@@ -0,0 +1,250 @@
+const { operationNow } = require('../utils/operationTimeContext');
+const LabRequest = require('../models/LabRequest');
+const LabTest = require('../models/LabTest');
+const labWorkflow = require('./labWorkflow.service');
+const { qcLockStatus } = require('./labQuality.service');
+
+const VERIFIED_STATUSES = Object.freeze(['Verified', 'Reported', 'Amended']);
+const AUTO_VERIFICATION_ACTOR = 'system:lab-auto-verification';
+const DEFAULT_QC_WINDOW_HOURS = 24;
+
+function finite(value) {
+  const text = String(value ?? '').trim();
+  const number = Number(text);
+  return text !== '' && Number.isFinite(number) ? number : null;
+}
+
+function parseRange(text) {
+  const match = String(text || '').match(/(-?\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(-?\d+(?:\.\d+)?)/i);
+  return match ? { low: match[1], high: match[2] } : {};
+}
+
+/**
+ * Structured observations when the report has them, otherwise the single
+ * scalar result checked against the test-level normal range.
+ */
+function resultObservations(request, labTest) {
+  const observations = request.manual_report?.observations || [];
+  if (observations.length) return observations.map((item) => (item.toObject ? item.toObject() : item));
+  if (request.result_value === undefined || request.result_value === null || request.result_value === '') return [];
+  const range = parseRange(request.normal_range_used || labTest?.normal_range);
+  const numeric = finite(String(request.result_value).replace(/^[<>]=?/, ''));
+  return [{
+    analyteCode: labTest?.code,
+    name: labTest?.name || request.testName,
+    resultType: numeric === null ? 'text' : 'numeric',
+    resultNumeric: numeric === null ? undefined : String(numeric),
+    resultText: numeric === null ? String(request.result_value) : undefined,
+    referenceLow: range.low,
+    referenceHigh: range.high,
+    isCritical: Boolean(request.critical?.isCritical)
+  }];
+}
+
+function observationKey(item) {
+  return String(item.analyteCode || item.name || '').trim().toUpperCase();
+}
+
+function deltaLimitFor(rule, analyteCode) {
+  const override = (rule?.deltaCheck?.parameterLimits || []).find((item) => item.parameterCode === analyteCode);
+  if (override) return Number(override.maxPercent);
+  const limit = rule?.deltaCheck?.maxPercent;
+  return limit === undefined || limit === null ? null : Number(limit);
+}
+
+/** Percent change of each numeric analyte against the patient's last verified result. */
+function computeDeltas({ observations, previous, rule }) {
+  if (!previous) return [];
+  const prior = new Map(resultObservations(previous.request, previous.labTest).map((item) => [observationKey(item), item]));
+  const deltas = [];
+  for (const observation of observations) {
+    const key = observationKey(observation);
+    const current = finite(observation.resultNumeric);
+    const before = finite(prior.get(key)?.resultNumeric);
+    if (current === null || before === null) continue;
+    const changePercent = before === 0
+      ? (current === 0 ? 0 : 100)
+      : Math.round((Math.abs(current - before) / Math.abs(before)) * 1000) / 10;
+    const limitPercent = rule?.deltaCheck?.enabled === false ? null : deltaLimitFor(rule, key);
+    deltas.push({
+      analyteCode: key,
+      name: observation.name,
+      current,
+      previous: before,
+      previousAt: previous.request.verifiedAt || previous.request.resultEnteredAt,
+      previousRequestId: previous.request._id,
+      changePercent,
+      limitPercent: limitPercent ?? undefined,
+      exceeded: limitPercent !== null && changePercent > limitPercent
+    });
+  }
+  return deltas;
+}
+
+/**
+ * Pure rule evaluation. Returns every failed check so reviewers see all the
+ * reasons a result was held, not just the first.
+ */
+function evaluateAutoVerification({ rule, observations, critical, deltas = [], qc }) {
+  const reasons = [];
+  const add = (code, message, analyteCode) => reasons.push({ code, message, analyteCode });
+
+  if (!observations.length) add('NO_RESULTS', 'No results have been entered');
+  if (qc?.locked) add('QC_REJECTED', `Latest QC run rejected for ${qc.analytes.map((item) => item.parameterCode).join(', ')}`);
+  else if (rule.requireQcAccepted && qc && !qc.configured) add('QC_NOT_CONFIGURED', 'No active QC material is configured for this test');
+  else if (rule.requireQcAccepted && qc?.notRun?.length) {
+    const levels = qc.notRun.map((item) => `${item.parameterCode} ${item.level}`).join(', ');
+    add('QC_NOT_RUN', `No accepted QC run in the last ${rule.qcWindowHours || DEFAULT_QC_WINDOW_HOURS} h for ${levels}`);
+  }
+  if (rule.blockOnCritical && critical) add('CRITICAL', 'Request carries a critical result flag');
+
+  for (const observation of observations) {
+    const code = observationKey(observation);
+    const value = finite(observation.resultNumeric);
+    if (rule.blockOnCritical && observation.isCritical) {
+      add('CRITICAL', observation.criticalReason || `${observation.name} is critical`, code);
+    }
+    if (rule.blockOnInstrumentFlags && observation.printedFlag) {
+      add('INSTRUMENT_FLAG', `${observation.name} carries flag ${observation.printedFlag}`, code);
+    }
+    if (!rule.requireWithinReference) continue;
+    if (value === null) {
+      add('NON_NUMERIC', `${observation.name} is not numeric and needs review`, code);
+      continue;
+    }
+    const low = finite(observation.referenceLow);
+    const high = finite(observation.referenceHigh);
+    if (low === null && high === null) {
+      add('NO_REFERENCE_RANGE', `${observation.name} has no reference range`, code);
+    } else if ((low !== null && value < low) || (high !== null && value > high)) {
+      add('OUT_OF_REFERENCE', `${observation.name} ${value} is outside ${observation.referenceLow ?? ''}-${observation.referenceHigh ?? ''}`, code);
+    }
+  }
+
+  for (const delta of deltas.filter((item) => item.exceeded)) {
+    add('DELTA_EXCEEDED', `${delta.name} changed ${delta.changePercent}% from ${delta.previous} (limit ${delta.limitPercent}%)`, delta.analyteCode);
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+}
+
+/** The rule settings a result was judged against, kept on the request for audit. */
+function ruleSnapshot(labTest) {
+  const rule = labTest?.autoVerification || {};
+  return {
+    labTestId: labTest?._id,
+    version: rule.updatedAt,
+    requireWithinReference: rule.requireWithinReference,
+    blockOnCritical: rule.blockOnCritical,
+    requireQcAccepted: rule.requireQcAccepted,
+    qcWindowHours: rule.qcWindowHours || DEFAULT_QC_WINDOW_HOURS,
+    blockOnInstrumentFlags: rule.blockOnInstrumentFlags,
+    deltaCheckEnabled: rule.deltaCheck?.enabled !== false,
+    deltaMaxPercent: rule.deltaCheck?.maxPercent
+  };
+}
+
+async function previousVerifiedResult({ hospitalId, request, lookbackDays = 90 }) {
+  const since = new Date(operationNow().getTime() - Number(lookbackDays) * 86400000);
+  const previous = await LabRequest.findOne({
+    hospitalId,
+    patientId: request.patientId,
+    labTestId: request.labTestId,
+    _id: { $ne: request._id },
+    status: { $in: VERIFIED_STATUSES },
+    verifiedAt: { $gte: since }
+  })
+    .sort({ verifiedAt: -1 })
+    .select('manual_report result_value normal_range_used verifiedAt resultEnteredAt critical testName')
+    .lean();
+  return previous;
+}
+
+/**
+ * Records delta checks on every result-entered request so the worklist can
+ * show them, and auto-verifies when the test's rule is enabled and passes.
+ */
+async function runAutoVerification({ req, hospitalId, request }) {
+  if (request.status !== 'Result Entered') return request;
+  const labTest = await LabTest.findOne({ _id: request.labTestId, hospitalId }).lean();
+  const rule = labTest?.autoVerification || {};
+  const observations = resultObservations(request, labTest);
+
+  const previousRequest = await previousVerifiedResult({ hospitalId, request, lookbackDays: rule.deltaCheck?.lookbackDays || 90 });
+  const deltas = computeDeltas({
+    observations,
+    previous: previousRequest ? { request: previousRequest, labTest } : null,
+    rule
+  });
+
+  if (!rule.enabled) {
+    request.autoVerification = { status: 'not_configured', evaluatedAt: operationNow(), reasons: [], deltas };
+    await request.save();
+    return request;
+  }
+
+  const qcWindowHours = rule.qcWindowHours || DEFAULT_QC_WINDOW_HOURS;
+  const qc = await qcLockStatus({
+    hospitalId,
+    labTestId: request.labTestId,
+    since: new Date(operationNow().getTime() - qcWindowHours * 3600000)
+  });
+  const { eligible, reasons } = evaluateAutoVerification({
+    rule,
+    observations,
+    critical: Boolean(request.critical?.isCritical),
+    deltas,
+    qc
+  });
+  request.autoVerification = {
+    status: eligible ? 'auto_verified' : 'held',
+    autoVerified: eligible,
+    actor: eligible ? AUTO_VERIFICATION_ACTOR : undefined,
+    triggeredBy: req?.user?._id,
+    rule: ruleSnapshot(labTest),
+    evaluatedAt: operationNow(),
+    reasons,
+    deltas
+  };
+
+  if (!eligible) {
+    await request.save();
+    return request;
+  }
+  return labWorkflow.transition({
+    req: req || { user: null },
+    request,
+    to: 'Verified',
+    note: 'Auto-verified: all configured checks passed',
+    hospitalId,
+    systemActor: AUTO_VERIFICATION_ACTOR
+  });
+}
+
+/**
+ * Parks a saved result in the manual review queue when auto-verification
+ * itself failed, so the entry stands and a reviewer sees why.
+ */
+async function holdForManualReview({ req, hospitalId, request, error }) {
+  const autoVerification = {
+    status: 'held',
+    autoVerified: false,
+    triggeredBy: req?.user?._id,
+    evaluatedAt: operationNow(),
+    reasons: [{ code: 'AUTO_VERIFICATION_FAILED', message: `Auto-verification could not run: ${error.message}` }]
+  };
+  await LabRequest.updateOne({ _id: request._id, hospitalId, status: 'Result Entered' }, { $set: { autoVerification } });
+  return autoVerification;
+}
+
+module.exports = {
+  AUTO_VERIFICATION_ACTOR,
+  parseRange,
+  resultObservations,
+  computeDeltas,
+  evaluateAutoVerification,
+  ruleSnapshot,
+  previousVerifiedResult,
+  runAutoVerification,
+  holdForManualReview
+};
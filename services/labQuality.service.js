@@ -0,0 +1,347 @@
+const { operationNow } = require('../utils/operationTimeContext');
+const LabTest = require('../models/LabTest');
+const LabQcMaterial = require('../models/LabQcMaterial');
+const LabQcRun = require('../models/LabQcRun');
+const { appendDomainEvent } = require('./auditEvent.service');
+
+const WESTGARD_RULES = Object.freeze(['1-2s', '1-3s', '2-2s', 'R-4s', '4-1s', '10x']);
+// 10x needs the current point plus nine earlier ones; no rule looks further back.
+const HISTORY_DEPTH = 9;
+
+function httpError(message, statusCode = 400, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+}
+
+function roundZ(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function zScore(value, mean, sd) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) throw httpError('QC value must be numeric');
+  if (!(Number(sd) > 0)) throw httpError('QC material target SD must be greater than zero');
+  return roundZ((numeric - Number(mean)) / Number(sd));
+}
+
+function sameSide(points, limit) {
+  if (points.every((point) => point.zScore > limit)) return 1;
+  if (points.every((point) => point.zScore < -limit)) return -1;
+  return 0;
+}
+
+/**
+ * Westgard multi-rule evaluation for one new control result.
+ *
+ * `history` holds earlier runs of the same analyte, newest first, across all
+ * control levels so the across-level forms of 2-2s, 4-1s and 10x apply.
+ * `sameRun` holds the other controls measured in the same analytical run and
+ * is the only input to R-4s. 1-2s is a warning; every other rule rejects.
+ */
+function evaluateWestgard({ zScore: z, history = [], sameRun = [] }) {
+  const current = { zScore: Number(z) };
+  const violations = [];
+  const add = (rule, severity, message, points = []) => violations.push({
+    rule,
+    severity,
+    message,
+    runIds: points.map((point) => point._id).filter(Boolean)
+  });
+  const series = [current, ...history];
+
+  if (Math.abs(current.zScore) > 3) {
+    add('1-3s', 'reject', 'Control exceeds the mean by more than 3 SD');
+  } else if (Math.abs(current.zScore) > 2) {
+    add('1-2s', 'warning', 'Control exceeds the mean by more than 2 SD');
+  }
+
+  if (series.length >= 2 && sameSide(series.slice(0, 2), 2)) {
+    add('2-2s', 'reject', 'Two consecutive controls exceed 2 SD on the same side of the mean', history.slice(0, 1));
+  }
+
+  const opposite = sameRun.find((point) => (
+    (current.zScore > 2 && point.zScore < -2) || (current.zScore < -2 && point.zScore > 2)
+  ));
+  if (opposite) {
+    add('R-4s', 'reject', 'Controls in the same run differ by more than 4 SD', [opposite]);
+  }
+
+  if (series.length >= 4 && sameSide(series.slice(0, 4), 1)) {
+    add('4-1s', 'reject', 'Four consecutive controls exceed 1 SD on the same side of the mean', history.slice(0, 3));
+  }
+
+  if (series.length >= 10 && sameSide(series.slice(0, 10), 0)) {
+    add('10x', 'reject', 'Ten consecutive controls fall on the same side of the mean', history.slice(0, 9));
+  }
+
+  const status = violations.some((violation) => violation.severity === 'reject')
+    ? 'rejected'
+    : violations.length ? 'warning' : 'accepted';
+  return { status, violations };
+}
+
+function controlLimits(mean, sd) {
+  const m = Number(mean);
+  const s = Number(sd);
+  return {
+    mean: m,
+    sd: s,
+    plus1Sd: m + s,
+    plus2Sd: m + 2 * s,
+    plus3Sd: m + 3 * s,
+    minus1Sd: m - s,
+    minus2Sd: m - 2 * s,
+    minus3Sd: m - 3 * s
+  };
+}
+
+function resolveAnalyte(labTest, parameterCode) {
+  const code = String(parameterCode || '').trim().toUpperCase();
+  if (!code) throw httpError('parameterCode is required');
+  const parameter = (labTest.parameters || []).find((item) => (
+    String(item.code || item.name || '').trim().toUpperCase() === code
+  ));
+  if (parameter) return { code, name: parameter.name, unit: parameter.unit };
+  if (!(labTest.parameters || []).length && String(labTest.code).toUpperCase() === code) {
+    return { code, name: labTest.name, unit: labTest.units };
+  }
+  throw httpError(`Parameter ${code} is not defined on lab test ${labTest.code}`);
+}
+
+async function createMaterial({ req, hospitalId, body }) {
+  const labTest = await LabTest.findOne({ _id: body.labTestId, hospitalId });
+  if (!labTest) throw httpError('Lab test not found', 404);
+  const analyte = resolveAnalyte(labTest, body.parameterCode);
+  if (!(Number(body.targetSd) > 0)) throw httpError('targetSd must be greater than zero');
+
+  const material = await LabQcMaterial.create({
+    hospitalId,
+    labTestId: labTest._id,
+    parameterCode: analyte.code,
+    parameterName: analyte.name,
+    materialName: body.materialName,
+    manufacturer: body.manufacturer,
+    level: body.level,
+    lotNumber: body.lotNumber,
+    expiryDate: body.expiryDate,
+    targetMean: body.targetMean,
+    targetSd: body.targetSd,
+    unit: body.unit || analyte.unit,
+    analyzer: body.analyzer,
+    createdBy: req.user?._id
+  });
+
+  await appendDomainEvent({
+    req,
+    eventType: 'lab.qc.material_created',
+    entityType: 'LabQcMaterial',
+    entityId: material._id,
+    hospitalId,
+    afterSummary: {
+      labTestId: material.labTestId,
+      parameterCode: material.parameterCode,
+      level: material.level,
+      lotNumber: material.lotNumber,
+      targetMean: material.targetMean,
+      targetSd: material.targetSd
+    }
+  });
+  return material;
+}
+
+async function updateMaterial({ req, hospitalId, materialId, body }) {
+  const material = await LabQcMaterial.findOne({ _id: materialId, hospitalId });
+  if (!material) throw httpError('QC material not found', 404);
+  const before = { targetMean: material.targetMean, targetSd: material.targetSd, active: material.active };
+
+  for (const field of ['materialName', 'manufacturer', 'expiryDate', 'targetMean', 'targetSd', 'unit', 'analyzer', 'active']) {
+    if (body[field] !== undefined) material[field] = body[field];
+  }
+  if (!(Number(material.targetSd) > 0)) throw httpError('targetSd must be greater than zero');
+  material.updatedBy = req.user?._id;
+  await material.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'lab.qc.material_updated',
+    entityType: 'LabQcMaterial',
+    entityId: material._id,
+    hospitalId,
+    beforeSummary: before,
+    afterSummary: { targetMean: material.targetMean, targetSd: material.targetSd, active: material.active }
+  });
+  return material;
+}
+
+function analyteFilter(hospitalId, material) {
+  const filter = { hospitalId, labTestId: material.labTestId, parameterCode: material.parameterCode };
+  if (material.analyzer) filter.analyzer = material.analyzer;
+  return filter;
+}
+
+async function recordRun({ req, hospitalId, body }) {
+  const material = await LabQcMaterial.findOne({ _id: body.materialId, hospitalId });
+  if (!material) throw httpError('QC material not found', 404);
+  if (!material.active) throw httpError('QC material is inactive', 409);
+
+  const runAt = body.runAt ? new Date(body.runAt) : operationNow();
+  if (Number.isNaN(runAt.getTime())) throw httpError('runAt is not a valid date');
+  if (material.expiryDate && runAt > material.expiryDate) {
+    throw httpError(`QC lot ${material.lotNumber} expired on ${material.expiryDate.toISOString().slice(0, 10)}`, 409, 'QC_LOT_EXPIRED');
+  }
+
+  const z = zScore(body.value, material.targetMean, material.targetSd);
+  const filter = analyteFilter(hospitalId, material);
+  const history = await LabQcRun.find({ ...filter, runAt: { $lte: runAt } })
+    .sort({ runAt: -1, _id: -1 })
+    .limit(HISTORY_DEPTH)
+    .select('_id zScore runGroup materialId')
+    .lean();
+  const sameRun = body.runGroup
+    ? await LabQcRun.find({ ...filter, runGroup: body.runGroup, materialId: { $ne: material._id } })
+      .select('_id zScore')
+      .lean()
+    : [];
+
+  const evaluation = evaluateWestgard({ zScore: z, history, sameRun });
+  const run = await LabQcRun.create({
+    hospitalId,
+    materialId: material._id,
+    labTestId: material.labTestId,
+    parameterCode: material.parameterCode,
+    level: material.level,
+    lotNumber: material.lotNumber,
+    analyzer: material.analyzer,
+    runGroup: body.runGroup,
+    value: Number(body.value),
+    zScore: z,
+    runAt,
+    status: evaluation.status,
+    violations: evaluation.violations,
+    comments: body.comments,
+    enteredBy: req.user?._id
+  });
+
+  await appendDomainEvent({
+    req,
+    eventType: 'lab.qc.run_recorded',
+    entityType: 'LabQcRun',
+    entityId: run._id,
+    hospitalId,
+    afterSummary: {
+      parameterCode: run.parameterCode,
+      level: run.level,
+      value: run.value,
+      zScore: run.zScore,
+      status: run.status,
+      rules: run.violations.map((violation) => violation.rule)
+    }
+  });
+  return run;
+}
+
+async function recordCorrectiveAction({ req, hospitalId, runId, action }) {
+  if (!String(action || '').trim()) throw httpError('Corrective action is required');
+  const run = await LabQcRun.findOne({ _id: runId, hospitalId });
+  if (!run) throw httpError('QC run not found', 404);
+  run.correctiveAction = { action: String(action).trim(), recordedAt: operationNow(), recordedBy: req.user?._id };
+  await run.save();
+
+  await appendDomainEvent({
+    req,
+    eventType: 'lab.qc.corrective_action',
+    entityType: 'LabQcRun',
+    entityId: run._id,
+    hospitalId,
+    afterSummary: { status: run.status },
+    comments: run.correctiveAction.action
+  });
+  return run;
+}
+
+async function leveyJenningsSeries({ hospitalId, materialId, from, to, limit = 100 }) {
+  const material = await LabQcMaterial.findOne({ _id: materialId, hospitalId }).lean();
+  if (!material) throw httpError('QC material not found', 404);
+  const runAt = {};
+  if (from) runAt.$gte = new Date(from);
+  if (to) runAt.$lte = new Date(to);
+  const filter = { hospitalId, materialId: material._id };
+  if (Object.keys(runAt).length) filter.runAt = runAt;
+
+  const runs = await LabQcRun.find(filter)
+    .sort({ runAt: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 100, 1), 500))
+    .select('value zScore runAt status violations runGroup correctiveAction')
+    .lean();
+  const points = runs.reverse().map((run) => ({
+    runId: run._id,
+    runAt: run.runAt,
+    value: run.value,
+    zScore: run.zScore,
+    status: run.status,
+    rules: (run.violations || []).map((violation) => violation.rule),
+    runGroup: run.runGroup,
+    correctiveAction: run.correctiveAction?.action
+  }));
+
+  return { material, limits: controlLimits(material.targetMean, material.targetSd), points };
+}
+
+/**
+ * An analyte is locked when the latest run on any of its active control levels
+ * was rejected. A fresh accepted run on that level releases the lock. With
+ * `since`, levels whose latest accepted run is older (or missing) are listed
+ * under `notRun`.
+ */
+async function qcLockStatus({ hospitalId, labTestId, since }) {
+  const materials = await LabQcMaterial.find({ hospitalId, labTestId, active: true })
+    .select('_id parameterCode level lotNumber')
+    .lean();
+  const locked = [];
+  const notRun = [];
+  for (const material of materials) {
+    const latest = await LabQcRun.findOne({ hospitalId, materialId: material._id })
+      .sort({ runAt: -1, _id: -1 })
+      .select('_id status runAt violations')
+      .lean();
+    if (latest?.status === 'rejected') {
+      locked.push({
+        parameterCode: material.parameterCode,
+        level: material.level,
+        lotNumber: material.lotNumber,
+        runId: latest._id,
+        runAt: latest.runAt,
+        rules: (latest.violations || []).map((violation) => violation.rule)
+      });
+    } else if (since && !(latest?.runAt >= since)) {
+      notRun.push({ parameterCode: material.parameterCode, level: material.level, lotNumber: material.lotNumber, lastRunAt: latest?.runAt });
+    }
+  }
+  return { locked: locked.length > 0, configured: materials.length > 0, analytes: locked, notRun };
+}
+
+async function assertQcAllowsVerification({ hospitalId, labTestId }) {
+  const status = await qcLockStatus({ hospitalId, labTestId });
+  if (!status.locked) return status;
+  const codes = [...new Set(status.analytes.map((item) => item.parameterCode))].join(', ');
+  const error = httpError(`Verification blocked: latest QC run rejected for ${codes}`, 409, 'LAB_QC_REJECTED');
+  error.analytes = status.analytes;
+  throw error;
+}
+
+module.exports = {
+  WESTGARD_RULES,
+  zScore,
+  evaluateWestgard,
+  controlLimits,
+  resolveAnalyte,
+  createMaterial,
+  updateMaterial,
+  recordRun,
+  recordCorrectiveAction,
+  leveyJenningsSeries,
+  qcLockStatus,
+  assertQcAllowsVerification
+};
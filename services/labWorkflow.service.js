@@ -7,10 +7,15 @@ function ensureTransition(from, to) {
   ensureWorkflowTransition('laboratory', TRANSITIONS, from, to);
 }
 
-async function transition({ req, request, to, note, hospitalId, patch = {} }) {
+/**
+ * `systemActor` names an automated actor (e.g. auto-verification). The step is
+ * then attributed to it rather than to the user whose request triggered it.
+ */
+async function transition({ req, request, to, note, hospitalId, patch = {}, systemActor }) {
   ensureTransition(request.status, to);
 
   const before = request.status;
+  const actorId = systemActor ? undefined : req.user?._id;
   request.status = to;
 
   request.workflowHistory = request.workflowHistory || [];
@@ -18,7 +23,8 @@ async function transition({ req, request, to, note, hospitalId, patch = {} }) {
     from: before,
     to,
     at: operationNow(),
-    by: req.user?._id,
+    by: actorId,
+    actor: systemActor,
     note
   });
 
@@ -26,12 +32,12 @@ async function transition({ req, request, to, note, hospitalId, patch = {} }) {
 
   if (to === 'Sample Collected') {
     request.sample_collected_at = patch.sample_collected_at || operationNow();
-    request.collectedByUserId = req.user?._id;
+    request.collectedByUserId = actorId;
   }
 
   if (to === 'Received') {
     request.receivedAt = operationNow();
-    request.receivedBy = req.user?._id;
+    request.receivedBy = actorId;
   }
 
   if (to === 'Processing') {
@@ -44,12 +50,12 @@ async function transition({ req, request, to, note, hospitalId, patch = {} }) {
 
   if (to === 'Verified') {
     request.verifiedAt = operationNow();
-    request.verifierUserId = req.user?._id;
+    request.verifierUserId = actorId;
   }
 
   if (to === 'Reported') {
     request.releasedAt = operationNow();
-    request.releasedBy = req.user?._id;
+    request.releasedBy = actorId;
   }
 
   if (to === 'Rejected') {
@@ -57,14 +63,14 @@ async function transition({ req, request, to, note, hospitalId, patch = {} }) {
       ...request.rejection,
       ...patch.rejection,
       rejectedAt: operationNow(),
-      rejectedBy: req.user?._id
+      rejectedBy: actorId
     };
   }
 
   await request.save();
 
   await appendDomainEvent({
-    req,
+    req: systemActor ? { ip: req?.ip, get: req?.get?.bind(req) } : req,
     eventType: to === 'Reported' ? 'lab.report_released' : 'lab.status_changed',
     entityType: 'LabRequest',
     entityId: request._id,
@@ -74,7 +80,8 @@ async function transition({ req, request, to, note, hospitalId, patch = {} }) {
     revision: request.workflowHistory.length,
     beforeSummary: { status: before },
     afterSummary: { status: to },
-    comments: note
+    comments: note,
+    metadata: systemActor ? { systemActor, triggeredBy: req?.user?._id } : undefined
   });
 
   return request;
@@ -180,7 +180,8 @@ function groupLabRequests(rows = []) {
         specimen: test.specimen,
         requestedDate: test.requestedDate,
         reportFinalisation: test.reportFinalisation,
-        report_mode: test.report_mode
+        report_mode: test.report_mode,
+        autoVerification: test.autoVerification
       }))
     };
   }).sort(
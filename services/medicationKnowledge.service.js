@@ -0,0 +1,316 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const DrugInteraction = require('../models/DrugInteraction');
+const MedicationSafetyOverride = require('../models/MedicationSafetyOverride');
+const { frequencyToPerDay } = require('./pharmacyTransaction.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+
+const INTERACTION_SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor'];
+const INTERACTION_ALERT_LEVEL = { contraindicated: 'critical', major: 'critical', moderate: 'warning', minor: 'info' };
+// Alert types that stop an order until a prescriber records an override reason.
+// High-risk/LASA alerts only ask for a double-check and never block.
+const OVERRIDE_REQUIRED_TYPES = new Set(['interaction', 'dose_range', 'allergy']);
+
+function normalizeKey(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function interactionPairKey(a, b) {
+  return [normalizeKey(a), normalizeKey(b)].sort().join('|');
+}
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes and CRLF line endings.
+function parseCsvText(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text || '');
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') { field += '"'; index += 1; }
+      else if (char === '"') quoted = false;
+      else field += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { row.push(field); field = ''; }
+    else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      row.push(field); field = '';
+      if (row.some((value) => value.trim())) rows.push(row);
+      row = [];
+    } else field += char;
+  }
+  row.push(field);
+  if (row.some((value) => value.trim())) rows.push(row);
+  if (!rows.length) return [];
+  const headers = rows[0].map((header) => header.trim());
+  return rows.slice(1).map((values) => Object.fromEntries(headers.map((header, index) => [header, (values[index] ?? '').trim()])));
+}
+
+function normalizeInteractionRow(row = {}, index = 0) {
+  const drugA = normalizeKey(row.drugA || row.drug_a || row.drug1);
+  const drugB = normalizeKey(row.drugB || row.drug_b || row.drug2);
+  const severity = normalizeKey(row.severity);
+  if (!drugA || !drugB) throw Object.assign(new Error(`Interaction row ${index + 1} requires drugA and drugB`), { statusCode: 400 });
+  if (drugA === drugB) throw Object.assign(new Error(`Interaction row ${index + 1} pairs a drug with itself`), { statusCode: 400 });
+  if (!INTERACTION_SEVERITIES.includes(severity)) {
+    throw Object.assign(new Error(`Interaction row ${index + 1} has unsupported severity "${row.severity || ''}"`), { statusCode: 400 });
+  }
+  const references = Array.isArray(row.references)
+    ? row.references
+    : String(row.references || '').split(';').map((value) => value.trim()).filter(Boolean);
+  return {
+    pairKey: interactionPairKey(drugA, drugB),
+    drugA,
+    drugB,
+    displayA: String(row.displayA || row.drugA || row.drug_a || row.drug1).trim(),
+    displayB: String(row.displayB || row.drugB || row.drug_b || row.drug2).trim(),
+    severity,
+    mechanism: row.mechanism || '',
+    clinicalEffect: row.clinicalEffect || row.clinical_effect || '',
+    management: row.management || '',
+    references,
+    source: row.source || '',
+    active: row.active === undefined || row.active === '' ? true : !['false', '0', 'no'].includes(String(row.active).toLowerCase())
+  };
+}
+
+function interactionRowsFromBody(body = {}) {
+  if (typeof body.csv === 'string') return parseCsvText(body.csv);
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body.rows)) return body.rows;
+  return [];
+}
+
+async function importInteractions({ hospitalId, rows, userId }) {
+  const normalized = rows.map(normalizeInteractionRow);
+  const operations = normalized.map((row) => ({
+    updateOne: {
+      filter: { hospitalId, pairKey: row.pairKey },
+      update: { $set: { ...row, updatedBy: userId }, $setOnInsert: { createdBy: userId } },
+      upsert: true
+    }
+  }));
+  if (!operations.length) return { upsertedCount: 0, modifiedCount: 0, matchedCount: 0 };
+  const result = await DrugInteraction.bulkWrite(operations, { ordered: false });
+  return { upsertedCount: result.upsertedCount, modifiedCount: result.modifiedCount, matchedCount: result.matchedCount };
+}
+
+// Interaction keys for one medicine entry: its names plus any configured class keys.
+function medicineKeys(entry = {}) {
+  return [...new Set([
+    entry.name,
+    entry.genericName,
+    ...(entry.interactionKeys || [])
+  ].map(normalizeKey).filter(Boolean))];
+}
+
+async function loadInteractions(hospitalId, keys) {
+  if (!keys.length) return [];
+  return DrugInteraction.find({
+    hospitalId,
+    active: true,
+    drugA: { $in: keys },
+    drugB: { $in: keys }
+  }).lean();
+}
+
+// Only pairs that involve at least one newly ordered medicine are reported;
+// interactions between two already-active medicines were accepted earlier.
+function findInteractions(entries = [], interactions = []) {
+  const byPair = new Map(interactions.map((row) => [row.pairKey || interactionPairKey(row.drugA, row.drugB), row]));
+  const alerts = [];
+  const seen = new Set();
+  for (let i = 0; i < entries.length; i += 1) {
+    for (let j = i + 1; j < entries.length; j += 1) {
+      const left = entries[i];
+      const right = entries[j];
+      if (!left.ordered && !right.ordered) continue;
+      if (normalizeKey(left.name) === normalizeKey(right.name)) continue;
+      for (const a of medicineKeys(left)) {
+        for (const b of medicineKeys(right)) {
+          const row = byPair.get(interactionPairKey(a, b));
+          if (!row) continue;
+          const dedupe = `${row.pairKey}:${[left.name, right.name].sort().join('|')}`;
+          if (seen.has(dedupe)) continue;
+          seen.add(dedupe);
+          alerts.push({
+            level: INTERACTION_ALERT_LEVEL[row.severity] || 'warning',
+            type: 'interaction',
+            severity: row.severity,
+            medicine: left.name,
+            interactingMedicine: right.name,
+            interactingSource: right.ordered ? 'order' : right.source,
+            mechanism: row.mechanism,
+            clinicalEffect: row.clinicalEffect,
+            management: row.management,
+            message: `${row.severity} interaction between ${left.name} and ${right.name}`
+          });
+        }
+      }
+    }
+  }
+  return alerts;
+}
+
+// Returns milligrams for strengths such as "500 mg", "1 g" or "250mcg"; null when unknown.
+function parseDoseMg(dosage) {
+  const match = String(dosage || '').trim().toLowerCase().match(/(\d+(?:\.\d+)?)\s*(mg|g|gm|mcg|µg|ug)\b/);
+  if (!match) return null;
+  const value = Number(match[1]);
+  const unit = match[2];
+  if (unit === 'g' || unit === 'gm') return value * 1000;
+  if (unit === 'mcg' || unit === 'µg' || unit === 'ug') return value / 1000;
+  return value;
+}
+
+function ageInYears(dob, at = new Date()) {
+  if (!dob) return null;
+  const birth = new Date(dob);
+  if (Number.isNaN(birth.getTime())) return null;
+  return (at.getTime() - birth.getTime()) / (365.25 * 86400000);
+}
+
+// Cockcroft-Gault estimate in mL/min; serum creatinine in mg/dL.
+function estimateCreatinineClearance({ ageYears, weightKg, serumCreatinineMgDl, gender }) {
+  const age = Number(ageYears);
+  const weight = Number(weightKg);
+  const creatinine = Number(serumCreatinineMgDl);
+  if (!(age > 0) || !(weight > 0) || !(creatinine > 0)) return null;
+  const clearance = ((140 - age) * weight) / (72 * creatinine);
+  return Math.round((String(gender).toLowerCase() === 'female' ? clearance * 0.85 : clearance) * 10) / 10;
+}
+
+function inBand(value, min, max) {
+  if (min == null && max == null) return true;
+  if (value == null) return false;
+  return (min == null || value >= min) && (max == null || value <= max);
+}
+
+function bandSpecificity(range) {
+  return ['ageMinYears', 'ageMaxYears', 'weightMinKg', 'weightMaxKg', 'crclMinMlMin', 'crclMaxMlMin', 'route']
+    .filter((field) => range[field] !== undefined && range[field] !== null && range[field] !== '').length;
+}
+
+function selectDoseRange(ranges = [], { ageYears, weightKg, crcl, route } = {}) {
+  const candidates = ranges.filter((range) => (
+    (!range.route || !route || normalizeKey(range.route) === normalizeKey(route))
+    && inBand(ageYears, range.ageMinYears, range.ageMaxYears)
+    && inBand(weightKg, range.weightMinKg, range.weightMaxKg)
+    && inBand(crcl, range.crclMinMlMin, range.crclMaxMlMin)
+  ));
+  return candidates.sort((a, b) => bandSpecificity(b) - bandSpecificity(a))[0] || null;
+}
+
+function evaluateDose({ medicine, order = {}, patientContext = {} }) {
+  const ranges = medicine?.medicationSafety?.doseRanges || [];
+  if (!ranges.length) return [];
+  const name = medicine.name || medicine.generic_name;
+  const singleDoseMg = order.doseMg ?? parseDoseMg(order.dosage);
+  if (singleDoseMg === null || singleDoseMg === undefined) {
+    return [{ level: 'info', type: 'dose_unverified', medicine: name, message: 'Dose could not be read in mg; dose range was not checked' }];
+  }
+  const range = selectDoseRange(ranges, { ...patientContext, route: order.route });
+  if (!range) return [];
+  const weight = Number(patientContext.weightKg);
+  if (range.doseBasis === 'per_kg' && !(weight > 0)) {
+    return [{ level: 'warning', type: 'dose_unverified', medicine: name, message: 'Weight is required to check this weight-based dose' }];
+  }
+  const factor = range.doseBasis === 'per_kg' ? weight : 1;
+  const alerts = [];
+  const perDay = order.frequencyPerDay ?? frequencyToPerDay(order.frequency);
+  const dailyDoseMg = singleDoseMg * (perDay || 1);
+  const limit = (value) => Math.round(value * factor * 100) / 100;
+  if (range.maxSingleDoseMg && singleDoseMg > range.maxSingleDoseMg * factor) {
+    alerts.push({ level: 'critical', type: 'dose_range', medicine: name, message: `Single dose ${singleDoseMg} mg exceeds maximum ${limit(range.maxSingleDoseMg)} mg`, note: range.note });
+  }
+  if (range.maxDailyDoseMg && dailyDoseMg > range.maxDailyDoseMg * factor) {
+    alerts.push({ level: 'critical', type: 'dose_range', medicine: name, message: `Daily dose ${dailyDoseMg} mg exceeds maximum ${limit(range.maxDailyDoseMg)} mg/day`, note: range.note });
+  }
+  if (range.minSingleDoseMg && singleDoseMg < range.minSingleDoseMg * factor) {
+    alerts.push({ level: 'warning', type: 'dose_range', medicine: name, message: `Single dose ${singleDoseMg} mg is below minimum ${limit(range.minSingleDoseMg)} mg`, note: range.note });
+  }
+  return alerts;
+}
+
+function requiresOverride(alerts = []) {
+  return alerts.some((alert) => alert.level === 'critical' && OVERRIDE_REQUIRED_TYPES.has(alert.type));
+}
+
+function overrideRequiredError(result) {
+  const error = new Error('Medication safety alerts must be overridden with a reason before this order can be saved.');
+  error.statusCode = 409;
+  error.code = 'MEDICATION_SAFETY_OVERRIDE_REQUIRED';
+  error.alerts = result.alerts.filter((alert) => alert.level === 'critical' && OVERRIDE_REQUIRED_TYPES.has(alert.type));
+  return error;
+}
+
+async function recordOverride({ req, hospitalId, patientId, admissionId, context, sourceModel, sourceId, result, reason, session }) {
+  const blocking = result.alerts.filter((alert) => alert.level === 'critical' && OVERRIDE_REQUIRED_TYPES.has(alert.type));
+  const [override] = await MedicationSafetyOverride.create([{
+    hospitalId,
+    patientId,
+    admissionId,
+    context,
+    sourceModel,
+    sourceId,
+    medicines: (result.medicines || []).map((medicine) => medicine.name || medicine.generic_name).filter(Boolean),
+    alerts: blocking,
+    reason: String(reason).trim(),
+    overriddenBy: req.user._id
+  }], session ? { session } : undefined);
+  await appendDomainEvent({
+    req,
+    session,
+    eventType: 'medication.safety.overridden',
+    entityType: 'MedicationSafetyOverride',
+    entityId: override._id,
+    hospitalId,
+    patientId,
+    encounterId: admissionId,
+    afterSummary: { context, alerts: blocking.map((alert) => `${alert.type}:${alert.message}`) },
+    reasonCode: 'MEDICATION_SAFETY_OVERRIDE',
+    comments: override.reason
+  });
+  return override;
+}
+
+/**
+ * Saves an order and, when its safety alerts were overridden, the override
+ * record in the same transaction, so neither can exist without the other.
+ * Mongoose's connection transaction resets the order document if the
+ * transaction is retried.
+ */
+async function saveWithOverride({ req, pendingOverride, source }) {
+  if (!pendingOverride) return source.save();
+  await mongoose.connection.transaction(async (session) => {
+    await source.save({ session });
+    await recordOverride({ req, ...pendingOverride, sourceModel: source.constructor.modelName, sourceId: source._id, session });
+  });
+  return source;
+}
+
+module.exports = {
+  INTERACTION_SEVERITIES,
+  OVERRIDE_REQUIRED_TYPES,
+  normalizeKey,
+  interactionPairKey,
+  parseCsvText,
+  normalizeInteractionRow,
+  interactionRowsFromBody,
+  importInteractions,
+  medicineKeys,
+  loadInteractions,
+  findInteractions,
+  parseDoseMg,
+  ageInYears,
+  estimateCreatinineClearance,
+  selectDoseRange,
+  evaluateDose,
+  requiresOverride,
+  overrideRequiredError,
+  recordOverride,
+  saveWithOverride
+};
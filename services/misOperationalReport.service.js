@@ -133,6 +133,22 @@ const REPORT_CATALOG = [
     filters: ['grain', 'doctorId', 'departmentId'],
     description: 'Gross billing, collections and outstanding balances by day/month/year and invoice type.'
   },
+  {
+    key: 'claims-ageing',
+    label: 'Insurance - Sponsor Receivables Ageing',
+    module: 'Billing Reports',
+    dimensions: ['payer', 'tpa', 'scheme'],
+    filters: ['groupBy', 'payerId', 'asOf'],
+    description: 'Open sponsor receivables in 0-30/31-60/61-90/90+ day buckets by payer, TPA or scheme.'
+  },
+  {
+    key: 'claims-denials',
+    label: 'Insurance - Denials, Deductions & Queries',
+    module: 'Billing Reports',
+    dimensions: ['reasonCode', 'deductionCode', 'payer'],
+    filters: ['payerId', 'encounterType'],
+    description: 'Rejections by reason code, deductions by category, query turnaround and first-pass acceptance.'
+  },
   {
     key: 'billing-refunds',
     label: 'Billing - Refunds / Cancelled',
@@ -173,6 +189,14 @@ const REPORT_CATALOG = [
     filters: ['grain'],
     description: 'Prescription/dispensing operational activity for the selected period.'
   },
+  {
+    key: 'emergency-flow',
+    label: 'Emergency - Door-to-Doctor & Length of Stay',
+    module: 'Emergency Reports',
+    dimensions: ['period', 'triageLevel', 'disposition'],
+    filters: ['grain', 'doctorId'],
+    description: 'ED arrivals by triage level with average door-to-doctor time, ED length of stay and target breaches.'
+  },
   {
     key: 'store',
     label: 'Store & Inventory Control',
@@ -1280,6 +1304,85 @@ async function procedureReport(hospitalId, filters = {}) {
   return Procedure.aggregate(pipeline);
 }
 
+// ============================================
+// Emergency Flow Report
+// ============================================
+
+const minutesSince = (from, to) => ({
+  $cond: [
+    { $and: [{ $ifNull: [from, false] }, { $ifNull: [to, false] }] },
+    { $divide: [{ $subtract: [to, from] }, 60000] },
+    null
+  ]
+});
+
+async function emergencyFlowReport(hospitalId, filters = {}) {
+  const Encounter = model('EmergencyEncounter');
+
+  if (!Encounter) {
+    return [];
+  }
+
+  const match = {
+    hospitalId: oid(hospitalId),
+    ...range('arrivalAt', filters)
+  };
+
+  safeMatchId(match, 'assignedDoctorId', filters.doctorId);
+
+  return Encounter.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        __doorToDoctor: minutesSince('$arrivalAt', '$doctorSeenAt'),
+        __lengthOfStay: minutesSince('$arrivalAt', '$departedAt')
+      }
+    },
+    {
+      $group: {
+        _id: {
+          period: periodExpr('arrivalAt', filters),
+          triageLevel: { $ifNull: ['$triage.level', 'untriaged'] },
+          disposition: { $ifNull: ['$disposition.type', 'in_department'] }
+        },
+        count: { $sum: 1 },
+        seen: { $sum: { $cond: [{ $ne: ['$__doorToDoctor', null] }, 1, 0] } },
+        averageDoorToDoctorMinutes: { $avg: '$__doorToDoctor' },
+        averageLengthOfStayMinutes: { $avg: '$__lengthOfStay' },
+        doorToDoctorBreaches: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $ne: ['$__doorToDoctor', null] },
+                  { $ne: [{ $ifNull: ['$triage.targetMinutes', null] }, null] },
+                  { $gt: ['$__doorToDoctor', '$triage.targetMinutes'] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        period: '$_id.period',
+        triageLevel: '$_id.triageLevel',
+        disposition: '$_id.disposition',
+        count: 1,
+        seen: 1,
+        averageDoorToDoctorMinutes: { $round: ['$averageDoorToDoctorMinutes', 0] },
+        averageLengthOfStayMinutes: { $round: ['$averageLengthOfStayMinutes', 0] },
+        doorToDoctorBreaches: 1
+      }
+    },
+    { $sort: { period: 1, triageLevel: 1, disposition: 1 } }
+  ]);
+}
+
 // ============================================
 // Pharmacy Report
 // ============================================
@@ -1828,6 +1931,56 @@ async function procedureDetails(hospitalId, filters = {}) {
     }));
 }
 
+// ============================================
+// Emergency Details
+// ============================================
+
+async function emergencyDetails(hospitalId, filters = {}) {
+  const Encounter = model('EmergencyEncounter');
+
+  if (!Encounter) {
+    return [];
+  }
+
+  const match = {
+    hospitalId: oid(hospitalId),
+    ...range('arrivalAt', filters)
+  };
+
+  safeMatchId(match, 'assignedDoctorId', filters.doctorId);
+
+  const docs = await Encounter.find(match)
+    .populate('patientId', 'uhid patientId salutation first_name middle_name last_name phone gender dob')
+    .populate('assignedDoctorId', 'doctorId firstName lastName')
+    .sort({ arrivalAt: 1 })
+    .limit(DETAIL_LIMIT)
+    .lean();
+
+  const minutes = (from, to) => (from && to ? Math.round((new Date(to) - new Date(from)) / 60000) : null);
+
+  return docs.map((row) => {
+    const doorToDoctor = minutes(row.arrivalAt, row.doctorSeenAt);
+    return {
+      emergencyNumber: row.emergencyNumber || '—',
+      uhid: patientUhid(row.patientId),
+      patient: personName(row.patientId),
+      arrivalAt: row.arrivalAt,
+      triageLevel: row.triage?.level || '—',
+      triageLabel: row.triage?.label || row.triage?.category || '—',
+      doctor: personName(row.assignedDoctorId),
+      doctorSeenAt: row.doctorSeenAt,
+      doorToDoctorMinutes: doorToDoctor,
+      targetMinutes: row.triage?.targetMinutes ?? null,
+      breached: doorToDoctor !== null && row.triage?.targetMinutes !== undefined && row.triage?.targetMinutes !== null
+        ? doorToDoctor > row.triage.targetMinutes
+        : false,
+      departedAt: row.departedAt,
+      lengthOfStayMinutes: minutes(row.arrivalAt, row.departedAt),
+      disposition: row.disposition?.type || row.status || '—'
+    };
+  });
+}
+
 // ============================================
 // Pharmacy Details
 // ============================================
@@ -2040,6 +2193,10 @@ async function detailRowsForReport(key, hospitalId, filters = {}) {
     return pharmacyDetails(hospitalId, filters);
   }
 
+  if (key === 'emergency-flow') {
+    return emergencyDetails(hospitalId, filters);
+  }
+
   return [];
 }
 
@@ -2080,6 +2237,24 @@ function cardsFromRows(rows, type) {
     ];
   }
 
+  if (type === 'emergency') {
+    const weighted = (field, weight) => {
+      const base = rows.reduce((sum, row) => sum + (row[field] === null || row[field] === undefined ? 0 : Number(row[weight] || 0)), 0);
+      return base
+        ? Math.round(rows.reduce((sum, row) => sum + Number(row[field] || 0) * Number(row[weight] || 0), 0) / base)
+        : 0;
+    };
+    return [
+      { label: 'ED arrivals', value: total },
+      { label: 'Average door-to-doctor (minutes)', value: weighted('averageDoorToDoctorMinutes', 'seen') },
+      { label: 'Average ED length of stay (minutes)', value: weighted('averageLengthOfStayMinutes', 'count') },
+      {
+        label: 'Door-to-doctor breaches',
+        value: rows.reduce((sum, row) => sum + Number(row.doorToDoctorBreaches || 0), 0)
+      }
+    ];
+  }
+
   if (type === 'occupancy') {
     return [
       { label: 'Occupied beds / admitted patients', value: total }
@@ -2145,6 +2320,9 @@ async function buildOperationalReport(key, hospitalId, filters = {}) {
     rows = await procedureReport(hospitalId, filters);
   } else if (key === 'pharmacy-activity' || key === 'pharmacy') {
     rows = await pharmacyReport(hospitalId, filters);
+  } else if (key === 'emergency-flow') {
+    rows = await emergencyFlowReport(hospitalId, filters);
+    cardType = 'emergency';
   } else {
     return null;
   }
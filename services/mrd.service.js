@@ -19,6 +19,7 @@ const MRDRecordReview = require('../models/MRDRecordReview');
 const Hospital = require('../models/Hospital');
 const patientFileManifest = require('./patientFileManifest.service');
 const { appendDomainEvent } = require('./auditEvent.service');
+const clinicalCoding = require('./clinicalCoding.service');
 const { semanticDateRange } = require('../utils/hospitalDateRange');
 
 // ============================================
@@ -629,6 +630,10 @@ async function moveFile(req, hospitalId, id, body) {
       note: body.note,
     });
   } else if (action === 'archive') {
+    if (row.admissionId) {
+      await clinicalCoding.assertCodingComplete(hospitalId, row.admissionId);
+    }
+
     row.status = 'archived';
     row.currentHolderType = 'MRD';
     row.currentHolderName = 'MRD Archive';
@@ -876,6 +881,16 @@ async function report(hospitalId, key, query = {}) {
     ? new Date(`${query.to}T23:59:59`)
     : new Date();
 
+  // Morbidity / Mortality by diagnosis code (coded admissions only)
+  if (key === 'morbidity-by-code' || key === 'mortality-by-code') {
+    return clinicalCoding.codeReport(hospitalId, key, {
+      from,
+      to,
+      system: query.system,
+      level: query.level,
+    });
+  }
+
   const ipd = await IPDAdmission.find({
     hospitalId,
     $or: [
@@ -1234,6 +1249,8 @@ const MRD_REPORT_TITLES = {
   'mlc-reports': 'MLC Reports',
   'medico-report': 'Medico Report',
   'medical-file-tracking': 'Medical File Tracking Report',
+  'morbidity-by-code': 'Morbidity by Diagnosis Code',
+  'mortality-by-code': 'Mortality by Diagnosis Code',
 };
 
 function personLabel(value) {
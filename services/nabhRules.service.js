@@ -2,6 +2,19 @@
 
 const Medicine = require('../models/Medicine');
 const Patient = require('../models/Patient');
+const IPDMedicationChart = require('../models/IPDMedicationChart');
+const IPDVitals = require('../models/IPDVitals');
+const Prescription = require('../models/Prescription');
+const {
+  medicineKeys,
+  loadInteractions,
+  findInteractions,
+  ageInYears,
+  estimateCreatinineClearance,
+  evaluateDose,
+  requiresOverride,
+  overrideRequiredError
+} = require('./medicationKnowledge.service');
 
 
 function rangeScore(value, bands) {
@@ -93,11 +106,76 @@ function normalizeMedicineName(value) {
   return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
 }
 
-async function medicationSafetyCheck({ hospitalId, patientId, medicineIds = [], medicineNames = [] }) {
+function allergyTerms(patient) {
+  const raw = [patient?.allergies, patient?.medical_history?.allergies]
+    .flatMap((value) => (Array.isArray(value) ? value : [value]))
+    .map((value) => value?.name || value)
+    .filter((value) => typeof value === 'string');
+  return [...new Set(raw
+    .flatMap((value) => value.split(/[,;\n/]+/))
+    .map(normalizeMedicineName)
+    .filter((term) => term.length >= 3 && !['nil', 'none', 'nka', 'nkda', 'no known allergies'].includes(term)))];
+}
+
+function matchesAllergy(term, medicineTerms) {
+  const pattern = new RegExp(`(^|[^a-z])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i');
+  return medicineTerms.some((value) => pattern.test(value));
+}
+
+async function activeMedicationEntries({ hospitalId, patientId, admissionId, excludeMedicationIds = [] }) {
+  if (!patientId) return [];
+  const since = new Date(Date.now() - 30 * 86400000);
+  const chartFilter = {
+    hospitalId,
+    patientId,
+    status: { $in: ['Active', 'Pending', 'Requested', 'Dispensed'] }
+  };
+  if (admissionId) chartFilter.admissionId = admissionId;
+  if (excludeMedicationIds.length) chartFilter._id = { $nin: excludeMedicationIds };
+  const [charts, prescriptions] = await Promise.all([
+    IPDMedicationChart.find(chartFilter).select('medicineId medicineName genericName').lean(),
+    Prescription.find({ hospitalId, patient_id: patientId, status: 'Active', source_type: { $ne: 'IPD' }, issue_date: { $gte: since } })
+      .select('items.medicine_id items.medicine_name items.generic_name prescription_number')
+      .lean()
+  ]);
+  return [
+    ...charts.map((row) => ({ name: row.medicineName, genericName: row.genericName, medicineId: row.medicineId, source: 'ipd_medication_chart' })),
+    ...prescriptions.flatMap((prescription) => (prescription.items || []).map((item) => ({
+      name: item.medicine_name,
+      genericName: item.generic_name,
+      medicineId: item.medicine_id,
+      source: `opd_prescription:${prescription.prescription_number || prescription._id}`
+    })))
+  ];
+}
+
+async function latestWeightKg(hospitalId, patientId) {
+  const vitals = await IPDVitals.findOne({ hospitalId, patientId, weight: { $gt: 0 } }).sort({ recordedAt: -1 }).select('weight').lean();
+  return vitals?.weight || null;
+}
+
+// `orders` carry the dose being prescribed ({ medicineId|medicineName, dosage|doseMg,
+// frequency, route }). Plain medicineIds/medicineNames still work for list-only checks.
+async function medicationSafetyCheck({
+  hospitalId,
+  patientId,
+  admissionId,
+  medicineIds = [],
+  medicineNames = [],
+  orders = [],
+  weightKg,
+  creatinineClearance,
+  serumCreatinine,
+  includeActiveMedications = true,
+  excludeMedicationIds = []
+}) {
+  const orderIds = orders.map((order) => order.medicineId).filter(Boolean);
+  const orderNames = orders.filter((order) => !order.medicineId).map((order) => order.medicineName);
+  const ids = [...medicineIds, ...orderIds];
+  const nameList = [...medicineNames, ...orderNames].map(normalizeMedicineName).filter(Boolean);
   const query = { hospitalId };
-  const nameList = medicineNames.map(normalizeMedicineName).filter(Boolean);
   const ors = [];
-  if (medicineIds.length) ors.push({ _id: { $in: medicineIds } });
+  if (ids.length) ors.push({ _id: { $in: ids } });
   if (nameList.length) {
     ors.push({
       $or: [
@@ -112,6 +190,7 @@ async function medicationSafetyCheck({ hospitalId, patientId, medicineIds = [],
 
   const alerts = [];
   const selectedNames = new Set();
+  const allergies = allergyTerms(patient);
   for (const medicine of medicines) {
     const safety = medicine.medicationSafety || {};
     const name = medicine.name || medicine.generic_name;
@@ -131,17 +210,77 @@ async function medicationSafetyCheck({ hospitalId, patientId, medicineIds = [],
         alternatives: safety.alternatives || []
       });
     }
-    const allergyTerms = [
-      ...(patient?.allergies || []),
-      ...(patient?.medical_history?.allergies || [])
-    ].map((value) => normalizeMedicineName(value?.name || value));
-    const medicineTerms = [medicine.name, medicine.generic_name, medicine.category]
+    const medicineTerms = [medicine.name, medicine.generic_name, medicine.category, ...(safety.interactionKeys || [])]
       .map(normalizeMedicineName).filter(Boolean);
-    if (allergyTerms.some((allergy) => medicineTerms.some((term) => allergy && term.includes(allergy)))) {
-      alerts.push({ level: 'critical', type: 'allergy', medicine: name, message: 'Possible medicine-allergy match' });
+    const allergy = allergies.find((term) => matchesAllergy(term, medicineTerms));
+    if (allergy) {
+      alerts.push({ level: 'critical', type: 'allergy', medicine: name, allergy, message: `Recorded allergy "${allergy}" matches this medicine` });
     }
   }
-  return { patientId, medicines, alerts, requiresDoubleCheck: alerts.some((a) => a.type === 'high_risk') };
+
+  const activeEntries = includeActiveMedications
+    ? await activeMedicationEntries({ hospitalId, patientId, admissionId, excludeMedicationIds })
+    : [];
+  const masterById = new Map(medicines.map((medicine) => [String(medicine._id), medicine]));
+  const masterByName = new Map(medicines.flatMap((medicine) => [
+    [normalizeMedicineName(medicine.name), medicine],
+    [normalizeMedicineName(medicine.generic_name), medicine]
+  ]));
+  const orderedEntries = (orders.length ? orders : medicines.map((medicine) => ({ medicineId: medicine._id })))
+    .map((order) => {
+      const master = masterById.get(String(order.medicineId)) || masterByName.get(normalizeMedicineName(order.medicineName));
+      return {
+        ordered: true,
+        order,
+        master,
+        name: master?.name || order.medicineName,
+        genericName: master?.generic_name || order.genericName,
+        interactionKeys: master?.medicationSafety?.interactionKeys || []
+      };
+    })
+    .filter((entry) => entry.name);
+  const activeMasters = activeEntries.some((entry) => entry.medicineId)
+    ? await Medicine.find({ hospitalId, _id: { $in: activeEntries.map((entry) => entry.medicineId).filter(Boolean) } })
+      .select('medicationSafety.interactionKeys').lean()
+    : [];
+  const activeKeysById = new Map(activeMasters.map((medicine) => [String(medicine._id), medicine.medicationSafety?.interactionKeys || []]));
+  const entries = [
+    ...orderedEntries,
+    ...activeEntries.map((entry) => ({ ...entry, interactionKeys: activeKeysById.get(String(entry.medicineId)) || [] }))
+  ];
+  const interactions = await loadInteractions(hospitalId, [...new Set(entries.flatMap(medicineKeys))]);
+  alerts.push(...findInteractions(entries, interactions));
+
+  const resolvedWeight = Number(weightKg) > 0 ? Number(weightKg) : await latestWeightKg(hospitalId, patientId);
+  const ageYears = ageInYears(patient?.dob);
+  const crcl = Number(creatinineClearance) > 0
+    ? Number(creatinineClearance)
+    : estimateCreatinineClearance({ ageYears, weightKg: resolvedWeight, serumCreatinineMgDl: serumCreatinine, gender: patient?.gender });
+  const patientContext = { ageYears, weightKg: resolvedWeight, crcl };
+  for (const entry of orderedEntries) {
+    if (!entry.master || !orders.length) continue;
+    alerts.push(...evaluateDose({ medicine: entry.master, order: entry.order, patientContext }));
+  }
+
+  return {
+    patientId,
+    medicines,
+    activeMedications: activeEntries,
+    patientContext,
+    alerts,
+    requiresDoubleCheck: alerts.some((a) => a.type === 'high_risk'),
+    requiresOverride: requiresOverride(alerts)
+  };
+}
+
+// Runs the check for an order being saved. Blocking alerts throw a 409 unless the
+// caller supplies `overrideReason`. Nothing is written here: the returned
+// `pendingOverride` is saved with the order through saveWithOverride.
+async function enforceMedicationSafety({ hospitalId, patientId, admissionId, orders, context, overrideReason, excludeMedicationIds }) {
+  const result = await medicationSafetyCheck({ hospitalId, patientId, admissionId, orders, excludeMedicationIds });
+  if (!result.requiresOverride) return { result, pendingOverride: null };
+  if (!String(overrideReason || '').trim()) throw overrideRequiredError(result);
+  return { result, pendingOverride: { hospitalId, patientId, admissionId, context, result, reason: overrideReason } };
 }
 
 function buildCdssRecommendations(input = {}) {
@@ -203,6 +342,7 @@ function staffingForecast(rows = [], options = {}) {
 module.exports = {
   calculateClinicalScores,
   medicationSafetyCheck,
+  enforceMedicationSafety,
   buildCdssRecommendations,
   staffingForecast,
   news2Score
@@ -7,7 +7,7 @@ async function getOrCreateNabhSetting(hospitalId, userId, { includeSecrets = fal
   const buildQuery = () => {
     let query = NabhSetting.findOne({ hospitalId });
     if (includeSecrets) {
-      query = query.select('+notifications.channels.apiKey +security.sso.assertionSecret');
+      query = query.select('+notifications.channels.apiKey +security.sso.assertionSecret +security.sso.oidc.clientSecret +security.sso.saml.spPrivateKey');
     }
     return query;
   };
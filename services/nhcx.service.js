@@ -0,0 +1,429 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ClaimCase = require('../models/ClaimCase');
+const ClaimEvidence = require('../models/ClaimEvidence');
+const AdmissionCoverage = require('../models/AdmissionCoverage');
+const Patient = require('../models/Patient');
+const Hospital = require('../models/Hospital');
+const Payer = require('../models/Payer');
+const NhcxMessage = require('../models/NhcxMessage');
+const claimService = require('./claim.service');
+const bundles = require('./fhir/nhcxBundle.service');
+const { createNhcxClient } = require('./nhcxClient.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { money } = require('../utils/financeNumbers');
+const { operationNow } = require('../utils/operationTimeContext');
+
+const SUBMITTABLE = ['draft', 'documents_pending', 'ready', 'query'];
+const AWAITING = ['submitted', 'queued'];
+const INBOUND_ACTIONS = ['coverageeligibility/on_check', 'preauth/on_submit', 'claim/on_submit', 'communication/request', 'paymentnotice/request'];
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function clientFor(hospital, client) {
+  if (client) return client;
+  return createNhcxClient(undefined, hospital?.nhcx?.participantCode ? { participantCode: hospital.nhcx.participantCode } : {});
+}
+
+async function loadContext(hospitalId, claimId) {
+  const claim = mongoose.isValidObjectId(claimId) ? await ClaimCase.findOne({ _id: claimId, hospitalId }) : null;
+  if (!claim) throw httpError('Claim not found', 404);
+  const [payer, coverage, patient, hospital] = await Promise.all([
+    Payer.findOne({ _id: claim.payerId, hospitalId }).lean(),
+    AdmissionCoverage.findOne({ _id: claim.coverageId, hospitalId }).lean(),
+    Patient.findOne({ _id: claim.patientId, hospitalId }).lean(),
+    Hospital.findById(hospitalId).lean()
+  ]);
+  if (!payer?.nhcx?.participantCode) throw httpError(`Payer ${payer?.code || ''} is not registered on NHCX`.trim(), 422, 'NHCX_PAYER_NOT_CONFIGURED');
+  if (!patient || !hospital) throw httpError('Claim patient or hospital not found', 404);
+  return { claim, payer, coverage, patient, hospital };
+}
+
+async function currentEvidence(hospitalId, claimId, ids) {
+  const filter = { hospitalId, claimId, status: 'current', fileUrl: { $exists: true, $ne: '' } };
+  if (ids) filter._id = { $in: ids.filter((id) => mongoose.isValidObjectId(id)) };
+  return ClaimEvidence.find(filter).sort({ capturedAt: 1, createdAt: 1 }).lean();
+}
+
+function audit({ req, claim, eventType, summary }) {
+  return appendDomainEvent({
+    req,
+    eventType,
+    entityType: 'ClaimCase',
+    entityId: claim._id,
+    hospitalId: claim.hospitalId,
+    patientId: claim.patientId,
+    encounterId: claim.admissionId || claim.appointmentId,
+    revision: claim.revision,
+    afterSummary: { claimNumber: claim.claimNumber, status: claim.status, ...summary }
+  });
+}
+
+/**
+ * Encrypts and sends one bundle to the claim's payer and journals it. A failed
+ * send is journalled too and marks the stage `error` so it can be retried.
+ */
+async function send({ req, ctx, client, action, bundle, stage, correlationId, hcxStatus }) {
+  const { claim, payer } = ctx;
+  if (!claim.nhcx?.workflowId) claim.set('nhcx.workflowId', crypto.randomUUID());
+  const base = {
+    hospitalId: claim.hospitalId,
+    claimId: claim._id,
+    patientId: claim.patientId,
+    payerId: claim.payerId,
+    direction: 'OUTBOUND',
+    action,
+    workflowId: claim.nhcx.workflowId,
+    senderCode: client.participantCode,
+    recipientCode: payer.nhcx.participantCode,
+    hcxStatus,
+    bundle,
+    sentBy: req?.user?._id
+  };
+  let sent;
+  try {
+    sent = await client.send({
+      action,
+      recipientCode: payer.nhcx.participantCode,
+      recipientKey: client.recipientKeyFor(payer),
+      payload: bundle,
+      correlationId,
+      workflowId: claim.nhcx.workflowId,
+      status: hcxStatus
+    });
+  } catch (error) {
+    await NhcxMessage.create({ ...base, apiCallId: `failed:${crypto.randomUUID()}`, correlationId, status: 'FAILED', error: { code: error.code, message: error.message } });
+    if (stage) claim.set(`nhcx.${stage}.status`, 'error');
+    await claim.save();
+    throw error;
+  }
+  await NhcxMessage.create({ ...base, apiCallId: sent.apiCallId, correlationId: sent.correlationId, status: 'SENT', result: sent.ack });
+  await audit({ req, claim, eventType: 'billing.claim_nhcx_sent', summary: { action, correlationId: sent.correlationId } });
+  return sent;
+}
+
+async function checkEligibility({ req, hospitalId, claimId, client }) {
+  const ctx = await loadContext(hospitalId, claimId);
+  const nhcxClient = clientFor(ctx.hospital, client);
+  const bundle = bundles.coverageEligibilityBundle({ ...ctx, participantCode: nhcxClient.participantCode, now: operationNow() });
+  const sent = await send({ req, ctx, client: nhcxClient, action: 'coverageeligibility/check', bundle, stage: 'eligibility' });
+  ctx.claim.set('nhcx.eligibility', { correlationId: sent.correlationId, status: 'requested', requestedAt: sent.timestamp });
+  await ctx.claim.save();
+  return ctx.claim;
+}
+
+async function submitPreAuth({ req, hospitalId, claimId, client }) {
+  const ctx = await loadContext(hospitalId, claimId);
+  const { claim } = ctx;
+  if (!SUBMITTABLE.includes(claim.status)) throw httpError('Pre-authorisation can only be requested before the claim is submitted', 409);
+  if (AWAITING.includes(claim.nhcx?.preAuth?.status)) throw httpError('A pre-authorisation request is already awaiting the payer', 409, 'NHCX_PREAUTH_PENDING');
+  const nhcxClient = clientFor(ctx.hospital, client);
+  const evidence = await currentEvidence(hospitalId, claim._id);
+  const bundle = bundles.claimBundle({ ...ctx, use: 'preauthorization', evidence, participantCode: nhcxClient.participantCode, now: operationNow() });
+  const sent = await send({ req, ctx, client: nhcxClient, action: 'preauth/submit', bundle, stage: 'preAuth' });
+  const requestedAmount = money(claim.lines.reduce((sum, line) => sum + Number(line.sponsorLiability || 0), 0));
+  claim.set('nhcx.preAuth', { correlationId: sent.correlationId, status: 'submitted', submittedAt: sent.timestamp, requestedAmount });
+  claim.preAuth = { ...(claim.preAuth?.toObject?.() || claim.preAuth || {}), status: 'submitted' };
+  await claim.save();
+  await AdmissionCoverage.updateOne({ _id: claim.coverageId, hospitalId }, {
+    $set: { 'preAuthorisation.status': 'submitted', 'preAuthorisation.submittedAt': sent.timestamp, 'preAuthorisation.estimatedAmount': requestedAmount },
+    $push: { 'preAuthorisation.history': { status: 'submitted', at: sent.timestamp, by: req?.user?._id, note: 'Submitted over NHCX' } }
+  });
+  return claim;
+}
+
+/**
+ * Submits the final claim. A claim that has not been submitted locally goes
+ * through the normal submission first (readiness gate, sponsor receivable);
+ * a claim whose NHCX send failed is re-sent as it stands.
+ */
+async function submitClaim({ req, hospitalId, claimId, body = {}, client }) {
+  const existing = mongoose.isValidObjectId(claimId) ? await ClaimCase.findOne({ _id: claimId, hospitalId }).select('status nhcx').lean() : null;
+  if (!existing) throw httpError('Claim not found', 404);
+  const previous = existing.nhcx?.claim?.status;
+  if (previous && previous !== 'error') throw httpError('Claim has already been sent over NHCX; answer payer queries with a communication', 409, 'NHCX_CLAIM_ALREADY_SENT');
+  if (SUBMITTABLE.includes(existing.status)) {
+    await loadContext(hospitalId, claimId);
+    await claimService.submitClaim({ hospitalId, claimId, amount: body.amount, user: req.user });
+  } else if (existing.status !== 'submitted') {
+    throw httpError('Claim cannot be submitted in its current status', 409);
+  }
+  const ctx = await loadContext(hospitalId, claimId);
+  const nhcxClient = clientFor(ctx.hospital, client);
+  const evidence = await currentEvidence(hospitalId, ctx.claim._id);
+  const bundle = bundles.claimBundle({ ...ctx, use: 'claim', evidence, participantCode: nhcxClient.participantCode, now: operationNow() });
+  const sent = await send({ req, ctx, client: nhcxClient, action: 'claim/submit', bundle, stage: 'claim' });
+  ctx.claim.set('nhcx.claim', { correlationId: sent.correlationId, status: 'submitted', submittedAt: sent.timestamp });
+  await ctx.claim.save();
+  return ctx.claim;
+}
+
+/** Answers an open payer query with a Communication carrying the chosen evidence. */
+async function respondToQuery({ req, hospitalId, claimId, body = {}, client }) {
+  const ctx = await loadContext(hospitalId, claimId);
+  const { claim } = ctx;
+  const query = (claim.queries || []).find((row) => row.queryNumber === body.queryNumber);
+  if (!query) throw httpError('Query not found', 404);
+  if (!query.correlationId) throw httpError('Query was not raised over NHCX', 409);
+  if (query.status !== 'open') throw httpError('Query has already been answered', 409);
+  const response = String(body.response || '').trim();
+  if (!response) throw httpError('response is required');
+  const evidence = await currentEvidence(hospitalId, claim._id, body.evidenceIds || []);
+  const nhcxClient = clientFor(ctx.hospital, client);
+  const bundle = bundles.communicationBundle({
+    ...ctx,
+    query: { ...query.toObject(), response },
+    evidence,
+    participantCode: nhcxClient.participantCode,
+    now: operationNow()
+  });
+  await send({ req, ctx, client: nhcxClient, action: 'communication/on_request', bundle, correlationId: query.correlationId, hcxStatus: 'response.complete' });
+  query.response = response;
+  query.documentsAdded = evidence.map((row) => ({ documentId: row.documentId || row._id, name: row.caption || row.evidenceType, url: row.fileUrl }));
+  query.respondedAt = operationNow();
+  query.respondedBy = req.user._id;
+  query.status = 'responded';
+  claim.updatedBy = req.user._id;
+  claim.revision += 1;
+  await claim.save();
+  return claim;
+}
+
+async function listMessages({ hospitalId, claimId }) {
+  return NhcxMessage.find({ hospitalId, claimId }).select('-bundle').sort({ createdAt: -1 }).lean();
+}
+
+function systemUser(claim) {
+  return { _id: claim.submittedBy || claim.createdBy };
+}
+
+function preAuthCoverageStatus(status) {
+  return { approved: 'approved', partially_approved: 'partially_approved', rejected: 'rejected' }[status];
+}
+
+const handlers = {
+  async 'coverageeligibility/on_check'(claim, opened, header) {
+    const response = opened.error ? null : bundles.readCoverageEligibilityResponse(opened.payload);
+    const status = !response || response.outcome === 'error' ? 'error' : response.inforce ? 'eligible' : 'not_eligible';
+    claim.set('nhcx.eligibility.status', status);
+    claim.set('nhcx.eligibility.respondedAt', operationNow());
+    claim.set('nhcx.eligibility.disposition', response?.disposition || opened.error?.message);
+    await claim.save();
+    if (status !== 'error') {
+      await AdmissionCoverage.updateOne(
+        { _id: claim.coverageId, hospitalId: claim.hospitalId, 'eligibility.status': { $ne: 'emergency_override' } },
+        { $set: {
+          'eligibility.status': status === 'eligible' ? 'verified' : 'rejected',
+          'eligibility.verifiedAt': operationNow(),
+          'eligibility.method': 'NHCX',
+          'eligibility.responseReference': header['x-hcx-correlation_id'],
+          'eligibility.reason': response.disposition
+        } }
+      );
+    }
+    return { eligibility: status };
+  },
+
+  async 'preauth/on_submit'(claim, opened) {
+    const response = opened.error ? null : bundles.readClaimResponse(opened.payload);
+    let status = 'error';
+    let approvedAmount;
+    if (response?.outcome === 'queued') status = 'queued';
+    else if (response && response.outcome !== 'error') {
+      approvedAmount = money(response.approvedTotal);
+      const requested = money(claim.nhcx?.preAuth?.requestedAmount);
+      status = approvedAmount <= 0 ? 'rejected' : approvedAmount < requested ? 'partially_approved' : 'approved';
+    }
+    claim.set('nhcx.preAuth.status', status);
+    claim.set('nhcx.preAuth.respondedAt', operationNow());
+    claim.set('nhcx.preAuth.disposition', response?.disposition || opened.error?.message);
+    if (response?.preAuthRef) claim.set('nhcx.preAuth.preAuthRef', response.preAuthRef);
+    if (approvedAmount !== undefined) {
+      claim.set('nhcx.preAuth.approvedAmount', approvedAmount);
+      claim.preAuth = { requestNumber: response.preAuthRef || claim.preAuth?.requestNumber, approvedAmount, status };
+    }
+    await claim.save();
+    const coverageStatus = preAuthCoverageStatus(status);
+    if (coverageStatus) {
+      await AdmissionCoverage.updateOne({ _id: claim.coverageId, hospitalId: claim.hospitalId }, {
+        $set: {
+          'preAuthorisation.status': coverageStatus,
+          'preAuthorisation.approvedAmount': approvedAmount,
+          'preAuthorisation.requestNumber': claim.preAuth.requestNumber,
+          'preAuthorisation.decisionAt': operationNow(),
+          'preAuthorisation.decisionReason': response.disposition
+        },
+        $push: { 'preAuthorisation.history': { status: coverageStatus, at: operationNow(), note: 'Payer decision over NHCX' } }
+      });
+    }
+    return { preAuth: status, approvedAmount };
+  },
+
+  async 'claim/on_submit'(claim, opened) {
+    const response = opened.error ? null : bundles.readClaimResponse(opened.payload);
+    if (!response || response.outcome === 'error' || response.outcome === 'queued') {
+      claim.set('nhcx.claim.status', response?.outcome === 'queued' ? 'queued' : 'error');
+      claim.set('nhcx.claim.respondedAt', operationNow());
+      claim.set('nhcx.claim.disposition', response?.disposition || opened.error?.message);
+      await claim.save();
+      return { claim: claim.nhcx.claim.status };
+    }
+    const lines = [];
+    const deductions = [];
+    for (const item of response.items) {
+      const line = claim.lines.find((row) => row.lineNumber === item.sequence);
+      if (!line) continue;
+      const submitted = money(line.submittedAmount || line.sponsorLiability);
+      const approved = money(Math.min(item.approved, submitted));
+      const deducted = money(submitted - approved);
+      lines.push({ lineId: line._id, approvedAmount: approved, deductedAmount: deducted, deductionReason: item.reason });
+      if (deducted > 0) deductions.push({ code: 'NHCX', lineId: line._id, reason: item.reason || response.disposition, amount: deducted, accepted: false });
+    }
+    const adjudicated = await claimService.adjudicateClaim({
+      hospitalId: claim.hospitalId,
+      claimId: claim._id,
+      body: {
+        lines,
+        deductions,
+        approvedSponsorAmount: lines.length ? undefined : response.approvedTotal,
+        note: response.disposition || 'Payer adjudication over NHCX'
+      },
+      user: systemUser(claim)
+    });
+    adjudicated.set('nhcx.claim.status', 'adjudicated');
+    adjudicated.set('nhcx.claim.respondedAt', operationNow());
+    adjudicated.set('nhcx.claim.disposition', response.disposition);
+    adjudicated.set('nhcx.lastInboundAt', operationNow());
+    await adjudicated.save();
+    return { claim: 'adjudicated', adjudicationStatus: adjudicated.adjudicationStatus, approved: adjudicated.amounts.approvedSponsorAmount, deducted: adjudicated.amounts.deductedAmount };
+  },
+
+  async 'communication/request'(claim, opened, header) {
+    const request = opened.payload ? bundles.readCommunicationRequest(opened.payload) : null;
+    if (!request) throw httpError('Callback carries no CommunicationRequest', 400, 'NHCX_PAYLOAD_INVALID');
+    if ((claim.queries || []).some((row) => row.externalQueryId === request.externalQueryId)) return { duplicate: true };
+    claim.queries.push({
+      queryNumber: `Q-${claim.queries.length + 1}`,
+      externalQueryId: request.externalQueryId,
+      correlationId: header['x-hcx-correlation_id'],
+      category: request.category,
+      reasonCode: request.reasonCode,
+      text: request.text,
+      receivedAt: operationNow(),
+      dueAt: request.dueAt,
+      status: 'open'
+    });
+    if (claim.status === 'submitted') claim.status = 'query';
+    claim.revision += 1;
+    await claim.save();
+    return { queryNumber: claim.queries.at(-1).queryNumber };
+  },
+
+  async 'paymentnotice/request'(claim, opened, header) {
+    const notice = opened.payload ? bundles.readPaymentNotice(opened.payload) : null;
+    if (!notice || notice.amount <= 0) throw httpError('Callback carries no payable PaymentNotice', 400, 'NHCX_PAYLOAD_INVALID');
+    const settled = await claimService.recordSettlement({
+      hospitalId: claim.hospitalId,
+      claimId: claim._id,
+      body: {
+        amount: notice.amount,
+        reference: notice.reference,
+        receivedAt: notice.paymentDate || operationNow(),
+        method: 'NHCX',
+        note: 'Payment notice over NHCX',
+        idempotencyKey: `nhcx:${header['x-hcx-api_call_id']}`
+      },
+      user: systemUser(claim)
+    });
+    return { settled: notice.amount, status: settled.status, outstanding: settled.amounts.outstandingSponsorAmount };
+  }
+};
+
+/** The claim a callback belongs to: by the correlation id we sent, else the case workflow. */
+async function claimForCallback(header) {
+  const correlationId = header['x-hcx-correlation_id'];
+  const outbound = correlationId
+    ? await NhcxMessage.findOne({ direction: 'OUTBOUND', correlationId, status: 'SENT' }).select('claimId hospitalId').lean()
+    : null;
+  if (outbound) return ClaimCase.findOne({ _id: outbound.claimId, hospitalId: outbound.hospitalId });
+  if (!header['x-hcx-workflow_id']) return null;
+  return ClaimCase.findOne({ 'nhcx.workflowId': header['x-hcx-workflow_id'] });
+}
+
+/**
+ * Processes a callback from the switch. Unknown claims and senders other than
+ * the claim's payer are journalled and ignored; a handler failure is reported
+ * so the switch redelivers, and the redelivery is processed again.
+ */
+async function receiveCallback({ action, body, headers, client = createNhcxClient() }) {
+  if (!INBOUND_ACTIONS.includes(action)) throw httpError('Unknown NHCX action', 404);
+  const opened = client.openCallback(body, headers);
+  const header = opened.header || {};
+  const apiCallId = header['x-hcx-api_call_id'];
+  if (!apiCallId) throw httpError('x-hcx-api_call_id is required', 400, 'NHCX_PAYLOAD_INVALID');
+  const ack = { timestamp: operationNow().toISOString(), api_call_id: apiCallId, correlation_id: header['x-hcx-correlation_id'] };
+  let message;
+  try {
+    message = await NhcxMessage.create({
+      direction: 'INBOUND',
+      action,
+      apiCallId,
+      correlationId: header['x-hcx-correlation_id'],
+      workflowId: header['x-hcx-workflow_id'],
+      senderCode: header['x-hcx-sender_code'],
+      recipientCode: header['x-hcx-recipient_code'],
+      hcxStatus: header['x-hcx-status'],
+      status: 'RECEIVED',
+      bundle: opened.payload,
+      error: opened.error ? { code: opened.error.code, message: opened.error.message } : undefined
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    message = await NhcxMessage.findOne({ direction: 'INBOUND', apiCallId });
+    if (message.status !== 'FAILED') return { duplicate: true, status: message.status, ack };
+  }
+
+  const claim = await claimForCallback(header);
+  const payer = claim ? await Payer.findOne({ _id: claim.payerId, hospitalId: claim.hospitalId }).select('nhcx').lean() : null;
+  if (!claim || payer?.nhcx?.participantCode !== header['x-hcx-sender_code']) {
+    message.status = 'IGNORED';
+    message.error = { code: 'NHCX_CLAIM_NOT_FOUND', message: claim ? 'Sender is not the payer of this claim' : 'No claim for this correlation or workflow' };
+    message.processedAt = operationNow();
+    await message.save();
+    return { status: message.status, ack };
+  }
+  Object.assign(message, { hospitalId: claim.hospitalId, claimId: claim._id, patientId: claim.patientId, payerId: claim.payerId });
+  try {
+    claim.set('nhcx.lastInboundAt', operationNow());
+    message.result = await handlers[action](claim, opened, header);
+    message.status = 'PROCESSED';
+    message.error = undefined;
+  } catch (error) {
+    message.status = 'FAILED';
+    message.error = { code: error.code, message: error.message };
+  }
+  message.processedAt = operationNow();
+  await message.save();
+  if (message.status === 'PROCESSED') {
+    await audit({ claim: await ClaimCase.findById(claim._id), eventType: 'billing.claim_nhcx_received', summary: { action, ...message.result } });
+  }
+  return { status: message.status, result: message.result, ack };
+}
+
+module.exports = {
+  INBOUND_ACTIONS,
+  checkEligibility,
+  submitPreAuth,
+  submitClaim,
+  respondToQuery,
+  listMessages,
+  receiveCallback
+};
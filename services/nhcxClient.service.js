@@ -0,0 +1,171 @@
+'use strict';
+
+const crypto = require('crypto');
+const { postProviderJson } = require('../utils/functionalDomain');
+const { encryptJwe, decryptJwe, signJwt, verifyJwt } = require('./nhcxCrypto.service');
+
+// National Health Claims Exchange clients. Both send a FHIR bundle to a payer
+// as an encrypted protocol message and open the callbacks the switch posts
+// back. `mock` is a local stand-in for development and tests: it holds its own
+// provider, payer and gateway keys and can produce payer callbacks. `http`
+// talks to the NHCX switch under NHCX_BASE_URL.
+
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+const PROTOCOL_HEADERS = ['x-hcx-api_call_id', 'x-hcx-correlation_id', 'x-hcx-workflow_id', 'x-hcx-timestamp', 'x-hcx-sender_code', 'x-hcx-recipient_code', 'x-hcx-status'];
+
+function nhcxError(message, statusCode = 502, code = 'NHCX_ERROR', details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function protocolHeaders({ senderCode, recipientCode, correlationId, workflowId, status, now }) {
+  return {
+    'x-hcx-api_call_id': crypto.randomUUID(),
+    'x-hcx-correlation_id': correlationId || crypto.randomUUID(),
+    'x-hcx-workflow_id': workflowId || crypto.randomUUID(),
+    'x-hcx-timestamp': now.toISOString(),
+    'x-hcx-sender_code': senderCode,
+    'x-hcx-recipient_code': recipientCode,
+    ...(status ? { 'x-hcx-status': status } : {})
+  };
+}
+
+function sentSummary(headers) {
+  return {
+    apiCallId: headers['x-hcx-api_call_id'],
+    correlationId: headers['x-hcx-correlation_id'],
+    workflowId: headers['x-hcx-workflow_id'],
+    timestamp: new Date(headers['x-hcx-timestamp'])
+  };
+}
+
+function bearer(headers = {}) {
+  const value = String(headers.authorization || headers.Authorization || '');
+  return value.toLowerCase().startsWith('bearer ') ? value.slice(7).trim() : '';
+}
+
+/**
+ * Opens a callback body. Protocol errors from the switch arrive unencrypted
+ * with the x-hcx-* headers in the body; everything else is a JWE.
+ */
+function openCallbackBody(body = {}, privateKey) {
+  if (!body.payload && body['x-hcx-status']) {
+    const header = Object.fromEntries(PROTOCOL_HEADERS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]]));
+    return { header, payload: null, error: body['x-hcx-error_details'] || { message: body['x-hcx-status'] } };
+  }
+  if (!body.payload) throw nhcxError('NHCX callback has no payload', 400, 'NHCX_PAYLOAD_INVALID');
+  return decryptJwe(body.payload, privateKey);
+}
+
+let mockKeys;
+function mockKeyPairs() {
+  if (!mockKeys) {
+    const pair = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    mockKeys = { provider: pair(), payer: pair(), gateway: pair() };
+  }
+  return mockKeys;
+}
+
+function createMockClient({ participantCode = process.env.NHCX_PARTICIPANT_CODE || 'mock-provider@hcx', clock = () => new Date() } = {}) {
+  const keys = mockKeyPairs();
+  const outbox = [];
+  return {
+    provider: 'mock',
+    participantCode,
+    outbox,
+    recipientKeyFor(payer) {
+      return payer.nhcx?.encryptionCert || keys.payer.publicKey;
+    },
+    async send({ action, recipientCode, recipientKey, payload, correlationId, workflowId, status }) {
+      const headers = protocolHeaders({ senderCode: participantCode, recipientCode, correlationId, workflowId, status, now: clock() });
+      const jwe = encryptJwe(payload, recipientKey, headers);
+      outbox.push({ action, headers, jwe });
+      return { ...sentSummary(headers), ack: { timestamp: headers['x-hcx-timestamp'], api_call_id: headers['x-hcx-api_call_id'], correlation_id: headers['x-hcx-correlation_id'] } };
+    },
+    openCallback(body, headers = {}) {
+      if (!verifyJwt(bearer(headers), keys.gateway.publicKey, { now: clock() })) {
+        throw nhcxError('NHCX callback token is invalid', 401, 'NHCX_CALLBACK_UNAUTHORIZED');
+      }
+      return openCallbackBody(body, keys.provider.privateKey);
+    },
+    /** Test helper: decrypt a sent message the way the payer would. */
+    openSent(message) {
+      return decryptJwe(message.jwe, keys.payer.privateKey);
+    },
+    /** Test helper: a payer callback as the switch would deliver it. */
+    callback(payload, { correlationId, workflowId, senderCode = 'mock-payer@hcx', status = 'response.complete' } = {}) {
+      const header = protocolHeaders({ senderCode, recipientCode: participantCode, correlationId, workflowId, status, now: clock() });
+      const token = signJwt({ iss: 'hcx-gateway', sub: participantCode, exp: Math.floor(clock().getTime() / 1000) + 300 }, keys.gateway.privateKey);
+      return { body: { payload: encryptJwe(payload, keys.provider.publicKey, header) }, headers: { authorization: `Bearer ${token}` }, header };
+    }
+  };
+}
+
+function createHttpClient({ baseUrl, participantCode, username, secret, privateKey, gatewayPublicKey, allowedHosts, timeoutMs } = {}) {
+  if (!baseUrl || !participantCode) throw nhcxError('NHCX_BASE_URL and NHCX_PARTICIPANT_CODE are not configured', 503, 'NHCX_NOT_CONFIGURED');
+  const root = baseUrl.replace(/\/$/, '');
+  let token;
+  const accessToken = async () => {
+    if (token && token.expiresAt > Date.now() + 30000) return token.value;
+    const data = await postProviderJson(`${root}/participant/auth/token/generate`, { participant_code: participantCode, username, secret }, {
+      label: 'NHCX', allowedHosts, timeoutMs
+    });
+    token = { value: data.access_token, expiresAt: Date.now() + Number(data.expires_in || 300) * 1000 };
+    return token.value;
+  };
+  return {
+    provider: 'http',
+    participantCode,
+    recipientKeyFor(payer) {
+      if (!payer.nhcx?.encryptionCert) throw nhcxError(`Payer ${payer.code} has no NHCX encryption certificate`, 422, 'NHCX_PAYER_NOT_CONFIGURED');
+      return payer.nhcx.encryptionCert;
+    },
+    async send({ action, recipientCode, recipientKey, payload, correlationId, workflowId, status }) {
+      const headers = protocolHeaders({ senderCode: participantCode, recipientCode, correlationId, workflowId, status, now: new Date() });
+      const ack = await postProviderJson(`${root}/${action}`, { payload: encryptJwe(payload, recipientKey, headers) }, {
+        label: 'NHCX', allowedHosts, timeoutMs, headers: { Authorization: `Bearer ${await accessToken()}` }
+      });
+      return { ...sentSummary(headers), ack };
+    },
+    openCallback(body, headers = {}) {
+      if (!gatewayPublicKey || !verifyJwt(bearer(headers), gatewayPublicKey)) {
+        throw nhcxError('NHCX callback token is invalid', 401, 'NHCX_CALLBACK_UNAUTHORIZED');
+      }
+      return openCallbackBody(body, privateKey);
+    }
+  };
+}
+
+/**
+ * Resolves the configured NHCX client. The mock keeps its outbox and keys in
+ * process, so it runs only when selected in development or test; everywhere
+ * else a hospital must be onboarded to the switch with NHCX_PROVIDER=http.
+ */
+function createNhcxClient(provider = process.env.NHCX_PROVIDER, options = {}) {
+  if (!provider) throw nhcxError('NHCX_PROVIDER is not configured', 503, 'NHCX_NOT_CONFIGURED');
+  if (provider === 'mock') {
+    if (!MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      throw nhcxError('NHCX_PROVIDER=mock is allowed only in development and test', 503, 'NHCX_NOT_CONFIGURED');
+    }
+    return createMockClient(options);
+  }
+  if (provider === 'http') {
+    return createHttpClient({
+      baseUrl: process.env.NHCX_BASE_URL,
+      participantCode: process.env.NHCX_PARTICIPANT_CODE,
+      username: process.env.NHCX_USERNAME,
+      secret: process.env.NHCX_SECRET,
+      privateKey: process.env.NHCX_ENCRYPTION_PRIVATE_KEY,
+      gatewayPublicKey: process.env.NHCX_GATEWAY_PUBLIC_KEY,
+      allowedHosts: process.env.NHCX_ALLOWED_HOSTS,
+      timeoutMs: process.env.NHCX_TIMEOUT_MS,
+      ...options
+    });
+  }
+  throw nhcxError(`Unsupported NHCX provider ${provider}`, 503, 'NHCX_NOT_CONFIGURED');
+}
+
+module.exports = { createNhcxClient, createMockClient, createHttpClient };
@@ -0,0 +1,107 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// NHCX protocol envelope. Every message is a compact JWE (RSA-OAEP-256 key
+// wrap, A256GCM content) addressed to the recipient's encryption certificate,
+// with the x-hcx-* protocol headers carried in the protected header. Callbacks
+// from the switch carry an RS256 bearer token signed by the gateway.
+// ABDM health-information transfer uses ECDH instead (abdmCrypto.service).
+
+const b64url = (value) => Buffer.from(value).toString('base64url');
+
+function nhcxCryptoError(message, code, statusCode = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/** Accepts a PEM public key, an X.509 certificate PEM or a KeyObject. */
+function publicKeyFrom(key) {
+  if (key instanceof crypto.KeyObject) return key.type === 'private' ? crypto.createPublicKey(key) : key;
+  const text = String(key || '');
+  if (!text.trim()) throw nhcxCryptoError('NHCX encryption certificate is not configured', 'NHCX_KEY_MISSING', 503);
+  if (text.includes('BEGIN CERTIFICATE')) return new crypto.X509Certificate(text).publicKey;
+  return crypto.createPublicKey(text);
+}
+
+function privateKeyFrom(key) {
+  if (key instanceof crypto.KeyObject) return key;
+  if (!String(key || '').trim()) throw nhcxCryptoError('NHCX private key is not configured', 'NHCX_KEY_MISSING', 503);
+  return crypto.createPrivateKey(String(key));
+}
+
+function encryptJwe(payload, recipientKey, protocolHeaders = {}) {
+  const header = b64url(JSON.stringify({ alg: 'RSA-OAEP-256', enc: 'A256GCM', ...protocolHeaders }));
+  const contentKey = crypto.randomBytes(32);
+  const encryptedKey = crypto.publicEncrypt({
+    key: publicKeyFrom(recipientKey),
+    padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+    oaepHash: 'sha256'
+  }, contentKey);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', contentKey, iv);
+  cipher.setAAD(Buffer.from(header, 'ascii'));
+  const plain = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload), 'utf8');
+  const ciphertext = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return [header, b64url(encryptedKey), b64url(iv), b64url(ciphertext), b64url(cipher.getAuthTag())].join('.');
+}
+
+/** Protocol headers of a JWE, readable before decryption so the recipient can be routed. */
+function readJweHeader(token) {
+  const [header] = String(token || '').split('.');
+  try {
+    return JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw nhcxCryptoError('NHCX payload is not a JWE', 'NHCX_PAYLOAD_INVALID');
+  }
+}
+
+function decryptJwe(token, privateKey) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 5) throw nhcxCryptoError('NHCX payload is not a JWE', 'NHCX_PAYLOAD_INVALID');
+  const header = readJweHeader(token);
+  if (header.alg !== 'RSA-OAEP-256' || header.enc !== 'A256GCM') {
+    throw nhcxCryptoError(`Unsupported NHCX JWE algorithm ${header.alg}/${header.enc}`, 'NHCX_PAYLOAD_INVALID');
+  }
+  try {
+    const contentKey = crypto.privateDecrypt({
+      key: privateKeyFrom(privateKey),
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: 'sha256'
+    }, Buffer.from(parts[1], 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', contentKey, Buffer.from(parts[2], 'base64url'));
+    decipher.setAAD(Buffer.from(parts[0], 'ascii'));
+    decipher.setAuthTag(Buffer.from(parts[4], 'base64url'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(parts[3], 'base64url')), decipher.final()]).toString('utf8');
+    return { header, payload: JSON.parse(plain) };
+  } catch (error) {
+    if (error.code === 'NHCX_KEY_MISSING') throw error;
+    throw nhcxCryptoError('NHCX payload could not be decrypted', 'NHCX_DECRYPT_FAILED');
+  }
+}
+
+function signJwt(claims, privateKey, { kid } = {}) {
+  const body = `${b64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid }))}.${b64url(JSON.stringify(claims))}`;
+  return `${body}.${crypto.sign('sha256', Buffer.from(body), privateKeyFrom(privateKey)).toString('base64url')}`;
+}
+
+/** Returns the claims of a valid, unexpired RS256 token, otherwise null. */
+function verifyJwt(token, publicKey, { now = new Date() } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    if (header.alg !== 'RS256') return null;
+    const valid = crypto.verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`), publicKeyFrom(publicKey), Buffer.from(parts[2], 'base64url'));
+    if (!valid) return null;
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (claims.exp && Number(claims.exp) * 1000 < now.getTime()) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { encryptJwe, decryptJwe, readJweHeader, signJwt, verifyJwt, publicKeyFrom };
@@ -0,0 +1,775 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const RosterTemplate = require('../models/RosterTemplate');
+const RosterAssignment = require('../models/RosterAssignment');
+const ShiftSwapRequest = require('../models/ShiftSwapRequest');
+const Shift = require('../models/Shift');
+const Ward = require('../models/Ward');
+const Bed = require('../models/Bed');
+const HRStaffProfile = require('../models/HRStaffProfile');
+const StaffLeaveRequest = require('../models/StaffLeaveRequest');
+const StaffAvailability = require('../models/StaffAvailability');
+const StaffAttendance = require('../models/StaffAttendance');
+const { getOrCreateNabhSetting } = require('./nabhSetting.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const {
+  isDateKey,
+  addDateKeyDays,
+  hospitalDateKey,
+  hospitalDayBounds,
+  parseHospitalDateTime
+} = require('../utils/hospitalDateTime');
+const { currentContext } = require('../utils/operationTimeContext');
+
+const MAX_RANGE_DAYS = 62;
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+const DEFAULT_POLICY = {
+  ratios: [{ wardType: 'Other', patientsPerNurse: 6, minNurses: 1 }],
+  skillMix: [],
+  minRestHours: 10,
+  maxConsecutiveNights: 4,
+  maxShiftsPerWeek: 6,
+  lateGraceMinutes: 15
+};
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function timeZone() {
+  return currentContext()?.timeZone || undefined;
+}
+
+function idOf(value) {
+  return value?._id ? String(value._id) : String(value || '');
+}
+
+function dayNumber(dateKey) {
+  return Math.round(Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS);
+}
+
+function dateKeys(fromDate, toDate) {
+  if (!isDateKey(fromDate) || !isDateKey(toDate)) throw httpError('fromDate and toDate must be YYYY-MM-DD');
+  const days = dayNumber(toDate) - dayNumber(fromDate) + 1;
+  if (days < 1) throw httpError('fromDate cannot be after toDate');
+  if (days > MAX_RANGE_DAYS) throw httpError(`A roster range cannot exceed ${MAX_RANGE_DAYS} days`);
+  return Array.from({ length: days }, (_, index) => addDateKeyDays(fromDate, index));
+}
+
+/** Shift wall-clock times on a hospital day. An end at or before the start rolls into the next day. */
+function shiftWindow(dateKey, shift, zone = timeZone()) {
+  const start = parseHospitalDateTime(shift.start_time, dateKey, zone);
+  let end = parseHospitalDateTime(shift.end_time, dateKey, zone);
+  if (end <= start) end = parseHospitalDateTime(shift.end_time, addDateKeyDays(dateKey, 1), zone);
+  return { start, end };
+}
+
+function isNightShift(assignment, zone = timeZone()) {
+  return hospitalDateKey(new Date(new Date(assignment.shiftEnd).getTime() - 1), zone) !== assignment.rosterDate;
+}
+
+/** Approved leave as inclusive hospital date-key ranges per employee. */
+function leaveIndex(leaves, zone = timeZone()) {
+  const index = new Map();
+  for (const leave of leaves) {
+    const key = idOf(leave.employee_id);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ from: hospitalDateKey(leave.start_date, zone), to: hospitalDateKey(leave.end_date, zone), leaveId: leave._id });
+  }
+  return index;
+}
+
+function onLeave(index, employeeId, dateKey) {
+  return (index.get(idOf(employeeId)) || []).some((range) => range.from <= dateKey && dateKey <= range.to);
+}
+
+/**
+ * Lays staff onto a rotation cycle. The cycle day is counted from the anchor
+ * date plus each person's offset, so re-applying a template to a later range
+ * continues the same rotation.
+ */
+function expandTemplate({ pattern, staff, fromDate, toDate, anchorDate = fromDate, leaves = new Map() }) {
+  if (!pattern?.length) throw httpError('Rotation pattern is empty');
+  const slots = [];
+  const skipped = [];
+  for (const dateKey of dateKeys(fromDate, toDate)) {
+    for (const member of staff) {
+      const cycleDay = (((dayNumber(dateKey) - dayNumber(anchorDate) + Number(member.offset || 0)) % pattern.length) + pattern.length) % pattern.length;
+      const shiftId = pattern[cycleDay]?.shiftId;
+      if (!shiftId) continue;
+      if (onLeave(leaves, member.employeeId, dateKey)) {
+        skipped.push({ employeeId: member.employeeId, rosterDate: dateKey, reason: 'on_leave' });
+        continue;
+      }
+      slots.push({ employeeId: member.employeeId, rosterDate: dateKey, shiftId });
+    }
+  }
+  return { slots, skipped };
+}
+
+function requiredNurses(occupiedBeds, ratio) {
+  const perNurse = Number(ratio?.patientsPerNurse) || DEFAULT_POLICY.ratios[0].patientsPerNurse;
+  return Math.max(Number(ratio?.minNurses ?? 1), Math.ceil(Number(occupiedBeds || 0) / perNurse));
+}
+
+function ratioFor(policy, wardType) {
+  return policy.ratios.find((ratio) => ratio.wardType === wardType) ||
+    policy.ratios.find((ratio) => ratio.wardType === 'Other') ||
+    DEFAULT_POLICY.ratios[0];
+}
+
+/**
+ * Checks a set of assignments against leave, rest and rotation rules per
+ * person and against nurse ratio and skill mix per ward shift. Errors block
+ * publication; warnings need an override reason.
+ *
+ * `assignments` may include neighbouring rows outside the range being
+ * published so rest and rotation rules see the whole sequence; `inScope`
+ * limits which rows are reported. `coverage` lists the ward shifts that must
+ * be staffed even if nobody is rostered on them yet.
+ */
+function validateRoster({ assignments, staff, leaves = new Map(), wards, policy, coverage = [], inScope = () => true, zone = timeZone() }) {
+  const rules = { ...DEFAULT_POLICY, ...policy };
+  const errors = [];
+  const warnings = [];
+  const active = assignments.filter((row) => row.status !== 'cancelled');
+  const issue = (list, code, message, row, extra = {}) => list.push({
+    code, message, assignmentId: row?._id, employeeId: row?.employeeId, wardId: row?.wardId, rosterDate: row?.rosterDate, shiftId: row?.shiftId, ...extra
+  });
+  const nameOf = (row) => staff.get(idOf(row.employeeId))?.full_name || idOf(row.employeeId);
+
+  const byEmployee = new Map();
+  for (const row of active) {
+    const key = idOf(row.employeeId);
+    if (!byEmployee.has(key)) byEmployee.set(key, []);
+    byEmployee.get(key).push(row);
+  }
+  for (const rows of byEmployee.values()) {
+    rows.sort((a, b) => new Date(a.shiftStart) - new Date(b.shiftStart));
+    let nightRun = 0;
+    let lastNightDay = null;
+    rows.forEach((row, index) => {
+      const report = inScope(row);
+      if (report && onLeave(leaves, row.employeeId, row.rosterDate)) {
+        issue(errors, 'ON_LEAVE', `${nameOf(row)} is on approved leave on ${row.rosterDate}`, row);
+      }
+      const previous = rows[index - 1];
+      if (previous && (report || inScope(previous))) {
+        // Reported against the in-scope row of the pair.
+        const [target, other] = report ? [row, previous] : [previous, row];
+        const gapMs = new Date(row.shiftStart) - new Date(previous.shiftEnd);
+        if (gapMs < 0) {
+          issue(errors, 'DOUBLE_BOOKED', `${nameOf(row)} is rostered on overlapping shifts on ${previous.rosterDate} and ${row.rosterDate}`, target, { conflictingAssignmentId: other._id });
+        } else if (gapMs < rules.minRestHours * HOUR_MS) {
+          issue(errors, 'INSUFFICIENT_REST', `${nameOf(row)} gets ${Math.round(gapMs / HOUR_MS * 10) / 10}h rest before ${row.rosterDate}; minimum is ${rules.minRestHours}h`, target, { conflictingAssignmentId: other._id });
+        }
+      }
+      if (isNightShift(row, zone)) {
+        const day = dayNumber(row.rosterDate);
+        nightRun = lastNightDay === day - 1 ? nightRun + 1 : lastNightDay === day ? nightRun : 1;
+        lastNightDay = day;
+        if (nightRun > rules.maxConsecutiveNights && report) {
+          issue(warnings, 'CONSECUTIVE_NIGHTS', `${nameOf(row)} would work ${nightRun} consecutive nights; limit is ${rules.maxConsecutiveNights}`, row);
+        }
+      }
+      if (report) {
+        const day = dayNumber(row.rosterDate);
+        const inWeek = rows.filter((other) => day - dayNumber(other.rosterDate) >= 0 && day - dayNumber(other.rosterDate) < 7).length;
+        if (inWeek > rules.maxShiftsPerWeek) {
+          issue(warnings, 'WEEKLY_LIMIT', `${nameOf(row)} has ${inWeek} shifts in the 7 days to ${row.rosterDate}; limit is ${rules.maxShiftsPerWeek}`, row);
+        }
+      }
+    });
+  }
+
+  const groups = new Map();
+  const groupKey = (row) => `${idOf(row.wardId)}|${row.rosterDate}|${idOf(row.shiftId)}`;
+  for (const slot of coverage) groups.set(groupKey(slot), { slot, rows: [] });
+  for (const row of active) {
+    if (!inScope(row)) continue;
+    const key = groupKey(row);
+    if (!groups.has(key)) groups.set(key, { slot: row, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+  for (const { slot, rows } of groups.values()) {
+    const ward = wards.get(idOf(slot.wardId));
+    if (!ward) continue;
+    const people = rows.map((row) => staff.get(idOf(row.employeeId))).filter(Boolean);
+    const nurses = people.filter((person) => person.staff_type === 'nurse');
+    const required = requiredNurses(ward.occupiedBeds, ratioFor(rules, ward.type));
+    const where = `${ward.name} ${slot.shiftName || ''} ${slot.rosterDate}`.replace(/\s+/g, ' ');
+    const context = { wardId: slot.wardId, rosterDate: slot.rosterDate, shiftId: slot.shiftId };
+    if (nurses.length < required) {
+      warnings.push({
+        code: 'RATIO_SHORTFALL',
+        message: `${where}: ${nurses.length} nurse(s) rostered for ${ward.occupiedBeds} occupied bed(s); ${required} required`,
+        ...context,
+        required,
+        rostered: nurses.length,
+        occupiedBeds: ward.occupiedBeds
+      });
+    }
+    for (const mix of rules.skillMix.filter((item) => item.wardType === '*' || item.wardType === ward.type)) {
+      const count = people.filter((person) => (person.skills || []).includes(mix.skill)).length;
+      if (count < mix.minPerShift) {
+        warnings.push({ code: 'SKILL_MIX', message: `${where}: needs ${mix.minPerShift} '${mix.skill}' staff, has ${count}`, ...context, skill: mix.skill, required: mix.minPerShift, rostered: count });
+      }
+    }
+  }
+  return { errors, warnings };
+}
+
+/** Compares a published assignment with the attendance recorded for that day. */
+function classifyAttendance(assignment, attendance, { graceMinutes = DEFAULT_POLICY.lateGraceMinutes, now = new Date(), leave = false } = {}) {
+  if (leave) return { status: 'on_leave' };
+  const graceMs = graceMinutes * 60000;
+  const start = new Date(assignment.shiftStart);
+  const end = new Date(assignment.shiftEnd);
+  if (!attendance?.check_in) {
+    if (attendance?.status === 'leave') return { status: 'on_leave' };
+    return { status: now < new Date(start.getTime() + graceMs) ? 'upcoming' : 'no_show' };
+  }
+  const lateMinutes = Math.max(0, Math.round((new Date(attendance.check_in) - start) / 60000));
+  const earlyMinutes = attendance.check_out ? Math.max(0, Math.round((end - new Date(attendance.check_out)) / 60000)) : 0;
+  const exceptions = [];
+  if (lateMinutes * 60000 > graceMs) exceptions.push('late_arrival');
+  if (earlyMinutes * 60000 > graceMs) exceptions.push('early_departure');
+  return {
+    status: exceptions.includes('late_arrival') ? 'late' : exceptions.length ? 'early_departure' : 'present',
+    lateMinutes,
+    earlyMinutes,
+    exceptions
+  };
+}
+
+async function loadPolicy(hospitalId) {
+  const setting = await getOrCreateNabhSetting(hospitalId);
+  const config = setting?.nurseStaffing?.toObject?.() || setting?.nurseStaffing || {};
+  return {
+    ...DEFAULT_POLICY,
+    ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== null))
+  };
+}
+
+async function wardsWithOccupancy(hospitalId, wardIds) {
+  const ids = [...new Set(wardIds.map(idOf))];
+  const [wards, occupancy] = await Promise.all([
+    Ward.find({ hospitalId, _id: { $in: ids } }).select('name type').lean(),
+    Bed.aggregate([
+      {
+        $match: {
+          hospitalId: new mongoose.Types.ObjectId(String(hospitalId)),
+          wardId: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+          status: 'Occupied',
+          isActive: { $ne: false }
+        }
+      },
+      { $group: { _id: '$wardId', occupied: { $sum: 1 } } }
+    ])
+  ]);
+  const occupied = new Map(occupancy.map((row) => [idOf(row._id), row.occupied]));
+  return new Map(wards.map((ward) => [idOf(ward._id), { ...ward, occupiedBeds: occupied.get(idOf(ward._id)) || 0 }]));
+}
+
+async function staffMap(hospitalId, employeeIds) {
+  const rows = await HRStaffProfile.find({ hospital_id: hospitalId, _id: { $in: [...new Set(employeeIds.map(idOf))] } })
+    .select('full_name employee_code staff_type designation skills user_id employment_status')
+    .lean();
+  return new Map(rows.map((row) => [idOf(row._id), row]));
+}
+
+async function approvedLeaves(hospitalId, employeeIds, fromDate, toDate) {
+  const zone = timeZone();
+  const rows = await StaffLeaveRequest.find({
+    hospital_id: hospitalId,
+    employee_id: { $in: employeeIds },
+    status: 'approved',
+    start_date: { $lt: hospitalDayBounds(toDate, zone).end },
+    end_date: { $gte: hospitalDayBounds(fromDate, zone).start }
+  }).select('employee_id start_date end_date leave_type').lean();
+  return leaveIndex(rows, zone);
+}
+
+/**
+ * Loads the ward's assignments in range plus every other active assignment of
+ * the same people in the surrounding week, then validates the range.
+ */
+async function validateWardRange({ hospitalId, wardId, fromDate, toDate, replace = [] }) {
+  const days = dateKeys(fromDate, toDate);
+  const [scope, shifts, policy] = await Promise.all([
+    RosterAssignment.find({ hospitalId, wardId, rosterDate: { $gte: fromDate, $lte: toDate }, status: { $in: RosterAssignment.ACTIVE_STATUSES } }).lean(),
+    Shift.find({ is_active: { $ne: false } }).select('name').lean(),
+    loadPolicy(hospitalId)
+  ]);
+  const employeeIds = [...new Set([...scope, ...replace].map((row) => idOf(row.employeeId)))];
+  const neighbours = employeeIds.length
+    ? await RosterAssignment.find({
+      hospitalId,
+      employeeId: { $in: employeeIds },
+      rosterDate: { $gte: addDateKeyDays(fromDate, -7), $lte: addDateKeyDays(toDate, 7) },
+      status: { $in: RosterAssignment.ACTIVE_STATUSES }
+    }).lean()
+    : [];
+  const overrides = new Map(replace.map((row) => [idOf(row._id), row]));
+  const assignments = neighbours.map((row) => overrides.get(idOf(row._id)) || row);
+  const [staff, leaves, wards] = await Promise.all([
+    staffMap(hospitalId, employeeIds),
+    approvedLeaves(hospitalId, employeeIds, fromDate, toDate),
+    wardsWithOccupancy(hospitalId, [wardId])
+  ]);
+  const coverage = days.flatMap((rosterDate) => shifts.map((shift) => ({ wardId, rosterDate, shiftId: shift._id, shiftName: shift.name })));
+  const inScope = (row) => idOf(row.wardId) === idOf(wardId) && row.rosterDate >= fromDate && row.rosterDate <= toDate;
+  const result = validateRoster({ assignments, staff, leaves, wards, policy, coverage, inScope });
+  return { ...result, assignments: scope, staff, ward: wards.get(idOf(wardId)), policy };
+}
+
+async function requireWard(hospitalId, wardId) {
+  const ward = await Ward.findOne({ _id: wardId, hospitalId, isActive: { $ne: false } }).select('name type').lean();
+  if (!ward) throw httpError('Ward not found', 404);
+  return ward;
+}
+
+async function requireEmployees(hospitalId, employeeIds) {
+  const staff = await staffMap(hospitalId, employeeIds);
+  const missing = employeeIds.filter((id) => staff.get(idOf(id))?.employment_status !== 'Active');
+  if (missing.length) throw httpError('Every rostered employee must be an active staff member of this hospital', 400, 'ROSTER_STAFF_INVALID', { employeeIds: missing });
+  return staff;
+}
+
+async function shiftsById(ids) {
+  const shifts = await Shift.find({ _id: { $in: [...new Set(ids.map(idOf))] }, is_active: { $ne: false } }).lean();
+  const map = new Map(shifts.map((shift) => [idOf(shift._id), shift]));
+  const missing = ids.filter((id) => !map.has(idOf(id)));
+  if (missing.length) throw httpError('Unknown shift in roster', 400, 'ROSTER_SHIFT_INVALID', { shiftIds: [...new Set(missing.map(idOf))] });
+  return map;
+}
+
+async function saveTemplate({ req, hospitalId, id, body = {} }) {
+  const pattern = (body.pattern || []).map((day) => ({ shiftId: (day?.shiftId ?? day) || null }));
+  if (!pattern.length) throw httpError('pattern must list one shift (or null for a day off) per cycle day');
+  await shiftsById(pattern.map((day) => day.shiftId).filter(Boolean));
+  if (body.wardId) await requireWard(hospitalId, body.wardId);
+  const values = { name: body.name, wardId: body.wardId || undefined, pattern, notes: body.notes, updatedBy: req.user?._id };
+  if (body.isActive !== undefined) values.isActive = body.isActive !== false;
+  if (id) {
+    const template = await RosterTemplate.findOneAndUpdate({ _id: id, hospitalId }, { $set: values }, { new: true, runValidators: true });
+    if (!template) throw httpError('Roster template not found', 404);
+    return template;
+  }
+  return RosterTemplate.create({ hospitalId, ...values, createdBy: req.user?._id });
+}
+
+/** Creates draft assignments from a rotation. Days already rostered and approved leave are skipped. */
+async function applyTemplate({ req, hospitalId, templateId, wardId, fromDate, toDate, anchorDate, staff = [] }) {
+  const template = await RosterTemplate.findOne({ _id: templateId, hospitalId, isActive: true }).lean();
+  if (!template) throw httpError('Roster template not found', 404);
+  const targetWardId = wardId || template.wardId;
+  if (!targetWardId) throw httpError('wardId is required');
+  await requireWard(hospitalId, targetWardId);
+  if (!staff.length) throw httpError('staff must list at least one employee');
+  if (anchorDate && !isDateKey(anchorDate)) throw httpError('anchorDate must be YYYY-MM-DD');
+  const people = await requireEmployees(hospitalId, staff.map((member) => member.employeeId));
+  const leaves = await approvedLeaves(hospitalId, staff.map((member) => member.employeeId), fromDate, toDate);
+  const { slots, skipped } = expandTemplate({ pattern: template.pattern, staff, fromDate, toDate, anchorDate, leaves });
+  const shifts = await shiftsById(slots.map((slot) => slot.shiftId));
+  const docs = slots.map((slot) => {
+    const shift = shifts.get(idOf(slot.shiftId));
+    const window = shiftWindow(slot.rosterDate, shift);
+    return {
+      hospitalId,
+      rosterDate: slot.rosterDate,
+      wardId: targetWardId,
+      shiftId: shift._id,
+      shiftName: shift.name,
+      shiftStart: window.start,
+      shiftEnd: window.end,
+      employeeId: slot.employeeId,
+      userId: people.get(idOf(slot.employeeId))?.user_id,
+      source: 'template',
+      templateId: template._id,
+      createdBy: req.user?._id
+    };
+  });
+  let created = docs.length;
+  if (docs.length) {
+    try {
+      await RosterAssignment.insertMany(docs, { ordered: false });
+    } catch (error) {
+      if (error.code !== 11000 && !error.writeErrors?.every((item) => item.code === 11000)) throw error;
+      const duplicates = error.writeErrors?.length || 0;
+      created -= duplicates;
+      skipped.push({ reason: 'already_rostered', count: duplicates });
+    }
+  }
+  return { created, skipped };
+}
+
+async function addAssignment({ req, hospitalId, body = {} }) {
+  if (!isDateKey(body.rosterDate)) throw httpError('rosterDate must be YYYY-MM-DD');
+  await requireWard(hospitalId, body.wardId);
+  const people = await requireEmployees(hospitalId, [body.employeeId]);
+  const shift = (await shiftsById([body.shiftId])).get(idOf(body.shiftId));
+  const window = shiftWindow(body.rosterDate, shift);
+  try {
+    return await RosterAssignment.create({
+      hospitalId,
+      rosterDate: body.rosterDate,
+      wardId: body.wardId,
+      shiftId: shift._id,
+      shiftName: shift.name,
+      shiftStart: window.start,
+      shiftEnd: window.end,
+      employeeId: body.employeeId,
+      userId: people.get(idOf(body.employeeId))?.user_id,
+      notes: body.notes,
+      createdBy: req.user?._id
+    });
+  } catch (error) {
+    if (error.code === 11000) throw httpError('This employee is already rostered on that shift', 409, 'ROSTER_DUPLICATE');
+    throw error;
+  }
+}
+
+async function endAvailability(assignment, at = new Date()) {
+  if (!assignment.availabilityId) return;
+  await StaffAvailability.updateOne({ _id: assignment.availabilityId }, { $set: { valid_to: at } });
+}
+
+async function cancelAssignment({ req, hospitalId, id, reason }) {
+  const assignment = await RosterAssignment.findOne({ _id: id, hospitalId, status: { $in: RosterAssignment.ACTIVE_STATUSES } });
+  if (!assignment) throw httpError('Roster assignment not found', 404);
+  if (assignment.status === 'published' && !String(reason || '').trim()) throw httpError('A reason is required to cancel a published shift');
+  const wasPublished = assignment.status === 'published';
+  assignment.status = 'cancelled';
+  assignment.cancelledAt = new Date();
+  assignment.cancelledBy = req.user?._id;
+  assignment.cancelReason = reason;
+  await assignment.save();
+  await ShiftSwapRequest.updateMany(
+    { hospitalId, status: { $in: ['pending_counterpart', 'pending_approval'] }, $or: [{ assignmentId: assignment._id }, { counterpartAssignmentId: assignment._id }] },
+    { $set: { status: 'cancelled', decisionNote: 'Shift was cancelled' } }
+  );
+  if (wasPublished) {
+    await endAvailability(assignment);
+    await appendDomainEvent({
+      req,
+      eventType: 'hr.roster.shift_cancelled',
+      entityType: 'RosterAssignment',
+      entityId: assignment._id,
+      hospitalId,
+      beforeSummary: { status: 'published', employeeId: assignment.employeeId, rosterDate: assignment.rosterDate },
+      afterSummary: { status: 'cancelled' },
+      comments: reason
+    });
+  }
+  return assignment;
+}
+
+async function getRoster({ hospitalId, wardId, fromDate, toDate }) {
+  await requireWard(hospitalId, wardId);
+  const result = await validateWardRange({ hospitalId, wardId, fromDate, toDate });
+  const assignments = result.assignments
+    .sort((a, b) => a.rosterDate.localeCompare(b.rosterDate) || new Date(a.shiftStart) - new Date(b.shiftStart))
+    .map((row) => {
+      const person = result.staff.get(idOf(row.employeeId));
+      return { ...row, employee: person && { _id: person._id, full_name: person.full_name, employee_code: person.employee_code, staff_type: person.staff_type, skills: person.skills } };
+    });
+  return { ward: result.ward, fromDate, toDate, assignments, errors: result.errors, warnings: result.warnings };
+}
+
+/**
+ * Publishes the ward's draft shifts in range. Rule errors block publication;
+ * ratio and skill-mix warnings need an override reason. Each published shift
+ * becomes a StaffAvailability window for the ward.
+ */
+async function publishRoster({ req, hospitalId, wardId, fromDate, toDate, overrideReason }) {
+  const ward = await requireWard(hospitalId, wardId);
+  const { errors, warnings, assignments } = await validateWardRange({ hospitalId, wardId, fromDate, toDate });
+  if (errors.length) throw httpError(`${errors.length} roster rule violation(s) must be fixed before publishing`, 409, 'ROSTER_INVALID', errors);
+  const override = String(overrideReason || '').trim();
+  if (warnings.length && !override) {
+    throw httpError(`${warnings.length} staffing warning(s) need an override reason to publish`, 422, 'ROSTER_WARNINGS', warnings);
+  }
+  const drafts = assignments.filter((row) => row.status === 'draft');
+  if (!drafts.length) throw httpError('No draft shifts to publish in this range', 409, 'ROSTER_NOTHING_TO_PUBLISH');
+
+  const publishedAt = new Date();
+  const availability = await StaffAvailability.insertMany(drafts.map((row) => ({
+    employee_id: row.employeeId,
+    user_id: row.userId,
+    status: 'in_ward',
+    current_location: ward.name,
+    valid_from: row.shiftStart,
+    valid_to: row.shiftEnd,
+    note: `Rostered ${row.shiftName || ''} shift`.replace(/\s+/g, ' '),
+    hospital_id: hospitalId,
+    updated_by: req.user?._id
+  })));
+  await RosterAssignment.bulkWrite(drafts.map((row, index) => ({
+    updateOne: {
+      filter: { _id: row._id, status: 'draft' },
+      update: {
+        $set: {
+          status: 'published',
+          publishedAt,
+          publishedBy: req.user?._id,
+          availabilityId: availability[index]._id,
+          ...(warnings.length ? { publishOverrideReason: override } : {})
+        }
+      }
+    }
+  })));
+  await appendDomainEvent({
+    req,
+    eventType: 'hr.roster.published',
+    entityType: 'Ward',
+    entityId: ward._id,
+    hospitalId,
+    afterSummary: { fromDate, toDate, published: drafts.length, warnings: warnings.length },
+    reasonCode: warnings.length ? 'STAFFING_OVERRIDE' : undefined,
+    comments: warnings.length ? override : undefined,
+    metadata: warnings.length ? { warnings: warnings.map((warning) => warning.message) } : undefined
+  });
+  return { published: drafts.length, warnings };
+}
+
+/** The HR profile of the signed-in user. */
+async function selfEmployee(hospitalId, user) {
+  const or = [{ user_id: user?._id }];
+  if (user?.staff_profile_id) or.unshift({ _id: user.staff_profile_id });
+  const employee = await HRStaffProfile.findOne({ hospital_id: hospitalId, $or: or }).select('full_name user_id staff_type').lean();
+  if (!employee) throw httpError('No staff profile is linked to this login', 404);
+  return employee;
+}
+
+async function myRoster({ hospitalId, user, fromDate, toDate }) {
+  dateKeys(fromDate, toDate);
+  const employee = await selfEmployee(hospitalId, user);
+  const [assignments, swaps] = await Promise.all([
+    RosterAssignment.find({ hospitalId, employeeId: employee._id, status: 'published', rosterDate: { $gte: fromDate, $lte: toDate } })
+      .populate('wardId', 'name')
+      .sort({ shiftStart: 1 })
+      .lean(),
+    ShiftSwapRequest.find({ hospitalId, $or: [{ requesterId: employee._id }, { counterpartId: employee._id }], status: { $in: ['pending_counterpart', 'pending_approval'] } }).lean()
+  ]);
+  return { employee, assignments, swaps };
+}
+
+async function requestSwap({ req, hospitalId, body = {} }) {
+  const requester = await selfEmployee(hospitalId, req.user);
+  const now = new Date();
+  const assignment = await RosterAssignment.findOne({ _id: body.assignmentId, hospitalId, status: 'published', employeeId: requester._id }).lean();
+  if (!assignment) throw httpError('Published shift not found for this employee', 404);
+  if (new Date(assignment.shiftStart) <= now) throw httpError('Only a future shift can be swapped', 409, 'SWAP_SHIFT_STARTED');
+  if (idOf(body.counterpartId) === idOf(requester._id)) throw httpError('Choose another staff member to swap with');
+  await requireEmployees(hospitalId, [body.counterpartId]);
+  if (body.counterpartAssignmentId) {
+    const other = await RosterAssignment.findOne({ _id: body.counterpartAssignmentId, hospitalId, status: 'published', employeeId: body.counterpartId }).lean();
+    if (!other) throw httpError("Counterpart's published shift not found", 404);
+    if (new Date(other.shiftStart) <= now) throw httpError('Only a future shift can be swapped', 409, 'SWAP_SHIFT_STARTED');
+  }
+  const open = await ShiftSwapRequest.exists({
+    hospitalId,
+    status: { $in: ['pending_counterpart', 'pending_approval'] },
+    $or: [{ assignmentId: assignment._id }, { counterpartAssignmentId: assignment._id }]
+  });
+  if (open) throw httpError('This shift already has an open swap request', 409, 'SWAP_PENDING');
+  return ShiftSwapRequest.create({
+    hospitalId,
+    requesterId: requester._id,
+    assignmentId: assignment._id,
+    counterpartId: body.counterpartId,
+    counterpartAssignmentId: body.counterpartAssignmentId || undefined,
+    reason: body.reason,
+    createdBy: req.user?._id
+  });
+}
+
+async function respondSwap({ req, hospitalId, id, accept, note }) {
+  const employee = await selfEmployee(hospitalId, req.user);
+  const swap = await ShiftSwapRequest.findOne({ _id: id, hospitalId, counterpartId: employee._id, status: 'pending_counterpart' });
+  if (!swap) throw httpError('Swap request not found or already answered', 404);
+  swap.status = accept ? 'pending_approval' : 'declined';
+  swap.counterpartRespondedAt = new Date();
+  swap.counterpartNote = note;
+  await swap.save();
+  return swap;
+}
+
+async function cancelSwap({ req, hospitalId, id }) {
+  const employee = await selfEmployee(hospitalId, req.user);
+  const swap = await ShiftSwapRequest.findOneAndUpdate(
+    { _id: id, hospitalId, requesterId: employee._id, status: { $in: ['pending_counterpart', 'pending_approval'] } },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (!swap) throw httpError('Open swap request not found', 404);
+  return swap;
+}
+
+async function listSwaps({ hospitalId, status }) {
+  const filter = { hospitalId };
+  if (status) filter.status = status;
+  return ShiftSwapRequest.find(filter)
+    .populate('requesterId counterpartId', 'full_name employee_code')
+    .populate('assignmentId counterpartAssignmentId', 'rosterDate shiftName wardId shiftStart')
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+}
+
+/**
+ * Approves or rejects a swap the counterpart has accepted. The exchanged
+ * roster is re-validated for both people before anything is changed.
+ */
+async function decideSwap({ req, hospitalId, id, approve, note }) {
+  const swap = await ShiftSwapRequest.findOne({ _id: id, hospitalId, status: 'pending_approval' });
+  if (!swap) throw httpError('Swap request not awaiting approval', 404);
+  if (!approve) {
+    Object.assign(swap, { status: 'rejected', decidedBy: req.user?._id, decidedAt: new Date(), decisionNote: note });
+    await swap.save();
+    return swap;
+  }
+
+  const ids = [swap.assignmentId, swap.counterpartAssignmentId].filter(Boolean);
+  const rows = await RosterAssignment.find({ _id: { $in: ids }, hospitalId, status: 'published' }).lean();
+  const mine = rows.find((row) => idOf(row._id) === idOf(swap.assignmentId));
+  const theirs = swap.counterpartAssignmentId ? rows.find((row) => idOf(row._id) === idOf(swap.counterpartAssignmentId)) : null;
+  if (!mine || idOf(mine.employeeId) !== idOf(swap.requesterId) || (swap.counterpartAssignmentId && (!theirs || idOf(theirs.employeeId) !== idOf(swap.counterpartId)))) {
+    throw httpError('The shifts changed after this swap was requested', 409, 'SWAP_STALE');
+  }
+  const staff = await requireEmployees(hospitalId, [swap.requesterId, swap.counterpartId]);
+  const moved = [{ ...mine, employeeId: swap.counterpartId, userId: staff.get(idOf(swap.counterpartId))?.user_id }];
+  if (theirs) moved.push({ ...theirs, employeeId: swap.requesterId, userId: staff.get(idOf(swap.requesterId))?.user_id });
+
+  const involved = new Set([idOf(swap.requesterId), idOf(swap.counterpartId)]);
+  const errors = new Map();
+  const warnings = new Map();
+  for (const row of moved) {
+    // The moved rows replace their stored versions for the check.
+    const result = await validateWardRange({ hospitalId, wardId: row.wardId, fromDate: row.rosterDate, toDate: row.rosterDate, replace: moved });
+    for (const item of result.errors.filter((error) => involved.has(idOf(error.employeeId)))) errors.set(`${item.code}|${idOf(item.assignmentId)}`, item);
+    for (const item of result.warnings) warnings.set(item.message, item);
+  }
+  if (errors.size) throw httpError('The swap breaks roster rules', 409, 'SWAP_INVALID', [...errors.values()]);
+
+  for (const row of moved) {
+    await RosterAssignment.updateOne(
+      { _id: row._id, status: 'published' },
+      { $set: { employeeId: row.employeeId, userId: row.userId, source: 'swap', swapRequestId: swap._id } }
+    );
+    if (row.availabilityId) {
+      await StaffAvailability.updateOne({ _id: row.availabilityId }, { $set: { employee_id: row.employeeId, user_id: row.userId, updated_by: req.user?._id } });
+    }
+  }
+  Object.assign(swap, {
+    status: 'approved',
+    decidedBy: req.user?._id,
+    decidedAt: new Date(),
+    decisionNote: note,
+    warnings: [...warnings.values()].map((item) => ({ code: item.code, message: item.message }))
+  });
+  await swap.save();
+  await appendDomainEvent({
+    req,
+    eventType: 'hr.roster.swap_approved',
+    entityType: 'ShiftSwapRequest',
+    entityId: swap._id,
+    hospitalId,
+    beforeSummary: { assignmentId: mine._id, employeeId: swap.requesterId, counterpartAssignmentId: theirs?._id, counterpartId: swap.counterpartId },
+    afterSummary: { status: 'approved' },
+    comments: note
+  });
+  return swap;
+}
+
+/** Published shifts against recorded attendance: no-shows, late arrivals, early departures. */
+async function attendanceVariance({ hospitalId, wardId, fromDate, toDate, now = new Date() }) {
+  dateKeys(fromDate, toDate);
+  const filter = { hospitalId, status: 'published', rosterDate: { $gte: fromDate, $lte: toDate } };
+  if (wardId) filter.wardId = wardId;
+  const assignments = await RosterAssignment.find(filter).sort({ shiftStart: 1 }).lean();
+  const employeeIds = [...new Set(assignments.map((row) => idOf(row.employeeId)))];
+  const zone = timeZone();
+  const [attendance, leaves, staff, policy] = await Promise.all([
+    StaffAttendance.find({
+      hospital_id: hospitalId,
+      employee_id: { $in: employeeIds },
+      attendance_date: { $gte: new Date(hospitalDayBounds(fromDate, zone).start.getTime() - DAY_MS), $lt: new Date(hospitalDayBounds(toDate, zone).end.getTime() + DAY_MS) }
+    }).lean(),
+    approvedLeaves(hospitalId, employeeIds, fromDate, toDate),
+    staffMap(hospitalId, employeeIds),
+    loadPolicy(hospitalId)
+  ]);
+  const byDay = new Map(attendance.map((row) => [`${idOf(row.employee_id)}|${hospitalDateKey(row.attendance_date, zone)}`, row]));
+  const rows = assignments.map((assignment) => {
+    const record = byDay.get(`${idOf(assignment.employeeId)}|${assignment.rosterDate}`);
+    const result = classifyAttendance(assignment, record, {
+      graceMinutes: policy.lateGraceMinutes,
+      now,
+      leave: onLeave(leaves, assignment.employeeId, assignment.rosterDate)
+    });
+    return {
+      assignmentId: assignment._id,
+      rosterDate: assignment.rosterDate,
+      wardId: assignment.wardId,
+      shiftName: assignment.shiftName,
+      shiftStart: assignment.shiftStart,
+      shiftEnd: assignment.shiftEnd,
+      employeeId: assignment.employeeId,
+      employeeName: staff.get(idOf(assignment.employeeId))?.full_name,
+      attendanceId: record?._id,
+      checkIn: record?.check_in,
+      checkOut: record?.check_out,
+      ...result
+    };
+  });
+  const summary = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  return { fromDate, toDate, summary, rows };
+}
+
+/** Published shift for an employee closest to the first punch of a day, if any. */
+async function rosteredShiftFor({ hospitalId, employeeId, dayStart, dayEnd, firstPunch }) {
+  const candidates = await RosterAssignment.find({
+    hospitalId,
+    employeeId,
+    status: 'published',
+    shiftStart: { $gte: new Date(dayStart.getTime() - 6 * HOUR_MS), $lt: dayEnd }
+  }).lean();
+  if (!candidates.length) return null;
+  const at = new Date(firstPunch).getTime();
+  return candidates.sort((a, b) => Math.abs(new Date(a.shiftStart) - at) - Math.abs(new Date(b.shiftStart) - at))[0];
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  shiftWindow,
+  isNightShift,
+  leaveIndex,
+  expandTemplate,
+  requiredNurses,
+  validateRoster,
+  classifyAttendance,
+  loadPolicy,
+  saveTemplate,
+  applyTemplate,
+  addAssignment,
+  cancelAssignment,
+  getRoster,
+  publishRoster,
+  myRoster,
+  requestSwap,
+  respondSwap,
+  cancelSwap,
+  listSwaps,
+  decideSwap,
+  attendanceVariance,
+  rosteredShiftFor
+};
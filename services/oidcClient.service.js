@@ -0,0 +1,294 @@
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { assertSafeOutboundUrl } = require('../utils/safeOutboundUrl');
+
+// OpenID Connect relying party used for hospital SSO: discovery,
+// authorization code with PKCE (S256), ID-token validation against the IdP's
+// JWKS and back-channel logout tokens. The transport is injectable;
+// `createMockOidcProvider` is a local IdP for development and tests that
+// serves discovery, JWKS and the token endpoint through that transport.
+
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const METADATA_TTL_MS = 10 * 60 * 1000;
+const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+function oidcError(message, statusCode = 401, code = 'OIDC_ERROR', details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function pkcePair() {
+  const verifier = randomToken(32);
+  return { verifier, challenge: crypto.createHash('sha256').update(verifier).digest('base64url') };
+}
+
+function normalizeHosts(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((host) => String(host).trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Outbound calls to the IdP. Only the issuer's host and SSO_ALLOWED_HOSTS are
+ * reachable; on-premises IdPs on a private network need SSO_ALLOW_PRIVATE_IDP.
+ */
+function createHttpTransport({ issuer, allowedHosts = process.env.SSO_ALLOWED_HOSTS, timeoutMs = process.env.SSO_TIMEOUT_MS } = {}) {
+  const production = process.env.NODE_ENV === 'production';
+  const hosts = [...normalizeHosts(allowedHosts), ...(issuer ? [new URL(issuer).hostname.toLowerCase()] : [])];
+  return async function request(rawUrl, { method = 'GET', form, headers = {} } = {}) {
+    const safeUrl = await assertSafeOutboundUrl(rawUrl, {
+      label: 'Identity provider URL',
+      allowedHosts: hosts,
+      requireAllowlist: true,
+      requireHttps: production,
+      allowPrivate: !production || String(process.env.SSO_ALLOW_PRIVATE_IDP || '').toLowerCase() === 'true'
+    });
+    let response;
+    try {
+      response = await fetch(safeUrl, {
+        method,
+        headers: { Accept: 'application/json', ...(form ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}), ...headers },
+        body: form ? new URLSearchParams(form).toString() : undefined,
+        redirect: 'error',
+        signal: AbortSignal.timeout(Number(timeoutMs || 15000))
+      });
+    } catch (cause) {
+      const error = oidcError('Identity provider is unavailable', 503, 'OIDC_PROVIDER_UNAVAILABLE');
+      error.cause = cause;
+      throw error;
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw oidcError(body.error_description || body.error || `Identity provider returned HTTP ${response.status}`, response.status >= 500 ? 503 : 401, 'OIDC_PROVIDER_ERROR', { error: body.error });
+    }
+    return body;
+  };
+}
+
+// Discovery documents and key sets are cached per transport, so a test's mock
+// IdP never shares a cache with a real one that happens to use the same issuer.
+const metadataCaches = new WeakMap();
+
+function cacheFor(request) {
+  if (!metadataCaches.has(request)) metadataCaches.set(request, new Map());
+  return metadataCaches.get(request);
+}
+
+function createOidcClient({ issuer, clientId, clientSecret, redirectUri, scopes = 'openid profile email', clockToleranceSeconds = 60, request } = {}) {
+  if (!issuer || !clientId || !redirectUri) {
+    throw oidcError('OIDC issuer, client ID and redirect URI are required', 409, 'SSO_NOT_CONFIGURED');
+  }
+  const expectedIssuer = issuer.replace(/\/$/, '');
+  const transport = request || createHttpTransport({ issuer: expectedIssuer });
+  const cache = cacheFor(transport);
+
+  async function cached(key, load, { refresh = false } = {}) {
+    const entry = cache.get(key);
+    if (!refresh && entry && Date.now() - entry.at < METADATA_TTL_MS) return entry.value;
+    const value = await load();
+    cache.set(key, { value, at: Date.now() });
+    return value;
+  }
+
+  async function metadata() {
+    return cached(`discovery:${expectedIssuer}`, async () => {
+      const document = await transport(`${expectedIssuer}/.well-known/openid-configuration`);
+      if (String(document.issuer || '').replace(/\/$/, '') !== expectedIssuer) {
+        throw oidcError('Discovery document issuer does not match the configured issuer', 502, 'OIDC_DISCOVERY_MISMATCH');
+      }
+      for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!document[field]) throw oidcError(`Discovery document has no ${field}`, 502, 'OIDC_DISCOVERY_INVALID');
+      }
+      return document;
+    });
+  }
+
+  async function signingKey(header) {
+    const { jwks_uri: jwksUri } = await metadata();
+    const find = (set) => (set.keys || []).find((key) => (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig'));
+    let jwk = find(await cached(`jwks:${jwksUri}`, () => transport(jwksUri)));
+    // An unknown kid usually means the IdP rotated keys; fetch once more.
+    if (!jwk) jwk = find(await cached(`jwks:${jwksUri}`, () => transport(jwksUri), { refresh: true }));
+    if (!jwk) throw oidcError('No matching signing key in the identity provider key set', 401, 'OIDC_KEY_NOT_FOUND');
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  async function verifyJwt(token, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded?.header) throw oidcError('Token is not a JWT', 401, 'OIDC_TOKEN_INVALID');
+    if (!SIGNING_ALGORITHMS.includes(decoded.header.alg)) throw oidcError(`Token algorithm ${decoded.header.alg} is not accepted`, 401, 'OIDC_TOKEN_INVALID');
+    const key = await signingKey(decoded.header);
+    try {
+      return jwt.verify(token, key, {
+        algorithms: [decoded.header.alg],
+        issuer: [expectedIssuer, `${expectedIssuer}/`],
+        audience: clientId,
+        clockTolerance: clockToleranceSeconds,
+        ...options
+      });
+    } catch (error) {
+      throw oidcError(`Token validation failed: ${error.message}`, 401, 'OIDC_TOKEN_INVALID');
+    }
+  }
+
+  return {
+    issuer: expectedIssuer,
+    metadata,
+
+    async authorizationUrl({ state, nonce, codeChallenge, prompt }) {
+      const { authorization_endpoint: endpoint } = await metadata();
+      const url = new URL(endpoint);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+        ...(prompt ? { prompt } : {})
+      }).toString();
+      return url.toString();
+    },
+
+    async exchangeCode({ code, codeVerifier }) {
+      const document = await metadata();
+      const form = { grant_type: 'authorization_code', code, redirect_uri: redirectUri, code_verifier: codeVerifier, client_id: clientId };
+      const headers = {};
+      if (clientSecret) {
+        const methods = document.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+        if (methods.includes('client_secret_basic')) {
+          headers.Authorization = `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString('base64')}`;
+        } else {
+          form.client_secret = clientSecret;
+        }
+      }
+      const tokens = await transport(document.token_endpoint, { method: 'POST', form, headers });
+      if (!tokens.id_token) throw oidcError('Token response has no ID token', 401, 'OIDC_TOKEN_INVALID');
+      return tokens;
+    },
+
+    /** Validates signature, issuer, audience, expiry and the nonce bound to this login. */
+    async verifyIdToken(idToken, { nonce }) {
+      const claims = await verifyJwt(idToken);
+      if (!nonce || claims.nonce !== nonce) throw oidcError('ID token nonce does not match this login', 401, 'OIDC_NONCE_MISMATCH');
+      if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+        throw oidcError('ID token was issued to a different client', 401, 'OIDC_TOKEN_INVALID');
+      }
+      if (!claims.sub) throw oidcError('ID token has no subject', 401, 'OIDC_TOKEN_INVALID');
+      return claims;
+    },
+
+    async userinfo(accessToken) {
+      const { userinfo_endpoint: endpoint } = await metadata();
+      if (!endpoint || !accessToken) return {};
+      return transport(endpoint, { headers: { Authorization: `Bearer ${accessToken}` } });
+    },
+
+    /** OIDC Back-Channel Logout 1.0 logout token. */
+    async verifyLogoutToken(logoutToken) {
+      const claims = await verifyJwt(logoutToken, { maxAge: '5m' });
+      if (!claims.events || typeof claims.events[BACKCHANNEL_LOGOUT_EVENT] !== 'object') {
+        throw oidcError('Logout token has no back-channel logout event', 400, 'OIDC_LOGOUT_TOKEN_INVALID');
+      }
+      if (claims.nonce !== undefined) throw oidcError('Logout token must not carry a nonce', 400, 'OIDC_LOGOUT_TOKEN_INVALID');
+      if (!claims.sub && !claims.sid) throw oidcError('Logout token names neither a subject nor a session', 400, 'OIDC_LOGOUT_TOKEN_INVALID');
+      return claims;
+    },
+
+    async endSessionUrl({ idTokenHint, postLogoutRedirectUri, state }) {
+      const { end_session_endpoint: endpoint } = await metadata();
+      if (!endpoint) return null;
+      const url = new URL(endpoint);
+      url.search = new URLSearchParams({
+        client_id: clientId,
+        ...(idTokenHint ? { id_token_hint: idTokenHint } : {}),
+        ...(postLogoutRedirectUri ? { post_logout_redirect_uri: postLogoutRedirectUri } : {}),
+        ...(state ? { state } : {})
+      }).toString();
+      return url.toString();
+    }
+  };
+}
+
+/** Local OpenID provider: one RSA signing key, in-memory authorization codes. */
+function createMockOidcProvider({ issuer = 'https://idp.hims.local/realms/hospital', clock = () => new Date() } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = randomToken(8);
+  const codes = new Map();
+  const now = () => Math.floor(clock().getTime() / 1000);
+  const sign = (payload) => jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: kid });
+
+  const provider = {
+    issuer,
+    /** Signs an arbitrary ID token; tests use it to forge bad ones. */
+    idToken({ clientId, claims = {}, expiresIn = 300 }) {
+      return sign({ iss: issuer, aud: clientId, iat: now(), exp: now() + expiresIn, ...claims });
+    },
+    /** The user signs in at the IdP; returns the code the browser brings back. */
+    authorize({ clientId, redirectUri, nonce, codeChallenge, claims = {} }) {
+      const code = randomToken(24);
+      codes.set(code, { clientId, redirectUri, nonce, codeChallenge, claims });
+      return code;
+    },
+    logoutToken({ clientId, sub, sid }) {
+      return sign({
+        iss: issuer, aud: clientId, iat: now(), exp: now() + 120, jti: randomToken(12),
+        ...(sub ? { sub } : {}), ...(sid ? { sid } : {}),
+        events: { [BACKCHANNEL_LOGOUT_EVENT]: {} }
+      });
+    },
+    async request(url, { method = 'GET', form = {} } = {}) {
+      const path = new URL(url).pathname.replace(new URL(issuer).pathname, '');
+      if (path === '/.well-known/openid-configuration') {
+        return {
+          issuer,
+          authorization_endpoint: `${issuer}/protocol/openid-connect/auth`,
+          token_endpoint: `${issuer}/protocol/openid-connect/token`,
+          jwks_uri: `${issuer}/protocol/openid-connect/certs`,
+          end_session_endpoint: `${issuer}/protocol/openid-connect/logout`,
+          token_endpoint_auth_methods_supported: ['client_secret_post'],
+          backchannel_logout_supported: true
+        };
+      }
+      if (path === '/protocol/openid-connect/certs') {
+        return { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] };
+      }
+      if (path === '/protocol/openid-connect/token' && method === 'POST') {
+        const grant = codes.get(form.code);
+        codes.delete(form.code);
+        const challenge = crypto.createHash('sha256').update(String(form.code_verifier || '')).digest('base64url');
+        if (!grant || grant.clientId !== form.client_id || grant.redirectUri !== form.redirect_uri || grant.codeChallenge !== challenge) {
+          throw oidcError('invalid_grant', 401, 'OIDC_PROVIDER_ERROR', { error: 'invalid_grant' });
+        }
+        return {
+          token_type: 'Bearer',
+          access_token: randomToken(),
+          expires_in: 300,
+          id_token: provider.idToken({ clientId: grant.clientId, claims: { nonce: grant.nonce, ...grant.claims } })
+        };
+      }
+      throw oidcError(`Mock IdP has no endpoint ${path}`, 404, 'OIDC_PROVIDER_ERROR');
+    }
+  };
+  return provider;
+}
+
+module.exports = {
+  BACKCHANNEL_LOGOUT_EVENT,
+  randomToken,
+  pkcePair,
+  createHttpTransport,
+  createOidcClient,
+  createMockOidcProvider
+};
@@ -0,0 +1,592 @@
+'use strict';
+
+const OTBlockTemplate = require('../models/OTBlockTemplate');
+const OTBlock = require('../models/OTBlock');
+const OTWaitlistEntry = require('../models/OTWaitlistEntry');
+const OTSchedule = require('../models/OTSchedule');
+const OTRequest = require('../models/OTRequest');
+const Room = require('../models/Room');
+const Doctor = require('../models/Doctor');
+const Department = require('../models/Department');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { queueNotification } = require('./nabhNotification.service');
+const {
+  isDateKey,
+  addDateKeyDays,
+  hospitalDateKey,
+  hospitalDayBounds,
+  parseHospitalDateTime
+} = require('../utils/hospitalDateTime');
+const { currentContext } = require('../utils/operationTimeContext');
+
+const MAX_RANGE_DAYS = 92;
+const MINUTE_MS = 60000;
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+const ACTIVE_SCHEDULE_STATUSES = ['Scheduled', 'In Progress'];
+const URGENCY_RANK = { Emergency: 0, Urgent: 1, Elective: 2 };
+const GROUP_BY = ['room', 'surgeon', 'department'];
+const DEFAULT_FIRST_CASE_GRACE_MINUTES = 15;
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function timeZone() {
+  return currentContext()?.timeZone || undefined;
+}
+
+function idOf(value) {
+  return value?._id ? String(value._id) : String(value || '');
+}
+
+function dayNumber(dateKey) {
+  return Math.round(Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS);
+}
+
+function dateKeys(fromDate, toDate) {
+  if (!isDateKey(fromDate) || !isDateKey(toDate)) throw httpError('fromDate and toDate must be YYYY-MM-DD');
+  const days = dayNumber(toDate) - dayNumber(fromDate) + 1;
+  if (days < 1) throw httpError('fromDate cannot be after toDate');
+  if (days > MAX_RANGE_DAYS) throw httpError(`A range cannot exceed ${MAX_RANGE_DAYS} days`);
+  return Array.from({ length: days }, (_, index) => addDateKeyDays(fromDate, index));
+}
+
+function minutesBetween(start, end) {
+  return (new Date(end) - new Date(start)) / MINUTE_MS;
+}
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/** Dated blocks a template produces in [fromDate, toDate], honouring its effective window. */
+function expandBlockTemplate(template, fromDate, toDate, zone = timeZone()) {
+  const weeks = template.weeksOfMonth || [];
+  return dateKeys(fromDate, toDate)
+    .filter((key) => key >= template.effectiveFrom && (!template.effectiveTo || key <= template.effectiveTo))
+    .filter((key) => template.weekdays.includes(new Date(`${key}T00:00:00Z`).getUTCDay()))
+    .filter((key) => !weeks.length || weeks.includes(Math.ceil(Number(key.slice(8, 10)) / 7)))
+    .map((key) => {
+      const start = parseHospitalDateTime(template.startTime, key, zone);
+      const end = parseHospitalDateTime(template.endTime, key, zone);
+      if (end <= start) throw httpError('Block end time must be after its start time');
+      return { blockDate: key, start, end, releaseAt: new Date(start.getTime() - Number(template.releaseHoursBefore ?? 72) * HOUR_MS) };
+    });
+}
+
+/** Whether a case belongs to the surgeon or department holding a block. */
+function ownsBlock(block, { surgeonId, departmentId }) {
+  if (block.ownerType === 'surgeon') return Boolean(surgeonId) && idOf(block.surgeonId) === idOf(surgeonId);
+  return Boolean(departmentId) && idOf(block.departmentId) === idOf(departmentId);
+}
+
+/** Unbooked intervals of a block, given the active bookings in its room. */
+function freeWindows(block, bookings) {
+  const busy = bookings
+    .map((row) => ({ start: new Date(row.scheduledStart), end: new Date(row.scheduledEnd) }))
+    .filter((row) => row.end > block.start && row.start < block.end)
+    .sort((a, b) => a.start - b.start);
+  const windows = [];
+  let cursor = new Date(block.start);
+  for (const row of busy) {
+    if (row.start > cursor) windows.push({ start: cursor, end: row.start });
+    if (row.end > cursor) cursor = row.end;
+  }
+  if (cursor < block.end) windows.push({ start: cursor, end: new Date(block.end) });
+  return windows;
+}
+
+/**
+ * Fills released time from the waitlist: most urgent first, then longest
+ * waiting, each placed at the start of the first window it fits.
+ */
+function matchWaitlist({ block, windows, entries }) {
+  const open = windows.map((window) => ({ ...window }));
+  const offers = [];
+  const ordered = [...entries].sort((a, b) => (URGENCY_RANK[a.urgency] ?? 2) - (URGENCY_RANK[b.urgency] ?? 2)
+    || new Date(a.createdAt) - new Date(b.createdAt));
+  for (const entry of ordered) {
+    if (entry.earliestDate && block.blockDate < entry.earliestDate) continue;
+    if (entry.latestDate && block.blockDate > entry.latestDate) continue;
+    if (entry.preferredRoomIds?.length && !entry.preferredRoomIds.some((id) => idOf(id) === idOf(block.otRoomId))) continue;
+    if ((entry.declinedBlockIds || []).some((id) => idOf(id) === idOf(block._id))) continue;
+    const window = open.find((slot) => minutesBetween(slot.start, slot.end) >= entry.durationMinutes);
+    if (!window) continue;
+    const start = new Date(window.start);
+    const end = new Date(start.getTime() + entry.durationMinutes * MINUTE_MS);
+    window.start = end;
+    offers.push({ entryId: entry._id, start, end });
+  }
+  return offers;
+}
+
+function caseGroupKey(row, groupBy) {
+  if (groupBy === 'room') return idOf(row.otRoomId);
+  if (groupBy === 'surgeon') return idOf(row.primarySurgeonId || row.doctorId);
+  return idOf(row.departmentId);
+}
+
+function blockGroupKey(block, groupBy) {
+  if (groupBy === 'room') return idOf(block.otRoomId);
+  if (groupBy === 'surgeon') return block.ownerType === 'surgeon' ? idOf(block.surgeonId) : '';
+  return block.ownerType === 'department' ? idOf(block.departmentId) : '';
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Theatre utilisation per room, surgeon or department.
+ * - first-case on-time: the earliest booked case of each room-day started
+ *   within the grace period of its booked start;
+ * - turnover: previous case out (completedAt) to next case in (patient
+ *   received, else start) in the same room-day, attributed to the incoming case;
+ * - in-room minutes run from patient received (or start) to completion;
+ * - block utilisation is in-room time falling inside allocated blocks.
+ */
+function utilisationReport({ cases, blocks = [], groupBy = 'room', graceMinutes = DEFAULT_FIRST_CASE_GRACE_MINUTES, zone = timeZone() }) {
+  if (!GROUP_BY.includes(groupBy)) throw httpError(`groupBy must be one of ${GROUP_BY.join(', ')}`);
+  const groups = new Map();
+  const group = (key) => {
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key: key || null,
+        cases: 0,
+        completedCases: 0,
+        firstCases: 0,
+        firstCasesOnTime: 0,
+        turnoverMinutes: [],
+        bookedMinutes: 0,
+        inRoomMinutes: 0,
+        blockMinutes: 0,
+        blockUsedMinutes: 0,
+        releasedBlockMinutes: 0,
+        cancellations: 0,
+        cancellationReasons: {}
+      });
+    }
+    return groups.get(key);
+  };
+
+  const inRoom = (row) => (row.completedAt && (row.patientReceivedAt || row.startedAt)
+    ? { start: new Date(row.patientReceivedAt || row.startedAt), end: new Date(row.completedAt) }
+    : null);
+
+  const roomDays = new Map();
+  for (const row of cases) {
+    const bucket = group(caseGroupKey(row, groupBy));
+    if (row.status === 'Cancelled') {
+      bucket.cancellations += 1;
+      const reason = row.cancellationReasonCode || 'UNSPECIFIED';
+      bucket.cancellationReasons[reason] = (bucket.cancellationReasons[reason] || 0) + 1;
+      continue;
+    }
+    if (row.status === 'Postponed' || !row.scheduledStart) continue;
+    bucket.cases += 1;
+    bucket.bookedMinutes += Math.max(0, minutesBetween(row.scheduledStart, row.scheduledEnd));
+    const interval = inRoom(row);
+    if (interval) {
+      bucket.completedCases += 1;
+      bucket.inRoomMinutes += Math.max(0, minutesBetween(interval.start, interval.end));
+    }
+    const dayKey = `${idOf(row.otRoomId)}|${hospitalDateKey(row.scheduledStart, zone)}`;
+    if (!roomDays.has(dayKey)) roomDays.set(dayKey, []);
+    roomDays.get(dayKey).push(row);
+  }
+
+  for (const rows of roomDays.values()) {
+    rows.sort((a, b) => new Date(a.scheduledStart) - new Date(b.scheduledStart));
+    const first = rows[0];
+    if (first.startedAt) {
+      const bucket = group(caseGroupKey(first, groupBy));
+      bucket.firstCases += 1;
+      if (minutesBetween(first.scheduledStart, first.startedAt) <= graceMinutes) bucket.firstCasesOnTime += 1;
+    }
+    const started = rows.filter((row) => row.startedAt).sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+    for (let index = 1; index < started.length; index += 1) {
+      const previous = started[index - 1];
+      const next = started[index];
+      if (!previous.completedAt) continue;
+      const gap = minutesBetween(previous.completedAt, next.patientReceivedAt || next.startedAt);
+      if (gap >= 0) group(caseGroupKey(next, groupBy)).turnoverMinutes.push(gap);
+    }
+  }
+
+  const intervalsByRoom = new Map();
+  for (const row of cases) {
+    const interval = row.status !== 'Cancelled' && inRoom(row);
+    if (!interval) continue;
+    const room = idOf(row.otRoomId);
+    if (!intervalsByRoom.has(room)) intervalsByRoom.set(room, []);
+    intervalsByRoom.get(room).push(interval);
+  }
+
+  for (const block of blocks) {
+    if (block.status === 'cancelled') continue;
+    const key = blockGroupKey(block, groupBy);
+    if (!key) continue;
+    const bucket = group(key);
+    const minutes = minutesBetween(block.start, block.end);
+    if (block.status === 'released') {
+      bucket.releasedBlockMinutes += minutes;
+      continue;
+    }
+    bucket.blockMinutes += minutes;
+    for (const interval of intervalsByRoom.get(idOf(block.otRoomId)) || []) {
+      const start = Math.max(interval.start.getTime(), new Date(block.start).getTime());
+      const end = Math.min(interval.end.getTime(), new Date(block.end).getTime());
+      if (end > start) bucket.blockUsedMinutes += (end - start) / MINUTE_MS;
+    }
+  }
+
+  return [...groups.values()].map(({ turnoverMinutes, ...row }) => ({
+    ...row,
+    bookedMinutes: round(row.bookedMinutes),
+    inRoomMinutes: round(row.inRoomMinutes),
+    blockUsedMinutes: round(row.blockUsedMinutes),
+    firstCaseOnTimeRate: row.firstCases ? round(row.firstCasesOnTime / row.firstCases, 3) : null,
+    turnovers: turnoverMinutes.length,
+    averageTurnoverMinutes: turnoverMinutes.length ? round(turnoverMinutes.reduce((sum, value) => sum + value, 0) / turnoverMinutes.length) : null,
+    medianTurnoverMinutes: median(turnoverMinutes),
+    inRoomToBookedRatio: row.bookedMinutes ? round(row.inRoomMinutes / row.bookedMinutes, 3) : null,
+    blockUtilisation: row.blockMinutes ? round(row.blockUsedMinutes / row.blockMinutes, 3) : null
+  })).sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
+async function requireTheatre(hospitalId, roomId) {
+  const room = await Room.findOne({ _id: roomId, hospitalId }).lean();
+  if (!room || !/operation/i.test(room.type || '')) throw httpError('Valid operation theatre room not found', 404);
+  return room;
+}
+
+async function requireOwner(hospitalId, body) {
+  if (body.ownerType === 'surgeon') {
+    if (!body.surgeonId || !await Doctor.exists({ _id: body.surgeonId, hospitalId })) throw httpError('Surgeon not found', 404);
+    return { surgeonId: body.surgeonId, departmentId: undefined };
+  }
+  if (body.ownerType === 'department') {
+    if (!body.departmentId || !await Department.exists({ _id: body.departmentId, hospitalId })) throw httpError('Department not found', 404);
+    return { surgeonId: undefined, departmentId: body.departmentId };
+  }
+  throw httpError('ownerType must be surgeon or department');
+}
+
+async function caseOwner(hospitalId, otCase) {
+  const surgeonId = otCase.primarySurgeonId || otCase.doctorId;
+  const doctor = surgeonId ? await Doctor.findOne({ _id: surgeonId, hospitalId }).select('department').lean() : null;
+  return { surgeonId, departmentId: doctor?.department };
+}
+
+async function saveTemplate({ req, hospitalId, id, body = {} }) {
+  await requireTheatre(hospitalId, body.otRoomId);
+  const owner = await requireOwner(hospitalId, body);
+  if (!isDateKey(body.effectiveFrom)) throw httpError('effectiveFrom must be YYYY-MM-DD');
+  if (body.effectiveTo && (!isDateKey(body.effectiveTo) || body.effectiveTo < body.effectiveFrom)) throw httpError('effectiveTo must be a YYYY-MM-DD date on or after effectiveFrom');
+  if (String(body.endTime || '') <= String(body.startTime || '')) throw httpError('endTime must be after startTime on the same day');
+  const values = {
+    name: body.name,
+    otRoomId: body.otRoomId,
+    ownerType: body.ownerType,
+    ...owner,
+    weekdays: [...new Set((body.weekdays || []).map(Number))],
+    weeksOfMonth: [...new Set((body.weeksOfMonth || []).map(Number))],
+    startTime: body.startTime,
+    endTime: body.endTime,
+    releaseHoursBefore: body.releaseHoursBefore,
+    effectiveFrom: body.effectiveFrom,
+    effectiveTo: body.effectiveTo || undefined,
+    notes: body.notes,
+    updatedBy: req.user?._id
+  };
+  if (body.isActive !== undefined) values.isActive = body.isActive !== false;
+  if (id) {
+    const template = await OTBlockTemplate.findOneAndUpdate({ _id: id, hospitalId }, { $set: values }, { new: true, runValidators: true });
+    if (!template) throw httpError('Block template not found', 404);
+    return template;
+  }
+  return OTBlockTemplate.create({ hospitalId, ...values, createdBy: req.user?._id });
+}
+
+/** Creates dated blocks from a template. Dates already generated or clashing with another block are skipped. */
+async function generateBlocks({ req, hospitalId, templateId, fromDate, toDate }) {
+  const template = await OTBlockTemplate.findOne({ _id: templateId, hospitalId, isActive: true }).lean();
+  if (!template) throw httpError('Block template not found', 404);
+  const planned = expandBlockTemplate(template, fromDate, toDate);
+  const skipped = [];
+  const docs = [];
+  for (const slot of planned) {
+    const clash = await OTBlock.findOne({ // eslint-disable-line no-await-in-loop
+      hospitalId,
+      otRoomId: template.otRoomId,
+      status: { $ne: 'cancelled' },
+      start: { $lt: slot.end },
+      end: { $gt: slot.start }
+    }).select('templateId blockDate').lean();
+    if (clash) {
+      skipped.push({ blockDate: slot.blockDate, reason: idOf(clash.templateId) === idOf(template._id) ? 'already_generated' : 'room_already_blocked', blockId: clash._id });
+      continue;
+    }
+    docs.push({
+      hospitalId,
+      templateId: template._id,
+      otRoomId: template.otRoomId,
+      ownerType: template.ownerType,
+      surgeonId: template.surgeonId,
+      departmentId: template.departmentId,
+      ...slot,
+      createdBy: req.user?._id
+    });
+  }
+  const created = docs.length ? await OTBlock.insertMany(docs) : [];
+  return { created: created.length, skipped };
+}
+
+async function listBlocks({ hospitalId, fromDate, toDate, otRoomId, status }) {
+  const keys = dateKeys(fromDate, toDate);
+  const filter = { hospitalId, blockDate: { $gte: keys[0], $lte: keys[keys.length - 1] } };
+  if (otRoomId) filter.otRoomId = otRoomId;
+  if (status) filter.status = status;
+  return OTBlock.find(filter)
+    .populate('otRoomId', 'room_number roomNumber')
+    .populate('surgeonId', 'firstName lastName name')
+    .populate('departmentId', 'name')
+    .sort({ start: 1 })
+    .lean();
+}
+
+async function activeBookings(hospitalId, block) {
+  return OTSchedule.find({
+    hospitalId,
+    otRoomId: block.otRoomId,
+    status: { $in: ACTIVE_SCHEDULE_STATUSES },
+    scheduledStart: { $lt: block.end },
+    scheduledEnd: { $gt: block.start }
+  }).select('scheduledStart scheduledEnd requestId').lean();
+}
+
+/** Offers a released block's unbooked time to waiting cases. */
+async function offerReleasedTime(block, { now = new Date() } = {}) {
+  const windows = freeWindows(block, await activeBookings(block.hospitalId, block));
+  if (!windows.length) return [];
+  const entries = await OTWaitlistEntry.find({ hospitalId: block.hospitalId, status: 'waiting' }).lean();
+  const offers = matchWaitlist({ block, windows, entries });
+  for (const offer of offers) {
+    const entry = await OTWaitlistEntry.findOneAndUpdate( // eslint-disable-line no-await-in-loop
+      { _id: offer.entryId, status: 'waiting' },
+      { $set: { status: 'offered', offer: { blockId: block._id, otRoomId: block.otRoomId, start: offer.start, end: offer.end, offeredAt: now } } },
+      { new: true }
+    );
+    if (!entry) continue;
+    await queueNotification({ // eslint-disable-line no-await-in-loop
+      hospitalId: block.hospitalId,
+      eventType: 'ot_waitlist_offer',
+      correlationId: `${entry._id}:${block._id}`,
+      recipientType: 'staff',
+      recipientName: 'ot_scheduler',
+      requestedChannels: ['portal'],
+      priority: entry.urgency === 'Elective' ? 'normal' : 'high',
+      subject: 'Released theatre time offered',
+      body: `${entry.durationMinutes} min on ${block.blockDate} from released block time`,
+      patientId: entry.patientId,
+      payload: { waitlistEntryId: entry._id, caseId: entry.caseId, blockId: block._id, start: offer.start, end: offer.end }
+    });
+  }
+  return offers;
+}
+
+async function releaseBlock({ req, hospitalId, id, reason }) {
+  const block = await OTBlock.findOneAndUpdate(
+    { _id: id, hospitalId, status: 'allocated' },
+    { $set: { status: 'released', releasedAt: new Date(), releaseReason: 'manual', releasedBy: req.user?._id, releaseNote: reason } },
+    { new: true }
+  );
+  if (!block) throw httpError('Allocated block not found', 404);
+  await appendDomainEvent({
+    req,
+    eventType: 'ot.block.released',
+    entityType: 'OTBlock',
+    entityId: block._id,
+    hospitalId,
+    beforeSummary: { status: 'allocated' },
+    afterSummary: { status: 'released', blockDate: block.blockDate, releaseReason: 'manual' },
+    comments: reason
+  });
+  const offers = await offerReleasedTime(block);
+  return { block, offers };
+}
+
+/**
+ * Releases every allocated block whose release point has passed and that has
+ * not started yet. A fully booked block stays allocated and is stamped as
+ * checked; unchecked blocks sort first so they are never starved by it.
+ */
+async function releaseDueBlocks({ now = new Date(), limit = 200 } = {}) {
+  const due = await OTBlock.find({ status: 'allocated', releaseAt: { $lte: now }, start: { $gt: now } })
+    .sort({ releaseCheckedAt: 1, releaseAt: 1 })
+    .limit(limit);
+  let released = 0;
+  for (const block of due) {
+    const bookings = await activeBookings(block.hospitalId, block); // eslint-disable-line no-await-in-loop
+    if (!freeWindows(block, bookings).length) {
+      await OTBlock.updateOne({ _id: block._id, status: 'allocated' }, { $set: { releaseCheckedAt: now } }); // eslint-disable-line no-await-in-loop
+      continue;
+    }
+    const updated = await OTBlock.findOneAndUpdate( // eslint-disable-line no-await-in-loop
+      { _id: block._id, status: 'allocated' },
+      { $set: { status: 'released', releasedAt: now, releaseReason: 'auto' } },
+      { new: true }
+    );
+    if (!updated) continue;
+    released += 1;
+    await offerReleasedTime(updated, { now }); // eslint-disable-line no-await-in-loop
+  }
+  return released;
+}
+
+/**
+ * Scheduling guard: an allocated block keeps its time for its owner. Emergency
+ * cases and cases booking an offer they hold may use it.
+ */
+async function assertBlockAccess({ hospitalId, otCase, roomId, start, end, session }) {
+  if (otCase.urgency === 'Emergency' || otCase.emergencyOverride?.enabled) return;
+  const query = OTBlock.find({ hospitalId, otRoomId: roomId, status: 'allocated', start: { $lt: end }, end: { $gt: start } });
+  if (session) query.session(session);
+  const blocks = await query.lean();
+  if (!blocks.length) return;
+  const owner = await caseOwner(hospitalId, otCase);
+  const foreign = blocks.filter((block) => !ownsBlock(block, owner));
+  if (foreign.length) {
+    throw httpError('The selected time is inside a theatre block held by another surgeon or department', 409, 'OT_BLOCK_RESERVED', {
+      blocks: foreign.map((block) => ({ blockId: block._id, ownerType: block.ownerType, start: block.start, end: block.end, releaseAt: block.releaseAt }))
+    });
+  }
+}
+
+async function markWaitlistScheduled({ hospitalId, caseId, session }) {
+  await OTWaitlistEntry.updateMany(
+    { hospitalId, caseId, status: { $in: OTWaitlistEntry.OPEN_STATUSES } },
+    { $set: { status: 'scheduled', scheduledAt: new Date() } },
+    { session }
+  );
+}
+
+async function addToWaitlist({ req, hospitalId, body = {} }) {
+  const otCase = await OTRequest.findOne({ _id: body.caseId, hospitalId }).lean();
+  if (!otCase) throw httpError('OT case not found', 404);
+  if (!['Readiness Pending', 'Payment Pending', 'Payment Received', 'Approved', 'Postponed'].includes(otCase.status)) {
+    throw httpError(`Case with status ${otCase.status} cannot be waitlisted`, 409);
+  }
+  for (const key of ['earliestDate', 'latestDate']) {
+    if (body[key] && !isDateKey(body[key])) throw httpError(`${key} must be YYYY-MM-DD`);
+  }
+  if (body.earliestDate && body.latestDate && body.latestDate < body.earliestDate) throw httpError('latestDate cannot be before earliestDate');
+  const owner = await caseOwner(hospitalId, otCase);
+  try {
+    return await OTWaitlistEntry.create({
+      hospitalId,
+      caseId: otCase._id,
+      patientId: otCase.patientId,
+      ...owner,
+      urgency: otCase.urgency,
+      durationMinutes: Number(body.durationMinutes || otCase.estimated_duration_minutes || 60),
+      earliestDate: body.earliestDate,
+      latestDate: body.latestDate,
+      preferredRoomIds: body.preferredRoomIds || [],
+      notes: body.notes,
+      addedBy: req.user?._id
+    });
+  } catch (error) {
+    if (error.code === 11000) throw httpError('Case is already on the waitlist', 409, 'ALREADY_WAITLISTED');
+    throw error;
+  }
+}
+
+async function listWaitlist({ hospitalId, status }) {
+  const filter = { hospitalId, status: status ? status : { $in: OTWaitlistEntry.OPEN_STATUSES } };
+  const rows = await OTWaitlistEntry.find(filter)
+    .populate('caseId', 'requestNumber procedureName status')
+    .populate('patientId', 'first_name last_name name uhid')
+    .lean();
+  return rows.sort((a, b) => (URGENCY_RANK[a.urgency] ?? 2) - (URGENCY_RANK[b.urgency] ?? 2) || new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/** Declining an offer returns the entry to the queue and passes the slot to the next case. */
+async function declineOffer({ hospitalId, id }) {
+  const entry = await OTWaitlistEntry.findOne({ _id: id, hospitalId, status: 'offered' });
+  if (!entry) throw httpError('No open offer for this waitlist entry', 404);
+  const blockId = entry.offer.blockId;
+  entry.declinedBlockIds.push(blockId);
+  entry.status = 'waiting';
+  entry.offer = undefined;
+  await entry.save();
+  const block = await OTBlock.findOne({ _id: blockId, hospitalId, status: 'released' }).lean();
+  const offers = block && block.start > new Date() ? await offerReleasedTime(block) : [];
+  return { entry, offers };
+}
+
+async function removeFromWaitlist({ hospitalId, id, reason }) {
+  const entry = await OTWaitlistEntry.findOneAndUpdate(
+    { _id: id, hospitalId, status: { $in: OTWaitlistEntry.OPEN_STATUSES } },
+    { $set: { status: 'removed', removedReason: reason }, $unset: { offer: '' } },
+    { new: true }
+  );
+  if (!entry) throw httpError('Waitlist entry not found', 404);
+  return entry;
+}
+
+async function utilisation({ hospitalId, fromDate, toDate, groupBy = 'room', graceMinutes }) {
+  const keys = dateKeys(fromDate, toDate);
+  const zone = timeZone();
+  const start = hospitalDayBounds(keys[0], zone).start;
+  const end = hospitalDayBounds(keys[keys.length - 1], zone).end;
+  const [cases, blocks] = await Promise.all([
+    OTRequest.find({ hospitalId, scheduledStart: { $gte: start, $lt: end } })
+      .select('otRoomId doctorId primarySurgeonId status scheduledStart scheduledEnd patientReceivedAt startedAt completedAt cancellationReasonCode')
+      .lean(),
+    OTBlock.find({ hospitalId, blockDate: { $gte: keys[0], $lte: keys[keys.length - 1] } }).lean()
+  ]);
+  if (groupBy === 'department') {
+    const surgeonIds = [...new Set(cases.map((row) => idOf(row.primarySurgeonId || row.doctorId)).filter(Boolean))];
+    const doctors = await Doctor.find({ hospitalId, _id: { $in: surgeonIds } }).select('department').lean();
+    const departments = new Map(doctors.map((doctor) => [idOf(doctor._id), doctor.department]));
+    for (const row of cases) row.departmentId = departments.get(idOf(row.primarySurgeonId || row.doctorId));
+  }
+  return {
+    fromDate: keys[0],
+    toDate: keys[keys.length - 1],
+    groupBy,
+    rows: utilisationReport({ cases, blocks, groupBy, graceMinutes: graceMinutes === undefined ? undefined : Number(graceMinutes), zone })
+  };
+}
+
+module.exports = {
+  GROUP_BY,
+  expandBlockTemplate,
+  ownsBlock,
+  freeWindows,
+  matchWaitlist,
+  utilisationReport,
+  saveTemplate,
+  generateBlocks,
+  listBlocks,
+  offerReleasedTime,
+  releaseBlock,
+  releaseDueBlocks,
+  assertBlockAccess,
+  markWaitlistScheduled,
+  addToWaitlist,
+  listWaitlist,
+  declineOffer,
+  removeFromWaitlist,
+  utilisation
+};
@@ -0,0 +1,482 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const PatientMerge = require('../models/PatientMerge');
+const Appointment = require('../models/Appointment');
+const IPDAdmission = require('../models/IPDAdmission');
+const EmergencyEncounter = require('../models/EmergencyEncounter');
+const LabRequest = require('../models/LabRequest');
+const LabReport = require('../models/LabReport');
+const RadiologyRequest = require('../models/RadiologyRequest');
+const Prescription = require('../models/Prescription');
+const IPDMedicationChart = require('../models/IPDMedicationChart');
+const DischargeSummary = require('../models/DischargeSummary');
+const OTRequest = require('../models/OTRequest');
+const ProcedureRequest = require('../models/ProcedureRequest');
+const Bill = require('../models/Bill');
+const Invoice = require('../models/Invoice');
+const IPDCharge = require('../models/IPDCharge');
+const FinancialTransaction = require('../models/FinancialTransaction');
+const PatientAdvanceLedger = require('../models/PatientAdvanceLedger');
+const PatientSettlementCredit = require('../models/PatientSettlementCredit');
+const SponsorLedgerEntry = require('../models/SponsorLedgerEntry');
+const PharmacyLedgerEntry = require('../models/PharmacyLedgerEntry');
+const Sale = require('../models/Sale');
+const DeskCheckout = require('../models/DeskCheckout');
+const GatewayPayment = require('../models/GatewayPayment');
+const ClaimCase = require('../models/ClaimCase');
+const AdmissionCoverage = require('../models/AdmissionCoverage');
+const AbdmCareContext = require('../models/AbdmCareContext');
+const EncounterDocument = require('../models/EncounterDocument');
+const ClinicalDocument = require('../models/ClinicalDocument');
+const RenderedDocument = require('../models/RenderedDocument');
+const IPDConsent = require('../models/IPDConsent');
+const { getOrCreateNabhSetting } = require('./nabhSetting.service');
+const { nextNumber } = require('./hospitalSequence.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { normalizeObjectId } = require('../utils/hospitalScope');
+
+// Every collection that carries a patient reference which must follow the
+// surviving UHID. The field names differ between legacy and newer models, so
+// they are listed explicitly instead of being guessed at runtime.
+// ClinicalDocument has no hospital field; the patient id is already tenant-scoped.
+const MERGE_TARGETS = Object.freeze([
+  { Model: Appointment, hospitalField: 'hospital_id', patientField: 'patient_id', group: 'clinical' },
+  { Model: IPDAdmission, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: EmergencyEncounter, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: LabRequest, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: LabReport, hospitalField: 'hospitalId', patientField: 'patient_id', group: 'clinical' },
+  { Model: RadiologyRequest, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: Prescription, hospitalField: 'hospitalId', patientField: 'patient_id', group: 'clinical' },
+  { Model: IPDMedicationChart, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: DischargeSummary, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: OTRequest, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: ProcedureRequest, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: IPDConsent, hospitalField: 'hospitalId', patientField: 'patientId', group: 'clinical' },
+  { Model: Bill, hospitalField: 'hospital_id', patientField: 'patient_id', group: 'financial' },
+  { Model: Invoice, hospitalField: 'hospital_id', patientField: 'patient_id', group: 'financial' },
+  { Model: IPDCharge, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: FinancialTransaction, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: PatientAdvanceLedger, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: PatientSettlementCredit, hospitalField: 'hospital_id', patientField: 'patient_id', group: 'financial' },
+  { Model: SponsorLedgerEntry, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: PharmacyLedgerEntry, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: Sale, hospitalField: 'hospitalId', patientField: 'patient_id', group: 'financial' },
+  { Model: DeskCheckout, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: GatewayPayment, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: ClaimCase, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: AdmissionCoverage, hospitalField: 'hospitalId', patientField: 'patientId', group: 'financial' },
+  { Model: AbdmCareContext, hospitalField: 'hospitalId', patientField: 'patientId', group: 'abdm' },
+  { Model: EncounterDocument, hospitalField: 'hospitalId', patientField: 'patientId', group: 'documents' },
+  { Model: ClinicalDocument, hospitalField: null, patientField: 'patientId', group: 'documents' },
+  { Model: RenderedDocument, hospitalField: 'hospitalId', patientField: 'patientId', group: 'documents' }
+]);
+
+const ACTIVE_ADMISSION_STATUSES = Object.freeze([
+  'Admitted',
+  'Under Treatment',
+  'Discharge Initiated',
+  'Discharge Summary Pending',
+  'Billing Pending',
+  'Payment Pending',
+  'Ready for Discharge'
+]);
+
+const MERGE_APPROVER_ROLES = Object.freeze(['admin', 'registrar']);
+
+function error(message, statusCode = 400, code) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  if (code) e.code = code;
+  return e;
+}
+
+function targetFilter(target, hospitalId, patientId) {
+  const filter = { [target.patientField]: patientId };
+  if (target.hospitalField) filter[target.hospitalField] = hospitalId;
+  return filter;
+}
+
+function unmergeDeadline(mergedAt, windowDays) {
+  const days = Math.max(0, Number(windowDays ?? 30));
+  return new Date(new Date(mergedAt).getTime() + days * 86400000);
+}
+
+function patientSummary(patient) {
+  return {
+    _id: patient._id,
+    uhid: patient.uhid,
+    patientId: patient.patientId,
+    first_name: patient.first_name,
+    last_name: patient.last_name,
+    gender: patient.gender,
+    dob: patient.dob,
+    phone: patient.phone,
+    abhaNumber: patient.abha?.number,
+    registrationStatus: patient.registrationStatus
+  };
+}
+
+// Blocking issues are returned by the preview and re-checked inside the merge transaction.
+function mergeConflicts({ surviving, duplicate, survivingActiveAdmissions = 0, duplicateActiveAdmissions = 0 }) {
+  const conflicts = [];
+  if (String(surviving._id) === String(duplicate._id)) {
+    conflicts.push({ code: 'SAME_PATIENT', message: 'A patient cannot be merged into itself.' });
+  }
+  if (duplicate.registrationStatus === 'MERGED') {
+    conflicts.push({ code: 'DUPLICATE_ALREADY_MERGED', message: 'The duplicate registration has already been merged.' });
+  }
+  if (surviving.registrationStatus === 'MERGED') {
+    conflicts.push({ code: 'SURVIVOR_MERGED', message: 'The surviving registration has itself been merged into another UHID.' });
+  }
+  if (survivingActiveAdmissions > 0 && duplicateActiveAdmissions > 0) {
+    conflicts.push({ code: 'CONCURRENT_ADMISSIONS', message: 'Both registrations have an active IPD admission. Discharge or cancel one admission first.' });
+  }
+  const survivingAbha = surviving.abha?.number;
+  const duplicateAbha = duplicate.abha?.number;
+  if (survivingAbha && duplicateAbha && String(survivingAbha) !== String(duplicateAbha)) {
+    conflicts.push({ code: 'ABHA_MISMATCH', message: 'The registrations are linked to different ABHA numbers.' });
+  }
+  return conflicts;
+}
+
+function demographicDifferences(surviving, duplicate) {
+  const fields = ['first_name', 'last_name', 'gender', 'phone'];
+  const differences = fields
+    .filter((field) => String(surviving[field] || '').trim().toLowerCase() !== String(duplicate[field] || '').trim().toLowerCase())
+    .map((field) => ({ field, surviving: surviving[field], duplicate: duplicate[field] }));
+  const survivingDob = surviving.dob ? new Date(surviving.dob).toISOString().slice(0, 10) : null;
+  const duplicateDob = duplicate.dob ? new Date(duplicate.dob).toISOString().slice(0, 10) : null;
+  if (survivingDob !== duplicateDob) differences.push({ field: 'dob', surviving: survivingDob, duplicate: duplicateDob });
+  return differences;
+}
+
+async function loadPair(hospitalId, survivingPatientId, duplicatePatientId, session) {
+  const survivingId = normalizeObjectId(survivingPatientId);
+  const duplicateId = normalizeObjectId(duplicatePatientId);
+  if (!survivingId || !duplicateId) throw error('Valid surviving and duplicate patient ids are required.');
+
+  const query = (id) => {
+    const q = Patient.findOne({ _id: id, hospitalId, is_active: { $ne: false } });
+    return session ? q.session(session) : q;
+  };
+  const [surviving, duplicate] = await Promise.all([query(survivingId), query(duplicateId)]);
+  if (!surviving) throw error('Surviving patient not found', 404);
+  if (!duplicate) throw error('Duplicate patient not found', 404);
+  return { surviving, duplicate };
+}
+
+async function activeAdmissionCount(hospitalId, patientId, session) {
+  const query = IPDAdmission.countDocuments({ hospitalId, patientId, status: { $in: ACTIVE_ADMISSION_STATUSES } });
+  return session ? query.session(session) : query;
+}
+
+async function previewMerge({ hospitalId, survivingPatientId, duplicatePatientId }) {
+  const { surviving, duplicate } = await loadPair(hospitalId, survivingPatientId, duplicatePatientId);
+  const [survivingActiveAdmissions, duplicateActiveAdmissions] = await Promise.all([
+    activeAdmissionCount(hospitalId, surviving._id),
+    activeAdmissionCount(hospitalId, duplicate._id)
+  ]);
+
+  const records = await Promise.all(MERGE_TARGETS.map(async (target) => ({
+    model: target.Model.modelName,
+    group: target.group,
+    count: await target.Model.countDocuments(targetFilter(target, hospitalId, duplicate._id))
+  })));
+
+  const settings = await getOrCreateNabhSetting(hospitalId);
+  const conflicts = mergeConflicts({ surviving, duplicate, survivingActiveAdmissions, duplicateActiveAdmissions });
+
+  return {
+    surviving: patientSummary(surviving),
+    duplicate: patientSummary(duplicate),
+    demographicDifferences: demographicDifferences(surviving, duplicate),
+    records: records.filter((row) => row.count > 0),
+    totalRecords: records.reduce((sum, row) => sum + row.count, 0),
+    conflicts,
+    canMerge: conflicts.length === 0,
+    unmergeWindowDays: settings.patientRegistration?.unmergeWindowDays ?? 30
+  };
+}
+
+/**
+ * The approver acts in their own session on a pending request, so the
+ * requester cannot name someone else as approver.
+ */
+function assertApprover(approver, requestedBy) {
+  if (!approver?._id) throw error('Authentication required', 401);
+  if (String(approver._id) === String(requestedBy)) {
+    throw error('The merge approver must be a different user from the requester.', 403, 'MERGE_APPROVER_REQUIRED');
+  }
+  if (!MERGE_APPROVER_ROLES.includes(approver.role)) {
+    throw error('The merge approver must be a hospital administrator or registrar.', 403, 'MERGE_APPROVER_REQUIRED');
+  }
+  return approver;
+}
+
+async function transaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+async function assertMergeable(hospitalId, survivingPatientId, duplicatePatientId, session) {
+  const { surviving, duplicate } = await loadPair(hospitalId, survivingPatientId, duplicatePatientId, session);
+  const [survivingActiveAdmissions, duplicateActiveAdmissions] = await Promise.all([
+    activeAdmissionCount(hospitalId, surviving._id, session),
+    activeAdmissionCount(hospitalId, duplicate._id, session)
+  ]);
+  const conflicts = mergeConflicts({ surviving, duplicate, survivingActiveAdmissions, duplicateActiveAdmissions });
+  if (conflicts.length) {
+    const e = error(conflicts[0].message, 409, conflicts[0].code);
+    e.conflicts = conflicts;
+    throw e;
+  }
+  return { surviving, duplicate };
+}
+
+/** First step: records the request. Nothing moves until a second user approves it. */
+async function requestMerge({ req, hospitalId, survivingPatientId, duplicatePatientId, reason }) {
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) throw error('A merge reason is required.');
+  const { surviving, duplicate } = await assertMergeable(hospitalId, survivingPatientId, duplicatePatientId);
+
+  let merge;
+  try {
+    merge = await PatientMerge.create({
+      hospitalId,
+      mergeNumber: await nextNumber(hospitalId, 'PATIENT_MERGE', 'MRG'),
+      survivingPatientId: surviving._id,
+      duplicatePatientId: duplicate._id,
+      reason: trimmedReason,
+      requestedBy: req.user._id
+    });
+  } catch (e) {
+    if (e.code === 11000) throw error('A merge for this duplicate patient is already awaiting approval.', 409, 'MERGE_ALREADY_PENDING');
+    throw e;
+  }
+
+  await appendDomainEvent({
+    req,
+    eventType: 'patient.merge.requested',
+    entityType: 'PatientMerge',
+    entityId: merge._id,
+    hospitalId,
+    patientId: duplicate._id,
+    afterSummary: { survivingUhid: surviving.uhid, duplicateUhid: duplicate.uhid },
+    reasonCode: 'PATIENT_MERGE',
+    comments: trimmedReason,
+    correlationId: merge.mergeNumber
+  });
+  return merge;
+}
+
+/** Second step: the approving user applies a pending merge. */
+async function approveMerge({ req, hospitalId, mergeId }) {
+  const settings = await getOrCreateNabhSetting(hospitalId, req.user._id);
+
+  return transaction(async (session) => {
+    const merge = await PatientMerge.findOne({ _id: mergeId, hospitalId }).session(session);
+    if (!merge) throw error('Patient merge not found', 404);
+    if (merge.status !== 'PENDING_APPROVAL') throw error('This merge is no longer awaiting approval.', 409, 'MERGE_NOT_PENDING');
+    const approver = assertApprover(req.user, merge.requestedBy);
+    const { surviving, duplicate } = await assertMergeable(hospitalId, merge.survivingPatientId, merge.duplicatePatientId, session);
+
+    const movedRecords = [];
+    for (const target of MERGE_TARGETS) {
+      const filter = targetFilter(target, hospitalId, duplicate._id);
+      const ids = await target.Model.find(filter).select('_id').session(session).lean();
+      if (!ids.length) continue;
+      const recordIds = ids.map((row) => row._id);
+      await target.Model.updateMany(
+        { _id: { $in: recordIds } },
+        { $set: { [target.patientField]: surviving._id } },
+        { session }
+      );
+      movedRecords.push({ model: target.Model.modelName, field: target.patientField, recordIds });
+    }
+
+    const mergedAt = new Date();
+    const duplicateSnapshot = {
+      uhid: duplicate.uhid,
+      patientId: duplicate.patientId,
+      registrationStatus: duplicate.registrationStatus,
+      first_name: duplicate.first_name,
+      last_name: duplicate.last_name,
+      phone: duplicate.phone,
+      dob: duplicate.dob
+    };
+
+    duplicate.registrationStatus = 'MERGED';
+    duplicate.mergedInto = surviving._id;
+    duplicate.mergedAt = mergedAt;
+    duplicate.duplicateReview = {
+      ...(duplicate.duplicateReview?.toObject?.() || duplicate.duplicateReview || {}),
+      status: 'confirmed_duplicate',
+      candidatePatientIds: [surviving._id],
+      reviewedAt: mergedAt,
+      reviewedBy: approver._id
+    };
+    await duplicate.save({ session });
+
+    merge.status = 'MERGED';
+    merge.approvedBy = approver._id;
+    merge.approvedAt = mergedAt;
+    merge.mergedAt = mergedAt;
+    merge.unmergeAllowedUntil = unmergeDeadline(mergedAt, settings.patientRegistration?.unmergeWindowDays);
+    merge.movedRecords = movedRecords;
+    merge.duplicateSnapshot = duplicateSnapshot;
+    await merge.save({ session });
+
+    const counts = Object.fromEntries(movedRecords.map((row) => [row.model, row.recordIds.length]));
+    for (const patientId of [surviving._id, duplicate._id]) {
+      await appendDomainEvent({
+        req,
+        session,
+        eventType: 'patient.merge.completed',
+        entityType: 'PatientMerge',
+        entityId: merge._id,
+        hospitalId,
+        patientId,
+        beforeSummary: { duplicate: duplicateSnapshot },
+        afterSummary: { survivingUhid: surviving.uhid, duplicateUhid: duplicate.uhid, movedRecords: counts },
+        reasonCode: 'PATIENT_MERGE',
+        comments: merge.reason,
+        correlationId: merge.mergeNumber,
+        metadata: { requestedBy: merge.requestedBy, approvedBy: approver._id }
+      });
+    }
+
+    return merge;
+  });
+}
+
+async function rejectMerge({ req, hospitalId, mergeId, reason }) {
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) throw error('A rejection reason is required.');
+  const merge = await PatientMerge.findOneAndUpdate(
+    { _id: mergeId, hospitalId, status: 'PENDING_APPROVAL' },
+    { $set: { status: 'REJECTED', rejectedBy: req.user._id, rejectedAt: new Date(), rejectionReason: trimmedReason } },
+    { new: true }
+  );
+  if (!merge) {
+    const exists = await PatientMerge.exists({ _id: mergeId, hospitalId });
+    throw exists ? error('This merge is no longer awaiting approval.', 409, 'MERGE_NOT_PENDING') : error('Patient merge not found', 404);
+  }
+
+  await appendDomainEvent({
+    req,
+    eventType: 'patient.merge.rejected',
+    entityType: 'PatientMerge',
+    entityId: merge._id,
+    hospitalId,
+    patientId: merge.duplicatePatientId,
+    reasonCode: 'PATIENT_MERGE',
+    comments: trimmedReason,
+    correlationId: merge.mergeNumber
+  });
+  return merge;
+}
+
+async function unmergePatients({ req, hospitalId, mergeId, reason }) {
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) throw error('An unmerge reason is required.');
+
+  return transaction(async (session) => {
+    const merge = await PatientMerge.findOne({ _id: mergeId, hospitalId }).session(session);
+    if (!merge) throw error('Patient merge not found', 404);
+    if (merge.status === 'UNMERGED') throw error('This merge has already been reversed.', 409);
+    if (merge.status !== 'MERGED') throw error('Only an applied merge can be reversed.', 409, 'MERGE_NOT_APPLIED');
+    if (new Date() > merge.unmergeAllowedUntil) {
+      throw error('The unmerge window for this merge has closed.', 409, 'UNMERGE_WINDOW_CLOSED');
+    }
+
+    const [surviving, duplicate] = await Promise.all([
+      Patient.findOne({ _id: merge.survivingPatientId, hospitalId }).session(session),
+      Patient.findOne({ _id: merge.duplicatePatientId, hospitalId }).session(session)
+    ]);
+    if (!surviving || !duplicate) throw error('Merged patient records are no longer available.', 409);
+    if (surviving.registrationStatus === 'MERGED') {
+      throw error('The surviving patient has since been merged again. Reverse the later merge first.', 409, 'LATER_MERGE_EXISTS');
+    }
+
+    const restored = {};
+    for (const row of merge.movedRecords) {
+      const Model = mongoose.model(row.model);
+      const result = await Model.updateMany(
+        { _id: { $in: row.recordIds }, [row.field]: surviving._id },
+        { $set: { [row.field]: duplicate._id } },
+        { session }
+      );
+      restored[row.model] = result.modifiedCount;
+    }
+
+    duplicate.registrationStatus = merge.duplicateSnapshot?.registrationStatus && merge.duplicateSnapshot.registrationStatus !== 'MERGED'
+      ? merge.duplicateSnapshot.registrationStatus
+      : 'REGISTERED';
+    duplicate.mergedInto = undefined;
+    duplicate.mergedAt = undefined;
+    if (duplicate.duplicateReview) duplicate.duplicateReview.status = 'override_approved';
+    await duplicate.save({ session });
+
+    merge.status = 'UNMERGED';
+    merge.unmergedAt = new Date();
+    merge.unmergedBy = req.user._id;
+    merge.unmergeReason = trimmedReason;
+    await merge.save({ session });
+
+    for (const patientId of [surviving._id, duplicate._id]) {
+      await appendDomainEvent({
+        req,
+        session,
+        eventType: 'patient.merge.reversed',
+        entityType: 'PatientMerge',
+        entityId: merge._id,
+        hospitalId,
+        patientId,
+        afterSummary: { survivingUhid: surviving.uhid, duplicateUhid: duplicate.uhid, restoredRecords: restored },
+        reasonCode: 'PATIENT_UNMERGE',
+        comments: trimmedReason,
+        correlationId: merge.mergeNumber
+      });
+    }
+
+    return merge;
+  });
+}
+
+async function listMerges({ hospitalId, patientId }) {
+  const filter = { hospitalId };
+  if (patientId) filter.$or = [{ survivingPatientId: patientId }, { duplicatePatientId: patientId }];
+  return PatientMerge.find(filter)
+    .select('-movedRecords.recordIds')
+    .populate('survivingPatientId', 'first_name last_name uhid patientId')
+    .populate('duplicatePatientId', 'first_name last_name uhid patientId')
+    .populate('requestedBy', 'name')
+    .populate('approvedBy', 'name')
+    .populate('rejectedBy', 'name')
+    .sort({ createdAt: -1 })
+    .limit(200)
+    .lean();
+}
+
+module.exports = {
+  MERGE_TARGETS,
+  MERGE_APPROVER_ROLES,
+  unmergeDeadline,
+  mergeConflicts,
+  demographicDifferences,
+  assertApprover,
+  previewMerge,
+  requestMerge,
+  approveMerge,
+  rejectMerge,
+  unmergePatients,
+  listMerges
+};
@@ -0,0 +1,206 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Online payment gateway clients. Both expose the same surface: create an
+// order with a UPI QR / payment link, refund a captured payment, verify and
+// normalise webhooks, and parse the daily settlement file. `mock` is a local
+// stand-in for development and tests; `razorpay` wraps the Razorpay SDK.
+// Amounts crossing this boundary are always rupees.
+
+const toPaise = (rupees) => Math.round(Number(rupees || 0) * 100);
+const toRupees = (paise) => Math.round(Number(paise || 0)) / 100;
+
+function gatewayError(message, statusCode = 502, code = 'PAYMENT_GATEWAY_ERROR') {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+}
+
+function hmacHex(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function signatureMatches(secret, rawBody, signature) {
+  if (!secret || !rawBody || !signature) return false;
+  const expected = Buffer.from(hmacHex(secret, rawBody));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Razorpay-shaped event body, which the mock also emits so one parser serves both.
+function normaliseRazorpayEvent(body = {}, headers = {}) {
+  const payment = body.payload?.payment?.entity || {};
+  const refund = body.payload?.refund?.entity || {};
+  const order = body.payload?.order?.entity || {};
+  const qrCode = body.payload?.qr_code?.entity || {};
+  return {
+    eventId: headers['x-razorpay-event-id'] || body.id || hmacHex('event', JSON.stringify(body)),
+    type: body.event,
+    orderId: payment.order_id || order.id || qrCode.notes?.order_id || undefined,
+    qrCodeId: qrCode.id || undefined,
+    paymentId: payment.id || refund.payment_id || undefined,
+    refundId: refund.id || undefined,
+    amount: toRupees(refund.id ? refund.amount : (payment.amount ?? order.amount_paid)),
+    method: payment.method,
+    status: refund.status || payment.status,
+    failure: payment.error_code ? { code: payment.error_code, description: payment.error_description } : undefined,
+    occurredAt: body.created_at ? new Date(Number(body.created_at) * 1000) : undefined
+  };
+}
+
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') { cell += '"'; index += 1; } else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') quoted = true;
+    else if (char === ',') { row.push(cell); cell = ''; } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += char;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter((cells) => cells.some((value) => String(value).trim()));
+}
+
+/**
+ * Settlement reconciliation report (one row per settled payment or refund).
+ * Columns are matched by header name; amounts in the file are rupees.
+ */
+function parseSettlementCsv(content) {
+  const [header = [], ...lines] = parseCsv(content);
+  const columns = header.map((name) => String(name).trim().toLowerCase());
+  const column = (cells, ...names) => {
+    for (const name of names) {
+      const index = columns.indexOf(name);
+      if (index >= 0 && String(cells[index] ?? '').trim()) return String(cells[index]).trim();
+    }
+    return '';
+  };
+  const number = (value) => {
+    const parsed = Number(String(value || 0).replace(/,/g, ''));
+    return Number.isFinite(parsed) ? Math.round(parsed * 100) / 100 : 0;
+  };
+  return lines.map((cells) => {
+    const settledAt = column(cells, 'settled_at', 'settlement_date');
+    return {
+      entityId: column(cells, 'entity_id', 'payment_id', 'id'),
+      entityType: (column(cells, 'type', 'entity_type') || 'payment').toLowerCase(),
+      orderId: column(cells, 'order_id') || undefined,
+      paymentId: column(cells, 'payment_id') || undefined,
+      amount: number(column(cells, 'amount', 'credit', 'debit')),
+      fee: number(column(cells, 'fee')),
+      tax: number(column(cells, 'tax')),
+      settlementId: column(cells, 'settlement_id') || undefined,
+      utr: column(cells, 'settlement_utr', 'utr') || undefined,
+      settledAt: settledAt ? new Date(/^\d+$/.test(settledAt) ? Number(settledAt) * 1000 : settledAt) : undefined
+    };
+  }).filter((row) => row.entityId);
+}
+
+// Outside production the mock signs with a well-known secret so local tools can
+// drive it; in production it only accepts PAYMENT_GATEWAY_WEBHOOK_SECRET.
+const defaultMockSecret = () => process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET || (process.env.NODE_ENV === 'production' ? undefined : 'mock-webhook-secret');
+
+function createMockGateway({ webhookSecret = defaultMockSecret(), clock = () => new Date() } = {}) {
+  const digest = (seed) => crypto.createHash('sha256').update(seed).digest('hex').slice(0, 14);
+  return {
+    provider: 'mock',
+    async createOrder({ amount, receipt, notes = {}, expiresInSeconds = 900 }) {
+      const orderId = `order_mock_${digest(`${notes.hospitalId}:${receipt}:${amount}`)}`;
+      return {
+        orderId,
+        qrImageUrl: `https://mock-gateway.local/qr/${orderId}.png`,
+        paymentLinkUrl: `https://mock-gateway.local/pay/${orderId}`,
+        expiresAt: new Date(clock().getTime() + expiresInSeconds * 1000)
+      };
+    },
+    async refund({ paymentId, amount, reference }) {
+      return { refundId: `rfnd_mock_${digest(`${paymentId}:${reference}:${amount}`)}`, status: 'processed', amount };
+    },
+    verifyWebhook(rawBody, headers = {}) {
+      return signatureMatches(webhookSecret, rawBody, headers['x-razorpay-signature']);
+    },
+    parseWebhook: normaliseRazorpayEvent,
+    parseSettlementFile: parseSettlementCsv,
+    /** Test helper: a signed Razorpay-shaped event. */
+    signedEvent(event, entities, { eventId = `evt_mock_${digest(JSON.stringify(entities) + event)}` } = {}) {
+      const body = JSON.stringify({ entity: 'event', event, payload: entities, created_at: Math.floor(clock().getTime() / 1000) });
+      return { rawBody: Buffer.from(body), headers: { 'x-razorpay-signature': hmacHex(webhookSecret, body), 'x-razorpay-event-id': eventId } };
+    }
+  };
+}
+
+function createRazorpayGateway({ keyId, keySecret, webhookSecret } = {}) {
+  if (!keyId || !keySecret) throw gatewayError('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are not configured', 503, 'PAYMENT_GATEWAY_NOT_CONFIGURED');
+  const Razorpay = require('razorpay');
+  const client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+  const call = async (label, work) => {
+    try {
+      return await work();
+    } catch (error) {
+      throw gatewayError(`Razorpay ${label} failed: ${error?.error?.description || error.message}`);
+    }
+  };
+  return {
+    provider: 'razorpay',
+    async createOrder({ amount, receipt, description, notes = {}, expiresInSeconds = 900 }) {
+      const order = await call('order', () => client.orders.create({ amount: toPaise(amount), currency: 'INR', receipt, notes }));
+      const closeBy = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      const qr = await call('QR code', () => client.qrCode.create({
+        type: 'upi_qr',
+        name: String(description || 'Hospital payment').slice(0, 40),
+        usage: 'single_use',
+        fixed_amount: true,
+        payment_amount: toPaise(amount),
+        description,
+        notes: { ...notes, order_id: order.id },
+        close_by: closeBy
+      }));
+      return { orderId: order.id, qrCodeId: qr.id, qrImageUrl: qr.image_url, expiresAt: new Date(closeBy * 1000) };
+    },
+    async refund({ paymentId, amount, reference, notes = {} }) {
+      const refund = await call('refund', () => client.payments.refund(paymentId, { amount: toPaise(amount), receipt: reference, notes }));
+      return { refundId: refund.id, status: refund.status, amount: toRupees(refund.amount) };
+    },
+    verifyWebhook(rawBody, headers = {}) {
+      return signatureMatches(webhookSecret, rawBody, headers['x-razorpay-signature']);
+    },
+    parseWebhook: normaliseRazorpayEvent,
+    parseSettlementFile: parseSettlementCsv
+  };
+}
+
+/**
+ * Resolves the configured gateway. The mock must be selected explicitly and is
+ * refused in production, so an unconfigured deployment cannot hand out QR codes
+ * that never settle or book refunds that move no money.
+ */
+function createPaymentGateway(provider = process.env.PAYMENT_GATEWAY_PROVIDER, options = {}) {
+  if (!provider) throw gatewayError('PAYMENT_GATEWAY_PROVIDER is not configured', 503, 'PAYMENT_GATEWAY_NOT_CONFIGURED');
+  if (provider === 'mock') {
+    if (process.env.NODE_ENV === 'production') {
+      throw gatewayError('PAYMENT_GATEWAY_PROVIDER=mock is forbidden in production', 503, 'PAYMENT_GATEWAY_NOT_CONFIGURED');
+    }
+    return createMockGateway(options);
+  }
+  if (provider === 'razorpay') {
+    return createRazorpayGateway({
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+      ...options
+    });
+  }
+  throw gatewayError(`Unsupported payment gateway ${provider}`, 503, 'PAYMENT_GATEWAY_NOT_CONFIGURED');
+}
+
+module.exports = { createPaymentGateway, createMockGateway, createRazorpayGateway, parseSettlementCsv, toPaise, toRupees };
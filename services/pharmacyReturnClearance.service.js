@@ -22,6 +22,7 @@ const PatientAdvanceLedger = require('../models/PatientAdvanceLedger');
 const IPDAdmission = require('../models/IPDAdmission');
 const MedicineBatch = require('../models/MedicineBatch');
 const InventoryLedger = require('../models/InventoryLedger');
+const controlledDrugs = require('./controlledDrug.service');
 const {
   createAdvanceLedgerEntry,
   getAdvanceBalance,
@@ -444,6 +445,9 @@ async function completeAuthoritativeReturn({ payload, req }) {
       result = { idempotent: false, returnRecord, allocation, transactionGroupId };
     });
 
+    if (!result.idempotent) {
+      await controlledDrugs.recordReturnReceipts({ hospitalId: result.returnRecord.hospitalId, pharmacyReturn: result.returnRecord, createdBy });
+    }
     return result;
   } finally {
     session.endSession();
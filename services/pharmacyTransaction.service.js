@@ -25,6 +25,7 @@ const { quotePricing, pricingSnapshot } = require('./pricingEngine.service');
 const { recordPackageUtilization } = require('./packageAdjudication.service');
 const { replaceCoverageUtilization } = require('./coverageUtilization.service');
 const { resolveFinancialPolicy, calculateRequiredNow } = require('./financialPolicy.service');
+const controlledDrugs = require('./controlledDrug.service');
 
 function objectIdOrUndefined(id) {
   return id && mongoose.Types.ObjectId.isValid(id) ? id : undefined;
@@ -252,13 +253,13 @@ function normalizeAdvanceDepositPayments(payload = {}) {
 async function resolvePatientContext({ hospitalId, patientId, admissionId, prescriptionId, explicit = {} }) {
   const [patient, admission, prescription] = await Promise.all([
     patientId ? mongoose.model('Patient').findOne({ _id: patientId, hospitalId }).lean() : null,
-    admissionId ? IPDAdmission.findOne({ _id: admissionId, hospitalId }).populate('primaryDoctorId', 'firstName lastName name').lean() : null,
-    prescriptionId ? Prescription.findOne({ _id: prescriptionId, hospitalId }).populate('doctor_id', 'firstName lastName name').lean() : null
+    admissionId ? IPDAdmission.findOne({ _id: admissionId, hospitalId }).populate('primaryDoctorId', 'firstName lastName name licenseNumber address city state').lean() : null,
+    prescriptionId ? Prescription.findOne({ _id: prescriptionId, hospitalId }).populate('doctor_id', 'firstName lastName name licenseNumber address city state').lean() : null
   ]);
 
   const doctorId = objectIdOrUndefined(explicit.doctor_id || explicit.doctorId || prescription?.doctor_id?._id || admission?.primaryDoctorId?._id);
   let doctor = prescription?.doctor_id || admission?.primaryDoctorId || null;
-  if (!doctor && doctorId) doctor = await Doctor.findOne({ _id: doctorId, hospitalId }).select('firstName lastName name').lean();
+  if (!doctor && doctorId) doctor = await Doctor.findOne({ _id: doctorId, hospitalId }).select('firstName lastName name licenseNumber address city state').lean();
 
   const doctorName = normalizeText(explicit.doctor_name || explicit.doctorName || doctor?.name || [doctor?.firstName, doctor?.lastName].filter(Boolean).join(' '));
   const patientName = normalizeText(explicit.customer_name || explicit.customerName || [patient?.salutation, patient?.first_name, patient?.middle_name, patient?.last_name].filter(Boolean).join(' '));
@@ -267,6 +268,7 @@ async function resolvePatientContext({ hospitalId, patientId, admissionId, presc
     patient,
     admission,
     prescription,
+    doctor,
     doctorId,
     doctorName,
     patientName,
@@ -1017,6 +1019,7 @@ async function createPharmacyLedgerForPayments({ payments, sale, createdBy, entr
   for (const p of payments) {
     if (!p.amount) continue;
     await PharmacyLedgerEntry.create({
+      hospitalId: sale.hospitalId,
       entryType: ['IPDAdvance', 'PharmacyAdvance'].includes(p.method) ? 'ADVANCE_USED' : entryType,
       direction: ['IPDAdvance', 'PharmacyAdvance'].includes(p.method) ? 'NON_CASH' : paymentCashDirection(p.method),
       amount: normalizeMoney(p.amount),
@@ -1051,6 +1054,7 @@ async function allocatePaymentToOutstanding({ patientId, admissionId, createdBy,
     pending.settlement_refs.push({ sale_id: sale?._id, amount: pay, settled_at: operationNow() });
     await pending.save();
     await PharmacyLedgerEntry.create({
+      hospitalId: pending.hospitalId,
       entryType: 'OUTSTANDING_PAYMENT',
       direction: 'IN',
       amount: pay,
@@ -1412,7 +1416,8 @@ async function createUnifiedSale(payload, req = {}) {
     item._medicine?.prescription_required === true ||
     item._medicine?.is_high_risk === true ||
     item._medicine?.is_high_alert === true ||
-    item._medicine?.medicationSafety?.highRisk === true
+    item._medicine?.medicationSafety?.highRisk === true ||
+    (item._medicine?.drugSchedule && item._medicine.drugSchedule !== 'none')
   );
   const hasLinkedClinicalOrder = Boolean(prescriptionId) ||
     (prescriptionControlledItems.length > 0 && prescriptionControlledItems.every((item) => item.ipd_medication_chart_id));
@@ -1424,6 +1429,15 @@ async function createUnifiedSale(payload, req = {}) {
     throw error;
   }
   const saleRequiresPrescription = prescriptionControlledItems.length > 0;
+  // H1, X and NDPS supplies go into the controlled-drug register with the
+  // patient and prescriber particulars the drug controller inspects.
+  const controlledDrugCapture = controlledDrugs.assertSaleCapture(
+    controlledDrugs.saleCapture({ items, explicit: payload.controlled_drug || payload.controlledDrug || {}, context }),
+    items
+  );
+  // The register issue is posted after the batches are deducted, so a short
+  // register has to stop the sale before any stock moves.
+  await controlledDrugs.assertSaleRegisterBalance({ hospitalId, items });
 
   // ✅ Validate IPD medication items (only if they have chart IDs)
   const preparedIpdItems = await validateAndPrepareIpdMedicationSale({
@@ -1555,6 +1569,7 @@ async function createUnifiedSale(payload, req = {}) {
       appointment_id: appointmentId,
       prescription_id: prescriptionId,
       prescription_required: saleRequiresPrescription,
+      controlled_drug_capture: controlledDrugCapture || undefined,
       doctor_id: context.doctorId,
       doctor_name: context.doctorName,
       uhid: context.uhid,
@@ -1649,6 +1664,7 @@ async function createUnifiedSale(payload, req = {}) {
         }
       }
     }
+    await controlledDrugs.recordSaleIssues({ hospitalId, sale, items, capture: controlledDrugCapture, context, createdBy });
 
     // Process every tender applied to this sale. For a deferred split this
     // creates one ledger row per tender and debits an advance wallet only for
@@ -1948,6 +1964,7 @@ async function createUnifiedSale(payload, req = {}) {
     appointment_id: appointmentId,
     prescription_id: prescriptionId,
     prescription_required: saleRequiresPrescription,
+    controlled_drug_capture: controlledDrugCapture || undefined,
     doctor_id: context.doctorId,
     doctor_name: context.doctorName,
     uhid: context.uhid,
@@ -2005,6 +2022,7 @@ async function createUnifiedSale(payload, req = {}) {
 
   // ========== DEDUCT STOCK FOR NON-DEFERRED SALE ==========
   await deductStockAndCreateLedger({ items, saleId: sale._id, createdBy });
+  await controlledDrugs.recordSaleIssues({ hospitalId, sale, items, capture: controlledDrugCapture, context, createdBy });
 
   const invoice = await createSaleInvoice({ sale, items, customerName: sale.customer_name, customerPhone: sale.customer_phone, totals, paymentEntries: payments, createdBy, isDeferred: false, appointmentId, pharmacyPricing });
   const bill = await createPharmacyBill({ sale, items, totals, paymentEntries: payments, patientId, admissionId, createdBy, isDeferred: false, appointmentId, pharmacyPricing });
@@ -0,0 +1,319 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const Invoice = require('../models/Invoice');
+const IPDAdmission = require('../models/IPDAdmission');
+const Patient = require('../models/Patient');
+const GatewayPayment = require('../models/GatewayPayment');
+const FinancialTransaction = require('../models/FinancialTransaction');
+const patientFinancial = require('./patientFinancial.service');
+const ipdFinancial = require('./ipdFinancial.service');
+const { createPaymentRequest } = require('./gatewayPayment.service');
+const { sellerProfile } = require('./gstCompliance.service');
+const pdf = require('./financialDocumentPdf.service');
+const { loadInvoiceForPdf, renderInvoicePdf } = require('./invoicePdf.service');
+const { money } = require('../utils/financeNumbers');
+const { operationNow } = require('../utils/operationTimeContext');
+
+const CLOSED_ADMISSION_STATUSES = ['Discharged', 'Cancelled', 'LAMA', 'DAMA', 'Expired'];
+const RECEIPT_TYPES = ['RECEIPT', 'SETTLEMENT', 'ADVANCE_DEPOSIT', 'REFUND', 'ADVANCE_REFUND'];
+const PAYMENT_FIELDS = 'requestNumber purpose admissionId invoiceId billId appointmentId amount currency paidBy qrImageUrl paymentLinkUrl expiresAt status capturedAmount capturedAt method posting.status posting.receiptNumbers refundedAmount createdAt';
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+// The finance services scope every lookup by the caller's hospital. A portal
+// session has no staff user, so it acts as the patient within their hospital.
+function portalUser(patient) {
+  return { hospital_id: patient.hospitalId, role: 'patient' };
+}
+
+function assertObjectId(id, label) {
+  if (!mongoose.isValidObjectId(id)) throw httpError(`${label} not found`, 404);
+}
+
+function normalizePaidBy(value) {
+  if (!value || !String(value.name || '').trim()) return undefined;
+  return {
+    name: String(value.name).trim(),
+    relation: String(value.relation || '').trim() || undefined,
+    phone: String(value.phone || '').trim() || undefined
+  };
+}
+
+async function loadOwnAdmission(patient, admissionId) {
+  assertObjectId(admissionId, 'Admission');
+  const admission = await IPDAdmission.findOne({ _id: admissionId, hospitalId: patient.hospitalId, patientId: patient._id })
+    .select('admissionNumber admissionDate dischargeDate status hospitalId patientId').lean();
+  if (!admission) throw httpError('Admission not found', 404);
+  return admission;
+}
+
+async function loadOwnInvoice(patient, invoiceId) {
+  assertObjectId(invoiceId, 'Invoice');
+  const invoice = await Invoice.findOne({
+    _id: invoiceId, hospital_id: patient.hospitalId, patient_id: patient._id, is_deleted: { $ne: true }
+  }).lean();
+  if (!invoice) throw httpError('Invoice not found', 404);
+  return invoice;
+}
+
+/** Outstanding OPD and IPD documents and the state of every open admission. */
+async function billingSummary({ patient }) {
+  const hospitalId = patient.hospitalId;
+  const [invoices, bills, admissions] = await Promise.all([
+    Invoice.find({
+      hospital_id: hospitalId, patient_id: patient._id, is_deleted: { $ne: true },
+      status: { $nin: ['Cancelled', 'Refunded'] }, document_stage: { $nin: ['DRAFT', 'VOID'] }, balance_due: { $gt: 0 }
+    }).select('invoice_number invoice_type admission_id issue_date total amount_paid balance_due status').sort({ issue_date: 1 }).lean(),
+    Bill.find({
+      hospital_id: hospitalId, patient_id: patient._id, is_deleted: { $ne: true }, balance_due: { $gt: 0 },
+      $and: [
+        { $or: [{ admission_id: { $exists: false } }, { admission_id: null }] },
+        { $or: [{ invoice_id: { $exists: false } }, { invoice_id: null }] },
+        { $or: [{ invoice_ids: { $exists: false } }, { invoice_ids: { $size: 0 } }] }
+      ]
+    }).select('bill_number generated_at total_amount paid_amount balance_due status').sort({ generated_at: 1 }).lean(),
+    IPDAdmission.find({ hospitalId, patientId: patient._id, status: { $nin: CLOSED_ADMISSION_STATUSES } })
+      .select('admissionNumber admissionDate status').lean()
+  ]);
+  const user = portalUser(patient);
+  const openAdmissions = [];
+  for (const admission of admissions) {
+    const snapshot = await ipdFinancial.calculateAdmissionFinancials(admission._id, { persist: false, user });
+    openAdmissions.push({
+      ...admission,
+      totalCharges: snapshot.totalChargeAmount,
+      patientReceivable: snapshot.patientReceivable,
+      advanceAvailable: snapshot.advanceAvailable,
+      estimatedBalance: money(Math.max(0, snapshot.patientReceivable - snapshot.advanceAvailable))
+    });
+  }
+  const opdInvoices = invoices.filter((row) => !row.admission_id);
+  return {
+    opd: {
+      bills,
+      invoices: opdInvoices,
+      outstanding: money([...bills, ...opdInvoices].reduce((sum, row) => sum + Number(row.balance_due || 0), 0))
+    },
+    ipd: { invoices: invoices.filter((row) => row.admission_id), admissions: openAdmissions }
+  };
+}
+
+// A pending QR for the same document and amount is handed back instead of
+// opening a second order; a failed or expired one is replaced.
+async function openPaymentRequest({ req, patient, body, amount, paidBy }) {
+  const pending = await GatewayPayment.findOne({
+    hospitalId: patient.hospitalId,
+    patientId: patient._id,
+    purpose: body.purpose,
+    admissionId: body.admissionId || { $exists: false },
+    invoiceId: body.invoiceId || { $exists: false },
+    billId: body.billId || { $exists: false },
+    amount,
+    status: 'CREATED',
+    expiresAt: { $gt: operationNow() }
+  }).select(PAYMENT_FIELDS).lean();
+  if (pending) return { payment: pending, reused: true };
+  const payment = await createPaymentRequest({
+    req,
+    hospitalId: patient.hospitalId,
+    body: { ...body, patientId: patient._id, amount, paidBy }
+  });
+  return { payment, reused: false };
+}
+
+function requestedAmount(value, outstanding) {
+  if (value === undefined || value === null || value === '') return outstanding;
+  const amount = money(value);
+  if (!(amount > 0)) throw httpError('amount must be greater than zero');
+  if (amount > outstanding + 0.01) {
+    throw httpError('amount cannot exceed the balance due', 400, 'PORTAL_AMOUNT_EXCEEDS_DUE', { outstanding });
+  }
+  return amount;
+}
+
+/**
+ * Opens an online payment for an outstanding bill or invoice. OPD dues are
+ * sized through the desk settlement preview; an invoice raised on an
+ * admission is collected against that admission, as the IPD desk does.
+ */
+async function payDocument({ req, patient, billId, invoiceId, body = {} }) {
+  const paidBy = normalizePaidBy(body.paidBy);
+  if (invoiceId) {
+    const invoice = await loadOwnInvoice(patient, invoiceId);
+    if (['DRAFT', 'VOID'].includes(invoice.document_stage)) throw httpError('This invoice cannot be paid online', 409, 'PORTAL_DOCUMENT_NOT_PAYABLE');
+    if (invoice.admission_id) {
+      const outstanding = money(invoice.balance_due);
+      if (!(outstanding > 0)) throw httpError('This invoice has no balance due', 409, 'NO_OUTSTANDING_DOCUMENT');
+      const amount = requestedAmount(body.amount, outstanding);
+      return openPaymentRequest({
+        req, patient, paidBy, amount,
+        body: { purpose: 'IPD_SETTLEMENT', admissionId: invoice.admission_id, invoiceId: invoice._id }
+      });
+    }
+  } else {
+    assertObjectId(billId, 'Bill');
+    const bill = await Bill.exists({ _id: billId, hospital_id: patient.hospitalId, patient_id: patient._id, is_deleted: { $ne: true } });
+    if (!bill) throw httpError('Bill not found', 404);
+  }
+  const preview = await patientFinancial.previewOPDPayment(patient._id, { invoiceId, billId, amount: 0 }, portalUser(patient));
+  const amount = requestedAmount(body.amount, preview.netPayable);
+  return openPaymentRequest({
+    req, patient, paidBy, amount,
+    body: { purpose: 'OPD_SETTLEMENT', invoiceId, billId }
+  });
+}
+
+/** Opens an online IPD advance deposit for an admission that is still open. */
+async function topUpAdvance({ req, patient, admissionId, body = {} }) {
+  const admission = await loadOwnAdmission(patient, admissionId);
+  if (CLOSED_ADMISSION_STATUSES.includes(admission.status)) {
+    throw httpError(`Advance cannot be deposited on a ${admission.status.toLowerCase()} admission`, 409, 'ADMISSION_CLOSED');
+  }
+  const amount = money(body.amount);
+  if (!(amount > 0)) throw httpError('amount must be greater than zero');
+  return openPaymentRequest({
+    req, patient, amount, paidBy: normalizePaidBy(body.paidBy),
+    body: { purpose: 'IPD_ADVANCE', admissionId: admission._id }
+  });
+}
+
+/** The admission's running bill, limited to what the patient's family needs to see. */
+async function runningBill({ patient, admissionId }) {
+  await loadOwnAdmission(patient, admissionId);
+  const bill = await ipdFinancial.getRunningBill(admissionId, portalUser(patient));
+  const { financialSummary } = bill;
+  return {
+    admission: {
+      _id: bill.admission._id,
+      admissionNumber: bill.admission.admissionNumber,
+      admissionDate: bill.admission.admissionDate,
+      status: bill.admission.status
+    },
+    financialSummary: {
+      totalCharges: financialSummary.totalChargeAmount,
+      sponsorShare: financialSummary.sponsorLiability,
+      patientShare: financialSummary.patientLiability,
+      patientReceivable: financialSummary.patientReceivable,
+      paidAmount: financialSummary.paidAmount,
+      advanceAvailable: financialSummary.advanceAvailable,
+      estimatedBalance: money(Math.max(0, financialSummary.patientReceivable - financialSummary.advanceAvailable))
+    },
+    unbilledSummary: bill.unbilledSummary,
+    billedSummary: bill.billedSummary,
+    invoices: bill.invoices.map((row) => ({
+      _id: row._id,
+      invoice_number: row.invoice_number,
+      invoice_type: row.invoice_type,
+      issue_date: row.issue_date,
+      total: row.total,
+      amount_paid: row.amount_paid,
+      balance_due: row.balance_due
+    })),
+    receipts: bill.receipts.filter((row) => RECEIPT_TYPES.includes(row.transactionType)).map(receiptRow)
+  };
+}
+
+function receiptRow(row) {
+  return {
+    _id: row._id,
+    transactionNumber: row.transactionNumber,
+    transactionType: row.transactionType,
+    amount: row.amount,
+    paymentMethod: row.paymentMethod,
+    paymentReference: row.paymentReference,
+    admissionId: row.admissionId,
+    invoiceId: row.invoiceId,
+    billId: row.billId,
+    postedAt: row.postedAt
+  };
+}
+
+async function listPayments({ patient, query = {} }) {
+  const filter = { hospitalId: patient.hospitalId, patientId: patient._id };
+  if (query.status) filter.status = String(query.status);
+  const payments = await GatewayPayment.find(filter).select(PAYMENT_FIELDS).sort({ createdAt: -1 }).limit(100).lean();
+  return { payments };
+}
+
+async function getPayment({ patient, id }) {
+  assertObjectId(id, 'Payment');
+  const payment = await GatewayPayment.findOne({ _id: id, hospitalId: patient.hospitalId, patientId: patient._id }).select(PAYMENT_FIELDS).lean();
+  if (!payment) throw httpError('Payment not found', 404);
+  return { payment };
+}
+
+async function listReceipts({ patient }) {
+  const rows = await FinancialTransaction.find({
+    hospitalId: patient.hospitalId,
+    patientId: patient._id,
+    transactionType: { $in: RECEIPT_TYPES },
+    externalMoneyMovement: { $ne: false },
+    status: 'POSTED'
+  }).sort({ postedAt: -1 }).limit(200).lean();
+  return { receipts: rows.map(receiptRow) };
+}
+
+async function renderDocument(model) {
+  return { filename: model.filename, buffer: await pdf.renderPdf(model) };
+}
+
+async function receiptPdf({ patient, id }) {
+  assertObjectId(id, 'Receipt');
+  const transaction = await FinancialTransaction.findOne({
+    _id: id, hospitalId: patient.hospitalId, patientId: patient._id, transactionType: { $in: RECEIPT_TYPES }
+  }).lean();
+  if (!transaction) throw httpError('Receipt not found', 404);
+  const invoiceIds = [
+    transaction.invoiceId,
+    ...(transaction.documentAllocations || []).filter((row) => row.documentType === 'Invoice').map((row) => row.documentId)
+  ].filter(Boolean);
+  const [seller, fullPatient, admission, invoices, gatewayPayment] = await Promise.all([
+    sellerProfile(patient.hospitalId),
+    Patient.findById(patient._id).select('salutation first_name middle_name last_name uhid patientId').lean(),
+    transaction.admissionId ? IPDAdmission.findById(transaction.admissionId).select('admissionNumber').lean() : null,
+    invoiceIds.length ? Invoice.find({ _id: { $in: invoiceIds }, hospital_id: patient.hospitalId }).select('invoice_number').lean() : [],
+    transaction.paymentReference
+      ? GatewayPayment.findOne({ hospitalId: patient.hospitalId, patientId: patient._id, gatewayPaymentId: transaction.paymentReference }).select('paidBy').lean()
+      : null
+  ]);
+  return renderDocument(pdf.receiptDocument({ seller, transaction, patient: fullPatient, admission, invoices, paidBy: gatewayPayment?.paidBy }));
+}
+
+// The portal serves the same invoice PDF the billing desk prints.
+async function invoicePdf({ patient, id }) {
+  const invoice = await loadOwnInvoice(patient, id);
+  if (['DRAFT', 'VOID'].includes(invoice.document_stage)) throw httpError('This invoice has not been issued', 409, 'PORTAL_DOCUMENT_NOT_ISSUED');
+  const printable = await loadInvoiceForPdf({ _id: invoice._id, hospital_id: patient.hospitalId, patient_id: patient._id });
+  return { filename: `invoice-${invoice.invoice_number}.pdf`, buffer: await renderInvoicePdf(printable) };
+}
+
+async function runningBillPdf({ patient, admissionId }) {
+  await loadOwnAdmission(patient, admissionId);
+  const [seller, bill, fullPatient] = await Promise.all([
+    sellerProfile(patient.hospitalId),
+    ipdFinancial.getRunningBill(admissionId, portalUser(patient)),
+    Patient.findById(patient._id).select('salutation first_name middle_name last_name uhid patientId').lean()
+  ]);
+  return renderDocument(pdf.runningBillDocument({ seller, runningBill: { ...bill, patient: fullPatient } }));
+}
+
+module.exports = {
+  billingSummary,
+  payDocument,
+  topUpAdvance,
+  runningBill,
+  listPayments,
+  getPayment,
+  listReceipts,
+  receiptPdf,
+  invoicePdf,
+  runningBillPdf
+};
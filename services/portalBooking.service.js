@@ -0,0 +1,659 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Calendar = require('../models/Calendar');
+const Doctor = require('../models/Doctor');
+const Hospital = require('../models/Hospital');
+const HospitalCharges = require('../models/HospitalCharges');
+const HRStaffProfile = require('../models/HRStaffProfile');
+const StaffAvailability = require('../models/StaffAvailability');
+const PortalBookingSetting = require('../models/PortalBookingSetting');
+const { nextAppointmentToken } = require('../utils/appointmentNumber');
+const { assertPatientReadyForContext } = require('./patientRegistration.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { createPaymentRequest } = require('./gatewayPayment.service');
+const {
+  notifyAppointment,
+  recalculateQueue,
+  hasTimeConflict,
+  removeAppointmentFromCalendar,
+  updateCalendarAppointmentStatus
+} = require('./appointmentQueue.service');
+const { money } = require('../utils/financeNumbers');
+const { operationNow } = require('../utils/operationTimeContext');
+const {
+  DEFAULT_HOSPITAL_TIME_ZONE,
+  validateDateKey,
+  hospitalDateKey,
+  hospitalTodayKey,
+  addDateKeyDays,
+  dateKeyDayName,
+  dateKeyToStorageDate,
+  hospitalDayBounds,
+  parseHospitalDateTime,
+  formatHospitalTime,
+  calendarDayKey,
+  canonicalBookingFingerprint
+} = require('../utils/hospitalDateTime');
+
+const UNAVAILABLE_STATUSES = ['on_leave', 'off_duty', 'unavailable', 'in_ot', 'emergency'];
+const SETTING_FIELDS = [
+  'enabled', 'departmentIds', 'slotMinutes', 'defaultSessions', 'closedWeekdays', 'maxAdvanceDays', 'minLeadMinutes',
+  'cancellationCutoffHours', 'rescheduleCutoffHours', 'maxReschedules', 'newVisitFee', 'followUpFee', 'followUpWindowDays',
+  'requirePrepayment', 'checkInOpensMinutes', 'checkInClosesMinutes'
+];
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+function httpError(message, statusCode = 400, code, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+/**
+ * Turns a staff status log into blocked intervals. An entry without valid_to
+ * lasts until the doctor's next status entry, so "on leave" followed later by
+ * "available" blocks only the time in between.
+ */
+function unavailableWindows(entries = []) {
+  const rows = [...entries].sort((left, right) => new Date(left.valid_from) - new Date(right.valid_from));
+  return rows
+    .map((row, index) => {
+      if (!UNAVAILABLE_STATUSES.includes(row.status)) return null;
+      const next = rows[index + 1];
+      const end = row.valid_to || next?.valid_from;
+      return { start: new Date(row.valid_from), end: end ? new Date(end) : new Date(8.64e15), status: row.status };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Bookable slots for one doctor on one hospital date. Sessions are wall-clock
+ * "HH:mm" ranges; a slot is unavailable when it overlaps a calendar booking
+ * or break, a blocked availability window, or starts before `notBefore`.
+ */
+function deriveSlots({ dateKey, timeZone = DEFAULT_HOSPITAL_TIME_ZONE, sessions = [], slotMinutes = 15, booked = [], breaks = [], unavailable = [], notBefore }) {
+  const active = booked.filter((row) => row.status !== 'Cancelled');
+  const slots = [];
+  for (const session of sessions) {
+    const sessionStart = parseHospitalDateTime(session.start, dateKey, timeZone);
+    const sessionEnd = parseHospitalDateTime(session.end, dateKey, timeZone);
+    for (let start = sessionStart; start.getTime() + slotMinutes * MINUTE <= sessionEnd.getTime(); start = new Date(start.getTime() + slotMinutes * MINUTE)) {
+      const end = new Date(start.getTime() + slotMinutes * MINUTE);
+      const blocked = unavailable.some((window) => start < window.end && end > window.start);
+      const available = !blocked
+        && !(notBefore && start < notBefore)
+        && !hasTimeConflict(active, start, end, breaks);
+      slots.push({ time: formatHospitalTime(start, timeZone), start, end, available });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Consultation fee for a portal booking. Follow-ups inside the hospital's
+ * window use the follow-up fee; otherwise the configured new-visit fee, the
+ * doctor's OPD fee or the hospital default, in that order.
+ */
+function consultationFee({ settings = {}, doctor = {}, charges, followUp = false }) {
+  const set = (value) => value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+  if (followUp && set(settings.followUpFee)) return { feeType: 'FOLLOW_UP', fee: money(settings.followUpFee), feeSource: 'portal follow-up fee' };
+  const feeType = followUp ? 'FOLLOW_UP' : 'NEW';
+  if (set(settings.newVisitFee)) return { feeType, fee: money(settings.newVisitFee), feeSource: 'portal new visit fee' };
+  if (set(doctor.opdConsultationFee)) return { feeType, fee: money(doctor.opdConsultationFee), feeSource: 'doctor rate' };
+  return { feeType, fee: money(charges?.opdCharges?.consultationFee || 0), feeSource: 'hospital default' };
+}
+
+function sessionsFor(doctor, settings, dateKey) {
+  const dayName = dateKeyDayName(dateKey).toLowerCase();
+  const matchesDay = (name) => String(name || '').trim().toLowerCase().slice(0, 3) === dayName.slice(0, 3);
+  if (doctor.isFullTime === false && doctor.timeSlots?.length) {
+    if (doctor.workingDaysPerWeek?.length && !doctor.workingDaysPerWeek.some(matchesDay)) return [];
+    return doctor.timeSlots.filter((row) => row.start && row.end);
+  }
+  if ((settings.closedWeekdays || []).some(matchesDay)) return [];
+  return settings.defaultSessions || [];
+}
+
+function appointmentStart(appointment, timeZone) {
+  if (appointment.start_time) return new Date(appointment.start_time);
+  return hospitalDayBounds(appointment.appointment_date_key || hospitalDateKey(appointment.appointment_date, timeZone), timeZone).start;
+}
+
+async function getSettings(hospitalId) {
+  const row = await PortalBookingSetting.findOne({ hospitalId }).lean();
+  return row || new PortalBookingSetting({ hospitalId }).toObject();
+}
+
+async function updateSettings({ req, hospitalId, body = {} }) {
+  const changes = Object.fromEntries(SETTING_FIELDS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]]));
+  const before = await getSettings(hospitalId);
+  const setting = await PortalBookingSetting.findOneAndUpdate(
+    { hospitalId },
+    { $set: { ...changes, updatedBy: req.user?._id }, $setOnInsert: { hospitalId } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  await appendDomainEvent({
+    req,
+    eventType: 'opd.portal_booking.settings_updated',
+    entityType: 'PortalBookingSetting',
+    entityId: setting._id,
+    hospitalId,
+    beforeSummary: Object.fromEntries(Object.keys(changes).map((key) => [key, before[key]])),
+    afterSummary: changes
+  });
+  return setting.toObject();
+}
+
+async function bookingContext(hospitalId) {
+  const [settings, hospital] = await Promise.all([
+    getSettings(hospitalId),
+    Hospital.findById(hospitalId).select('timezone').lean()
+  ]);
+  if (!settings.enabled) throw httpError('Online appointment booking is not available at this hospital', 403, 'PORTAL_BOOKING_DISABLED');
+  return { settings, timeZone: hospital?.timezone || DEFAULT_HOSPITAL_TIME_ZONE };
+}
+
+function assertBookableDate(dateKey, { settings, timeZone }) {
+  const today = hospitalTodayKey(timeZone, operationNow());
+  const last = addDateKeyDays(today, settings.maxAdvanceDays);
+  if (dateKey < today || dateKey > last) {
+    throw httpError(`Appointments can be booked from ${today} to ${last}`, 422, 'PORTAL_BOOKING_OUTSIDE_WINDOW', { from: today, to: last });
+  }
+}
+
+async function followUpDoctorIds({ hospitalId, patientId, settings, timeZone, dateKey }) {
+  if (!settings.followUpWindowDays) return new Set();
+  const since = hospitalDayBounds(addDateKeyDays(dateKey, -settings.followUpWindowDays), timeZone).start;
+  const ids = await Appointment.distinct('doctor_id', {
+    hospital_id: hospitalId,
+    patient_id: patientId,
+    status: 'Completed',
+    is_active: { $ne: false },
+    appointment_date: { $gte: since }
+  });
+  return new Set(ids.map(String));
+}
+
+async function doctorWindows(hospitalId, doctorIds, dateKey, timeZone) {
+  const profiles = await HRStaffProfile.find({
+    hospital_id: hospitalId,
+    $or: [{ doctor_id: { $in: doctorIds } }, { source_model: 'Doctor', source_id: { $in: doctorIds } }]
+  }).select('_id doctor_id source_id').lean();
+  const { end } = hospitalDayBounds(dateKey, timeZone);
+  const entries = profiles.length
+    ? await StaffAvailability.find({ hospital_id: hospitalId, employee_id: { $in: profiles.map((row) => row._id) }, valid_from: { $lt: end } })
+      .select('employee_id status valid_from valid_to').lean()
+    : [];
+  const windows = new Map();
+  for (const profile of profiles) {
+    const doctorId = String(profile.doctor_id || profile.source_id);
+    windows.set(doctorId, unavailableWindows(entries.filter((row) => String(row.employee_id) === String(profile._id))));
+  }
+  return windows;
+}
+
+/** Slots for every bookable doctor on a date, with the fee this patient would pay. */
+async function listSlots({ patient, query = {} }) {
+  const hospitalId = patient.hospitalId;
+  const context = await bookingContext(hospitalId);
+  const { settings, timeZone } = context;
+  let dateKey;
+  try {
+    dateKey = validateDateKey(query.date || hospitalTodayKey(timeZone, operationNow()));
+  } catch (error) {
+    throw httpError('date must be YYYY-MM-DD', 400, 'VALIDATION_ERROR');
+  }
+  assertBookableDate(dateKey, context);
+
+  for (const key of ['doctorId', 'departmentId']) {
+    if (query[key] && !mongoose.isValidObjectId(query[key])) throw httpError(`${key} is invalid`, 400, 'VALIDATION_ERROR');
+  }
+  const filter = { hospitalId, is_active: { $ne: false } };
+  if (query.doctorId) filter._id = query.doctorId;
+  if (query.departmentId) filter.department = query.departmentId;
+  if (settings.departmentIds?.length) {
+    const allowed = settings.departmentIds.map(String);
+    if (query.departmentId && !allowed.includes(String(query.departmentId))) return { date: dateKey, timeZone, doctors: [] };
+    if (!query.departmentId) filter.department = { $in: settings.departmentIds };
+  }
+  const [doctors, calendar, charges, followUps] = await Promise.all([
+    Doctor.find(filter).select('firstName lastName department specialization isFullTime timeSlots workingDaysPerWeek opdConsultationFee').populate('department', 'name').lean(),
+    Calendar.findOne({ hospitalId }).lean(),
+    HospitalCharges.findOne({ hospital: hospitalId, is_active: { $ne: false } }).lean(),
+    followUpDoctorIds({ hospitalId, patientId: patient._id, settings, timeZone, dateKey })
+  ]);
+  const day = calendar?.days?.find((row) => calendarDayKey(row, calendar.timezone || timeZone) === dateKey);
+  const rostered = doctors.filter((doctor) => day?.doctors?.some((row) => String(row.doctorId) === String(doctor._id)));
+  const windows = await doctorWindows(hospitalId, rostered.map((doctor) => doctor._id), dateKey, timeZone);
+  const notBefore = new Date(operationNow().getTime() + settings.minLeadMinutes * MINUTE);
+
+  return {
+    date: dateKey,
+    timeZone,
+    doctors: rostered.map((doctor) => {
+      const doctorDay = day.doctors.find((row) => String(row.doctorId) === String(doctor._id));
+      return {
+        doctorId: doctor._id,
+        name: [doctor.firstName, doctor.lastName].filter(Boolean).join(' '),
+        specialization: doctor.specialization,
+        department: doctor.department,
+        ...consultationFee({ settings, doctor, charges, followUp: followUps.has(String(doctor._id)) }),
+        slots: deriveSlots({
+          dateKey,
+          timeZone,
+          sessions: sessionsFor(doctor, settings, dateKey),
+          slotMinutes: settings.slotMinutes,
+          booked: doctorDay.bookedAppointments,
+          breaks: doctorDay.breaks,
+          unavailable: windows.get(String(doctor._id)) || [],
+          notBefore
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Confirms that `time` is a free slot for the doctor and returns the loaded
+ * calendar with the doctor's day so the caller can record the booking.
+ */
+async function claimSlot({ hospitalId, doctorId, dateKey, time, context, excludeAppointmentId }) {
+  const { settings, timeZone } = context;
+  if (!mongoose.isValidObjectId(doctorId)) throw httpError('doctorId is required', 400, 'VALIDATION_ERROR');
+  const doctor = await Doctor.findOne({ _id: doctorId, hospitalId, is_active: { $ne: false } })
+    .select('firstName lastName department isFullTime timeSlots workingDaysPerWeek opdConsultationFee').lean();
+  if (!doctor) throw httpError('Doctor not found', 404);
+  if (settings.departmentIds?.length && !settings.departmentIds.map(String).includes(String(doctor.department))) {
+    throw httpError('This department does not take online bookings', 422, 'PORTAL_BOOKING_DEPARTMENT_CLOSED');
+  }
+  let start;
+  try {
+    start = parseHospitalDateTime(time, dateKey, timeZone);
+  } catch (error) {
+    throw httpError(error.message, 400, error.code || 'VALIDATION_ERROR');
+  }
+  const calendar = await Calendar.findOne({ hospitalId });
+  const day = calendar?.days.find((row) => calendarDayKey(row, calendar.timezone || timeZone) === dateKey);
+  const doctorDay = day?.doctors.find((row) => String(row.doctorId) === String(doctor._id));
+  if (!doctorDay) throw httpError('The doctor is not available on this date', 409, 'SLOT_UNAVAILABLE');
+  const windows = await doctorWindows(hospitalId, [doctor._id], dateKey, timeZone);
+  const slot = deriveSlots({
+    dateKey,
+    timeZone,
+    sessions: sessionsFor(doctor, settings, dateKey),
+    slotMinutes: settings.slotMinutes,
+    booked: doctorDay.bookedAppointments.filter((row) => String(row.appointmentId) !== String(excludeAppointmentId)),
+    breaks: doctorDay.breaks,
+    unavailable: windows.get(String(doctor._id)) || [],
+    notBefore: new Date(operationNow().getTime() + settings.minLeadMinutes * MINUTE)
+  }).find((row) => row.start.getTime() === start.getTime());
+  if (!slot?.available) throw httpError('This slot is no longer available', 409, 'SLOT_UNAVAILABLE');
+  return { doctor, calendar, day, doctorDay, slot };
+}
+
+/**
+ * Adds the booking to the doctor's calendar day in one conditional update
+ * that only matches while no other active booking overlaps the slot, so two
+ * patients racing for the same slot cannot both get it.
+ */
+async function reserveSlot({ calendar, day, doctorId, slot, duration, appointmentId }) {
+  const overlapping = { status: { $ne: 'Cancelled' }, startTime: { $lt: slot.end }, endTime: { $gt: slot.start }, appointmentId: { $ne: appointmentId } };
+  const result = await Calendar.updateOne(
+    {
+      _id: calendar._id,
+      days: { $elemMatch: { _id: day._id, doctors: { $elemMatch: { doctorId, bookedAppointments: { $not: { $elemMatch: overlapping } } } } } }
+    },
+    { $push: { 'days.$[day].doctors.$[doctor].bookedAppointments': { startTime: slot.start, endTime: slot.end, duration, appointmentId, status: 'Scheduled' } } },
+    { arrayFilters: [{ 'day._id': day._id }, { 'doctor.doctorId': doctorId }] }
+  );
+  if (!result.modifiedCount) throw httpError('This slot is no longer available', 409, 'SLOT_UNAVAILABLE');
+}
+
+async function openFeePayment({ req, appointment }) {
+  const booking = appointment.portalBooking;
+  if (!(booking?.fee > 0) || booking.paymentStatus === 'PAID') return null;
+  const payment = await createPaymentRequest({
+    req,
+    hospitalId: appointment.hospital_id,
+    body: {
+      patientId: appointment.patient_id,
+      appointmentId: appointment._id,
+      purpose: 'OPD_ADVANCE',
+      amount: booking.fee,
+      idempotencyKey: `portal-appointment:${appointment._id}:${booking.rescheduleCount || 0}`
+    }
+  });
+  if (String(booking.gatewayPaymentId || '') !== String(payment._id)) {
+    booking.gatewayPaymentId = payment._id;
+    booking.paymentStatus = payment.status === 'CAPTURED' ? 'PAID' : 'PENDING';
+    await appointment.save();
+  }
+  return payment;
+}
+
+async function loadOwnAppointment(patient, id) {
+  const appointment = mongoose.isValidObjectId(id)
+    ? await Appointment.findOne({ _id: id, hospital_id: patient.hospitalId, patient_id: patient._id, is_active: { $ne: false } })
+    : null;
+  if (!appointment) throw httpError('Appointment not found', 404);
+  return appointment;
+}
+
+function assertBeforeCutoff(appointment, hours, timeZone, action) {
+  const cutoff = new Date(appointmentStart(appointment, timeZone).getTime() - hours * HOUR);
+  if (operationNow() > cutoff) {
+    throw httpError(`Appointments can only be ${action} online up to ${hours} hours before the visit`, 409, 'PORTAL_BOOKING_CUTOFF_PASSED', { cutoff });
+  }
+}
+
+async function safeNotify(appointment, eventType, extra) {
+  try {
+    await notifyAppointment(appointment, eventType, undefined, extra);
+    return undefined;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Books a time-based consultation for the signed-in patient, gives it the
+ * day's OPD token and queue position, and opens the online fee payment.
+ * The fee is collected as OPD advance and settles the consultation bill at
+ * the visit.
+ */
+async function bookAppointment({ req, patient, body = {} }) {
+  const hospitalId = patient.hospitalId;
+  const idempotencyKey = String(body.idempotencyKey || '').trim() || undefined;
+  if (idempotencyKey) {
+    const existing = await Appointment.findOne({ hospital_id: hospitalId, patient_id: patient._id, idempotencyKey });
+    if (existing) return { appointment: existing.toObject(), idempotent: true };
+  }
+  const context = await bookingContext(hospitalId);
+  const { settings, timeZone } = context;
+  let dateKey;
+  try {
+    dateKey = validateDateKey(body.date);
+  } catch (error) {
+    throw httpError('date must be YYYY-MM-DD', 400, 'VALIDATION_ERROR');
+  }
+  assertBookableDate(dateKey, context);
+  const { doctor, calendar, day, slot } = await claimSlot({ hospitalId, doctorId: body.doctorId, dateKey, time: body.time, context });
+
+  const duplicate = await Appointment.exists({
+    hospital_id: hospitalId,
+    patient_id: patient._id,
+    doctor_id: doctor._id,
+    status: { $in: ['Scheduled', 'In Progress'] },
+    is_active: { $ne: false },
+    appointment_date_key: dateKey
+  });
+  if (duplicate) throw httpError('You already have an appointment with this doctor on this date', 409, 'DUPLICATE_BOOKING', { appointmentId: duplicate._id });
+  await assertPatientReadyForContext({ hospitalId, patientId: patient._id, context: 'OPD' });
+
+  const [charges, followUps] = await Promise.all([
+    HospitalCharges.findOne({ hospital: hospitalId, is_active: { $ne: false } }).lean(),
+    followUpDoctorIds({ hospitalId, patientId: patient._id, settings, timeZone, dateKey })
+  ]);
+  const fee = consultationFee({ settings, doctor, charges, followUp: followUps.has(String(doctor._id)) });
+  const appointmentDate = dateKeyToStorageDate(dateKey);
+  const appointment = new Appointment({
+    hospital_id: hospitalId,
+    patient_id: patient._id,
+    doctor_id: doctor._id,
+    department_id: doctor.department,
+    appointment_date: appointmentDate,
+    appointment_date_key: dateKey,
+    scheduled_timezone: timeZone,
+    start_time: slot.start,
+    end_time: slot.end,
+    duration: settings.slotMinutes,
+    status: 'Scheduled',
+    type: 'time-based',
+    appointment_type: fee.feeType === 'FOLLOW_UP' ? 'follow-up' : 'consultation',
+    notes: String(body.notes || '').slice(0, 1000),
+    idempotencyKey,
+    bookingFingerprint: canonicalBookingFingerprint({ hospitalId, patientId: patient._id, doctorId: doctor._id, appointmentDateKey: dateKey, type: 'time-based', startTime: slot.start }),
+    submissionSource: 'PATIENT_PORTAL',
+    sponsorType: 'self',
+    requiredNowAmount: settings.requirePrepayment ? fee.fee : 0,
+    portalBooking: { ...fee, paymentStatus: fee.fee > 0 ? 'PENDING' : 'NOT_REQUIRED', rescheduleCount: 0 },
+    lifecycleTimestamps: { bookedAt: operationNow() }
+  });
+  appointment.token = await nextAppointmentToken({ hospitalId, patientType: patient.patient_type, appointmentDate, appointmentDateKey: dateKey, timeZone });
+  await reserveSlot({ calendar, day, doctorId: doctor._id, slot, duration: settings.slotMinutes, appointmentId: appointment._id });
+  try {
+    await appointment.save();
+  } catch (error) {
+    await removeAppointmentFromCalendar(appointment).catch(() => {});
+    throw error;
+  }
+
+  await recalculateQueue({ hospitalId, departmentId: appointment.department_id, date: dateKey, timeZone });
+  let payment = null;
+  let paymentWarning;
+  try {
+    payment = await openFeePayment({ req, appointment });
+  } catch (error) {
+    // The slot stays booked; the patient can retry payment from the portal.
+    paymentWarning = error.message;
+  }
+  const notificationWarning = await safeNotify(appointment, 'appointment_booked');
+  await appendDomainEvent({
+    req,
+    eventType: 'opd.appointment.portal_booked',
+    entityType: 'Appointment',
+    entityId: appointment._id,
+    hospitalId,
+    patientId: patient._id,
+    encounterId: appointment._id,
+    afterSummary: { status: 'Scheduled', dateKey, startTime: slot.start, doctorId: doctor._id, token: appointment.token, fee: fee.fee, feeType: fee.feeType }
+  });
+  const saved = await Appointment.findOne({ _id: appointment._id, hospital_id: hospitalId }).lean();
+  return { appointment: saved, payment, paymentWarning, notificationWarning };
+}
+
+/** Moves a scheduled appointment to another free slot, keeping its fee payment. */
+async function rescheduleAppointment({ req, patient, id, body = {} }) {
+  const hospitalId = patient.hospitalId;
+  const context = await bookingContext(hospitalId);
+  const { settings, timeZone } = context;
+  const appointment = await loadOwnAppointment(patient, id);
+  if (appointment.status !== 'Scheduled') throw httpError(`A ${appointment.status.toLowerCase()} appointment cannot be rescheduled`, 409);
+  if (appointment.type !== 'time-based') throw httpError('Token appointments can only be changed by the hospital', 409, 'PORTAL_RESCHEDULE_UNSUPPORTED');
+  if (Number(appointment.portalBooking?.rescheduleCount || 0) >= settings.maxReschedules) {
+    throw httpError('This appointment cannot be rescheduled again online', 409, 'PORTAL_RESCHEDULE_LIMIT');
+  }
+  assertBeforeCutoff(appointment, settings.rescheduleCutoffHours, timeZone, 'rescheduled');
+  let dateKey;
+  try {
+    dateKey = validateDateKey(body.date || appointment.appointment_date_key);
+  } catch (error) {
+    throw httpError('date must be YYYY-MM-DD', 400, 'VALIDATION_ERROR');
+  }
+  assertBookableDate(dateKey, context);
+  const doctorId = body.doctorId || appointment.doctor_id;
+  const before = { dateKey: appointment.appointment_date_key, startTime: appointment.start_time, doctorId: appointment.doctor_id, departmentId: appointment.department_id, token: appointment.token };
+  await removeAppointmentFromCalendar(appointment);
+  let claimed;
+  try {
+    claimed = await claimSlot({ hospitalId, doctorId, dateKey, time: body.time, context, excludeAppointmentId: appointment._id });
+  } catch (error) {
+    await restoreCalendarBooking(appointment, timeZone).catch(() => {});
+    throw error;
+  }
+  const { doctor, calendar, day, slot } = claimed;
+  try {
+    await reserveSlot({ calendar, day, doctorId: doctor._id, slot, duration: settings.slotMinutes, appointmentId: appointment._id });
+  } catch (error) {
+    await restoreCalendarBooking(appointment, timeZone).catch(() => {});
+    throw error;
+  }
+
+  appointment.doctor_id = doctor._id;
+  appointment.department_id = doctor.department;
+  appointment.appointment_date = dateKeyToStorageDate(dateKey);
+  appointment.appointment_date_key = dateKey;
+  appointment.start_time = slot.start;
+  appointment.end_time = slot.end;
+  appointment.duration = settings.slotMinutes;
+  appointment.bookingFingerprint = canonicalBookingFingerprint({ hospitalId, patientId: patient._id, doctorId: doctor._id, appointmentDateKey: dateKey, type: 'time-based', startTime: slot.start });
+  if (dateKey !== before.dateKey) {
+    appointment.token = await nextAppointmentToken({ hospitalId, patientType: patient.patient_type, appointmentDate: appointment.appointment_date, appointmentDateKey: dateKey, timeZone });
+  }
+  appointment.portalBooking = appointment.portalBooking || {};
+  appointment.portalBooking.rescheduleCount = Number(appointment.portalBooking.rescheduleCount || 0) + 1;
+  await appointment.save();
+
+  await recalculateQueue({ hospitalId, departmentId: before.departmentId, date: before.dateKey, timeZone });
+  await recalculateQueue({ hospitalId, departmentId: appointment.department_id, date: dateKey, timeZone });
+  const notificationWarning = await safeNotify(appointment, 'appointment_rescheduled', {
+    subject: 'Appointment rescheduled',
+    body: `Your appointment has been moved to ${dateKey} at ${slot.time}. Token: ${appointment.token}.`
+  });
+  await appendDomainEvent({
+    req,
+    eventType: 'opd.appointment.portal_rescheduled',
+    entityType: 'Appointment',
+    entityId: appointment._id,
+    hospitalId,
+    patientId: patient._id,
+    encounterId: appointment._id,
+    beforeSummary: before,
+    afterSummary: { dateKey, startTime: slot.start, doctorId: doctor._id, token: appointment.token, rescheduleCount: appointment.portalBooking.rescheduleCount }
+  });
+  const saved = await Appointment.findOne({ _id: appointment._id, hospital_id: hospitalId }).lean();
+  return { appointment: saved, notificationWarning };
+}
+
+async function restoreCalendarBooking(appointment, timeZone) {
+  if (appointment.type !== 'time-based' || !appointment.start_time) return;
+  const calendar = await Calendar.findOne({ hospitalId: appointment.hospital_id });
+  const day = calendar?.days.find((row) => calendarDayKey(row, calendar.timezone || timeZone) === appointment.appointment_date_key);
+  const doctorDay = day?.doctors.find((row) => String(row.doctorId) === String(appointment.doctor_id));
+  if (!doctorDay) return;
+  doctorDay.bookedAppointments.push({ startTime: appointment.start_time, endTime: appointment.end_time, duration: appointment.duration, appointmentId: appointment._id, status: 'Scheduled' });
+  await calendar.save();
+}
+
+/**
+ * Cancels before the hospital's cut-off. A fee already paid stays on the
+ * patient's account as OPD advance; refunds go through the finance desk.
+ */
+async function cancelAppointment({ req, patient, id, body = {} }) {
+  const hospitalId = patient.hospitalId;
+  const { settings, timeZone } = await bookingContext(hospitalId);
+  const appointment = await loadOwnAppointment(patient, id);
+  if (appointment.status !== 'Scheduled') throw httpError(`A ${appointment.status.toLowerCase()} appointment cannot be cancelled online`, 409);
+  assertBeforeCutoff(appointment, settings.cancellationCutoffHours, timeZone, 'cancelled');
+
+  const reason = String(body.reason || '').trim() || 'Cancelled by patient on the portal';
+  const cancelledAt = operationNow();
+  appointment.status = 'Cancelled';
+  appointment.cancellationReason = reason;
+  appointment.cancelledAt = cancelledAt;
+  appointment.lifecycleTimestamps = appointment.lifecycleTimestamps || {};
+  appointment.lifecycleTimestamps.cancelledAt = cancelledAt;
+  appointment.cancellationHistory.push({ reason, cancelledAt });
+  await Promise.all([appointment.save(), removeAppointmentFromCalendar(appointment)]);
+  await recalculateQueue({ hospitalId, departmentId: appointment.department_id, date: appointment.appointment_date_key, timeZone });
+  const notificationWarning = await safeNotify(appointment, 'appointment_cancelled', {
+    subject: 'Appointment cancelled',
+    body: `Your appointment has been cancelled. Reason: ${reason}`
+  });
+  await appendDomainEvent({
+    req,
+    eventType: 'opd.appointment.portal_cancelled',
+    entityType: 'Appointment',
+    entityId: appointment._id,
+    hospitalId,
+    patientId: patient._id,
+    encounterId: appointment._id,
+    beforeSummary: { status: 'Scheduled' },
+    afterSummary: { status: 'Cancelled', reason, paymentStatus: appointment.portalBooking?.paymentStatus }
+  });
+  return {
+    appointment: appointment.toObject(),
+    feeHeldAsAdvance: appointment.portalBooking?.paymentStatus === 'PAID' ? appointment.portalBooking.fee : 0,
+    notificationWarning
+  };
+}
+
+/** Returns the open fee payment for an appointment, creating one if needed. */
+async function appointmentPayment({ req, patient, id }) {
+  const appointment = await loadOwnAppointment(patient, id);
+  if (appointment.status === 'Cancelled') throw httpError('A cancelled appointment cannot be paid for', 409);
+  if (!(appointment.portalBooking?.fee > 0)) throw httpError('No consultation fee is due online for this appointment', 409, 'PORTAL_FEE_NOT_DUE');
+  if (appointment.portalBooking.paymentStatus === 'PAID') return { appointment: appointment.toObject(), payment: null };
+  const payment = await openFeePayment({ req, appointment });
+  return { appointment: appointment.toObject(), payment };
+}
+
+/**
+ * Remote check-in on arrival. Allowed on the visit day from
+ * checkInOpensMinutes before the slot until checkInClosesMinutes after it,
+ * and only once the fee is paid when the hospital requires prepayment.
+ */
+async function checkInAppointment({ req, patient, id }) {
+  const hospitalId = patient.hospitalId;
+  const { settings, timeZone } = await bookingContext(hospitalId);
+  const appointment = await loadOwnAppointment(patient, id);
+  if (appointment.status !== 'Scheduled') throw httpError(`A ${appointment.status.toLowerCase()} appointment cannot be checked in`, 409);
+  const now = operationNow();
+  if (appointment.appointment_date_key !== hospitalDateKey(now, timeZone)) {
+    throw httpError('Check-in opens on the day of the appointment', 409, 'PORTAL_CHECK_IN_CLOSED');
+  }
+  const start = appointmentStart(appointment, timeZone);
+  if (appointment.start_time && (now < new Date(start.getTime() - settings.checkInOpensMinutes * MINUTE) || now > new Date(start.getTime() + settings.checkInClosesMinutes * MINUTE))) {
+    throw httpError('Check-in is not open for this appointment time', 409, 'PORTAL_CHECK_IN_CLOSED', {
+      opensAt: new Date(start.getTime() - settings.checkInOpensMinutes * MINUTE),
+      closesAt: new Date(start.getTime() + settings.checkInClosesMinutes * MINUTE)
+    });
+  }
+  if (settings.requirePrepayment && appointment.portalBooking?.fee > 0 && appointment.portalBooking.paymentStatus !== 'PAID') {
+    throw httpError('Please pay the consultation fee before checking in', 402, 'PORTAL_FEE_UNPAID');
+  }
+  appointment.status = 'In Progress';
+  appointment.lifecycleTimestamps = appointment.lifecycleTimestamps || {};
+  appointment.lifecycleTimestamps.checkedInAt = now;
+  appointment.portalBooking = appointment.portalBooking || {};
+  appointment.portalBooking.checkedInRemotelyAt = now;
+  await appointment.save();
+  await updateCalendarAppointmentStatus(appointment, 'In Progress');
+  const queue = await recalculateQueue({ hospitalId, departmentId: appointment.department_id, date: appointment.appointment_date_key, timeZone });
+  const refreshed = queue.find((row) => String(row._id) === String(appointment._id)) || appointment;
+  const notificationWarning = await safeNotify(refreshed, 'appointment_checked_in', {
+    subject: 'Patient check-in confirmed',
+    body: `Check-in is complete. Token ${refreshed.token}, queue position: ${refreshed.queuePosition || 'pending'}.`
+  });
+  await appendDomainEvent({
+    req,
+    eventType: 'opd.appointment.portal_checked_in',
+    entityType: 'Appointment',
+    entityId: appointment._id,
+    hospitalId,
+    patientId: patient._id,
+    encounterId: appointment._id,
+    afterSummary: { status: 'In Progress', checkedInAt: now, queuePosition: refreshed.queuePosition }
+  });
+  return { appointment: refreshed.toObject ? refreshed.toObject() : refreshed, notificationWarning };
+}
+
+module.exports = {
+  unavailableWindows,
+  deriveSlots,
+  consultationFee,
+  reserveSlot,
+  getSettings,
+  updateSettings,
+  listSlots,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+  appointmentPayment,
+  checkInAppointment
+};
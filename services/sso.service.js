@@ -0,0 +1,483 @@
+'use strict';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { SAML } = require('@node-saml/node-saml');
+const User = require('../models/User');
+const SsoLoginTransaction = require('../models/SsoLoginTransaction');
+const SsoSession = require('../models/SsoSession');
+const { getOrCreateNabhSetting } = require('./nabhSetting.service');
+const { appendDomainEvent } = require('./auditEvent.service');
+const { createOidcClient, pkcePair, randomToken } = require('./oidcClient.service');
+const { MAIN_FEATURE_KEYS, ACCESS_ORDER } = require('../utils/mainFeatureAccess');
+
+// Standards-based hospital SSO. Each hospital configures its own IdP under
+// NabhSetting.security.sso: OpenID Connect (authorization code + PKCE) or
+// SAML 2.0 (SP-initiated, HTTP-Redirect request, HTTP-POST response). A
+// successful IdP login ends in a short-lived single-use hand-off code that the
+// frontend exchanges for the normal HIMS login response; that login is tied to
+// an SsoSession so user and IdP-initiated logout can revoke it.
+
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const HANDOFF_TTL_MS = 2 * 60 * 1000;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const NON_ASSIGNABLE_ROLES = ['mediqliq_super_admin', 'patient', 'demo'];
+
+function ssoError(message, statusCode = 401, code = 'SSO_LOGIN_FAILED', details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+}
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code)).digest('hex');
+}
+
+function assignableRoles() {
+  return User.schema.path('role').enumValues.filter((role) => !NON_ASSIGNABLE_ROLES.includes(role));
+}
+
+/** Reads a claim by exact name first (SAML attribute URIs contain dots), then by dotted path. */
+function claimValues(claims = {}, path) {
+  if (!path) return [];
+  let value = Object.prototype.hasOwnProperty.call(claims, path)
+    ? claims[path]
+    : String(path).split('.').reduce((current, key) => (current == null ? undefined : current[key]), claims);
+  if (value == null) return [];
+  if (!Array.isArray(value)) value = [value];
+  return value.flat().map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Turns IdP claims into the HIMS identity: email, display name, mapped role
+ * and module access. Roles come from the first roleMappings row whose value
+ * the user carries; module access rows are combined at the highest level.
+ */
+function mapIdentity({ claims = {}, sso = {}, subject }) {
+  const claimNames = sso.claims || {};
+  const email = [
+    ...claimValues(claims, claimNames.email || 'email'),
+    ...claimValues(claims, 'email'),
+    ...(String(subject || '').includes('@') ? [subject] : [])
+  ].map((value) => value.toLowerCase()).find((value) => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value));
+  if (!email) throw ssoError('The identity provider did not release an email address', 403, 'SSO_EMAIL_MISSING');
+  if (claims.email_verified === false || claims.email_verified === 'false') {
+    throw ssoError('The identity provider has not verified this email address', 403, 'SSO_EMAIL_UNVERIFIED');
+  }
+  const domains = (sso.allowedEmailDomains || []).map((domain) => String(domain).trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+  if (domains.length && !domains.includes(email.split('@')[1])) {
+    throw ssoError('This email domain is not allowed to sign in to this hospital', 403, 'SSO_DOMAIN_NOT_ALLOWED');
+  }
+  const name = claimValues(claims, claimNames.name || 'name')[0]
+    || [claims.given_name, claims.family_name].filter(Boolean).join(' ')
+    || email.split('@')[0];
+  const groups = new Set(claimValues(claims, claimNames.groups || 'groups'));
+  const mappedRole = (sso.roleMappings || []).find((row) => groups.has(row.value))?.role;
+  const access = new Map();
+  for (const row of sso.permissionMappings || []) {
+    if (!groups.has(row.value)) continue;
+    const level = row.access || 'view';
+    if ((ACCESS_ORDER[level] || 0) > (ACCESS_ORDER[access.get(row.moduleKey)] || 0)) access.set(row.moduleKey, level);
+  }
+  return {
+    email,
+    name,
+    subject: String(subject || ''),
+    groups: [...groups],
+    role: mappedRole || sso.defaultRole || 'staff',
+    roleMapped: Boolean(mappedRole),
+    modulePermissions: [...access].map(([moduleKey, level]) => ({ moduleKey, access: level }))
+  };
+}
+
+/** Rejects settings that would fail at login time or grant roles SSO must never grant. */
+function validateSsoSettings(sso = {}) {
+  const roles = assignableRoles();
+  const errors = [];
+  for (const role of [sso.defaultRole || 'staff', ...(sso.roleMappings || []).map((row) => row.role)]) {
+    if (!roles.includes(role)) errors.push(`SSO role ${role} is not assignable`);
+  }
+  for (const row of sso.permissionMappings || []) {
+    if (!MAIN_FEATURE_KEYS.has(row.moduleKey)) errors.push(`SSO permission mapping names unknown module ${row.moduleKey}`);
+  }
+  if (sso.enabled && sso.protocol === 'OIDC') {
+    for (const field of ['issuer', 'clientId', 'redirectUri']) if (!sso.oidc?.[field]) errors.push(`security.sso.oidc.${field} is required`);
+  }
+  if (sso.enabled && sso.protocol === 'SAML') {
+    for (const field of ['entryPoint', 'spEntityId', 'callbackUrl']) if (!sso.saml?.[field]) errors.push(`security.sso.saml.${field} is required`);
+    if (!(sso.saml?.idpCertificates || []).length) errors.push('security.sso.saml.idpCertificates needs at least one IdP signing certificate');
+  }
+  if (errors.length) throw ssoError(errors.join('; '), 400, 'SSO_SETTINGS_INVALID', { errors });
+}
+
+async function loadSso(hospitalId, protocol) {
+  if (!mongoose.isValidObjectId(hospitalId)) throw ssoError('Hospital not found', 404, 'SSO_NOT_CONFIGURED');
+  const setting = await getOrCreateNabhSetting(hospitalId, undefined, { includeSecrets: true });
+  const sso = setting.security?.sso?.toObject?.() || setting.security?.sso || {};
+  if (!sso.enabled) throw ssoError('Single sign-on is not enabled for this hospital', 403, 'SSO_DISABLED');
+  if (protocol && sso.protocol !== protocol) throw ssoError(`This hospital does not use ${protocol} sign-on`, 409, 'SSO_PROTOCOL_MISMATCH');
+  return sso;
+}
+
+function oidcClientFor(sso, request) {
+  return createOidcClient({ ...sso.oidc, request });
+}
+
+// node-saml keeps AuthnRequest IDs in a cache to check InResponseTo. Login
+// transactions already live in MongoDB, so the request ID is stored on the
+// transaction and any API instance can validate the response.
+function samlRequestCache(state) {
+  return {
+    async saveAsync(key, value) {
+      if (state) await SsoLoginTransaction.updateOne({ state }, { $set: { samlRequestId: key } });
+      return { value, createdAt: Date.now() };
+    },
+    async getAsync(key) {
+      const row = await SsoLoginTransaction.findOne({ samlRequestId: key, status: 'PENDING', expiresAt: { $gt: new Date() } }).select('createdAt').lean();
+      return row ? row.createdAt.toISOString() : null;
+    },
+    async removeAsync(key) {
+      return key;
+    }
+  };
+}
+
+function samlFor(sso, { state, validateInResponseTo = 'always' } = {}) {
+  const config = sso.saml || {};
+  return new SAML({
+    entryPoint: config.entryPoint,
+    logoutUrl: config.logoutUrl || config.entryPoint,
+    logoutCallbackUrl: config.logoutCallbackUrl,
+    issuer: config.spEntityId,
+    audience: config.spEntityId,
+    callbackUrl: config.callbackUrl,
+    idpIssuer: config.idpIssuer || undefined,
+    idpCert: config.idpCertificates,
+    privateKey: config.spPrivateKey || undefined,
+    publicCert: config.spCertificate || undefined,
+    signatureAlgorithm: config.signatureAlgorithm || 'sha256',
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: false,
+    identifierFormat: null,
+    disableRequestedAuthnContext: true,
+    acceptedClockSkewMs: 60 * 1000,
+    validateInResponseTo,
+    cacheProvider: samlRequestCache(state)
+  });
+}
+
+function safeReturnTo(value) {
+  const path = String(value || '').trim();
+  return path.startsWith('/') && !path.startsWith('//') && !path.includes('\\') ? path : undefined;
+}
+
+function frontendUrl(path) {
+  return `${String(process.env.FRONTEND_URL || '').replace(/\/$/, '')}${path}`;
+}
+
+/** Starts an SP-initiated login and returns the IdP URL to redirect the browser to. */
+async function beginLogin({ hospitalId, returnTo, request }) {
+  const sso = await loadSso(hospitalId);
+  if (!['OIDC', 'SAML'].includes(sso.protocol)) throw ssoError('This hospital uses assertion sign-on', 409, 'SSO_PROTOCOL_MISMATCH');
+  const state = randomToken();
+  const base = { hospitalId, protocol: sso.protocol, state, returnTo: safeReturnTo(returnTo), expiresAt: new Date(Date.now() + LOGIN_TTL_MS) };
+  if (sso.protocol === 'OIDC') {
+    const nonce = randomToken();
+    const { verifier, challenge } = pkcePair();
+    await SsoLoginTransaction.create({ ...base, nonce, codeVerifier: verifier });
+    return { redirectUrl: await oidcClientFor(sso, request).authorizationUrl({ state, nonce, codeChallenge: challenge }) };
+  }
+  await SsoLoginTransaction.create(base);
+  return { redirectUrl: await samlFor(sso, { state }).getAuthorizeUrlAsync(state, undefined, {}) };
+}
+
+async function pendingTransaction(state, protocol) {
+  const transaction = state
+    ? await SsoLoginTransaction.findOne({ state: String(state), protocol, status: 'PENDING', expiresAt: { $gt: new Date() } }).select('+nonce +codeVerifier')
+    : null;
+  if (!transaction) throw ssoError('This sign-in attempt has expired or was already used; start again', 400, 'SSO_STATE_INVALID');
+  return transaction;
+}
+
+function generatedPassword() {
+  // Never used: SSO accounts sign in through the IdP. It only has to satisfy
+  // the schema and any configured password policy.
+  return `${crypto.randomBytes(72).toString('base64url')}Aa1!`;
+}
+
+async function resolveUser({ req, hospitalId, sso, issuer, identity }) {
+  let user = await User.findOne({ hospital_id: hospitalId, 'sso.provider': issuer, 'sso.subject': identity.subject });
+  if (!user) {
+    user = await User.findOne({ email: identity.email });
+    if (user && String(user.hospital_id || '') !== String(hospitalId)) {
+      throw ssoError('This account belongs to a different hospital', 403, 'SSO_ACCOUNT_CONFLICT');
+    }
+    if (user?.sso?.subject && (user.sso.provider !== issuer || user.sso.subject !== identity.subject)) {
+      throw ssoError('This account is linked to a different identity provider account', 403, 'SSO_ACCOUNT_CONFLICT');
+    }
+  }
+  if (!user) {
+    if (!sso.allowJustInTimeProvisioning) throw ssoError('No HIMS account exists for this user', 403, 'SSO_ACCOUNT_NOT_FOUND');
+    user = await User.create({
+      name: identity.name,
+      email: identity.email,
+      password: generatedPassword(),
+      role: identity.role,
+      hospital_id: hospitalId,
+      modulePermissions: identity.modulePermissions,
+      sso: { provider: issuer, subject: identity.subject }
+    });
+    await appendDomainEvent({
+      req, eventType: 'sso.user_provisioned', entityType: 'User', entityId: user._id, hospitalId,
+      afterSummary: { email: user.email, role: user.role, issuer, groups: identity.groups }
+    });
+    return user;
+  }
+  if (!user.is_active) throw ssoError('Account is deactivated', 403, 'SSO_ACCOUNT_INACTIVE');
+  const before = { role: user.role };
+  if (!user.sso?.subject) user.sso = { provider: issuer, subject: identity.subject };
+  if (sso.syncAccessOnLogin && identity.roleMapped && !NON_ASSIGNABLE_ROLES.includes(user.role)) {
+    user.role = identity.role;
+    user.modulePermissions = identity.modulePermissions;
+  }
+  if (user.isModified()) {
+    await user.save();
+    if (before.role !== user.role) {
+      await appendDomainEvent({
+        req, eventType: 'sso.access_synced', entityType: 'User', entityId: user._id, hospitalId,
+        beforeSummary: before, afterSummary: { role: user.role, groups: identity.groups }
+      });
+    }
+  }
+  return user;
+}
+
+async function finishLogin({ req, transaction, sso, issuer, identity, idpSessionId, nameIdFormat, idToken }) {
+  const user = await resolveUser({ req, hospitalId: transaction.hospitalId, sso, issuer, identity });
+  const session = await SsoSession.create({
+    hospitalId: transaction.hospitalId,
+    userId: user._id,
+    protocol: transaction.protocol,
+    issuer,
+    subject: identity.subject,
+    idpSessionId,
+    nameIdFormat,
+    idToken,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+  const code = randomToken();
+  transaction.status = 'AUTHENTICATED';
+  transaction.handoffCodeHash = hashCode(code);
+  transaction.userId = user._id;
+  transaction.ssoSessionId = session._id;
+  transaction.expiresAt = new Date(Date.now() + HANDOFF_TTL_MS);
+  await transaction.save();
+  await appendDomainEvent({
+    req, eventType: 'sso.login', entityType: 'User', entityId: user._id, hospitalId: transaction.hospitalId,
+    afterSummary: { protocol: transaction.protocol, issuer, ssoSessionId: session._id }
+  });
+  const returnTo = transaction.returnTo ? `&returnTo=${encodeURIComponent(transaction.returnTo)}` : '';
+  return { redirectUrl: frontendUrl(`/sso/callback#code=${code}${returnTo}`) };
+}
+
+async function failLogin(transaction, error) {
+  if (transaction) {
+    transaction.status = 'FAILED';
+    transaction.error = error.message;
+    await transaction.save().catch(() => {});
+  }
+}
+
+/** OIDC redirect back from the IdP: exchanges the code and validates the ID token. */
+async function completeOidcLogin({ req, query = {}, request }) {
+  const transaction = await pendingTransaction(query.state, 'OIDC');
+  try {
+    if (query.error) throw ssoError(query.error_description || query.error, 401, 'SSO_IDP_ERROR');
+    const sso = await loadSso(transaction.hospitalId, 'OIDC');
+    const client = oidcClientFor(sso, request);
+    const tokens = await client.exchangeCode({ code: String(query.code || ''), codeVerifier: transaction.codeVerifier });
+    let claims = await client.verifyIdToken(tokens.id_token, { nonce: transaction.nonce });
+    if (!claimValues(claims, sso.claims?.email || 'email').length) {
+      const info = await client.userinfo(tokens.access_token);
+      if (info.sub && info.sub !== claims.sub) throw ssoError('UserInfo subject does not match the ID token', 401, 'SSO_LOGIN_FAILED');
+      claims = { ...info, ...claims };
+    }
+    return await finishLogin({
+      req, transaction, sso, issuer: client.issuer,
+      identity: mapIdentity({ claims, sso, subject: claims.sub }),
+      idpSessionId: claims.sid,
+      idToken: tokens.id_token
+    });
+  } catch (error) {
+    await failLogin(transaction, error);
+    throw error;
+  }
+}
+
+/** SAML assertion consumer service: RelayState carries the login state. */
+async function completeSamlLogin({ req, body = {} }) {
+  const transaction = await pendingTransaction(body.RelayState, 'SAML');
+  try {
+    const sso = await loadSso(transaction.hospitalId, 'SAML');
+    const { profile } = await samlFor(sso, { state: transaction.state }).validatePostResponseAsync({ SAMLResponse: body.SAMLResponse });
+    if (!profile) throw ssoError('SAML response carried no assertion', 401, 'SSO_LOGIN_FAILED');
+    if (!transaction.samlRequestId || profile.inResponseTo !== transaction.samlRequestId) {
+      throw ssoError('SAML response does not answer this sign-in request', 401, 'SSO_STATE_INVALID');
+    }
+    const claims = { ...(profile.attributes || {}), email: profile.email || profile.mail || profile.attributes?.email };
+    return await finishLogin({
+      req, transaction, sso, issuer: profile.issuer,
+      identity: mapIdentity({ claims, sso, subject: profile.nameID }),
+      idpSessionId: profile.sessionIndex,
+      nameIdFormat: profile.nameIDFormat
+    });
+  } catch (error) {
+    await failLogin(transaction, error);
+    throw error;
+  }
+}
+
+/** Swaps the hand-off code for the user and SSO session; usable once. */
+async function exchangeHandoffCode(code) {
+  const transaction = code
+    ? await SsoLoginTransaction.findOneAndUpdate(
+      { handoffCodeHash: hashCode(code), status: 'AUTHENTICATED', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'CONSUMED' } },
+      { new: true }
+    )
+    : null;
+  if (!transaction) throw ssoError('Sign-in code is invalid or expired', 401, 'SSO_HANDOFF_INVALID');
+  const [user, session] = await Promise.all([
+    User.findById(transaction.userId),
+    SsoSession.findOne({ _id: transaction.ssoSessionId, status: 'ACTIVE' }).lean()
+  ]);
+  if (!user || !session) throw ssoError('Sign-in code is invalid or expired', 401, 'SSO_HANDOFF_INVALID');
+  if (!user.is_active) throw ssoError('Account is deactivated', 403, 'SSO_ACCOUNT_INACTIVE');
+  return { user, session };
+}
+
+async function endSessions(filter, reason) {
+  const result = await SsoSession.updateMany({ ...filter, status: 'ACTIVE' }, { $set: { status: 'ENDED', endedAt: new Date(), endReason: reason } });
+  return result.modifiedCount || 0;
+}
+
+/**
+ * User-initiated logout of an SSO login. Ends the HIMS session and returns
+ * the IdP URL that ends the IdP session too, when the IdP offers one.
+ */
+async function logoutSession({ req, sessionId, userId }) {
+  if (!mongoose.isValidObjectId(sessionId)) return { logoutUrl: null };
+  const session = await SsoSession.findOne({ _id: sessionId, userId, status: 'ACTIVE' }).select('+idToken');
+  if (!session) return { logoutUrl: null };
+  await endSessions({ _id: session._id }, 'USER_LOGOUT');
+  await appendDomainEvent({
+    req, eventType: 'sso.logout', entityType: 'User', entityId: session.userId, hospitalId: session.hospitalId,
+    afterSummary: { protocol: session.protocol, initiatedBy: 'user', ssoSessionId: session._id }
+  });
+  try {
+    const sso = await loadSso(session.hospitalId, session.protocol);
+    if (session.protocol === 'OIDC') {
+      return { logoutUrl: await oidcClientFor(sso).endSessionUrl({ idTokenHint: session.idToken, postLogoutRedirectUri: sso.oidc?.postLogoutRedirectUri }) };
+    }
+    if (!sso.saml?.logoutUrl) return { logoutUrl: null };
+    const logoutUrl = await samlFor(sso, { validateInResponseTo: 'never' }).getLogoutUrlAsync(
+      { nameID: session.subject, nameIDFormat: session.nameIdFormat, sessionIndex: session.idpSessionId, issuer: session.issuer },
+      '', {}
+    );
+    return { logoutUrl };
+  } catch (_error) {
+    // The HIMS session is already ended; an IdP that cannot be reached only
+    // means its own session outlives ours.
+    return { logoutUrl: null };
+  }
+}
+
+/**
+ * SAML single logout from the IdP (HTTP-Redirect or HTTP-POST). A
+ * LogoutRequest ends the matching sessions and is answered with a signed
+ * LogoutResponse; a LogoutResponse to our own request just lands on login.
+ */
+async function samlLogout({ req, hospitalId, query = {}, body = {}, originalQuery = '' }) {
+  const sso = await loadSso(hospitalId, 'SAML');
+  const saml = samlFor(sso, { validateInResponseTo: 'never' });
+  const { profile } = body.SAMLRequest
+    ? await saml.validatePostRequestAsync(body)
+    : await saml.validateRedirectAsync(query, originalQuery);
+  if (!profile) return { redirectUrl: frontendUrl('/login') };
+  const ended = await endSessions({
+    hospitalId,
+    protocol: 'SAML',
+    subject: profile.nameID,
+    ...(profile.sessionIndex ? { idpSessionId: profile.sessionIndex } : {})
+  }, 'IDP_LOGOUT');
+  await appendDomainEvent({
+    req, eventType: 'sso.idp_logout', entityType: 'SsoSession', entityId: undefined, hospitalId,
+    afterSummary: { protocol: 'SAML', subject: profile.nameID, sessionIndex: profile.sessionIndex, ended }
+  });
+  const relayState = body.RelayState || query.RelayState || '';
+  return { redirectUrl: await saml.getLogoutResponseUrlAsync(profile, relayState, {}, true), ended };
+}
+
+/** OIDC Back-Channel Logout: the IdP posts a signed logout token server to server. */
+async function oidcBackchannelLogout({ req, hospitalId, logoutToken, request }) {
+  const sso = await loadSso(hospitalId, 'OIDC');
+  const client = oidcClientFor(sso, request);
+  const claims = await client.verifyLogoutToken(String(logoutToken || ''));
+  const ended = await endSessions({
+    hospitalId,
+    protocol: 'OIDC',
+    issuer: client.issuer,
+    ...(claims.sid ? { idpSessionId: claims.sid } : { subject: claims.sub })
+  }, 'IDP_LOGOUT');
+  await appendDomainEvent({
+    req, eventType: 'sso.idp_logout', entityType: 'SsoSession', entityId: undefined, hospitalId,
+    afterSummary: { protocol: 'OIDC', channel: 'back', subject: claims.sub, sid: claims.sid, ended }
+  });
+  return { ended };
+}
+
+/** OIDC Front-Channel Logout: the IdP loads this URL in a hidden frame with iss and sid. */
+async function oidcFrontchannelLogout({ req, hospitalId, iss, sid }) {
+  const sso = await loadSso(hospitalId, 'OIDC');
+  const issuer = String(sso.oidc?.issuer || '').replace(/\/$/, '');
+  if (!sid || (iss && String(iss).replace(/\/$/, '') !== issuer)) return { ended: 0 };
+  const ended = await endSessions({ hospitalId, protocol: 'OIDC', issuer, idpSessionId: String(sid) }, 'IDP_LOGOUT');
+  if (ended) {
+    await appendDomainEvent({
+      req, eventType: 'sso.idp_logout', entityType: 'SsoSession', entityId: undefined, hospitalId,
+      afterSummary: { protocol: 'OIDC', channel: 'front', sid, ended }
+    });
+  }
+  return { ended };
+}
+
+async function samlMetadata(hospitalId) {
+  const sso = await loadSso(hospitalId, 'SAML');
+  return samlFor(sso, { validateInResponseTo: 'never' }).generateServiceProviderMetadata(null, sso.saml?.spCertificate || null);
+}
+
+/** True while a token issued for this SSO session may still be used. */
+async function sessionIsActive(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  return Boolean(await SsoSession.exists({ _id: sessionId, userId, status: 'ACTIVE' }));
+}
+
+module.exports = {
+  claimValues,
+  mapIdentity,
+  validateSsoSettings,
+  samlFor,
+  beginLogin,
+  completeOidcLogin,
+  completeSamlLogin,
+  exchangeHandoffCode,
+  logoutSession,
+  samlLogout,
+  oidcBackchannelLogout,
+  oidcFrontchannelLogout,
+  samlMetadata,
+  sessionIsActive,
+  frontendUrl
+};
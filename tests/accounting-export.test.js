@@ -0,0 +1,190 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  financialTransactionPosting,
+  sponsorLedgerPosting,
+  expensePosting,
+  resolveRule,
+  buildVoucher,
+  buildVouchers,
+  tallyXml,
+  ledgerCsv
+} = require('../services/accountingExport.service');
+
+const id = (suffix) => `65f000000000000000000${suffix}`;
+const rule = (extra) => ({
+  source: 'financial_transaction', transactionType: '*', paymentMethod: '*', direction: '*',
+  voucherType: 'Receipt', debitLedger: 'Cash', creditLedger: 'Patient Receivables', nominalSide: 'credit', active: true, ...extra
+});
+const lineTuples = (voucher) => voucher.lines.map((line) => [line.side, line.ledger, line.amount, line.costCentre]);
+
+test('the most specific active mapping wins', () => {
+  const rules = [
+    rule({ debitLedger: 'Suspense' }),
+    rule({ paymentMethod: 'UPI', debitLedger: 'HDFC Bank' }),
+    rule({ transactionType: 'PAYMENT_RECEIVED', debitLedger: 'Cash' }),
+    rule({ transactionType: 'PAYMENT_RECEIVED', paymentMethod: 'UPI', debitLedger: 'ICICI UPI Collections' }),
+    rule({ transactionType: 'PAYMENT_RECEIVED', paymentMethod: 'UPI', direction: 'CREDIT', debitLedger: 'Retired', active: false })
+  ];
+  const posting = { source: 'financial_transaction', transactionType: 'PAYMENT_RECEIVED', direction: 'CREDIT' };
+  assert.equal(resolveRule(rules, posting, { paymentMethod: 'upi' }).debitLedger, 'ICICI UPI Collections');
+  assert.equal(resolveRule(rules, posting, { paymentMethod: 'Cash' }).debitLedger, 'Cash');
+  assert.equal(resolveRule(rules, { ...posting, transactionType: 'DEPOSIT_RECEIVED' }, { paymentMethod: 'UPI' }).debitLedger, 'HDFC Bank');
+  assert.equal(resolveRule(rules, { ...posting, source: 'expense' }, { paymentMethod: 'UPI' }), null);
+});
+
+test('a split payment books one debit per tender against a single receivable credit', () => {
+  const posting = financialTransactionPosting({
+    _id: id('001'), transactionNumber: 'FT/26-27/000010', transactionType: 'PAYMENT_RECEIVED', direction: 'CREDIT',
+    paymentMethod: 'Split', amount: 5000, postedAt: new Date('2026-10-19T06:00:00Z'),
+    paymentBreakdown: [{ method: 'Cash', amount: 2000 }, { method: 'UPI', amount: 3000 }]
+  });
+  const { voucher } = buildVoucher(posting, [rule(), rule({ paymentMethod: 'UPI', debitLedger: 'HDFC Bank' })]);
+  assert.equal(voucher.date, '2026-10-19');
+  assert.deepEqual(lineTuples(voucher), [
+    ['Dr', 'Cash', 2000, undefined],
+    ['Dr', 'HDFC Bank', 3000, undefined],
+    ['Cr', 'Patient Receivables', 5000, undefined]
+  ]);
+});
+
+test('vendor expenses split input GST and credit notes follow their own mapping', () => {
+  const expenseRule = {
+    source: 'expense', transactionType: 'Maintenance', paymentMethod: '*', direction: 'DEBIT', voucherType: 'Purchase',
+    debitLedger: 'Repairs & Maintenance', creditLedger: '{vendor}', nominalSide: 'debit', costCentreFromDepartment: true,
+    taxLedgers: { cgst: 'Input CGST', sgst: 'Input SGST', mode: 'cgst_sgst' }
+  };
+  const expense = {
+    _id: id('002'), expense_number: 'EXP-000045', category: 'Maintenance', vendor: 'Cool Air Services',
+    department: 'Radiology', amount: 10000, tax_amount: 1800.01, payment_method: 'Bank Transfer', date: new Date('2026-10-18T10:00:00Z')
+  };
+  const { voucher } = buildVoucher(expensePosting(expense), [expenseRule]);
+  assert.equal(voucher.voucherType, 'Purchase');
+  assert.deepEqual(lineTuples(voucher), [
+    ['Dr', 'Repairs & Maintenance', 10000, 'Radiology'],
+    ['Dr', 'Input CGST', 900.01, undefined],
+    ['Dr', 'Input SGST', 900, undefined],
+    ['Cr', 'Cool Air Services', 11800.01, undefined]
+  ]);
+
+  const creditNote = expensePosting({ ...expense, _id: id('003'), adjustment_type: 'credit_note' });
+  assert.equal(creditNote.direction, 'CREDIT');
+  assert.equal(buildVoucher(creditNote, [expenseRule]).problem.code, 'UNMAPPED');
+  assert.equal(buildVoucher(expensePosting({ ...expense, vendor: '' }), [expenseRule]).problem.code, 'PARTY_MISSING');
+  assert.equal(buildVoucher(expensePosting(expense), [{ ...expenseRule, taxLedgers: { mode: 'igst' } }]).problem.code, 'TAX_LEDGER_MISSING');
+});
+
+test('every unmapped row is reported in one pass and zero-value rows are skipped', () => {
+  const sponsorRule = {
+    source: 'sponsor_ledger', transactionType: 'CLAIM_SUBMITTED', paymentMethod: '*', direction: 'DEBIT',
+    voucherType: 'Journal', debitLedger: '{payer}', creditLedger: 'Insurance Claims Control', nominalSide: 'credit'
+  };
+  const postings = [
+    sponsorLedgerPosting({ _id: id('004'), entryNumber: 'SL-1', entryType: 'CLAIM_SUBMITTED', debit: 42000, occurredAt: new Date('2026-10-17T09:00:00Z') }, 'Star Health'),
+    sponsorLedgerPosting({ _id: id('005'), entryNumber: 'SL-2', entryType: 'SETTLEMENT', credit: 40000, occurredAt: new Date('2026-10-18T09:00:00Z') }, 'Star Health'),
+    sponsorLedgerPosting({ _id: id('006'), entryNumber: 'SL-3', entryType: 'CLAIM_SUBMITTED', debit: 0, occurredAt: new Date('2026-10-18T09:00:00Z') }, 'Star Health')
+  ];
+  const result = buildVouchers(postings, [sponsorRule]);
+  assert.equal(result.vouchers.length, 1);
+  assert.deepEqual(lineTuples(result.vouchers[0]), [['Dr', 'Star Health', 42000, undefined], ['Cr', 'Insurance Claims Control', 42000, undefined]]);
+  assert.deepEqual(result.problems.map((problem) => [problem.code, problem.voucherNumber]), [['UNMAPPED', 'SL-2']]);
+  assert.equal(result.totalDebit, result.totalCredit);
+});
+
+test('Tally XML and CSV carry the same balanced voucher', () => {
+  const voucher = {
+    voucherNumber: 'EXP-000045', voucherType: 'Purchase', date: '2026-10-18', reference: 'INV <77>',
+    narration: 'AC service - "Cool Air" & Co', source: 'expense', sourceId: id('002'),
+    lines: [
+      { ledger: 'Repairs & Maintenance', side: 'Dr', amount: 1000, costCentre: 'Radiology' },
+      { ledger: 'Cool Air & Co', side: 'Cr', amount: 1000 }
+    ]
+  };
+  const xml = tallyXml([voucher], { companyName: 'City Care Hospital' });
+  assert.match(xml, /<SVCURRENTCOMPANY>City Care Hospital<\/SVCURRENTCOMPANY>/);
+  assert.match(xml, new RegExp(`REMOTEID="expense:${id('002')}" VCHTYPE="Purchase"`));
+  assert.match(xml, /<DATE>20261018<\/DATE>/);
+  assert.match(xml, /<REFERENCE>INV &lt;77&gt;<\/REFERENCE>/);
+  assert.match(xml, /<LEDGERNAME>Repairs &amp; Maintenance<\/LEDGERNAME>\n\s*<ISDEEMEDPOSITIVE>Yes<\/ISDEEMEDPOSITIVE>\n\s*<AMOUNT>-1000.00<\/AMOUNT>/);
+  assert.match(xml, /<NAME>Radiology<\/NAME>/);
+  assert.match(xml, /<ISDEEMEDPOSITIVE>No<\/ISDEEMEDPOSITIVE>\n\s*<AMOUNT>1000.00<\/AMOUNT>/);
+
+  const [header, debit, credit] = ledgerCsv([voucher], 'ACX/26-27/000001').split('\n');
+  assert.match(header, /^batch_number,voucher_number,voucher_type,date,ledger,debit,credit,cost_centre/);
+  assert.match(debit, /^"ACX\/26-27\/000001","EXP-000045","Purchase","2026-10-18","Repairs & Maintenance","1000.00","","Radiology"/);
+  assert.match(credit, /"Cool Air & Co","","1000.00",""/);
+  assert.match(credit, /"AC service - ""Cool Air"" & Co"/);
+});
+
+test('a batch whose entries were claimed concurrently is kept as discarded, not deleted', async (t) => {
+  const mongoose = require('mongoose');
+  const FinancialTransaction = require('../models/FinancialTransaction');
+  const Hospital = require('../models/Hospital');
+  const LedgerMapping = require('../models/LedgerMapping');
+  const HospitalSequence = require('../models/HospitalSequence');
+  const AccountingExportBatch = require('../models/AccountingExportBatch');
+  const AccountingExportEntry = require('../models/AccountingExportEntry');
+  const DomainEvent = require('../models/DomainEvent');
+  const { createBatch } = require('../services/accountingExport.service');
+
+  const hospitalId = new mongoose.Types.ObjectId();
+  const lean = (value) => ({ lean: async () => value, limit: () => lean(value), select: () => lean(value) });
+  t.mock.method(FinancialTransaction, 'find', () => lean([{
+    _id: id('001'), transactionNumber: 'FT/26-27/000010', transactionType: 'PAYMENT_RECEIVED', direction: 'CREDIT',
+    paymentMethod: 'Cash', amount: 500, postedAt: new Date('2026-10-19T06:00:00Z')
+  }]));
+  t.mock.method(AccountingExportEntry, 'find', () => ({ distinct: async () => [] }));
+  t.mock.method(LedgerMapping, 'find', () => lean([rule()]));
+  t.mock.method(Hospital, 'findById', () => lean({ name: 'City Hospital' }));
+  t.mock.method(HospitalSequence, 'findOneAndUpdate', async () => ({ value: 12 }));
+  let batch;
+  t.mock.method(AccountingExportBatch, 'create', async (doc) => {
+    batch = { ...doc, _id: new mongoose.Types.ObjectId(), status: 'generated', save: async () => batch };
+    return batch;
+  });
+  t.mock.method(AccountingExportBatch, 'deleteOne', async () => assert.fail('issued batches are never deleted'));
+  t.mock.method(AccountingExportEntry, 'insertMany', async () => { throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 }); });
+  const released = t.mock.method(AccountingExportEntry, 'deleteMany', async () => ({ deletedCount: 0 }));
+  const events = [];
+  t.mock.method(DomainEvent, 'create', async ([payload]) => { events.push(payload); return [payload]; });
+
+  await assert.rejects(
+    createBatch({ req: { user: { _id: 'u1' } }, hospitalId, fromDate: '2026-10-19', toDate: '2026-10-19', sources: ['financial_transaction'] }),
+    { statusCode: 409, code: 'EXPORT_CONFLICT' }
+  );
+  assert.match(batch.batchNumber, /^ACX\/.+\/000012$/);
+  assert.equal(batch.status, 'discarded');
+  assert.equal(batch.discardReason, 'Entries were claimed by another export batch');
+  assert.deepEqual(released.mock.calls[0].arguments, [{ hospitalId, batchId: batch._id }]);
+  assert.equal(events[0].eventType, 'finance.accounting_export.discarded');
+});
+
+test('pharmacy ledger rows written without a hospital take it from the sale and reach that hospital export', {
+  skip: !process.env.MONGODB_TEST_URI && 'set MONGODB_TEST_URI to run against a database'
+}, async () => {
+  const mongoose = require('mongoose');
+  const Sale = require('../models/Sale');
+  const PharmacyLedgerEntry = require('../models/PharmacyLedgerEntry');
+  const { previewExport } = require('../services/accountingExport.service');
+
+  await mongoose.connect(process.env.MONGODB_TEST_URI);
+  const hospitalId = new mongoose.Types.ObjectId();
+  const otherHospitalId = new mongoose.Types.ObjectId();
+  const { insertedId: saleId } = await Sale.collection.insertOne({ hospitalId, createdAt: new Date() });
+  try {
+    const entry = await PharmacyLedgerEntry.create({ entryType: 'SALE', direction: 'IN', amount: 250, paymentMethod: 'Cash', saleId });
+    assert.equal(String(entry.hospitalId), String(hospitalId));
+
+    const range = { fromDate: '2000-01-01', toDate: '2100-12-31', sources: ['pharmacy_ledger'] };
+    const own = await previewExport({ hospitalId, ...range });
+    assert.deepEqual(own.problems.map((row) => String(row.sourceId)), [String(entry._id)], 'unmapped, but collected for its hospital');
+    const other = await previewExport({ hospitalId: otherHospitalId, ...range });
+    assert.deepEqual(other.problems, []);
+  } finally {
+    await PharmacyLedgerEntry.deleteMany({ saleId });
+    await Sale.collection.deleteOne({ _id: saleId });
+    await mongoose.disconnect();
+  }
+});
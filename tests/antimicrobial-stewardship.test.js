@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  restrictionOf,
+  parseDoseAmount,
+  cultureSusceptibility,
+  bugDrugMismatch,
+  timeOutState,
+  stewardshipMetrics
+} = require('../services/antimicrobialStewardship.service');
+
+test('restricted tier comes from the medicine master or the policy list, and doses convert to grams', () => {
+  const policy = { content: { restrictedAntibiotics: ['Colistin'] } };
+  assert.equal(restrictionOf({ name: 'Meronem', medicationSafety: { stewardshipCategory: 'reserve' } }, policy), 'reserve');
+  assert.equal(restrictionOf({ name: 'Colistimethate', generic_name: 'colistin' }, policy), 'restricted');
+  assert.equal(restrictionOf({ name: 'Amoxicillin', medicationSafety: { stewardshipCategory: 'unrestricted' } }, policy), null);
+
+  assert.deepEqual(parseDoseAmount('1 g IV'), { value: 1, unit: 'g' });
+  assert.deepEqual(parseDoseAmount('2 MU'), { value: 2, unit: 'MU' });
+  assert.deepEqual(parseDoseAmount('1 tab', { strength: '500mg', doseQty: 2 }), { value: 1, unit: 'g' });
+  assert.equal(parseDoseAmount('as directed'), null);
+});
+
+test('culture sensitivities flag a bug-drug mismatch and time-out falls due at 48h and escalates at 72h', () => {
+  const labs = [{
+    _id: 'lab1',
+    testName: 'Blood culture & sensitivity',
+    manual_report: {
+      observations: [
+        { name: 'Organism isolated', resultText: 'Klebsiella pneumoniae' },
+        { name: 'Meropenem', resultText: 'Resistant' },
+        { name: 'Colistin', resultText: 'S' }
+      ]
+    }
+  }];
+  const meropenem = cultureSusceptibility(labs, 'meropenem');
+  assert.deepEqual(meropenem.map((row) => [row.organism, row.interpretation]), [['Klebsiella pneumoniae', 'R']]);
+  assert.equal(bugDrugMismatch(meropenem), true);
+  assert.equal(bugDrugMismatch(cultureSusceptibility(labs, 'Colistin')), false);
+  assert.equal(bugDrugMismatch([]), false);
+
+  const chart = { startDate: '2026-10-01T09:00:00+05:30' };
+  assert.equal(timeOutState(chart, null, new Date('2026-10-02T09:00:00+05:30')), 'not_due');
+  assert.equal(timeOutState(chart, null, new Date('2026-10-03T10:00:00+05:30')), 'due');
+  assert.equal(timeOutState(chart, null, new Date('2026-10-04T10:00:00+05:30')), 'overdue');
+  assert.equal(timeOutState(chart, { content: { timeOutHours: 96 } }, new Date('2026-10-03T10:00:00+05:30')), 'not_due', 'time-out is capped at 72h');
+  assert.equal(timeOutState({ ...chart, antimicrobialTimeOut: { reviewedAt: new Date() } }, null, new Date('2026-10-05')), 'reviewed');
+});
+
+test('DOT counts one day per agent per patient and DDD divides the administered amount by the WHO DDD', () => {
+  const ddd = { value: 3, unit: 'g' };
+  const dose = (administeredAt, extra = {}) => ({
+    admissionId: 'a1', agent: 'meropenem', wardId: 'icu', prescriberId: 'd1', amount: { value: 1, unit: 'g' }, ddd, administeredAt, ...extra
+  });
+  const metrics = stewardshipMetrics({
+    administrations: [
+      dose('2026-10-01T06:00:00+05:30'),
+      dose('2026-10-01T14:00:00+05:30'),
+      dose('2026-10-01T22:00:00+05:30'),
+      dose('2026-10-02T06:00:00+05:30'),
+      dose('2026-10-02T07:00:00+05:30', { admissionId: 'a2', agent: 'colistin', wardId: 'med', prescriberId: 'd2', amount: { value: 9, unit: 'MU' }, ddd: { value: 9, unit: 'MU' } })
+    ],
+    patientDays: { total: 200, byWard: { icu: 50, med: 150 }, byPrescriber: { d1: 40 } }
+  });
+  assert.deepEqual(metrics.total, { dot: 3, ddd: 2.33, patientDays: 200, dotPer1000: 15, dddPer1000: 11.67 });
+  assert.deepEqual(metrics.byWard.map((row) => [row.wardId, row.dot, row.dotPer1000]), [['icu', 2, 40], ['med', 1, 6.67]]);
+  assert.deepEqual(metrics.byPrescriber.map((row) => [row.prescriberId, row.dot, row.dddPer1000]), [['d1', 2, 33.33], ['d2', 1, null]]);
+  assert.equal(metrics.byAgent.find((row) => row.agent === 'meropenem').ddd, 1.33);
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  selectBand,
+  buildSteps,
+  actionableStep,
+  assertCanAct,
+  applyDecision,
+  approvalCoversBand,
+  assertLegacyApprover,
+  overdueSteps
+} = require('../services/approvalMatrix.service');
+
+const now = new Date('2026-03-01T09:00:00Z');
+const policy = {
+  active: true,
+  bands: [
+    { minAmount: 50001, mode: 'parallel', approvers: [{ role: 'Accountant' }, { role: 'admin', slaHours: 4 }] },
+    { minAmount: 0, maxAmount: 5000, mode: 'sequential', approvers: [{ role: 'accountant', slaHours: 2 }] },
+    {
+      minAmount: 5000.01,
+      maxAmount: 50000,
+      mode: 'sequential',
+      approvers: [{ role: 'accountant', slaHours: 2, escalateToRole: 'admin' }, { role: 'admin', slaHours: 8 }]
+    }
+  ]
+};
+
+function requestFor(amount) {
+  const band = selectBand(policy, amount);
+  return { status: 'Pending', requestedBy: 'u-requester', mode: band.mode, steps: buildSteps(band, now) };
+}
+
+test('amount bands are inclusive and open-ended at the top', () => {
+  assert.equal(selectBand(policy, 5000).approvers.length, 1);
+  assert.equal(selectBand(policy, 5000.5).maxAmount, 50000);
+  assert.equal(selectBand(policy, 1e7).mode, 'parallel');
+  assert.equal(selectBand({ ...policy, active: false }, 100), null);
+  assert.equal(selectBand({ bands: [{ minAmount: 1000, approvers: [{ role: 'admin' }] }] }, 10), null);
+});
+
+test('sequential bands open one step at a time with SLA due dates', () => {
+  const steps = requestFor(20000).steps;
+  assert.deepEqual(steps.map((step) => step.status), ['Pending', 'Waiting']);
+  assert.equal(steps[0].dueAt.toISOString(), '2026-03-01T11:00:00.000Z');
+  assert.equal(steps[1].dueAt, undefined);
+
+  const parallel = requestFor(60000).steps;
+  assert.deepEqual(parallel.map((step) => [step.role, step.status]), [['accountant', 'Pending'], ['admin', 'Pending']]);
+});
+
+test('sequential approvals advance and close the request after the last step', () => {
+  const request = requestFor(20000);
+  const first = actionableStep(request, [{ role: 'accountant' }]);
+  applyDecision(request, { ...first, decision: 'approve', userId: 'u-acc', now });
+  assert.equal(request.status, 'Pending');
+  assert.equal(request.steps[1].status, 'Pending');
+  assert.ok(request.steps[1].dueAt);
+
+  assert.equal(actionableStep(request, [{ role: 'accountant' }]), null);
+  const second = actionableStep(request, [{ role: 'admin' }]);
+  applyDecision(request, { ...second, decision: 'approve', userId: 'u-admin', now });
+  assert.equal(request.status, 'Approved');
+  assert.equal(request.approvedBy, 'u-admin');
+});
+
+test('a rejection closes the request and skips the remaining steps', () => {
+  const request = requestFor(60000);
+  const step = actionableStep(request, [{ role: 'admin' }]);
+  applyDecision(request, { ...step, decision: 'reject', userId: 'u-admin', comments: 'Not justified', now });
+  assert.equal(request.status, 'Rejected');
+  assert.equal(request.rejectionReason, 'Not justified');
+  assert.deepEqual(request.steps.map((item) => item.status), ['Skipped', 'Rejected']);
+});
+
+test('delegates act on behalf of the delegator role', () => {
+  const request = requestFor(1000);
+  const match = actionableStep(request, [{ role: 'nurse' }, { role: 'accountant', onBehalfOf: 'u-on-leave' }]);
+  assert.equal(match.onBehalfOf, 'u-on-leave');
+  applyDecision(request, { ...match, decision: 'approve', userId: 'u-delegate', now });
+  assert.equal(request.steps[0].onBehalfOf, 'u-on-leave');
+  assert.equal(request.status, 'Approved');
+});
+
+test('overdue steps become actionable by the escalation role', () => {
+  const request = requestFor(20000);
+  assert.deepEqual(overdueSteps(request, new Date('2026-03-01T10:59:00Z')), []);
+  const later = new Date('2026-03-01T11:30:00Z');
+  const [overdue] = overdueSteps(request, later);
+  assert.equal(overdue.sequence, 1);
+  assert.equal(actionableStep(request, [{ role: 'admin' }]), null);
+  overdue.escalatedAt = later;
+  assert.equal(actionableStep(request, [{ role: 'admin' }]).step.sequence, 1);
+  assert.deepEqual(overdueSteps(request, later), []);
+});
+
+test('requesters and repeat approvers cannot act', () => {
+  const request = requestFor(20000);
+  assert.throws(() => assertCanAct(request, 'u-requester'), (error) => error.code === 'APPROVAL_SELF_APPROVAL');
+  request.steps[0].actedBy = 'u-acc';
+  assert.throws(() => assertCanAct(request, 'u-acc'), (error) => error.code === 'APPROVAL_ALREADY_ACTED');
+  assert.doesNotThrow(() => assertCanAct(request, 'u-admin'));
+});
+
+test('only matrix-approved requests covering the current band pass the gate', () => {
+  const active = { ...policy, _id: 'p1' };
+  const band = selectBand(active, 20000);
+  const request = { ...requestFor(20000), policyId: 'p1' };
+  for (const step of request.steps) step.status = 'Approved';
+  assert.equal(approvalCoversBand(request, active, band), true);
+  assert.equal(approvalCoversBand({ ...request, policyId: undefined }, active, band), false);
+  assert.equal(approvalCoversBand({ ...request, steps: [] }, active, band), false);
+  assert.equal(approvalCoversBand({ ...request, steps: request.steps.slice(0, 1) }, active, band), false, 'a lower band does not cover a higher amount');
+  assert.equal(approvalCoversBand(request, active, selectBand(active, 60000)), true);
+  assert.equal(approvalCoversBand({ ...request, policyId: 'p0' }, active, band), false);
+});
+
+test('single-approver requests cannot be self-approved or decided without the approve action', () => {
+  const request = { requestedBy: 'u-requester' };
+  const approver = { _id: 'u-acc', role: 'accountant', enforceModulePermissions: true, modulePermissions: [{ actions: ['approve'] }] };
+  assert.throws(() => assertLegacyApprover(request, { ...approver, _id: 'u-requester' }), (error) => error.code === 'APPROVAL_SELF_APPROVAL');
+  assert.throws(() => assertLegacyApprover(request, { _id: 'u-nurse', role: 'nurse', enforceModulePermissions: true, modulePermissions: [] }), (error) => error.code === 'APPROVAL_ROLE_NOT_ELIGIBLE');
+  assert.doesNotThrow(() => assertLegacyApprover(request, approver));
+});
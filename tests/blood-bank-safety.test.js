@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isCompatible,
+  releaseDecision,
+  componentExpiry,
+  planSeparation,
+  dispatchProblems,
+  reactionSigns,
+  incidentSeverity
+} = require('../services/bloodBankSafety.service');
+
+const negativeScreen = { hiv: 'non_reactive', hbsag: 'non_reactive', hcv: 'non_reactive', vdrl: 'non_reactive', malaria: 'non_reactive' };
+const grouped = { aboRh: 'O+', antibodyScreen: 'negative', discrepancy: false, confirmedAt: new Date('2026-10-18T10:00:00Z') };
+
+test('red cells follow recipient antibodies and plasma follows donor antibodies', () => {
+  assert.equal(isCompatible('packed_rbc', 'O-', 'AB+'), true);
+  assert.equal(isCompatible('packed_rbc', 'A+', 'O+'), false);
+  assert.equal(isCompatible('packed_rbc', 'O+', 'O-'), false);
+  assert.equal(isCompatible('plasma', 'AB+', 'O-'), true);
+  assert.equal(isCompatible('plasma', 'O+', 'A+'), false);
+  assert.equal(isCompatible('whole_blood', 'O+', 'A+'), false);
+  assert.throws(() => isCompatible('packed_rbc', 'C+', 'O+'), /Invalid blood group/);
+});
+
+test('units stay quarantined until every marker and grouping clears, and reactive units are discarded', () => {
+  const untested = releaseDecision({});
+  assert.equal(untested.status, 'quarantine');
+  assert.equal(untested.reasons.length, 6);
+
+  const partial = releaseDecision({ ttiScreening: { ...negativeScreen, malaria: 'pending' }, grouping: grouped });
+  assert.deepEqual(partial, { status: 'quarantine', reasons: ['TTI pending: MALARIA'] });
+
+  assert.deepEqual(releaseDecision({ ttiScreening: negativeScreen, grouping: grouped }), { status: 'available', reasons: [] });
+  assert.equal(releaseDecision({ ttiScreening: negativeScreen, grouping: { ...grouped, discrepancy: true } }).status, 'quarantine');
+
+  const reactive = releaseDecision({ ttiScreening: { hbsag: 'reactive' } });
+  assert.deepEqual(reactive, { status: 'discarded', reasons: ['TTI reactive: HBSAG'] });
+});
+
+test('whole blood separates into components within their preparation windows', () => {
+  const collectedAt = new Date('2026-10-19T02:00:00Z');
+  const parent = { component: 'whole_blood', status: 'quarantine', collectedAt, volumeMl: 450 };
+  const plan = planSeparation(parent, [
+    { component: 'packed_rbc', volumeMl: 250 },
+    { component: 'plasma', volumeMl: 150 },
+    { component: 'platelets', volumeMl: 50 }
+  ], new Date('2026-10-19T08:00:00Z'));
+  assert.deepEqual(plan.map((x) => x.component), ['packed_rbc', 'plasma', 'platelets']);
+  assert.deepEqual(plan[2].expiresAt, componentExpiry('platelets', collectedAt));
+  assert.equal(plan[2].expiresAt.toISOString(), '2026-10-24T02:00:00.000Z');
+
+  assert.throws(
+    () => planSeparation(parent, [{ component: 'platelets' }], new Date('2026-10-19T11:00:00Z')),
+    { code: 'SEPARATION_WINDOW_EXPIRED' }
+  );
+  assert.throws(() => planSeparation({ ...parent, component: 'packed_rbc' }, [{ component: 'plasma' }]), { code: 'NOT_WHOLE_BLOOD' });
+  assert.throws(() => planSeparation(parent, [{ component: 'packed_rbc', volumeMl: 300 }, { component: 'plasma', volumeMl: 200 }], collectedAt), /exceed/);
+});
+
+test('dispatch needs a current compatible crossmatch unless emergency release is authorised', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const unit = { _id: 'u1', unitNumber: 'BLD-1', ttiScreening: negativeScreen, grouping: grouped, expiresAt: new Date('2026-11-01T00:00:00Z') };
+  const request = { patientSample: { sampleNumber: 'S1', bloodGroup: 'O+' }, crossmatches: [] };
+  const sample = { sampleNumber: 'S1', patientBloodGroup: 'O+' };
+
+  assert.deepEqual(dispatchProblems({ request, units: [unit], now }).map((x) => x.code), ['CROSSMATCH_MISSING']);
+
+  request.crossmatches.push({ ...sample, unitId: 'u1', result: 'compatible', testedAt: new Date('2026-10-15T12:00:00Z'), validUntil: new Date('2026-10-18T12:00:00Z') });
+  assert.deepEqual(dispatchProblems({ request, units: [unit], now }).map((x) => x.code), ['CROSSMATCH_EXPIRED']);
+
+  request.crossmatches.push({ ...sample, unitId: 'u1', result: 'incompatible', testedAt: new Date('2026-10-19T10:00:00Z'), validUntil: new Date('2026-10-22T10:00:00Z') });
+  assert.deepEqual(dispatchProblems({ request, units: [unit], now }).map((x) => x.code), ['CROSSMATCH_INCOMPATIBLE']);
+
+  request.crossmatches.push({ ...sample, unitId: 'u1', result: 'compatible', testedAt: new Date('2026-10-19T11:00:00Z'), validUntil: new Date('2026-10-22T11:00:00Z') });
+  assert.deepEqual(dispatchProblems({ request, units: [unit], now }), []);
+
+  const resampled = { ...request, patientSample: { sampleNumber: 'S2', bloodGroup: 'O+' } };
+  assert.deepEqual(dispatchProblems({ request: resampled, units: [unit], now }).map((x) => x.code), ['CROSSMATCH_SAMPLE_SUPERSEDED']);
+  const regrouped = { ...request, patientSample: { sampleNumber: 'S1', bloodGroup: 'A+' } };
+  assert.deepEqual(dispatchProblems({ request: regrouped, units: [unit], now }).map((x) => x.message), ['Patient group has changed since the crossmatch']);
+
+  const quarantined = { ...unit, _id: 'u2', unitNumber: 'BLD-2', ttiScreening: {} };
+  const emergency = { emergencyRelease: { authorisedBy: 'doctor', reason: 'Massive haemorrhage' }, crossmatches: [] };
+  assert.deepEqual(dispatchProblems({ request: emergency, units: [unit], now }), []);
+  assert.deepEqual(dispatchProblems({ request: emergency, units: [quarantined], now }).map((x) => x.code), ['UNIT_NOT_RELEASED']);
+});
+
+test('vital changes from the pre-transfusion baseline flag a possible reaction', () => {
+  const baseline = { temperature: 36.8, pulse: 82, systolic: 124, respiratoryRate: 16, spo2: 98 };
+  assert.deepEqual(reactionSigns(baseline, { temperature: 37.2, pulse: 88, systolic: 120, respiratoryRate: 18, spo2: 97 }), []);
+  assert.deepEqual(
+    reactionSigns(baseline, { temperature: 38.4, pulse: 118, systolic: 88, respiratoryRate: 26, spo2: 91 }),
+    ['fever', 'hypotension', 'tachycardia', 'hypoxia', 'tachypnoea']
+  );
+  assert.deepEqual(reactionSigns({}, { spo2: 88 }), ['hypoxia']);
+});
+
+test('reaction type and severity map to the safety incident grade', () => {
+  assert.equal(incidentSeverity({ reactionType: 'acute_haemolytic', severity: 'mild' }), 'critical');
+  assert.equal(incidentSeverity({ reactionType: 'allergic', severity: 'severe' }), 'high');
+  assert.equal(incidentSeverity({ reactionType: 'febrile_non_haemolytic', severity: 'moderate' }), 'moderate');
+  assert.equal(incidentSeverity({ reactionType: 'allergic', severity: 'mild' }), 'low');
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ageingBucket, openSponsorItems, summariseAgeing, queryTurnaround, firstPassAcceptance, denialBreakdown
+} = require('../services/claimAnalytics.service');
+
+const at = (iso) => new Date(`${iso}T06:00:00Z`);
+
+test('sponsor credits settle the oldest receivable of the encounter before ageing', () => {
+  assert.deepEqual([0, 30, 31, 60, 61, 90, 91].map(ageingBucket), ['0-30', '0-30', '31-60', '31-60', '61-90', '61-90', '90+']);
+  const entries = [
+    { payerId: 'star', coverageId: 'c1', entryType: 'receivable', debit: 10000, credit: 0, occurredAt: at('2026-06-01') },
+    { payerId: 'star', coverageId: 'c1', claimId: 'k1', entryType: 'receivable', debit: 5000, credit: 0, occurredAt: at('2026-08-20') },
+    { payerId: 'star', coverageId: 'c1', claimId: 'k1', entryType: 'settlement', debit: 0, credit: 7000, occurredAt: at('2026-09-01') },
+    { payerId: 'star', coverageId: 'c1', claimId: 'k1', entryType: 'deduction', debit: 0, credit: 1000, occurredAt: at('2026-09-01') },
+    { payerId: 'cghs', coverageId: 'c2', entryType: 'receivable', debit: 2500, credit: 0, occurredAt: at('2026-09-25') },
+    { payerId: 'cghs', coverageId: 'c3', entryType: 'settlement', debit: 0, credit: 400, occurredAt: at('2026-09-26') }
+  ];
+  const { items, unapplied } = openSponsorItems(entries, '2026-09-30', 'Asia/Kolkata');
+  assert.deepEqual(items.map((item) => [item.coverageId, item.amount, item.ageDays, item.bucket, item.claimId]), [
+    ['c1', 2000, 121, '90+', 'k1'],
+    ['c1', 5000, 41, '31-60', 'k1'],
+    ['c2', 2500, 5, '0-30', undefined]
+  ]);
+  assert.deepEqual(unapplied, [{ payerId: 'cghs', coverageId: 'c3', claimId: undefined, amount: 400 }]);
+
+  const { rows, totals } = summariseAgeing(items, (item) => ({ key: item.payerId, label: item.payerId.toUpperCase() }));
+  assert.deepEqual(rows.map((row) => [row.label, row['0-30'], row['31-60'], row['90+'], row.total, row.items]), [
+    ['STAR', 0, 5000, 2000, 7000, 2],
+    ['CGHS', 2500, 0, 0, 2500, 1]
+  ]);
+  assert.equal(totals.total, 9500);
+
+  const late = openSponsorItems([
+    { coverageId: 'c4', credit: 300, debit: 0, occurredAt: at('2026-09-01') },
+    { coverageId: 'c4', debit: 1000, credit: 0, occurredAt: at('2026-09-02') }
+  ], '2026-09-30', 'Asia/Kolkata');
+  assert.deepEqual(late.items.map((item) => item.amount), [700]);
+  assert.deepEqual(late.unapplied, []);
+});
+
+test('denials, deductions, query turnaround and first-pass acceptance are read from claim outcomes', () => {
+  const claims = [
+    { adjudicationStatus: 'approved', amounts: { claimSubmittedAmount: 10000 }, queries: [], rejectionHistory: [], deductions: [] },
+    {
+      adjudicationStatus: 'partially_approved',
+      amounts: { claimSubmittedAmount: 20000, deductedAmount: 3000 },
+      queries: [{ status: 'responded', receivedAt: at('2026-09-01'), respondedAt: new Date('2026-09-02T18:00:00Z') }],
+      rejectionHistory: [],
+      deductions: [{ code: 'NON_PAYABLE', amount: 1000 }, { code: 'TARIFF', amount: 1500, appealed: true }, { code: 'NON_PAYABLE', amount: 500, accepted: true }]
+    },
+    {
+      adjudicationStatus: 'rejected',
+      amounts: { claimSubmittedAmount: 8000 },
+      queries: [{ status: 'open', receivedAt: at('2026-09-10'), dueAt: at('2026-09-12') }],
+      rejectionHistory: [{ reasonCode: 'DOCS_MISSING', category: 'documentation' }, { reasonCode: 'DOCS_MISSING', category: 'documentation' }],
+      deductions: []
+    },
+    { adjudicationStatus: 'partially_approved', amounts: { claimSubmittedAmount: 5000, deductedAmount: 700 }, queries: [], rejectionHistory: [], deductions: [] },
+    { adjudicationStatus: 'pending', amounts: { claimSubmittedAmount: 4000 }, queries: [{ status: 'responded', receivedAt: at('2026-09-20'), respondedAt: new Date('2026-09-20T10:00:00Z') }] }
+  ];
+
+  const { rejections, deductions } = denialBreakdown(claims);
+  assert.deepEqual(rejections, [{ reasonCode: 'DOCS_MISSING', category: 'documentation', reason: undefined, occurrences: 2, claims: 1, amount: 8000 }]);
+  assert.deepEqual(deductions, [
+    { code: 'NON_PAYABLE', occurrences: 2, claims: 1, amount: 1500, accepted: 1, appealed: 0 },
+    { code: 'TARIFF', occurrences: 1, claims: 1, amount: 1500, accepted: 0, appealed: 1 },
+    { code: 'UNCATEGORISED', occurrences: 1, claims: 1, amount: 700, accepted: 0, appealed: 0 }
+  ].sort((a, b) => b.amount - a.amount));
+
+  assert.deepEqual(queryTurnaround(claims, at('2026-09-30')), { responded: 2, open: 1, overdue: 1, averageHours: 20, medianHours: 4, p90Hours: 36 });
+  assert.deepEqual(firstPassAcceptance(claims), { decided: 4, accepted: 2, fullyApproved: 1, rate: 50 });
+  assert.equal(firstPassAcceptance([]).rate, 0);
+});
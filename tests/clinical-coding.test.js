@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidCode, normalizeDiagnoses, codingCompleteness, codeStatistics } = require('../services/clinicalCoding.service');
+const { resourcesFor } = require('../services/fhir/abdmHiBundle.service');
+
+test('ICD-10 and ICD-11 codes are shape-checked, including ICD-11 clusters', () => {
+  assert.equal(isValidCode('ICD-10', 'I21.0'), true);
+  assert.equal(isValidCode('ICD-10', 'e119'), true);
+  assert.equal(isValidCode('ICD-10', 'I2'), false);
+  assert.equal(isValidCode('ICD-11', 'BA41.0'), true);
+  assert.equal(isValidCode('ICD-11', '5A11&XT8W'), true);
+  assert.equal(isValidCode('ICD-11', 'BO41'), false);
+  assert.equal(isValidCode('ICD-10-PCS', '02703ZZ'), true);
+});
+
+test('coding is complete only with one valid principal diagnosis and no unclosed clinician query', () => {
+  const diagnoses = normalizeDiagnoses([
+    { type: 'secondary', system: 'ICD-10', code: 'e11.9' },
+    { type: 'principal', system: 'ICD-10', code: 'I21.0' }
+  ]);
+  assert.deepEqual(diagnoses.map((row) => [row.code, row.sequence]), [['I21.0', 1], ['E11.9', 2]]);
+
+  const answered = codingCompleteness({ diagnoses, queries: [{ status: 'answered' }] });
+  assert.equal(answered.complete, false);
+  assert.deepEqual(answered.blockers.map((row) => row.code), ['CODING_QUERY_OPEN']);
+
+  const done = codingCompleteness({ diagnoses: diagnoses.map((row) => ({ ...row, verified: true })), queries: [{ status: 'closed' }] }, { documentedProcedures: true });
+  assert.equal(done.complete, true);
+  assert.deepEqual(done.warnings.map((row) => row.code), ['CODING_PROCEDURES_MISSING']);
+
+  assert.deepEqual(codingCompleteness({ diagnoses: [{ type: 'secondary', system: 'ICD-10', code: 'E11.9', verified: true }] }).blockers.map((row) => row.code), ['CODING_PRINCIPAL_MISSING']);
+});
+
+test('morbidity statistics group principal diagnoses by code or category with deaths and length of stay', () => {
+  const rows = [
+    { diagnoses: [{ type: 'principal', system: 'ICD-10', code: 'I21.0', display: 'Anterior STEMI' }, { type: 'secondary', system: 'ICD-10', code: 'E11.9' }], admissionDate: '2026-10-01', dischargeDate: '2026-10-05', died: true },
+    { diagnoses: [{ type: 'principal', system: 'ICD-10', code: 'I21.1' }], admissionDate: '2026-10-02', dischargeDate: '2026-10-04', died: false },
+    { diagnoses: [{ type: 'principal', system: 'ICD-10', code: 'E11.9' }], admissionDate: '2026-10-02', dischargeDate: '2026-10-03', died: false }
+  ];
+  const byCategory = codeStatistics(rows, { level: 'category' });
+  assert.deepEqual(byCategory[0], { system: 'ICD-10', code: 'I21', display: undefined, cases: 2, secondaryMentions: 0, deaths: 1, mortalityRate: 50, averageLengthOfStayDays: 3 });
+  const diabetes = codeStatistics(rows).find((row) => row.code === 'E11.9');
+  assert.equal(diabetes.cases, 1);
+  assert.equal(diabetes.secondaryMentions, 1);
+});
+
+test('the ABDM discharge bundle carries coded diagnoses instead of free text once coded', () => {
+  const patient = { _id: 'p1', first_name: 'Asha' };
+  const summary = {
+    _id: 's1',
+    admissionDate: '2026-10-01',
+    dischargeDate: '2026-10-05',
+    finalDiagnosis: 'Heart attack',
+    proceduresDone: 'PTCA',
+    codedDiagnoses: [{ type: 'principal', system: 'ICD-11', code: 'BA41.0', display: 'Acute ST elevation myocardial infarction', sequence: 1 }],
+    codedProcedures: [{ system: 'ICD-10-PCS', code: '02703ZZ', display: 'Dilation of coronary artery', sequence: 1 }]
+  };
+  const resources = resourcesFor('DISCHARGE_SUMMARY', { patient, discharges: [summary] });
+  const conditions = resources.filter((row) => row.resourceType === 'Condition');
+  assert.equal(conditions.length, 1);
+  assert.deepEqual(conditions[0].code.coding[0], { system: 'http://id.who.int/icd/release/11/mms', code: 'BA41.0', display: 'Acute ST elevation myocardial infarction' });
+  const procedures = resources.filter((row) => row.resourceType === 'Procedure');
+  assert.equal(procedures.length, 1);
+  assert.equal(procedures[0].code.coding[0].code, '02703ZZ');
+});
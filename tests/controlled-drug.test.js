@@ -0,0 +1,164 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ControlledDrugBalance = require('../models/ControlledDrugBalance');
+const ControlledDrugRegisterEntry = require('../models/ControlledDrugRegisterEntry');
+const HospitalSequence = require('../models/HospitalSequence');
+const Medicine = require('../models/Medicine');
+const MedicineBatch = require('../models/MedicineBatch');
+const StockAdjustment = require('../models/StockAdjustment');
+const controlledDrugs = require('../services/controlledDrug.service');
+const stockAdjustments = require('../controllers/stockAdjustment.controller');
+const { saleCapture, assertSaleCapture, registerSummary, h1RegisterCsv, monthRange, registerShortfalls, postEntry } = require('../services/controlledDrug.service');
+
+const h1Item = { medicine_name: 'Cefixime 200', _medicine: { drugSchedule: 'H1' } };
+const ndpsItem = { medicine_name: 'Tramadol 50', _medicine: { drugSchedule: 'NDPS' } };
+
+test('controlled-drug supplies need patient and prescriber particulars', () => {
+  assert.deepEqual(saleCapture({ items: [{ _medicine: { drugSchedule: 'H' } }] }), { required: false, schedules: [], capture: null, missing: [] });
+
+  const context = {
+    patient: { first_name: 'Asha', last_name: 'Rao', address: '12 MG Road', city: 'Pune' },
+    doctor: { firstName: 'Vikram', lastName: 'Shah', licenseNumber: 'MMC-4411', address: 'City Clinic', city: 'Pune' }
+  };
+  const h1 = saleCapture({ items: [h1Item], context });
+  assert.deepEqual(h1.missing, []);
+  assert.equal(h1.capture.patientName, 'Asha Rao');
+  assert.equal(h1.capture.patientAddress, '12 MG Road, Pune');
+  assert.equal(h1.capture.prescriberName, 'Vikram Shah');
+  assert.equal(assertSaleCapture(h1, [h1Item]).prescriberRegistrationNumber, 'MMC-4411');
+
+  // NDPS and Schedule X supplies must also point at a prescription.
+  const ndps = saleCapture({ items: [ndpsItem], context });
+  assert.deepEqual(ndps.missing, ['prescriptionReference']);
+  assert.equal(saleCapture({ items: [ndpsItem], context, explicit: { prescriptionReference: 'RX-9' } }).missing.length, 0);
+
+  const walkIn = saleCapture({ items: [h1Item, ndpsItem], explicit: { patientName: 'Walk-in' } });
+  assert.throws(() => assertSaleCapture(walkIn, [h1Item, ndpsItem]), (error) => {
+    assert.equal(error.statusCode, 422);
+    assert.equal(error.code, 'CONTROLLED_DRUG_CAPTURE_REQUIRED');
+    assert.deepEqual(error.details.missing, ['patientAddress', 'prescriberName', 'prescriberRegistrationNumber', 'prescriberAddress', 'prescriptionReference']);
+    assert.deepEqual(error.details.medicines, ['Cefixime 200', 'Tramadol 50']);
+    return true;
+  });
+});
+
+test('monthly register carries prior closings and sums receipts and issues per drug', () => {
+  const entries = [
+    { medicineId: 'm1', medicineName: 'Morphine 10mg', drugSchedule: 'NDPS', entryType: 'receipt', quantityIn: 20, quantityOut: 0, openingBalance: 5, closingBalance: 25 },
+    { medicineId: 'm1', medicineName: 'Morphine 10mg', drugSchedule: 'NDPS', entryType: 'issue', quantityIn: 0, quantityOut: 4, openingBalance: 25, closingBalance: 21 },
+    { medicineId: 'm2', medicineName: 'Alprazolam 0.5', drugSchedule: 'H1', entryType: 'opening', quantityIn: 30, quantityOut: 0, openingBalance: 0, closingBalance: 30 },
+    { medicineId: 'm2', medicineName: 'Alprazolam 0.5', drugSchedule: 'H1', entryType: 'issue', quantityIn: 0, quantityOut: 10, openingBalance: 30, closingBalance: 20 }
+  ];
+  const carried = [
+    { medicineId: 'm1', medicineName: 'Morphine 10mg', drugSchedule: 'NDPS', balance: 5 },
+    { medicineId: 'm3', medicineName: 'Codeine syrup', drugSchedule: 'H1', balance: 2 }
+  ];
+  assert.deepEqual(registerSummary(entries, carried).map(({ medicineName, opening, receipts, issues, closing }) => [medicineName, opening, receipts, issues, closing]), [
+    ['Alprazolam 0.5', 30, 0, 10, 20],
+    ['Codeine syrup', 2, 0, 0, 2],
+    ['Morphine 10mg', 5, 20, 4, 21]
+  ]);
+});
+
+test('H1 export lists each supply in statutory column order and months follow the hospital zone', () => {
+  const csv = h1RegisterCsv([{
+    entryAt: new Date('2026-03-31T20:00:00Z'),
+    entryNumber: 'CDR-7',
+    medicineName: 'Cefixime "200"',
+    batchNumber: 'B1',
+    quantityOut: 6,
+    patient: { name: 'Asha Rao', address: 'Pune' },
+    prescriber: { name: 'Dr Shah', registrationNumber: 'MMC-4411', address: 'City Clinic' },
+    prescriptionReference: 'RX-9'
+  }], 'Asia/Kolkata').split('\n');
+  assert.equal(csv[0], 'date,entry_number,drug,batch,quantity,patient_name,patient_address,prescriber_name,prescriber_registration,prescriber_address,prescription_reference');
+  assert.equal(csv[1], '"2026-04-01","CDR-7","Cefixime ""200""","B1","6","Asha Rao","Pune","Dr Shah","MMC-4411","City Clinic","RX-9"');
+
+  const december = monthRange('2026-12', 'Asia/Kolkata');
+  assert.equal(december.start.toISOString(), '2026-11-30T18:30:00.000Z');
+  assert.equal(december.end.toISOString(), '2026-12-31T18:30:00.000Z');
+  assert.throws(() => monthRange('2026-13', 'Asia/Kolkata'), /month must be YYYY-MM/);
+});
+
+test('register shortfalls sum every line of the same drug before stock moves', () => {
+  const lines = [
+    { medicineId: 'm1', medicineName: 'Tramadol 50', quantity: 6 },
+    { medicineId: 'm1', medicineName: 'Tramadol 50', quantity: 6 },
+    { medicineId: 'm2', medicineName: 'Alprazolam 0.5', quantity: 10 }
+  ];
+  assert.deepEqual(registerShortfalls(lines, new Map([['m1', 10], ['m2', 10]])), [
+    { medicineId: 'm1', medicineName: 'Tramadol 50', quantity: 12, balance: 10 }
+  ]);
+  assert.deepEqual(registerShortfalls(lines, new Map([['m1', 12], ['m2', 10]])), []);
+});
+
+test('a register posting moves the balance and writes its row in one transaction', async (t) => {
+  const hospitalId = new mongoose.Types.ObjectId();
+  const session = { aborted: false, async withTransaction(work) { try { await work(); } catch (error) { this.aborted = true; throw error; } }, async endSession() {} };
+  const sessions = [];
+  const winner = { _id: 'entry-1', sourceKey: 'sale:1:0' };
+  let lookups = 0;
+  t.mock.method(mongoose, 'startSession', async () => session);
+  t.mock.method(ControlledDrugBalance, 'exists', async () => true);
+  t.mock.method(ControlledDrugRegisterEntry, 'findOne', () => ({ lean: async () => (lookups++ ? winner : null) }));
+  t.mock.method(ControlledDrugBalance, 'findOneAndUpdate', async (filter, update, options) => {
+    sessions.push(options.session);
+    return { balance: 8 };
+  });
+  t.mock.method(HospitalSequence, 'findOneAndUpdate', async (filter, update, options) => {
+    sessions.push(options.session);
+    return { value: 7 };
+  });
+  t.mock.method(ControlledDrugRegisterEntry, 'create', async (docs, options) => {
+    sessions.push(options.session);
+    throw Object.assign(new Error('duplicate key'), { code: 11000, keyPattern: { hospitalId: 1, sourceKey: 1 } });
+  });
+
+  const entry = await postEntry({
+    hospitalId,
+    medicine: { _id: new mongoose.Types.ObjectId(), name: 'Tramadol 50', drugSchedule: 'NDPS' },
+    entryType: 'issue',
+    quantityOut: 2,
+    sourceModel: 'Sale',
+    sourceKey: 'sale:1:0'
+  });
+  assert.equal(entry, winner);
+  assert.equal(session.aborted, true);
+  assert.deepEqual(sessions, [session, session, session]);
+});
+
+test('a refused register entry reverses the batch movement and keeps the adjustment as failed', async (t) => {
+  const hospitalId = new mongoose.Types.ObjectId();
+  const medicine = { _id: new mongoose.Types.ObjectId(), name: 'Tramadol 50', drugSchedule: 'NDPS', save: async () => {} };
+  const batch = { _id: new mongoose.Types.ObjectId(), batch_number: 'B1', quantity: 10, quantity_base_units: 10 };
+  const batchUpdates = [];
+  const adjustmentUpdates = [];
+  t.mock.method(Medicine, 'findOne', async () => medicine);
+  t.mock.method(MedicineBatch, 'findOne', async () => batch);
+  t.mock.method(MedicineBatch, 'updateOne', async (filter, update) => { batchUpdates.push({ filter, update }); return { matchedCount: 1 }; });
+  t.mock.method(StockAdjustment.prototype, 'save', async function save() { return this; });
+  t.mock.method(StockAdjustment, 'updateOne', async (filter, update) => { adjustmentUpdates.push(update); return { matchedCount: 1 }; });
+  t.mock.method(StockAdjustment, 'deleteOne', async () => assert.fail('adjustments are never deleted'));
+  t.mock.method(controlledDrugs, 'assertAdjustmentAllowed', async () => {});
+  t.mock.method(controlledDrugs, 'recordAdjustment', async () => {
+    throw Object.assign(new Error('register balance is 3; cannot issue 4'), { statusCode: 409, code: 'CONTROLLED_DRUG_BALANCE_SHORT' });
+  });
+
+  let status;
+  let body;
+  const res = { status(code) { status = code; return this; }, json(payload) { body = payload; return this; } };
+  t.mock.method(console, 'error', () => {});
+  await stockAdjustments.createAdjustment({
+    user: { _id: new mongoose.Types.ObjectId(), hospital_id: hospitalId },
+    body: { medicine_id: medicine._id, batch_id: batch._id, adjustment_type: 'Damage', quantity: 4, reason: 'Broken ampoules', witness_id: 'w1' }
+  }, res);
+
+  assert.equal(status, 409);
+  assert.equal(body.code, 'CONTROLLED_DRUG_BALANCE_SHORT');
+  assert.deepEqual(batchUpdates.map((row) => row.update.$inc), [{ quantity: -4, quantity_base_units: -4 }, { quantity: 4, quantity_base_units: 4 }]);
+  assert.deepEqual(batchUpdates[0].filter.quantity_base_units, { $gte: 4 });
+  assert.deepEqual(adjustmentUpdates, [{ $set: { status: 'failed', failure_reason: 'register balance is 3; cannot issue 4' } }]);
+});
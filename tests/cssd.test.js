@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { transitionSet, packCheck, loadOutcome } = require('../services/cssd.service');
+
+test('a tray follows decontaminate, pack, sterilise, store, issue and return in order', () => {
+  const tray = { barcode: 'ORTHO-01', status: 'awaiting_decontamination', history: [] };
+  for (const action of ['decontaminate', 'pack', 'load', 'release', 'issue', 'return']) transitionSet(tray, action, { by: 'u1' });
+  assert.equal(tray.status, 'awaiting_decontamination');
+  assert.deepEqual(tray.history.map((row) => `${row.from}>${row.to}`), [
+    'awaiting_decontamination>decontaminated',
+    'decontaminated>packed',
+    'packed>in_load',
+    'in_load>stored',
+    'stored>issued',
+    'issued>awaiting_decontamination'
+  ]);
+
+  assert.throws(() => transitionSet({ barcode: 'X', status: 'packed' }, 'issue'), { code: 'INVALID_TRAY_TRANSITION', statusCode: 409 });
+  assert.throws(() => transitionSet({ barcode: 'X', status: 'issued' }, 'retire'), /cannot be processed with retire/);
+  assert.equal(transitionSet({ barcode: 'X', status: 'in_load' }, 'fail').status, 'decontaminated');
+});
+
+test('packing compares the count sheet with the set master', () => {
+  const items = [{ name: 'Mayo scissors', quantity: 2 }, { name: 'Needle holder', quantity: 1 }, { name: 'Towel clip', quantity: 4 }];
+  assert.deepEqual(packCheck(items, [
+    { name: 'mayo scissors', quantity: 2 },
+    { name: 'Towel clip', quantity: 3 }
+  ]), { complete: false, missing: [{ name: 'Needle holder', quantity: 1 }, { name: 'Towel clip', quantity: 1 }] });
+  assert.deepEqual(packCheck(items, items), { complete: true, missing: [] });
+  assert.deepEqual(packCheck(items, undefined), { complete: true, missing: [] });
+});
+
+test('steam loads are released only with passing indicators and enough time at temperature', () => {
+  const steam = { method: 'steam', chemicalIndicator: 'pass', bowieDick: 'pass', parameters: { temperatureC: 134, exposureMinutes: 4 }, biologicalIndicator: { isRequired: false, result: 'pending' } };
+  assert.deepEqual(loadOutcome(steam), { status: 'released', reasons: [] });
+  assert.deepEqual(loadOutcome({ ...steam, parameters: { temperatureC: 121, exposureMinutes: 10 } }).reasons, ['Exposure 10 min is below 15 min at 121°C']);
+  assert.deepEqual(loadOutcome({ ...steam, chemicalIndicator: 'fail', bowieDick: 'fail' }), {
+    status: 'failed', reasons: ['Chemical indicator failed', 'Bowie-Dick test failed']
+  });
+  assert.equal(loadOutcome({ ...steam, biologicalIndicator: { isRequired: true, result: 'pending' } }).status, 'awaiting_bi');
+  assert.throws(() => loadOutcome({ ...steam, chemicalIndicator: 'pending' }), /chemicalIndicator/);
+});
+
+test('ETO loads wait for the biological indicator', () => {
+  const eto = { method: 'eto', chemicalIndicator: 'pass', parameters: {}, biologicalIndicator: { isRequired: true, result: 'pending' } };
+  assert.equal(loadOutcome(eto).status, 'awaiting_bi');
+  assert.equal(loadOutcome({ ...eto, biologicalIndicator: { isRequired: true, result: 'pass' } }).status, 'released');
+  assert.deepEqual(loadOutcome({ ...eto, biologicalIndicator: { isRequired: true, result: 'fail' } }), { status: 'failed', reasons: ['Biological indicator failed'] });
+});
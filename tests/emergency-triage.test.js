@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveTriageLevel,
+  encounterMetrics,
+  boardRow,
+  sortBoard,
+  summarizeBoard,
+  assertActive
+} = require('../services/emergencyTriage.service');
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 8, minutes));
+
+test('triage levels resolve on either scale with hospital target overrides', () => {
+  const ats = resolveTriageLevel('ats', 2);
+  assert.equal(ats.scale, 'ATS');
+  assert.equal(ats.label, 'Emergency');
+  assert.equal(ats.category, 'orange');
+  assert.equal(ats.targetMinutes, 10);
+
+  const esi = resolveTriageLevel('ESI', 4, [0, 15, 45, 90, 180]);
+  assert.equal(esi.label, 'Less urgent');
+  assert.equal(esi.targetMinutes, 90);
+
+  assert.throws(() => resolveTriageLevel('ATS', 6), /between 1 and 5/);
+  assert.throws(() => resolveTriageLevel('MTS', 1), /Unsupported triage scale/);
+});
+
+test('door-to-doctor breach uses elapsed wait until the doctor sees the patient', () => {
+  const waiting = { arrivalAt: at(0), triage: { level: 3, targetMinutes: 30 } };
+  assert.deepEqual(encounterMetrics(waiting, at(20)), {
+    doorToDoctorMinutes: null,
+    lengthOfStayMinutes: 20,
+    waitingMinutes: 20,
+    doorToDoctorBreached: false
+  });
+  assert.equal(encounterMetrics(waiting, at(45)).doorToDoctorBreached, true);
+
+  const seen = { ...waiting, doctorSeenAt: at(25), departedAt: at(50) };
+  const metrics = encounterMetrics(seen, at(300));
+  assert.equal(metrics.doorToDoctorMinutes, 25);
+  assert.equal(metrics.lengthOfStayMinutes, 50);
+  assert.equal(metrics.waitingMinutes, null);
+  assert.equal(metrics.doorToDoctorBreached, false);
+});
+
+test('board sorts by triage level then longest wait, untriaged last', () => {
+  const rows = [
+    { _id: 'a', arrivalAt: at(5), triage: { level: 3, targetMinutes: 30 }, status: 'triaged' },
+    { _id: 'b', arrivalAt: at(10), status: 'registered' },
+    { _id: 'c', arrivalAt: at(0), triage: { level: 3, targetMinutes: 30 }, status: 'triaged' },
+    { _id: 'd', arrivalAt: at(15), triage: { level: 1, targetMinutes: 0 }, status: 'in_treatment', doctorSeenAt: at(15) }
+  ].map((row) => boardRow(row, at(40)));
+
+  assert.deepEqual(sortBoard(rows).map((row) => row._id), ['d', 'c', 'a', 'b']);
+  assert.deepEqual(summarizeBoard(rows), {
+    total: 4,
+    awaitingDoctor: 3,
+    breached: 2,
+    byLevel: { 1: 1, 3: 2, untriaged: 1 }
+  });
+});
+
+test('board rows expose populated patient, doctor and bay details', () => {
+  const row = boardRow({
+    _id: 'e1',
+    emergencyNumber: 'ER-1',
+    arrivalAt: at(0),
+    status: 'triaged',
+    patientId: { _id: 'p1', uhid: 'UH1', first_name: 'Asha', last_name: 'Rao', gender: 'female' },
+    assignedDoctorId: { _id: 'd1', firstName: 'Vikram', lastName: 'Iyer' },
+    bay: { code: 'R2' },
+    triage: { level: 2, label: 'Emergency', targetMinutes: 10 },
+    triageHistory: [{ level: 3 }],
+    medicoLegal: { isMlc: true }
+  }, at(5));
+
+  assert.equal(row.patient.name, 'Asha Rao');
+  assert.equal(row.assignedDoctor.name, 'Vikram Iyer');
+  assert.equal(row.bay, 'R2');
+  assert.equal(row.retriageCount, 1);
+  assert.equal(row.isMlc, true);
+  assert.equal(row.waitingMinutes, 5);
+});
+
+test('closed encounters cannot be re-triaged or dispositioned again', () => {
+  assert.doesNotThrow(() => assertActive({ status: 'in_treatment' }));
+  assert.throws(() => assertActive({ status: 'lama' }), (error) => error.statusCode === 409);
+});
+
+test('marking seen needs an active doctor of this hospital and a second admit is refused while the first runs', async (t) => {
+  const mongoose = require('mongoose');
+  const EmergencyEncounter = require('../models/EmergencyEncounter');
+  const Doctor = require('../models/Doctor');
+  const controller = require('../controllers/emergencyCare.controller');
+  const hospitalId = new mongoose.Types.ObjectId();
+  const req = (body = {}) => ({ params: { id: String(new mongoose.Types.ObjectId()) }, body, user: { _id: new mongoose.Types.ObjectId(), hospitalId } });
+  const response = () => {
+    const res = { statusCode: 200, status(code) { res.statusCode = code; return res; }, json(payload) { res.payload = payload; return res; } };
+    return res;
+  };
+  const encounter = new EmergencyEncounter({ hospitalId, status: 'triaged' });
+  t.mock.method(EmergencyEncounter, 'findOne', async () => encounter);
+  const exists = t.mock.method(Doctor, 'exists', async () => null);
+
+  const seen = response();
+  await controller.markSeen(req({ doctorId: String(new mongoose.Types.ObjectId()) }), seen);
+  assert.equal(seen.statusCode, 400);
+  assert.equal(exists.mock.calls[0].arguments[0].is_active.$ne, false);
+
+  const claim = t.mock.method(EmergencyEncounter, 'findOneAndUpdate', async () => null);
+  encounter.status = 'admitting';
+  const admit = response();
+  await controller.admit(req(), admit);
+  assert.equal(admit.statusCode, 409);
+  const [filter, update] = claim.mock.calls[0].arguments;
+  assert.deepEqual(filter.status, { $in: ['registered', 'triaged', 'in_treatment'] });
+  assert.equal(filter.admissionId, null);
+  assert.equal(update.$set.status, 'admitting');
+});
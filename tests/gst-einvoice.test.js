@@ -0,0 +1,160 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidGstin,
+  stateCodeFor,
+  buildEInvoicePayload,
+  validateEInvoicePayload,
+  assertCancellable,
+  buildEwayBillPayload,
+  validateEwayBillPayload,
+  EWB_CANCEL_REASONS
+} = require('../services/gstEInvoice.service');
+const { createGspClient, createMockClient } = require('../services/gspClient.service');
+const { invoiceLines } = require('../services/gstCompliance.service');
+
+const seller = {
+  gstin: '27AABCH1234K1ZR', legalName: 'City Care Hospital Pvt Ltd', address1: '12 Hill Road',
+  location: 'Pune', pincode: '411001', stateCode: 'Maharashtra'
+};
+const insurer = {
+  gstin: '29AACCS5678L1ZL', legalName: 'Shield General Insurance Ltd', address1: '4 MG Road',
+  location: 'Bengaluru', pincode: '560001'
+};
+const line = (extra = {}) => ({ description: 'Room rent', isService: true, hsn: '999311', quantity: 2, unitPrice: 1500, discount: 0, gstRate: 12, ...extra });
+const fields = (errors) => errors.map((error) => error.field);
+
+test('GSTINs are checked for format, state and check digit', () => {
+  assert.equal(isValidGstin('27AAPFU0939F1ZV'), true);
+  assert.equal(isValidGstin('27aabch1234k1zr'), true);
+  assert.equal(isValidGstin('27AAPFU0939F1ZX'), false);
+  assert.equal(isValidGstin('99AAPFU0939F1ZV'), false);
+  assert.equal(isValidGstin('25AAPFU0939F1ZZ'), true, 'legacy Daman and Diu registrations');
+  assert.equal(stateCodeFor('Tamil Nadu'), '33');
+  assert.equal(stateCodeFor(7), '07');
+  assert.equal(stateCodeFor(25), '25');
+  assert.equal(stateCodeFor('Atlantis'), null);
+});
+
+test('an inter-state insurer invoice carries IGST and balances', () => {
+  const payload = buildEInvoicePayload({
+    docNo: 'INV/26-27/000042', docDate: '2026-10-19T06:00:00Z', seller, buyer: insurer,
+    lines: [line(), line({ description: 'Surgical kit', isService: false, hsn: '30061010', quantity: 1, unitPrice: 1000, discount: 100, gstRate: 5 })],
+    roundOff: 0.05
+  });
+  assert.equal(payload.Version, '1.1');
+  assert.deepEqual(payload.DocDtls, { Typ: 'INV', No: 'INV/26-27/000042', Dt: '19/10/2026' });
+  assert.equal(payload.BuyerDtls.Stcd, '29');
+  assert.equal(payload.BuyerDtls.Pos, '29');
+  assert.deepEqual(payload.ItemList.map((item) => [item.AssAmt, item.IgstAmt, item.CgstAmt, item.TotItemVal]), [[3000, 360, 0, 3360], [900, 45, 0, 945]]);
+  assert.deepEqual(payload.ValDtls, {
+    AssVal: 3900, CgstVal: 0, SgstVal: 0, IgstVal: 405, CesVal: 0, StCesVal: 0,
+    Discount: 0, OthChrg: 0, RndOffAmt: 0.05, TotInvVal: 4305.05
+  });
+  assert.deepEqual(validateEInvoicePayload(payload), []);
+});
+
+test('an intra-state credit note splits CGST/SGST and must reference the invoice', () => {
+  const buyer = { ...insurer, gstin: '27AACCS5678L1ZP', location: 'Mumbai', pincode: '400001' };
+  const unreferenced = buildEInvoicePayload({ docType: 'CRN', docNo: 'CN/26-27/000007', docDate: new Date(), seller, buyer, lines: [line({ gstRate: 5, quantity: 1 })] });
+  assert.equal(unreferenced.ItemList[0].CgstAmt, 37.5);
+  assert.equal(unreferenced.ItemList[0].SgstAmt, 37.5);
+  assert.deepEqual(fields(validateEInvoicePayload(unreferenced)), ['RefDtls.PrecDocDtls']);
+
+  const referenced = buildEInvoicePayload({
+    docType: 'CRN', docNo: 'CN/26-27/000007', docDate: new Date(), seller, buyer,
+    lines: [line({ gstRate: 5, quantity: 1 })], precedingDocuments: [{ number: 'INV/26-27/000042', date: '2026-10-19T06:00:00Z' }]
+  });
+  assert.deepEqual(referenced.RefDtls.PrecDocDtls, [{ InvNo: 'INV/26-27/000042', InvDt: '19/10/2026' }]);
+  assert.deepEqual(validateEInvoicePayload(referenced), []);
+});
+
+test('validation reports every problem in one pass', () => {
+  const payload = buildEInvoicePayload({
+    docNo: '0INV-NUMBER-TOO-LONG-1', docDate: new Date(), seller,
+    buyer: { ...insurer, gstin: '29AACCS5678L1ZX', stateCode: '29', pincode: '56' },
+    lines: [line({ hsn: '3004', gstRate: 13 })]
+  });
+  assert.deepEqual(fields(validateEInvoicePayload(payload)).sort(), [
+    'BuyerDtls.Gstin', 'BuyerDtls.Pin', 'DocDtls.No', 'ItemList[0].GstRt', 'ItemList[0].HsnCd'
+  ]);
+});
+
+test('IRNs cancel only within 24 hours with a coded reason', () => {
+  const generatedAt = new Date('2026-10-19T06:00:00Z');
+  const ok = assertCancellable({ generatedAt, status: 'generated', reasonCode: 2, remarks: 'Wrong payer', now: new Date('2026-10-20T05:59:00Z') });
+  assert.deepEqual(ok, { reasonCode: '2', reason: 'Data entry mistake', remarks: 'Wrong payer' });
+  assert.throws(
+    () => assertCancellable({ generatedAt, status: 'generated', reasonCode: 2, remarks: 'Late', now: new Date('2026-10-20T06:01:00Z') }),
+    (error) => error.code === 'CANCEL_WINDOW_EXPIRED' && error.statusCode === 409
+  );
+  assert.throws(() => assertCancellable({ generatedAt, status: 'cancelled', reasonCode: 1, remarks: 'x', now: generatedAt }), { code: 'NOT_GENERATED' });
+  assert.throws(() => assertCancellable({ generatedAt, status: 'generated', reasonCode: 9, remarks: 'x', now: generatedAt }), /reason/);
+  assert.equal(assertCancellable({ generatedAt, status: 'generated', reasonCode: 2, remarks: 'x', reasons: EWB_CANCEL_REASONS, now: generatedAt }).reason, 'Order cancelled');
+});
+
+test('the mock GSP derives the IRN from GSTIN, financial year, type and number', async () => {
+  const client = createMockClient({ clock: () => new Date('2026-10-19T08:00:00Z') });
+  const payload = buildEInvoicePayload({ docNo: 'INV/26-27/000042', docDate: '2026-10-19T06:00:00Z', seller, buyer: insurer, lines: [line()] });
+  const first = await client.generateIrn(payload);
+  const again = await client.generateIrn(payload);
+  assert.match(first.irn, /^[0-9a-f]{64}$/);
+  assert.equal(first.irn, again.irn);
+  assert.match(first.ackNo, /^\d{15}$/);
+  const qr = JSON.parse(Buffer.from(first.signedQrCode.split('.')[1], 'base64url').toString());
+  assert.equal(qr.data.Irn, first.irn);
+  assert.equal(qr.data.TotInvVal, 3360);
+});
+
+test('the mock GSP is an explicit opt-in and never issues IRNs in production', (t) => {
+  const nodeEnv = process.env.NODE_ENV;
+  const provider = process.env.GST_GSP_PROVIDER;
+  const restore = (key, value) => { if (value === undefined) delete process.env[key]; else process.env[key] = value; };
+  t.after(() => {
+    restore('NODE_ENV', nodeEnv);
+    restore('GST_GSP_PROVIDER', provider);
+  });
+  delete process.env.GST_GSP_PROVIDER;
+  process.env.NODE_ENV = 'development';
+  assert.throws(() => createGspClient(), { statusCode: 503, code: 'GST_GSP_NOT_CONFIGURED' });
+  assert.equal(createGspClient('mock').provider, 'mock');
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => createGspClient('mock'), { statusCode: 503, code: 'GST_GSP_NOT_CONFIGURED' });
+});
+
+test('stock transfers between same-GSTIN stores move on an untaxed delivery challan', () => {
+  const payload = buildEwayBillPayload({
+    docNo: 'TRF/26-27/000003', docDate: '2026-10-19T06:00:00Z',
+    from: seller,
+    to: { ...seller, address1: 'Plot 7, Hinjewadi', pincode: '411057' },
+    lines: [{ description: 'Infusion pump', hsn: '9018', quantity: 4, unitPrice: 15000, gstRate: 12 }],
+    transport: { vehicleNo: 'mh-12-ab-1234', distanceKm: 24 }
+  });
+  assert.equal(payload.docType, 'CHL');
+  assert.equal(payload.subSupplyType, '5');
+  assert.equal(payload.vehicleNo, 'MH12AB1234');
+  assert.deepEqual([payload.totalValue, payload.cgstValue, payload.igstValue, payload.totInvValue], [60000, 0, 0, 60000]);
+  assert.deepEqual(validateEwayBillPayload(payload), []);
+
+  const samePremises = buildEwayBillPayload({ docNo: 'TRF/26-27/000004', docDate: new Date(), from: seller, to: seller, lines: [{ description: 'Gloves', hsn: '4015', quantity: 1, unitPrice: 10 }] });
+  assert.deepEqual(fields(validateEwayBillPayload(samePremises)).sort(), ['toAddr1', 'vehicleNo']);
+});
+
+test('billed invoice lines map to SAC/HSN items with discounts from taxable amounts', () => {
+  const lines = invoiceLines({
+    service_items: [
+      { description: 'ICU bed', quantity: 2, unit_price: 5000, total_price: 10000, taxable_amount: 9000, tax_rate: 0, tax_code: '999311' },
+      { description: 'Zero value pack', quantity: 1, unit_price: 0, total_price: 0 }
+    ],
+    medicine_items: [{ medicine_name: 'Ceftriaxone 1g', quantity: 3, unit_price: 80, total_price: 240, tax_rate: 12, hsn_code: '30042019' }],
+    lab_test_items: [{ lab_test_name: 'CBC', quantity: 1, unit_price: 400, total_price: 400 }]
+  }, { defaultServiceSac: '999316', defaultGoodsHsn: '3004' });
+  assert.deepEqual(lines.map((item) => [item.description, item.isService, item.hsn, item.grossAmount, item.discount]), [
+    ['ICU bed', true, '999311', 10000, 1000],
+    ['Ceftriaxone 1g', false, '30042019', 240, 0],
+    ['CBC', true, '999316', 400, 0]
+  ]);
+  assert.throws(() => invoiceLines({ medicine_items: [{ medicine_name: 'Return', is_return: true, quantity: 1, unit_price: 10, total_price: -10 }] }), { code: 'EINVOICE_VALIDATION_FAILED' });
+});
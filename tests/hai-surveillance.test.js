@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { surveillanceCensus, attributedWard, locationSegments, evaluateHaiCase, wardRates } = require('../services/haiSurveillance.service');
+
+const admission = { _id: 'a1', admissionDate: '2026-10-01T10:00:00+05:30', wardId: 'ward-gen' };
+const segments = [
+  { wardId: 'ward-gen', startedAt: '2026-10-01T10:00:00+05:30', endedAt: '2026-10-03T15:00:00+05:30', status: 'closed' },
+  { wardId: 'ward-icu', startedAt: '2026-10-03T15:00:00+05:30', status: 'active' }
+];
+
+test('daily census counts patient-days per ward and one device-day per device type', () => {
+  const devices = [
+    { deviceType: 'central_line', insertedAt: '2026-10-03T18:00:00+05:30', removedAt: '2026-10-06T09:00:00+05:30', status: 'removed' },
+    { deviceType: 'central_line', insertedAt: '2026-10-04T08:00:00+05:30', status: 'active' },
+    { deviceType: 'urinary_catheter', insertedAt: '2026-10-01T12:00:00+05:30', status: 'active' }
+  ];
+  const rows = surveillanceCensus([{ admission: { ...admission, dischargeDate: '2026-10-07T11:00:00+05:30' }, segments, devices }], { from: '2026-10-01', to: '2026-10-31' });
+  assert.deepEqual(rows, [
+    { wardId: 'ward-gen', month: '2026-10', patientDays: 2, centralLineDays: 0, urinaryCatheterDays: 2, ventilatorDays: 0 },
+    { wardId: 'ward-icu', month: '2026-10', patientDays: 4, centralLineDays: 4, urinaryCatheterDays: 4, ventilatorDays: 0 }
+  ]);
+});
+
+test('CLABSI needs a central line in place over two days and a recognised pathogen or paired commensals', () => {
+  const devices = [{ _id: 'cl1', deviceType: 'central_line', insertedAt: '2026-10-03T18:00:00+05:30', status: 'active' }];
+  const base = { haiType: 'CLABSI', admission, devices };
+
+  const pathogen = evaluateHaiCase({ ...base, eventDate: '2026-10-06', cultures: [{ specimenType: 'blood', collectedAt: '2026-10-06T08:00:00+05:30', organism: 'Klebsiella pneumoniae' }] });
+  assert.equal(pathogen.meetsCriteria, true);
+  assert.equal(pathogen.subtype, 'LCBI-1');
+  assert.equal(pathogen.deviceDays, 4);
+
+  const early = evaluateHaiCase({ ...base, eventDate: '2026-10-04', cultures: [{ specimenType: 'blood', collectedAt: '2026-10-04T08:00:00+05:30', organism: 'Klebsiella pneumoniae' }] });
+  assert.equal(early.meetsCriteria, false);
+  assert.equal(early.deviceAssociated, false);
+
+  const commensal = [
+    { specimenType: 'blood', collectedAt: '2026-10-06T08:00:00+05:30', organism: 'Staphylococcus epidermidis' },
+    { specimenType: 'blood', collectedAt: '2026-10-07T02:00:00+05:30', organism: 'Staphylococcus epidermidis' }
+  ];
+  assert.match(evaluateHaiCase({ ...base, eventDate: '2026-10-06', cultures: commensal }).reasons.join(), /fever/);
+  assert.equal(evaluateHaiCase({ ...base, eventDate: '2026-10-06', cultures: commensal, criteria: { fever: true } }).subtype, 'LCBI-2');
+  assert.equal(evaluateHaiCase({ ...base, eventDate: '2026-10-06', cultures: commensal.slice(0, 1), criteria: { fever: true } }).meetsCriteria, false);
+
+  const repeat = evaluateHaiCase({
+    ...base,
+    eventDate: '2026-10-10',
+    cultures: [{ specimenType: 'blood', collectedAt: '2026-10-10T08:00:00+05:30', organism: 'Klebsiella pneumoniae' }],
+    priorCases: [{ haiType: 'CLABSI', status: 'confirmed', eventDate: '2026-10-06', caseNumber: 'HAI-1' }]
+  });
+  assert.match(repeat.reasons.join(), /repeat infection timeframe of HAI-1/);
+});
+
+test('transfer rule, CAUTI and SSI windows, and ward rates per 1000 device-days', () => {
+  const location = locationSegments(admission, segments);
+  assert.equal(attributedWard(location, '2026-10-04'), 'ward-gen');
+  assert.equal(attributedWard(location, '2026-10-05'), 'ward-icu');
+
+  const catheter = [{ deviceType: 'urinary_catheter', insertedAt: '2026-10-01T12:00:00+05:30', status: 'active' }];
+  const cauti = evaluateHaiCase({
+    haiType: 'CAUTI',
+    eventDate: '2026-10-05',
+    admission,
+    devices: catheter,
+    cultures: [{ specimenType: 'Urine', collectedAt: '2026-10-05T07:00:00+05:30', organism: 'Escherichia coli', colonyCount: 100000 }],
+    criteria: { dysuria: true }
+  });
+  assert.equal(cauti.meetsCriteria, false, 'dysuria is not assessable with the catheter still in');
+  const candida = evaluateHaiCase({
+    haiType: 'CAUTI',
+    eventDate: '2026-10-05',
+    admission,
+    devices: catheter,
+    cultures: [{ specimenType: 'urine', collectedAt: '2026-10-05T07:00:00+05:30', organism: 'Candida albicans', colonyCount: 100000 }],
+    criteria: { fever: true }
+  });
+  assert.equal(candida.meetsCriteria, false);
+
+  const procedure = { completedAt: '2026-10-02T13:00:00+05:30' };
+  const ssi = { haiType: 'SSI', admission, procedure, criteria: { ssiDepth: 'deep_incisional', purulentDrainageDeep: true } };
+  assert.equal(evaluateHaiCase({ ...ssi, eventDate: '2026-11-10' }).meetsCriteria, false);
+  assert.equal(evaluateHaiCase({ ...ssi, eventDate: '2026-11-10', criteria: { ...ssi.criteria, implant: true } }).subtype, 'deep_incisional');
+
+  const [row] = wardRates({
+    census: [{ wardId: 'ward-icu', month: '2026-10', patientDays: 400, centralLineDays: 250, urinaryCatheterDays: 300, ventilatorDays: 120 }],
+    cases: [{ haiType: 'CLABSI', wardId: 'ward-icu', eventDate: '2026-10-06' }, { haiType: 'SSI', wardId: 'ward-icu', eventDate: '2026-10-20' }],
+    procedures: Array.from({ length: 40 }, () => ({ wardId: 'ward-icu', performedAt: '2026-10-09T10:00:00+05:30' }))
+  });
+  assert.equal(row.clabsiRate, 4);
+  assert.equal(row.cautiRate, 0);
+  assert.equal(row.centralLineUtilization, 0.63);
+  assert.equal(row.ssiRate, 2.5);
+});
@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUdi, pickSourceLocation, recallFilter, implantChargeKey } = require('../services/implantRegistry.service');
+
+test('GS1 UDIs are split into device identifier, expiry, lot and serial', () => {
+  assert.deepEqual(parseUdi('(01)08717648200274(17)270531(10)LOT-77(21)SN12345'), {
+    udiDi: '08717648200274',
+    expiryDate: new Date(Date.UTC(2027, 4, 31)),
+    lotNumber: 'LOT-77',
+    serialNumber: 'SN12345'
+  });
+
+  const scanned = parseUdi(']d201087176482002741728020010AB12\u001d21SN9');
+  assert.equal(scanned.udiDi, '08717648200274');
+  assert.equal(scanned.lotNumber, 'AB12');
+  assert.equal(scanned.serialNumber, 'SN9');
+  assert.equal(scanned.expiryDate.toISOString().slice(0, 10), '2028-02-29');
+
+  assert.deepEqual(parseUdi('+H123PROD0011/$$3271231LOT1'), {});
+  assert.deepEqual(parseUdi(''), {});
+});
+
+test('recall search needs a device identifier and matches lots and serials exactly', () => {
+  assert.throws(() => recallFilter('h1', { manufacturer: 'Acme Ortho' }), /model, catalogue number, UDI, lot, serial or store lot is required/);
+
+  const filter = recallFilter('h1', { manufacturer: 'Acme Ortho', lotNumbers: 'L1, L2', udi: '(01)08717648200274(10)L1' });
+  assert.equal(filter.hospitalId, 'h1');
+  assert.equal(filter.udiDi, '08717648200274');
+  assert.ok(filter.manufacturer.test('ACME ORTHO'));
+  assert.ok(!filter.manufacturer.test('Acme Orthopaedics'));
+  assert.deepEqual(filter.lotNumber.$in.map((pattern) => pattern.test('l2')), [false, true]);
+  assert.deepEqual(filter.status, { $ne: 'entered_in_error' });
+
+  assert.equal(recallFilter('h1', { serialNumber: 'SN1', includeRemoved: 'true' }).status, undefined);
+});
+
+test('implants are consumed from the only location holding enough stock unless one is chosen', () => {
+  const lot = { locationBalances: [{ locationId: 'ot-store', onHand: 2, available: 2 }, { locationId: 'main', onHand: 1, available: 0 }] };
+  assert.equal(pickSourceLocation(lot, 1), 'ot-store');
+  assert.throws(() => pickSourceLocation(lot, 1, 'main'), { code: 'IMPLANT_STOCK_UNAVAILABLE' });
+  assert.throws(() => pickSourceLocation(lot, 3), { statusCode: 409 });
+  assert.throws(
+    () => pickSourceLocation({ locationBalances: [{ locationId: 'a', available: 1 }, { locationId: 'b', available: 1 }] }, 1),
+    { code: 'IMPLANT_LOCATION_REQUIRED' }
+  );
+  assert.equal(implantChargeKey({ _id: 'abc' }), 'ot-implant:abc');
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const SafetyIncident = require('../models/SafetyIncident');
+const {
+  capaEscalationLevel,
+  closureBlockers,
+  openCapaRows,
+  recurrenceByCategory
+} = require('../services/incidentInvestigation.service');
+
+test('RCA is mandatory for sentinel events and critical harm and due 45 days after reporting', async () => {
+  assert.equal(SafetyIncident.rcaRequirementFor('sentinel_event', 'low'), 'mandatory');
+  assert.equal(SafetyIncident.rcaRequirementFor('medication_error', 'critical'), 'mandatory');
+  assert.equal(SafetyIncident.rcaRequirementFor('patient_safety', 'high'), 'recommended');
+  assert.equal(SafetyIncident.rcaRequirementFor('patient_safety', 'moderate'), 'optional');
+
+  const incident = new SafetyIncident({
+    hospitalId: new mongoose.Types.ObjectId(),
+    incidentNumber: 'INC-1',
+    incidentType: 'sentinel_event',
+    category: 'Wrong-site surgery',
+    severity: 'moderate',
+    occurredAt: new Date(),
+    details: { summary: 'test' }
+  });
+  await incident.validate();
+  assert.equal(incident.rca.requirement, 'mandatory');
+  assert.equal(Math.round((incident.rca.dueAt - Date.now()) / 86400000), 45);
+});
+
+test('closure is blocked until the RCA is complete and every CAPA item is verified or cancelled', () => {
+  const mandatory = { status: 'capa_in_progress', rca: { requirement: 'mandatory', status: 'in_progress' }, capaItems: [] };
+  assert.deepEqual(closureBlockers(mandatory), [
+    'A root-cause analysis is mandatory and has not been completed',
+    'At least one CAPA item is required'
+  ]);
+
+  const done = {
+    status: 'capa_in_progress',
+    rca: { requirement: 'mandatory', status: 'completed' },
+    capaItems: [
+      { capaNumber: 'CAPA-1', status: 'verified' },
+      { capaNumber: 'CAPA-2', status: 'completed' },
+      { capaNumber: 'CAPA-3', status: 'cancelled' }
+    ]
+  };
+  assert.deepEqual(closureBlockers(done), ['CAPA CAPA-2 is awaiting its effectiveness check']);
+  done.capaItems[1].status = 'verified';
+  assert.deepEqual(closureBlockers(done), []);
+
+  const recommended = { status: 'open', rca: { requirement: 'recommended', status: 'not_started' }, capaItems: [] };
+  assert.equal(closureBlockers(recommended).length, 1);
+  assert.deepEqual(closureBlockers(recommended, { rcaWaiverReason: 'Known equipment fault, vendor recall in place' }), []);
+});
+
+test('overdue CAPA items escalate to the owner then the quality team, and recurrence is counted per category', () => {
+  const now = new Date('2026-10-20T09:00:00+05:30');
+  const item = (dueAt, status = 'open') => ({ _id: dueAt, capaNumber: `CAPA-${dueAt}`, status, dueAt, ownerId: 'u1' });
+  assert.equal(capaEscalationLevel(item('2026-10-25'), now), 0);
+  assert.equal(capaEscalationLevel(item('2026-10-18'), now), 1);
+  assert.equal(capaEscalationLevel(item('2026-10-10'), now), 2);
+  assert.equal(capaEscalationLevel(item('2026-10-10', 'completed'), now), 0);
+
+  const rows = openCapaRows([{
+    _id: 'i1',
+    incidentNumber: 'INC-1',
+    category: 'Falls',
+    capaItems: [item('2026-10-25'), item('2026-10-10'), item('2026-10-01', 'verified'), item('2026-10-05', 'completed')]
+  }], now);
+  assert.deepEqual(rows.map((row) => [row.capaNumber, row.overdue, row.daysOverdue, row.awaitingEffectiveness]), [
+    ['CAPA-2026-10-10', true, 10, false],
+    ['CAPA-2026-10-05', false, 0, true],
+    ['CAPA-2026-10-25', false, 0, false]
+  ]);
+
+  const categories = recurrenceByCategory([
+    { category: 'Falls', severity: 'moderate', status: 'closed', occurredAt: '2026-01-05', closure: { signedOffAt: '2026-02-01' } },
+    { category: 'Falls', severity: 'high', status: 'open', occurredAt: '2026-03-01' },
+    { category: 'Falls', severity: 'moderate', status: 'open', occurredAt: '2026-09-01' },
+    { category: 'Medication error', severity: 'low', status: 'open', occurredAt: '2026-04-01' }
+  ], { windowDays: 90 });
+  assert.deepEqual(categories.map((row) => [row.category, row.incidents, row.recurrences, row.afterClosure, row.open]), [
+    ['Falls', 3, 1, 2, 2],
+    ['Medication error', 1, 0, 0, 1]
+  ]);
+  assert.deepEqual(categories[0].bySeverity, { moderate: 2, high: 1 });
+});
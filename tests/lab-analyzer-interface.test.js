@@ -0,0 +1,157 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CONTROL,
+  astmChecksum,
+  frameAstm,
+  unframeAstm,
+  parseAstm,
+  buildAstmMessage,
+  parseHl7,
+  buildHl7Oru,
+  buildHl7Ack,
+  mllpWrap,
+  detectProtocol
+} = require('../services/analyzerProtocol.service');
+const { mappingFor, observationFromResult, messageStatus } = require('../services/labAnalyzer.service');
+const { createAstmReceiver, createMllpReceiver, resolveDropDir } = require('../services/labAnalyzerListener.service');
+
+const results = [
+  { code: 'GLU', value: '182', units: 'mg/dL', flags: 'H' },
+  { code: 'UREA', value: '31', units: 'mg/dL' }
+];
+
+test('ASTM records parse into specimens keyed by the host sample id', () => {
+  const parsed = parseAstm(buildAstmMessage({ sampleId: 'ACC-1001', results, sender: 'COBAS' }));
+  assert.equal(parsed.protocol, 'astm');
+  assert.equal(parsed.sender, 'COBAS');
+  assert.equal(parsed.specimens.length, 1);
+  assert.equal(parsed.specimens[0].sampleId, 'ACC-1001');
+  assert.deepEqual(parsed.specimens[0].results.map((row) => [row.instrumentCode, row.value, row.units, row.flags]), [
+    ['GLU', '182', 'mg/dL', 'H'],
+    ['UREA', '31', 'mg/dL', '']
+  ]);
+  assert.ok(parsed.specimens[0].results[0].observedAt instanceof Date);
+});
+
+test('E1381 frames carry a verifiable checksum and survive a round trip', () => {
+  const text = buildAstmMessage({ sampleId: 'ACC-1001', results });
+  const frames = frameAstm(text);
+  assert.equal(frames.length, 6);
+  assert.equal(unframeAstm(frames[0]).final, true);
+  assert.equal(parseAstm(frames.join('')).specimens[0].results.length, 2);
+
+  assert.equal(astmChecksum('1H|\x03'), 'F8');
+  assert.match(frames[0], /\x03[0-9A-F]{2}\r\n$/);
+  const corrupt = frames[0].replace('H|', 'X|');
+  assert.throws(() => unframeAstm(corrupt), /checksum/);
+});
+
+test('long ASTM records are split into ETB intermediate frames', () => {
+  const long = `H|\\^&\rR|1|^^^NOTE|${'x'.repeat(300)}\rL|1|N\r`;
+  const frames = frameAstm(long);
+  assert.equal(frames.length, 4);
+  assert.equal(unframeAstm(frames[1]).final, false);
+  assert.equal(frames.map((frame) => unframeAstm(frame).text).join(''), long);
+});
+
+test('HL7 ORU^R01 parses OBR sample ids and OBX observations', () => {
+  const raw = buildHl7Oru({ sampleId: 'ACC-2002', results: [{ code: 'HGB', name: 'Haemoglobin', value: '9.1', units: 'g/dL', flags: 'L' }], controlId: 'MSG42' });
+  const parsed = parseHl7(mllpWrap(raw));
+  assert.equal(parsed.messageType, 'ORU^R01');
+  assert.equal(parsed.controlId, 'MSG42');
+  assert.equal(parsed.specimens[0].sampleId, 'ACC-2002');
+  assert.deepEqual(
+    [parsed.specimens[0].results[0].instrumentCode, parsed.specimens[0].results[0].value, parsed.specimens[0].results[0].flags],
+    ['HGB', '9.1', 'L']
+  );
+  assert.match(buildHl7Ack(parsed), /MSA\|AA\|MSG42/);
+  assert.throws(() => parseHl7(raw.replace('ORU^R01', 'ADT^A01')), /Unsupported HL7 message type/);
+});
+
+test('protocol detection recognises both dialects', () => {
+  assert.equal(detectProtocol(buildHl7Oru({ sampleId: 'A', results })), 'hl7');
+  assert.equal(detectProtocol(buildAstmMessage({ sampleId: 'A', results })), 'astm');
+  assert.equal(detectProtocol(frameAstm(buildAstmMessage({ sampleId: 'A', results })).join('')), 'astm');
+  assert.equal(detectProtocol('garbage'), null);
+});
+
+test('ASTM receiver ACKs frames, NAKs bad checksums and emits on EOT', () => {
+  const written = [];
+  const messages = [];
+  const receive = createAstmReceiver({ write: (data) => written.push(data), onMessage: (text) => messages.push(text) });
+  const frames = frameAstm(buildAstmMessage({ sampleId: 'ACC-1', results }));
+  receive(Buffer.from(CONTROL.ENQ));
+  receive(Buffer.from(frames[0].slice(0, 5), 'latin1'));
+  receive(Buffer.from(frames[0].slice(5), 'latin1'));
+  receive(Buffer.from(frames[1].replace('P|1', 'P|9'), 'latin1'));
+  for (const frame of frames.slice(1)) receive(Buffer.from(frame, 'latin1'));
+  receive(Buffer.from(CONTROL.EOT));
+  assert.deepEqual(written, [CONTROL.ACK, CONTROL.ACK, CONTROL.NAK, ...frames.slice(1).map(() => CONTROL.ACK)]);
+  assert.equal(messages.length, 1);
+  assert.equal(parseAstm(messages[0]).specimens[0].sampleId, 'ACC-1');
+});
+
+test('MLLP receiver splits back-to-back messages', () => {
+  const messages = [];
+  const receive = createMllpReceiver({ onMessage: (raw) => messages.push(raw) });
+  const one = buildHl7Oru({ sampleId: 'S1', results, controlId: '1' });
+  const two = buildHl7Oru({ sampleId: 'S2', results, controlId: '2' });
+  const stream = mllpWrap(one) + mllpWrap(two);
+  receive(Buffer.from(stream.slice(0, 20)));
+  receive(Buffer.from(stream.slice(20)));
+  assert.deepEqual(messages.map((raw) => parseHl7(raw).controlId), ['1', '2']);
+});
+
+test('instrument codes map to LabTest parameters with unit conversion and limits', () => {
+  const analyzer = {
+    code: 'XN1000',
+    testMappings: [
+      { instrumentCode: 'HGB', labTestId: 't1', parameterCode: 'HB', conversionFactor: 0.1, active: true },
+      { instrumentCode: 'OLD', labTestId: 't1', parameterCode: 'HB', active: false }
+    ]
+  };
+  const labTest = {
+    name: 'Complete blood count',
+    parameters: [{ code: 'HB', name: 'Haemoglobin', unit: 'g/dL', referenceLow: '12', referenceHigh: '16', criticalLow: '7' }]
+  };
+  assert.equal(mappingFor(analyzer, 'old'), null);
+  const mapping = mappingFor(analyzer, 'hgb');
+  const normal = observationFromResult({ result: { value: '135', flags: '' }, mapping, labTest, analyzer });
+  assert.equal(normal.resultNumeric, '13.5');
+  assert.equal(normal.name, 'Haemoglobin');
+  assert.equal(normal.unit, 'g/dL');
+  assert.equal(normal.instrument, 'XN1000');
+  assert.equal(normal.isAbnormal, false);
+
+  const critical = observationFromResult({ result: { value: '62', flags: 'L' }, mapping, labTest, analyzer });
+  assert.equal(critical.isCritical, true);
+  assert.match(critical.criticalReason, /critical low 7/);
+
+  const text = observationFromResult({ result: { value: 'CLOTTED', flags: '' }, mapping, labTest, analyzer });
+  assert.equal(text.resultType, 'text');
+  assert.equal(text.resultText, 'CLOTTED');
+});
+
+test('message status reflects how many results were posted', () => {
+  assert.equal(messageStatus([{ status: 'posted' }, { status: 'posted' }]), 'posted');
+  assert.equal(messageStatus([{ status: 'posted' }, { status: 'unmapped' }]), 'partial');
+  assert.equal(messageStatus([{ status: 'unmatched' }]), 'unmatched');
+});
+
+test('file-drop directories are confined to the configured root', () => {
+  const previous = process.env.LAB_ANALYZER_DROP_ROOT;
+  try {
+    process.env.LAB_ANALYZER_DROP_ROOT = '/srv/lab-drop';
+    assert.equal(resolveDropDir('cobas/inbox'), '/srv/lab-drop/cobas/inbox');
+    assert.equal(resolveDropDir('../etc'), null);
+    assert.equal(resolveDropDir('/etc/passwd'), null);
+    delete process.env.LAB_ANALYZER_DROP_ROOT;
+    assert.equal(resolveDropDir('cobas/inbox'), null);
+  } finally {
+    if (previous === undefined) delete process.env.LAB_ANALYZER_DROP_ROOT;
+    else process.env.LAB_ANALYZER_DROP_ROOT = previous;
+  }
+});
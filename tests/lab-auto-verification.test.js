@@ -0,0 +1,170 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LabRequest = require('../models/LabRequest');
+const LabQcMaterial = require('../models/LabQcMaterial');
+const LabQcRun = require('../models/LabQcRun');
+const DomainEvent = require('../models/DomainEvent');
+const labWorkflow = require('../services/labWorkflow.service');
+const { qcLockStatus } = require('../services/labQuality.service');
+const {
+  AUTO_VERIFICATION_ACTOR,
+  ruleSnapshot,
+  parseRange,
+  resultObservations,
+  computeDeltas,
+  evaluateAutoVerification,
+  holdForManualReview
+} = require('../services/labAutoVerification.service');
+
+const rule = {
+  enabled: true,
+  requireWithinReference: true,
+  blockOnCritical: true,
+  requireQcAccepted: true,
+  blockOnInstrumentFlags: true,
+  deltaCheck: { enabled: true, maxPercent: 20, parameterLimits: [{ parameterCode: 'K', maxPercent: 10 }] }
+};
+const qcOk = { locked: false, configured: true, analytes: [], notRun: [] };
+const obs = (analyteCode, value, extra = {}) => ({
+  analyteCode, name: analyteCode, resultNumeric: String(value), referenceLow: '3.5', referenceHigh: '5.5', ...extra
+});
+const codes = (result) => result.reasons.map((reason) => reason.code);
+
+test('test-level normal ranges parse into low and high bounds', () => {
+  assert.deepEqual(parseRange('70 - 110 mg/dL'), { low: '70', high: '110' });
+  assert.deepEqual(parseRange('0.5 to 1.2'), { low: '0.5', high: '1.2' });
+  assert.deepEqual(parseRange('Negative'), {});
+});
+
+test('scalar results fall back to a single observation against the normal range', () => {
+  const [observation] = resultObservations({ result_value: '96', manual_report: {} }, { code: 'FBS', name: 'Fasting glucose', normal_range: '70-110' });
+  assert.equal(observation.analyteCode, 'FBS');
+  assert.equal(observation.resultNumeric, '96');
+  assert.equal(observation.referenceHigh, '110');
+  assert.deepEqual(resultObservations({ manual_report: {} }, {}), []);
+});
+
+test('a clean in-range result with accepted QC is eligible', () => {
+  const result = evaluateAutoVerification({ rule, observations: [obs('NA', 4.1)], critical: false, qc: qcOk });
+  assert.equal(result.eligible, true);
+  assert.deepEqual(result.reasons, []);
+});
+
+test('every failed check is reported so reviewers see all reasons', () => {
+  const result = evaluateAutoVerification({
+    rule,
+    observations: [
+      obs('NA', 6.2),
+      obs('K', 2.4, { isCritical: true, criticalReason: 'K critical low', printedFlag: 'LL' }),
+      obs('CL', 'x', { resultNumeric: undefined, resultText: 'haemolysed' })
+    ],
+    critical: true,
+    qc: { locked: true, configured: true, analytes: [{ parameterCode: 'K' }] }
+  });
+  assert.equal(result.eligible, false);
+  assert.deepEqual(codes(result).sort(), ['CRITICAL', 'CRITICAL', 'INSTRUMENT_FLAG', 'NON_NUMERIC', 'OUT_OF_REFERENCE', 'OUT_OF_REFERENCE', 'QC_REJECTED'].sort());
+});
+
+test('QC must be configured when the rule requires it', () => {
+  const held = evaluateAutoVerification({ rule, observations: [obs('NA', 4)], qc: { locked: false, configured: false, analytes: [] } });
+  assert.deepEqual(codes(held), ['QC_NOT_CONFIGURED']);
+  const relaxed = evaluateAutoVerification({ rule: { ...rule, requireQcAccepted: false }, observations: [obs('NA', 4)], qc: { locked: false, configured: false, analytes: [] } });
+  assert.equal(relaxed.eligible, true);
+});
+
+test('every active QC level needs an accepted run inside the rule window', async (t) => {
+  const hospitalId = new mongoose.Types.ObjectId();
+  const levels = [
+    { _id: 'm1', parameterCode: 'NA', level: 'L1', lotNumber: 'A' },
+    { _id: 'm2', parameterCode: 'NA', level: 'L2', lotNumber: 'B' },
+    { _id: 'm3', parameterCode: 'NA', level: 'L3', lotNumber: 'C' }
+  ];
+  const latest = {
+    m1: { _id: 'r1', status: 'accepted', runAt: new Date('2026-10-19T06:00:00Z') },
+    m2: { _id: 'r2', status: 'warning', runAt: new Date('2026-10-17T06:00:00Z') }
+  };
+  const chain = (value) => ({ sort: () => chain(value), select: () => chain(value), lean: async () => value });
+  t.mock.method(LabQcMaterial, 'find', () => chain(levels));
+  t.mock.method(LabQcRun, 'findOne', (filter) => chain(latest[filter.materialId] || null));
+
+  const status = await qcLockStatus({ hospitalId, labTestId: 't1', since: new Date('2026-10-18T08:00:00Z') });
+  assert.equal(status.locked, false);
+  assert.deepEqual(status.notRun.map((item) => item.level), ['L2', 'L3']);
+
+  const held = evaluateAutoVerification({ rule: { ...rule, qcWindowHours: 24 }, observations: [obs('NA', 4)], qc: status });
+  assert.deepEqual(codes(held), ['QC_NOT_RUN']);
+  assert.match(held.reasons[0].message, /last 24 h for NA L2, NA L3/);
+  const relaxed = evaluateAutoVerification({ rule: { ...rule, requireQcAccepted: false }, observations: [obs('NA', 4)], qc: status });
+  assert.equal(relaxed.eligible, true);
+});
+
+test('delta checks compare against the last verified result with per-analyte limits', () => {
+  const previous = {
+    request: { _id: 'prev', verifiedAt: new Date('2026-08-01'), manual_report: { observations: [obs('NA', 4.0), obs('K', 4.0)] } },
+    labTest: {}
+  };
+  const deltas = computeDeltas({ observations: [obs('NA', 4.6), obs('K', 4.6), obs('CL', 4.2)], previous, rule });
+  assert.deepEqual(deltas.map((delta) => [delta.analyteCode, delta.changePercent, delta.limitPercent, delta.exceeded]), [
+    ['NA', 15, 20, false],
+    ['K', 15, 10, true]
+  ]);
+  const result = evaluateAutoVerification({ rule, observations: [obs('NA', 4.6), obs('K', 4.6)], deltas, qc: qcOk });
+  assert.deepEqual(codes(result), ['DELTA_EXCEEDED']);
+  assert.equal(result.reasons[0].analyteCode, 'K');
+
+  assert.deepEqual(computeDeltas({ observations: [obs('NA', 4.6)], previous: null, rule }), []);
+  const shown = computeDeltas({ observations: [obs('K', 4.6)], previous, rule: { deltaCheck: { enabled: false } } });
+  assert.equal(shown[0].exceeded, false);
+  assert.equal(shown[0].limitPercent, undefined);
+});
+
+test('an auto-verified result is attributed to the rule, not to the technician who entered it', async (t) => {
+  const technicianId = new mongoose.Types.ObjectId();
+  const request = new LabRequest({ status: 'Result Entered' });
+  t.mock.method(request, 'save', async () => request);
+  const events = [];
+  t.mock.method(DomainEvent, 'create', async ([payload]) => { events.push(payload); return [payload]; });
+
+  await labWorkflow.transition({
+    req: { user: { _id: technicianId, role: 'lab_technician' } },
+    request,
+    to: 'Verified',
+    note: 'Auto-verified',
+    hospitalId: new mongoose.Types.ObjectId(),
+    systemActor: AUTO_VERIFICATION_ACTOR
+  });
+  assert.equal(request.verifierUserId, undefined);
+  assert.equal(request.workflowHistory.at(-1).by, undefined);
+  assert.equal(request.workflowHistory.at(-1).actor, AUTO_VERIFICATION_ACTOR);
+  assert.equal(events[0].actorUserId, undefined);
+  assert.deepEqual(events[0].metadata, { systemActor: AUTO_VERIFICATION_ACTOR, triggeredBy: technicianId });
+
+  const labTestId = new mongoose.Types.ObjectId();
+  const version = new Date('2026-10-01');
+  assert.deepEqual(ruleSnapshot({ _id: labTestId, autoVerification: { ...rule, updatedAt: version } }), {
+    labTestId,
+    version,
+    requireWithinReference: true,
+    blockOnCritical: true,
+    requireQcAccepted: true,
+    qcWindowHours: 24,
+    blockOnInstrumentFlags: true,
+    deltaCheckEnabled: true,
+    deltaMaxPercent: 20
+  });
+});
+
+test('a failed auto-verification run leaves the saved result held for manual review', async (t) => {
+  const hospitalId = new mongoose.Types.ObjectId();
+  const request = { _id: new mongoose.Types.ObjectId() };
+  const updates = [];
+  t.mock.method(LabRequest, 'updateOne', async (filter, update) => { updates.push({ filter, update }); return { modifiedCount: 1 }; });
+
+  const held = await holdForManualReview({ req: { user: { _id: 'u1' } }, hospitalId, request, error: new Error('QC lookup timed out') });
+  assert.equal(held.status, 'held');
+  assert.deepEqual(updates[0].filter, { _id: request._id, hospitalId, status: 'Result Entered' });
+  assert.deepEqual(updates[0].update.$set.autoVerification.reasons, [{ code: 'AUTO_VERIFICATION_FAILED', message: 'Auto-verification could not run: QC lookup timed out' }]);
+});
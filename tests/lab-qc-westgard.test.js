@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  zScore,
+  evaluateWestgard,
+  controlLimits,
+  resolveAnalyte
+} = require('../services/labQuality.service');
+
+const points = (...values) => values.map((value, index) => ({ _id: `run-${index}`, zScore: value }));
+const rules = (result) => result.violations.map((violation) => violation.rule);
+
+test('z-score is measured against the lot target mean and SD', () => {
+  assert.equal(zScore(110, 100, 5), 2);
+  assert.equal(zScore('92.5', 100, 5), -1.5);
+  assert.throws(() => zScore('abc', 100, 5), /numeric/);
+  assert.throws(() => zScore(100, 100, 0), /greater than zero/);
+});
+
+test('a control inside 2 SD with a clean history is accepted', () => {
+  const result = evaluateWestgard({ zScore: 1.2, history: points(-0.5, 0.3) });
+  assert.equal(result.status, 'accepted');
+  assert.deepEqual(result.violations, []);
+});
+
+test('1-2s only warns while 1-3s rejects', () => {
+  assert.deepEqual(rules(evaluateWestgard({ zScore: 2.4 })), ['1-2s']);
+  assert.equal(evaluateWestgard({ zScore: 2.4 }).status, 'warning');
+  const rejected = evaluateWestgard({ zScore: -3.2 });
+  assert.deepEqual(rules(rejected), ['1-3s']);
+  assert.equal(rejected.status, 'rejected');
+});
+
+test('2-2s rejects two consecutive controls beyond 2 SD on the same side', () => {
+  const result = evaluateWestgard({ zScore: 2.3, history: points(2.1, 0.2) });
+  assert.equal(result.status, 'rejected');
+  assert.ok(rules(result).includes('2-2s'));
+  assert.deepEqual(result.violations.find((violation) => violation.rule === '2-2s').runIds, ['run-0']);
+  assert.ok(!rules(evaluateWestgard({ zScore: 2.3, history: points(-2.1) })).includes('2-2s'));
+});
+
+test('R-4s compares controls within the same run only', () => {
+  const result = evaluateWestgard({ zScore: 2.2, history: points(0.1), sameRun: points(-2.1) });
+  assert.ok(rules(result).includes('R-4s'));
+  assert.ok(!rules(evaluateWestgard({ zScore: 2.2, history: points(-2.1) })).includes('R-4s'));
+});
+
+test('4-1s and 10x catch systematic shifts that never reach 2 SD', () => {
+  const shift = evaluateWestgard({ zScore: 1.4, history: points(1.2, 1.1, 1.8, -0.3) });
+  assert.deepEqual(rules(shift), ['4-1s']);
+  assert.equal(shift.status, 'rejected');
+
+  const trend = evaluateWestgard({ zScore: -0.4, history: points(-0.2, -0.9, -0.1, -1.3, -0.5, -0.6, -0.2, -0.8, -0.3) });
+  assert.deepEqual(rules(trend), ['10x']);
+  assert.equal(trend.violations[0].runIds.length, 9);
+
+  assert.equal(evaluateWestgard({ zScore: -0.4, history: points(-0.2, -0.9, -0.1, 0.3, -0.5, -0.6, -0.2, -0.8, -0.3) }).status, 'accepted');
+});
+
+test('Levey-Jennings limits span the mean plus and minus three SD', () => {
+  assert.deepEqual(controlLimits(100, 4), {
+    mean: 100, sd: 4, plus1Sd: 104, plus2Sd: 108, plus3Sd: 112, minus1Sd: 96, minus2Sd: 92, minus3Sd: 88
+  });
+});
+
+test('QC analytes resolve against lab test parameters', () => {
+  const cbc = { code: 'CBC', name: 'Complete blood count', parameters: [{ code: 'HB', name: 'Haemoglobin', unit: 'g/dL' }, { name: 'WBC' }] };
+  assert.deepEqual(resolveAnalyte(cbc, 'hb'), { code: 'HB', name: 'Haemoglobin', unit: 'g/dL' });
+  assert.equal(resolveAnalyte(cbc, 'wbc').name, 'WBC');
+  assert.throws(() => resolveAnalyte(cbc, 'PLT'), /not defined/);
+  const glucose = { code: 'FBS', name: 'Fasting glucose', units: 'mg/dL', parameters: [] };
+  assert.deepEqual(resolveAnalyte(glucose, 'FBS'), { code: 'FBS', name: 'Fasting glucose', unit: 'mg/dL' });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCsvText,
+  normalizeInteractionRow,
+  findInteractions,
+  parseDoseMg,
+  estimateCreatinineClearance,
+  selectDoseRange,
+  evaluateDose,
+  requiresOverride,
+  saveWithOverride
+} = require('../services/medicationKnowledge.service');
+
+test('interaction CSV import keeps quoted mechanism text and normalises pair keys', () => {
+  const rows = parseCsvText('drugA,drugB,severity,mechanism\r\nWarfarin,NSAID,Major,"Additive bleeding risk, platelet inhibition"\r\n');
+  assert.equal(rows.length, 1);
+  const row = normalizeInteractionRow(rows[0]);
+  assert.equal(row.pairKey, 'nsaid|warfarin');
+  assert.equal(row.severity, 'major');
+  assert.equal(row.mechanism, 'Additive bleeding risk, platelet inhibition');
+  assert.throws(() => normalizeInteractionRow({ drugA: 'a', drugB: 'b', severity: 'severe' }), /unsupported severity/);
+});
+
+test('interactions match drug classes and skip pairs that are both already active', () => {
+  const interactions = [{ pairKey: 'nsaid|warfarin', drugA: 'nsaid', drugB: 'warfarin', severity: 'major', mechanism: 'bleeding' }];
+  const alerts = findInteractions([
+    { ordered: true, name: 'Ibuprofen', interactionKeys: ['nsaid'] },
+    { name: 'Warfarin', source: 'ipd_medication_chart' },
+    { name: 'Diclofenac', interactionKeys: ['nsaid'], source: 'ipd_medication_chart' }
+  ], interactions);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].level, 'critical');
+  assert.equal(alerts[0].interactingMedicine, 'Warfarin');
+});
+
+test('dose strings are converted to milligrams', () => {
+  assert.equal(parseDoseMg('500 mg'), 500);
+  assert.equal(parseDoseMg('1 g'), 1000);
+  assert.equal(parseDoseMg('250mcg'), 0.25);
+  assert.equal(parseDoseMg('1 tab'), null);
+});
+
+test('Cockcroft-Gault clearance applies the female factor', () => {
+  assert.equal(estimateCreatinineClearance({ ageYears: 60, weightKg: 72, serumCreatinineMgDl: 1, gender: 'male' }), 80);
+  assert.equal(estimateCreatinineClearance({ ageYears: 60, weightKg: 72, serumCreatinineMgDl: 1, gender: 'female' }), 68);
+  assert.equal(estimateCreatinineClearance({ ageYears: 60, weightKg: 72 }), null);
+});
+
+test('the most specific dose band wins and renal limits are enforced', () => {
+  const medicine = {
+    name: 'Levetiracetam',
+    medicationSafety: {
+      doseRanges: [
+        { maxSingleDoseMg: 1500, maxDailyDoseMg: 3000 },
+        { crclMinMlMin: 30, crclMaxMlMin: 50, maxSingleDoseMg: 750, maxDailyDoseMg: 1500 }
+      ]
+    }
+  };
+  assert.equal(selectDoseRange(medicine.medicationSafety.doseRanges, { crcl: 40 }).maxDailyDoseMg, 1500);
+  const alerts = evaluateDose({ medicine, order: { dosage: '1 g', frequency: 'BD' }, patientContext: { crcl: 40 } });
+  assert.deepEqual(alerts.map((alert) => alert.type), ['dose_range', 'dose_range']);
+  assert.equal(requiresOverride(alerts), true);
+  assert.deepEqual(evaluateDose({ medicine, order: { dosage: '1 g', frequency: 'BD' }, patientContext: { crcl: 90 } }), []);
+});
+
+test('weight-based limits need a weight before they can be checked', () => {
+  const medicine = { name: 'Paracetamol', medicationSafety: { doseRanges: [{ ageMaxYears: 12, doseBasis: 'per_kg', maxSingleDoseMg: 15 }] } };
+  assert.equal(evaluateDose({ medicine, order: { dosage: '250 mg' }, patientContext: { ageYears: 6 } })[0].type, 'dose_unverified');
+  const alerts = evaluateDose({ medicine, order: { dosage: '250 mg' }, patientContext: { ageYears: 6, weightKg: 15 } });
+  assert.equal(alerts[0].message, 'Single dose 250 mg exceeds maximum 225 mg');
+  assert.equal(requiresOverride([{ level: 'critical', type: 'high_risk' }]), false);
+});
+
+test('an overridden order and its override are saved in one transaction, and a failed write saves neither', async (t) => {
+  const mongoose = require('mongoose');
+  const MedicationSafetyOverride = require('../models/MedicationSafetyOverride');
+  const Prescription = require('../models/Prescription');
+  const { Types } = mongoose;
+  const req = { user: { _id: new Types.ObjectId() } };
+  const session = { id: 'txn' };
+  const plain = new Prescription();
+  const plainSave = t.mock.method(plain, 'save', async () => plain);
+  assert.equal(await saveWithOverride({ req, pendingOverride: null, source: plain }), plain);
+  assert.deepEqual(plainSave.mock.calls[0].arguments, []);
+
+  const source = new Prescription();
+  const save = t.mock.method(source, 'save', async () => source);
+  t.mock.method(mongoose.connection, 'transaction', async (work) => work(session));
+  const deleteOne = t.mock.method(Prescription, 'deleteOne', async () => ({ deletedCount: 1 }));
+  const create = t.mock.method(MedicationSafetyOverride, 'create', async () => { throw new Error('write failed'); });
+  const pendingOverride = {
+    hospitalId: new Types.ObjectId(),
+    patientId: new Types.ObjectId(),
+    context: 'opd_prescription',
+    result: { alerts: [{ level: 'critical', type: 'interaction', message: 'Warfarin + aspirin' }], medicines: [] },
+    reason: 'Cardiology advised'
+  };
+  await assert.rejects(saveWithOverride({ req, pendingOverride, source }), /write failed/);
+  assert.deepEqual(save.mock.calls[0].arguments, [{ session }]);
+  const [[row], options] = create.mock.calls[0].arguments;
+  assert.equal(row.sourceModel, 'Prescription');
+  assert.equal(row.sourceId, source._id);
+  assert.deepEqual(options, { session });
+  assert.equal(deleteOne.mock.callCount(), 0);
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { encryptJwe, decryptJwe, readJweHeader, signJwt, verifyJwt } = require('../services/nhcxCrypto.service');
+const { createNhcxClient, createMockClient } = require('../services/nhcxClient.service');
+const bundles = require('../services/fhir/nhcxBundle.service');
+
+const hospital = { _id: 'h1', hospitalName: 'City Hospital', hospitalID: 'CITY01', onboarding: { hfrFacilityId: 'IN2910000123' } };
+const patient = { _id: 'p1', first_name: 'Asha', last_name: 'Rao', gender: 'Female', uhid: 'UH-1', abha: { number: '91-1234-5678-9012' } };
+const payer = { _id: 'y1', code: 'STARHEALTH', name: 'Star Health', nhcx: { participantCode: 'star@hcx' } };
+const coverage = { beneficiary: { policyNumber: 'POL-77', memberId: 'M-1', relationship: 'Self' } };
+const claim = {
+  claimNumber: 'CLM-20261001-00001',
+  encounterType: 'IPD',
+  servicePeriod: { from: new Date('2026-10-01T04:00:00Z'), to: new Date('2026-10-04T06:00:00Z') },
+  schemeData: { pmjay: { icd10Codes: ['K35.8'] } },
+  preAuth: { requestNumber: 'PA-9' },
+  amounts: { claimSubmittedAmount: 45000 },
+  lines: [
+    { lineNumber: 1, description: 'Laparoscopic appendicectomy', payerCode: 'SG039', quantity: 1, sponsorLiability: 40000, submittedAmount: 40000 },
+    { lineNumber: 2, description: 'Ward stay', internalCode: 'WARD', quantity: 3, sponsorLiability: 5000 },
+    { lineNumber: 3, description: 'Registration', sponsorLiability: 0, patientLiability: 100 }
+  ]
+};
+
+test('JWE envelopes round-trip, expose protocol headers and reject tampering', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const token = encryptJwe({ resourceType: 'Bundle' }, publicKey, { 'x-hcx-sender_code': 'a@hcx', 'x-hcx-recipient_code': 'b@hcx' });
+  assert.equal(token.split('.').length, 5);
+  assert.deepEqual(readJweHeader(token), { alg: 'RSA-OAEP-256', enc: 'A256GCM', 'x-hcx-sender_code': 'a@hcx', 'x-hcx-recipient_code': 'b@hcx' });
+  assert.deepEqual(decryptJwe(token, privateKey).payload, { resourceType: 'Bundle' });
+
+  const parts = token.split('.');
+  const forgedHeader = Buffer.from(JSON.stringify({ ...readJweHeader(token), 'x-hcx-sender_code': 'evil@hcx' })).toString('base64url');
+  assert.throws(() => decryptJwe([forgedHeader, ...parts.slice(1)].join('.'), privateKey), { code: 'NHCX_DECRYPT_FAILED' });
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  assert.throws(() => decryptJwe(token, other.privateKey), { code: 'NHCX_DECRYPT_FAILED' });
+
+  const now = new Date('2026-10-01T00:00:00Z');
+  const jwt = signJwt({ sub: 'x', exp: Math.floor(now.getTime() / 1000) + 60 }, privateKey);
+  assert.equal(verifyJwt(jwt, publicKey, { now }).sub, 'x');
+  assert.equal(verifyJwt(jwt, other.publicKey, { now }), null);
+  assert.equal(verifyJwt(jwt, publicKey, { now: new Date(now.getTime() + 120000) }), null);
+});
+
+test('claim bundles carry payable lines, diagnosis, pre-auth reference and evidence, and reach the payer encrypted', async () => {
+  const evidence = [{ evidenceType: 'DISCHARGE_SUMMARY', fileUrl: 'https://files.local/ds.pdf', caption: 'Discharge summary' }, { evidenceType: 'OTHER' }];
+  const bundle = bundles.claimBundle({ use: 'claim', claim, coverage, patient, hospital, payer, evidence, participantCode: 'city@hcx', now: new Date('2026-10-05T00:00:00Z') });
+  assert.equal(bundle.type, 'collection');
+  assert.match(bundle.meta.profile[0], /StructureDefinition\/ClaimBundle$/);
+  const resource = bundle.entry[0].resource;
+  assert.equal(resource.resourceType, 'Claim');
+  assert.equal(resource.use, 'claim');
+  assert.equal(resource.type.coding[0].code, 'institutional');
+  assert.deepEqual(resource.item.map((item) => [item.sequence, item.productOrService.coding[0].code, item.net.value]), [[1, 'SG039', 40000], [2, 'WARD', 5000]]);
+  assert.equal(resource.total.value, 45000);
+  assert.deepEqual(resource.insurance[0].preAuthRef, ['PA-9']);
+  assert.equal(resource.diagnosis[0].diagnosisCodeableConcept.coding[0].code, 'K35.8');
+  assert.deepEqual(resource.supportingInfo.map((row) => row.valueAttachment.contentType), ['application/pdf']);
+  const fullUrls = new Set(bundle.entry.map((row) => row.fullUrl));
+  for (const ref of [resource.patient, resource.insurer, resource.provider, resource.insurance[0].coverage]) assert.ok(fullUrls.has(ref.reference));
+  const provider = bundle.entry.find((row) => row.fullUrl === resource.provider.reference).resource;
+  assert.ok(provider.identifier.some((row) => row.value === 'city@hcx'));
+
+  const preauth = bundles.claimBundle({ use: 'preauthorization', claim, coverage, patient, hospital, payer, participantCode: 'city@hcx' });
+  assert.equal(preauth.entry[0].resource.insurance[0].preAuthRef, undefined);
+
+  const client = createMockClient({ participantCode: 'city@hcx' });
+  const sent = await client.send({ action: 'claim/submit', recipientCode: 'star@hcx', recipientKey: client.recipientKeyFor(payer), payload: bundle, workflowId: 'wf-1' });
+  assert.equal(sent.workflowId, 'wf-1');
+  const opened = client.openSent(client.outbox[0]);
+  assert.equal(opened.header['x-hcx-sender_code'], 'city@hcx');
+  assert.equal(opened.header['x-hcx-correlation_id'], sent.correlationId);
+  assert.equal(opened.payload.entry[0].resource.identifier[0].value, claim.claimNumber);
+});
+
+test('payer callbacks are authenticated and read into adjudication, queries and payments', () => {
+  const client = createMockClient({ participantCode: 'city@hcx' });
+  const claimResponse = {
+    resourceType: 'Bundle',
+    entry: [{ resource: {
+      resourceType: 'ClaimResponse',
+      use: 'claim',
+      outcome: 'complete',
+      disposition: 'Partially approved',
+      item: [
+        { itemSequence: 1, adjudication: [{ category: { coding: [{ code: 'submitted' }] }, amount: { value: 40000 } }, { category: { coding: [{ code: 'benefit' }] }, amount: { value: 36000 }, reason: { text: 'Consumables not payable' } }] },
+        { itemSequence: 2, adjudication: [{ category: { coding: [{ code: 'benefit' }] }, amount: { value: 5000 } }] }
+      ],
+      total: [{ category: { coding: [{ code: 'benefit' }] }, amount: { value: 41000 } }]
+    } }]
+  };
+  const delivery = client.callback(claimResponse, { correlationId: 'corr-1', workflowId: 'wf-1', senderCode: 'star@hcx' });
+  const opened = client.openCallback(delivery.body, delivery.headers);
+  assert.equal(opened.header['x-hcx-correlation_id'], 'corr-1');
+  assert.equal(opened.header['x-hcx-sender_code'], 'star@hcx');
+  assert.throws(() => client.openCallback(delivery.body, {}), { statusCode: 401 });
+  assert.throws(() => client.openCallback(delivery.body, { authorization: `Bearer ${signJwt({ sub: 'x' }, crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey)}` }), { statusCode: 401 });
+
+  const adjudication = bundles.readClaimResponse(opened.payload);
+  assert.equal(adjudication.approvedTotal, 41000);
+  assert.deepEqual(adjudication.items, [
+    { sequence: 1, submitted: 40000, approved: 36000, reason: 'Consumables not payable' },
+    { sequence: 2, submitted: undefined, approved: 5000, reason: undefined }
+  ]);
+
+  const protocolError = client.openCallback({ 'x-hcx-status': 'response.error', 'x-hcx-api_call_id': 'a1', 'x-hcx-error_details': { code: 'ERR_INVALID_ENCRYPTION', message: 'bad cert' } }, delivery.headers);
+  assert.deepEqual(protocolError.error, { code: 'ERR_INVALID_ENCRYPTION', message: 'bad cert' });
+  assert.equal(protocolError.payload, null);
+
+  assert.deepEqual(bundles.readCommunicationRequest({ resourceType: 'CommunicationRequest', identifier: [{ value: 'CR-1' }], payload: [{ contentString: 'Send OT notes' }], occurrenceDateTime: '2026-10-08T00:00:00Z' }), {
+    externalQueryId: 'CR-1', text: 'Send OT notes', reasonCode: undefined, category: undefined, dueAt: new Date('2026-10-08T00:00:00Z')
+  });
+  assert.deepEqual(bundles.readPaymentNotice({ resourceType: 'PaymentNotice', paymentIdentifier: { value: 'UTR1' }, amount: { value: 41000, currency: 'INR' }, paymentDate: '2026-10-20', paymentStatus: { coding: [{ code: 'paid' }] } }), {
+    reference: 'UTR1', amount: 41000, paymentDate: new Date('2026-10-20'), status: 'paid'
+  });
+  assert.equal(bundles.readCoverageEligibilityResponse({ resourceType: 'CoverageEligibilityResponse', outcome: 'complete', insurance: [{ inforce: false }] }).inforce, false);
+  assert.equal(bundles.readCoverageEligibilityResponse({ resourceType: 'Bundle', entry: [] }), null);
+});
+
+test('the mock NHCX client runs only when selected in development or test', (t) => {
+  const nodeEnv = process.env.NODE_ENV;
+  t.after(() => {
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+  });
+  process.env.NODE_ENV = 'test';
+  assert.throws(() => createNhcxClient(''), { statusCode: 503, code: 'NHCX_NOT_CONFIGURED' });
+  assert.equal(createNhcxClient('mock').provider, 'mock');
+  for (const env of ['production', 'staging']) {
+    process.env.NODE_ENV = env;
+    assert.throws(() => createNhcxClient('mock'), { statusCode: 503, code: 'NHCX_NOT_CONFIGURED' });
+  }
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  shiftWindow,
+  isNightShift,
+  leaveIndex,
+  expandTemplate,
+  requiredNurses,
+  validateRoster,
+  classifyAttendance
+} = require('../services/nurseRoster.service');
+
+const ZONE = 'Asia/Kolkata';
+const SHIFTS = {
+  morning: { _id: 'S1', name: 'Morning', start_time: '07:00', end_time: '15:00' },
+  evening: { _id: 'S2', name: 'Evening', start_time: '15:00', end_time: '23:00' },
+  night: { _id: 'S3', name: 'Night', start_time: '23:00', end_time: '07:00' }
+};
+const POLICY = {
+  ratios: [{ wardType: 'General', patientsPerNurse: 6, minNurses: 1 }, { wardType: 'ICU', patientsPerNurse: 2, minNurses: 1 }],
+  skillMix: [{ wardType: '*', skill: 'charge', minPerShift: 1 }, { wardType: 'ICU', skill: 'icu', minPerShift: 1 }],
+  minRestHours: 10,
+  maxConsecutiveNights: 3,
+  maxShiftsPerWeek: 6
+};
+let seq = 0;
+function shift(employeeId, rosterDate, key, wardId = 'W1') {
+  const window = shiftWindow(rosterDate, SHIFTS[key], ZONE);
+  seq += 1;
+  return { _id: `A${seq}`, employeeId, wardId, rosterDate, shiftId: SHIFTS[key]._id, shiftName: SHIFTS[key].name, shiftStart: window.start, shiftEnd: window.end, status: 'draft' };
+}
+const staff = new Map([
+  ['N1', { full_name: 'Asha Nair', staff_type: 'nurse', skills: ['charge', 'icu'] }],
+  ['N2', { full_name: 'Ravi Kumar', staff_type: 'nurse', skills: ['icu'] }],
+  ['N3', { full_name: 'Meena Das', staff_type: 'nurse', skills: [] }],
+  ['H1', { full_name: 'Sunil Rao', staff_type: 'housekeeping', skills: [] }]
+]);
+const codes = (list) => list.map((item) => item.code).sort();
+
+test('night shifts end on the next hospital day', () => {
+  const night = shiftWindow('2026-10-19', SHIFTS.night, ZONE);
+  assert.equal(night.start.toISOString(), '2026-10-19T17:30:00.000Z');
+  assert.equal(night.end.toISOString(), '2026-10-20T01:30:00.000Z');
+  assert.equal(isNightShift({ rosterDate: '2026-10-19', shiftEnd: night.end }, ZONE), true);
+  assert.equal(isNightShift(shift('N1', '2026-10-19', 'evening'), ZONE), false);
+});
+
+test('a rotation staggers staff by offset and skips approved leave', () => {
+  const pattern = [{ shiftId: 'S1' }, { shiftId: 'S1' }, { shiftId: 'S3' }, { shiftId: null }];
+  const leaves = leaveIndex([{ employee_id: 'N2', start_date: new Date('2026-10-21T00:00:00+05:30'), end_date: new Date('2026-10-21T00:00:00+05:30') }], ZONE);
+  const { slots, skipped } = expandTemplate({
+    pattern, staff: [{ employeeId: 'N1', offset: 0 }, { employeeId: 'N2', offset: 2 }],
+    fromDate: '2026-10-19', toDate: '2026-10-22', anchorDate: '2026-10-19', leaves
+  });
+  assert.deepEqual(slots.map((slot) => `${slot.rosterDate} ${slot.employeeId} ${slot.shiftId}`), [
+    '2026-10-19 N1 S1', '2026-10-19 N2 S3',
+    '2026-10-20 N1 S1',
+    '2026-10-21 N1 S3',
+    '2026-10-22 N2 S1'
+  ]);
+  assert.deepEqual(skipped, [{ employeeId: 'N2', rosterDate: '2026-10-21', reason: 'on_leave' }]);
+
+  const continued = expandTemplate({ pattern, staff: [{ employeeId: 'N1', offset: 0 }], fromDate: '2026-10-23', toDate: '2026-10-23', anchorDate: '2026-10-19' });
+  assert.equal(continued.slots[0].shiftId, 'S1');
+});
+
+test('nurse requirement follows occupancy and ward ratio', () => {
+  assert.equal(requiredNurses(0, { patientsPerNurse: 6, minNurses: 1 }), 1);
+  assert.equal(requiredNurses(13, { patientsPerNurse: 6, minNurses: 1 }), 3);
+  assert.equal(requiredNurses(5, { patientsPerNurse: 2, minNurses: 1 }), 3);
+});
+
+test('rest, overlap and leave violations are errors against the in-scope shift', () => {
+  const night = shift('N1', '2026-10-19', 'night');
+  const nextMorning = shift('N1', '2026-10-20', 'morning');
+  const sameEvening = shift('N2', '2026-10-20', 'evening');
+  const overlapping = { ...shift('N2', '2026-10-20', 'evening', 'W2'), _id: 'X1' };
+  const leaves = leaveIndex([{ employee_id: 'N3', start_date: new Date('2026-10-20T00:00:00+05:30'), end_date: new Date('2026-10-21T00:00:00+05:30') }], ZONE);
+  const onLeave = shift('N3', '2026-10-20', 'morning');
+  const wards = new Map([['W1', { name: 'Ward 3', type: 'General', occupiedBeds: 4 }]]);
+  const { errors } = validateRoster({
+    assignments: [night, nextMorning, sameEvening, overlapping, onLeave], staff, leaves, wards, policy: POLICY, zone: ZONE,
+    inScope: (row) => row.wardId === 'W1' && row.rosterDate === '2026-10-20'
+  });
+  assert.deepEqual(errors.map((error) => [error.code, error.assignmentId]), [
+    ['INSUFFICIENT_REST', nextMorning._id],
+    ['DOUBLE_BOOKED', sameEvening._id],
+    ['ON_LEAVE', onLeave._id]
+  ]);
+  assert.match(errors[0].message, /0h rest/);
+});
+
+test('ICU coverage warns on ratio shortfall, missing skills and long night runs', () => {
+  const wards = new Map([['ICU', { name: 'MICU', type: 'ICU', occupiedBeds: 5 }]]);
+  const nights = ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22'].map((day) => shift('N2', day, 'night', 'ICU'));
+  const assignments = [...nights, shift('H1', '2026-10-22', 'night', 'ICU')];
+  const coverage = [{ wardId: 'ICU', rosterDate: '2026-10-22', shiftId: 'S1', shiftName: 'Morning' }];
+  const { errors, warnings } = validateRoster({
+    assignments, staff, wards, policy: POLICY, coverage, zone: ZONE, inScope: (row) => row.rosterDate === '2026-10-22'
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(codes(warnings), ['CONSECUTIVE_NIGHTS', 'RATIO_SHORTFALL', 'RATIO_SHORTFALL', 'SKILL_MIX', 'SKILL_MIX', 'SKILL_MIX']);
+  const nightShortfall = warnings.find((warning) => warning.code === 'RATIO_SHORTFALL' && warning.shiftId === 'S3');
+  assert.deepEqual([nightShortfall.required, nightShortfall.rostered, nightShortfall.occupiedBeds], [3, 1, 5]);
+  assert.ok(warnings.some((warning) => warning.code === 'SKILL_MIX' && warning.shiftId === 'S3' && warning.skill === 'charge'));
+});
+
+test('published shifts classify attendance with a grace period', () => {
+  const morning = shift('N1', '2026-10-20', 'morning');
+  const at = (time) => new Date(`2026-10-20T${time}:00+05:30`);
+  assert.deepEqual(classifyAttendance(morning, { check_in: at('07:10'), check_out: at('15:05') }, { graceMinutes: 15 }), {
+    status: 'present', lateMinutes: 10, earlyMinutes: 0, exceptions: []
+  });
+  assert.deepEqual(classifyAttendance(morning, { check_in: at('07:40'), check_out: at('14:00') }, { graceMinutes: 15 }).exceptions, ['late_arrival', 'early_departure']);
+  assert.equal(classifyAttendance(morning, { check_in: at('07:00'), check_out: at('13:00') }).status, 'early_departure');
+  assert.equal(classifyAttendance(morning, null, { now: at('07:30') }).status, 'no_show');
+  assert.equal(classifyAttendance(morning, null, { now: at('06:00') }).status, 'upcoming');
+  assert.equal(classifyAttendance(morning, null, { leave: true }).status, 'on_leave');
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  expandBlockTemplate,
+  ownsBlock,
+  freeWindows,
+  matchWaitlist,
+  utilisationReport,
+  releaseDueBlocks
+} = require('../services/otBlockSchedule.service');
+
+const zone = 'Asia/Kolkata';
+const at = (value) => new Date(`${value}+05:30`);
+
+test('a weekly block template expands to dated blocks with a release point', () => {
+  const template = {
+    weekdays: [2], startTime: '08:00', endTime: '14:00', releaseHoursBefore: 48,
+    effectiveFrom: '2026-10-01', effectiveTo: '2026-11-10'
+  };
+  const blocks = expandBlockTemplate(template, '2026-10-19', '2026-11-30', zone);
+  assert.deepEqual(blocks.map((block) => block.blockDate), ['2026-10-20', '2026-10-27', '2026-11-03', '2026-11-10']);
+  assert.equal(blocks[0].start.toISOString(), '2026-10-20T02:30:00.000Z');
+  assert.equal(blocks[0].end.toISOString(), '2026-10-20T08:30:00.000Z');
+  assert.equal(blocks[0].releaseAt.toISOString(), '2026-10-18T02:30:00.000Z');
+
+  const alternate = expandBlockTemplate({ ...template, weekdays: [4], weeksOfMonth: [1, 3], effectiveTo: undefined }, '2026-11-01', '2026-11-30', zone);
+  assert.deepEqual(alternate.map((block) => block.blockDate), ['2026-11-05', '2026-11-19']);
+});
+
+test('block ownership is by surgeon or by department', () => {
+  assert.equal(ownsBlock({ ownerType: 'surgeon', surgeonId: 'd1' }, { surgeonId: 'd1', departmentId: 'ortho' }), true);
+  assert.equal(ownsBlock({ ownerType: 'surgeon', surgeonId: 'd1' }, { surgeonId: 'd2', departmentId: 'ortho' }), false);
+  assert.equal(ownsBlock({ ownerType: 'department', departmentId: 'ortho' }, { surgeonId: 'd2', departmentId: 'ortho' }), true);
+  assert.equal(ownsBlock({ ownerType: 'department', departmentId: 'ortho' }, { surgeonId: 'd2' }), false);
+});
+
+test('released time is offered to the most urgent, longest waiting cases that fit', () => {
+  const block = { _id: 'b1', otRoomId: 'ot2', blockDate: '2026-10-20', start: at('2026-10-20T08:00:00'), end: at('2026-10-20T14:00:00') };
+  const windows = freeWindows(block, [
+    { scheduledStart: at('2026-10-20T09:00:00'), scheduledEnd: at('2026-10-20T11:00:00') },
+    { scheduledStart: at('2026-10-20T15:00:00'), scheduledEnd: at('2026-10-20T16:00:00') }
+  ]);
+  assert.deepEqual(windows.map((w) => [w.start.toISOString(), w.end.toISOString()]), [
+    ['2026-10-20T02:30:00.000Z', '2026-10-20T03:30:00.000Z'],
+    ['2026-10-20T05:30:00.000Z', '2026-10-20T08:30:00.000Z']
+  ]);
+
+  const entries = [
+    { _id: 'e1', urgency: 'Elective', durationMinutes: 60, createdAt: '2026-10-01' },
+    { _id: 'e2', urgency: 'Urgent', durationMinutes: 120, createdAt: '2026-10-15' },
+    { _id: 'e3', urgency: 'Elective', durationMinutes: 90, createdAt: '2026-10-02' },
+    { _id: 'e4', urgency: 'Elective', durationMinutes: 30, createdAt: '2026-09-01', preferredRoomIds: ['ot1'] },
+    { _id: 'e5', urgency: 'Elective', durationMinutes: 30, createdAt: '2026-09-02', latestDate: '2026-10-19' },
+    { _id: 'e6', urgency: 'Urgent', durationMinutes: 30, createdAt: '2026-09-03', declinedBlockIds: ['b1'] }
+  ];
+  const offers = matchWaitlist({ block, windows, entries });
+  assert.deepEqual(offers.map((offer) => [offer.entryId, offer.start.toISOString()]), [
+    ['e2', '2026-10-20T05:30:00.000Z'],
+    ['e1', '2026-10-20T02:30:00.000Z']
+  ]);
+});
+
+test('utilisation reports first-case starts, turnover, in-room time and cancellations per room', () => {
+  const cases = [
+    {
+      otRoomId: 'ot2', doctorId: 'd1', status: 'Closed',
+      scheduledStart: at('2026-10-20T08:00:00'), scheduledEnd: at('2026-10-20T10:00:00'),
+      patientReceivedAt: at('2026-10-20T08:05:00'), startedAt: at('2026-10-20T08:10:00'), completedAt: at('2026-10-20T09:50:00')
+    },
+    {
+      otRoomId: 'ot2', doctorId: 'd2', status: 'Closed',
+      scheduledStart: at('2026-10-20T10:00:00'), scheduledEnd: at('2026-10-20T11:00:00'),
+      patientReceivedAt: at('2026-10-20T10:20:00'), startedAt: at('2026-10-20T10:25:00'), completedAt: at('2026-10-20T11:20:00')
+    },
+    {
+      otRoomId: 'ot2', doctorId: 'd1', status: 'Closed',
+      scheduledStart: at('2026-10-21T08:00:00'), scheduledEnd: at('2026-10-21T09:00:00'),
+      patientReceivedAt: at('2026-10-21T08:30:00'), startedAt: at('2026-10-21T08:40:00'), completedAt: at('2026-10-21T09:40:00')
+    },
+    { otRoomId: 'ot2', doctorId: 'd1', status: 'Cancelled', scheduledStart: at('2026-10-21T10:00:00'), cancellationReasonCode: 'PATIENT_UNFIT' },
+    { otRoomId: 'ot2', doctorId: 'd2', status: 'Cancelled', scheduledStart: at('2026-10-21T11:00:00') }
+  ];
+  const blocks = [
+    { otRoomId: 'ot2', ownerType: 'surgeon', surgeonId: 'd1', status: 'allocated', start: at('2026-10-20T08:00:00'), end: at('2026-10-20T12:00:00') },
+    { otRoomId: 'ot2', ownerType: 'surgeon', surgeonId: 'd1', status: 'released', start: at('2026-10-22T08:00:00'), end: at('2026-10-22T12:00:00') }
+  ];
+
+  const [room] = utilisationReport({ cases, blocks, groupBy: 'room', zone });
+  assert.equal(room.key, 'ot2');
+  assert.equal(room.cases, 3);
+  assert.equal(room.firstCases, 2);
+  assert.equal(room.firstCasesOnTime, 1);
+  assert.equal(room.firstCaseOnTimeRate, 0.5);
+  assert.equal(room.turnovers, 1);
+  assert.equal(room.averageTurnoverMinutes, 30);
+  assert.equal(room.bookedMinutes, 240);
+  assert.equal(room.inRoomMinutes, 105 + 60 + 70);
+  assert.equal(room.inRoomToBookedRatio, 0.979);
+  assert.equal(room.blockMinutes, 240);
+  assert.equal(room.blockUsedMinutes, 165);
+  assert.equal(room.releasedBlockMinutes, 240);
+  assert.deepEqual(room.cancellationReasons, { PATIENT_UNFIT: 1, UNSPECIFIED: 1 });
+
+  const bySurgeon = utilisationReport({ cases, blocks, groupBy: 'surgeon', zone });
+  assert.deepEqual(bySurgeon.map((row) => [row.key, row.cases, row.turnovers, row.blockMinutes]), [['d1', 2, 0, 240], ['d2', 1, 1, 0]]);
+  assert.throws(() => utilisationReport({ cases, groupBy: 'ward' }), /groupBy/);
+});
+
+test('the release job takes due blocks oldest first and stamps fully booked blocks instead of re-picking them first', async (t) => {
+  const OTBlock = require('../models/OTBlock');
+  const OTSchedule = require('../models/OTSchedule');
+  const now = new Date('2026-10-19T08:00:00Z');
+  const block = { _id: 'b1', hospitalId: 'h1', otRoomId: 'r1', start: new Date('2026-10-20T03:30:00Z'), end: new Date('2026-10-20T07:30:00Z') };
+  let sort;
+  t.mock.method(OTBlock, 'find', () => ({
+    sort(value) { sort = value; return this; },
+    limit: async () => [block]
+  }));
+  t.mock.method(OTSchedule, 'find', () => ({
+    select() { return this; },
+    lean: async () => [{ scheduledStart: block.start, scheduledEnd: block.end }]
+  }));
+  const stamp = t.mock.method(OTBlock, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const release = t.mock.method(OTBlock, 'findOneAndUpdate', async () => null);
+
+  assert.equal(await releaseDueBlocks({ now }), 0);
+  assert.deepEqual(sort, { releaseCheckedAt: 1, releaseAt: 1 });
+  assert.deepEqual(stamp.mock.calls[0].arguments, [{ _id: 'b1', status: 'allocated' }, { $set: { releaseCheckedAt: now } }]);
+  assert.equal(release.mock.callCount(), 0);
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MERGE_TARGETS,
+  unmergeDeadline,
+  mergeConflicts,
+  demographicDifferences,
+  assertApprover
+} = require('../services/patientMerge.service');
+
+test('every merge target names real patient and hospital paths on its schema', () => {
+  for (const target of MERGE_TARGETS) {
+    const name = target.Model.modelName;
+    assert.ok(target.Model.schema.path(target.patientField), `${name}.${target.patientField}`);
+    if (target.hospitalField) assert.ok(target.Model.schema.path(target.hospitalField), `${name}.${target.hospitalField}`);
+  }
+});
+
+test('merge targets cover clinical, financial, ABDM and document records', () => {
+  const models = new Set(MERGE_TARGETS.map((target) => target.Model.modelName));
+  for (const name of ['Appointment', 'IPDAdmission', 'LabRequest', 'RadiologyRequest', 'Prescription', 'Bill', 'PatientAdvanceLedger', 'AbdmCareContext', 'EncounterDocument']) {
+    assert.equal(models.has(name), true, name);
+  }
+});
+
+test('unmerge deadline counts whole days from the merge time', () => {
+  const mergedAt = new Date('2026-08-01T10:00:00.000Z');
+  assert.equal(unmergeDeadline(mergedAt, 30).toISOString(), '2026-08-31T10:00:00.000Z');
+  assert.equal(unmergeDeadline(mergedAt, 0).toISOString(), mergedAt.toISOString());
+});
+
+test('merge conflicts block self-merge, chained merges and concurrent admissions', () => {
+  const surviving = { _id: 'a', registrationStatus: 'REGISTERED', abha: { number: '91-1111' } };
+  const duplicate = { _id: 'b', registrationStatus: 'REGISTERED', abha: { number: '91-2222' } };
+
+  assert.deepEqual(mergeConflicts({ surviving, duplicate: surviving }).map((row) => row.code), ['SAME_PATIENT']);
+  assert.deepEqual(
+    mergeConflicts({ surviving, duplicate, survivingActiveAdmissions: 1, duplicateActiveAdmissions: 1 }).map((row) => row.code),
+    ['CONCURRENT_ADMISSIONS', 'ABHA_MISMATCH']
+  );
+  assert.deepEqual(
+    mergeConflicts({ surviving, duplicate: { ...duplicate, registrationStatus: 'MERGED', abha: null } }).map((row) => row.code),
+    ['DUPLICATE_ALREADY_MERGED']
+  );
+  assert.deepEqual(mergeConflicts({ surviving, duplicate: { _id: 'c', abha: {} }, survivingActiveAdmissions: 1 }), []);
+});
+
+test('demographic differences ignore case and compare date of birth by day', () => {
+  const differences = demographicDifferences(
+    { first_name: 'Rajesh', last_name: 'Sharma', gender: 'male', phone: '9999', dob: new Date('1980-01-01T00:00:00Z') },
+    { first_name: 'RAJESH', last_name: 'Sarma', gender: 'male', phone: '9999', dob: new Date('1980-01-01T12:00:00Z') }
+  );
+  assert.deepEqual(differences.map((row) => row.field), ['last_name']);
+});
+
+test('a merge is approved by a second administrator or registrar acting in their own session', () => {
+  const requestedBy = '65f000000000000000000001';
+  assert.throws(() => assertApprover({ _id: requestedBy, role: 'admin' }, requestedBy), { code: 'MERGE_APPROVER_REQUIRED', statusCode: 403 });
+  assert.throws(() => assertApprover({ _id: '65f000000000000000000002', role: 'receptionist' }, requestedBy), { code: 'MERGE_APPROVER_REQUIRED' });
+  assert.throws(() => assertApprover(undefined, requestedBy), { statusCode: 401 });
+  const approver = { _id: '65f000000000000000000002', role: 'registrar' };
+  assert.equal(assertApprover(approver, requestedBy), approver);
+});
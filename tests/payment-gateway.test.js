@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPaymentGateway, createMockGateway, parseSettlementCsv } = require('../services/paymentGatewayClient.service');
+const { splitCollection, methodFor, purposeFor, reconcileSettlement } = require('../services/gatewayPayment.service');
+
+test('mock gateway webhooks are HMAC-signed over the raw body and normalised to rupees', async () => {
+  const gateway = createMockGateway({ webhookSecret: 'whsec', clock: () => new Date('2026-10-01T05:00:00Z') });
+  const order = await gateway.createOrder({ amount: 750, receipt: 'OLP-1', notes: { hospitalId: 'h1' } });
+  assert.match(order.orderId, /^order_mock_/);
+
+  const { rawBody, headers } = gateway.signedEvent('payment.captured', {
+    payment: { entity: { id: 'pay_1', order_id: order.orderId, amount: 75050, method: 'upi', status: 'captured' } }
+  }, { eventId: 'evt_1' });
+  assert.equal(gateway.verifyWebhook(rawBody, headers), true);
+  assert.equal(gateway.verifyWebhook(Buffer.from(rawBody.toString().replace('75050', '95050')), headers), false);
+  assert.equal(gateway.verifyWebhook(rawBody, {}), false);
+
+  const event = gateway.parseWebhook(JSON.parse(rawBody), headers);
+  assert.deepEqual(
+    { eventId: event.eventId, type: event.type, orderId: event.orderId, paymentId: event.paymentId, amount: event.amount, method: event.method },
+    { eventId: 'evt_1', type: 'payment.captured', orderId: order.orderId, paymentId: 'pay_1', amount: 750.5, method: 'upi' }
+  );
+  assert.equal(event.occurredAt.toISOString(), '2026-10-01T05:00:00.000Z');
+
+  const refund = gateway.parseWebhook({ event: 'refund.processed', payload: { refund: { entity: { id: 'rfnd_1', payment_id: 'pay_1', amount: 20000, status: 'processed' } } } });
+  assert.equal(refund.refundId, 'rfnd_1');
+  assert.equal(refund.paymentId, 'pay_1');
+  assert.equal(refund.amount, 200);
+});
+
+test('the mock gateway runs only when selected and never in production', (t) => {
+  const nodeEnv = process.env.NODE_ENV;
+  t.after(() => {
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+  });
+  process.env.NODE_ENV = 'development';
+  assert.throws(() => createPaymentGateway(''), { statusCode: 503, code: 'PAYMENT_GATEWAY_NOT_CONFIGURED' });
+  assert.equal(typeof createPaymentGateway('mock').signedEvent, 'function');
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => createPaymentGateway('mock'), { statusCode: 503, code: 'PAYMENT_GATEWAY_NOT_CONFIGURED' });
+});
+
+test('captured money settles the document first and the rest becomes advance', () => {
+  assert.deepEqual(splitCollection(1000, 600), { applied: 600, advance: 400 });
+  assert.deepEqual(splitCollection(500, 600), { applied: 500, advance: 0 });
+  assert.deepEqual(splitCollection(500, 0), { applied: 0, advance: 500 });
+  assert.equal(methodFor('upi'), 'UPI');
+  assert.equal(methodFor('card'), 'Card');
+  assert.equal(methodFor('netbanking'), 'Net Banking');
+  assert.equal(methodFor('wallet'), 'Bank');
+  assert.equal(purposeFor({ admissionId: 'a1', invoiceId: 'i1' }), 'IPD_SETTLEMENT');
+  assert.equal(purposeFor({ admissionId: 'a1' }), 'IPD_ADVANCE');
+  assert.equal(purposeFor({ billId: 'b1' }), 'OPD_SETTLEMENT');
+  assert.equal(purposeFor({}), 'OPD_ADVANCE');
+  assert.throws(() => purposeFor({ purpose: 'PHARMACY' }), /purpose must be one of/);
+});
+
+test('settlement file lines are matched, flagged or reported missing', () => {
+  const lines = parseSettlementCsv([
+    'entity_id,type,amount,fee,tax,order_id,settlement_id,settlement_utr,settled_at',
+    'pay_1,payment,750.50,15.01,2.70,order_a,setl_1,UTR9,2026-10-02',
+    'pay_2,payment,"1,000.00",0,0,order_b,setl_1,UTR9,2026-10-02',
+    'pay_3,payment,300,6,1.08,order_c,setl_1,UTR9,2026-10-02',
+    'rfnd_1,refund,200,0,0,,setl_1,UTR9,2026-10-02',
+    'pay_x,payment,99,1,0.18,order_x,setl_1,UTR9,2026-10-02'
+  ].join('\r\n'));
+  assert.equal(lines.length, 5);
+  assert.equal(lines[1].amount, 1000);
+
+  const payments = [
+    { _id: 'g1', gatewayOrderId: 'order_a', gatewayPaymentId: 'pay_1', capturedAmount: 750.5, posting: { status: 'POSTED' }, refunds: [{ gatewayRefundId: 'rfnd_1', amount: 200 }] },
+    { _id: 'g2', gatewayOrderId: 'order_b', gatewayPaymentId: 'pay_2', capturedAmount: 1100, posting: { status: 'POSTED' }, refunds: [] },
+    { _id: 'g3', gatewayOrderId: 'order_c', gatewayPaymentId: 'pay_3', capturedAmount: 300, posting: { status: 'FAILED' }, refunds: [] }
+  ];
+  const expected = [...payments, { _id: 'g4', gatewayPaymentId: 'pay_4', capturedAmount: 120, capturedAt: new Date('2026-10-01T08:00:00Z') }];
+  const report = reconcileSettlement({ lines, payments, expected });
+
+  assert.deepEqual(report.lines.map((line) => [line.entityId, line.result]), [
+    ['pay_1', 'MATCHED'],
+    ['pay_2', 'AMOUNT_MISMATCH'],
+    ['pay_3', 'NOT_POSTED'],
+    ['rfnd_1', 'MATCHED'],
+    ['pay_x', 'UNKNOWN']
+  ]);
+  assert.deepEqual(report.missing.map((row) => row.gatewayPaymentId), ['pay_4']);
+  assert.deepEqual(report.totals, {
+    rows: 5, gross: 2149.5, refunds: 200, fees: 22.01, tax: 3.96, net: 1923.53,
+    matched: 2, mismatched: 1, notPosted: 1, unknown: 1, missing: 1
+  });
+});
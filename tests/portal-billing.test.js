@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { amountInWords, receiptDocument, renderPdf } = require('../services/financialDocumentPdf.service');
+
+const seller = { legalName: 'City Hospital Pvt Ltd', gstin: '29ABCDE1234F1Z5', stateCode: '29', address1: 'MG Road', location: 'Bengaluru', defaultServiceSac: '999311', defaultGoodsHsn: '3004' };
+const patient = { first_name: 'Asha', last_name: 'Rao', uhid: 'UH-0042' };
+
+test('amounts are spelled out in the Indian numbering system', () => {
+  assert.equal(amountInWords(0), 'Rupees Zero Only');
+  assert.equal(amountInWords(1250.5), 'Rupees One Thousand Two Hundred Fifty and Fifty Paise Only');
+  assert.equal(amountInWords(12345678), 'Rupees One Crore Twenty Three Lakh Forty Five Thousand Six Hundred Seventy Eight Only');
+});
+
+test('advance receipts are vouchers with nil tax and name the relative who paid', () => {
+  const model = receiptDocument({
+    seller,
+    patient,
+    admission: { admissionNumber: 'IPD-20261019-1' },
+    paidBy: { name: 'Ravi Rao', relation: 'Son' },
+    transaction: { transactionNumber: 'ADV-1', transactionType: 'ADVANCE_DEPOSIT', amount: 5000, paymentMethod: 'UPI', paymentReference: 'pay_1', status: 'POSTED' }
+  });
+  const rows = Object.fromEntries(model.rows);
+  assert.equal(model.title, 'RECEIPT VOUCHER (ADVANCE)');
+  assert.equal(rows['Received From'], 'Ravi Rao (Son)');
+  assert.equal(rows['Tax on Advance'], 'Nil');
+  assert.equal(rows['Payment Mode'], 'UPI / pay_1');
+  assert.equal(model.amountInWords, 'Rupees Five Thousand Only');
+});
+
+test('portal invoices print through the same renderer as the billing desk', async (t) => {
+  const mongoose = require('mongoose');
+  const Invoice = require('../models/Invoice');
+  const portalBilling = require('../services/portalBilling.service');
+  const owner = { _id: new mongoose.Types.ObjectId(), hospitalId: new mongoose.Types.ObjectId() };
+  const invoice = {
+    _id: new mongoose.Types.ObjectId(),
+    invoice_number: 'INV-9',
+    invoice_type: 'OPD',
+    document_stage: 'ISSUED',
+    issue_date: new Date('2026-10-19'),
+    due_date: new Date('2026-10-26'),
+    patient_id: { first_name: 'Asha', last_name: 'Rao' },
+    procedure_items: [],
+    service_items: [{ description: 'Consultation', quantity: 1, unit_price: 1000, total_price: 1000 }],
+    subtotal: 1000,
+    tax: 0,
+    discount: 0,
+    total: 1000,
+    amount_paid: 0,
+    balance_due: 1000,
+    status: 'Pending'
+  };
+  const filters = [];
+  t.mock.method(Invoice, 'findOne', (filter) => {
+    filters.push(filter);
+    const query = { lean: async () => invoice, populate: () => query, then: (resolve, reject) => Promise.resolve(invoice).then(resolve, reject) };
+    return query;
+  });
+
+  const { filename, buffer } = await portalBilling.invoicePdf({ patient: owner, id: String(invoice._id) });
+  assert.equal(filename, 'invoice-INV-9.pdf');
+  assert.equal(buffer.subarray(0, 4).toString(), '%PDF');
+  assert.deepEqual(filters[1], { _id: invoice._id, hospital_id: owner.hospitalId, patient_id: owner._id });
+
+  const receipt = receiptDocument({ seller, patient, transaction: { transactionNumber: 'RCP-1', transactionType: 'RECEIPT', amount: 1000, status: 'POSTED' } });
+  assert.equal((await renderPdf(receipt)).subarray(0, 4).toString(), '%PDF');
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveSlots, unavailableWindows, consultationFee } = require('../services/portalBooking.service');
+
+const at = (time) => new Date(`2026-10-20T${time}:00+05:30`);
+
+test('portal slots skip calendar bookings, breaks, leave and times inside the booking lead', () => {
+  const slots = deriveSlots({
+    dateKey: '2026-10-20',
+    timeZone: 'Asia/Kolkata',
+    sessions: [{ start: '09:00', end: '11:00' }],
+    slotMinutes: 20,
+    booked: [
+      { startTime: at('09:20'), endTime: at('09:40'), status: 'Scheduled' },
+      { startTime: at('09:40'), endTime: at('10:00'), status: 'Cancelled' }
+    ],
+    breaks: [{ startTime: at('10:00'), endTime: at('10:20') }],
+    unavailable: unavailableWindows([
+      { status: 'on_leave', valid_from: at('10:40') },
+      { status: 'available', valid_from: at('12:00') }
+    ]),
+    notBefore: at('09:05')
+  });
+  assert.deepEqual(slots.map((slot) => slot.time), ['09:00', '09:20', '09:40', '10:00', '10:20', '10:40']);
+  assert.deepEqual(slots.filter((slot) => slot.available).map((slot) => slot.time), ['09:40', '10:20']);
+});
+
+test('an open-ended unavailable status lasts until the next status entry', () => {
+  const windows = unavailableWindows([
+    { status: 'available', valid_from: at('08:00') },
+    { status: 'off_duty', valid_from: at('13:00') },
+    { status: 'in_opd', valid_from: at('15:00') },
+    { status: 'on_leave', valid_from: at('18:00'), valid_to: at('19:00') }
+  ]);
+  assert.deepEqual(windows.map((row) => [row.status, row.start.toISOString(), row.end.toISOString()]), [
+    ['off_duty', at('13:00').toISOString(), at('15:00').toISOString()],
+    ['on_leave', at('18:00').toISOString(), at('19:00').toISOString()]
+  ]);
+});
+
+test('portal consultation fee prefers follow-up and new-visit rules over doctor and hospital rates', () => {
+  const charges = { opdCharges: { consultationFee: 500 } };
+  assert.deepEqual(consultationFee({ settings: {}, doctor: {}, charges }), { feeType: 'NEW', fee: 500, feeSource: 'hospital default' });
+  assert.deepEqual(consultationFee({ settings: { newVisitFee: null }, doctor: { opdConsultationFee: 800 }, charges }), { feeType: 'NEW', fee: 800, feeSource: 'doctor rate' });
+  assert.deepEqual(consultationFee({ settings: { followUpFee: 0 }, doctor: { opdConsultationFee: 800 }, charges, followUp: true }), { feeType: 'FOLLOW_UP', fee: 0, feeSource: 'portal follow-up fee' });
+  assert.deepEqual(consultationFee({ settings: { newVisitFee: 300 }, doctor: { opdConsultationFee: 800 }, charges, followUp: true }), { feeType: 'FOLLOW_UP', fee: 300, feeSource: 'portal new visit fee' });
+});
+
+test('a slot is reserved by one conditional update that fails once an overlapping booking exists', async (t) => {
+  const Calendar = require('../models/Calendar');
+  const { reserveSlot } = require('../services/portalBooking.service');
+  const { Types } = require('mongoose');
+  const calendar = { _id: new Types.ObjectId() };
+  const day = { _id: new Types.ObjectId() };
+  const doctorId = new Types.ObjectId();
+  const slot = { start: at('09:20'), end: at('09:40') };
+  const calls = [];
+  const updateOne = t.mock.method(Calendar, 'updateOne', async (...args) => {
+    calls.push(args);
+    return { modifiedCount: calls.length === 1 ? 1 : 0 };
+  });
+
+  await reserveSlot({ calendar, day, doctorId, slot, duration: 20, appointmentId: new Types.ObjectId() });
+  await assert.rejects(
+    reserveSlot({ calendar, day, doctorId, slot, duration: 20, appointmentId: new Types.ObjectId() }),
+    { statusCode: 409, code: 'SLOT_UNAVAILABLE' }
+  );
+  assert.equal(updateOne.mock.callCount(), 2);
+
+  const [filter, update, options] = calls[0];
+  const doctorMatch = filter.days.$elemMatch.doctors.$elemMatch;
+  assert.equal(doctorMatch.doctorId, doctorId);
+  assert.deepEqual(doctorMatch.bookedAppointments.$not.$elemMatch.startTime, { $lt: slot.end });
+  assert.deepEqual(doctorMatch.bookedAppointments.$not.$elemMatch.endTime, { $gt: slot.start });
+  assert.equal(update.$push['days.$[day].doctors.$[doctor].bookedAppointments'].startTime, slot.start);
+  assert.deepEqual(options.arrayFilters, [{ 'day._id': day._id }, { 'doctor.doctorId': doctorId }]);
+  assert.doesNotThrow(() => Calendar.find(filter).cast(Calendar, filter));
+});
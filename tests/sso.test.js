@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signSamlPost } = require('@node-saml/node-saml/lib/saml-post-signing');
+const { createOidcClient, createMockOidcProvider, pkcePair } = require('../services/oidcClient.service');
+const { mapIdentity, validateSsoSettings, samlFor } = require('../services/sso.service');
+
+const sso = {
+  defaultRole: 'staff',
+  allowedEmailDomains: ['cityhospital.in'],
+  claims: { email: 'email', name: 'name', groups: 'realm_access.roles' },
+  roleMappings: [{ value: 'hims-doctors', role: 'doctor' }, { value: 'hims-nurses', role: 'nurse' }],
+  permissionMappings: [
+    { value: 'hims-doctors', moduleKey: 'ipd', access: 'view' },
+    { value: 'hims-ipd-leads', moduleKey: 'ipd', access: 'manage' }
+  ]
+};
+
+test('IdP claims map to the first matching role, highest module access and allowed domains only', () => {
+  const identity = mapIdentity({
+    sso,
+    subject: 'kc-123',
+    claims: { email: 'A.Rao@CityHospital.in', name: 'Dr A Rao', realm_access: { roles: ['hims-ipd-leads', 'hims-doctors', 'hims-nurses'] } }
+  });
+  assert.equal(identity.email, 'a.rao@cityhospital.in');
+  assert.equal(identity.role, 'doctor');
+  assert.deepEqual(identity.modulePermissions, [{ moduleKey: 'ipd', access: 'manage' }]);
+
+  assert.equal(mapIdentity({ sso, subject: 's', claims: { email: 'x@cityhospital.in' } }).role, 'staff');
+  assert.throws(() => mapIdentity({ sso, subject: 's', claims: { email: 'x@gmail.com' } }), { code: 'SSO_DOMAIN_NOT_ALLOWED' });
+  assert.throws(() => mapIdentity({ sso, subject: 's', claims: { email: 'x@cityhospital.in', email_verified: false } }), { code: 'SSO_EMAIL_UNVERIFIED' });
+  assert.throws(() => validateSsoSettings({ ...sso, roleMappings: [{ value: 'it', role: 'mediqliq_super_admin' }] }), { code: 'SSO_SETTINGS_INVALID' });
+  assert.throws(() => validateSsoSettings({ permissionMappings: [{ value: 'x', moduleKey: 'patients' }] }), /unknown module patients/);
+  assert.doesNotThrow(() => validateSsoSettings(sso));
+  assert.throws(() => validateSsoSettings({ enabled: true, protocol: 'OIDC', oidc: { issuer: 'https://idp' } }), /clientId is required/);
+});
+
+test('OIDC code flow checks PKCE, nonce and signature against the discovered key set', async () => {
+  const idp = createMockOidcProvider();
+  const config = { issuer: idp.issuer, clientId: 'hims', clientSecret: 's3cret', redirectUri: 'https://hims.local/api/auth/sso/oidc/callback' };
+  const client = createOidcClient({ ...config, request: idp.request });
+  const { verifier, challenge } = pkcePair();
+
+  const url = new URL(await client.authorizationUrl({ state: 'st', nonce: 'n-1', codeChallenge: challenge }));
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+
+  const code = idp.authorize({ clientId: 'hims', redirectUri: config.redirectUri, nonce: 'n-1', codeChallenge: challenge, claims: { sub: 'kc-1', sid: 'sid-1' } });
+  await assert.rejects(client.exchangeCode({ code, codeVerifier: 'wrong-verifier' }), { code: 'OIDC_PROVIDER_ERROR' });
+
+  const retry = idp.authorize({ clientId: 'hims', redirectUri: config.redirectUri, nonce: 'n-1', codeChallenge: challenge, claims: { sub: 'kc-1', sid: 'sid-1' } });
+  const tokens = await client.exchangeCode({ code: retry, codeVerifier: verifier });
+  assert.equal((await client.verifyIdToken(tokens.id_token, { nonce: 'n-1' })).sub, 'kc-1');
+  await assert.rejects(client.verifyIdToken(tokens.id_token, { nonce: 'other' }), { code: 'OIDC_NONCE_MISMATCH' });
+
+  const forged = createMockOidcProvider({ issuer: idp.issuer }).idToken({ clientId: 'hims', claims: { sub: 'kc-1', nonce: 'n-1' } });
+  await assert.rejects(client.verifyIdToken(forged, { nonce: 'n-1' }), { code: 'OIDC_KEY_NOT_FOUND' });
+
+  const logout = await client.verifyLogoutToken(idp.logoutToken({ clientId: 'hims', sid: 'sid-1' }));
+  assert.equal(logout.sid, 'sid-1');
+  await assert.rejects(client.verifyLogoutToken(tokens.id_token), { code: 'OIDC_LOGOUT_TOKEN_INVALID' });
+});
+
+test('SAML responses need an assertion signed by the configured IdP certificate', async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const pem = (key) => key.export({ type: 'spki', format: 'pem' });
+  const now = new Date();
+  const later = new Date(now.getTime() + 5 * 60 * 1000).toISOString();
+  const saml = {
+    entryPoint: 'https://idp.hims.local/saml/sso',
+    idpIssuer: 'https://idp.hims.local',
+    spEntityId: 'https://hims.local/saml',
+    callbackUrl: 'https://hims.local/api/auth/sso/saml/acs'
+  };
+  const response = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="_r1" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${saml.callbackUrl}">`
+    + `<saml:Issuer>${saml.idpIssuer}</saml:Issuer><samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>`
+    + `<saml:Assertion ID="_a1" Version="2.0" IssueInstant="${now.toISOString()}"><saml:Issuer>${saml.idpIssuer}</saml:Issuer>`
+    + '<saml:Subject><saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">a.rao@cityhospital.in</saml:NameID>'
+    + `<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer"><saml:SubjectConfirmationData NotOnOrAfter="${later}" Recipient="${saml.callbackUrl}"/></saml:SubjectConfirmation></saml:Subject>`
+    + `<saml:Conditions NotBefore="${now.toISOString()}" NotOnOrAfter="${later}"><saml:AudienceRestriction><saml:Audience>${saml.spEntityId}</saml:Audience></saml:AudienceRestriction></saml:Conditions>`
+    + `<saml:AuthnStatement AuthnInstant="${now.toISOString()}" SessionIndex="_idx1"><saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:Password</saml:AuthnContextClassRef></saml:AuthnContext></saml:AuthnStatement>`
+    + '<saml:AttributeStatement><saml:Attribute Name="groups"><saml:AttributeValue>hims-nurses</saml:AttributeValue></saml:Attribute></saml:AttributeStatement>'
+    + '</saml:Assertion></samlp:Response>';
+  const signed = signSamlPost(response, '/*[local-name(.)="Response"]/*[local-name(.)="Assertion"]', {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    signatureAlgorithm: 'sha256'
+  });
+  const SAMLResponse = Buffer.from(signed).toString('base64');
+
+  const trusted = samlFor({ saml: { ...saml, idpCertificates: [pem(publicKey)] } }, { validateInResponseTo: 'never' });
+  const { profile } = await trusted.validatePostResponseAsync({ SAMLResponse });
+  assert.equal(profile.nameID, 'a.rao@cityhospital.in');
+  assert.equal(profile.sessionIndex, '_idx1');
+  assert.equal(mapIdentity({ sso, subject: profile.nameID, claims: { ...profile.attributes, groups: profile.groups } }).email, 'a.rao@cityhospital.in');
+
+  const untrusted = samlFor({ saml: { ...saml, idpCertificates: [pem(other.publicKey)] } }, { validateInResponseTo: 'never' });
+  await assert.rejects(untrusted.validatePostResponseAsync({ SAMLResponse }), /signature/i);
+});